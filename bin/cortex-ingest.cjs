@@ -33,28 +33,35 @@ ${colors.bgBlue}${colors.bold} CORTEX UNIVERSAL INGESTION CLI ${colors.reset}
 Import unstructured data (chats, notes, docs) into the Neural Network.
 
 ${colors.bold}USAGE:${colors.reset}
-  node cortex-ingest.cjs <file_path> [source_type]
+  node cortex-ingest.cjs <file_path> [source_type] [--heuristic]
 
 ${colors.bold}ARGUMENTS:${colors.reset}
   file_path     Path to the file to ingest (e.g., ~/Downloads/whatsapp.txt)
   source_type   (Optional) Force parser: 'whatsapp', 'beeper', 'markdown', 'generic-text'
 
+${colors.bold}OPTIONS:${colors.reset}
+  --heuristic   Rule-based extraction only, no LLM calls (used automatically
+                when neither MCP Sampling, llm.local nor an API key is available)
+
 ${colors.bold}EXAMPLES:${colors.reset}
   node cortex-ingest.cjs ~/exports/_chat.txt whatsapp
   node cortex-ingest.cjs ~/notes/project-ideas.md markdown
+  node cortex-ingest.cjs ~/notes/runbook.md --heuristic
     `);
     process.exit(0);
   }
 
-  const filePath = args[0];
-  const sourceType = args[1] || 'auto';
+  const heuristic = args.includes('--heuristic');
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const filePath = positional[0];
+  const sourceType = positional[1] || 'auto';
 
   console.log(`${colors.cyan}🧠 Cortex Ingestion Engine${colors.reset}\n`);
   console.log(`File: ${filePath}`);
   console.log(`Mode: ${sourceType}\n`);
 
   try {
-    const pipeline = new IngestionPipeline();
+    const pipeline = new IngestionPipeline(heuristic ? { extractionMode: 'heuristic' } : {});
     await pipeline.initialize();
 
     console.log(`${colors.yellow}⏳ Processing file and extracting memories...${colors.reset}`);
@@ -63,7 +70,7 @@ ${colors.bold}EXAMPLES:${colors.reset}
     console.log(`\n${colors.green}✓ Ingestion Complete!${colors.reset}`);
     console.log(`  Format Detected: ${colors.bold}${result.sourceType}${colors.reset}`);
     console.log(`  Messages Parsed: ${result.messagesParsed}`);
-    console.log(`  Memories Extracted: ${result.memoriesExtracted}`);
+    console.log(`  Memories Extracted: ${result.memoriesExtracted}${result.extractionMethod ? ` (${result.extractionMethod})` : ''}`);
     console.log(`  Neurons Created: ${result.neuronsCreated}\n`);
 
     if (result.neuronsCreated > 0) {
@@ -76,6 +83,8 @@ ${colors.bold}EXAMPLES:${colors.reset}
       console.log(`\nRun ${colors.bold}cortex-visualizer.cjs${colors.reset} or ${colors.bold}cortex-obsidian-cli.cjs${colors.reset} to see the new connections.`);
     }
 
+    pipeline.close();
+
   } catch (error) {
     console.error(`\n${colors.red}✗ Error:${colors.reset} ${error.message}`);
     process.exit(1);
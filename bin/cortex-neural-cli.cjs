@@ -62,7 +62,7 @@ async function main() {
 
   // Step 2: Convert to Neurons
   console.log(`${colors.bold}Step 2: Convert to Neurons${colors.reset}`);
-  const neurons = convertToNeurons(records, network);
+  const neurons = await convertToNeurons(records, network);
   console.log(`${colors.green}✓ Created ${neurons.length} neuron nodes${colors.reset}`);
   console.log();
 
@@ -98,6 +98,7 @@ async function main() {
   console.log();
 
   await network.save();
+  network.close();
 }
 
 // =============================================================================
@@ -118,18 +119,18 @@ async function importMemories() {
 // STEP 2: CONVERT TO NEURONS
 // =============================================================================
 
-function convertToNeurons(records, network) {
+async function convertToNeurons(records, network) {
   printSection('Converting memories to neuron nodes...');
   
   const neurons = [];
-  records.forEach((record, idx) => {
-    const neuron = network.addNeuron(record);
+  for (const [idx, record] of records.entries()) {
+    const neuron = await network.addNeuron(record);
     neurons.push(neuron);
     
     if (idx % 100 === 0 && idx > 0) {
       console.log(`  ${colors.cyan}Processed ${idx}/${records.length} memories${colors.reset}`);
     }
-  });
+  }
   
   return neurons;
 }
@@ -11,6 +11,7 @@
 const fs = require('fs');
 const path = require('path');
 const { expandPath } = require('../src/core/types.cjs');
+const { NeuralNetwork } = require('../src/core/neural-network.cjs');
 
 const NEURAL_PATH = expandPath('~/.claude/memory/neural');
 const VAULT_PATH = expandPath('~/.obsidian-vault/Cortex Atlas');
@@ -31,17 +32,17 @@ function sanitizeId(id) {
 async function generateMermaid() {
   console.log('🧠 Generating Native Mermaid Topology...');
 
-  const nodesPath = path.join(NEURAL_PATH, 'nodes.json');
-  const linksPath = path.join(NEURAL_PATH, 'connections.json');
+  const network = new NeuralNetwork({ basePath: NEURAL_PATH });
+  await network.initialize();
+  const nodesData = Array.from(network.nodes.values());
+  const linksData = network.getConnections();
+  network.close();
 
-  if (!fs.existsSync(nodesPath) || !fs.existsSync(linksPath)) {
+  if (nodesData.length === 0) {
     console.error('❌ Neural network not found. Run cortex-neural-cli.cjs first.');
     process.exit(1);
   }
 
-  const nodesData = JSON.parse(fs.readFileSync(nodesPath, 'utf8'));
-  const linksData = JSON.parse(fs.readFileSync(linksPath, 'utf8'));
-
   // Get top firing nodes to keep the graph readable
   const topNodes = nodesData
     .sort((a, b) => (b.activationLevel || 0) - (a.activationLevel || 0))
@@ -49,10 +50,16 @@ async function generateMermaid() {
     
   const topNodeIds = new Set(topNodes.map(n => n.id));
 
-  // Filter links to only show connections between top nodes
-  const relevantLinks = linksData.filter(l => 
-    topNodeIds.has(l.from) && topNodeIds.has(l.to)
-  );
+  // Filter links to only show connections between top nodes, one edge per
+  // pair (synapses are stored in both directions)
+  const seenPairs = new Set();
+  const relevantLinks = linksData.filter(l => {
+    if (!topNodeIds.has(l.from) || !topNodeIds.has(l.to)) return false;
+    const pair = [l.from, l.to].sort().join('\0');
+    if (seenPairs.has(pair)) return false;
+    seenPairs.add(pair);
+    return true;
+  });
 
   let mermaid = '```mermaid\ngraph TD\n\n';
   mermaid += '  %% Styling Classes\n';
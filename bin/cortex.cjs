@@ -7,6 +7,7 @@
  *   npx cortex-memory promote      - Run tier promotion
  *   npx cortex-memory consolidate  - Run memory consolidation
  *   npx cortex-memory search <q>   - Search memories
+ *   npx cortex-memory token ...    - Manage HTTP API tokens
  *
  * @version 2.0.0
  */
@@ -215,43 +216,35 @@ async function statusCommand(options) {
   console.log();
   printSection('Memory Statistics', icons.chart);
   try {
-    const memoriesDir = path.join(CORTEX_DIR, 'data', 'memories');
-    let totalMemories = 0;
-    let totalSize = 0;
-
-    if (fs.existsSync(memoriesDir)) {
-      const files = fs.readdirSync(memoriesDir).filter(f => f.endsWith('.jsonl'));
-      for (const file of files) {
-        const fullPath = path.join(memoriesDir, file);
-        const stat = fs.statSync(fullPath);
-        const content = fs.readFileSync(fullPath, 'utf8');
-        const lines = content.trim().split('\n').filter(l => l).length;
-        totalMemories += lines;
-        totalSize += stat.size;
-
-        const icon = lines > 0 ? c(icons.check, 'green') : c('-', 'dim');
-        console.log(`   ${icon} ${file}: ${c(formatNumber(lines), 'cyan')} memories (${formatBytes(stat.size)})`);
+    const dbPath = path.join(CORTEX_DIR, 'data', 'memories.db');
+
+    if (fs.existsSync(dbPath)) {
+      // Tiers are rows of the MemoryStore; counting needs no decryption key
+      const { MemoryStore } = require(path.join(CORTEX_DIR, 'core', 'memory-store.cjs'));
+      const store = new MemoryStore({ dbPath, encryption: null });
+      await store.initialize();
+      let counts;
+      try {
+        counts = store.getCountByTier();
+      } finally {
+        store.close();
       }
 
-      // Skills
-      const skillsPath = path.join(CORTEX_DIR, 'data', 'skills', 'index.jsonl');
-      if (fs.existsSync(skillsPath)) {
-        const skillContent = fs.readFileSync(skillsPath, 'utf8');
-        const skillLines = skillContent.trim().split('\n').filter(l => l).length;
-        const skillStat = fs.statSync(skillsPath);
-        totalMemories += skillLines;
-        totalSize += skillStat.size;
-        console.log(`   ${c(icons.check, 'green')} skills/index.jsonl: ${c(formatNumber(skillLines), 'cyan')} skills (${formatBytes(skillStat.size)})`);
+      let totalMemories = 0;
+      for (const [tier, count] of Object.entries(counts)) {
+        totalMemories += count;
+        const icon = count > 0 ? c(icons.check, 'green') : c('-', 'dim');
+        console.log(`   ${icon} ${tier}: ${c(formatNumber(count), 'cyan')} memories`);
       }
 
       console.log(c('   ' + '-'.repeat(40), 'dim'));
-      console.log(`   ${icons.chart} Total: ${c(formatNumber(totalMemories), 'bold', 'cyan')} records (${formatBytes(totalSize)})`);
+      console.log(`   ${icons.chart} Total: ${c(formatNumber(totalMemories), 'bold', 'cyan')} records (${formatBytes(fs.statSync(dbPath).size)})`);
 
       if (totalMemories === 0) {
         printInfo('Tip: Run bootstrap --seed to populate from CLAUDE.md');
       }
     } else {
-      printWarning('Memories directory not created yet');
+      printWarning('Memory store not created yet');
       printInfo('Tip: Run bootstrap.cjs to initialize');
     }
   } catch (e) {
@@ -263,7 +256,7 @@ async function statusCommand(options) {
   console.log(c('='.repeat(60), 'dim'));
   const coreInstalled = fs.existsSync(CORTEX_DIR);
   const adaptersOk = fs.existsSync(path.join(CORTEX_DIR, 'adapters', 'index.cjs'));
-  const hasMemories = fs.existsSync(path.join(CORTEX_DIR, 'data', 'memories'));
+  const hasMemories = fs.existsSync(path.join(CORTEX_DIR, 'data', 'memories.db'));
 
   if (coreInstalled && adaptersOk && hasMemories) {
     console.log(`${icons.rocket} ${c('Cortex v' + VERSION + ' is installed and ready!', 'green', 'bold')}`);
@@ -285,113 +278,57 @@ async function statusCommand(options) {
 async function promoteCommand(options) {
   printHeader('Memory Tier Promotion', icons.rocket);
 
-  const spinner = createSpinner('Loading memory stores...');
+  const spinner = createSpinner('Opening memory store...');
   spinner.start();
 
+  let promoter = null;
   try {
-    const { JSONLStore } = require(path.join(CORTEX_DIR, 'core', 'storage.cjs'));
-    const { getTimestamp } = require(path.join(CORTEX_DIR, 'core', 'types.cjs'));
+    const { TierPromotion } = require(path.join(CORTEX_DIR, 'core', 'tier-promotion.cjs'));
 
-    // Load stores
-    const workingStore = new JSONLStore(path.join(CORTEX_DIR, 'data', 'memories', 'working.jsonl'));
-    const shortTermStore = new JSONLStore(path.join(CORTEX_DIR, 'data', 'memories', 'short-term.jsonl'));
-    const longTermStore = new JSONLStore(path.join(CORTEX_DIR, 'data', 'memories', 'long-term.jsonl'));
+    promoter = new TierPromotion({ basePath: CORTEX_DIR, verbose: options.verbose });
+    const init = await promoter.initialize();
+    if (!init.success) {
+      throw new Error(`Could not open the memory store: ${init.error}`);
+    }
 
-    await Promise.all([
-      workingStore.load(),
-      shortTermStore.load(),
-      longTermStore.load(),
-    ]);
+    spinner.stop('memory store opened');
 
-    spinner.stop('stores loaded');
+    printSection('Current State', icons.chart);
+    console.log(`   Working Memory: ${c(formatNumber(init.stores.working.count), 'cyan')} records`);
+    console.log(`   Short-Term: ${c(formatNumber(init.stores.shortTerm.count), 'cyan')} records`);
+    console.log(`   Long-Term: ${c(formatNumber(init.stores.longTerm.count), 'cyan')} records`);
+
+    // Tier moves and deletions follow TierPromotion's rules (see tier-promotion.cjs)
+    const outcome = await promoter.promote({ dryRun: Boolean(options.dryRun) });
+    if (!outcome.success) {
+      throw new Error(outcome.error);
+    }
 
-    // Get current counts
-    const workingRecords = workingStore.getAll();
-    const shortTermRecords = shortTermStore.getAll();
-    const longTermRecords = longTermStore.getAll();
+    const { promoted, deleted, errors, stats } = outcome.results;
+    const promotedToShortTerm = promoted.workingToShortTerm.length;
+    const promotedToLongTerm = promoted.shortTermToLongTerm.length;
 
-    printSection('Current State', icons.chart);
-    console.log(`   Working Memory: ${c(formatNumber(workingRecords.length), 'cyan')} records`);
-    console.log(`   Short-Term: ${c(formatNumber(shortTermRecords.length), 'cyan')} records`);
-    console.log(`   Long-Term: ${c(formatNumber(longTermRecords.length), 'cyan')} records`);
-
-    // Define promotion thresholds
-    const NOW = Date.now();
-    const WORKING_TO_SHORT_TERM_AGE = 24 * 60 * 60 * 1000;  // 24 hours
-    const SHORT_TERM_TO_LONG_TERM_AGE = 7 * 24 * 60 * 60 * 1000;  // 7 days
-    const MIN_USEFULNESS_FOR_LONG_TERM = 0.6;
-
-    // Promotion logic
-    let promotedToShortTerm = 0;
-    let promotedToLongTerm = 0;
-    let archived = 0;
-
-    // Working -> Short-Term: Age > 24h
     console.log();
     printSection('Promoting Working -> Short-Term', icons.arrow);
-    for (const record of workingRecords) {
-      const recordAge = NOW - new Date(record.createdAt).getTime();
-      if (recordAge > WORKING_TO_SHORT_TERM_AGE) {
-        if (!options.dryRun) {
-          await shortTermStore.append({
-            ...record,
-            tier: 'short-term',
-            promotedAt: getTimestamp(),
-            promotedFrom: 'working',
-          });
-          await workingStore.softDelete(record.id);
-        }
-        promotedToShortTerm++;
-      }
-    }
     console.log(`   ${promotedToShortTerm > 0 ? c(icons.check, 'green') : '-'} ${promotedToShortTerm} records ${options.dryRun ? '(would be promoted)' : 'promoted'}`);
 
-    // Short-Term -> Long-Term: Age > 7 days AND usefulness >= 0.6
     console.log();
     printSection('Promoting Short-Term -> Long-Term', icons.arrow);
-    for (const record of shortTermRecords) {
-      const recordAge = NOW - new Date(record.createdAt).getTime();
-      const usefulness = record.usefulness || record.score || 0.5;
-
-      if (recordAge > SHORT_TERM_TO_LONG_TERM_AGE && usefulness >= MIN_USEFULNESS_FOR_LONG_TERM) {
-        if (!options.dryRun) {
-          await longTermStore.append({
-            ...record,
-            tier: 'long-term',
-            promotedAt: getTimestamp(),
-            promotedFrom: 'short-term',
-          });
-          await shortTermStore.softDelete(record.id);
-        }
-        promotedToLongTerm++;
-      } else if (recordAge > SHORT_TERM_TO_LONG_TERM_AGE * 4) {
-        // Archive old low-usefulness records (older than 28 days)
-        if (!options.dryRun) {
-          await shortTermStore.softDelete(record.id);
-        }
-        archived++;
-      }
-    }
     console.log(`   ${promotedToLongTerm > 0 ? c(icons.check, 'green') : '-'} ${promotedToLongTerm} records ${options.dryRun ? '(would be promoted)' : 'promoted'}`);
-    console.log(`   ${archived > 0 ? c(icons.check, 'yellow') : '-'} ${archived} low-value records ${options.dryRun ? '(would be archived)' : 'archived'}`);
+    console.log(`   ${deleted.length > 0 ? c(icons.check, 'yellow') : '-'} ${deleted.length} low-value records ${options.dryRun ? '(would be deleted)' : 'deleted'}`);
 
-    // Compact stores if not dry run
-    if (!options.dryRun && (promotedToShortTerm > 0 || promotedToLongTerm > 0 || archived > 0)) {
-      console.log();
-      printSection('Compacting stores', icons.gear);
-      const workingCompact = await workingStore.compact({ removeDeleted: true });
-      const shortTermCompact = await shortTermStore.compact({ removeDeleted: true });
-      console.log(`   ${c(icons.check, 'green')} Working: ${workingCompact.before} -> ${workingCompact.after} records`);
-      console.log(`   ${c(icons.check, 'green')} Short-Term: ${shortTermCompact.before} -> ${shortTermCompact.after} records`);
+    for (const error of errors) {
+      printWarning(`${error.id}: ${error.operation} failed (${error.error})`);
     }
 
     // Summary
     console.log();
     console.log(c('='.repeat(60), 'dim'));
-    const total = promotedToShortTerm + promotedToLongTerm + archived;
+    const total = promotedToShortTerm + promotedToLongTerm + deleted.length;
     if (total > 0) {
       console.log(`${icons.sparkle} ${c(options.dryRun ? 'Dry run complete.' : 'Promotion complete!', 'green', 'bold')}`);
       console.log(`   ${formatNumber(total)} total records processed`);
+      console.log(`   Working ${stats.workingAfter}, short-term ${stats.shortTermAfter}, long-term ${stats.longTermAfter}${options.dryRun ? ' (projected)' : ''}`);
     } else {
       console.log(`${icons.info} ${c('No records ready for promotion.', 'yellow')}`);
     }
@@ -408,6 +345,8 @@ async function promoteCommand(options) {
       console.error(error.stack);
     }
     process.exit(1);
+  } finally {
+    if (promoter?.memoryStore?.isOpen()) promoter.memoryStore.close();
   }
 }
 
@@ -421,30 +360,23 @@ async function consolidateCommand(options) {
   const spinner = createSpinner('Analyzing memories...');
   spinner.start();
 
+  let promoter = null;
   try {
-    const { JSONLStore } = require(path.join(CORTEX_DIR, 'core', 'storage.cjs'));
-    const { generateId, getTimestamp } = require(path.join(CORTEX_DIR, 'core', 'types.cjs'));
+    const { TierPromotion } = require(path.join(CORTEX_DIR, 'core', 'tier-promotion.cjs'));
+    const { MEMORY_TIERS } = require(path.join(CORTEX_DIR, 'core', 'memory-store.cjs'));
 
-    // Load all memory stores
-    const workingStore = new JSONLStore(path.join(CORTEX_DIR, 'data', 'memories', 'working.jsonl'));
-    const shortTermStore = new JSONLStore(path.join(CORTEX_DIR, 'data', 'memories', 'short-term.jsonl'));
-    const longTermStore = new JSONLStore(path.join(CORTEX_DIR, 'data', 'memories', 'long-term.jsonl'));
+    promoter = new TierPromotion({ basePath: CORTEX_DIR, verbose: options.verbose });
+    const init = await promoter.initialize();
+    if (!init.success) {
+      throw new Error(`Could not open the memory store: ${init.error}`);
+    }
+    const store = promoter.memoryStore;
 
-    await Promise.all([
-      workingStore.load(),
-      shortTermStore.load(),
-      longTermStore.load(),
-    ]);
+    // Active memories of every tier
+    const allRecords = MEMORY_TIERS.flatMap(tier => promoter.getTierRecords(tier));
 
     spinner.stop('memories loaded');
 
-    // Get all records
-    const allRecords = [
-      ...workingStore.getAll(),
-      ...shortTermStore.getAll(),
-      ...longTermStore.getAll(),
-    ].filter(r => r.status !== 'deleted');
-
     printSection('Analysis', icons.chart);
     console.log(`   Total memories: ${c(formatNumber(allRecords.length), 'cyan')}`);
 
@@ -490,10 +422,10 @@ async function consolidateCommand(options) {
       printSection('Merging duplicates', icons.gear);
 
       for (const group of duplicates) {
-        // Keep the one with highest usefulness or most recent
+        // Keep the one with the highest quality or most recent
         group.sort((a, b) => {
-          const useA = a.usefulness || a.score || 0;
-          const useB = b.usefulness || b.score || 0;
+          const useA = a.qualityScore || 0;
+          const useB = b.qualityScore || 0;
           if (useA !== useB) return useB - useA;
           return new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt);
         });
@@ -501,35 +433,31 @@ async function consolidateCommand(options) {
         const keeper = group[0];
         const toRemove = group.slice(1);
 
-        // Merge tags and boost usefulness
+        // Merge tags and boost quality
         const allTags = new Set(keeper.tags || []);
-        let boostedUsefulness = keeper.usefulness || keeper.score || 0.5;
+        let boostedQuality = keeper.qualityScore || 0.5;
 
         for (const record of toRemove) {
           for (const tag of (record.tags || [])) {
             allTags.add(tag);
           }
           // Slight boost for having duplicates (validates the memory)
-          boostedUsefulness += 0.05;
+          boostedQuality += 0.05;
         }
 
         if (!options.dryRun) {
-          // Update keeper with merged data
-          await longTermStore.update(keeper.id, {
+          // Update keeper with merged data; the version history records what was merged
+          store.update(keeper.id, {
             tags: Array.from(allTags),
-            usefulness: Math.min(boostedUsefulness, 1.0),
-            mergedFrom: toRemove.map(r => r.id),
-            consolidatedAt: getTimestamp(),
+            quality_score: Math.min(boostedQuality, 1.0),
+          }, {
+            changedBy: 'cortex:consolidate',
+            reason: `Merged duplicates ${toRemove.map(r => r.id).join(', ')}`,
           });
 
-          // Remove duplicates
+          // Remove duplicates (soft delete)
           for (const record of toRemove) {
-            const stores = [workingStore, shortTermStore, longTermStore];
-            for (const store of stores) {
-              if (store.get(record.id)) {
-                await store.softDelete(record.id);
-              }
-            }
+            store.delete(record.id);
           }
         }
 
@@ -567,16 +495,6 @@ async function consolidateCommand(options) {
       console.log('   No recurring patterns found yet');
     }
 
-    // Compact stores if not dry run
-    if (!options.dryRun && removedCount > 0) {
-      console.log();
-      printSection('Compacting stores', icons.gear);
-      await workingStore.compact({ removeDeleted: true });
-      await shortTermStore.compact({ removeDeleted: true });
-      await longTermStore.compact({ removeDeleted: true });
-      console.log(`   ${c(icons.check, 'green')} All stores compacted`);
-    }
-
     // Summary
     console.log();
     console.log(c('='.repeat(60), 'dim'));
@@ -593,6 +511,8 @@ async function consolidateCommand(options) {
       console.error(error.stack);
     }
     process.exit(1);
+  } finally {
+    if (promoter?.memoryStore?.isOpen()) promoter.memoryStore.close();
   }
 }
 
@@ -728,49 +648,23 @@ ${c('Examples:', 'bold')}
 // =============================================================================
 
 async function exportVaultCommand(options) {
-  printHeader('Export Obsidian Vault', icons.folder);
+  const json = options.format === 'json';
+  if (!json) printHeader('Export Obsidian Vault', icons.folder);
 
-  const spinner = createSpinner('Collecting memories from adapters');
+  const spinner = json ? { start() {}, stop() {}, fail() {} } : createSpinner('Collecting memories from adapters');
   spinner.start();
 
   try {
-    const { createDefaultRegistry } = require(path.join(CORTEX_DIR, 'adapters', 'index.cjs'));
-    const { ObsidianVaultExporter } = require(path.join(CORTEX_DIR, 'core', 'obsidian-vault.cjs'));
+    const { ObsidianVaultExporter, collectVaultRecords } = require(path.join(CORTEX_DIR, 'core', 'obsidian-vault.cjs'));
 
-    const registry = createDefaultRegistry({
-      basePath: options.basePath || '~/.claude/memory',
-      verbose: options.verbose,
-      adapters: {
-        markdownTree: {
-          enabled: Array.isArray(options.markdownDir) && options.markdownDir.length > 0,
-          roots: (options.markdownDir || []).map(dir => ({
-            name: path.basename(dir),
-            path: dir,
-          })),
-        },
-      },
-    });
-
-    const context = {
-      projectHash: null,
-      projectName: null,
-      projectType: null,
-      intent: null,
-      intentConfidence: 0,
-      tags: [],
-      domains: [],
-      gitBranch: null,
-    };
-
-    const result = await registry.queryAll(context, {
+    const records = await collectVaultRecords({
+      basePath: options.basePath,
       limit: options.limit,
+      source: options.source,
+      markdownDirs: options.markdownDir,
+      verbose: options.verbose,
     });
 
-    let records = result.results;
-    if (options.source) {
-      records = records.filter(record => record._source === options.source);
-    }
-
     spinner.stop(`${records.length} memories collected`);
 
     const exporter = new ObsidianVaultExporter({
@@ -780,7 +674,36 @@ async function exportVaultCommand(options) {
       maxBodyChars: options.maxBodyChars,
     });
 
-    const exportResult = exporter.export(records);
+    let exportResult;
+    if (options.sync) {
+      const { VectorSearchProvider } = require(path.join(CORTEX_DIR, 'core', 'vector-search-provider.cjs'));
+      const provider = new VectorSearchProvider({ basePath: options.basePath });
+      const init = await provider.initialize();
+      if (!init.success) {
+        throw new Error(`Could not open the memory store: ${init.error}`);
+      }
+      try {
+        exportResult = exporter.sync(records, provider._memoryStore, { prefer: options.prefer, since: options.since });
+        // Vault edits bypass the provider; bring their embeddings up to date
+        await provider.reembed(exportResult.sync.updated);
+      } finally {
+        await provider.shutdown();
+      }
+    } else {
+      exportResult = exporter.export(records, { since: options.since });
+    }
+
+    if (json) {
+      console.log(JSON.stringify({
+        success: exportResult.success,
+        exportRoot: exportResult.exportRoot,
+        recordCount: exportResult.manifest.counts.records,
+        entityCount: exportResult.manifest.counts.entities,
+        changes: exportResult.changes,
+        sync: exportResult.sync,
+      }, null, 2));
+      return;
+    }
 
     console.log();
     printSection('Vault Export', icons.folder);
@@ -788,6 +711,26 @@ async function exportVaultCommand(options) {
     printStatus('Record count', c(String(exportResult.manifest.counts.records), 'cyan'));
     printStatus('Source count', c(String(Object.keys(exportResult.manifest.counts.bySource).length), 'cyan'));
     printStatus('Tag count', c(String(Object.keys(exportResult.manifest.counts.byTag).length), 'cyan'));
+    const { written, unchanged, removed } = exportResult.changes;
+    printStatus('Notes written', c(`${written} (${unchanged} unchanged, ${removed} removed)`, 'cyan'));
+
+    if (exportResult.sync) {
+      const { updated, invalidated, conflicts, skipped } = exportResult.sync;
+      console.log();
+      printSection('Vault Sync', icons.gear);
+      printStatus('Updated from vault', c(String(updated.length), 'cyan'));
+      printStatus('Invalidated (note deleted)', c(String(invalidated.length), 'cyan'));
+      printStatus('Conflicts', c(String(conflicts.length), conflicts.length > 0 ? 'yellow' : 'cyan'));
+      for (const conflict of conflicts) {
+        console.log(`   ${c(icons.warning, 'yellow')} ${conflict.file} ${c(`(${conflict.reason})`, 'dim')}`);
+      }
+      for (const skip of skipped) {
+        console.log(`   ${c(icons.info, 'dim')} ${skip.file} ${c(`skipped: ${skip.reason}`, 'dim')}`);
+      }
+      if (conflicts.length > 0) {
+        printInfo(`Conflicting notes were left untouched. Resolve with ${c('--prefer vault', 'cyan')} or ${c('--prefer store', 'cyan')}.`);
+      }
+    }
 
     if (Array.isArray(options.markdownDir) && options.markdownDir.length > 0) {
       console.log();
@@ -808,6 +751,66 @@ async function exportVaultCommand(options) {
   }
 }
 
+// =============================================================================
+// API TOKEN COMMANDS
+// =============================================================================
+
+function tokenCreateCommand(name, options) {
+  const { ApiTokenStore } = require('../src/core/api-tokens.cjs');
+  const store = new ApiTokenStore();
+
+  printHeader('Create API Token', icons.gear);
+
+  try {
+    const scopes = String(options.scopes || 'read').split(',').map(s => s.trim()).filter(Boolean);
+    const { token, record } = store.mint({ name, scopes });
+
+    printStatus('Name', c(record.name, 'cyan'));
+    printStatus('ID', c(record.id, 'cyan'));
+    printStatus('Scopes', c(record.scopes.join(', '), 'cyan'));
+    console.log();
+    console.log(`   ${c(token, 'bold')}`);
+    console.log();
+    printWarning('Copy this token now. Only its hash is stored; it cannot be shown again.');
+    printInfo(`Use it as: ${c(`Authorization: Bearer ${token.slice(0, 8)}...`, 'dim')}`);
+    console.log();
+  } catch (error) {
+    console.error(`\n${c(icons.cross, 'red')} Error: ${c(error.message, 'red')}`);
+    process.exit(1);
+  }
+}
+
+function tokenListCommand(options) {
+  const { ApiTokenStore } = require('../src/core/api-tokens.cjs');
+  const tokens = new ApiTokenStore().list({ includeRevoked: options.all });
+
+  printHeader('API Tokens', icons.gear);
+
+  if (tokens.length === 0) {
+    printInfo(`No tokens. Create one with: ${c('cortex-memory token create <name> --scopes read', 'cyan')}`);
+    console.log();
+    return;
+  }
+
+  for (const token of tokens) {
+    const state = token.revokedAt ? c('revoked', 'red') : c('active', 'green');
+    console.log(`   ${c(token.id, 'cyan')}  ${c(token.name, 'bold')}  [${token.scopes.join(', ')}]  ${state}`);
+    console.log(c(`      created ${token.createdAt}, last used ${token.lastUsedAt || 'never'}`, 'dim'));
+  }
+  console.log();
+}
+
+function tokenRevokeCommand(idOrName) {
+  const { ApiTokenStore } = require('../src/core/api-tokens.cjs');
+
+  if (new ApiTokenStore().revoke(idOrName)) {
+    console.log(`\n   ${c(icons.check, 'green')} Revoked ${c(idOrName, 'cyan')}\n`);
+  } else {
+    console.error(`\n${c(icons.cross, 'red')} No active token with id or name ${c(idOrName, 'red')}\n`);
+    process.exit(1);
+  }
+}
+
 // =============================================================================
 // MAIN CLI SETUP
 // =============================================================================
@@ -860,9 +863,34 @@ program
   .option('-r, --root-folder <name>', 'Generated root folder inside vault', 'Cortex Atlas')
   .option('--max-body-chars <number>', 'Maximum body characters per note', parseInt, 20000)
   .option('-c, --clean', 'Delete the generated root folder before export')
+  .option('--sync', 'Push note edits and deletions back into the memory store before exporting')
+  .option('--prefer <side>', 'Resolve sync conflicts in favour of the vault or the store')
+  .option('--since <timestamp>', "Only re-render records updated after this ISO time ('last' = previous export)")
+  .option('-f, --format <format>', 'Output format (table, json)', 'table')
   .option('-v, --verbose', 'Show detailed information')
   .action(exportVaultCommand);
 
+const tokenCommand = program
+  .command('token')
+  .description('Manage bearer tokens for the HTTP API bridge');
+
+tokenCommand
+  .command('create <name>')
+  .description('Mint a new token (printed once)')
+  .option('-s, --scopes <scopes>', 'Comma-separated scopes: read, write, admin', 'read')
+  .action(tokenCreateCommand);
+
+tokenCommand
+  .command('list')
+  .description('List tokens (hashes are never shown)')
+  .option('-a, --all', 'Include revoked tokens')
+  .action(tokenListCommand);
+
+tokenCommand
+  .command('revoke <idOrName>')
+  .description('Revoke a token by id or name')
+  .action(tokenRevokeCommand);
+
 program
   .command('setup-key [key]')
   .description('Set up your Anthropic API key for HyDE search and Haiku/Sonnet features')
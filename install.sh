@@ -165,12 +165,16 @@ function addHook(event, command, matcher) {
 
 addHook('SessionStart', 'node ' + dir + '/hooks/session-start.cjs');
 addHook('SessionEnd',   'node ' + dir + '/hooks/session-end.cjs');
+addHook('UserPromptSubmit', 'node ' + dir + '/hooks/user-prompt-submit.cjs');
+addHook('PostToolUse', 'node ' + dir + '/hooks/post-tool-use.cjs', 'Bash|Edit|MultiEdit|Write|NotebookEdit');
 addHook('PreCompact',   'node ' + dir + '/hooks/pre-compact.cjs', '*');
 addHook('Stop',         'node ' + dir + '/hooks/stop-hook.cjs', '*');
 
 fs.writeFileSync(sf, JSON.stringify(settings, null, 2));
 console.log('  ✓ SessionStart hook registered');
 console.log('  ✓ SessionEnd hook registered');
+console.log('  ✓ UserPromptSubmit hook registered (per-prompt recall)');
+console.log('  ✓ PostToolUse hook registered (error→fix learning)');
 console.log('  ✓ PreCompact hook registered');
 console.log('  ✓ Stop hook registered (insight capture)');
 REGISTER_HOOKS
@@ -208,7 +212,7 @@ echo -e "${GREEN}╚════════════════════
 echo
 echo -e "  Install path:  ${BLUE}$CORTEX_DIR${NC}"
 echo -e "  MCP server:    ${BLUE}cortex${NC} (registered in .claude.json)"
-echo -e "  Hooks:         ${BLUE}4 active${NC} (SessionStart, SessionEnd, PreCompact, Stop)"
+echo -e "  Hooks:         ${BLUE}6 active${NC} (SessionStart, SessionEnd, UserPromptSubmit, PostToolUse, PreCompact, Stop)"
 echo
 echo -e "  ${YELLOW}Restart Claude Code to activate.${NC}"
 echo
@@ -1,17 +1,36 @@
 /**
  * Cortex API for Obsidian Plugin
- * Communicates with Cortex MCP server and memory stores
+ * Talks to the Cortex HTTP API bridge (src/cortex/api-server.cjs)
  */
 
-import * as fs from 'fs';
-import * as path from 'path';
-import { spawn } from 'child_process';
+import { requestUrl } from 'obsidian';
+
+export interface CortexConnection {
+  /** Base URL of the API bridge, e.g. http://127.0.0.1:4000 */
+  serverUrl: string;
+  /** Bearer token from `cortex-memory token create` */
+  apiToken: string;
+}
+
+/** Memory as returned by GET /api/memories/:id */
+export interface StoredMemory {
+  id: string;
+  content: string;
+  summary?: string | null;
+  memory_type?: string;
+  tags?: string[];
+  source?: string;
+  source_id?: string | null;
+  extraction_confidence?: number;
+  created_at: string;
+  updated_at?: string;
+}
 
 export interface MemoryRecord {
   id: string;
   title: string;
   content: string;
-  summary?: string;
+  summary: string;
   type?: string;
   tags?: string[];
   source?: string;
@@ -19,13 +38,27 @@ export interface MemoryRecord {
   extractionConfidence?: number;
 }
 
-export interface SearchResult {
-  id: string;
-  title: string;
-  summary: string;
+export interface SearchResult extends MemoryRecord {
+  score: number;
+}
+
+export interface NewMemory {
+  content: string;
+  summary?: string;
+  memory_type?: string;
   tags?: string[];
-  confidence: number;
-  source: string;
+  source_id?: string;
+}
+
+/** Change event from GET /api/events */
+export interface MemoryEvent {
+  id: number;
+  type: 'insert' | 'update' | 'invalidate' | 'delete';
+  memory_id: string;
+  memory_type?: string;
+  source?: string;
+  details?: Record<string, unknown> | null;
+  created_at: string;
 }
 
 export interface VaultExportResult {
@@ -33,262 +66,204 @@ export interface VaultExportResult {
   exportRoot: string;
   recordCount: number;
   entityCount: number;
+  changes?: { written: number; unchanged: number; removed: number };
+}
+
+export interface VaultExportOptions {
+  /** Only re-render records updated after this ISO time ('last' = previous export) */
+  since?: string;
+}
+
+const EVENT_TYPES: MemoryEvent['type'][] = ['insert', 'update', 'invalidate', 'delete'];
+
+/** Longest note excerpt sent as a related-memories query */
+const RELATED_QUERY_CHARS = 500;
+
+/**
+ * Error returned by the API bridge (a serialized CortexError)
+ */
+export class CortexAPIError extends Error {
+  status: number;
+  code: string | null;
+
+  constructor(status: number, body: any) {
+    super(body?.message
+      ? `${body.message}${body.details ? `: ${body.details}` : ''}`
+      : `Cortex API request failed (HTTP ${status})`);
+    this.name = 'CortexAPIError';
+    this.status = status;
+    this.code = body?.code || null;
+  }
 }
 
 export class CortexAPI {
-  private cortexPath: string;
-  private memoryPath: string;
+  private connection: CortexConnection;
 
-  constructor(cortexPath: string) {
-    this.cortexPath = cortexPath.replace('~', process.env.HOME || '');
-    this.memoryPath = path.join(this.cortexPath, 'data/memories');
+  constructor(connection: CortexConnection) {
+    this.connection = connection;
   }
 
   /**
    * Search memories using Cortex hybrid search
    */
-  async search(query: string, options: { limit?: number; type?: string }): Promise<SearchResult[]> {
-    return new Promise((resolve, reject) => {
-      const args = [
-        path.join(this.cortexPath, 'bin/cortex.cjs'),
-        'search',
-        '--query',
-        query,
-        '--json',
-      ];
-
-      if (options.limit) {
-        args.push('--limit', String(options.limit));
-      }
-
-      const proc = spawn('node', args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-
-      let output = '';
-      proc.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      proc.on('close', (code) => {
-        if (code === 0) {
-          try {
-            const results = JSON.parse(output);
-            resolve(results);
-          } catch {
-            resolve([]);
-          }
-        } else {
-          reject(new Error('Search failed'));
-        }
-      });
-
-      proc.on('error', reject);
-    });
+  async search(query: string, options: { limit?: number } = {}): Promise<SearchResult[]> {
+    const params = new URLSearchParams({ q: query, limit: String(options.limit || 10) });
+    const response = await this.request('GET', `/api/search?${params}`);
+    return (response.results || []).map((result: any) => ({
+      ...toRecord(result.memory),
+      score: result.score,
+    }));
   }
 
   /**
-   * Import a note into Cortex memory
+   * Memories related to a note: searches with its title, tags and opening text
    */
-  async importNote(note: MemoryRecord): Promise<boolean> {
-    return new Promise((resolve) => {
-      const workingFile = path.join(this.memoryPath, 'working.jsonl');
-      const line = JSON.stringify({
-        ...note,
-        importedAt: new Date().toISOString(),
-        _source: 'obsidian-plugin',
-      }) + '\n';
-
-      fs.appendFile(workingFile, line, (err) => {
-        if (err) {
-          resolve(false);
-        } else {
-          resolve(true);
-        }
-      });
-    });
+  async related(note: { title: string; content: string; tags?: string[] }, limit = 5): Promise<SearchResult[]> {
+    const body = note.content
+      .replace(/^---\n[\s\S]*?\n---\n/, '')
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/[#>*_`[\]|]/g, ' ')
+      .trim();
+    // Words like "status:done" or "p<0.05" would be parsed as (invalid) query filters
+    const query = [note.title, ...(note.tags || []), body].join(' ')
+      .replace(/\S*[:<>=]\S*/g, ' ')
+      .replace(/\s+/g, ' ')
+      .slice(0, RELATED_QUERY_CHARS)
+      .trim();
+    if (!query) return [];
+
+    const response = await this.request('POST', '/api/query', { query, limit });
+    return (response.results || []).map((result: any) => ({
+      ...toRecord(result.memory),
+      score: result.score,
+    }));
   }
 
   /**
-   * Export Cortex memories to Obsidian vault
+   * Create a memory (source "user")
    */
-  async exportVault(vaultPath: string): Promise<VaultExportResult> {
-    return new Promise((resolve, reject) => {
-      const args = [
-        path.join(this.cortexPath, 'bin/cortex.cjs'),
-        'export-vault',
-        '--vault-path',
-        vaultPath.replace('~', process.env.HOME || ''),
-        '--root-folder',
-        'Cortex Atlas',
-        '--json',
-      ];
-
-      const proc = spawn('node', args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-
-      let output = '';
-      proc.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      proc.on('close', (code) => {
-        if (code === 0) {
-          try {
-            const result = JSON.parse(output);
-            resolve(result);
-          } catch {
-            resolve({
-              success: true,
-              exportRoot: path.join(vaultPath.replace('~', process.env.HOME || ''), 'Cortex Atlas'),
-              recordCount: 0,
-              entityCount: 0,
-            });
-          }
-        } else {
-          reject(new Error('Export failed'));
-        }
-      });
+  async createMemory(memory: NewMemory): Promise<MemoryRecord> {
+    return toRecord(await this.request('POST', '/api/memories', memory));
+  }
 
-      proc.on('error', reject);
-    });
+  /**
+   * Fetch one memory
+   */
+  async getMemory(id: string): Promise<MemoryRecord> {
+    return toRecord(await this.request('GET', `/api/memories/${encodeURIComponent(id)}`));
   }
 
   /**
    * Get memory statistics
    */
-  async getStats(): Promise<{
-    totalRecords: number;
-    byType: Record<string, number>;
-    bySource: Record<string, number>;
-    vectorCount: number;
-  }> {
-    const stats = {
-      totalRecords: 0,
-      byType: {},
-      bySource: {},
-      vectorCount: 0,
+  async getStats(): Promise<{ totalRecords: number; vectorCount: number }> {
+    const stats = await this.request('GET', '/api/stats');
+    return {
+      totalRecords: stats.totalMemories,
+      vectorCount: stats.vectorIndexSize,
     };
-
-    // Count records in each memory file
-    const memoryFiles = ['working.jsonl', 'short-term.jsonl', 'long-term.jsonl', 'insights.jsonl', 'learnings.jsonl'];
-    
-    for (const file of memoryFiles) {
-      const filePath = path.join(this.memoryPath, file);
-      if (fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.trim().split('\n').filter(Boolean);
-        stats.totalRecords += lines.length;
-
-        // Parse lines for type/source stats
-        for (const line of lines) {
-          try {
-            const record = JSON.parse(line);
-            if (record.type) {
-              stats.byType[record.type] = (stats.byType[record.type] || 0) + 1;
-            }
-            if (record._source) {
-              stats.bySource[record._source] = (stats.bySource[record._source] || 0) + 1;
-            }
-          } catch {
-            // Skip invalid lines
-          }
-        }
-      }
-    }
-
-    // Count vectors
-    const vectorIndex = path.join(this.cortexPath, 'data/vector/index.bin');
-    if (fs.existsSync(vectorIndex)) {
-      const mappingFile = path.join(this.cortexPath, 'data/vector/mapping.json');
-      if (fs.existsSync(mappingFile)) {
-        const mapping = JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
-        stats.vectorCount = Object.keys(mapping).length;
-      }
-    }
-
-    return stats;
   }
 
   /**
-   * Get recent memories
+   * Get recent memories, newest first
    */
   async getRecent(limit: number = 10): Promise<MemoryRecord[]> {
-    const workingFile = path.join(this.memoryPath, 'working.jsonl');
-    if (!fs.existsSync(workingFile)) {
-      return [];
-    }
-
-    const content = fs.readFileSync(workingFile, 'utf8');
-    const lines = content.trim().split('\n').filter(Boolean);
-    
-    return lines
-      .slice(-limit)
-      .map((line) => {
-        try {
-          return JSON.parse(line);
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean) as MemoryRecord[];
+    const params = new URLSearchParams({ limit: String(limit), orderBy: 'created_at', order: 'DESC' });
+    const response = await this.request('GET', `/api/memories?${params}`);
+    return (response.memories || []).map(toRecord);
   }
 
   /**
-   * Get entities from knowledge graph
+   * Follow memory changes over Server-Sent Events
+   *
+   * EventSource cannot send headers, so the token goes in `access_token`, and
+   * the server must allow Obsidian's origin (`app://obsidian.md`) in
+   * apiServer.cors.allowedOrigins. The browser reconnects on its own and
+   * replays missed events with Last-Event-ID.
+   *
+   * @returns Function that closes the stream
    */
-  async getEntities(): Promise<{ name: string; type: string; count: number }[]> {
-    const kgFile = path.join(this.cortexPath, 'knowledge-graph.jsonl');
-    if (!fs.existsSync(kgFile)) {
-      return [];
+  subscribe(onEvent: (event: MemoryEvent) => void, onError?: (error: Event) => void): () => void {
+    const url = new URL('/api/events', this.connection.serverUrl);
+    if (this.connection.apiToken) {
+      url.searchParams.set('access_token', this.connection.apiToken);
     }
 
-    const content = fs.readFileSync(kgFile, 'utf8');
-    try {
-      const graph = JSON.parse(content);
-      return graph.entities || [];
-    } catch {
-      return [];
+    const source = new EventSource(url.toString());
+    for (const type of EVENT_TYPES) {
+      source.addEventListener(type, (message) => {
+        try {
+          onEvent(JSON.parse((message as MessageEvent).data));
+        } catch (error) {
+          console.error('Cortex: malformed memory event', error);
+        }
+      });
     }
+    if (onError) source.onerror = onError;
+
+    return () => source.close();
   }
 
   /**
-   * Trigger Cortex reflection on a topic
+   * Export Cortex memories to Obsidian vault (incremental: unchanged notes are not rewritten)
+   *
+   * The bridge writes the notes itself, so it must run on the machine that holds the vault.
    */
-  async reflect(topic: string): Promise<string> {
-    return new Promise((resolve, reject) => {
-      const args = [
-        path.join(this.cortexPath, 'bin/cortex.cjs'),
-        'reflect',
-        '--topic',
-        topic,
-        '--json',
-      ];
+  async exportVault(vaultPath: string, options: VaultExportOptions = {}): Promise<VaultExportResult> {
+    return this.request('POST', '/api/vault/export', {
+      vaultPath,
+      rootFolder: 'Cortex Atlas',
+      since: options.since,
+    });
+  }
 
-      const proc = spawn('node', args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
+  /**
+   * Send a request to the API bridge
+   */
+  private async request(method: string, route: string, body?: unknown): Promise<any> {
+    const headers: Record<string, string> = {};
+    if (this.connection.apiToken) {
+      headers.Authorization = `Bearer ${this.connection.apiToken}`;
+    }
 
-      let output = '';
-      proc.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+    // requestUrl is not subject to CORS, unlike fetch from the app:// origin
+    const response = await requestUrl({
+      url: new URL(route, this.connection.serverUrl).toString(),
+      method,
+      headers,
+      contentType: body === undefined ? undefined : 'application/json',
+      body: body === undefined ? undefined : JSON.stringify(body),
+      throw: false,
+    });
 
-      proc.on('close', (code) => {
-        if (code === 0) {
-          try {
-            const result = JSON.parse(output);
-            resolve(result.summary || result.content || '');
-          } catch {
-            resolve(output);
-          }
-        } else {
-          reject(new Error('Reflection failed'));
-        }
-      });
+    let json: any = null;
+    try {
+      json = response.json;
+    } catch {
+      // Non-JSON body (proxy error page, empty response)
+    }
 
-      proc.on('error', reject);
-    });
+    if (response.status >= 400) {
+      throw new CortexAPIError(response.status, json);
+    }
+    return json;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Map a memory row to the record shape the views render
+ */
+function toRecord(memory: StoredMemory): MemoryRecord {
+  const summary = memory.summary || memory.content.slice(0, 200);
+  return {
+    id: memory.id,
+    title: summary.split('\n')[0].slice(0, 80),
+    content: memory.content,
+    summary,
+    type: memory.memory_type,
+    tags: memory.tags || [],
+    source: memory.source,
+    createdAt: memory.created_at,
+    extractionConfidence: memory.extraction_confidence,
+  };
+}
@@ -1,28 +1,32 @@
 import { Plugin, PluginSettingTab, App, Setting, Notice, TFile, TFolder, WorkspaceLeaf, Editor, MarkdownView, addIcon, Modal as OModal } from 'obsidian';
-import { CortexAPI } from './api';
+import { CortexAPI, CortexConnection, MemoryEvent } from './api';
 import { CortexView, CORTEX_VIEW_TYPE } from './view';
 import { CortexSuggest } from './suggest';
 
 const CORTEX_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/></svg>`;
 
-interface CortexPluginSettings {
-  cortexPath: string;
+interface CortexPluginSettings extends CortexConnection {
   vaultPath: string;
   autoSync: boolean;
   syncInterval: number;
   showGraphView: boolean;
   enableSuggestions: boolean;
   maxResults: number;
+  showRelated: boolean;
+  liveUpdates: boolean;
 }
 
 const DEFAULT_SETTINGS: CortexPluginSettings = {
-  cortexPath: '~/.claude/memory',
+  serverUrl: 'http://127.0.0.1:4000',
+  apiToken: '',
   vaultPath: '~/.obsidian-vault',
   autoSync: true,
   syncInterval: 300, // 5 minutes
   showGraphView: true,
   enableSuggestions: true,
   maxResults: 20,
+  showRelated: true,
+  liveUpdates: true,
 };
 
 export default class CortexPlugin extends Plugin {
@@ -30,12 +34,15 @@ export default class CortexPlugin extends Plugin {
   api: CortexAPI;
   cortexView: CortexView | null = null;
   syncInterval: NodeJS.Timeout | null = null;
+  private closeEvents: (() => void) | null = null;
+  private eventListeners = new Set<(event: MemoryEvent) => void>();
 
   async onload() {
     addIcon('cortex', CORTEX_ICON);
     
     await this.loadSettings();
-    this.api = new CortexAPI(this.settings.cortexPath);
+    // The API reads the settings object, so changes apply without a reload
+    this.api = new CortexAPI(this.settings);
 
     // Register Cortex sidebar view
     this.registerView(CORTEX_VIEW_TYPE, (leaf) => {
@@ -67,12 +74,37 @@ export default class CortexPlugin extends Plugin {
       callback: () => this.syncVault(),
     });
 
+    this.addCommand({
+      id: 'rebuild-cortex-vault',
+      name: 'Rebuild Cortex Vault (all records)',
+      callback: () => this.syncVault({ full: true }),
+    });
+
     this.addCommand({
       id: 'export-to-cortex',
       name: 'Export Current Note to Cortex',
       callback: () => this.exportCurrentNote(),
     });
 
+    this.addCommand({
+      id: 'create-memory-from-selection',
+      name: 'Create Memory from Selection',
+      editorCheckCallback: (checking, editor, view) => {
+        if (!editor.somethingSelected()) return false;
+        if (!checking) this.createMemoryFromSelection(editor, view.file);
+        return true;
+      },
+    });
+
+    this.addCommand({
+      id: 'show-related-memories',
+      name: 'Show Related Memories for Current Note',
+      callback: async () => {
+        await this.openCortexView();
+        await this.cortexView?.updateRelated(this.app.workspace.getActiveFile());
+      },
+    });
+
     // Register editor suggest (autocomplete for memory references)
     if (this.settings.enableSuggestions) {
       this.registerEditorSuggest(new CortexSuggest(this));
@@ -86,6 +118,17 @@ export default class CortexPlugin extends Plugin {
       this.startAutoSync();
     }
 
+    if (this.settings.liveUpdates) {
+      this.startLiveUpdates();
+    }
+
+    // Related memories follow the active note
+    this.registerEvent(
+      this.app.workspace.on('file-open', (file) => {
+        if (this.settings.showRelated) this.cortexView?.updateRelated(file);
+      })
+    );
+
     // Add status bar item
     const statusEl = this.addStatusBarItem();
     statusEl.textContent = '🧠 Cortex';
@@ -124,7 +167,13 @@ export default class CortexPlugin extends Plugin {
     const query = await this.prompt('Search Cortex Memory', 'Enter search query...');
     if (!query) return;
 
-    const results = await this.api.search(query, { limit: this.settings.maxResults });
+    let results;
+    try {
+      results = await this.api.search(query, { limit: this.settings.maxResults });
+    } catch (error) {
+      new Notice('✗ Search failed: ' + error.message);
+      return;
+    }
     
     if (results.length === 0) {
       new Notice('No memories found for: ' + query);
@@ -140,11 +189,17 @@ export default class CortexPlugin extends Plugin {
     new Notice(`Found ${results.length} memories`);
   }
 
-  async syncVault() {
+  async syncVault(options: { full?: boolean } = {}) {
     new Notice('Syncing Cortex vault...');
     try {
-      const result = await this.api.exportVault(this.settings.vaultPath);
-      new Notice(`✓ Vault synced: ${result.recordCount} records`);
+      // Only re-render records updated since the previous export unless a full rebuild was asked for
+      const result = await this.api.exportVault(this.settings.vaultPath, {
+        since: options.full ? undefined : 'last',
+      });
+      const changes = result.changes
+        ? ` (${result.changes.written} written, ${result.changes.removed} removed)`
+        : '';
+      new Notice(`✓ Vault synced: ${result.recordCount} records${changes}`);
     } catch (error) {
       new Notice('✗ Sync failed: ' + error.message);
     }
@@ -161,12 +216,11 @@ export default class CortexPlugin extends Plugin {
     const file = view.file;
     
     try {
-      await this.api.importNote({
-        id: `obsidian:${file.path}`,
-        title: file.name,
-        content: content,
-        source: 'obsidian',
-        createdAt: new Date().toISOString(),
+      await this.api.createMemory({
+        content,
+        summary: file.basename,
+        tags: ['obsidian'],
+        source_id: `obsidian:${file.path}`,
       });
       
       new Notice('✓ Note exported to Cortex');
@@ -184,13 +238,11 @@ export default class CortexPlugin extends Plugin {
     const content = await this.app.vault.read(file);
     
     try {
-      await this.api.importNote({
-        id: `obsidian:${file.path}`,
-        title: file.name,
-        content: content,
-        source: 'obsidian',
-        tags: [],
-        createdAt: new Date().toISOString(),
+      await this.api.createMemory({
+        content,
+        summary: file.basename,
+        tags: ['obsidian'],
+        source_id: `obsidian:${file.path}`,
       });
       
       new Notice(`✓ Exported: ${file.name}`);
@@ -199,6 +251,59 @@ export default class CortexPlugin extends Plugin {
     }
   }
 
+  async createMemoryFromSelection(editor: Editor, file: TFile | null) {
+    const content = editor.getSelection().trim();
+    if (!content) {
+      new Notice('Nothing selected');
+      return;
+    }
+
+    try {
+      const memory = await this.api.createMemory({
+        content,
+        summary: content.split('\n')[0].slice(0, 120),
+        tags: ['obsidian'],
+        source_id: file ? `obsidian:${file.path}` : undefined,
+      });
+      new Notice(`✓ Memory created: ${memory.title}`);
+    } catch (error) {
+      new Notice('✗ Create failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Register a listener for memory change events
+   * @returns Function that removes the listener
+   */
+  onMemoryEvent(listener: (event: MemoryEvent) => void): () => void {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  startLiveUpdates() {
+    this.stopLiveUpdates();
+    this.closeEvents = this.api.subscribe(
+      (event) => {
+        for (const listener of this.eventListeners) listener(event);
+      },
+      () => console.warn('Cortex: event stream disconnected, retrying')
+    );
+  }
+
+  /**
+   * Reconnect the event stream after the server URL or token changed
+   */
+  restartLiveUpdates() {
+    if (this.settings.liveUpdates) this.startLiveUpdates();
+  }
+
+  stopLiveUpdates() {
+    if (this.closeEvents) {
+      this.closeEvents();
+      this.closeEvents = null;
+    }
+  }
+
   startAutoSync() {
     if (this.syncInterval) {
       clearInterval(this.syncInterval);
@@ -220,6 +325,11 @@ export default class CortexPlugin extends Plugin {
     }
   }
 
+  onunload() {
+    this.stopAutoSync();
+    this.stopLiveUpdates();
+  }
+
   async loadSettings() {
     this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
   }
@@ -273,14 +383,52 @@ class CortexSettingTab extends PluginSettingTab {
     containerEl.createEl('h2', { text: 'Cortex Settings' });
 
     new Setting(containerEl)
-      .setName('Cortex Path')
-      .setDesc('Path to the Cortex memory directory')
+      .setName('Server URL')
+      .setDesc('Cortex HTTP API bridge (cortex-memory serve)')
       .addText(text => text
-        .setPlaceholder('~/.claude/memory')
-        .setValue(this.plugin.settings.cortexPath)
+        .setPlaceholder('http://127.0.0.1:4000')
+        .setValue(this.plugin.settings.serverUrl)
+        .onChange(async (value) => {
+          this.plugin.settings.serverUrl = value.trim();
+          await this.plugin.saveSettings();
+          this.plugin.restartLiveUpdates();
+        }));
+
+    new Setting(containerEl)
+      .setName('API Token')
+      .setDesc('Bearer token from `cortex-memory token create`; leave empty if auth is disabled')
+      .addText(text => {
+        text.inputEl.type = 'password';
+        text
+          .setValue(this.plugin.settings.apiToken)
+          .onChange(async (value) => {
+            this.plugin.settings.apiToken = value.trim();
+            await this.plugin.saveSettings();
+            this.plugin.restartLiveUpdates();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Live Updates')
+      .setDesc('Refresh the Cortex view from server events (needs app://obsidian.md in apiServer.cors.allowedOrigins)')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.liveUpdates)
+        .onChange(async (value) => {
+          this.plugin.settings.liveUpdates = value;
+          await this.plugin.saveSettings();
+          if (value) this.plugin.startLiveUpdates();
+          else this.plugin.stopLiveUpdates();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show Related Memories')
+      .setDesc('List memories related to the active note in the Cortex view')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showRelated)
         .onChange(async (value) => {
-          this.plugin.settings.cortexPath = value;
+          this.plugin.settings.showRelated = value;
           await this.plugin.saveSettings();
+          this.plugin.cortexView?.updateRelated(value ? this.app.workspace.getActiveFile() : null);
         }));
   }
 }
\ No newline at end of file
@@ -40,13 +40,15 @@ export class CortexSuggest extends EditorSuggest<any> {
   }
 
   async getSuggestions(context: EditorSuggestContext): Promise<any[]> {
-    const query = context.query.toLowerCase();
+    const query = context.query.trim();
     
     try {
-      const memories = await this.plugin.api.getRecent(20);
+      // Ranked search once the user has typed something, newest memories before that
+      const memories = query
+        ? await this.plugin.api.search(query, { limit: 20 })
+        : await this.plugin.api.getRecent(20);
       
       return memories
-        .filter(m => !query || m.title?.toLowerCase().includes(query) || m.content?.toLowerCase().includes(query))
         .map(m => ({
           title: m.title,
           id: m.id,
@@ -3,12 +3,17 @@
  * Displays memory search, recent memories, and graph view
  */
 
-import { ItemView, WorkspaceLeaf, setIcon, TFile, MarkdownView } from 'obsidian';
+import * as fs from 'fs';
+import * as path from 'path';
+import { ItemView, WorkspaceLeaf, setIcon, TFile, MarkdownView, Notice, debounce, getAllTags } from 'obsidian';
 import CortexPlugin from './main';
-import { CortexAPI } from './api';
+import { CortexAPI, MemoryRecord } from './api';
 
 export const CORTEX_VIEW_TYPE = 'cortex-view';
 
+/** Coalesce bursts of memory events (e.g. a session-end extraction) into one refresh */
+const LIVE_REFRESH_DELAY_MS = 1000;
+
 export class CortexView extends ItemView {
   private plugin: CortexPlugin;
   private api: CortexAPI;
@@ -16,6 +21,9 @@ export class CortexView extends ItemView {
   private resultsEl: HTMLElement;
   private recentEl: HTMLElement;
   private statsEl: HTMLElement;
+  private relatedEl: HTMLElement;
+  private relatedFile: TFile | null = null;
+  private unsubscribe: (() => void) | null = null;
 
   constructor(leaf: WorkspaceLeaf, plugin: CortexPlugin) {
     super(leaf);
@@ -64,6 +72,17 @@ export class CortexView extends ItemView {
     this.statsEl.className = 'cortex-stats';
     await this.updateStats();
 
+    // Memories related to the active note
+    const relatedHeader = container.appendChild(document.createElement('div'));
+    relatedHeader.className = 'cortex-section-header';
+    relatedHeader.textContent = 'Related to This Note';
+
+    this.relatedEl = container.appendChild(document.createElement('div'));
+    this.relatedEl.className = 'cortex-related';
+    if (this.plugin.settings.showRelated) {
+      await this.updateRelated(this.app.workspace.getActiveFile());
+    }
+
     // Recent memories
     const recentHeader = container.appendChild(document.createElement('div'));
     recentHeader.className = 'cortex-section-header';
@@ -88,10 +107,61 @@ export class CortexView extends ItemView {
     const graphBtn = actionsEl.appendChild(document.createElement('button'));
     graphBtn.textContent = 'Open Graph';
     graphBtn.onclick = () => this.openGraphView();
+
+    // Server events keep the lists current without polling
+    const refresh = debounce(() => this.refresh(), LIVE_REFRESH_DELAY_MS, true);
+    this.unsubscribe = this.plugin.onMemoryEvent(() => refresh());
   }
 
   async onClose() {
-    // Cleanup
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Reload stats, recent and related memories
+   */
+  async refresh() {
+    await Promise.all([
+      this.updateStats(),
+      this.updateRecent(),
+      this.plugin.settings.showRelated ? this.updateRelated(this.relatedFile) : Promise.resolve(),
+    ]);
+  }
+
+  /**
+   * Show memories related to a note (null clears the section)
+   */
+  async updateRelated(file: TFile | null) {
+    if (!this.relatedEl) return;
+    this.relatedFile = file;
+
+    if (!file || file.extension !== 'md') {
+      this.relatedEl.empty();
+      this.relatedEl.textContent = file ? '' : 'Open a note to see related memories';
+      return;
+    }
+
+    try {
+      const cache = this.app.metadataCache.getFileCache(file);
+      const tags = (cache ? getAllTags(cache) || [] : []).map(tag => tag.replace(/^#/, ''));
+      const content = await this.app.vault.cachedRead(file);
+      const related = await this.api.related({ title: file.basename, content, tags }, Math.min(5, this.plugin.settings.maxResults));
+
+      // The active note may have changed while the request was in flight
+      if (this.relatedFile !== file) return;
+
+      this.relatedEl.empty();
+      if (related.length === 0) {
+        this.relatedEl.textContent = 'No related memories';
+        return;
+      }
+      related.forEach((record) => this.renderRecord(this.relatedEl, record, 'cortex-related-item'));
+    } catch (error) {
+      console.error('Related failed:', error);
+      this.relatedEl.empty();
+      this.relatedEl.textContent = 'Cortex server unreachable';
+    }
   }
 
   private async search(query: string) {
@@ -162,29 +232,31 @@ export class CortexView extends ItemView {
       
       this.recentEl.empty();
       
-      recent.forEach((record) => {
-        const item = this.recentEl.appendChild(document.createElement('div'));
-        item.className = 'cortex-recent-item';
-        
-        const title = item.appendChild(document.createElement('div'));
-        title.className = 'cortex-recent-title';
-        title.textContent = record.title || record.id.slice(0, 30);
-        
-        const date = item.appendChild(document.createElement('div'));
-        date.className = 'cortex-recent-date';
-        date.textContent = new Date(record.createdAt).toLocaleDateString();
-        
-        item.onclick = () => this.openMemory(record);
-      });
+      recent.forEach((record) => this.renderRecord(this.recentEl, record, 'cortex-recent-item'));
     } catch (error) {
       console.error('Recent failed:', error);
     }
   }
 
+  private renderRecord(parent: HTMLElement, record: MemoryRecord, className: string) {
+    const item = parent.appendChild(document.createElement('div'));
+    item.className = className;
+    
+    const title = item.appendChild(document.createElement('div'));
+    title.className = 'cortex-recent-title';
+    title.textContent = record.title || record.id.slice(0, 30);
+    
+    const date = item.appendChild(document.createElement('div'));
+    date.className = 'cortex-recent-date';
+    date.textContent = new Date(record.createdAt).toLocaleDateString();
+    
+    item.onclick = () => this.openMemory(record);
+  }
+
   private async openGraphView() {
     // Open Cortex Atlas vault in Obsidian
     const vaultPath = this.plugin.settings.vaultPath.replace('~', process.env.HOME || '');
-    const atlasPath = path.join(vaultPath, 'Cortex Atlas', '00 Home.md');
+    const atlasPath = path.join(vaultPath, 'Cortex Atlas', '00 Welcome.md');
     
     if (fs.existsSync(atlasPath)) {
       await this.app.workspace.openLinkText(atlasPath, '');
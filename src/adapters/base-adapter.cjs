@@ -75,6 +75,12 @@
  * @property {MemoryType[]} [types] - Filter by memory types
  * @property {string} [projectHash] - Filter by project
  * @property {number} [minConfidence] - Minimum confidence threshold
+ * @property {string} [asOf] - Valid time for point-in-time queries (ISO 8601)
+ * @property {string} [knownAt] - Transaction time for point-in-time queries (ISO 8601)
+ * @property {string} [referenceTime] - Clock for recency and decay (ISO 8601, default: now)
+ * @property {boolean} [includeSuperseded] - Include memories whose validity window closed
+ * @property {import('../core/query-filters.cjs').QueryFilters} [filters] - Filter DSL terms (type:, tag:, ...)
+ * @property {boolean} [rerank] - Allow cross-encoder re-ranking (false for latency-sensitive callers)
  */
 
 /**
@@ -186,6 +192,24 @@ class BaseAdapter {
     throw new Error('normalize() must be implemented by subclass');
   }
 
+  /**
+   * Check if this adapter honours asOf/knownAt point-in-time queries
+   * Adapters without bi-temporal data are skipped for such queries.
+   * @returns {boolean} True if temporal queries are supported
+   */
+  supportsTemporalQuery() {
+    return false;
+  }
+
+  /**
+   * Check if this adapter honours filter DSL terms (QueryOptions.filters)
+   * Adapters that cannot apply them are skipped for filtered queries.
+   * @returns {boolean} True if filtered queries are supported
+   */
+  supportsFilterQuery() {
+    return false;
+  }
+
   // ---------------------------------------------------------------------------
   // OPTIONAL WRITE METHODS - Override in subclasses that support writes
   // ---------------------------------------------------------------------------
@@ -130,8 +130,10 @@ class EpisodicMemoryAdapter extends BaseAdapter {
   async _ensureEmbedder() {
     if (this._embedder) return this._embedder;
 
+    // The episodic-memory index is built with MiniLM, whatever Cortex itself uses
     const { getSharedEmbedder } = require('../core/embedder-provider.cjs');
-    this._embedder = getSharedEmbedder({ verbose: false });
+    const { DEFAULT_MODEL } = require('../core/embedder.cjs');
+    this._embedder = getSharedEmbedder({ model: DEFAULT_MODEL, verbose: false });
     return this._embedder;
   }
 
@@ -137,10 +137,17 @@ class AdapterRegistry {
    * Query all enabled adapters in parallel with graceful degradation
    * @param {import('./base-adapter.cjs').AnalysisContext} context
    * @param {import('./base-adapter.cjs').QueryOptions} [options]
+   * @param {number} [options.timeoutMs] - Upper bound on every adapter's own timeout
    * @returns {Promise<{results: import('./base-adapter.cjs').MemoryRecord[], stats: Record<string, import('./base-adapter.cjs').AdapterStats>}>}
    */
   async queryAll(context, options = {}) {
-    const enabledAdapters = this.getEnabled();
+    // Point-in-time queries only make sense for sources with bi-temporal data
+    const temporal = Boolean(options.asOf || options.knownAt);
+    // Likewise filter DSL terms need structured type/tag/quality columns
+    const filtered = Boolean(options.filters && Object.keys(options.filters).length > 0);
+    const enabledAdapters = this.getEnabled()
+      .filter(adapter => !temporal || adapter.supportsTemporalQuery())
+      .filter(adapter => !filtered || adapter.supportsFilterQuery());
     const stats = {};
     const { onAdapterComplete } = options;
 
@@ -149,13 +156,16 @@ class AdapterRegistry {
       const startTime = Date.now();
       // Track cold start for vector adapter
       const wasColdStart = adapter.name === 'vector' && !adapter._provider?.initialized;
+      const timeout = options.timeoutMs
+        ? Math.min(adapter.timeout, options.timeoutMs)
+        : adapter.timeout;
 
       try {
         // Race between query and timeout
         const results = await Promise.race([
           adapter.query(context, options),
           new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Timeout')), adapter.timeout)
+            setTimeout(() => reject(new Error('Timeout')), timeout)
           ),
         ]);
 
@@ -291,12 +301,11 @@ function createDefaultRegistry(config = {}) {
   registry.register(new JSONLAdapter({
     basePath,
     sources: config.adapters?.jsonl?.sources || [
-      { name: 'working', path: 'data/memories/working.jsonl', maxAge: 24 * 60 * 60 * 1000, priority: 1.0 },
-      { name: 'short-term', path: 'data/memories/short-term.jsonl', maxAge: 7 * 24 * 60 * 60 * 1000, priority: 0.9 },
-      { name: 'long-term', path: 'data/memories/long-term.jsonl', priority: 0.7 },
+      // Tier sources read MemoryStore; long-term comes from the vector adapter
+      { name: 'working', tier: 'working', maxAge: 24 * 60 * 60 * 1000, priority: 1.0 },
+      { name: 'short-term', tier: 'short-term', maxAge: 7 * 24 * 60 * 60 * 1000, priority: 0.9 },
       { name: 'insights', path: 'data/memories/insights.jsonl', priority: 0.85 },
       { name: 'learnings', path: 'data/memories/learnings.jsonl', priority: 0.8 },
-      { name: 'skills', path: 'data/skills/index.jsonl', priority: 0.8 },
     ],
   }));
 
@@ -363,6 +372,7 @@ function createDefaultRegistry(config = {}) {
     bm25Weight: vectorConfig.bm25Weight || 0.4,
     rrfK: vectorConfig.rrfK || 60,
     minScore: vectorConfig.minScore || 0.1,
+    mode: vectorConfig.mode,
   }));
 
   // Episodic Annotations Layer (attached to registry, not a regular adapter)
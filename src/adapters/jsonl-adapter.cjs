@@ -1,20 +1,139 @@
 /**
  * Cortex - Claude's Cognitive Layer - JSONL Adapter
  *
- * Queries local JSONL memory files (working, short-term, long-term, skills).
+ * Queries local memory files (insights, learnings, project files) and the
+ * recent lifecycle tiers (working, short-term). Tier sources read the `tier`
+ * column of the SQLite MemoryStore instead of a file; long-term memories are
+ * served by the vector adapter's hybrid search over the same table.
  * This adapter is ALWAYS available and provides the fastest access to memories.
  *
- * @version 1.1.0
+ * @version 1.2.0
  * @see Design: ../docs/design/memory-orchestrator.md#section-2.3.1
  */
 
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
 const { BaseAdapter } = require('./base-adapter.cjs');
 const { JSONLStore } = require('../core/storage.cjs');
+const { MemoryStore, memoryToRecord, recordToMemory } = require('../core/memory-store.cjs');
 const { expandPath } = require('../core/types.cjs');
 
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {number} Rows read per query when loading a tier */
+const TIER_PAGE_SIZE = 1000;
+
+/** @const {Object} Write target for records that belong in long-term memory */
+const LONG_TERM_TARGET = { name: 'long-term', tier: 'long-term', priority: 0.7 };
+
+// =============================================================================
+// TIER STORE
+// =============================================================================
+
+/**
+ * JSONLStore-compatible view of one MemoryStore tier
+ *
+ * Implements the subset of the JSONLStore interface the adapter uses, so a
+ * tier source is queried, updated and deleted like a file source. Records
+ * are read live from SQLite; nothing is cached between calls.
+ */
+class TierStore {
+  /**
+   * @param {string} tier - MemoryStore tier
+   * @param {function(boolean): Promise<MemoryStore|null>} openStore - Opens the shared store
+   *   (pass true to create the database when it does not exist yet)
+   */
+  constructor(tier, openStore) {
+    this.tier = tier;
+    this.openStore = openStore;
+    this.memoryStore = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Attach to the MemoryStore once its database exists (cheap to repeat)
+   */
+  async load() {
+    this.memoryStore = this.memoryStore || await this.openStore(false);
+    this.loaded = true;
+  }
+
+  /**
+   * @returns {Object[]} Active records of this tier
+   */
+  getAll() {
+    if (!this.memoryStore) return [];
+
+    const records = [];
+    for (let offset = 0; ; offset += TIER_PAGE_SIZE) {
+      const page = this.memoryStore.query({ tier: this.tier, limit: TIER_PAGE_SIZE, offset });
+      records.push(...page.map(memoryToRecord));
+      if (page.length < TIER_PAGE_SIZE) return records;
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} Record, or null if missing, deleted or in another tier
+   */
+  get(id) {
+    const memory = this.memoryStore?.get(id);
+    if (!memory || memory.tier !== this.tier || memory.status === 'deleted') return null;
+    return memoryToRecord(memory);
+  }
+
+  /**
+   * @param {Object} record - Tier record to insert into this tier
+   * @returns {Promise<{success: boolean, id: string}>}
+   */
+  async append(record) {
+    this.memoryStore = this.memoryStore || await this.openStore(true);
+    const { id } = await this.memoryStore.insert({
+      ...recordToMemory(record),
+      tier: this.tier,
+      source: 'jsonl',
+    });
+    return { success: true, id };
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} updates - camelCase record fields (unmapped fields are ignored)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async update(id, updates) {
+    if (!this.get(id)) {
+      return { success: false, error: 'Record not found' };
+    }
+    const { id: _id, tier: _tier, ...fields } = recordToMemory(updates);
+    return { success: Object.keys(fields).length === 0 || this.memoryStore.update(id, fields) };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async softDelete(id) {
+    if (!this.get(id)) {
+      return { success: false, error: 'Record not found' };
+    }
+    return { success: this.memoryStore.delete(id) };
+  }
+
+  /**
+   * @returns {Promise<{success: boolean, before: number, after: number}>}
+   */
+  async compact() {
+    // Deleted rows stay in SQLite for history; there is no file to rewrite
+    const count = this.getAll().length;
+    return { success: true, before: count, after: count };
+  }
+}
+
 // =============================================================================
 // JSONL ADAPTER
 // =============================================================================
@@ -27,7 +146,9 @@ class JSONLAdapter extends BaseAdapter {
   /**
    * @param {Object} config
    * @param {string} config.basePath - Base path for memory storage
-   * @param {Array<{name: string, path: string, maxAge?: number}>} config.sources - JSONL sources
+   * @param {Array<{name: string, path?: string, tier?: string, maxAge?: number}>} config.sources -
+   *   File sources (`path`, relative to basePath) and MemoryStore tier sources (`tier`)
+   * @param {MemoryStore} [config.memoryStore] - Store for tier sources (default: <basePath>/data/memories.db)
    */
   constructor(config = {}) {
     super({
@@ -43,22 +164,16 @@ class JSONLAdapter extends BaseAdapter {
     this.sources = config.sources || [
       {
         name: 'working',
-        path: 'data/memories/working.jsonl',
+        tier: 'working',
         maxAge: 24 * 60 * 60 * 1000,  // 24 hours
         priority: 1.0,
       },
       {
         name: 'short-term',
-        path: 'data/memories/short-term.jsonl',
+        tier: 'short-term',
         maxAge: 7 * 24 * 60 * 60 * 1000,  // 7 days
         priority: 0.9,
       },
-      {
-        name: 'long-term',
-        path: 'data/memories/long-term.jsonl',
-        maxAge: null,  // No expiry
-        priority: 0.7,
-      },
       {
         name: 'insights',
         path: 'data/memories/insights.jsonl',
@@ -71,14 +186,11 @@ class JSONLAdapter extends BaseAdapter {
         maxAge: null,  // No expiry
         priority: 0.8,
       },
-      {
-        name: 'skills',
-        path: 'data/skills/index.jsonl',
-        maxAge: null,
-        priority: 0.8,
-      },
     ];
 
+    this.memoryStore = config.memoryStore || null;
+    this.dbPath = path.join(this.basePath, 'data', 'memories.db');
+
     // Store cache (lazy-loaded)
     this._stores = new Map();
 
@@ -89,27 +201,59 @@ class JSONLAdapter extends BaseAdapter {
   /**
    * Get or create a store for a source
    * @private
-   * @param {string} sourcePath - Relative path to JSONL file
-   * @returns {JSONLStore}
+   * @param {Object} source - Source configuration
+   * @returns {{store: JSONLStore|TierStore, key: string}} Store and its cache key
    */
-  _getStore(sourcePath) {
-    const fullPath = path.join(this.basePath, sourcePath);
+  _getStore(source) {
+    const key = source.tier ? `tier:${source.tier}` : path.join(this.basePath, source.path);
 
-    if (!this._stores.has(fullPath)) {
-      this._stores.set(fullPath, new JSONLStore(fullPath, {
-        indexFn: r => r.id,
-      }));
+    if (!this._stores.has(key)) {
+      this._stores.set(key, source.tier
+        ? new TierStore(source.tier, create => this._openMemoryStore(create))
+        : new JSONLStore(key, { indexFn: r => r.id }));
     }
 
-    return this._stores.get(fullPath);
+    return { store: this._stores.get(key), key };
+  }
+
+  /**
+   * Get a loaded store for a source
+   * @private
+   * @param {Object} source - Source configuration
+   * @returns {Promise<JSONLStore|TierStore>}
+   */
+  async _loadStore(source) {
+    const { store, key } = this._getStore(source);
+    if (source.tier) {
+      // No file to load: retries until the database has been created
+      await store.load();
+    } else {
+      await this._ensureStoreLoaded(store, key);
+    }
+    return store;
+  }
+
+  /**
+   * Open the MemoryStore behind the tier sources
+   * @private
+   * @param {boolean} create - Create the database if it does not exist
+   * @returns {Promise<MemoryStore|null>} Null when there is no database yet
+   */
+  async _openMemoryStore(create) {
+    if (!this.memoryStore) {
+      if (!create && !fs.existsSync(this.dbPath)) return null;
+      this.memoryStore = new MemoryStore({ dbPath: this.dbPath });
+    }
+    if (!this.memoryStore.isOpen()) await this.memoryStore.initialize();
+    return this.memoryStore;
   }
 
   /**
    * Ensure a store is loaded with race condition protection
    * Uses Promise-based guard to prevent concurrent loads
    * @private
-   * @param {JSONLStore} store - The store instance
-   * @param {string} fullPath - Full path to the store file (used as cache key)
+   * @param {JSONLStore|TierStore} store - The store instance
+   * @param {string} fullPath - Store cache key (file path, or tier:<name>)
    */
   async _ensureStoreLoaded(store, fullPath) {
     // Already loaded - fast path
@@ -149,10 +293,7 @@ class JSONLAdapter extends BaseAdapter {
 
       for (const source of this.sources) {
         try {
-          const store = this._getStore(source.path);
-          const fullPath = path.join(this.basePath, source.path);
-          await this._ensureStoreLoaded(store, fullPath);
-          
+          const store = await this._loadStore(source);
           const records = store.getAll().map(r => this.normalize(r, source));
           allRecords.push(...records);
         } catch (error) {
@@ -202,17 +343,15 @@ class JSONLAdapter extends BaseAdapter {
    * @returns {Promise<import('./base-adapter.cjs').MemoryRecord[]>}
    */
   async _querySource(source, context) {
-    const store = this._getStore(source.path);
-    const fullPath = path.join(this.basePath, source.path);
-
     // Ensure store is loaded with race condition protection
-    await this._ensureStoreLoaded(store, fullPath);
+    const store = await this._loadStore(source);
 
     let records = store.getAll();
 
-    // Apply maxAge filter
+    // Apply maxAge filter (relative to the query's clock, see QueryOrchestrator referenceTime)
     if (source.maxAge) {
-      const cutoff = Date.now() - source.maxAge;
+      const now = context.timestamp ? Date.parse(context.timestamp) : Date.now();
+      const cutoff = now - source.maxAge;
       records = records.filter(r => {
         const ts = new Date(r.timestamp || r.createdAt || 0).getTime();
         return ts >= cutoff;
@@ -236,10 +375,8 @@ class JSONLAdapter extends BaseAdapter {
    */
   async isAvailable() {
     // JSONL adapter is always available if files exist
-    const fs = require('fs');
-
     for (const source of this.sources) {
-      const fullPath = path.join(this.basePath, source.path);
+      const fullPath = source.tier ? this.dbPath : path.join(this.basePath, source.path);
       if (fs.existsSync(fullPath)) {
         return true;
       }
@@ -261,9 +398,7 @@ class JSONLAdapter extends BaseAdapter {
 
     for (const source of this.sources) {
       try {
-        const store = this._getStore(source.path);
-        const fullPath = path.join(this.basePath, source.path);
-        await this._ensureStoreLoaded(store, fullPath);
+        const store = await this._loadStore(source);
         totalRecords += store.getAll().length;
       } catch {
         // Skip unavailable sources
@@ -375,11 +510,7 @@ class JSONLAdapter extends BaseAdapter {
     return this._executeWrite(async () => {
       // Determine target store based on record type or options
       const targetSource = this._selectWriteTarget(record, options);
-      const store = this._getStore(targetSource.path);
-      const fullPath = path.join(this.basePath, targetSource.path);
-
-      // Ensure store is loaded
-      await this._ensureStoreLoaded(store, fullPath);
+      const store = await this._loadStore(targetSource);
 
       // Check for duplicate if not overwriting
       if (!options.overwrite && record.id) {
@@ -418,7 +549,7 @@ class JSONLAdapter extends BaseAdapter {
   async update(id, updates, options = {}) {
     return this._executeWrite(async () => {
       // Find which store contains this record
-      const { store, fullPath } = await this._findRecordStore(id);
+      const { store } = await this._findRecordStore(id);
 
       if (!store) {
         return { success: false, error: 'Record not found' };
@@ -447,7 +578,7 @@ class JSONLAdapter extends BaseAdapter {
   async delete(id, options = {}) {
     return this._executeWrite(async () => {
       // Find which store contains this record
-      const { store, fullPath } = await this._findRecordStore(id);
+      const { store } = await this._findRecordStore(id);
 
       if (!store) {
         return { success: false, error: 'Record not found' };
@@ -492,18 +623,13 @@ class JSONLAdapter extends BaseAdapter {
    * @returns {Promise<import('./base-adapter.cjs').MemoryRecord|null>}
    */
   async getById(id) {
-    const { store, fullPath } = await this._findRecordStore(id);
+    const { store, source } = await this._findRecordStore(id);
     if (!store) return null;
 
     const record = store.get(id);
     if (!record) return null;
 
-    // Find source info for normalization
-    const sourceName = fullPath.replace(this.basePath + '/', '')
-      .replace('data/memories/', '')
-      .replace('.jsonl', '');
-
-    return this.normalize(record, { name: sourceName, priority: this.priority });
+    return this.normalize(record, { name: source.name, priority: this.priority });
   }
 
   /**
@@ -518,10 +644,7 @@ class JSONLAdapter extends BaseAdapter {
 
     for (const source of this.sources) {
       try {
-        const store = this._getStore(source.path);
-        const fullPath = path.join(this.basePath, source.path);
-        await this._ensureStoreLoaded(store, fullPath);
-
+        const store = await this._loadStore(source);
         const compactResult = await store.compact(options);
         results[source.name] = compactResult;
 
@@ -559,9 +682,9 @@ class JSONLAdapter extends BaseAdapter {
       };
     }
 
-    // Skills go to skills store
+    // Skills go to the skills source if configured, otherwise long-term
     if (record.type === 'skill') {
-      return this.sources.find(s => s.name === 'skills') || this.sources[3];
+      return this.sources.find(s => s.name === 'skills') || LONG_TERM_TARGET;
     }
 
     // High-priority/recent -> working memory
@@ -570,31 +693,29 @@ class JSONLAdapter extends BaseAdapter {
     }
 
     // Default to long-term for persistence
-    return this.sources.find(s => s.name === 'long-term') || this.sources[2];
+    return this.sources.find(s => s.name === 'long-term') || LONG_TERM_TARGET;
   }
 
   /**
    * Find which store contains a record by ID
    * @private
    * @param {string} id
-   * @returns {Promise<{store: JSONLStore|null, fullPath: string|null}>}
+   * @returns {Promise<{store: JSONLStore|TierStore|null, source: Object|null}>}
    */
   async _findRecordStore(id) {
     for (const source of this.sources) {
       try {
-        const store = this._getStore(source.path);
-        const fullPath = path.join(this.basePath, source.path);
-        await this._ensureStoreLoaded(store, fullPath);
+        const store = await this._loadStore(source);
 
         if (store.get(id)) {
-          return { store, fullPath };
+          return { store, source };
         }
       } catch {
         // Continue searching other stores
       }
     }
 
-    return { store: null, fullPath: null };
+    return { store: null, source: null };
   }
 }
 
@@ -10,8 +10,10 @@
  * - Reciprocal Rank Fusion (RRF) for result combination
  * - Automatic embedding generation on write
  * - Lazy initialization (no startup delay)
+ * - BM25-only mode that skips the embedding model and HNSW index entirely,
+ *   for latency-capped callers such as the UserPromptSubmit hook
  *
- * @version 1.0.0
+ * @version 1.1.0
  * @see Design: ../docs/plans/2026-02-01-unified-cortex-vector-design.md
  */
 
@@ -19,8 +21,17 @@
 
 const { BaseAdapter } = require('./base-adapter.cjs');
 const { getVectorSearchProvider } = require('../core/vector-search-provider.cjs');
+const { HybridSearch } = require('../core/hybrid-search.cjs');
+const { MemoryStore } = require('../core/memory-store.cjs');
 const { expandPath } = require('../core/types.cjs');
 
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string[]} Query modes: full hybrid search, or keyword search over the FTS5 index only */
+const QUERY_MODES = ['hybrid', 'bm25'];
+
 // =============================================================================
 // VECTOR SEARCH ADAPTER
 // =============================================================================
@@ -37,6 +48,9 @@ class VectorSearchAdapter extends BaseAdapter {
    * @param {number} [config.bm25Weight] - Weight for BM25 search (0-1)
    * @param {number} [config.rrfK] - RRF ranking parameter (default: 60)
    * @param {number} [config.minScore] - Minimum relevance score threshold
+   * @param {string} [config.mode='hybrid'] - 'hybrid', or 'bm25' to answer queries from the
+   *   MemoryStore's FTS5 index without loading the embedder or vector index
+   *   (returns nothing on an encrypted store)
    */
   constructor(config = {}) {
     super({
@@ -51,6 +65,10 @@ class VectorSearchAdapter extends BaseAdapter {
     this.bm25Weight = config.bm25Weight || 0.4;
     this.rrfK = config.rrfK || 60;
     this.minScore = config.minScore || 0.1;
+    this.mode = config.mode || 'hybrid';
+    if (!QUERY_MODES.includes(this.mode)) {
+      throw new Error(`Invalid vector adapter mode: ${this.mode}. Valid modes: ${QUERY_MODES.join(', ')}`);
+    }
 
     // Dynamic timeout: cold start needs more time for model loading + index init
     this._queryTimeout = 500;             // Warm queries: local computation
@@ -59,7 +77,8 @@ class VectorSearchAdapter extends BaseAdapter {
     // Replace static timeout with dynamic getter
     delete this.timeout;
     Object.defineProperty(this, 'timeout', {
-      get: () => this._provider?.initialized ? this._queryTimeout : this._coldStartTimeout,
+      // BM25 mode only opens SQLite, so it never pays the cold start
+      get: () => this.mode === 'bm25' || this._provider?.initialized ? this._queryTimeout : this._coldStartTimeout,
       enumerable: true,
       configurable: true,
     });
@@ -70,6 +89,10 @@ class VectorSearchAdapter extends BaseAdapter {
     this._initializationFailed = false;
     this._initializationError = null;
     this._isShutdown = false;
+
+    // BM25-only search over the MemoryStore (mode 'bm25', lazy-loaded)
+    this._keywordStore = null;
+    this._keywordSearch = null;  // Promise<HybridSearch>
   }
 
   /**
@@ -124,6 +147,70 @@ class VectorSearchAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Get or open the BM25-only search used in 'bm25' mode
+   * @private
+   * @returns {Promise<HybridSearch>}
+   */
+  async _getKeywordSearch() {
+    if (!this._keywordSearch) {
+      // Serialize concurrent first calls onto one store
+      this._keywordSearch = (async () => {
+        const store = new MemoryStore({ dbPath: `${this.basePath}/data/memories.db` });
+        await store.initialize();
+        this._keywordStore = store;
+        return new HybridSearch({
+          store: store.store,
+          encryption: store.encryption,
+          rrfK: this.rrfK,
+        });
+      })().catch(error => {
+        this._keywordSearch = null;
+        throw error;
+      });
+    }
+
+    return this._keywordSearch;
+  }
+
+  /**
+   * Keyword search for 'bm25' mode: any prompt keyword may match, ranked by BM25
+   * @private
+   * @param {import('./base-adapter.cjs').AnalysisContext} context
+   * @param {import('./base-adapter.cjs').QueryOptions} options
+   * @returns {Promise<import('./base-adapter.cjs').MemoryRecord[]>}
+   */
+  async _queryKeywords(context, options) {
+    const search = await this._getKeywordSearch();
+
+    // Project names and intents match far too broadly once words are OR'ed
+    const queryText = context._promptKeywords?.length
+      ? context._promptKeywords.slice(0, 8).join(' ')
+      : this._buildQueryText(context);
+
+    if (!queryText) {
+      return [];
+    }
+
+    const results = await search.search(queryText, {
+      mode: 'bm25',
+      matchAny: true,
+      limit: options.limit || 20,
+      // A type: filter term takes over type selection (as in VectorSearchProvider.search)
+      memoryType: options.filters?.types
+        ? undefined
+        : Array.isArray(options.types) ? options.types[0] : options.types,
+      projectHash: options.projectHash || context.projectHash,
+      asOf: options.asOf,
+      knownAt: options.knownAt,
+      includeSuperseded: options.includeSuperseded,
+      filters: options.filters,
+      referenceTime: options.referenceTime,
+    });
+
+    return results.map(r => this.normalize(r));
+  }
+
   // ---------------------------------------------------------------------------
   // ABSTRACT METHOD IMPLEMENTATIONS
   // ---------------------------------------------------------------------------
@@ -136,6 +223,10 @@ class VectorSearchAdapter extends BaseAdapter {
    */
   async query(context, options = {}) {
     return this._executeQuery(async () => {
+      if (this.mode === 'bm25') {
+        return this._queryKeywords(context, options);
+      }
+
       const provider = await this._getProvider();
 
       // Build query text from context
@@ -151,6 +242,12 @@ class VectorSearchAdapter extends BaseAdapter {
         types: options.types,
         projectHash: options.projectHash || context.projectHash,
         minScore: options.minConfidence || this.minScore,
+        asOf: options.asOf,
+        knownAt: options.knownAt,
+        includeSuperseded: options.includeSuperseded,
+        filters: options.filters,
+        rerank: options.rerank,
+        referenceTime: options.referenceTime,
       });
 
       // Normalize and return results (searchResult is { results, stats })
@@ -158,6 +255,22 @@ class VectorSearchAdapter extends BaseAdapter {
     });
   }
 
+  /**
+   * Vector store rows carry valid_from/valid_to/ingested_at
+   * @returns {boolean}
+   */
+  supportsTemporalQuery() {
+    return true;
+  }
+
+  /**
+   * Filter DSL terms map onto memory store columns
+   * @returns {boolean}
+   */
+  supportsFilterQuery() {
+    return true;
+  }
+
   /**
    * Build query text from analysis context
    * @private
@@ -172,6 +285,11 @@ class VectorSearchAdapter extends BaseAdapter {
       parts.push(context.intent);
     }
 
+    // Include prompt keywords so per-prompt lookups match on what was asked
+    if (context._promptKeywords?.length) {
+      parts.push(...context._promptKeywords.slice(0, 8));
+    }
+
     // Include relevant tags
     if (context.tags?.length) {
       parts.push(...context.tags.slice(0, 5));
@@ -196,7 +314,8 @@ class VectorSearchAdapter extends BaseAdapter {
 
   /**
    * Check if vector search is available
-   * Returns true if provider is initialized, false otherwise.
+   * Returns true if provider is initialized (in 'bm25' mode: if the MemoryStore
+   * opens), false otherwise.
    * Does NOT trigger re-initialization if provider was shut down.
    * @returns {Promise<boolean>}
    */
@@ -206,6 +325,15 @@ class VectorSearchAdapter extends BaseAdapter {
       return false;
     }
 
+    if (this.mode === 'bm25') {
+      try {
+        await this._getKeywordSearch();
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
     // If already initialized, return current state
     if (this._provider?.initialized) {
       return true;
@@ -231,6 +359,17 @@ class VectorSearchAdapter extends BaseAdapter {
    * @returns {import('./base-adapter.cjs').MemoryRecord}
    */
   normalize(rawData) {
+    // HybridSearch results wrap the row: { id, score, memory, superseded, ... }
+    if (rawData.memory) {
+      rawData = {
+        ...rawData.memory,
+        type: rawData.memory.memory_type,
+        embedding: null,
+        score: rawData.score,
+        superseded: rawData.superseded,
+      };
+    }
+
     return this._createBaseRecord({
       id: rawData.id,
       version: rawData.version || 1,
@@ -251,6 +390,11 @@ class VectorSearchAdapter extends BaseAdapter {
       status: rawData.status || 'active',
       createdAt: rawData.createdAt || rawData.created_at,
       updatedAt: rawData.updatedAt || rawData.updated_at,
+      // Bi-temporal fields
+      validFrom: rawData.validFrom || rawData.valid_from || null,
+      validTo: rawData.validTo || rawData.valid_to || null,
+      ingestedAt: rawData.ingestedAt || rawData.ingested_at || null,
+      superseded: rawData.superseded === true,
       // Search-specific metadata
       _source: 'vector',
       _sourcePriority: this.priority,
@@ -325,8 +469,6 @@ class VectorSearchAdapter extends BaseAdapter {
    */
   async update(id, updates, options = {}) {
     return this._executeWrite(async () => {
-      const provider = await this._getProvider();
-
       // Convert updates to internal format
       const internalUpdates = {};
 
@@ -340,6 +482,14 @@ class VectorSearchAdapter extends BaseAdapter {
       if (updates.lastUsed !== undefined) internalUpdates.last_used = updates.lastUsed;
       if (updates.decayScore !== undefined) internalUpdates.decay_score = updates.decayScore;
 
+      // Usage tracking after a BM25 query needs no re-embedding, so don't load the model for it
+      if (this.mode === 'bm25' && updates.content === undefined && updates.summary === undefined) {
+        await this._getKeywordSearch();
+        const success = this._keywordStore.update(id, internalUpdates);
+        return { success, id, affectedCount: success ? 1 : 0 };
+      }
+
+      const provider = await this._getProvider();
       const result = await provider.update(id, internalUpdates);
 
       return {
@@ -488,6 +638,9 @@ class VectorSearchAdapter extends BaseAdapter {
     if (this._provider?.initialized) {
       await this._provider.shutdown();
     }
+    this._keywordStore?.close();
+    this._keywordStore = null;
+    this._keywordSearch = null;
     this._provider = null;
     this._initPromise = null;
     this._initializationFailed = false;
@@ -502,4 +655,5 @@ class VectorSearchAdapter extends BaseAdapter {
 
 module.exports = {
   VectorSearchAdapter,
+  QUERY_MODES,
 };
@@ -0,0 +1,312 @@
+/**
+ * Cortex - Claude's Cognitive Layer - API Token Store
+ *
+ * Bearer tokens for the HTTP API bridge with:
+ * - Per-token scopes (read < write < admin)
+ * - SHA-256 hashes at rest (plaintext is shown once, at mint time)
+ * - Constant-time verification
+ * - Revocation and last-used tracking
+ *
+ * Tokens are stored in ~/.claude/memory/data/api-tokens.json (mode 0600).
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { expandPath, getTimestamp } = require('./types.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Default token file path */
+const DEFAULT_TOKENS_PATH = '~/.claude/memory/data/api-tokens.json';
+
+/** @const {string} Prefix of every plaintext token (helps secret scanners) */
+const TOKEN_PREFIX = 'ctx_';
+
+/** @const {string[]} Scopes in ascending order of privilege */
+const TOKEN_SCOPES = ['read', 'write', 'admin'];
+
+/** @const {number} Minimum interval between lastUsedAt writes (1 minute) */
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Hash a plaintext token for storage/comparison
+ * @param {string} token
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a set of granted scopes satisfies a required scope.
+ * Scopes are hierarchical: admin implies write, write implies read.
+ *
+ * @param {string[]} granted - Scopes on the token
+ * @param {string} required - Scope the operation needs
+ * @returns {boolean}
+ */
+function hasScope(granted, required) {
+  const needed = TOKEN_SCOPES.indexOf(required);
+  if (needed === -1) return false;
+  return (granted || []).some(scope => TOKEN_SCOPES.indexOf(scope) >= needed);
+}
+
+// =============================================================================
+// API TOKEN STORE
+// =============================================================================
+
+/**
+ * File-backed store of hashed API tokens
+ */
+class ApiTokenStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.tokensPath] - Path to the token file
+   */
+  constructor(options = {}) {
+    this.tokensPath = expandPath(options.tokensPath || DEFAULT_TOKENS_PATH);
+    this._tokens = null;
+    this._fileStamp = null;
+    this._lastUsedWrites = new Map();
+  }
+
+  // ===========================================================================
+  // PUBLIC METHODS
+  // ===========================================================================
+
+  /**
+   * Create a new token. The plaintext is only returned here.
+   *
+   * @param {Object} options
+   * @param {string} options.name - Human-readable label (e.g. "grafana")
+   * @param {string[]} [options.scopes=['read']] - Granted scopes
+   * @returns {{token: string, record: Object}}
+   */
+  mint(options = {}) {
+    const name = String(options.name || '').trim();
+    if (!name) {
+      throw new Error('Token name is required');
+    }
+
+    const scopes = options.scopes && options.scopes.length > 0 ? options.scopes : ['read'];
+    const invalid = scopes.filter(s => !TOKEN_SCOPES.includes(s));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid scope(s): ${invalid.join(', ')}. Valid scopes: ${TOKEN_SCOPES.join(', ')}`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: `tok_${crypto.randomBytes(6).toString('hex')}`,
+      name,
+      scopes: [...new Set(scopes)],
+      hash: hashToken(token),
+      createdAt: getTimestamp(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+
+    const tokens = this._load();
+    tokens.push(record);
+    this._save(tokens);
+
+    return { token, record: this._publicRecord(record) };
+  }
+
+  /**
+   * Revoke a token by id or name
+   *
+   * @param {string} idOrName
+   * @returns {boolean} True if a live token was revoked
+   */
+  revoke(idOrName) {
+    const tokens = this._load();
+    const record = tokens.find(t => !t.revokedAt && (t.id === idOrName || t.name === idOrName));
+    if (!record) return false;
+
+    record.revokedAt = getTimestamp();
+    this._save(tokens);
+    return true;
+  }
+
+  /**
+   * List tokens (without hashes)
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRevoked=false]
+   * @returns {Array<Object>}
+   */
+  list(options = {}) {
+    return this._load()
+      .filter(t => options.includeRevoked || !t.revokedAt)
+      .map(t => this._publicRecord(t));
+  }
+
+  /**
+   * Check whether any live token exists
+   * @returns {boolean}
+   */
+  hasTokens() {
+    return this._load().some(t => !t.revokedAt);
+  }
+
+  /**
+   * Verify a plaintext token
+   *
+   * @param {string} token - Plaintext bearer token
+   * @returns {Object|null} Public token record, or null if unknown/revoked
+   */
+  verify(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const candidate = Buffer.from(hashToken(token), 'hex');
+    const record = this._load().find(t => {
+      if (t.revokedAt) return false;
+      const stored = Buffer.from(t.hash, 'hex');
+      return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+    });
+
+    if (!record) return null;
+
+    this._touch(record);
+    return this._publicRecord(record);
+  }
+
+  /**
+   * Drop the in-memory cache (re-read the file on next access)
+   */
+  reload() {
+    this._tokens = null;
+    this._fileStamp = null;
+  }
+
+  // ===========================================================================
+  // PRIVATE METHODS
+  // ===========================================================================
+
+  /**
+   * Load tokens from disk
+   *
+   * The cache is kept while the file is unchanged, so a running server sees
+   * `token create` / `token revoke` from the CLI on its next request.
+   * @private
+   * @returns {Array<Object>}
+   */
+  _load() {
+    const stamp = this._readFileStamp();
+    if (this._tokens && stamp === this._fileStamp) return this._tokens;
+
+    this._tokens = this._readTokens();
+    this._fileStamp = stamp;
+    return this._tokens;
+  }
+
+  /**
+   * Parse the token file
+   * @private
+   * @returns {Array<Object>} Empty when the file is missing or unreadable
+   */
+  _readTokens() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.tokensPath, 'utf8'));
+      return Array.isArray(data.tokens) ? data.tokens : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Identity of the token file's current contents (saves replace the inode)
+   * @private
+   * @returns {string|null} Null when the file does not exist
+   */
+  _readFileStamp() {
+    try {
+      const stat = fs.statSync(this.tokensPath);
+      return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Atomically write tokens to disk with owner-only permissions
+   * @private
+   * @param {Array<Object>} tokens
+   */
+  _save(tokens) {
+    const dir = path.dirname(this.tokensPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    const tempPath = `${this.tokensPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: 1, tokens }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.tokensPath);
+    this._tokens = tokens;
+    this._fileStamp = this._readFileStamp();
+  }
+
+  /**
+   * Update lastUsedAt, throttled to avoid a disk write per request
+   *
+   * The write re-reads the file and only changes this record's lastUsedAt,
+   * so it never undoes a revoke or create made by another process.
+   * @private
+   * @param {Object} record
+   */
+  _touch(record) {
+    const now = Date.now();
+    const last = this._lastUsedWrites.get(record.id) || 0;
+    record.lastUsedAt = new Date(now).toISOString();
+
+    if (now - last < LAST_USED_WRITE_INTERVAL_MS) return;
+    this._lastUsedWrites.set(record.id, now);
+
+    try {
+      const tokens = this._readTokens();
+      const stored = tokens.find(t => t.id === record.id);
+      if (!stored) return;
+      stored.lastUsedAt = record.lastUsedAt;
+      this._save(tokens);
+    } catch {
+      // lastUsedAt is informational; never fail a request over it
+    }
+  }
+
+  /**
+   * Strip the hash from a record
+   * @private
+   * @param {Object} record
+   * @returns {Object}
+   */
+  _publicRecord(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, scopes: [...rest.scopes] };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  ApiTokenStore,
+  hashToken,
+  hasScope,
+  TOKEN_SCOPES,
+  TOKEN_PREFIX,
+  DEFAULT_TOKENS_PATH,
+};
@@ -57,6 +57,8 @@ class AuditLogger {
    * @param {string} options.logLevel - Minimum log level to record
    * @param {boolean} options.enabled - Whether logging is enabled
    * @param {boolean} options.consoleOutput - Also output to stderr
+   * @param {string} [options.sessionId] - Correlation ID (e.g. MCP session ID); generated if omitted
+   * @param {Object} [options.context] - Fields added to every entry (e.g. transport, client)
    */
   constructor(options = {}) {
     this.logDir = options.logDir || DEFAULT_LOG_DIR;
@@ -75,9 +77,13 @@ class AuditLogger {
     }
 
     // Session ID for correlating logs
-    this.sessionId = this._generateSessionId();
+    this.sessionId = options.sessionId || this._generateSessionId();
+    this.context = options.context || null;
     this.startTime = Date.now();
 
+    // Per-session counters (see getSessionStats)
+    this._sessionStats = { totalCalls: 0, errors: 0, rateLimited: 0 };
+
     // Log rotation state
     this._lastRotationCheck = 0;
     this._rotationCheckInterval = 60000; // Check every minute
@@ -179,6 +185,7 @@ class AuditLogger {
       timestamp: new Date().toISOString(),
       level,
       sessionId: this.sessionId,
+      ...this.context,
       event,
       ...data,
     };
@@ -251,6 +258,7 @@ class AuditLogger {
    */
   toolCallStart(toolName, args = {}) {
     const callId = `${toolName}-${Date.now()}-${Math.random().toString(36).substring(2, 6)}`;
+    this._sessionStats.totalCalls++;
 
     // Sanitize args: truncate long strings, remove sensitive data
     const sanitizedArgs = this._sanitizeArgs(args);
@@ -288,6 +296,7 @@ class AuditLogger {
    * @param {number} durationMs - Duration in milliseconds
    */
   toolCallError(callId, errorCode, errorMessage, durationMs) {
+    this._sessionStats.errors++;
     this._write('AUDIT', 'tool_call_error', {
       callId,
       errorCode,
@@ -303,6 +312,7 @@ class AuditLogger {
    * @param {number} retryAfter - Seconds until retry allowed
    */
   rateLimitHit(toolName, reason, retryAfter) {
+    this._sessionStats.rateLimited++;
     this._write('AUDIT', 'rate_limit_hit', {
       tool: toolName,
       reason,
@@ -348,14 +358,62 @@ class AuditLogger {
     });
   }
 
+  /**
+   * Log an HTTP API bridge request
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Request path (no query string)
+   * @param {number} request.status - Response status code
+   * @param {number} request.durationMs - Duration in milliseconds
+   * @param {Object|null} [request.token] - Public token record that made the call
+   * @param {string} [request.errorCode] - CortexError code when the call failed
+   */
+  apiRequest(request) {
+    this._write('AUDIT', 'api_request', {
+      method: request.method,
+      path: request.path,
+      status: request.status,
+      durationMs: request.durationMs,
+      tokenId: request.token?.id || null,
+      tokenName: request.token?.name || null,
+      errorCode: request.errorCode || undefined,
+    });
+  }
+
+  /**
+   * Log secrets/PII removed from captured text before persistence
+   * (detector names and counts only, never the matched values)
+   * @param {Object} report - Redactor report
+   * @param {string} report.source - Capture point (stop-hook, pre-compact, extraction-engine)
+   * @param {string} report.mode - Redaction mode
+   * @param {boolean} report.dropped - Whether the item was discarded
+   * @param {Object<string, number>} report.findings - Detector name -> matches
+   * @param {number} report.total - Total matches
+   * @param {string|null} [report.itemType] - Memory type of the item
+   * @param {string} [report.sessionId] - Claude session the text came from
+   */
+  redaction(report) {
+    this._write('AUDIT', 'redaction', {
+      source: report.source,
+      mode: report.mode,
+      dropped: report.dropped,
+      findings: report.findings,
+      total: report.total,
+      itemType: report.itemType || undefined,
+      claudeSessionId: report.sessionId || undefined,
+    });
+  }
+
   /**
    * Log session start
+   * @param {Object} [metadata] - Extra fields (e.g. transport, client name)
    */
-  sessionStart() {
+  sessionStart(metadata = {}) {
     this._write('AUDIT', 'session_start', {
       pid: process.pid,
       nodeVersion: process.version,
       platform: process.platform,
+      ...metadata,
     });
   }
 
@@ -369,6 +427,31 @@ class AuditLogger {
     });
   }
 
+  // ===========================================================================
+  // STATUS METHODS
+  // ===========================================================================
+
+  /**
+   * Whether entries are being written
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Get call counters for this logger's session
+   * @returns {{sessionId: string, context: Object|null, totalCalls: number, errors: number, rateLimited: number, uptimeMs: number}}
+   */
+  getSessionStats() {
+    return {
+      sessionId: this.sessionId,
+      context: this.context,
+      ...this._sessionStats,
+      uptimeMs: Date.now() - this.startTime,
+    };
+  }
+
   // ===========================================================================
   // HELPER METHODS
   // ===========================================================================
@@ -51,6 +51,33 @@ class ConfigValidator {
       }
     }
 
+    // Validate userPromptSubmit
+    if (config.userPromptSubmit) {
+      const ups = config.userPromptSubmit;
+      if (ups.enabled !== undefined && typeof ups.enabled !== 'boolean') {
+        errors.push('userPromptSubmit.enabled must be a boolean');
+      }
+      if (ups.timeoutMs !== undefined &&
+          (typeof ups.timeoutMs !== 'number' || ups.timeoutMs < 50 || ups.timeoutMs > 5000)) {
+        errors.push('userPromptSubmit.timeoutMs must be between 50 and 5000');
+      }
+      if (ups.maxMemories !== undefined &&
+          (!Number.isInteger(ups.maxMemories) || ups.maxMemories < 1 || ups.maxMemories > 10)) {
+        errors.push('userPromptSubmit.maxMemories must be an integer between 1 and 10');
+      }
+      if (ups.minRelevance !== undefined && (ups.minRelevance < 0 || ups.minRelevance > 1)) {
+        errors.push('userPromptSubmit.minRelevance must be between 0 and 1');
+      }
+      if (ups.searchMode !== undefined && !['bm25', 'hybrid'].includes(ups.searchMode)) {
+        errors.push('userPromptSubmit.searchMode must be bm25 or hybrid');
+      }
+    }
+
+    // Validate postToolUse
+    if (config.postToolUse?.enabled !== undefined && typeof config.postToolUse.enabled !== 'boolean') {
+      errors.push('postToolUse.enabled must be a boolean');
+    }
+
     // Validate sessionEnd
     if (config.sessionEnd) {
       if (typeof config.sessionEnd.enabled !== 'boolean') {
@@ -62,6 +89,10 @@ class ConfigValidator {
           errors.push('sessionEnd.extractionThreshold must be between 0 and 1');
         }
       }
+      if (config.sessionEnd.trackReferences !== undefined &&
+          typeof config.sessionEnd.trackReferences !== 'boolean') {
+        errors.push('sessionEnd.trackReferences must be a boolean');
+      }
     }
 
     // Validate queryOrchestrator
@@ -94,6 +125,149 @@ class ConfigValidator {
       }
     }
 
+    // Validate embedding
+    if (config.embedding) {
+      const embedding = config.embedding;
+      if (embedding.model !== undefined && (typeof embedding.model !== 'string' || !embedding.model)) {
+        errors.push('embedding.model must be a non-empty string');
+      }
+      if (embedding.dimension !== undefined &&
+          (!Number.isInteger(embedding.dimension) || embedding.dimension < 1)) {
+        errors.push('embedding.dimension must be a positive integer');
+      }
+      if (embedding.pooling !== undefined && !['mean', 'cls'].includes(embedding.pooling)) {
+        errors.push('embedding.pooling must be "mean" or "cls"');
+      }
+    }
+
+    // Validate reranking
+    if (config.reranking) {
+      const reranking = config.reranking;
+      for (const key of ['enabled', 'hooks']) {
+        if (reranking[key] !== undefined && typeof reranking[key] !== 'boolean') {
+          errors.push(`reranking.${key} must be a boolean`);
+        }
+      }
+      if (reranking.topN !== undefined &&
+          (!Number.isInteger(reranking.topN) || reranking.topN < 2 || reranking.topN > 100)) {
+        errors.push('reranking.topN must be an integer between 2 and 100');
+      }
+    }
+
+    // Validate spreading activation
+    if (config.spreadingActivation) {
+      const activation = config.spreadingActivation;
+      if (activation.enabled !== undefined && typeof activation.enabled !== 'boolean') {
+        errors.push('spreadingActivation.enabled must be a boolean');
+      }
+      if (activation.weight !== undefined &&
+          (typeof activation.weight !== 'number' || activation.weight < 0 || activation.weight > 1)) {
+        errors.push('spreadingActivation.weight must be between 0 and 1');
+      }
+      if (activation.hops !== undefined &&
+          (!Number.isInteger(activation.hops) || activation.hops < 1 || activation.hops > 5)) {
+        errors.push('spreadingActivation.hops must be an integer between 1 and 5');
+      }
+      if (activation.decay !== undefined &&
+          (typeof activation.decay !== 'number' || activation.decay <= 0 || activation.decay > 1)) {
+        errors.push('spreadingActivation.decay must be greater than 0 and at most 1');
+      }
+      if (activation.seeds !== undefined &&
+          (!Number.isInteger(activation.seeds) || activation.seeds < 1 || activation.seeds > 50)) {
+        errors.push('spreadingActivation.seeds must be an integer between 1 and 50');
+      }
+    }
+
+    // Validate redaction
+    if (config.redaction) {
+      const { REDACTION_MODES, BUILTIN_DETECTORS, compileRule } = require('./redactor.cjs');
+      const redaction = config.redaction;
+      if (redaction.enabled !== undefined && typeof redaction.enabled !== 'boolean') {
+        errors.push('redaction.enabled must be a boolean');
+      }
+      if (redaction.mode !== undefined && !REDACTION_MODES.includes(redaction.mode)) {
+        errors.push(`redaction.mode must be one of: ${REDACTION_MODES.join(', ')}`);
+      }
+      if (redaction.disabledDetectors !== undefined) {
+        const names = BUILTIN_DETECTORS.map(d => d.name);
+        if (!Array.isArray(redaction.disabledDetectors) ||
+            redaction.disabledDetectors.some(name => !names.includes(name))) {
+          errors.push(`redaction.disabledDetectors must list built-in detectors: ${names.join(', ')}`);
+        }
+      }
+      if (redaction.rules !== undefined) {
+        if (!Array.isArray(redaction.rules)) {
+          errors.push('redaction.rules must be an array');
+        } else {
+          redaction.rules.forEach((rule, i) => {
+            try {
+              compileRule(rule, i);
+            } catch (error) {
+              errors.push(error.message);
+            }
+          });
+        }
+      }
+    }
+
+    // Validate encryption
+    if (config.encryption) {
+      const encryption = config.encryption;
+      if (encryption.enabled !== undefined && typeof encryption.enabled !== 'boolean') {
+        errors.push('encryption.enabled must be a boolean');
+      }
+      if (encryption.keyFile !== undefined && (typeof encryption.keyFile !== 'string' || !encryption.keyFile)) {
+        errors.push('encryption.keyFile must be a non-empty string');
+      }
+    }
+
+    // Validate budget
+    if (config.budget) {
+      const budget = config.budget;
+      if (budget.enabled !== undefined && typeof budget.enabled !== 'boolean') {
+        errors.push('budget.enabled must be a boolean');
+      }
+      for (const key of ['dailyUsd', 'monthlyUsd']) {
+        const limit = budget[key];
+        if (limit !== undefined && limit !== null && (typeof limit !== 'number' || limit < 0)) {
+          errors.push(`budget.${key} must be null or a non-negative number`);
+        }
+      }
+      if (budget.prices !== undefined) {
+        const validPrice = price => price && ['inputPerMillion', 'outputPerMillion']
+          .every(field => typeof price[field] === 'number' && price[field] >= 0);
+        if (typeof budget.prices !== 'object' || Array.isArray(budget.prices) ||
+            !Object.values(budget.prices).every(validPrice)) {
+          errors.push('budget.prices must map model names to { inputPerMillion, outputPerMillion }');
+        }
+      }
+    }
+
+    // Validate extraction
+    if (config.extraction?.mode !== undefined && !['auto', 'llm', 'heuristic'].includes(config.extraction.mode)) {
+      errors.push('extraction.mode must be one of: auto, llm, heuristic');
+    }
+
+    // Validate llm.local
+    if (config.llm?.local) {
+      const local = config.llm.local;
+      if (local.enabled !== undefined && typeof local.enabled !== 'boolean') {
+        errors.push('llm.local.enabled must be a boolean');
+      }
+      if (local.baseUrl !== undefined && (typeof local.baseUrl !== 'string' || !/^https?:\/\//.test(local.baseUrl))) {
+        errors.push('llm.local.baseUrl must be an http(s) URL');
+      }
+      for (const speed of ['fast', 'deep']) {
+        const model = local.models?.[speed];
+        if (model !== undefined && (typeof model !== 'string' || !model)) {
+          errors.push(`llm.local.models.${speed} must be a non-empty string`);
+        }
+      }
+      if (local.timeoutMs !== undefined && (!Number.isInteger(local.timeoutMs) || local.timeoutMs < 1000)) {
+        errors.push('llm.local.timeoutMs must be an integer of at least 1000');
+      }
+    }
+
     // Validate storage
     if (config.storage) {
       if (config.storage.maxSizeMB !== undefined) {
@@ -103,6 +277,23 @@ class ConfigValidator {
       }
     }
 
+    // Validate apiServer
+    if (config.apiServer) {
+      if (config.apiServer.port !== undefined) {
+        const port = config.apiServer.port;
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+          errors.push('apiServer.port must be an integer between 1 and 65535');
+        }
+      }
+      if (config.apiServer.auth && typeof config.apiServer.auth.enabled !== 'boolean') {
+        errors.push('apiServer.auth.enabled must be a boolean');
+      }
+      if (config.apiServer.cors?.allowedOrigins !== undefined &&
+          !Array.isArray(config.apiServer.cors.allowedOrigins)) {
+        errors.push('apiServer.cors.allowedOrigins must be an array of origins');
+      }
+    }
+
     return { valid: errors.length === 0, errors };
   }
 }
@@ -544,6 +735,27 @@ function getConfigManager(options) {
   return instance;
 }
 
+/**
+ * Read a config section without creating a config file when none exists
+ * (for library code that may run before `cortex` was ever configured)
+ *
+ * @param {string} keyPath - Dot-separated path (e.g. 'embedding')
+ * @param {*} [defaultValue] - Returned when the file or key is missing
+ * @returns {*}
+ */
+function getConfigSection(keyPath, defaultValue = undefined) {
+  try {
+    const configManager = getConfigManager();
+    if (!configManager.loaded) {
+      if (!fs.existsSync(configManager.configPath)) return defaultValue;
+      configManager.load();
+    }
+    return configManager.get(keyPath, defaultValue) ?? defaultValue;
+  } catch {
+    return defaultValue;
+  }
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -552,5 +764,6 @@ module.exports = {
   ConfigValidator,
   ConfigManager,
   getConfigManager,
+  getConfigSection,
   DEFAULT_CONFIG,
 };
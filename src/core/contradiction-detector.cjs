@@ -0,0 +1,364 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Contradiction Detector
+ *
+ * Runs at write time: before a new memory is stored, its nearest neighbours
+ * in the vector index are compared with it and each pair is classified as
+ *
+ * - agree:      same fact or instruction (the new memory is a duplicate)
+ * - refine:     the new memory adds detail to the existing one
+ * - contradict: the new memory conflicts with / replaces the existing one
+ * - unrelated:  close in embedding space but about something else
+ *
+ * Classification uses an LLM through SamplingAdapter when one is available
+ * and falls back to a local token heuristic otherwise. Callers supersede
+ * refined or contradicted memories (valid_to + superseded_by) instead of
+ * keeping both versions active. Only LLM classifications supersede: the
+ * heuristic cannot tell "npm -> pnpm" from two statements about different
+ * packages, so its refine/contradict results are reported and nothing more.
+ *
+ * @version 1.1.0
+ */
+
+'use strict';
+
+const { isSupersededAt } = require('./hybrid-search.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string[]} Relation labels */
+const RELATIONS = ['agree', 'refine', 'contradict', 'unrelated'];
+
+/** @const {string[]} Relations that close the existing memory */
+const SUPERSEDING_RELATIONS = ['refine', 'contradict'];
+
+/** @const {string[]} Classification methods trusted to close a memory */
+const SUPERSEDING_METHODS = ['llm'];
+
+/** @const {number} Minimum cosine similarity for a neighbour to be compared */
+const DEFAULT_SIMILARITY_THRESHOLD = 0.75;
+
+/** @const {number} Maximum neighbours compared per write */
+const DEFAULT_MAX_CANDIDATES = 5;
+
+/** @const {number} Classifications below this confidence are ignored */
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+/** @const {RegExp} Negation markers used by the heuristic */
+const NEGATION_PATTERN = /\b(not|never|no longer|don'?t|doesn'?t|isn'?t|aren'?t|shouldn'?t|won'?t|avoid|stop(?:ped)?|deprecated)\b/i;
+
+/** @const {Set<string>} Words ignored when comparing statements */
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'to', 'of',
+  'for', 'in', 'on', 'at', 'by', 'with', 'and', 'or', 'we', 'our', 'us',
+  'i', 'my', 'it', 'its', 'this', 'that', 'these', 'those', 'as', 'so',
+  'should', 'must', 'always', 'now', 'all',
+]);
+
+/** @const {string} System prompt for LLM classification */
+const CLASSIFY_PROMPT = `You compare two memories stored by a coding assistant.
+Classify how the NEW memory relates to the EXISTING memory:
+- agree: states the same fact or instruction
+- refine: adds detail to or narrows EXISTING without conflicting
+- contradict: conflicts with or replaces EXISTING
+- unrelated: about a different topic
+
+Respond with JSON only:
+{"relation": "contradict", "confidence": 0.9, "reason": "short explanation"}`;
+
+// =============================================================================
+// HEURISTIC CLASSIFIER
+// =============================================================================
+
+/**
+ * Split a statement into comparable tokens
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function tokenize(text) {
+  const tokens = (text || '')
+    .toLowerCase()
+    .replace(new RegExp(NEGATION_PATTERN.source, 'gi'), ' ')
+    .replace(/[^a-z0-9.+#-]+/g, ' ')
+    .split(/\s+/)
+    .map(t => t.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter(t => t && !STOPWORDS.has(t))
+    .map(t => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+
+  return new Set(tokens);
+}
+
+/**
+ * Classify two statements without an LLM
+ *
+ * Rules, in order:
+ * 1. One statement is negated and the other is not, on a shared topic -> contradict
+ * 2. Same tokens -> agree; new is a subset of existing -> agree
+ * 3. New is a superset of existing -> refine
+ * 4. Same statement with one or two words swapped ("npm" -> "pnpm") -> contradict
+ *
+ * @param {string} newContent - Memory being written
+ * @param {string} existingContent - Stored memory
+ * @returns {{relation: string, confidence: number, reason: string, method: string}}
+ */
+function classifyHeuristic(newContent, existingContent) {
+  const result = (relation, confidence, reason) => ({ relation, confidence, reason, method: 'heuristic' });
+
+  const newTokens = tokenize(newContent);
+  const oldTokens = tokenize(existingContent);
+  const onlyNew = [...newTokens].filter(t => !oldTokens.has(t));
+  const onlyOld = [...oldTokens].filter(t => !newTokens.has(t));
+  const shared = newTokens.size - onlyNew.length;
+
+  if (shared === 0) {
+    return result('unrelated', 0.6, 'No shared terms');
+  }
+
+  const overlap = shared / Math.min(newTokens.size, oldTokens.size);
+  const negationFlip = NEGATION_PATTERN.test(newContent) !== NEGATION_PATTERN.test(existingContent);
+
+  if (negationFlip && overlap >= 0.6) {
+    return result('contradict', 0.75, 'One statement negates the other');
+  }
+  if (onlyNew.length === 0) {
+    return onlyOld.length === 0
+      ? result('agree', 0.9, 'Same statement')
+      : result('agree', 0.6, 'Existing memory already covers this');
+  }
+  if (onlyOld.length === 0) {
+    return result('refine', 0.65, `Adds detail: ${onlyNew.slice(0, 5).join(', ')}`);
+  }
+  if (onlyNew.length <= 2 && onlyOld.length <= 2 && overlap >= 0.5) {
+    return result('contradict', 0.6, `Changed from "${onlyOld.join(' ')}" to "${onlyNew.join(' ')}"`);
+  }
+
+  return result('unrelated', 0.5, 'Statements diverge');
+}
+
+/**
+ * Parse an LLM classification response
+ * @param {string} text - Raw model output
+ * @returns {{relation: string, confidence: number, reason: string, method: string}|null}
+ */
+function parseClassification(text) {
+  const match = /\{[\s\S]*\}/.exec(text || '');
+  if (!match) return null;
+
+  try {
+    const parsed = JSON.parse(match[0]);
+    if (!RELATIONS.includes(parsed.relation)) return null;
+
+    const confidence = Number(parsed.confidence);
+    return {
+      relation: parsed.relation,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.7,
+      reason: String(parsed.reason || ''),
+      method: 'llm',
+    };
+  } catch {
+    return null;
+  }
+}
+
+// =============================================================================
+// CONTRADICTION DETECTOR CLASS
+// =============================================================================
+
+/**
+ * Finds and classifies stored memories related to a new one
+ */
+class ContradictionDetector {
+  /**
+   * @param {Object} options
+   * @param {MemoryStore} options.memoryStore - Initialized MemoryStore
+   * @param {VectorIndex} options.vectorIndex - Vector index for neighbour lookup
+   * @param {Object} options.embedder - Embedder with embed(text)
+   * @param {SamplingAdapter} [options.samplingAdapter] - LLM backend (heuristic if absent)
+   * @param {number} [options.similarityThreshold=0.75] - Minimum cosine similarity
+   * @param {number} [options.maxCandidates=5] - Neighbours compared per write
+   * @param {number} [options.minConfidence=0.5] - Ignore weaker classifications
+   */
+  constructor(options = {}) {
+    if (!options.memoryStore) {
+      throw new Error('ContradictionDetector requires a memoryStore');
+    }
+    if (!options.vectorIndex) {
+      throw new Error('ContradictionDetector requires a vectorIndex');
+    }
+    if (!options.embedder) {
+      throw new Error('ContradictionDetector requires an embedder');
+    }
+
+    this.memoryStore = options.memoryStore;
+    this.vectorIndex = options.vectorIndex;
+    this.embedder = options.embedder;
+    this.samplingAdapter = options.samplingAdapter || null;
+
+    this.similarityThreshold = options.similarityThreshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+    this.maxCandidates = options.maxCandidates ?? DEFAULT_MAX_CANDIDATES;
+    this.minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+
+    this.stats = {
+      checks: 0,
+      candidates: 0,
+      llmClassifications: 0,
+      heuristicClassifications: 0,
+      llmFailures: 0,
+      agree: 0,
+      refine: 0,
+      contradict: 0,
+      superseded: 0,
+      reportedOnly: 0,
+    };
+  }
+
+  // ===========================================================================
+  // PUBLIC METHODS
+  // ===========================================================================
+
+  /**
+   * Find and classify stored memories related to new content
+   *
+   * @param {string} content - Memory being written
+   * @param {Object} [options={}]
+   * @param {Float32Array} [options.embedding] - Precomputed embedding of content
+   * @param {string} [options.projectHash] - Only compare within this project (plus global)
+   * @param {string[]} [options.excludeIds] - IDs to skip (e.g. the new memory itself)
+   * @returns {Promise<Array<{memory: Object, similarity: number, relation: string, confidence: number, reason: string, method: string}>>}
+   *   Related memories, most similar first (unrelated and low-confidence pairs omitted)
+   */
+  async detect(content, options = {}) {
+    this.stats.checks++;
+
+    const candidates = await this.findCandidates(content, options);
+    const related = [];
+
+    for (const candidate of candidates) {
+      const classification = await this.classify(content, candidate.memory.content);
+      if (classification.relation === 'unrelated' || classification.confidence < this.minConfidence) {
+        continue;
+      }
+
+      this.stats[classification.relation]++;
+      related.push({ ...candidate, ...classification });
+    }
+
+    return related;
+  }
+
+  /**
+   * Nearest active, currently valid memories above the similarity threshold
+   *
+   * @param {string} content
+   * @param {Object} [options={}] - See detect()
+   * @returns {Promise<Array<{memory: Object, similarity: number}>>}
+   */
+  async findCandidates(content, options = {}) {
+    const embedding = options.embedding || await this.embedder.embed(content);
+    const { ids, distances } = this.vectorIndex.search(embedding, this.maxCandidates * 2);
+    const exclude = new Set(options.excludeIds || []);
+    const candidates = [];
+
+    for (let i = 0; i < ids.length && candidates.length < this.maxCandidates; i++) {
+      const similarity = 1 - distances[i];
+      if (similarity < this.similarityThreshold || exclude.has(ids[i])) continue;
+
+      const memory = this.memoryStore.get(ids[i]);
+      if (!memory || memory.status !== 'active') continue;
+      if (isSupersededAt(memory)) continue;
+      if (options.projectHash && memory.project_hash && memory.project_hash !== options.projectHash) continue;
+
+      candidates.push({ memory, similarity });
+    }
+
+    this.stats.candidates += candidates.length;
+    return candidates;
+  }
+
+  /**
+   * Classify how new content relates to an existing memory
+   *
+   * @param {string} newContent
+   * @param {string} existingContent
+   * @returns {Promise<{relation: string, confidence: number, reason: string, method: string}>}
+   */
+  async classify(newContent, existingContent) {
+    if (this.samplingAdapter && this.samplingAdapter.mode !== 'none') {
+      try {
+        const response = await this.samplingAdapter.complete(
+          `EXISTING: ${existingContent}\n\nNEW: ${newContent}`,
+          { speed: 'fast', maxTokens: 200, systemPrompt: CLASSIFY_PROMPT }
+        );
+        const parsed = parseClassification(response.text);
+        if (parsed) {
+          this.stats.llmClassifications++;
+          return parsed;
+        }
+      } catch (error) {
+        process.stderr.write(`[ContradictionDetector] LLM classification failed: ${error.message}\n`);
+      }
+      this.stats.llmFailures++;
+    }
+
+    this.stats.heuristicClassifications++;
+    return classifyHeuristic(newContent, existingContent);
+  }
+
+  /**
+   * Supersede existing memories that the new memory refines or contradicts,
+   * as classified by the LLM (heuristic classifications are left in place)
+   *
+   * @param {Array<{memory: Object, relation: string, method: string}>} related - Output of detect()
+   * @param {string} newId - ID of the stored replacement
+   * @returns {string[]} IDs that were superseded
+   */
+  supersedeRelated(related, newId) {
+    const superseded = [];
+
+    for (const item of related) {
+      if (!SUPERSEDING_RELATIONS.includes(item.relation) || item.memory.id === newId) continue;
+      if (!SUPERSEDING_METHODS.includes(item.method)) {
+        this.stats.reportedOnly++;
+        continue;
+      }
+
+      if (this.memoryStore.supersede(item.memory.id, newId, { changedBy: 'contradiction-detector' })) {
+        superseded.push(item.memory.id);
+        this.stats.superseded++;
+      }
+    }
+
+    return superseded;
+  }
+
+  /**
+   * Get detector statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      config: {
+        similarityThreshold: this.similarityThreshold,
+        maxCandidates: this.maxCandidates,
+        minConfidence: this.minConfidence,
+        llm: Boolean(this.samplingAdapter && this.samplingAdapter.mode !== 'none'),
+      },
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  ContradictionDetector,
+  classifyHeuristic,
+  parseClassification,
+  RELATIONS,
+  SUPERSEDING_RELATIONS,
+  SUPERSEDING_METHODS,
+  DEFAULT_SIMILARITY_THRESHOLD,
+};
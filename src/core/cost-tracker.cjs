@@ -0,0 +1,307 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Cost Tracker
+ *
+ * Token and dollar accounting for paid Anthropic API calls:
+ * - Records input/output tokens and model of every Haiku/Sonnet call
+ * - Prices calls with a configurable per-model table (USD per 1M tokens)
+ * - Enforces daily/monthly budgets; callers degrade to local-only behaviour
+ *   when a budget is spent
+ *
+ * Calls served through MCP Sampling (paid by the host) or a local
+ * OpenAI-compatible server (free) are not recorded.
+ *
+ * Storage: one append-only JSONL file per month under data/usage/, shared by
+ * the MCP server, the hooks and the HTTP API bridge:
+ *
+ *   {"timestamp":"…","model":"claude-haiku-4-5-20251001","component":"haiku","inputTokens":812,"outputTokens":96,"costUsd":0.001292}
+ *
+ * Days and months are UTC.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { expandPath, getTimestamp } = require('./types.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Usage directory relative to the base path */
+const USAGE_DIR = 'data/usage';
+
+/**
+ * Default prices in USD per million tokens. Keys match any model name that
+ * contains them; the longest matching key wins.
+ * @const {Object<string, {inputPerMillion: number, outputPerMillion: number}>}
+ */
+const DEFAULT_PRICES = {
+  'claude-haiku-4-5': { inputPerMillion: 1.0, outputPerMillion: 5.0 },
+  'claude-3-5-haiku': { inputPerMillion: 0.8, outputPerMillion: 4.0 },
+  'claude-3-haiku': { inputPerMillion: 0.25, outputPerMillion: 1.25 },
+  'haiku': { inputPerMillion: 1.0, outputPerMillion: 5.0 },
+  'sonnet': { inputPerMillion: 3.0, outputPerMillion: 15.0 },
+  'opus': { inputPerMillion: 15.0, outputPerMillion: 75.0 },
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Empty spend totals
+ * @returns {{calls: number, inputTokens: number, outputTokens: number, costUsd: number}}
+ */
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Add a usage entry to spend totals
+ * @param {Object} totals - From emptyTotals()
+ * @param {Object} entry - Usage entry
+ */
+function addToTotals(totals, entry) {
+  totals.calls++;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.costUsd += entry.costUsd || 0;
+}
+
+/**
+ * Round a dollar amount for reports (sub-cent calls add up)
+ * @param {number} usd
+ * @returns {number}
+ */
+function roundUsd(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+// =============================================================================
+// COST TRACKER
+// =============================================================================
+
+class CostTracker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.basePath='~/.claude/memory'] - Base path for Cortex data
+   * @param {boolean} [options.enabled=true] - Enforce budgets (usage is recorded either way)
+   * @param {number|null} [options.dailyUsd=null] - Daily budget, null for unlimited
+   * @param {number|null} [options.monthlyUsd=null] - Monthly budget, null for unlimited
+   * @param {Object} [options.prices] - Entries merged over DEFAULT_PRICES
+   */
+  constructor(options = {}) {
+    this.basePath = expandPath(options.basePath || '~/.claude/memory');
+    this.dir = path.join(this.basePath, USAGE_DIR);
+    this.enabled = options.enabled !== false;
+    this.dailyUsd = options.dailyUsd ?? null;
+    this.monthlyUsd = options.monthlyUsd ?? null;
+    this.prices = { ...DEFAULT_PRICES, ...options.prices };
+
+    // Parsed month file, reused while its size is unchanged
+    this._cache = null;
+  }
+
+  /**
+   * Price table entry for a model
+   * @param {string} model
+   * @returns {{inputPerMillion: number, outputPerMillion: number}|null}
+   */
+  getPrice(model) {
+    const name = String(model || '').toLowerCase();
+    const key = Object.keys(this.prices)
+      .filter(candidate => name.includes(candidate.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? this.prices[key] : null;
+  }
+
+  /**
+   * Cost of a call in USD
+   * @param {string} model
+   * @param {number} inputTokens
+   * @param {number} outputTokens
+   * @returns {number} 0 for models missing from the price table
+   */
+  estimateCost(model, inputTokens, outputTokens) {
+    const price = this.getPrice(model);
+    if (!price) return 0;
+    return (inputTokens / 1e6) * price.inputPerMillion +
+      (outputTokens / 1e6) * price.outputPerMillion;
+  }
+
+  /**
+   * Record one API call
+   * @param {Object} usage
+   * @param {string} usage.model - Model that served the call
+   * @param {number} [usage.inputTokens=0]
+   * @param {number} [usage.outputTokens=0]
+   * @param {string} [usage.component] - Caller, e.g. 'haiku' or 'sonnet'
+   * @returns {Object} The stored entry
+   */
+  record(usage) {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const entry = {
+      timestamp: getTimestamp(),
+      model: usage.model || 'unknown',
+      component: usage.component || null,
+      inputTokens,
+      outputTokens,
+      costUsd: roundUsd(this.estimateCost(usage.model, inputTokens, outputTokens)),
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this._monthPath(entry.timestamp), JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  /**
+   * Spend for the current UTC day and month
+   * @param {Date} [now=new Date()]
+   * @returns {{today: Object, month: Object, byModel: Object<string, Object>}}
+   */
+  getSpend(now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    const today = emptyTotals();
+    const month = emptyTotals();
+    const byModel = {};
+
+    for (const entry of this._readMonth(now.toISOString())) {
+      addToTotals(month, entry);
+      if (!byModel[entry.model]) byModel[entry.model] = emptyTotals();
+      addToTotals(byModel[entry.model], entry);
+      if (entry.timestamp.startsWith(day)) addToTotals(today, entry);
+    }
+
+    today.costUsd = roundUsd(today.costUsd);
+    month.costUsd = roundUsd(month.costUsd);
+    for (const totals of Object.values(byModel)) totals.costUsd = roundUsd(totals.costUsd);
+
+    return { today, month, byModel };
+  }
+
+  /**
+   * Whether another paid call fits the budgets
+   * @param {Date} [now=new Date()]
+   * @returns {{allowed: boolean, period?: 'daily'|'monthly', reason?: string}}
+   */
+  checkBudget(now = new Date()) {
+    if (!this.enabled || (this.dailyUsd === null && this.monthlyUsd === null)) {
+      return { allowed: true };
+    }
+
+    const { today, month } = this.getSpend(now);
+    if (this.dailyUsd !== null && today.costUsd >= this.dailyUsd) {
+      return {
+        allowed: false,
+        period: 'daily',
+        reason: `Daily budget spent: $${today.costUsd.toFixed(4)} of $${this.dailyUsd.toFixed(2)}`,
+      };
+    }
+    if (this.monthlyUsd !== null && month.costUsd >= this.monthlyUsd) {
+      return {
+        allowed: false,
+        period: 'monthly',
+        reason: `Monthly budget spent: $${month.costUsd.toFixed(4)} of $${this.monthlyUsd.toFixed(2)}`,
+      };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Spend report for health checks, the CLI and the API bridge
+   * @param {Date} [now=new Date()]
+   * @returns {Object}
+   */
+  getReport(now = new Date()) {
+    const spend = this.getSpend(now);
+    const budget = this.checkBudget(now);
+
+    return {
+      enabled: this.enabled,
+      budgets: { dailyUsd: this.dailyUsd, monthlyUsd: this.monthlyUsd },
+      today: spend.today,
+      month: spend.month,
+      byModel: spend.byModel,
+      exceeded: budget.allowed ? null : budget.period,
+      reason: budget.reason || null,
+    };
+  }
+
+  /**
+   * Path of the usage file for a timestamp's month
+   * @private
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string}
+   */
+  _monthPath(timestamp) {
+    return path.join(this.dir, `${timestamp.slice(0, 7)}.jsonl`);
+  }
+
+  /**
+   * Entries of a month. Other processes append to the same file, so the
+   * parsed copy is only reused while the file size is unchanged.
+   * @private
+   * @param {string} timestamp - ISO timestamp within the month
+   * @returns {Object[]}
+   */
+  _readMonth(timestamp) {
+    const filePath = this._monthPath(timestamp);
+
+    let size;
+    try {
+      size = fs.statSync(filePath).size;
+    } catch {
+      return [];
+    }
+    if (this._cache && this._cache.filePath === filePath && this._cache.size === size) {
+      return this._cache.entries;
+    }
+
+    const entries = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip lines torn by a concurrent write
+      }
+    }
+
+    this._cache = { filePath, size, entries };
+    return entries;
+  }
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * Create a CostTracker from the `budget` config section
+ * @param {Object} [options] - CostTracker options overriding the config section
+ * @returns {CostTracker}
+ */
+function createCostTracker(options = {}) {
+  const { getConfigSection } = require('./config.cjs');
+  const settings = getConfigSection('budget', {});
+  return new CostTracker({
+    ...settings,
+    ...options,
+    prices: { ...settings.prices, ...options.prices },
+  });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  CostTracker,
+  createCostTracker,
+  DEFAULT_PRICES,
+  USAGE_DIR,
+};
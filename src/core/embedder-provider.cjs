@@ -2,40 +2,74 @@
 /**
  * Shared Embedder Provider
  *
- * Provides a singleton Embedder instance across all adapters to prevent
+ * Provides one Embedder instance per model across all adapters to prevent
  * duplicate model loading and improve cache efficiency.
  *
- * @version 1.0.0
+ * The model is chosen by (highest priority first): the caller's options,
+ * CORTEX_EMBEDDING_MODEL / CORTEX_EMBEDDING_DIM, the `embedding` config
+ * section, then the built-in default (all-MiniLM-L6-v2).
+ *
+ * @version 1.1.0
  */
 
 'use strict';
 
-let sharedInstance = null;
+/** @type {Map<string, import('./embedder.cjs').Embedder>} */
+const sharedInstances = new Map();
+
+/**
+ * Resolve Embedder constructor options from caller options, environment and config
+ *
+ * @param {Object} [options] - Embedder constructor options
+ * @returns {Object} Options with model (and dimension/pooling/prefixes when configured)
+ */
+function resolveEmbedderOptions(options = {}) {
+  if (options.model) return { ...options };
+
+  const envModel = process.env.CORTEX_EMBEDDING_MODEL;
+  if (envModel) {
+    const dimension = Number(process.env.CORTEX_EMBEDDING_DIM) || undefined;
+    return { ...options, model: envModel, dimension };
+  }
+
+  const { getConfigSection } = require('./config.cjs');
+  const { model, dimension, pooling, queryPrefix, documentPrefix } = getConfigSection('embedding', {});
+  if (model) {
+    return { ...options, model, dimension, pooling, queryPrefix, documentPrefix };
+  }
+
+  const { DEFAULT_MODEL } = require('./embedder.cjs');
+  return { ...options, model: DEFAULT_MODEL };
+}
 
 /**
- * Get or create the shared Embedder instance.
- * First caller's options are used for initialization; subsequent calls
- * return the existing instance (options ignored).
+ * Get or create the shared Embedder for the resolved model.
+ * The first caller's options are used for each model; subsequent calls
+ * for the same model return the existing instance.
  *
- * @param {Object} [options] - Embedder constructor options (model, cacheSize, cacheTTL, verbose)
+ * @param {Object} [options] - Embedder constructor options (model, dimension, cacheSize, cacheTTL, verbose)
  * @returns {import('./embedder.cjs').Embedder}
  */
 function getSharedEmbedder(options = {}) {
-  if (!sharedInstance) {
+  const resolved = resolveEmbedderOptions(options);
+  let instance = sharedInstances.get(resolved.model);
+  if (!instance) {
     const { Embedder } = require('./embedder.cjs');
-    sharedInstance = new Embedder(options);
+    instance = new Embedder(resolved);
+    sharedInstances.set(resolved.model, instance);
   }
-  return sharedInstance;
+  return instance;
 }
 
 /**
- * Reset the shared instance (for testing only).
+ * Reset the shared instances (for testing only).
  */
 function resetSharedEmbedder() {
-  sharedInstance = null;
+  sharedInstances.clear();
 }
 
 module.exports = {
   getSharedEmbedder,
   resetSharedEmbedder,
+  resolveEmbedderOptions,
 };
@@ -2,9 +2,11 @@
  * Cortex - Claude's Cognitive Layer - Embedder
  *
  * Local embedding generation using @xenova/transformers.
- * Generates 384-dimensional vectors for semantic similarity search.
+ * Defaults to all-MiniLM-L6-v2 (384 dimensions); other ONNX models from
+ * EMBEDDING_MODELS, or any model with an explicit dimension, can be used.
  *
  * Features:
+ * - Pluggable models with per-model dimension, pooling and query/document prefixes
  * - Lazy model loading (no startup delay)
  * - LRU cache with configurable size and TTL
  * - Batch embedding support
@@ -37,12 +39,99 @@ const CHARS_PER_TOKEN = 4;
 /** @const {number} Maximum input length in characters */
 const MAX_INPUT_LENGTH = MAX_TOKENS * CHARS_PER_TOKEN;
 
+/** @const {string[]} Supported pooling strategies */
+const POOLING_MODES = ['mean', 'cls'];
+
+/**
+ * @typedef {Object} EmbeddingModelSpec
+ * @property {number} dimension - Output vector length
+ * @property {'mean'|'cls'} pooling - Token pooling
+ * @property {number} maxTokens - Context window
+ * @property {string} [queryPrefix] - Prepended to search queries
+ * @property {string} [documentPrefix] - Prepended to stored memories
+ */
+
+/**
+ * @const {Object<string, EmbeddingModelSpec>} Known local ONNX embedding models
+ * Other models can be used by passing dimension (and pooling/prefixes) explicitly.
+ */
+const EMBEDDING_MODELS = {
+  'Xenova/all-MiniLM-L6-v2': { dimension: 384, pooling: 'mean', maxTokens: MAX_TOKENS },
+  'Xenova/bge-small-en-v1.5': {
+    dimension: 384,
+    pooling: 'cls',
+    maxTokens: 512,
+    queryPrefix: 'Represent this sentence for searching relevant passages: ',
+  },
+  'Xenova/bge-base-en-v1.5': {
+    dimension: 768,
+    pooling: 'cls',
+    maxTokens: 512,
+    queryPrefix: 'Represent this sentence for searching relevant passages: ',
+  },
+  'nomic-ai/nomic-embed-text-v1.5': {
+    dimension: 768,
+    pooling: 'mean',
+    maxTokens: 2048,
+    queryPrefix: 'search_query: ',
+    documentPrefix: 'search_document: ',
+  },
+  'Xenova/multilingual-e5-small': {
+    dimension: 384,
+    pooling: 'mean',
+    maxTokens: 512,
+    queryPrefix: 'query: ',
+    documentPrefix: 'passage: ',
+  },
+  'Xenova/multilingual-e5-base': {
+    dimension: 768,
+    pooling: 'mean',
+    maxTokens: 512,
+    queryPrefix: 'query: ',
+    documentPrefix: 'passage: ',
+  },
+};
+
 /** @const {number} Default cache size */
 const DEFAULT_CACHE_SIZE = 1000;
 
 /** @const {number} Default cache TTL in milliseconds (1 hour) */
 const DEFAULT_CACHE_TTL = 60 * 60 * 1000;
 
+// =============================================================================
+// MODEL RESOLUTION
+// =============================================================================
+
+/**
+ * Resolve the spec for an embedding model, applying explicit overrides
+ *
+ * @param {string} [modelId] - HuggingFace model ID (default: DEFAULT_MODEL)
+ * @param {Object} [overrides] - dimension, pooling, maxTokens, queryPrefix, documentPrefix
+ * @returns {EmbeddingModelSpec & {modelId: string}}
+ * @throws {Error} If the model is unknown and no dimension is given, or an override is invalid
+ */
+function resolveModelSpec(modelId = DEFAULT_MODEL, overrides = {}) {
+  const known = EMBEDDING_MODELS[modelId];
+  const defined = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null)
+  );
+  const spec = { pooling: 'mean', maxTokens: MAX_TOKENS, ...known, ...defined, modelId };
+
+  if (!Number.isInteger(spec.dimension) || spec.dimension <= 0) {
+    throw new Error(
+      known
+        ? `Invalid embedding dimension for ${modelId}: ${spec.dimension}`
+        : `Unknown embedding model "${modelId}": set its dimension ` +
+          `(known models: ${Object.keys(EMBEDDING_MODELS).join(', ')})`
+    );
+  }
+  if (!POOLING_MODES.includes(spec.pooling)) {
+    throw new Error(`Invalid pooling "${spec.pooling}", expected one of: ${POOLING_MODES.join(', ')}`);
+  }
+
+  return spec;
+}
+
 // =============================================================================
 // LRU CACHE WITH TTL
 // =============================================================================
@@ -161,12 +250,24 @@ class Embedder {
   /**
    * @param {Object} options
    * @param {string} [options.model] - HuggingFace model ID (default: Xenova/all-MiniLM-L6-v2)
+   * @param {number} [options.dimension] - Output dimension (required for models not in EMBEDDING_MODELS)
+   * @param {'mean'|'cls'} [options.pooling] - Token pooling override
+   * @param {string} [options.queryPrefix] - Query instruction prefix override
+   * @param {string} [options.documentPrefix] - Document instruction prefix override
    * @param {number} [options.cacheSize] - Maximum cache entries (default: 1000)
    * @param {number} [options.cacheTTL] - Cache TTL in ms (default: 1 hour)
    * @param {boolean} [options.verbose] - Log model loading progress
    */
   constructor(options = {}) {
     this.modelId = options.model || DEFAULT_MODEL;
+    this.spec = resolveModelSpec(this.modelId, {
+      dimension: options.dimension,
+      pooling: options.pooling,
+      queryPrefix: options.queryPrefix,
+      documentPrefix: options.documentPrefix,
+    });
+    this.dimension = this.spec.dimension;
+    this.maxInputLength = this.spec.maxTokens * CHARS_PER_TOKEN;
     this.verbose = options.verbose || false;
 
     // Pipeline instance (lazy loaded)
@@ -200,16 +301,20 @@ class Embedder {
    * Generate embedding for a single text
    *
    * @param {string} text - Input text (will be truncated if too long)
-   * @returns {Promise<Float32Array>} 384-dimensional embedding vector
+   * @param {Object} [options={}]
+   * @param {'document'|'query'} [options.type='document'] - Selects the model's instruction prefix
+   * @returns {Promise<Float32Array>} Embedding vector of getDimension() length
    * @throws {Error} If model loading or embedding fails
    */
-  async embed(text) {
+  async embed(text, options = {}) {
     if (!text || typeof text !== 'string') {
       throw new Error('Input must be a non-empty string');
     }
 
+    const prefix = (options.type === 'query' ? this.spec.queryPrefix : this.spec.documentPrefix) || '';
+
     // Check cache first
-    const cacheKey = this._hash(text);
+    const cacheKey = this._hash(prefix + text);
     const cached = this.cache.get(cacheKey);
 
     if (cached) {
@@ -226,11 +331,11 @@ class Embedder {
 
     try {
       // Truncate to max length
-      const truncated = this._truncate(text);
+      const truncated = prefix + this._truncate(text);
 
       // Generate embedding
       const output = await this.pipeline(truncated, {
-        pooling: 'mean',
+        pooling: this.spec.pooling,
         normalize: true,
       });
 
@@ -238,9 +343,9 @@ class Embedder {
       const embedding = new Float32Array(output.data);
 
       // Validate dimension
-      if (embedding.length !== EMBEDDING_DIM) {
+      if (embedding.length !== this.dimension) {
         throw new Error(
-          `Unexpected embedding dimension: ${embedding.length}, expected ${EMBEDDING_DIM}`
+          `Unexpected embedding dimension from ${this.modelId}: ${embedding.length}, expected ${this.dimension}`
         );
       }
 
@@ -267,9 +372,10 @@ class Embedder {
    * Generate embeddings for multiple texts (batched)
    *
    * @param {string[]} texts - Array of input texts
+   * @param {Object} [options={}] - See embed()
    * @returns {Promise<Float32Array[]>} Array of embedding vectors
    */
-  async embedBatch(texts) {
+  async embedBatch(texts, options = {}) {
     if (!Array.isArray(texts)) {
       throw new Error('Input must be an array of strings');
     }
@@ -280,7 +386,7 @@ class Embedder {
 
     for (let i = 0; i < texts.length; i += BATCH_SIZE) {
       const batch = texts.slice(i, i + BATCH_SIZE);
-      const batchResults = await Promise.all(batch.map(t => this.embed(t)));
+      const batchResults = await Promise.all(batch.map(t => this.embed(t, options)));
       results.push(...batchResults);
     }
 
@@ -308,7 +414,7 @@ class Embedder {
    * @returns {number}
    */
   getDimension() {
-    return EMBEDDING_DIM;
+    return this.dimension;
   }
 
   /**
@@ -326,7 +432,8 @@ class Embedder {
 
     return {
       modelId: this.modelId,
-      dimension: EMBEDDING_DIM,
+      dimension: this.dimension,
+      pooling: this.spec.pooling,
       modelLoaded: this.modelLoaded,
       modelLoadTimeMs: this.stats.modelLoadTimeMs,
       totalEmbeddings: this.stats.totalEmbeddings,
@@ -528,15 +635,15 @@ class Embedder {
    * @returns {string}
    */
   _truncate(text) {
-    if (text.length <= MAX_INPUT_LENGTH) {
+    if (text.length <= this.maxInputLength) {
       return text;
     }
 
     // Truncate at word boundary if possible
-    const truncated = text.slice(0, MAX_INPUT_LENGTH);
+    const truncated = text.slice(0, this.maxInputLength);
     const lastSpace = truncated.lastIndexOf(' ');
 
-    if (lastSpace > MAX_INPUT_LENGTH * 0.8) {
+    if (lastSpace > this.maxInputLength * 0.8) {
       return truncated.slice(0, lastSpace);
     }
 
@@ -562,6 +669,8 @@ module.exports = {
   Embedder,
   LRUCache,
   EMBEDDING_DIM,
+  EMBEDDING_MODELS,
   DEFAULT_MODEL,
   MAX_INPUT_LENGTH,
+  resolveModelSpec,
 };
@@ -0,0 +1,138 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Embedding Backfill
+ *
+ * Keeps stored embeddings and the HNSW index in step with the configured
+ * embedding model. Memories without an embedding, or embedded by another
+ * model (embedding_model column), are re-embedded; when the persisted index
+ * was built with another model or dimension it is rebuilt from SQLite.
+ *
+ * Used by VectorSearchProvider.backfillEmbeddings() and backfill-vectors.cjs.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { DEFAULT_MODEL } = require('./embedder.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {number} Memories re-embedded per batch */
+const DEFAULT_BATCH_SIZE = 50;
+
+// =============================================================================
+// BACKFILL
+// =============================================================================
+
+/**
+ * Model ID recorded with embeddings from this embedder
+ *
+ * @param {Object} embedder
+ * @returns {string}
+ */
+function getModelId(embedder) {
+  return embedder?.modelId || DEFAULT_MODEL;
+}
+
+/**
+ * Rebuild the vector index from the embeddings stored for the embedder's model
+ *
+ * @param {Object} components
+ * @param {import('./memory-store.cjs').MemoryStore} components.memoryStore
+ * @param {import('./vector-index.cjs').VectorIndex} components.vectorIndex
+ * @param {Object} components.embedder
+ * @returns {number} Vectors added
+ */
+function rebuildVectorIndex({ memoryStore, vectorIndex, embedder }) {
+  const model = getModelId(embedder);
+  vectorIndex.reset();
+
+  let indexed = 0;
+  let after = '';
+  while (true) {
+    const page = memoryStore.getStoredEmbeddings(model, { after });
+    if (page.length === 0) break;
+
+    for (const { id, embedding } of page) {
+      if (embedding.length !== vectorIndex.dimension) continue;
+      vectorIndex.add(id, embedding);
+      indexed++;
+    }
+    after = page[page.length - 1].id;
+  }
+
+  return indexed;
+}
+
+/**
+ * Embed memories that have no embedding or one from a different model,
+ * then bring the vector index up to date (rebuilding it when required).
+ * The index is not saved; callers persist it.
+ *
+ * @param {Object} components
+ * @param {import('./memory-store.cjs').MemoryStore} components.memoryStore
+ * @param {import('./vector-index.cjs').VectorIndex} components.vectorIndex
+ * @param {Object} components.embedder
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=50] - Batch size
+ * @param {boolean} [options.rebuild=false] - Rebuild the index even if it matches the model
+ * @param {Function} [options.onProgress] - Called after each batch with {processed, errors}
+ * @returns {Promise<{processed: number, errors: number, failedIds: string[], rebuilt: boolean, indexed: number}>}
+ */
+async function backfillEmbeddings({ memoryStore, vectorIndex, embedder }, options = {}) {
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const onProgress = options.onProgress || (() => {});
+  const model = getModelId(embedder);
+  const rebuild = !!(options.rebuild || vectorIndex.rebuildRequired);
+
+  let processed = 0;
+  const failed = new Set();
+
+  while (true) {
+    // Re-embedded rows drop out of the stale set; failed ones are skipped
+    const memories = memoryStore
+      .getStaleEmbeddings(model, batchSize + failed.size)
+      .filter(memory => !failed.has(memory.id));
+
+    if (memories.length === 0) break;
+
+    for (const memory of memories) {
+      try {
+        const embedding = await embedder.embed(memory.summary || memory.content);
+        memoryStore.setEmbedding(memory.id, embedding, model);
+
+        // A rebuild re-adds everything below
+        if (!rebuild) vectorIndex.add(memory.id, embedding);
+
+        processed++;
+      } catch (error) {
+        failed.add(memory.id);
+        console.error(`[EmbeddingBackfill] Failed to embed ${memory.id}: ${error.message}`);
+      }
+    }
+
+    onProgress({ processed, errors: failed.size });
+  }
+
+  const indexed = rebuild ? rebuildVectorIndex({ memoryStore, vectorIndex, embedder }) : 0;
+
+  return {
+    processed,
+    errors: failed.size,
+    failedIds: Array.from(failed),
+    rebuilt: rebuild,
+    indexed,
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  backfillEmbeddings,
+  rebuildVectorIndex,
+  getModelId,
+};
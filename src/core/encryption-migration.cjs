@@ -0,0 +1,399 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Encryption Migration
+ *
+ * Converts an existing memory directory to encryption at rest, and
+ * re-encrypts it under a new key (`cortex encrypt --migrate` /
+ * `cortex encrypt --rotate-key`).
+ *
+ * Every content/summary value is brought to the target key:
+ *   - plaintext                     -> encrypted with the target key
+ *   - already under the target key  -> left as is
+ *   - under the previous key        -> decrypted and re-encrypted
+ *
+ * Because each value is classified independently, an interrupted run can
+ * simply be repeated with the same secrets. The key file is only replaced
+ * after all data has been converted.
+ *
+ * Other Cortex processes (MCP server, API server) should be stopped while
+ * this runs; they keep plaintext copies in memory and would write with
+ * their old settings.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { expandPath } = require('./types.cjs');
+const { CortexError } = require('./errors.cjs');
+const { MemoryStore, TABLE_NAME, VERSIONS_TABLE_NAME } = require('./memory-store.cjs');
+const { NEURONS_TABLE_NAME } = require('./neural-network.cjs');
+const {
+  createStorageEncryption,
+  createKeyMetadata,
+  openWithMetadata,
+  readKeyMetadata,
+  writeKeyMetadata,
+  resetStorageEncryption,
+  ENCRYPTED_FIELDS,
+  DEFAULT_KEY_FILE,
+} = require('./storage-encryption.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Default memory directory */
+const DEFAULT_BASE_PATH = '~/.claude/memory';
+
+/** @const {string[]} Directories (relative to the base path) holding JSONL stores */
+const JSONL_DIRS = ['data', 'annotations'];
+
+// =============================================================================
+// VALUE CONVERSION
+// =============================================================================
+
+/**
+ * Bring one value to the target key
+ *
+ * @param {*} value - Stored value
+ * @param {import('./encryption.cjs').CortexEncryption} target - Key to encrypt with
+ * @param {import('./encryption.cjs').CortexEncryption|null} previous - Key being replaced
+ * @returns {{value: *, changed: boolean}}
+ * @throws {CortexError} E501 when ciphertext matches neither key
+ */
+function convertValue(value, target, previous) {
+  if (typeof value !== 'string' || !value) return { value, changed: false };
+  if (!target.isEncrypted(value)) return { value: target.encrypt(value), changed: true };
+
+  try {
+    target.decrypt(value);
+    return { value, changed: false };
+  } catch {
+    // Not the target key; try the previous one below
+  }
+
+  if (previous) {
+    try {
+      return { value: target.encrypt(previous.decrypt(value)), changed: true };
+    } catch {
+      // Fall through to the error
+    }
+  }
+  throw new CortexError('CORTEX_E501', {
+    details: 'A stored value is encrypted with an unknown key',
+  });
+}
+
+/**
+ * Bring the content fields of a record to the target key
+ * @param {Object} record
+ * @param {CortexEncryption} target
+ * @param {CortexEncryption|null} previous
+ * @returns {{record: Object, changed: boolean}}
+ */
+function convertRecord(record, target, previous) {
+  let changed = false;
+  const result = { ...record };
+  for (const field of ENCRYPTED_FIELDS) {
+    const converted = convertValue(result[field], target, previous);
+    result[field] = converted.value;
+    changed = changed || converted.changed;
+  }
+  return { record: result, changed };
+}
+
+// =============================================================================
+// STORAGE LAYERS
+// =============================================================================
+
+/**
+ * Convert the SQLite memory store (memories, their version history and the
+ * neural network's neurons)
+ *
+ * Rows are rewritten in place without bumping versions or emitting change
+ * events. The FTS index is rebuilt and the file vacuumed afterwards so no
+ * plaintext survives in free pages or old index segments.
+ *
+ * @param {string} dbPath - memories.db path
+ * @param {CortexEncryption} target
+ * @param {CortexEncryption|null} previous
+ * @returns {Promise<{memories: number, versions: number, neuralNodes: number}>} Rows changed
+ */
+async function migrateDatabase(dbPath, target, previous) {
+  const result = { memories: 0, versions: 0, neuralNodes: 0 };
+  if (!fs.existsSync(dbPath)) return result;
+
+  // Raw access: the store must not decrypt or encrypt on our behalf
+  const memoryStore = new MemoryStore({ dbPath, encryption: null });
+  await memoryStore.initialize();
+  const { store } = memoryStore;
+
+  try {
+    store.transaction(() => {
+      for (const row of store.query(`SELECT rowid AS row_id, content, summary FROM ${TABLE_NAME}`)) {
+        const { record, changed } = convertRecord(row, target, previous);
+        if (!changed) continue;
+        store.run(
+          `UPDATE ${TABLE_NAME} SET content = @content, summary = @summary WHERE rowid = @row_id`,
+          record
+        );
+        result.memories++;
+      }
+
+      for (const row of store.query(`SELECT rowid AS row_id, content, summary FROM ${VERSIONS_TABLE_NAME}`)) {
+        const { record, changed } = convertRecord(row, target, previous);
+        if (!changed) continue;
+        store.run(
+          `UPDATE ${VERSIONS_TABLE_NAME} SET content = @content, summary = @summary WHERE rowid = @row_id`,
+          record
+        );
+        result.versions++;
+      }
+
+      if (!store.tableExists(NEURONS_TABLE_NAME)) return;
+      for (const row of store.query(`SELECT rowid AS row_id, content, summary FROM ${NEURONS_TABLE_NAME}`)) {
+        const { record, changed } = convertRecord(row, target, previous);
+        if (!changed) continue;
+        store.run(
+          `UPDATE ${NEURONS_TABLE_NAME} SET content = @content, summary = @summary WHERE rowid = @row_id`,
+          record
+        );
+        result.neuralNodes++;
+      }
+    });
+
+    if (result.memories + result.versions + result.neuralNodes > 0) {
+      memoryStore.rebuildFtsIndex();
+      memoryStore.optimizeFtsIndex();
+      memoryStore.vacuum();
+      store.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+    }
+  } finally {
+    memoryStore.close();
+  }
+
+  return result;
+}
+
+/**
+ * Convert one JSONL file line by line (order and superseded lines are kept;
+ * unparseable lines are left untouched)
+ *
+ * @param {string} filePath
+ * @param {CortexEncryption} target
+ * @param {CortexEncryption|null} previous
+ * @returns {number} Lines changed
+ */
+function migrateJsonlFile(filePath, target, previous) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  let changedLines = 0;
+
+  const output = lines.map(line => {
+    if (!line.trim()) return line;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      return line;
+    }
+    const { record, changed } = convertRecord(parsed, target, previous);
+    if (!changed) return line;
+    changedLines++;
+    return JSON.stringify(record);
+  });
+
+  if (changedLines > 0) {
+    const tempPath = `${filePath}.tmp.${process.pid}`;
+    fs.writeFileSync(tempPath, output.join('\n'), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  }
+  return changedLines;
+}
+
+/**
+ * Find JSONL files below a directory
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function findJsonlFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findJsonlFiles(fullPath));
+    } else if (entry.isFile() && entry.name.endsWith('.jsonl')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Convert a legacy neural network node file (not yet imported into the database)
+ * @param {string} nodeFile - neural/nodes.json path
+ * @param {CortexEncryption} target
+ * @param {CortexEncryption|null} previous
+ * @returns {number} Nodes changed
+ */
+function migrateNeuralNodes(nodeFile, target, previous) {
+  if (!fs.existsSync(nodeFile)) return 0;
+
+  const nodes = JSON.parse(fs.readFileSync(nodeFile, 'utf8'));
+  let changedNodes = 0;
+  const output = nodes.map(node => {
+    const { record, changed } = convertRecord(node, target, previous);
+    if (changed) changedNodes++;
+    return record;
+  });
+
+  if (changedNodes > 0) {
+    const tempPath = `${nodeFile}.tmp.${process.pid}`;
+    fs.writeFileSync(tempPath, JSON.stringify(output, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, nodeFile);
+  }
+  return changedNodes;
+}
+
+/**
+ * Bring every storage layer under a base path to the target key
+ *
+ * @param {Object} options
+ * @param {string} [options.basePath='~/.claude/memory']
+ * @param {CortexEncryption} options.target - Key to encrypt with
+ * @param {CortexEncryption|null} [options.previous] - Key being replaced
+ * @returns {Promise<{memories: number, versions: number, jsonlFiles: number, jsonlRecords: number, neuralNodes: number}>}
+ */
+async function migrateStorage(options) {
+  const basePath = expandPath(options.basePath || DEFAULT_BASE_PATH);
+  const { target, previous = null } = options;
+
+  const database = await migrateDatabase(path.join(basePath, 'data', 'memories.db'), target, previous);
+
+  let jsonlFiles = 0;
+  let jsonlRecords = 0;
+  for (const dir of JSONL_DIRS) {
+    for (const file of findJsonlFiles(path.join(basePath, dir))) {
+      const changed = migrateJsonlFile(file, target, previous);
+      if (changed > 0) jsonlFiles++;
+      jsonlRecords += changed;
+    }
+  }
+
+  const legacyNodes = migrateNeuralNodes(path.join(basePath, 'neural', 'nodes.json'), target, previous);
+
+  return { ...database, jsonlFiles, jsonlRecords, neuralNodes: database.neuralNodes + legacyNodes };
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+/**
+ * Encrypt existing plaintext data (creates the key file on first use)
+ *
+ * @param {Object} options
+ * @param {string} options.secret - CORTEX_ENCRYPTION_SECRET
+ * @param {string} [options.basePath]
+ * @param {string} [options.keyFile]
+ * @returns {Promise<Object>} migrateStorage() counts
+ */
+async function encryptExistingData(options) {
+  const target = createStorageEncryption({
+    secret: options.secret,
+    keyFile: options.keyFile || DEFAULT_KEY_FILE,
+  });
+
+  const result = await migrateStorage({ basePath: options.basePath, target });
+  resetStorageEncryption();
+  return result;
+}
+
+/**
+ * Re-encrypt all data under a new secret
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Current secret
+ * @param {string} options.newSecret - Replacement secret
+ * @param {string} [options.basePath]
+ * @param {string} [options.keyFile]
+ * @returns {Promise<Object>} migrateStorage() counts
+ * @throws {CortexError} E502 without a key file or secrets, E501 when the current secret is wrong
+ */
+async function rotateEncryptionKey(options) {
+  const keyFile = options.keyFile || DEFAULT_KEY_FILE;
+  if (!options.newSecret) {
+    throw new CortexError('CORTEX_E502', {
+      details: 'A new secret (CORTEX_ENCRYPTION_NEW_SECRET) is required to rotate the key',
+    });
+  }
+  if (options.newSecret === options.secret) {
+    throw new CortexError('CORTEX_E500', { details: 'The new secret must differ from the current one' });
+  }
+
+  const metadata = readKeyMetadata(keyFile);
+  if (!metadata) {
+    throw new CortexError('CORTEX_E502', {
+      details: `Key file not found: ${expandPath(keyFile)} (run cortex encrypt --migrate first)`,
+    });
+  }
+
+  // A repeated run after an interrupted rotation already has the new key on file
+  if (openWithMetadata(options.newSecret, metadata) && !openWithMetadata(options.secret || '', metadata)) {
+    throw new CortexError('CORTEX_E500', { details: 'The key has already been rotated to the new secret' });
+  }
+
+  const previous = createStorageEncryption({ secret: options.secret, keyFile, create: false });
+  const { metadata: next, encryption: target } = createKeyMetadata(options.newSecret, metadata);
+
+  const result = await migrateStorage({ basePath: options.basePath, target, previous });
+
+  writeKeyMetadata(keyFile, next);
+  resetStorageEncryption();
+  return result;
+}
+
+/**
+ * Count plaintext and encrypted memory rows (for `cortex encrypt --status`)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.basePath]
+ * @returns {Promise<{memories: number, encrypted: number, plaintext: number}>}
+ */
+async function getEncryptionCoverage(options = {}) {
+  const basePath = expandPath(options.basePath || DEFAULT_BASE_PATH);
+  const dbPath = path.join(basePath, 'data', 'memories.db');
+  const coverage = { memories: 0, encrypted: 0, plaintext: 0 };
+  if (!fs.existsSync(dbPath)) return coverage;
+
+  const memoryStore = new MemoryStore({ dbPath, encryption: null });
+  await memoryStore.initialize();
+  try {
+    // Every ciphertext starts with base64("CRX1")
+    const row = memoryStore.store.queryOne(`
+      SELECT COUNT(*) AS total, SUM(CASE WHEN substr(content, 1, 5) = 'Q1JYM' THEN 1 ELSE 0 END) AS encrypted
+      FROM ${TABLE_NAME}
+    `);
+    coverage.memories = row.total;
+    coverage.encrypted = row.encrypted || 0;
+    coverage.plaintext = row.total - coverage.encrypted;
+  } finally {
+    memoryStore.close();
+  }
+  return coverage;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  migrateStorage,
+  encryptExistingData,
+  rotateEncryptionKey,
+  getEncryptionCoverage,
+};
@@ -74,10 +74,18 @@ class CortexEncryption {
    * @param {Object} options - Configuration options
    * @param {string} options.secret - Encryption secret (defaults to env var)
    * @param {boolean} options.enabled - Whether encryption is enabled
+   * @param {Buffer|string} [options.salt] - Fixed key-derivation salt (hex string or
+   *   Buffer). Stores that encrypt many small fields pass one so PBKDF2 runs once per
+   *   process instead of once per value; the IV is still random per encryption.
    */
   constructor(options = {}) {
     this.secret = options.secret || process.env.CORTEX_ENCRYPTION_SECRET;
     this.enabled = options.enabled !== false && !!this.secret;
+    this.salt = typeof options.salt === 'string' ? Buffer.from(options.salt, 'hex') : (options.salt || null);
+
+    if (this.salt && this.salt.length !== SALT_LENGTH) {
+      throw new EncryptionError(`Salt must be ${SALT_LENGTH} bytes`);
+    }
 
     // Cache derived keys by salt (for performance)
     this._keyCache = new Map();
@@ -141,8 +149,8 @@ class CortexEncryption {
       throw new EncryptionError('Plaintext must be a string');
     }
 
-    // Generate random salt and IV
-    const salt = crypto.randomBytes(SALT_LENGTH);
+    // Generate random salt (unless fixed) and IV
+    const salt = this.salt || crypto.randomBytes(SALT_LENGTH);
     const iv = crypto.randomBytes(IV_LENGTH);
 
     // Derive key from secret + salt
@@ -364,4 +372,5 @@ module.exports = {
   ALGORITHM,
   KEY_LENGTH,
   IV_LENGTH,
+  SALT_LENGTH,
 };
@@ -79,6 +79,12 @@ const ERROR_CODES = {
     message: 'No memories found',
     suggestion: 'No memories match your query. Try broader search terms or use `/cortex learn` to store new memories.',
   },
+  CORTEX_E105: {
+    code: 'CORTEX_E105',
+    category: 'memory',
+    message: 'Memory not found',
+    suggestion: 'No memory exists with that ID. List memories with GET /api/memories or search with cortex__query.',
+  },
 
   // Tool Errors (E200-E299)
   CORTEX_E200: {
@@ -151,6 +157,12 @@ const ERROR_CODES = {
     message: 'Tool in cooldown',
     suggestion: 'This tool was rate-limited. Wait for the cooldown to expire.',
   },
+  CORTEX_E314: {
+    code: 'CORTEX_E314',
+    category: 'rate-limit',
+    message: 'Spending budget exceeded',
+    suggestion: 'The daily or monthly API budget is spent. Raise budget.dailyUsd / budget.monthlyUsd or wait for the next period; local search keeps working.',
+  },
 
   // Encryption Errors (E500-E509)
   CORTEX_E500: {
@@ -172,6 +184,44 @@ const ERROR_CODES = {
     suggestion: 'Set CORTEX_ENCRYPTION_SECRET environment variable to enable encryption.',
   },
 
+  // HTTP API Errors (E600-E609)
+  CORTEX_E600: {
+    code: 'CORTEX_E600',
+    category: 'http',
+    message: 'Endpoint not found',
+    suggestion: 'Check the request path. The full route list is served at GET /api/openapi.json',
+  },
+  CORTEX_E601: {
+    code: 'CORTEX_E601',
+    category: 'http',
+    message: 'Invalid request body',
+    suggestion: 'Send a JSON object body with Content-Type: application/json.',
+  },
+  CORTEX_E602: {
+    code: 'CORTEX_E602',
+    category: 'http',
+    message: 'Method not allowed',
+    suggestion: 'This endpoint does not support the HTTP method used. See GET /api/openapi.json',
+  },
+  CORTEX_E603: {
+    code: 'CORTEX_E603',
+    category: 'http',
+    message: 'Authentication required',
+    suggestion: 'Send "Authorization: Bearer <token>". Create a token with: cortex-memory token create <name> --scopes read',
+  },
+  CORTEX_E604: {
+    code: 'CORTEX_E604',
+    category: 'http',
+    message: 'Insufficient token scope',
+    suggestion: 'This operation needs a token with a higher scope (read < write < admin). Mint one with --scopes write or admin.',
+  },
+  CORTEX_E605: {
+    code: 'CORTEX_E605',
+    category: 'http',
+    message: 'Origin not allowed',
+    suggestion: 'Add the origin to apiServer.cors.allowedOrigins in ~/.claude/memory/data/configs/current.json or CORTEX_API_CORS_ORIGINS.',
+  },
+
   // Quality Errors (E400-E499)
   CORTEX_E400: {
     code: 'CORTEX_E400',
@@ -60,6 +60,7 @@ class Harvester {
             // Ensure record has an embedding
             if (!record.embedding && this.embedder) {
               record.embedding = await this.embedder.embed(record.content);
+              record.embedding_model = this.embedder.modelId || null;
             }
 
             const result = await this.store.upsert(record);
@@ -4,6 +4,11 @@
  * Combines BM25 (SQLite FTS5) and vector (HNSW) search with:
  * - Reciprocal Rank Fusion (RRF) for score combination
  * - FSRS-6 power law temporal decay for recency weighting
+ * - Optional spreading activation over the neural network's synapses, a
+ *   third channel recalling memories linked to the top hits
+ * - Optional cross-encoder re-ranking of the top fused candidates
+ * - Bi-temporal point-in-time filters (valid time asOf, transaction time knownAt)
+ * - Query filter DSL (type/tag/source/project/date/quality, see query-filters.cjs)
  * - Source tracking for transparency
  * - Comprehensive statistics
  *
@@ -12,6 +17,9 @@
 
 'use strict';
 
+const { RANGE_COLUMNS, RANGE_OPERATORS } = require('./query-filters.cjs');
+const { decryptFields } = require('./storage-encryption.cjs');
+
 // =============================================================================
 // CONSTANTS
 // =============================================================================
@@ -37,6 +45,21 @@ const PREFETCH_MULTIPLIER = 3;
 /** @const {number} Minimum results to fetch before fusion */
 const MIN_PREFETCH = 30;
 
+/** @const {number} Default number of fused candidates passed to the reranker */
+const DEFAULT_RERANK_TOP_N = 20;
+
+/** @const {number} Default RRF weight of the spreading activation channel */
+const DEFAULT_ACTIVATION_WEIGHT = 0.3;
+
+/** @const {number} Default synapse hops followed from each seed */
+const DEFAULT_ACTIVATION_HOPS = 2;
+
+/** @const {number} Default activation kept per hop */
+const DEFAULT_ACTIVATION_DECAY = 0.5;
+
+/** @const {number} Default top BM25 and vector hits that seed activation */
+const DEFAULT_ACTIVATION_SEEDS = 5;
+
 // =============================================================================
 // HYBRID SEARCH CLASS
 // =============================================================================
@@ -48,29 +71,35 @@ class HybridSearch {
   /**
    * @param {Object} options
    * @param {Object} options.store - SQLiteStore instance with FTS5 table
-   * @param {Object} options.vectorIndex - VectorIndex instance
-   * @param {Object} options.embedder - Embedder instance
+   * @param {Object} [options.vectorIndex] - VectorIndex instance (required for hybrid and vector search)
+   * @param {Object} [options.embedder] - Embedder instance (required for hybrid and vector search)
    * @param {number} [options.rrfK] - RRF constant (default: 60)
    * @param {number} [options.vectorWeight] - Vector weight 0-1 (default: 0.5)
    * @param {number} [options.decayBase] - Temporal decay base (default: 0.9)
    * @param {number} [options.decayExponent] - Decay exponent (default: 0.5)
+   * @param {Object} [options.reranker] - Cross-encoder with score(query, texts) (see reranker.cjs)
+   * @param {number} [options.rerankTopN] - Fused candidates re-scored (default: reranker.topN or 20)
+   * @param {Object} [options.activationGraph] - Graph with spreadActivation(seeds, {hops, decay})
+   *   keyed by memory ID (a loaded NeuralNetwork); enables the spreading activation channel
+   * @param {number} [options.activationWeight] - RRF weight of activated neighbours (default: 0.3)
+   * @param {number} [options.activationHops] - Synapse hops from each seed (default: 2)
+   * @param {number} [options.activationDecay] - Activation kept per hop (default: 0.5)
+   * @param {number} [options.activationSeeds] - Top hits per channel that seed activation (default: 5)
    * @param {string} [options.tableName] - Main table name (default: 'memories')
    * @param {string} [options.ftsTableName] - FTS5 table name (default: 'memories_fts')
+   * @param {string} [options.versionsTableName] - Version history table (default: 'memory_versions')
+   * @param {Object} [options.encryption] - Storage encryption for content/summary (see storage-encryption.cjs);
+   *   disables BM25, since the FTS5 index then only holds ciphertext
    */
   constructor(options = {}) {
     if (!options.store) {
       throw new Error('HybridSearch requires a SQLiteStore instance');
     }
-    if (!options.vectorIndex) {
-      throw new Error('HybridSearch requires a VectorIndex instance');
-    }
-    if (!options.embedder) {
-      throw new Error('HybridSearch requires an Embedder instance');
-    }
 
     this.store = options.store;
-    this.vectorIndex = options.vectorIndex;
-    this.embedder = options.embedder;
+    // Both may be left out by BM25-only callers that cannot afford loading them
+    this.vectorIndex = options.vectorIndex || null;
+    this.embedder = options.embedder || null;
 
     // Configuration
     this.rrfK = options.rrfK ?? DEFAULT_RRF_K;
@@ -78,9 +107,26 @@ class HybridSearch {
     this.decayBase = options.decayBase ?? DEFAULT_DECAY_BASE;
     this.decayExponent = options.decayExponent ?? DEFAULT_DECAY_EXPONENT;
 
+    // Optional re-ranking stage
+    this.reranker = options.reranker || null;
+    this.rerankTopN = options.rerankTopN ?? this.reranker?.topN ?? DEFAULT_RERANK_TOP_N;
+
+    // Optional spreading activation channel
+    this.activationGraph = options.activationGraph || null;
+    this.activationWeight = options.activationWeight ?? DEFAULT_ACTIVATION_WEIGHT;
+    this.activationHops = options.activationHops ?? DEFAULT_ACTIVATION_HOPS;
+    this.activationDecay = options.activationDecay ?? DEFAULT_ACTIVATION_DECAY;
+    this.activationSeeds = options.activationSeeds ?? DEFAULT_ACTIVATION_SEEDS;
+
     // Table names
     this.tableName = options.tableName || 'memories';
     this.ftsTableName = options.ftsTableName || 'memories_fts';
+    this.versionsTableName = options.versionsTableName || 'memory_versions';
+
+    // Encrypted stores keep content/summary as ciphertext, so the FTS5 index
+    // only holds ciphertext: BM25 is left out and search is vector-only
+    this.encryption = options.encryption || null;
+    this.bm25Enabled = !this.encryption;
 
     // Statistics
     this.stats = {
@@ -94,6 +140,11 @@ class HybridSearch {
       bm25Hits: 0,
       vectorHits: 0,
       fusedHits: 0,
+      activationHits: 0,
+      reranked: 0,
+      rerankErrors: 0,
+      totalRerankMs: 0,
+      lastTimings: null,
     };
   }
 
@@ -112,7 +163,20 @@ class HybridSearch {
    * @param {string} [options.projectHash] - Filter by project (null = global only)
    * @param {boolean} [options.includeGlobal=true] - Include global memories when projectHash set
    * @param {string} [options.status='active'] - Filter by status
-   * @param {string} [options.mode='hybrid'] - Search mode: 'hybrid'|'bm25'|'vector'
+   * @param {string} [options.mode='hybrid'] - Search mode: 'hybrid'|'bm25'|'vector' (BM25 returns nothing on an encrypted store)
+   * @param {boolean} [options.matchAny=false] - BM25 matches memories containing any query word
+   *   instead of all of them
+   * @param {string|Date} [options.asOf] - Valid time: only memories that were true at this instant
+   * @param {string|Date} [options.knownAt] - Transaction time: only memories ingested by this instant
+   * @param {boolean} [options.includeSuperseded=false] - Also return memories whose validity window closed
+   * @param {string|Date} [options.referenceTime] - Clock for temporal decay and the validity window
+   *   when asOf is not set (default: now)
+   * @param {import('./query-filters.cjs').QueryFilters} [options.filters] - Parsed filter DSL terms
+   *   (project:current resolves to options.projectHash)
+   * @param {boolean} [options.rerank=true] - Re-rank with the cross-encoder when one is configured
+   *   (latency-sensitive callers pass false)
+   * @param {boolean} [options.activation=true] - Add memories linked to the top hits when an
+   *   activation graph is configured (hybrid mode only)
    * @param {boolean} [options.verbose=false] - Enable timing logs
    * @returns {Promise<Array<SearchResult>>}
    *
@@ -120,15 +184,18 @@ class HybridSearch {
    * @property {string} id - Memory ID
    * @property {number} score - Final combined score
    * @property {Object} memory - Full memory record
-   * @property {string[]} sources - Which search methods found this ('bm25'|'vector')
+   * @property {string[]} sources - Which search methods found this ('bm25'|'vector'|'activation')
    * @property {number} decay - Temporal decay factor applied
    * @property {number} bm25Rank - Rank in BM25 results (null if not found)
    * @property {number} vectorRank - Rank in vector results (null if not found)
+   * @property {number} [activationRank] - Rank among activated neighbours (hybrid mode; null if not activated)
+   * @property {number} [rerankScore] - Cross-encoder relevance 0-1 (re-ranked results only)
+   * @property {number} [fusedScore] - RRF score before re-ranking (re-ranked results only)
+   * @property {boolean} superseded - valid_to had passed at the reference time (asOf or now)
    */
   async search(query, options = {}) {
     const startTime = Date.now();
-    const timings = { bm25: 0, vector: 0, embedding: 0, fusion: 0 };
-    const verbose = options.verbose || false;
+    const timings = { bm25: 0, vector: 0, embedding: 0, activation: 0, fusion: 0, rerank: 0 };
 
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
       throw new Error('Query must be a non-empty string');
@@ -138,6 +205,10 @@ class HybridSearch {
     const mode = options.mode ?? 'hybrid';
     const prefetchK = Math.max(limit * PREFETCH_MULTIPLIER, MIN_PREFETCH);
 
+    if (mode !== 'bm25' && (!this.vectorIndex || !this.embedder)) {
+      throw new Error(`HybridSearch requires a VectorIndex and an Embedder for ${mode} search`);
+    }
+
     // Build filter conditions
     const filters = this._buildFilters(options);
 
@@ -152,24 +223,26 @@ class HybridSearch {
 
       // Start both searches concurrently
       const [bm25, vector] = await Promise.all([
-        Promise.resolve(this._bm25Search(query, prefetchK, filters)),
+        Promise.resolve(this.bm25Enabled ? this._bm25Search(query, prefetchK, filters, options.matchAny) : []),
         this._vectorSearch(query, prefetchK, filters),
       ]);
 
       bm25Results = bm25;
       vectorResults = vector;
 
-      timings.bm25 = Date.now() - bm25Start; // Note: timing is approximate for parallel
+      timings.bm25 = this.bm25Enabled ? Date.now() - bm25Start : null; // Note: timing is approximate for parallel
       timings.vector = Date.now() - vectorStart;
       this.stats.bm25Hits += bm25Results.length;
       this.stats.vectorHits += vectorResults.length;
 
-      if (verbose) {
+      if (options.verbose) {
         console.error(`[HybridSearch] BM25: ${bm25Results.length} results, Vector: ${vectorResults.length} results`);
       }
+    } else if (mode === 'bm25' && !this.bm25Enabled) {
+      timings.bm25 = null;
     } else if (mode === 'bm25') {
       const bm25Start = Date.now();
-      bm25Results = this._bm25Search(query, prefetchK, filters);
+      bm25Results = this._bm25Search(query, prefetchK, filters, options.matchAny);
       timings.bm25 = Date.now() - bm25Start;
       this.stats.bm25Hits += bm25Results.length;
     } else if (mode === 'vector') {
@@ -191,28 +264,41 @@ class HybridSearch {
 
     // Handle single-mode results
     if (mode === 'bm25') {
-      return this._finalizeResults(bm25Results, limit, startTime, timings);
+      const results = this._toSearchResults(bm25Results, limit, filters.referenceTime);
+      return this._finalizeResults(results, startTime, timings, options);
     }
     if (mode === 'vector') {
-      return this._finalizeResults(vectorResults, limit, startTime, timings);
+      const results = this._toSearchResults(vectorResults, limit, filters.referenceTime);
+      return this._finalizeResults(results, startTime, timings, options);
+    }
+
+    // Hybrid: memories linked to the top hits, as a third ranked list
+    let activationResults = [];
+    if (this._shouldSpreadActivation(options)) {
+      const activationStart = Date.now();
+      activationResults = this._activationSearch(bm25Results, vectorResults, prefetchK, filters);
+      timings.activation = Date.now() - activationStart;
+      this.stats.activationHits += activationResults.length;
     }
 
     // Hybrid: RRF Fusion
     const fusionStart = Date.now();
-    const fused = this._rrfFusion(bm25Results, vectorResults);
+    const fused = this._rrfFusion(bm25Results, vectorResults, activationResults);
     timings.fusion = Date.now() - fusionStart;
     this.stats.fusedHits += fused.size;
 
     // Apply temporal decay
-    this._applyTemporalDecay(fused);
+    this._applyTemporalDecay(fused, filters.referenceTime);
 
-    // Sort and limit
+    // Sort and keep enough candidates for the reranker
+    const rerank = this._shouldRerank(options);
+    const candidateCount = rerank ? Math.max(limit, this.rerankTopN) : limit;
     const sorted = Array.from(fused.entries())
       .sort((a, b) => b[1].score - a[1].score)
-      .slice(0, limit);
+      .slice(0, candidateCount);
 
     // Fetch full memory records
-    const results = [];
+    let results = [];
     for (const [id, data] of sorted) {
       const memory = this._getMemory(id);
       if (memory) {
@@ -224,25 +310,17 @@ class HybridSearch {
           decay: data.decay,
           bm25Rank: data.bm25Rank,
           vectorRank: data.vectorRank,
+          activationRank: data.activationRank,
+          superseded: isSupersededAt(memory, filters.referenceTime),
         });
       }
     }
 
-    // Update stats
-    const latency = Date.now() - startTime;
-    this.stats.totalLatencyMs += latency;
-    this.stats.avgLatencyMs = Math.round(this.stats.totalLatencyMs / this.stats.searches);
-
-    if (results.length === 0) {
-      this.stats.emptyResults++;
-    }
-
-    // Attach timing info to results if verbose
-    if (options.verbose) {
-      console.error(`[HybridSearch] Total: ${latency}ms (BM25: ${timings.bm25}ms, Vector: ${timings.vector}ms, Fusion: ${timings.fusion}ms)`);
+    if (rerank && results.length > 1) {
+      results = await this._rerank(query, results, timings);
     }
 
-    return results;
+    return this._finalizeResults(results.slice(0, limit), startTime, timings, options);
   }
 
   /**
@@ -277,9 +355,18 @@ class HybridSearch {
       ...this.stats,
       config: {
         rrfK: this.rrfK,
+        bm25: this.bm25Enabled,
         vectorWeight: this.vectorWeight,
         decayBase: this.decayBase,
         decayExponent: this.decayExponent,
+        reranker: this.reranker?.modelId || (this.reranker ? 'custom' : null),
+        rerankTopN: this.rerankTopN,
+        activation: this.activationGraph ? {
+          weight: this.activationWeight,
+          hops: this.activationHops,
+          decay: this.activationDecay,
+          seeds: this.activationSeeds,
+        } : null,
       },
     };
   }
@@ -299,6 +386,11 @@ class HybridSearch {
       bm25Hits: 0,
       vectorHits: 0,
       fusedHits: 0,
+      activationHits: 0,
+      reranked: 0,
+      rerankErrors: 0,
+      totalRerankMs: 0,
+      lastTimings: null,
     };
   }
 
@@ -308,13 +400,33 @@ class HybridSearch {
 
   /**
    * Build SQL filter conditions from options
+   *
+   * Bi-temporal filters:
+   * - asOf (valid time): valid_from <= asOf < valid_to. Without asOf the
+   *   window is checked against referenceTime (default now), so superseded
+   *   memories are hidden.
+   * - knownAt (transaction time): ingested_at <= knownAt, i.e. what the
+   *   system had recorded at that point. The valid_to bound then uses the
+   *   valid_to recorded at knownAt (memory_versions), so a later supersede
+   *   does not hide a memory that was still open back then.
+   * - includeSuperseded drops the valid_to bound, returning every version
+   *   that had started by the reference time.
+   *
+   * Timestamps are compared with julianday() because legacy rows carry
+   * SQLite datetime('now') strings while newer rows carry ISO 8601.
+   *
+   * Filter DSL terms (options.filters) add type/tag/source/date/range
+   * conditions; a project: term replaces the projectHash scoping and a
+   * status: term replaces options.status.
+   *
    * @private
    * @param {Object} options
-   * @returns {{whereClause: string, params: Object}}
+   * @returns {{whereClause: string, params: Object, referenceTime: number, queryFilters: Object|null}}
    */
   _buildFilters(options) {
+    const queryFilters = this._resolveQueryFilters(options);
     const conditions = [`m.status = @status`];
-    const params = { status: options.status ?? 'active' };
+    const params = { status: queryFilters?.status ?? options.status ?? 'active' };
 
     if (options.source) {
       conditions.push(`m.source = @source`);
@@ -326,7 +438,7 @@ class HybridSearch {
       params.memoryType = options.memoryType;
     }
 
-    if (options.projectHash) {
+    if (options.projectHash && !queryFilters?.project) {
       if (options.includeGlobal !== false) {
         conditions.push(`(m.project_hash = @projectHash OR m.project_hash IS NULL)`);
       } else {
@@ -335,23 +447,156 @@ class HybridSearch {
       params.projectHash = options.projectHash;
     }
 
+    const asOf = toIsoTimestamp(options.asOf, 'asOf');
+    const knownAt = toIsoTimestamp(options.knownAt, 'knownAt');
+    const clock = toIsoTimestamp(options.referenceTime, 'referenceTime');
+    const referenceTime = Date.parse(asOf || clock) || Date.now();
+
+    if (asOf) {
+      conditions.push(`julianday(COALESCE(m.valid_from, m.created_at)) <= julianday(@asOf)`);
+      params.asOf = asOf;
+    }
+
+    if (!options.includeSuperseded) {
+      const validTo = knownAt ? `(${this._knownValidToSql()})` : 'm.valid_to';
+      conditions.push(`(${validTo} IS NULL OR julianday(${validTo}) > julianday(@validAt))`);
+      params.validAt = asOf || new Date(referenceTime).toISOString();
+    }
+
+    if (knownAt) {
+      conditions.push(`julianday(COALESCE(m.ingested_at, m.created_at)) <= julianday(@knownAt)`);
+      params.knownAt = knownAt;
+    }
+
+    if (queryFilters) {
+      this._addQueryFilterConditions(queryFilters, conditions, params);
+    }
+
     return {
       whereClause: conditions.join(' AND '),
       params,
+      referenceTime,
+      queryFilters,
     };
   }
 
+  /**
+   * SQL expression for a memory's valid_to as recorded at @knownAt
+   *
+   * memory_versions holds a snapshot per change, dated when it became
+   * current: take the latest one dated by knownAt, or the oldest one when
+   * knownAt predates them all. Memories that never changed have no
+   * versions and use the row itself.
+   * @private
+   * @returns {string}
+   */
+  _knownValidToSql() {
+    const versions = this.versionsTableName;
+    const known = 'julianday(v.created_at) <= julianday(@knownAt)';
+    return `
+      CASE WHEN EXISTS (SELECT 1 FROM ${versions} v WHERE v.memory_id = m.id)
+        THEN (
+          SELECT v.valid_to FROM ${versions} v
+          WHERE v.memory_id = m.id
+          ORDER BY ${known} DESC, CASE WHEN ${known} THEN v.version ELSE -v.version END DESC
+          LIMIT 1
+        )
+        ELSE m.valid_to
+      END`;
+  }
+
+  /**
+   * Resolve project:current against the search's projectHash
+   * @private
+   * @param {Object} options - search() options
+   * @returns {Object|null} Filters, or null when none were given
+   */
+  _resolveQueryFilters(options) {
+    const filters = options.filters;
+    if (!filters || Object.keys(filters).length === 0) return null;
+    if (filters.project !== 'current') return filters;
+
+    if (!options.projectHash) {
+      throw new Error('project:current requires a current project');
+    }
+    return { ...filters, project: options.projectHash };
+  }
+
+  /**
+   * Translate filter DSL terms into SQL conditions
+   * @private
+   * @param {Object} filters - Resolved query filters
+   * @param {string[]} conditions - WHERE conditions (appended to)
+   * @param {Object} params - Named parameters (added to)
+   */
+  _addQueryFilterConditions(filters, conditions, params) {
+    // Named placeholders for a list of values: @type0, @type1, ...
+    const placeholders = (prefix, values) => values.map((value, i) => {
+      params[`${prefix}${i}`] = value;
+      return `@${prefix}${i}`;
+    }).join(', ');
+    const tagRows = `json_each(CASE WHEN json_valid(m.tags) THEN m.tags ELSE '[]' END)`;
+
+    if (filters.types?.length) {
+      conditions.push(`m.memory_type IN (${placeholders('fType', filters.types)})`);
+    }
+    if (filters.excludeTypes?.length) {
+      conditions.push(`m.memory_type NOT IN (${placeholders('fNotType', filters.excludeTypes)})`);
+    }
+    if (filters.sources?.length) {
+      conditions.push(`m.source IN (${placeholders('fSource', filters.sources)})`);
+    }
+    if (filters.excludeSources?.length) {
+      conditions.push(`m.source NOT IN (${placeholders('fNotSource', filters.excludeSources)})`);
+    }
+
+    (filters.tags || []).forEach((tag, i) => {
+      conditions.push(`EXISTS (SELECT 1 FROM ${tagRows} WHERE lower(value) = @fTag${i})`);
+      params[`fTag${i}`] = tag.toLowerCase();
+    });
+    if (filters.excludeTags?.length) {
+      const tags = placeholders('fNotTag', filters.excludeTags.map(t => t.toLowerCase()));
+      conditions.push(`NOT EXISTS (SELECT 1 FROM ${tagRows} WHERE lower(value) IN (${tags}))`);
+    }
+
+    if (filters.project === 'global') {
+      conditions.push(`m.project_hash IS NULL`);
+    } else if (filters.project && filters.project !== 'all') {
+      conditions.push(`m.project_hash = @fProject`);
+      params.fProject = filters.project;
+    }
+
+    if (filters.after) {
+      conditions.push(`julianday(m.created_at) >= julianday(@fAfter)`);
+      params.fAfter = filters.after;
+    }
+    if (filters.before) {
+      conditions.push(`julianday(m.created_at) < julianday(@fBefore)`);
+      params.fBefore = filters.before;
+    }
+
+    (filters.ranges || []).forEach(({ field, op, value }, i) => {
+      // Column and operator come from whitelists, never from the query text
+      if (!RANGE_COLUMNS[field] || !RANGE_OPERATORS.includes(op)) {
+        throw new Error(`Unsupported filter: ${field}${op}`);
+      }
+      conditions.push(`m.${RANGE_COLUMNS[field]} ${op} @fRange${i}`);
+      params[`fRange${i}`] = value;
+    });
+  }
+
   /**
    * BM25 search using SQLite FTS5
    * @private
    * @param {string} query - Search query
    * @param {number} k - Number of results
    * @param {{whereClause: string, params: Object}} filters
+   * @param {boolean} [matchAny=false] - Match any query word instead of all of them
    * @returns {Array<{id: string, rank: number, rawScore: number, createdAt: string}>}
    */
-  _bm25Search(query, k, filters) {
+  _bm25Search(query, k, filters, matchAny = false) {
     // Escape FTS5 special characters in query
-    const escapedQuery = this._escapeFtsQuery(query);
+    const escapedQuery = this._escapeFtsQuery(query, matchAny);
 
     if (!escapedQuery) {
       return [];
@@ -398,9 +643,10 @@ class HybridSearch {
    * Escape special characters for FTS5 query
    * @private
    * @param {string} query
+   * @param {boolean} [matchAny=false] - Join words with OR instead of AND
    * @returns {string}
    */
-  _escapeFtsQuery(query) {
+  _escapeFtsQuery(query, matchAny = false) {
     // Remove FTS5 operators that could cause syntax errors
     // Keep alphanumeric, spaces, and basic punctuation
     let escaped = query
@@ -418,8 +664,8 @@ class HybridSearch {
       return '';
     }
 
-    // Use simple word search (implicit AND between words)
-    return words.map(w => `"${w}"`).join(' ');
+    // Use simple word search (implicit AND between words) unless any word may match
+    return words.map(w => `"${w}"`).join(matchAny ? ' OR ' : ' ');
   }
 
   /**
@@ -431,8 +677,8 @@ class HybridSearch {
    * @returns {Promise<Array<{id: string, rank: number, rawScore: number, createdAt: string}>>}
    */
   async _vectorSearch(query, k, filters) {
-    // Generate query embedding
-    const queryEmbedding = await this.embedder.embed(query);
+    // Generate query embedding (models with instruction prefixes embed queries differently)
+    const queryEmbedding = await this.embedder.embed(query, { type: 'query' });
 
     // Search vector index (returns more than k to allow for filtering)
     const { ids, distances } = this.vectorIndex.search(queryEmbedding, k * 2);
@@ -455,6 +701,7 @@ class HybridSearch {
 
       // Apply filters
       if (!this._matchesFilters(memory, filters.params)) continue;
+      if (filters.queryFilters && !this._matchesQueryFilters(memory, filters.queryFilters)) continue;
 
       results.push({
         id: memoryId,
@@ -486,20 +733,145 @@ class HybridSearch {
         }
       }
     }
+    if (params.asOf && toEpochMs(memory.valid_from || memory.created_at) > Date.parse(params.asOf)) {
+      return false;
+    }
+    if (params.validAt) {
+      const validTo = params.knownAt
+        ? this.store.queryOne(
+          `SELECT ${this._knownValidToSql()} AS valid_to FROM ${this.tableName} m WHERE m.id = @id`,
+          { id: memory.id, knownAt: params.knownAt }
+        )?.valid_to
+        : memory.valid_to;
+      if (validTo && toEpochMs(validTo) <= Date.parse(params.validAt)) return false;
+    }
+    if (params.knownAt && toEpochMs(memory.ingested_at || memory.created_at) > Date.parse(params.knownAt)) {
+      return false;
+    }
     return true;
   }
 
   /**
-   * Reciprocal Rank Fusion to combine BM25 and vector results
+   * Check a memory row against filter DSL terms (vector path; mirrors
+   * _addQueryFilterConditions)
+   * @private
+   * @param {Object} memory
+   * @param {Object} filters - Resolved query filters
+   * @returns {boolean}
+   */
+  _matchesQueryFilters(memory, filters) {
+    if (filters.types && !filters.types.includes(memory.memory_type)) return false;
+    if (filters.excludeTypes?.includes(memory.memory_type)) return false;
+    if (filters.sources && !filters.sources.includes(memory.source)) return false;
+    if (filters.excludeSources?.includes(memory.source)) return false;
+
+    if (filters.tags || filters.excludeTags) {
+      let tags = [];
+      try {
+        tags = JSON.parse(memory.tags || '[]').map(tag => String(tag).toLowerCase());
+      } catch {
+        // Malformed tags column: treat as untagged
+      }
+      if (filters.tags && !filters.tags.every(tag => tags.includes(tag.toLowerCase()))) return false;
+      if (filters.excludeTags?.some(tag => tags.includes(tag.toLowerCase()))) return false;
+    }
+
+    if (filters.project === 'global') {
+      if (memory.project_hash !== null) return false;
+    } else if (filters.project && filters.project !== 'all' && memory.project_hash !== filters.project) {
+      return false;
+    }
+
+    const createdAt = toEpochMs(memory.created_at);
+    if (filters.after && createdAt < Date.parse(filters.after)) return false;
+    if (filters.before && createdAt >= Date.parse(filters.before)) return false;
+
+    for (const { field, op, value } of filters.ranges || []) {
+      const actual = memory[RANGE_COLUMNS[field]];
+      const ok = op === '>' ? actual > value
+        : op === '>=' ? actual >= value
+          : op === '<' ? actual < value
+            : actual <= value;
+      if (!ok) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether this search should consult the activation graph
+   * @private
+   * @param {Object} options - search() options
+   * @returns {boolean}
+   */
+  _shouldSpreadActivation(options) {
+    return Boolean(this.activationGraph) && this.activationWeight > 0 && options.activation !== false;
+  }
+
+  /**
+   * Spreading activation: memories connected to the top hits
    *
-   * Formula: score(d) = Σ 1 / (k + rank(d))
+   * The top activationSeeds hits of each channel seed the graph with
+   * 1 / (rank + 1), the stronger value counting for a memory found by both.
+   * Activated neighbours (seeds excluded) are ranked by activation and
+   * filtered like vector hits, so they can be lexically unrelated to the
+   * query and still match the search's filters.
    *
    * @private
    * @param {Array} bm25Results - BM25 search results
    * @param {Array} vectorResults - Vector search results
-   * @returns {Map<string, {score: number, createdAt: string, sources: string[], bm25Rank: number|null, vectorRank: number|null}>}
+   * @param {number} k - Number of results
+   * @param {{params: Object, queryFilters: Object|null}} filters
+   * @returns {Array<{id: string, rank: number, rawScore: number, createdAt: string}>}
    */
-  _rrfFusion(bm25Results, vectorResults) {
+  _activationSearch(bm25Results, vectorResults, k, filters) {
+    const seeds = new Map();
+    for (const results of [bm25Results, vectorResults]) {
+      for (const result of results.slice(0, this.activationSeeds)) {
+        const strength = 1 / (result.rank + 1);
+        seeds.set(result.id, Math.max(seeds.get(result.id) || 0, strength));
+      }
+    }
+    if (seeds.size === 0) return [];
+
+    const activated = this.activationGraph.spreadActivation(seeds, {
+      hops: this.activationHops,
+      decay: this.activationDecay,
+    });
+    const ranked = Array.from(activated.entries()).sort((a, b) => b[1] - a[1]);
+
+    const results = [];
+    for (const [id, activation] of ranked) {
+      if (results.length >= k) break;
+
+      // Neurons without a memory row (entity:* nodes) are skipped
+      const memory = this._getMemory(id);
+      if (!memory) continue;
+      if (!this._matchesFilters(memory, filters.params)) continue;
+      if (filters.queryFilters && !this._matchesQueryFilters(memory, filters.queryFilters)) continue;
+
+      results.push({
+        id,
+        rank: results.length,
+        rawScore: activation,
+        createdAt: memory.created_at,
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Reciprocal Rank Fusion to combine BM25, vector and activation results
+   *
+   * Formula: score(d) = Σ weight / (k + rank(d))
+   *
+   * @private
+   * @param {Array} bm25Results - BM25 search results
+   * @param {Array} vectorResults - Vector search results
+   * @param {Array} [activationResults=[]] - Spreading activation results
+   * @returns {Map<string, {score: number, createdAt: string, sources: string[], bm25Rank: number|null, vectorRank: number|null, activationRank: number|null}>}
+   */
+  _rrfFusion(bm25Results, vectorResults, activationResults = []) {
     const fused = new Map();
 
     // Process BM25 results
@@ -513,6 +885,7 @@ class HybridSearch {
         sources: ['bm25'],
         bm25Rank: result.rank,
         vectorRank: null,
+        activationRank: null,
         decay: 1.0,
       });
     }
@@ -535,6 +908,29 @@ class HybridSearch {
           sources: ['vector'],
           bm25Rank: null,
           vectorRank: result.rank,
+          activationRank: null,
+          decay: 1.0,
+        });
+      }
+    }
+
+    // Process activated neighbours and merge
+    for (const result of activationResults) {
+      const rrfScore = this.activationWeight / (this.rrfK + result.rank);
+
+      if (fused.has(result.id)) {
+        const existing = fused.get(result.id);
+        existing.score += rrfScore;
+        existing.sources.push('activation');
+        existing.activationRank = result.rank;
+      } else {
+        fused.set(result.id, {
+          score: rrfScore,
+          createdAt: result.createdAt,
+          sources: ['activation'],
+          bm25Rank: null,
+          vectorRank: null,
+          activationRank: result.rank,
           decay: 1.0,
         });
       }
@@ -555,14 +951,15 @@ class HybridSearch {
    *
    * @private
    * @param {Map} fused - Fused results map
+   * @param {number} [referenceTime=Date.now()] - Age is measured up to this instant (asOf)
    */
-  _applyTemporalDecay(fused) {
-    const now = Date.now();
+  _applyTemporalDecay(fused, referenceTime = Date.now()) {
+    const now = referenceTime;
 
     for (const [id, data] of fused) {
       if (!data.createdAt) continue;
 
-      const createdTime = new Date(data.createdAt).getTime();
+      const createdTime = toEpochMs(data.createdAt);
       const ageMs = now - createdTime;
       const ageDays = Math.max(0, ageMs / (1000 * 60 * 60 * 24));
 
@@ -587,35 +984,85 @@ class HybridSearch {
    */
   _getMemory(id) {
     const sql = `SELECT * FROM ${this.tableName} WHERE id = @id`;
-    return this.store.queryOne(sql, { id });
+    const row = this.store.queryOne(sql, { id });
+    return row ? decryptFields(row, this.encryption) : null;
+  }
+
+  /**
+   * Check whether this search should be re-ranked
+   * @private
+   * @param {Object} options - search() options
+   * @returns {boolean}
+   */
+  _shouldRerank(options) {
+    return Boolean(this.reranker) && options.rerank !== false;
   }
 
   /**
-   * Finalize single-mode results (convert to standard format)
+   * Re-score the top candidates with the cross-encoder and reorder them.
+   * Temporal decay still applies to the cross-encoder score; candidates
+   * beyond rerankTopN keep their fused order after the re-ranked ones.
+   * On failure the fused order is returned unchanged.
+   *
+   * @private
+   * @param {string} query - Search query
+   * @param {Array<SearchResult>} results - Fused results, best first
+   * @param {Object} timings - Timing breakdown (rerank is set)
+   * @returns {Promise<Array<SearchResult>>}
+   */
+  async _rerank(query, results, timings) {
+    const head = results.slice(0, this.rerankTopN);
+    const rerankStart = Date.now();
+
+    try {
+      const scores = await this.reranker.score(query, head.map(r => r.memory.content));
+
+      head.forEach((result, i) => {
+        result.fusedScore = result.score;
+        result.rerankScore = scores[i];
+        result.score = scores[i] * result.decay;
+      });
+      head.sort((a, b) => b.score - a.score);
+
+      this.stats.reranked++;
+      return [...head, ...results.slice(head.length)];
+    } catch (error) {
+      this.stats.rerankErrors++;
+      if (this.stats.rerankErrors === 1) {
+        console.error(`[HybridSearch] Re-ranking failed, using fused order: ${error.message}`);
+      }
+      return results;
+    } finally {
+      timings.rerank = Date.now() - rerankStart;
+      this.stats.totalRerankMs += timings.rerank;
+    }
+  }
+
+  /**
+   * Convert single-mode results to the standard format
    * @private
    * @param {Array} results - Raw search results
    * @param {number} limit - Max results
-   * @param {number} startTime - Search start timestamp
-   * @param {Object} timings - Timing breakdown
+   * @param {number} [referenceTime=Date.now()] - Decay/supersession reference instant
    * @returns {Array<SearchResult>}
    */
-  _finalizeResults(results, limit, startTime, timings = {}) {
+  _toSearchResults(results, limit, referenceTime = Date.now()) {
     const limited = results.slice(0, limit);
 
     // Apply temporal decay
-    const now = Date.now();
-    const finalized = [];
+    const now = referenceTime;
+    const converted = [];
 
     for (const result of limited) {
       const memory = this._getMemory(result.id);
       if (!memory) continue;
 
       // Calculate decay
-      const createdTime = new Date(result.createdAt).getTime();
+      const createdTime = toEpochMs(result.createdAt);
       const ageDays = Math.max(0, (now - createdTime) / (1000 * 60 * 60 * 24));
       const decay = Math.pow(this.decayBase, Math.pow(ageDays, this.decayExponent));
 
-      finalized.push({
+      converted.push({
         id: result.id,
         score: result.rawScore * decay,
         memory,
@@ -623,19 +1070,43 @@ class HybridSearch {
         decay,
         bm25Rank: result.rank ?? null,
         vectorRank: result.rank ?? null,
+        superseded: isSupersededAt(memory, referenceTime),
       });
     }
 
+    return converted;
+  }
+
+  /**
+   * Record latency and the timing breakdown of a finished search
+   * (available as stats.lastTimings; logged when options.verbose is set)
+   * @private
+   * @param {Array<SearchResult>} results - Final results
+   * @param {number} startTime - Search start timestamp
+   * @param {Object} timings - Timing breakdown (bm25, vector, activation, fusion, rerank);
+   *   bm25 is null when the store is encrypted and BM25 was skipped
+   * @param {Object} options - search() options
+   * @returns {Array<SearchResult>}
+   */
+  _finalizeResults(results, startTime, timings, options = {}) {
     // Update stats
     const latency = Date.now() - startTime;
     this.stats.totalLatencyMs += latency;
     this.stats.avgLatencyMs = Math.round(this.stats.totalLatencyMs / this.stats.searches);
+    this.stats.lastTimings = { ...timings, total: latency };
 
-    if (finalized.length === 0) {
+    if (results.length === 0) {
       this.stats.emptyResults++;
     }
 
-    return finalized;
+    if (options.verbose) {
+      console.error(
+        `[HybridSearch] Total: ${latency}ms (BM25: ${timings.bm25 === null ? 'skipped' : `${timings.bm25}ms`}, Vector: ${timings.vector}ms, ` +
+        `Activation: ${timings.activation}ms, Fusion: ${timings.fusion}ms, Rerank: ${timings.rerank}ms)`
+      );
+    }
+
+    return results;
   }
 }
 
@@ -655,6 +1126,52 @@ function calculateDecay(ageDays, base = DEFAULT_DECAY_BASE, exponent = DEFAULT_D
   return Math.pow(base, Math.pow(Math.max(0, ageDays), exponent));
 }
 
+/**
+ * Parse a stored timestamp to epoch milliseconds
+ *
+ * SQLite datetime('now') values ("YYYY-MM-DD HH:MM:SS") are UTC but carry no
+ * zone marker, so they are read as UTC rather than local time.
+ *
+ * @param {string} value - ISO 8601 or SQLite datetime string
+ * @returns {number} Epoch ms (NaN if unparseable)
+ */
+function toEpochMs(value) {
+  if (!value) return NaN;
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value)) {
+    return Date.parse(`${value.replace(' ', 'T')}Z`);
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Normalize an asOf/knownAt option to an ISO 8601 string
+ *
+ * @param {string|Date|undefined|null} value
+ * @param {string} name - Option name for error messages
+ * @returns {string|null} ISO timestamp, or null when not set
+ * @throws {Error} If the value is not a valid date
+ */
+function toIsoTimestamp(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = value instanceof Date ? value.getTime() : toEpochMs(String(value));
+  if (isNaN(ms)) {
+    throw new Error(`${name} must be a valid ISO 8601 timestamp`);
+  }
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Check whether a memory row had been superseded (valid_to passed) at a time
+ *
+ * @param {Object} memory - Memory row (snake_case columns)
+ * @param {number} [at=Date.now()] - Reference instant in epoch ms
+ * @returns {boolean}
+ */
+function isSupersededAt(memory, at = Date.now()) {
+  if (!memory || !memory.valid_to) return false;
+  return toEpochMs(memory.valid_to) <= at;
+}
+
 /**
  * Calculate RRF score for a single rank
  *
@@ -675,8 +1192,15 @@ module.exports = {
   HybridSearch,
   calculateDecay,
   rrfScore,
+  isSupersededAt,
+  toIsoTimestamp,
   DEFAULT_RRF_K,
   DEFAULT_VECTOR_WEIGHT,
   DEFAULT_DECAY_BASE,
   DEFAULT_DECAY_EXPONENT,
+  DEFAULT_RERANK_TOP_N,
+  DEFAULT_ACTIVATION_WEIGHT,
+  DEFAULT_ACTIVATION_HOPS,
+  DEFAULT_ACTIVATION_DECAY,
+  DEFAULT_ACTIVATION_SEEDS,
 };
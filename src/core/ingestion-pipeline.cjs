@@ -11,10 +11,16 @@ const fs = require('fs');
 const path = require('path');
 const { generateId, expandPath } = require('./types.cjs');
 const { NeuralNetwork } = require('./neural-network.cjs');
+const { VectorIndex } = require('./vector-index.cjs');
+const { getSharedEmbedder } = require('./embedder-provider.cjs');
 const { ExtractionEngine } = require('../hooks/extraction-engine.cjs');
-const { JSONLStore } = require('./storage.cjs');
 
 class IngestionPipeline {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.basePath='~/.claude/memory']
+   * @param {string} [options.extractionMode] - 'auto', 'llm' or 'heuristic' (default: `extraction.mode` config)
+   */
   constructor(options = {}) {
     this.basePath = expandPath(options.basePath || '~/.claude/memory');
     this.neuralNetwork = new NeuralNetwork({ basePath: path.join(this.basePath, 'neural') });
@@ -22,11 +28,40 @@ class IngestionPipeline {
       basePath: this.basePath,
       confidenceThreshold: 0.4, // Lower threshold for unstructured external data
       minSessionLength: 1,
+      tier: 'long-term', // Archival material skips the working tier
+      source: 'ingestion',
+      mode: options.extractionMode,
     });
   }
 
   async initialize() {
     await this.neuralNetwork.initialize();
+    await this._attachVectorIndex();
+  }
+
+  /**
+   * Let the neural network find neighbours through the memory vector index
+   * (left out when hnswlib-node is missing or the index needs a rebuild;
+   * neurons are then wired by shared tags)
+   * @private
+   */
+  async _attachVectorIndex() {
+    const embedder = getSharedEmbedder();
+    try {
+      const vectorIndex = new VectorIndex({
+        dimension: embedder.getDimension(),
+        model: embedder.modelId,
+        indexPath: path.join(this.basePath, 'data', 'vector', 'index.bin'),
+        mappingPath: path.join(this.basePath, 'data', 'vector', 'mapping.json'),
+      });
+      const { rebuildRequired } = await vectorIndex.initialize();
+      if (rebuildRequired) return;
+
+      this.neuralNetwork.vectorIndex = vectorIndex;
+      this.neuralNetwork.embedder = embedder;
+    } catch (error) {
+      process.stderr.write(`[IngestionPipeline] Vector index unavailable: ${error.message}\n`);
+    }
   }
 
   /**
@@ -99,25 +134,18 @@ class IngestionPipeline {
       memory._source = `ingest:${sourceType}`;
       memory._sourceFile = fullPath;
       
-      const neuron = this.neuralNetwork.addNeuron(memory);
+      const neuron = await this.neuralNetwork.addNeuron(memory);
       neurons.push(neuron);
     }
 
     // Save neural state
     await this.neuralNetwork.save();
 
-    // Optionally save to standard JSONL store (long-term memory)
-    if (extractionResult.extracted.length > 0) {
-      const store = new JSONLStore(path.join(this.basePath, 'data', 'memories', 'long-term.jsonl'));
-      for (const memory of extractionResult.extracted) {
-        store.upsert(memory.id, memory);
-      }
-    }
-
     return {
       success: true,
       sourceType,
       messagesParsed: messages.length,
+      extractionMethod: extractionResult.stats.method || null,
       memoriesExtracted: extractionResult.extracted.length,
       neuronsCreated: neurons.length,
       extractions: extractionResult.extracted
@@ -131,6 +159,14 @@ class IngestionPipeline {
     return await this.neuralNetwork.dreamConsolidate();
   }
 
+  /**
+   * Release the memory store opened by the extraction engine and the neural network
+   */
+  close() {
+    this.extractionEngine.close();
+    this.neuralNetwork.close();
+  }
+
   // --- Parsers ---
 
   _parseWhatsApp(content) {
@@ -0,0 +1,227 @@
+/**
+ * Cortex - Claude's Cognitive Layer - JSONL Tier Import
+ *
+ * One-shot import of the legacy JSONL tier files into the SQLite
+ * MemoryStore (`cmo import-tiers`). The MemoryStore `tier` column is the
+ * single source of truth for working, short-term and long-term memory;
+ * this module moves the old files over:
+ *
+ *   data/memories/working.jsonl     -> tier 'working'
+ *   data/memories/short-term.jsonl  -> tier 'short-term'
+ *   data/memories/long-term.jsonl   -> tier 'long-term'
+ *   data/skills/index.jsonl         -> tier 'long-term', type 'skill'
+ *
+ * Record ids, timestamps, usage statistics and project hashes are kept.
+ * Ids already present in the store are skipped, so an interrupted import
+ * can simply be run again. Imported files are renamed to `*.imported`.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { expandPath } = require('./types.cjs');
+const { MemoryStore, recordToMemory } = require('./memory-store.cjs');
+const { getStorageEncryption, parseLine } = require('./storage-encryption.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Default memory directory */
+const DEFAULT_BASE_PATH = '~/.claude/memory';
+
+/** @const {Array<{file: string, tier: string, type?: string}>} Legacy files and their tiers */
+const TIER_FILES = [
+  { file: 'data/memories/working.jsonl', tier: 'working' },
+  { file: 'data/memories/short-term.jsonl', tier: 'short-term' },
+  { file: 'data/memories/long-term.jsonl', tier: 'long-term' },
+  { file: 'data/skills/index.jsonl', tier: 'long-term', type: 'skill' },
+];
+
+/** @const {string} Suffix appended to a file once it has been imported */
+const ARCHIVE_SUFFIX = '.imported';
+
+// =============================================================================
+// FILE READING
+// =============================================================================
+
+/**
+ * Read the live records of a JSONL file (later lines replace earlier ones
+ * with the same id, as in JSONLStore)
+ *
+ * @param {string} filePath
+ * @param {import('./encryption.cjs').CortexEncryption|null} encryption
+ * @returns {{records: Object[], invalid: number}}
+ */
+function readRecords(filePath, encryption) {
+  const byId = new Map();
+  let invalid = 0;
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = parseLine(line, encryption);
+    } catch {
+      invalid++;
+      continue;
+    }
+
+    if (!record?.id || typeof record.content !== 'string' || !record.content) {
+      invalid++;
+      continue;
+    }
+    byId.set(record.id, record);
+  }
+
+  return { records: [...byId.values()], invalid };
+}
+
+/**
+ * Build the MemoryStore row for a legacy record
+ * @param {Object} record - JSONL record
+ * @param {{tier: string, type?: string}} spec - Target of the file
+ * @returns {Object}
+ */
+function toMemory(record, spec) {
+  const memory = recordToMemory(record);
+  return {
+    ...memory,
+    memory_type: spec.type || memory.memory_type || 'observation',
+    tier: spec.tier,
+    source: 'jsonl',
+    session_id: memory.session_id || record.sessionId || null,
+    created_at: memory.created_at || record.timestamp || null,
+  };
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * @typedef {Object} FileImportResult
+ * @property {string} file - Path relative to the base path
+ * @property {string} tier - Target tier
+ * @property {number} found - Live records in the file
+ * @property {number} imported - Rows inserted (or that would be, on a dry run)
+ * @property {number} existing - Skipped because the id is already in the store
+ * @property {number} deleted - Skipped because the record was soft-deleted
+ * @property {number} invalid - Unparseable lines or records without id/content
+ * @property {number} failed - Inserts rejected by the store
+ * @property {string|null} archivedTo - New file name after a successful import
+ */
+
+/**
+ * Import one legacy tier file
+ * @param {MemoryStore} store
+ * @param {string} basePath
+ * @param {{file: string, tier: string, type?: string}} spec
+ * @param {Object} options
+ * @returns {Promise<FileImportResult|null>} Null when the file does not exist
+ */
+async function importFile(store, basePath, spec, options) {
+  const filePath = path.join(basePath, spec.file);
+  if (!fs.existsSync(filePath)) return null;
+
+  const { records, invalid } = readRecords(filePath, options.encryption);
+  const result = {
+    file: spec.file,
+    tier: spec.tier,
+    found: records.length,
+    imported: 0,
+    existing: 0,
+    deleted: 0,
+    invalid,
+    failed: 0,
+    archivedTo: null,
+  };
+
+  const memories = [];
+  for (const record of records) {
+    if (record.status === 'deleted') {
+      result.deleted++;
+    } else if (store.exists(record.id)) {
+      result.existing++;
+    } else {
+      memories.push(toMemory(record, spec));
+    }
+  }
+
+  if (options.dryRun) {
+    result.imported = memories.length;
+    return result;
+  }
+
+  const batch = await store.insertBatch(memories);
+  result.imported = batch.inserted;
+  result.failed = batch.errors.length;
+
+  if (options.archive && result.failed === 0) {
+    let archivePath = filePath + ARCHIVE_SUFFIX;
+    if (fs.existsSync(archivePath)) {
+      archivePath = `${filePath}.${Date.now()}${ARCHIVE_SUFFIX}`;
+    }
+    fs.renameSync(filePath, archivePath);
+    result.archivedTo = path.basename(archivePath);
+  }
+
+  return result;
+}
+
+/**
+ * Import the legacy JSONL tier files into the MemoryStore
+ *
+ * @param {Object} [options]
+ * @param {string} [options.basePath='~/.claude/memory'] - Memory directory
+ * @param {MemoryStore} [options.memoryStore] - Target store (default: <basePath>/data/memories.db)
+ * @param {boolean} [options.dryRun=false] - Count what would be imported without writing
+ * @param {boolean} [options.archive=true] - Rename imported files to *.imported
+ * @returns {Promise<{dryRun: boolean, files: FileImportResult[], totals: Object}>}
+ */
+async function importJsonlTiers(options = {}) {
+  const basePath = expandPath(options.basePath || DEFAULT_BASE_PATH);
+  const dryRun = options.dryRun === true;
+  const store = options.memoryStore || new MemoryStore({
+    dbPath: path.join(basePath, 'data', 'memories.db'),
+  });
+
+  await store.initialize();
+  try {
+    const fileOptions = {
+      dryRun,
+      archive: options.archive !== false,
+      encryption: getStorageEncryption(),
+    };
+
+    const files = [];
+    for (const spec of TIER_FILES) {
+      const result = await importFile(store, basePath, spec, fileOptions);
+      if (result) files.push(result);
+    }
+
+    const totals = { found: 0, imported: 0, existing: 0, deleted: 0, invalid: 0, failed: 0 };
+    for (const result of files) {
+      for (const key of Object.keys(totals)) totals[key] += result[key];
+    }
+
+    return { dryRun, files, totals };
+  } finally {
+    if (!options.memoryStore) store.close();
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  importJsonlTiers,
+  readRecords,
+  TIER_FILES,
+  ARCHIVE_SUFFIX,
+};
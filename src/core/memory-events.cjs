@@ -0,0 +1,259 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Memory Change Feed
+ *
+ * Fans out MemoryStore change events (insert/update/invalidate/delete) to
+ * live subscribers such as the HTTP /api/events SSE stream and MCP resource
+ * update notifications.
+ *
+ * Events are read from the memory_events table rather than an in-process
+ * emitter, so writes made by other processes (Stop hook, harvester, the MCP
+ * server) reach subscribers too, and every event has a stable numeric ID
+ * that clients can resume from (SSE Last-Event-ID).
+ *
+ * The poll cursor only lives while someone is subscribed: once the last
+ * subscriber leaves it is dropped and re-read from the table on the next
+ * subscribe, so events written while nobody listened are not flushed to
+ * the next subscriber as if they were live.
+ *
+ * @version 1.1.0
+ */
+
+'use strict';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {number} Default interval between change log polls */
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+/** @const {number} Max events read per poll / replay page */
+const POLL_BATCH_SIZE = 500;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Check whether a change event matches subscriber filters
+ *
+ * A projectHash filter also matches global memories (project_hash NULL),
+ * consistent with MemoryStore.query().
+ *
+ * @param {Object} event - Change event from MemoryStore.getEventsSince()
+ * @param {Object} [filters]
+ * @param {string} [filters.projectHash] - Project hash
+ * @param {string[]} [filters.memoryTypes] - Allowed memory types
+ * @param {string[]} [filters.types] - Allowed event types
+ * @returns {boolean}
+ */
+function matchesEventFilters(event, filters = {}) {
+  if (filters.projectHash && event.project_hash && event.project_hash !== filters.projectHash) {
+    return false;
+  }
+  if (filters.memoryTypes?.length > 0 && !filters.memoryTypes.includes(event.memory_type)) {
+    return false;
+  }
+  if (filters.types?.length > 0 && !filters.types.includes(event.type)) {
+    return false;
+  }
+  return true;
+}
+
+// =============================================================================
+// MEMORY CHANGE FEED
+// =============================================================================
+
+/**
+ * Polls the MemoryStore change log and dispatches events to subscribers
+ */
+class MemoryChangeFeed {
+  /**
+   * @param {Object} options
+   * @param {MemoryStore} options.memoryStore - Initialized MemoryStore
+   * @param {number} [options.pollIntervalMs=1000] - Change log poll interval
+   */
+  constructor(options = {}) {
+    if (!options.memoryStore) {
+      throw new Error('MemoryChangeFeed requires a memoryStore');
+    }
+
+    this.memoryStore = options.memoryStore;
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+
+    this._subscribers = new Set();
+    this._cursor = null;
+    this._timer = null;
+  }
+
+  // ===========================================================================
+  // PUBLIC METHODS
+  // ===========================================================================
+
+  /**
+   * Subscribe to change events
+   *
+   * When lastEventId is given, events recorded after it are replayed to the
+   * listener synchronously before this method returns. A lastEventId ahead
+   * of the poll cursor (the client saw events this feed has not polled yet)
+   * suppresses live events up to it instead, so nothing is delivered twice.
+   *
+   * @param {Function} listener - Called with each matching event
+   * @param {Object} [options]
+   * @param {string} [options.projectHash] - Only this project (plus global memories)
+   * @param {string[]} [options.memoryTypes] - Only these memory types
+   * @param {string[]} [options.types] - Only these event types
+   * @param {number} [options.lastEventId] - Replay events after this ID
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener, options = {}) {
+    if (this._cursor === null) {
+      this._cursor = this.memoryStore.getLatestEventId();
+    }
+
+    const resumeFrom = Number.isInteger(options.lastEventId) ? options.lastEventId : null;
+    const subscriber = {
+      listener,
+      // Live events up to this ID were already seen; IDs past the table's max cannot have been
+      after: resumeFrom !== null && resumeFrom > this._cursor
+        ? Math.min(resumeFrom, this.memoryStore.getLatestEventId())
+        : this._cursor,
+      filters: {
+        projectHash: options.projectHash || null,
+        memoryTypes: options.memoryTypes || [],
+        types: options.types || [],
+      },
+    };
+
+    if (resumeFrom !== null && resumeFrom < this._cursor) {
+      this._replay(subscriber, resumeFrom);
+    }
+
+    this._subscribers.add(subscriber);
+    this._start();
+
+    return () => {
+      this._subscribers.delete(subscriber);
+      if (this._subscribers.size === 0) {
+        this.stop();
+        // Re-read the table's max ID on the next subscribe
+        this._cursor = null;
+      }
+    };
+  }
+
+  /**
+   * Read new events from the change log and dispatch them
+   * @returns {number} Events read
+   */
+  poll() {
+    if (this._cursor === null || !this.memoryStore.isOpen()) return 0;
+
+    let total = 0;
+    let events;
+    do {
+      events = this.memoryStore.getEventsSince(this._cursor, { limit: POLL_BATCH_SIZE });
+      for (const event of events) {
+        this._cursor = event.id;
+        this._dispatch(event);
+      }
+      total += events.length;
+    } while (events.length === POLL_BATCH_SIZE);
+
+    return total;
+  }
+
+  /**
+   * Stop polling (subscribers are kept; polling resumes on next subscribe)
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Get feed statistics
+   * @returns {{subscribers: number, cursor: number|null, polling: boolean}}
+   */
+  getStats() {
+    return {
+      subscribers: this._subscribers.size,
+      cursor: this._cursor,
+      polling: this._timer !== null,
+    };
+  }
+
+  // ===========================================================================
+  // PRIVATE METHODS
+  // ===========================================================================
+
+  /**
+   * Start the poll timer if it is not running
+   * @private
+   */
+  _start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      try {
+        this.poll();
+      } catch (error) {
+        process.stderr.write(`[MemoryChangeFeed] Poll failed: ${error.message}\n`);
+      }
+    }, this.pollIntervalMs);
+
+    // Never keep the process alive just for the feed
+    this._timer.unref();
+  }
+
+  /**
+   * Send retained events between lastEventId and the cursor to one subscriber
+   * @private
+   * @param {Object} subscriber
+   * @param {number} lastEventId
+   */
+  _replay(subscriber, lastEventId) {
+    let after = lastEventId;
+    while (after < this._cursor) {
+      const events = this.memoryStore.getEventsSince(after, { limit: POLL_BATCH_SIZE });
+      if (events.length === 0) break;
+
+      for (const event of events) {
+        if (event.id > this._cursor) return;
+        after = event.id;
+        if (matchesEventFilters(event, subscriber.filters)) {
+          subscriber.listener(event);
+        }
+      }
+    }
+  }
+
+  /**
+   * Deliver an event to every matching subscriber
+   * @private
+   * @param {Object} event
+   */
+  _dispatch(event) {
+    for (const subscriber of this._subscribers) {
+      if (event.id <= subscriber.after) continue;
+      if (!matchesEventFilters(event, subscriber.filters)) continue;
+      try {
+        subscriber.listener(event);
+      } catch (error) {
+        process.stderr.write(`[MemoryChangeFeed] Listener failed: ${error.message}\n`);
+      }
+    }
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  MemoryChangeFeed,
+  matchesEventFilters,
+  DEFAULT_POLL_INTERVAL_MS,
+};
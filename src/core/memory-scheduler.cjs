@@ -15,6 +15,7 @@
 const { TierPromotion } = require('./tier-promotion.cjs');
 const { expandPath } = require('./types.cjs');
 const { calculateDecay } = require('./confidence-decay.cjs');
+const { MEMORY_TIERS } = require('./memory-store.cjs');
 
 // =============================================================================
 // CONSTANTS
@@ -186,29 +187,24 @@ class MemoryScheduler {
     this.stats.lastDecayRun = new Date().toISOString();
 
     try {
-      // Get all memories and update decay scores
-      const stores = this.tierPromotion.stores;
-      const now = Date.now();
+      // Recompute decay for every active memory, tier by tier
+      const scores = [];
 
-      for (const [tierName, store] of Object.entries(stores)) {
-        if (!store?.loaded) continue;
-
-        const memories = store.getAll().filter(m => m && m.status !== 'deleted');
+      for (const tier of MEMORY_TIERS) {
+        const memories = this.tierPromotion.getTierRecords(tier);
 
         for (const memory of memories) {
           // Use type-specific half-life decay from confidence-decay module
           const newDecayScore = calculateDecay(memory);
 
           // Only update if decay has changed significantly
-          if (Math.abs((memory.decayScore || 1) - newDecayScore) > 0.01) {
-            await store.update(memory.id, {
-              decayScore: Math.round(newDecayScore * 1000) / 1000,
-              updatedAt: new Date().toISOString(),
-            });
+          if (Math.abs((memory.decayScore ?? 1) - newDecayScore) > 0.01) {
+            scores.push({ id: memory.id, decayScore: Math.round(newDecayScore * 1000) / 1000 });
           }
         }
       }
 
+      this.tierPromotion.memoryStore.setDecayScores(scores);
       this._log('Decay scores updated');
     } catch (error) {
       this._recordError('decay', error.message);
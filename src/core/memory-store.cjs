@@ -7,6 +7,10 @@
  * - Automatic FTS sync via triggers
  * - CRUD operations for memories
  * - Quality metrics and temporal decay tracking
+ * - Change event log (memory_events) for live feeds across processes
+ * - Version history (memory_versions) with diff and restore
+ * - Lifecycle tiers (working / short-term / long-term), the single source of
+ *   truth for TierPromotion, the hooks and the ingestion pipeline
  *
  * @version 1.0.0
  */
@@ -17,7 +21,9 @@ const path = require('path');
 const crypto = require('crypto');
 const { SQLiteStore } = require('./sqlite-store.cjs');
 const { expandPath, createBitemporalFields } = require('./types.cjs');
-const { Embedder } = require('./embedder.cjs');
+const { Embedder, DEFAULT_MODEL } = require('./embedder.cjs');
+const { diffLines } = require('./text-diff.cjs');
+const { getStorageEncryption, encryptFields, decryptFields } = require('./storage-encryption.cjs');
 
 // =============================================================================
 // CONSTANTS
@@ -44,6 +50,7 @@ const MEMORY_TYPES = [
   'procedure',
   'concept',
   'decision',
+  'insight',
 ];
 
 /** @const {string[]} Valid memory sources */
@@ -56,11 +63,62 @@ const MEMORY_SOURCES = [
   'system',
   'cortex-learn',  // Learnings from cortex__learn tool
   'direct',        // Direct programmatic inserts
+  'stop-hook',     // High-signal captures from the Stop hook
+  'pre-compact',   // Critical context saved before compaction
+  'extraction',    // ExtractionEngine (session end)
+  'ingestion',     // IngestionPipeline (external files)
+  'post-tool-use', // Error→fix sequences from the PostToolUse hook
 ];
 
 /** @const {string[]} Valid memory statuses */
 const MEMORY_STATUSES = ['active', 'archived', 'deleted'];
 
+/** @const {string[]} Lifecycle tiers, managed by TierPromotion */
+const MEMORY_TIERS = ['working', 'short-term', 'long-term'];
+
+/** @const {string} Tier of memories inserted without one (curated or imported knowledge) */
+const DEFAULT_TIER = 'long-term';
+
+/**
+ * @const {Object<string, string>} Columns added after the original schema (name -> definition),
+ * kept in step with migrations 11, 13 and 14 for stores opened without running migrations
+ */
+const LATE_COLUMNS = {
+  superseded_by: 'TEXT DEFAULT NULL',
+  embedding_model: 'TEXT DEFAULT NULL',
+  tier: `TEXT DEFAULT '${DEFAULT_TIER}'`,
+};
+
+/** @const {string} Change event log table name */
+const EVENTS_TABLE_NAME = 'memory_events';
+
+/** @const {string[]} Change event types */
+const MEMORY_EVENT_TYPES = ['insert', 'update', 'invalidate', 'delete'];
+
+/** @const {number} Number of change events retained for replay */
+const MAX_RETAINED_EVENTS = 10000;
+
+/** @const {string} Version history table name */
+const VERSIONS_TABLE_NAME = 'memory_versions';
+
+/** @const {string[]} Fields captured in each version snapshot */
+const VERSIONED_FIELDS = [
+  'content', 'summary', 'memory_type', 'intent', 'tags', 'quality_score',
+  'status', 'valid_from', 'valid_to', 'superseded_by',
+];
+
+/** @const {string[]} Fields written back when a version is restored */
+const RESTORABLE_FIELDS = ['content', 'summary', 'memory_type', 'intent', 'tags', 'quality_score'];
+
+/**
+ * @const {string[]} Bookkeeping fields whose updates do not emit change events
+ * (access tracking, decay and re-embedding would otherwise flood subscribers)
+ */
+const SILENT_UPDATE_FIELDS = [
+  'strength', 'decay_score', 'embedding', 'embedding_model',
+  'usage_count', 'usage_success_rate', 'last_accessed', 'tier',
+];
+
 // =============================================================================
 // MEMORY STORE CLASS
 // =============================================================================
@@ -75,11 +133,14 @@ class MemoryStore {
    * @param {Object} [options.embedder] - Embedder instance (optional)
    * @param {boolean} [options.autoEmbed=false] - Auto-generate embeddings on insert
    * @param {number} [options.timeout] - SQLite busy timeout
+   * @param {import('./encryption.cjs').CortexEncryption|null} [options.encryption] -
+   *   Encrypts content/summary columns (defaults to the configured storage encryption)
    */
   constructor(options = {}) {
     this.dbPath = options.dbPath || DEFAULT_DB_PATH;
     this.embedder = options.embedder || null;
     this.autoEmbed = options.autoEmbed ?? false;
+    this.encryption = options.encryption !== undefined ? options.encryption : getStorageEncryption();
 
     // Create SQLiteStore instance
     this.store = new SQLiteStore(this.dbPath, {
@@ -124,6 +185,8 @@ class MemoryStore {
 
     this.initialized = true;
 
+    this.pruneEvents();
+
     const memoryCount = this.getCount();
     return { created: !tableExists, memoryCount };
   }
@@ -189,8 +252,10 @@ class MemoryStore {
           strength REAL DEFAULT 1.0,
           decay_score REAL DEFAULT 1.0,
 
-          -- Embedding (stored as BLOB - 384-dim float32 = 1536 bytes)
+          -- Embedding (stored as float32 BLOB - 384-dim = 1536 bytes)
           embedding BLOB,
+          -- Model that produced the embedding (NULL = all-MiniLM-L6-v2)
+          embedding_model TEXT DEFAULT NULL,
 
           -- Timestamps
           created_at TEXT NOT NULL DEFAULT (datetime('now')),
@@ -201,8 +266,14 @@ class MemoryStore {
           valid_to TEXT DEFAULT NULL,
           ingested_at TEXT DEFAULT NULL,
 
+          -- Supersession (set when a newer memory contradicts or refines this one)
+          superseded_by TEXT DEFAULT NULL,
+
           -- Status
-          status TEXT DEFAULT 'active'
+          status TEXT DEFAULT 'active',
+
+          -- Lifecycle tier (working -> short-term -> long-term)
+          tier TEXT DEFAULT '${DEFAULT_TIER}'
       );
 
       -- FTS5 for BM25 full-text search
@@ -221,14 +292,73 @@ class MemoryStore {
       CREATE INDEX IF NOT EXISTS idx_memories_status ON ${TABLE_NAME}(status);
       CREATE INDEX IF NOT EXISTS idx_memories_created ON ${TABLE_NAME}(created_at);
       CREATE INDEX IF NOT EXISTS idx_memories_updated ON ${TABLE_NAME}(updated_at);
+
+      -- Append-only change log (SSE / MCP notifications, Last-Event-ID replay)
+      CREATE TABLE IF NOT EXISTS ${EVENTS_TABLE_NAME} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_type TEXT NOT NULL,
+          memory_id TEXT NOT NULL,
+          project_hash TEXT,
+          memory_type TEXT,
+          source TEXT,
+          details TEXT,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      -- Snapshot of every version a memory has had (diff / restore)
+      CREATE TABLE IF NOT EXISTS ${VERSIONS_TABLE_NAME} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          summary TEXT,
+          memory_type TEXT,
+          intent TEXT,
+          tags TEXT,
+          quality_score REAL,
+          status TEXT,
+          valid_from TEXT,
+          valid_to TEXT,
+          superseded_by TEXT,
+          changed_fields TEXT,
+          changed_by TEXT,
+          change_reason TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE(memory_id, version)
+      );
     `;
 
     this.store.exec(schema);
 
+    this._addMissingColumns();
+
     // Create triggers separately (can't be in multi-statement exec)
     this._createTriggers();
   }
 
+  /**
+   * Add columns introduced after a database was created
+   * (CREATE TABLE IF NOT EXISTS leaves existing tables untouched)
+   * @private
+   */
+  _addMissingColumns() {
+    const existing = new Set(
+      this.store.query(`PRAGMA table_info(${TABLE_NAME})`).map(col => col.name)
+    );
+
+    for (const [name, definition] of Object.entries(LATE_COLUMNS)) {
+      if (!existing.has(name)) {
+        this.store.exec(`ALTER TABLE ${TABLE_NAME} ADD COLUMN ${name} ${definition}`);
+      }
+    }
+
+    this.store.exec(`
+      CREATE INDEX IF NOT EXISTS idx_memories_superseded_by
+      ON ${TABLE_NAME}(superseded_by) WHERE superseded_by IS NOT NULL
+    `);
+    this.store.exec(`CREATE INDEX IF NOT EXISTS idx_memories_tier ON ${TABLE_NAME}(tier, status)`);
+  }
+
   /**
    * Create FTS5 sync triggers
    * @private
@@ -290,89 +420,36 @@ class MemoryStore {
    * @param {string} [memory.session_id] - Session identifier
    * @param {number} [memory.extraction_confidence] - Confidence 0-1
    * @param {number} [memory.quality_score] - Quality 0-1
+   * @param {string} [memory.tier='long-term'] - Lifecycle tier (see MEMORY_TIERS)
+   * @param {string} [memory.status='active'] - Status (imports may carry 'archived')
+   * @param {string} [memory.created_at] - Creation time (default: now; set by importers)
+   * @param {number} [memory.usage_count] - Usage count carried over from an import
+   * @param {number} [memory.usage_success_rate] - Success rate carried over from an import
+   * @param {string} [memory.last_accessed] - Last access carried over from an import
    * @param {Float32Array|Buffer} [memory.embedding] - Pre-computed embedding
+   * @param {string} [memory.embedding_model] - Model that produced the embedding
    * @returns {Promise<{id: string, embedded: boolean}>}
    */
   async insert(memory) {
     this._ensureOpen();
-
-    if (!memory.content || typeof memory.content !== 'string') {
-      throw new Error('Memory content is required and must be a string');
-    }
-
-    if (!memory.source || typeof memory.source !== 'string') {
-      throw new Error('Memory source is required and must be a string');
-    }
-
-    // Validate memory_type if provided
-    if (memory.memory_type && !MEMORY_TYPES.includes(memory.memory_type)) {
-      throw new Error(`Invalid memory_type: ${memory.memory_type}. Valid types: ${MEMORY_TYPES.join(', ')}`);
-    }
+    this._validateInsert(memory);
 
     // Validate source
     if (!MEMORY_SOURCES.includes(memory.source)) {
       console.warn(`[MemoryStore] Unknown source: ${memory.source}`);
     }
 
-    // Generate ID if not provided
-    const id = memory.id || this._generateId();
-
     // Handle embedding
-    let embeddingBlob = null;
-    let embedded = false;
-
-    if (memory.embedding) {
-      embeddingBlob = this._toBlob(memory.embedding);
-      embedded = true;
-    } else if (this.autoEmbed && this.embedder) {
-      const embedding = await this.embedder.embed(memory.content);
-      embeddingBlob = Embedder.toBuffer(embedding);
-      embedded = true;
+    let embedding = null;
+    if (!memory.embedding && this.autoEmbed && this.embedder) {
+      embedding = {
+        blob: Embedder.toBuffer(await this.embedder.embed(memory.content)),
+        model: this.embedder.modelId || null,
+      };
       this.stats.embeddingsGenerated++;
     }
 
-    // Serialize tags
-    const tags = Array.isArray(memory.tags) ? JSON.stringify(memory.tags) : '[]';
-
-    // Generate bi-temporal fields
-    const bitemporal = createBitemporalFields(memory.validFrom || null);
-
-    const sql = `
-      INSERT INTO ${TABLE_NAME} (
-        id, content, summary, memory_type, intent, tags,
-        source, source_id, project_hash, session_id,
-        extraction_confidence, quality_score, embedding,
-        valid_from, valid_to, ingested_at
-      ) VALUES (
-        @id, @content, @summary, @memory_type, @intent, @tags,
-        @source, @source_id, @project_hash, @session_id,
-        @extraction_confidence, @quality_score, @embedding,
-        @valid_from, @valid_to, @ingested_at
-      )
-    `;
-
-    this.store.run(sql, {
-      id,
-      content: memory.content,
-      summary: memory.summary || null,
-      memory_type: memory.memory_type || 'observation',
-      intent: memory.intent || null,
-      tags,
-      source: memory.source,
-      source_id: memory.source_id || null,
-      project_hash: memory.project_hash || null,
-      session_id: memory.session_id || null,
-      extraction_confidence: memory.extraction_confidence ?? 0.5,
-      quality_score: memory.quality_score ?? 0.5,
-      embedding: embeddingBlob,
-      valid_from: memory.validFrom || bitemporal.validFrom,
-      valid_to: memory.validTo || bitemporal.validTo,
-      ingested_at: bitemporal.ingestedAt,
-    });
-
-    this.stats.inserts++;
-
-    return { id, embedded };
+    return this._insertRow(memory, embedding);
   }
 
   /**
@@ -417,16 +494,59 @@ class MemoryStore {
     if (!memory.content || !memory.source) {
       throw new Error('Memory content and source are required');
     }
+    this._validateInsert(memory);
+
+    return this._insertRow(memory, null);
+  }
+
+  /**
+   * Validate the fields of a memory about to be inserted
+   * @private
+   * @param {Object} memory
+   * @throws {Error} On missing content/source or an unknown type, tier or status
+   */
+  _validateInsert(memory) {
+    if (!memory.content || typeof memory.content !== 'string') {
+      throw new Error('Memory content is required and must be a string');
+    }
 
+    if (!memory.source || typeof memory.source !== 'string') {
+      throw new Error('Memory source is required and must be a string');
+    }
+
+    // Validate memory_type if provided
+    if (memory.memory_type && !MEMORY_TYPES.includes(memory.memory_type)) {
+      throw new Error(`Invalid memory_type: ${memory.memory_type}. Valid types: ${MEMORY_TYPES.join(', ')}`);
+    }
+
+    if (memory.tier && !MEMORY_TIERS.includes(memory.tier)) {
+      throw new Error(`Invalid tier: ${memory.tier}. Valid tiers: ${MEMORY_TIERS.join(', ')}`);
+    }
+
+    if (memory.status && !MEMORY_STATUSES.includes(memory.status)) {
+      throw new Error(`Invalid status: ${memory.status}. Valid statuses: ${MEMORY_STATUSES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Write one validated memory row and record its insert event
+   * @private
+   * @param {Object} memory - See insert()
+   * @param {{blob: Buffer, model: string|null}|null} generated - Embedding generated by insert()
+   * @returns {{id: string, embedded: boolean}}
+   */
+  _insertRow(memory, generated) {
+    // Generate ID if not provided
     const id = memory.id || this._generateId();
-    let embeddingBlob = null;
-    let embedded = false;
 
+    let embeddingBlob = generated?.blob || null;
+    let embeddingModel = generated?.model || null;
     if (memory.embedding) {
       embeddingBlob = this._toBlob(memory.embedding);
-      embedded = true;
+      embeddingModel = memory.embedding_model || null;
     }
 
+    // Serialize tags
     const tags = Array.isArray(memory.tags) ? JSON.stringify(memory.tags) : '[]';
 
     // Generate bi-temporal fields
@@ -436,20 +556,25 @@ class MemoryStore {
       INSERT INTO ${TABLE_NAME} (
         id, content, summary, memory_type, intent, tags,
         source, source_id, project_hash, session_id,
-        extraction_confidence, quality_score, embedding,
-        valid_from, valid_to, ingested_at
+        extraction_confidence, quality_score, embedding, embedding_model,
+        usage_count, usage_success_rate, last_accessed,
+        valid_from, valid_to, ingested_at, tier, status, created_at, updated_at
       ) VALUES (
         @id, @content, @summary, @memory_type, @intent, @tags,
         @source, @source_id, @project_hash, @session_id,
-        @extraction_confidence, @quality_score, @embedding,
-        @valid_from, @valid_to, @ingested_at
+        @extraction_confidence, @quality_score, @embedding, @embedding_model,
+        @usage_count, @usage_success_rate, @last_accessed,
+        @valid_from, @valid_to, @ingested_at, @tier, @status,
+        COALESCE(datetime(@created_at), datetime('now')), COALESCE(datetime(@created_at), datetime('now'))
       )
     `;
 
+    const stored = encryptFields({ content: memory.content, summary: memory.summary || null }, this.encryption);
+
     this.store.run(sql, {
       id,
-      content: memory.content,
-      summary: memory.summary || null,
+      content: stored.content,
+      summary: stored.summary,
       memory_type: memory.memory_type || 'observation',
       intent: memory.intent || null,
       tags,
@@ -460,14 +585,27 @@ class MemoryStore {
       extraction_confidence: memory.extraction_confidence ?? 0.5,
       quality_score: memory.quality_score ?? 0.5,
       embedding: embeddingBlob,
+      embedding_model: embeddingModel,
+      usage_count: memory.usage_count ?? 0,
+      usage_success_rate: memory.usage_success_rate ?? 0.5,
+      last_accessed: memory.last_accessed || null,
       valid_from: memory.validFrom || bitemporal.validFrom,
       valid_to: memory.validTo || bitemporal.validTo,
       ingested_at: bitemporal.ingestedAt,
+      tier: memory.tier || DEFAULT_TIER,
+      status: memory.status || 'active',
+      created_at: memory.created_at || null,
     });
 
     this.stats.inserts++;
+    this._recordEvent('insert', {
+      id,
+      project_hash: memory.project_hash || null,
+      memory_type: memory.memory_type || 'observation',
+      source: memory.source,
+    });
 
-    return { id, embedded };
+    return { id, embedded: embeddingBlob !== null };
   }
 
   /**
@@ -494,11 +632,17 @@ class MemoryStore {
   /**
    * Update a memory
    *
+   * Updates that touch more than bookkeeping fields are recorded in
+   * memory_versions, together with who made them and why.
+   *
    * @param {string} id - Memory ID
    * @param {Object} updates - Fields to update
+   * @param {Object} [options={}]
+   * @param {string} [options.changedBy] - Who made the change (e.g. "api:ci", "mcp:claude-code")
+   * @param {string} [options.reason] - Why the change was made
    * @returns {boolean} True if updated
    */
-  update(id, updates) {
+  update(id, updates, options = {}) {
     this._ensureOpen();
 
     if (!id) throw new Error('Memory ID is required');
@@ -510,14 +654,20 @@ class MemoryStore {
     const allowedFields = [
       'content', 'summary', 'memory_type', 'intent', 'tags',
       'extraction_confidence', 'quality_score', 'strength',
-      'decay_score', 'status', 'embedding',
+      'decay_score', 'status', 'embedding', 'embedding_model',
       // Usage tracking fields
       'usage_count', 'usage_success_rate', 'last_accessed',
       // Bi-temporal fields (valid_from can be corrected, valid_to for invalidation)
       'valid_from', 'valid_to',
       // Note: ingested_at is intentionally NOT updatable (immutable)
+      'superseded_by',
+      'tier',
     ];
 
+    if (updates.tier !== undefined && !MEMORY_TIERS.includes(updates.tier)) {
+      throw new Error(`Invalid tier: ${updates.tier}. Valid tiers: ${MEMORY_TIERS.join(', ')}`);
+    }
+
     const setClauses = [];
     const params = { id };
 
@@ -530,6 +680,9 @@ class MemoryStore {
       } else if (key === 'embedding') {
         setClauses.push(`embedding = @${key}`);
         params[key] = this._toBlob(value);
+      } else if (key === 'content' || key === 'summary') {
+        setClauses.push(`${key} = @${key}`);
+        params[key] = encryptFields({ [key]: value }, this.encryption)[key];
       } else {
         setClauses.push(`${key} = @${key}`);
         params[key] = value;
@@ -545,16 +698,60 @@ class MemoryStore {
     setClauses.push('version = version + 1');
 
     const sql = `UPDATE ${TABLE_NAME} SET ${setClauses.join(', ')} WHERE id = @id`;
-    const result = this.store.run(sql, params);
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+    const versionedFields = fields.filter(field => !SILENT_UPDATE_FIELDS.includes(field));
+    const versioned = versionedFields.length > 0;
+
+    const result = this.store.transaction(() => {
+      // First recorded change: keep the original text as the base version
+      if (versioned) this._snapshotVersion(id, { onlyIfFirst: true });
+
+      const changed = this.store.run(sql, params);
+      if (changed.changes > 0 && versioned) {
+        this._snapshotVersion(id, { fields: versionedFields, changedBy: options.changedBy, reason: options.reason });
+      }
+      return changed;
+    });
 
     if (result.changes > 0) {
       this.stats.updates++;
+
+      const eventType = this._classifyUpdate(updates, fields);
+      if (eventType) {
+        this._recordEvent(eventType, this._getEventSubject(id), { fields });
+      }
       return true;
     }
 
     return false;
   }
 
+  /**
+   * Close a memory's validity window because a newer memory replaces it
+   *
+   * The old row stays queryable for point-in-time searches (asOf) and
+   * links forward to its replacement through superseded_by.
+   *
+   * @param {string} id - Memory being superseded
+   * @param {string} supersededBy - ID of the replacing memory
+   * @param {Object} [options={}]
+   * @param {string} [options.validTo] - End of validity (default: now)
+   * @param {string} [options.changedBy] - Who made the change
+   * @returns {boolean} True if updated
+   */
+  supersede(id, supersededBy, options = {}) {
+    if (!supersededBy) throw new Error('supersededBy is required');
+    if (id === supersededBy) throw new Error('A memory cannot supersede itself');
+
+    return this.update(id, {
+      valid_to: options.validTo || new Date().toISOString(),
+      superseded_by: supersededBy,
+    }, {
+      changedBy: options.changedBy,
+      reason: `Superseded by ${supersededBy}`,
+    });
+  }
+
   /**
    * Delete a memory (soft delete by default)
    *
@@ -566,10 +763,13 @@ class MemoryStore {
     this._ensureOpen();
 
     let result;
+    const subject = this._getEventSubject(id);
 
     if (hard) {
-      const sql = `DELETE FROM ${TABLE_NAME} WHERE id = @id`;
-      result = this.store.run(sql, { id });
+      result = this.store.transaction(() => {
+        this.store.run(`DELETE FROM ${VERSIONS_TABLE_NAME} WHERE memory_id = @id`, { id });
+        return this.store.run(`DELETE FROM ${TABLE_NAME} WHERE id = @id`, { id });
+      });
     } else {
       const sql = `
         UPDATE ${TABLE_NAME}
@@ -581,6 +781,7 @@ class MemoryStore {
 
     if (result.changes > 0) {
       this.stats.deletes++;
+      this._recordEvent('delete', subject, { hard });
       return true;
     }
 
@@ -631,6 +832,7 @@ class MemoryStore {
    * @param {string} [options.memoryType] - Filter by memory_type
    * @param {string} [options.projectHash] - Filter by project_hash
    * @param {string[]} [options.tags] - Filter by tags (any match)
+   * @param {string|string[]} [options.tier] - Filter by lifecycle tier(s)
    * @param {number} [options.limit=100] - Max results
    * @param {number} [options.offset=0] - Offset for pagination
    * @param {string} [options.orderBy='created_at'] - Sort field
@@ -640,37 +842,7 @@ class MemoryStore {
   query(options = {}) {
     this._ensureOpen();
 
-    const conditions = [];
-    const params = {};
-
-    // Status filter
-    conditions.push(`status = @status`);
-    params.status = options.status || 'active';
-
-    // Optional filters
-    if (options.source) {
-      conditions.push(`source = @source`);
-      params.source = options.source;
-    }
-
-    if (options.memoryType) {
-      conditions.push(`memory_type = @memoryType`);
-      params.memoryType = options.memoryType;
-    }
-
-    if (options.projectHash) {
-      conditions.push(`(project_hash = @projectHash OR project_hash IS NULL)`);
-      params.projectHash = options.projectHash;
-    }
-
-    if (options.tags && Array.isArray(options.tags) && options.tags.length > 0) {
-      // JSON array contains any of the tags
-      const tagConditions = options.tags.map((tag, i) => {
-        params[`tag${i}`] = `%"${tag}"%`;
-        return `tags LIKE @tag${i}`;
-      });
-      conditions.push(`(${tagConditions.join(' OR ')})`);
-    }
+    const { conditions, params } = this._buildQueryConditions(options);
 
     // Build query
     const orderBy = ['created_at', 'updated_at', 'quality_score', 'strength']
@@ -696,6 +868,28 @@ class MemoryStore {
     return rows.map(row => this._parseMemory(row, false));
   }
 
+  /**
+   * Count memories matching the same filters as query()
+   *
+   * Pagination options (limit, offset, orderBy, order) are ignored.
+   *
+   * @param {Object} [options={}] - Same filter options as query()
+   * @returns {number}
+   */
+  count(options = {}) {
+    this._ensureOpen();
+
+    const { conditions, params } = this._buildQueryConditions(options);
+
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM ${TABLE_NAME}
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    return this.store.queryOne(sql, params).count;
+  }
+
   /**
    * Get memories missing embeddings
    *
@@ -712,7 +906,84 @@ class MemoryStore {
       LIMIT @limit
     `;
 
-    return this.store.query(sql, { limit });
+    return this.store.query(sql, { limit }).map(row => decryptFields(row, this.encryption));
+  }
+
+  /**
+   * Get active memories whose embedding is missing or was produced by a
+   * different model (rows without embedding_model count as DEFAULT_MODEL)
+   *
+   * @param {string} model - Current embedding model ID
+   * @param {number} [limit=100] - Max results
+   * @returns {Array<{id: string, content: string, summary: string|null, embedding_model: string|null}>}
+   */
+  getStaleEmbeddings(model, limit = 100) {
+    this._ensureOpen();
+
+    const sql = `
+      SELECT id, content, summary, embedding_model
+      FROM ${TABLE_NAME}
+      WHERE status = 'active'
+        AND (embedding IS NULL OR COALESCE(embedding_model, @defaultModel) != @model)
+      LIMIT @limit
+    `;
+
+    return this.store.query(sql, { model, defaultModel: DEFAULT_MODEL, limit })
+      .map(row => decryptFields(row, this.encryption));
+  }
+
+  /**
+   * Page through stored embeddings of one model (for rebuilding the vector index)
+   *
+   * @param {string} model - Embedding model ID
+   * @param {Object} [options={}]
+   * @param {string} [options.after] - Return IDs greater than this (cursor)
+   * @param {number} [options.limit=500] - Page size
+   * @returns {Array<{id: string, embedding: Float32Array}>}
+   */
+  getStoredEmbeddings(model, options = {}) {
+    this._ensureOpen();
+
+    const sql = `
+      SELECT id, embedding
+      FROM ${TABLE_NAME}
+      WHERE status = 'active'
+        AND embedding IS NOT NULL
+        AND COALESCE(embedding_model, @defaultModel) = @model
+        AND id > @after
+      ORDER BY id
+      LIMIT @limit
+    `;
+
+    const rows = this.store.query(sql, {
+      model,
+      defaultModel: DEFAULT_MODEL,
+      after: options.after || '',
+      limit: options.limit || 500,
+    });
+
+    return rows.map(row => ({ id: row.id, embedding: Embedder.fromBuffer(row.embedding) }));
+  }
+
+  /**
+   * Count active embeddings per model
+   *
+   * @returns {Object<string, number>} model ID -> count
+   */
+  getEmbeddingModels() {
+    this._ensureOpen();
+
+    const sql = `
+      SELECT COALESCE(embedding_model, @defaultModel) as model, COUNT(*) as count
+      FROM ${TABLE_NAME}
+      WHERE status = 'active' AND embedding IS NOT NULL
+      GROUP BY 1
+    `;
+
+    return this.store.query(sql, { defaultModel: DEFAULT_MODEL }).reduce((acc, row) => {
+      acc[row.model] = row.count;
+      return acc;
+    }, {});
   }
 
   /**
@@ -720,20 +991,21 @@ class MemoryStore {
    *
    * @param {string} id - Memory ID
    * @param {Float32Array|Buffer} embedding - Embedding vector
+   * @param {string|null} [model=null] - Model that produced the embedding
    * @returns {boolean}
    */
-  setEmbedding(id, embedding) {
+  setEmbedding(id, embedding, model = null) {
     this._ensureOpen();
 
     const blob = this._toBlob(embedding);
 
     const sql = `
       UPDATE ${TABLE_NAME}
-      SET embedding = @embedding, updated_at = datetime('now')
+      SET embedding = @embedding, embedding_model = @model, updated_at = datetime('now')
       WHERE id = @id
     `;
 
-    const result = this.store.run(sql, { id, embedding: blob });
+    const result = this.store.run(sql, { id, embedding: blob, model });
     return result.changes > 0;
   }
 
@@ -754,6 +1026,48 @@ class MemoryStore {
     return Embedder.fromBuffer(row.embedding);
   }
 
+  /**
+   * Move a memory to another lifecycle tier
+   *
+   * A bookkeeping write: no version, change event or updated_at bump, so
+   * promotion does not reset the decay clock.
+   *
+   * @param {string} id - Memory ID
+   * @param {string} tier - Target tier (see MEMORY_TIERS)
+   * @returns {boolean} True if updated
+   */
+  setTier(id, tier) {
+    this._ensureOpen();
+
+    if (!MEMORY_TIERS.includes(tier)) {
+      throw new Error(`Invalid tier: ${tier}. Valid tiers: ${MEMORY_TIERS.join(', ')}`);
+    }
+
+    const sql = `UPDATE ${TABLE_NAME} SET tier = @tier WHERE id = @id`;
+    return this.store.run(sql, { id, tier }).changes > 0;
+  }
+
+  /**
+   * Store recomputed decay scores in one transaction
+   *
+   * Leaves updated_at alone: decay is measured from the last real change.
+   *
+   * @param {Array<{id: string, decayScore: number}>} scores
+   * @returns {number} Rows updated
+   */
+  setDecayScores(scores) {
+    this._ensureOpen();
+
+    const sql = `UPDATE ${TABLE_NAME} SET decay_score = @decayScore WHERE id = @id`;
+    return this.store.transaction(() => {
+      let updated = 0;
+      for (const { id, decayScore } of scores) {
+        updated += this.store.run(sql, { id, decayScore }).changes;
+      }
+      return updated;
+    });
+  }
+
   /**
    * Record a memory access (updates usage stats)
    *
@@ -777,6 +1091,180 @@ class MemoryStore {
     this.store.run(sql, { id, success: successful ? 1.0 : 0.0 });
   }
 
+  // ===========================================================================
+  // CHANGE EVENTS
+  // ===========================================================================
+
+  /**
+   * Read change events recorded after a given event ID
+   *
+   * @param {number} [afterId=0] - Return events with id > afterId
+   * @param {Object} [options={}]
+   * @param {number} [options.limit=500] - Max events
+   * @returns {Array<{id: number, type: string, memory_id: string, project_hash: string|null, memory_type: string|null, source: string|null, details: Object, created_at: string}>}
+   */
+  getEventsSince(afterId = 0, options = {}) {
+    this._ensureOpen();
+
+    const sql = `
+      SELECT * FROM ${EVENTS_TABLE_NAME}
+      WHERE id > @afterId
+      ORDER BY id ASC
+      LIMIT @limit
+    `;
+
+    const rows = this.store.query(sql, {
+      afterId: Number(afterId) || 0,
+      limit: Math.min(options.limit || 500, 5000),
+    });
+
+    return rows.map(row => this._parseEvent(row));
+  }
+
+  /**
+   * Get the ID of the most recent change event
+   * @returns {number} 0 when the log is empty
+   */
+  getLatestEventId() {
+    this._ensureOpen();
+
+    const row = this.store.queryOne(`SELECT MAX(id) as id FROM ${EVENTS_TABLE_NAME}`);
+    return row?.id || 0;
+  }
+
+  /**
+   * Trim the change log to the most recent events
+   *
+   * @param {number} [keep=MAX_RETAINED_EVENTS] - Events to retain
+   * @returns {number} Events removed
+   */
+  pruneEvents(keep = MAX_RETAINED_EVENTS) {
+    this._ensureOpen();
+
+    const sql = `
+      DELETE FROM ${EVENTS_TABLE_NAME}
+      WHERE id <= (SELECT MAX(id) FROM ${EVENTS_TABLE_NAME}) - @keep
+    `;
+
+    return this.store.run(sql, { keep }).changes;
+  }
+
+  // ===========================================================================
+  // VERSION HISTORY
+  // ===========================================================================
+
+  /**
+   * List the recorded versions of a memory, oldest first
+   *
+   * Memories that were never edited have no history; their only
+   * version is the current row (see get()).
+   *
+   * @param {string} id - Memory ID
+   * @returns {Array<Object>} Snapshots with version, changed_by, change_reason, changed_fields, created_at
+   */
+  listVersions(id) {
+    this._ensureOpen();
+
+    const sql = `
+      SELECT * FROM ${VERSIONS_TABLE_NAME}
+      WHERE memory_id = @id
+      ORDER BY version ASC
+    `;
+
+    return this.store.query(sql, { id }).map(row => this._parseVersion(row));
+  }
+
+  /**
+   * Get one version of a memory
+   *
+   * @param {string} id - Memory ID
+   * @param {number} version - Version number
+   * @returns {Object|null}
+   */
+  getVersion(id, version) {
+    this._ensureOpen();
+
+    const sql = `
+      SELECT * FROM ${VERSIONS_TABLE_NAME}
+      WHERE memory_id = @id AND version = @version
+    `;
+
+    const row = this.store.queryOne(sql, { id, version: Number(version) });
+    if (row) return this._parseVersion(row);
+
+    // Unedited memories have no history row for their current version
+    const memory = this.get(id);
+    if (memory && memory.version === Number(version)) {
+      return this._parseVersion({ ...memory, memory_id: id, changed_fields: null });
+    }
+    return null;
+  }
+
+  /**
+   * Compare two versions of a memory
+   *
+   * @param {string} id - Memory ID
+   * @param {number} fromVersion - Older version
+   * @param {number} [toVersion] - Newer version (default: current)
+   * @returns {{memoryId: string, from: number, to: number, changes: Array<{field: string, from: *, to: *}>, contentDiff: Array<{op: string, line: string}>}|null}
+   *   null when either version does not exist
+   */
+  diffVersions(id, fromVersion, toVersion) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const to = toVersion === undefined || toVersion === null
+      ? this._parseVersion({ ...current, memory_id: id, changed_fields: null })
+      : this.getVersion(id, toVersion);
+    const from = this.getVersion(id, fromVersion);
+    if (!from || !to) return null;
+
+    const changes = [];
+    for (const field of VERSIONED_FIELDS) {
+      if (JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null)) {
+        changes.push({ field, from: from[field] ?? null, to: to[field] ?? null });
+      }
+    }
+
+    return {
+      memoryId: id,
+      from: from.version,
+      to: to.version,
+      changes,
+      contentDiff: diffLines(from.content, to.content),
+    };
+  }
+
+  /**
+   * Restore the content fields of an earlier version
+   *
+   * Restoring is itself an update, so it becomes the newest version and
+   * nothing in the history is lost. The embedding is NOT regenerated;
+   * callers holding an embedder should refresh it (VectorSearchProvider does).
+   *
+   * @param {string} id - Memory ID
+   * @param {number} version - Version to restore
+   * @param {Object} [options={}]
+   * @param {string} [options.changedBy] - Who made the change
+   * @returns {Object|null} Restored memory, or null if the version does not exist
+   */
+  restoreVersion(id, version, options = {}) {
+    const snapshot = this.getVersion(id, version);
+    if (!snapshot) return null;
+
+    const fields = {};
+    for (const field of RESTORABLE_FIELDS) {
+      fields[field] = snapshot[field];
+    }
+
+    this.update(id, fields, {
+      changedBy: options.changedBy,
+      reason: `Restored version ${snapshot.version}`,
+    });
+
+    return this.get(id);
+  }
+
   // ===========================================================================
   // STATISTICS
   // ===========================================================================
@@ -837,6 +1325,28 @@ class MemoryStore {
     }, {});
   }
 
+  /**
+   * Get count by lifecycle tier
+   *
+   * @returns {Object<string, number>} Every tier, including empty ones
+   */
+  getCountByTier() {
+    this._ensureOpen();
+
+    const sql = `
+      SELECT tier, COUNT(*) as count
+      FROM ${TABLE_NAME}
+      WHERE status = 'active'
+      GROUP BY tier
+    `;
+
+    const counts = Object.fromEntries(MEMORY_TIERS.map(tier => [tier, 0]));
+    for (const row of this.store.query(sql)) {
+      counts[row.tier || DEFAULT_TIER] += row.count;
+    }
+    return counts;
+  }
+
   /**
    * Get embedding coverage stats
    *
@@ -917,6 +1427,202 @@ class MemoryStore {
     }
   }
 
+  /**
+   * Build WHERE conditions shared by query() and count()
+   * @private
+   * @param {Object} options - Filter options (see query())
+   * @returns {{conditions: string[], params: Object}}
+   */
+  _buildQueryConditions(options) {
+    const conditions = [];
+    const params = {};
+
+    // Status filter
+    conditions.push(`status = @status`);
+    params.status = options.status || 'active';
+
+    // Optional filters
+    if (options.source) {
+      conditions.push(`source = @source`);
+      params.source = options.source;
+    }
+
+    if (options.memoryType) {
+      conditions.push(`memory_type = @memoryType`);
+      params.memoryType = options.memoryType;
+    }
+
+    if (options.projectHash) {
+      conditions.push(`(project_hash = @projectHash OR project_hash IS NULL)`);
+      params.projectHash = options.projectHash;
+    }
+
+    if (options.tier) {
+      const tiers = Array.isArray(options.tier) ? options.tier : [options.tier];
+      const placeholders = tiers.map((tier, i) => {
+        params[`tier${i}`] = tier;
+        return `@tier${i}`;
+      });
+      conditions.push(`tier IN (${placeholders.join(', ')})`);
+    }
+
+    if (options.tags && Array.isArray(options.tags) && options.tags.length > 0) {
+      // JSON array contains any of the tags
+      const tagConditions = options.tags.map((tag, i) => {
+        params[`tag${i}`] = `%"${tag}"%`;
+        return `tags LIKE @tag${i}`;
+      });
+      conditions.push(`(${tagConditions.join(' OR ')})`);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Decide which change event (if any) an update() call represents
+   * @private
+   * @param {Object} updates - Raw updates passed to update()
+   * @param {string[]} fields - Updated column names
+   * @returns {string|null} Event type, or null for bookkeeping-only updates
+   */
+  _classifyUpdate(updates, fields) {
+    if (updates.status === 'deleted') return 'delete';
+    if (fields.includes('valid_to') && updates.valid_to) return 'invalidate';
+    if (fields.some(field => !SILENT_UPDATE_FIELDS.includes(field))) return 'update';
+    return null;
+  }
+
+  /**
+   * Load the columns a change event is filtered on
+   * @private
+   * @param {string} id - Memory ID
+   * @returns {Object}
+   */
+  _getEventSubject(id) {
+    const sql = `SELECT id, project_hash, memory_type, source FROM ${TABLE_NAME} WHERE id = @id`;
+    return this.store.queryOne(sql, { id }) || { id };
+  }
+
+  /**
+   * Append an entry to the change log
+   * @private
+   * @param {string} type - One of MEMORY_EVENT_TYPES
+   * @param {Object} subject - {id, project_hash, memory_type, source}
+   * @param {Object} [details] - Extra event data
+   */
+  _recordEvent(type, subject, details = null) {
+    const sql = `
+      INSERT INTO ${EVENTS_TABLE_NAME} (event_type, memory_id, project_hash, memory_type, source, details)
+      VALUES (@type, @memoryId, @projectHash, @memoryType, @source, @details)
+    `;
+
+    this.store.run(sql, {
+      type,
+      memoryId: subject.id,
+      projectHash: subject.project_hash ?? null,
+      memoryType: subject.memory_type ?? null,
+      source: subject.source ?? null,
+      details: details ? JSON.stringify(details) : null,
+    });
+  }
+
+  /**
+   * Parse a change log row
+   * @private
+   * @param {Object} row
+   * @returns {Object}
+   */
+  _parseEvent(row) {
+    let details = {};
+    try {
+      details = row.details ? JSON.parse(row.details) : {};
+    } catch {
+      // Leave details empty on malformed JSON
+    }
+
+    return {
+      id: row.id,
+      type: row.event_type,
+      memory_id: row.memory_id,
+      project_hash: row.project_hash,
+      memory_type: row.memory_type,
+      source: row.source,
+      details,
+      created_at: row.created_at,
+    };
+  }
+
+  /**
+   * Copy the current state of a memory into memory_versions
+   * @private
+   * @param {string} id - Memory ID
+   * @param {Object} [options={}]
+   * @param {boolean} [options.onlyIfFirst=false] - Skip if the memory already has history
+   * @param {string[]} [options.fields] - Fields changed to produce this version
+   * @param {string} [options.changedBy] - Who made the change
+   * @param {string} [options.reason] - Why the change was made
+   */
+  _snapshotVersion(id, options = {}) {
+    if (options.onlyIfFirst) {
+      const existing = this.store.queryOne(
+        `SELECT 1 FROM ${VERSIONS_TABLE_NAME} WHERE memory_id = @id LIMIT 1`,
+        { id }
+      );
+      if (existing) return;
+    }
+
+    // The base version is dated when it was last written, later ones "now"
+    const sql = `
+      INSERT OR REPLACE INTO ${VERSIONS_TABLE_NAME} (
+        memory_id, version, ${VERSIONED_FIELDS.join(', ')},
+        changed_fields, changed_by, change_reason, created_at
+      )
+      SELECT
+        id, version, ${VERSIONED_FIELDS.join(', ')},
+        @changedFields, @changedBy, @reason,
+        ${options.onlyIfFirst ? 'updated_at' : "datetime('now')"}
+      FROM ${TABLE_NAME} WHERE id = @id
+    `;
+
+    this.store.run(sql, {
+      id,
+      changedFields: options.fields ? JSON.stringify(options.fields) : null,
+      changedBy: options.changedBy ?? null,
+      reason: options.reason ?? null,
+    });
+  }
+
+  /**
+   * Parse a memory_versions row
+   * @private
+   * @param {Object} row
+   * @returns {Object}
+   */
+  _parseVersion(row) {
+    row = decryptFields(row, this.encryption);
+    let changedFields = null;
+    try {
+      changedFields = row.changed_fields ? JSON.parse(row.changed_fields) : null;
+    } catch {
+      // Leave changed_fields empty on malformed JSON
+    }
+
+    const version = {
+      memory_id: row.memory_id,
+      version: row.version,
+      changed_fields: changedFields,
+      changed_by: row.changed_by ?? null,
+      change_reason: row.change_reason ?? null,
+      created_at: row.created_at,
+    };
+    for (const field of VERSIONED_FIELDS) {
+      version[field] = field === 'tags' && !Array.isArray(row.tags)
+        ? this._parseTags(row.tags)
+        : row[field] ?? null;
+    }
+    return version;
+  }
+
   /**
    * Generate a unique memory ID
    * @private
@@ -959,7 +1665,7 @@ class MemoryStore {
       extraction_confidence, quality_score, usage_count,
       usage_success_rate, last_accessed, strength, decay_score,
       created_at, updated_at, status,
-      valid_from, valid_to, ingested_at
+      valid_from, valid_to, ingested_at, superseded_by, embedding_model, tier
     `;
   }
 
@@ -972,7 +1678,7 @@ class MemoryStore {
    */
   _parseMemory(row, includeEmbedding) {
     const memory = {
-      ...row,
+      ...decryptFields(row, this.encryption),
       tags: this._parseTags(row.tags),
     };
 
@@ -1001,6 +1707,101 @@ class MemoryStore {
   }
 }
 
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Normalize a stored timestamp to ISO 8601
+ * (SQLite's datetime('now') yields "YYYY-MM-DD HH:MM:SS" in UTC)
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function toIsoTimestamp(value) {
+  if (!value) return null;
+  return value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+}
+
+/**
+ * Map a MemoryStore row to the camelCase record shape of the former JSONL
+ * tiers (used by TierPromotion, the JSONL adapter's tier sources and the
+ * confidence decay helpers)
+ *
+ * @param {Object} memory - Row returned by get()/query()
+ * @returns {Object}
+ */
+function memoryToRecord(memory) {
+  return {
+    id: memory.id,
+    version: memory.version,
+    type: memory.memory_type,
+    content: memory.content,
+    summary: memory.summary,
+    tags: memory.tags,
+    intent: memory.intent,
+    tier: memory.tier || DEFAULT_TIER,
+    source: memory.source,
+    projectHash: memory.project_hash,
+    sourceSessionId: memory.session_id,
+    extractionConfidence: memory.extraction_confidence,
+    qualityScore: memory.quality_score,
+    usageCount: memory.usage_count,
+    usageSuccessRate: memory.usage_success_rate,
+    lastUsed: toIsoTimestamp(memory.last_accessed),
+    decayScore: memory.decay_score,
+    status: memory.status,
+    createdAt: toIsoTimestamp(memory.created_at),
+    updatedAt: toIsoTimestamp(memory.updated_at),
+  };
+}
+
+/** @const {Object<string, string>} Tier record fields and the columns they map to */
+const RECORD_COLUMNS = {
+  content: 'content',
+  summary: 'summary',
+  type: 'memory_type',
+  intent: 'intent',
+  tags: 'tags',
+  tier: 'tier',
+  status: 'status',
+  projectHash: 'project_hash',
+  sourceSessionId: 'session_id',
+  extractionConfidence: 'extraction_confidence',
+  qualityScore: 'quality_score',
+  usageCount: 'usage_count',
+  usageSuccessRate: 'usage_success_rate',
+  lastUsed: 'last_accessed',
+  decayScore: 'decay_score',
+  createdAt: 'created_at',
+};
+
+/**
+ * Map a camelCase tier record to MemoryStore fields (inverse of
+ * memoryToRecord). Unknown types fall back to 'observation' and unknown
+ * statuses are dropped, so records from older JSONL files insert cleanly.
+ *
+ * @param {Object} record - Tier record (JSONL line or adapter MemoryRecord)
+ * @returns {Object} Fields accepted by insert() and update(); no source
+ */
+function recordToMemory(record) {
+  const memory = {};
+  if (record.id) memory.id = record.id;
+
+  for (const [field, column] of Object.entries(RECORD_COLUMNS)) {
+    if (record[field] !== undefined && record[field] !== null) {
+      memory[column] = record[field];
+    }
+  }
+
+  if (memory.memory_type && !MEMORY_TYPES.includes(memory.memory_type)) {
+    memory.memory_type = 'observation';
+  }
+  if (memory.status && !MEMORY_STATUSES.includes(memory.status)) {
+    delete memory.status;
+  }
+  return memory;
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -1012,5 +1813,15 @@ module.exports = {
   MEMORY_TYPES,
   MEMORY_SOURCES,
   MEMORY_STATUSES,
+  MEMORY_TIERS,
+  DEFAULT_TIER,
+  MEMORY_EVENT_TYPES,
+  EVENTS_TABLE_NAME,
+  VERSIONS_TABLE_NAME,
+  VERSIONED_FIELDS,
+  RESTORABLE_FIELDS,
   DEFAULT_DB_PATH,
+  memoryToRecord,
+  recordToMemory,
+  toIsoTimestamp,
 };
@@ -344,6 +344,99 @@ const MIGRATIONS = [
     `,
     down: `DROP TABLE IF EXISTS cue_anchors;`,
   },
+
+  {
+    version: 11,
+    name: 'add_supersession_link',
+    description: 'Add superseded_by link set when contradiction detection closes an older memory',
+    up: `
+      ALTER TABLE memories ADD COLUMN superseded_by TEXT DEFAULT NULL;
+    `,
+    down: `
+      -- SQLite does not support DROP COLUMN before 3.35.0;
+      -- for safety we leave the column in place on rollback.
+    `,
+    customUp: (db) => {
+      const tableInfo = db.prepare('PRAGMA table_info(memories)').all();
+      if (!tableInfo.some(c => c.name === 'superseded_by')) {
+        db.exec('ALTER TABLE memories ADD COLUMN superseded_by TEXT DEFAULT NULL');
+      }
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_memories_superseded_by
+        ON memories(superseded_by) WHERE superseded_by IS NOT NULL
+      `);
+    },
+  },
+
+  {
+    version: 12,
+    name: 'add_memory_versions',
+    description: 'Add memory_versions history table (one snapshot per update, with author and reason)',
+    up: `
+      CREATE TABLE IF NOT EXISTS memory_versions (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        memory_id      TEXT    NOT NULL,
+        version        INTEGER NOT NULL,
+        content        TEXT    NOT NULL,
+        summary        TEXT,
+        memory_type    TEXT,
+        intent         TEXT,
+        tags           TEXT,
+        quality_score  REAL,
+        status         TEXT,
+        valid_from     TEXT,
+        valid_to       TEXT,
+        superseded_by  TEXT,
+        changed_fields TEXT,
+        changed_by     TEXT,
+        change_reason  TEXT,
+        created_at     TEXT    NOT NULL DEFAULT (datetime('now')),
+        UNIQUE(memory_id, version)
+      );
+    `,
+    down: `DROP TABLE IF EXISTS memory_versions;`,
+  },
+
+  {
+    version: 13,
+    name: 'add_embedding_model',
+    description: 'Record which embedding model produced each stored embedding (NULL = all-MiniLM-L6-v2)',
+    up: `
+      ALTER TABLE memories ADD COLUMN embedding_model TEXT DEFAULT NULL;
+    `,
+    down: `
+      -- SQLite does not support DROP COLUMN before 3.35.0;
+      -- for safety we leave the column in place on rollback.
+    `,
+    customUp: (db) => {
+      const tableInfo = db.prepare('PRAGMA table_info(memories)').all();
+      if (!tableInfo.some(c => c.name === 'embedding_model')) {
+        db.exec('ALTER TABLE memories ADD COLUMN embedding_model TEXT DEFAULT NULL');
+      }
+    },
+  },
+
+  {
+    version: 14,
+    name: 'add_memory_tier',
+    description: 'Add the lifecycle tier (working / short-term / long-term) that replaced the JSONL tier files',
+    up: `
+      ALTER TABLE memories ADD COLUMN tier TEXT DEFAULT 'long-term';
+    `,
+    down: `
+      -- SQLite does not support DROP COLUMN before 3.35.0;
+      -- for safety we leave the column in place on rollback.
+    `,
+    customUp: (db) => {
+      const tableInfo = db.prepare('PRAGMA table_info(memories)').all();
+      if (!tableInfo.some(c => c.name === 'tier')) {
+        db.exec("ALTER TABLE memories ADD COLUMN tier TEXT DEFAULT 'long-term'");
+      }
+
+      db.exec('CREATE INDEX IF NOT EXISTS idx_memories_tier ON memories(tier, status)');
+    },
+  },
 ];
 
 // =============================================================================
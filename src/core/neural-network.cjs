@@ -7,6 +7,16 @@
  * - Dream consolidation (REM-like processing)
  * - Hebbian learning (cells that fire together wire together)
  * - Graph node relations with multi-dimensional correlations
+ *
+ * Neurons and synapses live in the Cortex SQLite database (neural_neurons /
+ * neural_synapses) next to the memories they mirror. Nodes report their own
+ * changes, so save() only writes neurons touched since the last save (and
+ * their outgoing synapses). New neurons are wired to their nearest neighbours
+ * through the memory VectorIndex when one is supplied, falling back to
+ * neurons that share a tag.
+ *
+ * Networks saved by earlier versions as neural/nodes.json + connections.json
+ * are imported on first initialize() and the files renamed to *.imported.
  */
 
 'use strict';
@@ -16,7 +26,10 @@ const path = require('path');
 const crypto = require('crypto');
 
 const { expandPath } = require('./types.cjs');
+const { SQLiteStore } = require('./sqlite-store.cjs');
 const { calculateDecay } = require('./confidence-decay.cjs');
+const { getStorageEncryption, encryptFields, decryptFields } = require('./storage-encryption.cjs');
+const { ARCHIVE_SUFFIX } = require('./jsonl-import.cjs');
 
 // =============================================================================
 // CONSTANTS
@@ -29,6 +42,18 @@ const DREAM_CONSOLIDATION_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
 const MAX_CONNECTIONS_PER_NODE = 100;
 const SYNAPTIC_PRING_THRESHOLD = 0.05;
 
+/** @const {string} Neuron table name */
+const NEURONS_TABLE_NAME = 'neural_neurons';
+
+/** @const {string} Synapse table name (one row per directed connection) */
+const SYNAPSES_TABLE_NAME = 'neural_synapses';
+
+/** @const {number} Neighbours wired to a new neuron */
+const MAX_NEIGHBOURS = 5;
+
+/** @const {number} Minimum cosine similarity for a vector neighbour */
+const DEFAULT_NEIGHBOUR_THRESHOLD = 0.5;
+
 // =============================================================================
 // NEURON NODE
 // =============================================================================
@@ -61,6 +86,17 @@ class NeuronNode {
     this.validTo = data.validTo || null;
     this.projectHash = data.projectHash || null;
     this.extractionConfidence = data.extractionConfidence || 0.5;
+
+    // Set by the owning NeuralNetwork to track unsaved changes
+    this.onChange = null;
+  }
+
+  /**
+   * Report a state change to the owning network
+   * @private
+   */
+  _changed() {
+    if (this.onChange) this.onChange(this);
   }
 
   /**
@@ -73,6 +109,7 @@ class NeuronNode {
     
     // Strengthen with use (Hebbian learning)
     this.strength = Math.min(2.0, this.strength + LEARNING_RATE);
+    this._changed();
     
     return this.activationLevel >= this.threshold;
   }
@@ -93,6 +130,7 @@ class NeuronNode {
     });
     
     this.age = (Date.now() - new Date(this.createdAt).getTime()) / (1000 * 60 * 60 * 24);
+    this._changed();
   }
 
   /**
@@ -116,6 +154,7 @@ class NeuronNode {
     if (Object.keys(this.weights).length > MAX_CONNECTIONS_PER_NODE) {
       this.pruneWeakestConnections();
     }
+    this._changed();
   }
 
   /**
@@ -130,6 +169,7 @@ class NeuronNode {
     for (let i = 0; i < toRemove; i++) {
       if (connections[i][1].weight < SYNAPTIC_PRING_THRESHOLD) {
         delete this.weights[connections[i][0]];
+        this._changed();
       }
     }
   }
@@ -181,17 +221,114 @@ class NeuronNode {
   }
 }
 
+// =============================================================================
+// ROW MAPPING
+// =============================================================================
+
+/**
+ * Neuron table row for a node (synapses are stored separately)
+ * @param {NeuronNode} node
+ * @returns {Object}
+ */
+function neuronToRow(node) {
+  return {
+    id: node.id,
+    node_type: node.type,
+    content: node.content,
+    summary: node.summary,
+    tags: JSON.stringify(node.tags || []),
+    source: node.source,
+    activation_level: node.activationLevel,
+    threshold: node.threshold,
+    last_activated: node.lastActivated,
+    activation_count: node.activationCount,
+    strength: node.strength,
+    age: node.age,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    valid_from: node.validFrom,
+    valid_to: node.validTo,
+    project_hash: node.projectHash,
+    extraction_confidence: node.extractionConfidence,
+  };
+}
+
+/**
+ * Node from a neuron table row
+ * @param {Object} row - Decrypted row
+ * @returns {NeuronNode}
+ */
+function rowToNeuron(row) {
+  const node = NeuronNode.fromJSON({
+    id: row.id,
+    type: row.node_type,
+    content: row.content,
+    summary: row.summary,
+    tags: JSON.parse(row.tags || '[]'),
+    source: row.source,
+    activationLevel: row.activation_level,
+    threshold: row.threshold,
+    lastActivated: row.last_activated,
+    activationCount: row.activation_count,
+    strength: row.strength,
+    age: row.age,
+    createdAt: row.created_at,
+    validFrom: row.valid_from,
+    validTo: row.valid_to,
+    projectHash: row.project_hash,
+    extractionConfidence: row.extraction_confidence,
+  });
+  node.updatedAt = row.updated_at;
+  return node;
+}
+
+/**
+ * Rename an imported legacy file to *.imported (timestamped if that exists)
+ * @param {string} filePath
+ * @returns {string} New path
+ */
+function archiveLegacyFile(filePath) {
+  let archivePath = filePath + ARCHIVE_SUFFIX;
+  if (fs.existsSync(archivePath)) {
+    archivePath = `${filePath}.${Date.now()}${ARCHIVE_SUFFIX}`;
+  }
+  fs.renameSync(filePath, archivePath);
+  return archivePath;
+}
+
 // =============================================================================
 // NEURAL NETWORK
 // =============================================================================
 
 class NeuralNetwork {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.basePath='~/.claude/memory/neural'] - Directory of a legacy JSON network to import
+   * @param {string} [options.dbPath] - Cortex database (default: data/memories.db beside basePath)
+   * @param {import('./vector-index.cjs').VectorIndex} [options.vectorIndex] - Memory vector index for neighbour lookup
+   * @param {Object} [options.embedder] - Embedder with embed(text), for neurons not in the vector index
+   * @param {number} [options.neighbourThreshold=0.5] - Minimum cosine similarity of a vector neighbour
+   * @param {import('./encryption.cjs').CortexEncryption|null} [options.encryption] -
+   *   Encrypts neuron content/summary (defaults to the configured storage encryption)
+   */
   constructor(options = {}) {
     this.basePath = expandPath(options.basePath || '~/.claude/memory/neural');
+    this.dbPath = expandPath(options.dbPath || path.join(path.dirname(this.basePath), 'data', 'memories.db'));
+    this.encryption = options.encryption !== undefined ? options.encryption : getStorageEncryption();
+    this.vectorIndex = options.vectorIndex || null;
+    this.embedder = options.embedder || null;
+    this.neighbourThreshold = options.neighbourThreshold ?? DEFAULT_NEIGHBOUR_THRESHOLD;
+
+    this.store = new SQLiteStore(this.dbPath, { timeout: options.timeout || 5000, wal: true });
     this.nodes = new Map();
-    this.connections = [];
     this.dreamLog = [];
     this.initialized = false;
+
+    // IDs of neurons changed since the last save
+    this._dirty = new Set();
+    // tag -> neuron IDs, for neighbour lookup without a vector index
+    this._tagIndex = new Map();
+    this._embedderFailed = false;
     
     // Network properties
     this.globalActivation = 0;
@@ -200,69 +337,121 @@ class NeuralNetwork {
   }
 
   /**
-   * Initialize network from storage
+   * Open the database and load the network
+   *
+   * @returns {Promise<{success: boolean, nodeCount: number, imported: number}>}
+   *   imported = neurons taken over from a legacy nodes.json
    */
   async initialize() {
-    const nodeFile = path.join(this.basePath, 'nodes.json');
-    const connectionFile = path.join(this.basePath, 'connections.json');
-
-    if (fs.existsSync(nodeFile)) {
-      const data = JSON.parse(fs.readFileSync(nodeFile, 'utf8'));
-      data.forEach(n => this.nodes.set(n.id, NeuronNode.fromJSON(n)));
+    if (this.initialized) {
+      return { success: true, nodeCount: this.nodes.size, imported: 0 };
     }
 
-    if (fs.existsSync(connectionFile)) {
-      this.connections = JSON.parse(fs.readFileSync(connectionFile, 'utf8'));
+    this.store.open();
+    this._createSchema();
+    const imported = this._importLegacyFiles();
+
+    for (const row of this.store.query(`SELECT * FROM ${NEURONS_TABLE_NAME}`)) {
+      this._track(rowToNeuron(decryptFields(row, this.encryption)));
+    }
+    for (const row of this.store.query(`SELECT * FROM ${SYNAPSES_TABLE_NAME}`)) {
+      const node = this.nodes.get(row.from_id);
+      if (!node) continue;
+      node.weights[row.to_id] = {
+        weight: row.weight,
+        relationType: row.relation_type,
+        createdAt: row.created_at,
+        usageCount: row.usage_count,
+      };
     }
 
+    // Loading is not a change
+    this._dirty.clear();
     this.initialized = true;
-    return { success: true, nodeCount: this.nodes.size };
+    return { success: true, nodeCount: this.nodes.size, imported };
   }
 
   /**
-   * Save network to storage
+   * Write neurons changed since the last save, with their outgoing synapses
+   *
+   * @returns {Promise<{neurons: number, synapses: number}>} Rows written
    */
   async save() {
-    fs.mkdirSync(this.basePath, { recursive: true });
+    this._ensureInitialized();
+    const result = { neurons: 0, synapses: 0 };
+    if (this._dirty.size === 0) return result;
 
-    const nodes = Array.from(this.nodes.values()).map(n => n.toJSON());
-    fs.writeFileSync(
-      path.join(this.basePath, 'nodes.json'),
-      JSON.stringify(nodes, null, 2)
-    );
+    this.store.transaction(() => {
+      for (const id of this._dirty) {
+        const node = this.nodes.get(id);
+        if (!node) continue;
+        result.synapses += this._writeNeuron(node);
+        result.neurons++;
+      }
+    });
 
-    fs.writeFileSync(
-      path.join(this.basePath, 'connections.json'),
-      JSON.stringify(this.connections, null, 2)
-    );
+    this._dirty.clear();
+    return result;
   }
 
   /**
-   * Add a new memory as neuron
+   * Close the database
    */
-  addNeuron(memory) {
+  close() {
+    if (this.store.isOpen()) {
+      this.store.close();
+    }
+    this.initialized = false;
+  }
+
+  /**
+   * Add a new memory as neuron, wired to its nearest existing neurons
+   *
+   * @param {Object} memory - Memory record (id, content, summary, tags, ...)
+   * @param {Float32Array} [memory.embedding] - Precomputed embedding of the content
+   * @returns {Promise<NeuronNode>}
+   */
+  async addNeuron(memory) {
     const id = memory.id || this._generateId(memory);
     const node = new NeuronNode(id, memory);
-    
-    this.nodes.set(id, node);
-    
+
+    const previous = this.nodes.get(id);
+    if (previous) this._untrack(previous);
+    this._track(node);
+    this._dirty.add(id);
+
     // Auto-connect to similar neurons
-    this._findSimilarNodes(memory).forEach(similar => {
-      node.connectTo(similar.id, 0.5, 'semantic');
-      similar.connectTo(id, 0.5, 'semantic');
-      
-      this.connections.push({
-        from: id,
-        to: similar.id,
-        weight: 0.5,
-        type: 'semantic',
-        createdAt: new Date().toISOString(),
-      });
+    const similar = await this._findSimilarNodes(node, memory);
+    similar.forEach(neighbour => {
+      node.connectTo(neighbour.id, 0.5, 'semantic');
+      neighbour.connectTo(id, 0.5, 'semantic');
     });
 
     return node;
   }
 
+  /**
+   * Directed connections between neurons
+   *
+   * @returns {Array<{from: string, to: string, weight: number, type: string, usageCount: number, createdAt: string}>}
+   */
+  getConnections() {
+    const connections = [];
+    for (const node of this.nodes.values()) {
+      for (const [to, synapse] of Object.entries(node.weights)) {
+        connections.push({
+          from: node.id,
+          to,
+          weight: synapse.weight,
+          type: synapse.relationType,
+          usageCount: synapse.usageCount,
+          createdAt: synapse.createdAt,
+        });
+      }
+    }
+    return connections;
+  }
+
   /**
    * Activate a neuron and propagate activation
    */
@@ -285,6 +474,51 @@ class NeuralNetwork {
     return node;
   }
 
+  /**
+   * Spread activation from seed neurons without changing the network
+   *
+   * Each hop passes activation × synapse weight × decay to the neighbours
+   * not reached yet; contributions arriving at the same neuron add up
+   * (capped at 1). Unlike activateNeuron() nothing is recorded, so search
+   * can consult the graph on every query.
+   *
+   * @param {Map<string, number>} seeds - Neuron ID -> initial activation (0-1)
+   * @param {Object} [options]
+   * @param {number} [options.hops=2] - Synapses followed outward from a seed
+   * @param {number} [options.decay=0.5] - Activation kept per hop
+   * @param {number} [options.minActivation=0.01] - Weaker activation stops spreading
+   * @returns {Map<string, number>} Activated neuron ID -> activation, seeds excluded
+   */
+  spreadActivation(seeds, options = {}) {
+    const hops = options.hops ?? 2;
+    const decay = options.decay ?? 0.5;
+    const minActivation = options.minActivation ?? 0.01;
+
+    const activated = new Map();
+    let frontier = new Map([...seeds].filter(([id]) => this.nodes.has(id)));
+    const reached = new Set(seeds.keys());
+
+    for (let hop = 0; hop < hops && frontier.size > 0; hop++) {
+      const next = new Map();
+      for (const [id, activation] of frontier) {
+        for (const [targetId, connection] of Object.entries(this.nodes.get(id).weights)) {
+          if (reached.has(targetId) || !this.nodes.has(targetId)) continue;
+          const spread = activation * connection.weight * decay;
+          if (spread < minActivation) continue;
+          next.set(targetId, Math.min(1, (next.get(targetId) || 0) + spread));
+        }
+      }
+
+      for (const [id, activation] of next) {
+        activated.set(id, activation);
+        reached.add(id);
+      }
+      frontier = next;
+    }
+
+    return activated;
+  }
+
   /**
    * Query by semantic similarity (fires neurons above threshold)
    */
@@ -376,8 +610,8 @@ class NeuralNetwork {
     // Phase 6: Create entity nodes from frequent patterns
     dreamLog.phases.push('entity-extraction');
     const entities = this._extractEntities();
-    entities.forEach(entity => {
-      this.addNeuron({
+    for (const entity of entities) {
+      await this.addNeuron({
         id: `entity:${entity.name}`,
         type: 'entity',
         content: entity.description,
@@ -385,11 +619,11 @@ class NeuralNetwork {
         tags: entity.relatedTags,
         source: 'dream-extraction',
       });
-    });
+    }
 
     dreamLog.endTime = new Date().toISOString();
     dreamLog.nodeCount = this.nodes.size;
-    dreamLog.connectionCount = this.connections.length;
+    dreamLog.connectionCount = this._countConnections();
 
     this.dreamLog.push(dreamLog);
     await this.save();
@@ -407,11 +641,12 @@ class NeuralNetwork {
     const avgActivation = Array.from(this.nodes.values())
       .reduce((sum, n) => sum + n.activationLevel, 0) / this.nodes.size;
     
-    const connectionDensity = this.connections.length / (this.nodes.size || 1);
+    const connectionCount = this._countConnections();
+    const connectionDensity = connectionCount / (this.nodes.size || 1);
     
     return {
       nodeCount: this.nodes.size,
-      connectionCount: this.connections.length,
+      connectionCount,
       firingNodes: firingNodes.length,
       avgActivation: avgActivation.toFixed(3),
       globalActivation: this.globalActivation.toFixed(3),
@@ -424,39 +659,96 @@ class NeuralNetwork {
   }
 
   /**
-   * Find similar neurons based on content/tags
+   * Nearest existing neurons for a new one
+   *
+   * Looks the neuron up in the memory vector index (by its stored vector,
+   * the memory's embedding, or an embedding of its content), so insert cost
+   * does not grow with the network. Without a usable vector, candidates are
+   * the neurons sharing a tag.
+   *
+   * @param {NeuronNode} node - New neuron
+   * @param {Object} memory - Memory it was created from
+   * @returns {Promise<NeuronNode[]>} Up to MAX_NEIGHBOURS neurons
+   * @private
    */
-  _findSimilarNodes(memory) {
-    const similar = [];
-    const targetTags = new Set(memory.tags || []);
-    const targetContent = (memory.content || '').toLowerCase();
-    
-    for (const [id, node] of this.nodes.entries()) {
-      if (id === memory.id) continue;
-      
-      let similarity = 0;
-      
-      // Tag overlap
-      const nodeTags = new Set(node.tags || []);
+  async _findSimilarNodes(node, memory) {
+    const vector = this.vectorIndex ? await this._vectorFor(node, memory) : null;
+    if (vector) {
+      const { ids, distances } = this.vectorIndex.search(vector, MAX_NEIGHBOURS * 2 + 1);
+      const neighbours = [];
+      for (let i = 0; i < ids.length && neighbours.length < MAX_NEIGHBOURS; i++) {
+        const neighbour = this.nodes.get(ids[i]);
+        if (!neighbour || neighbour.id === node.id) continue;
+        if (1 - distances[i] < this.neighbourThreshold) continue;
+        neighbours.push(neighbour);
+      }
+      return neighbours;
+    }
+
+    return this._findTagNeighbours(node);
+  }
+
+  /**
+   * Vector for a neuron: the memory's embedding, its indexed vector, or a fresh embedding
+   * @param {NeuronNode} node
+   * @param {Object} memory
+   * @returns {Promise<Float32Array|null>}
+   * @private
+   */
+  async _vectorFor(node, memory) {
+    if (memory.embedding) return memory.embedding;
+
+    const indexed = this.vectorIndex.getVector(node.id);
+    if (indexed) return indexed;
+
+    if (!this.embedder || this._embedderFailed) return null;
+    try {
+      return await this.embedder.embed(node.content || node.summary);
+    } catch (error) {
+      // Don't retry a broken model for every neuron of a batch
+      this._embedderFailed = true;
+      process.stderr.write(`[NeuralNetwork] Embedding failed, using tag neighbours: ${error.message}\n`);
+      return null;
+    }
+  }
+
+  /**
+   * Neurons sharing a tag, scored by tag and keyword overlap
+   * @param {NeuronNode} node
+   * @returns {NeuronNode[]}
+   * @private
+   */
+  _findTagNeighbours(node) {
+    const targetTags = new Set(node.tags || []);
+    const keywords = (node.content || '').toLowerCase().split(/\s+/).filter(w => w.length > 4);
+    const candidates = new Set();
+    for (const tag of targetTags) {
+      for (const id of this._tagIndex.get(tag) || []) {
+        if (id !== node.id) candidates.add(id);
+      }
+    }
+
+    const scored = [];
+    for (const id of candidates) {
+      const candidate = this.nodes.get(id);
+      const nodeTags = new Set(candidate.tags || []);
       const tagOverlap = [...targetTags].filter(t => nodeTags.has(t)).length;
-      similarity += tagOverlap / Math.max(targetTags.size, nodeTags.size, 1);
-      
-      // Content keyword overlap
-      const keywords = targetContent.split(/\s+/).filter(w => w.length > 4);
-      const nodeContent = (node.content || '').toLowerCase();
-      const keywordMatches = keywords.filter(k => nodeContent.includes(k)).length;
-      similarity += keywordMatches / keywords.length;
-      
+      let similarity = tagOverlap / Math.max(targetTags.size, nodeTags.size, 1);
+
+      const content = (candidate.content || '').toLowerCase();
+      if (keywords.length > 0) {
+        similarity += keywords.filter(k => content.includes(k)).length / keywords.length;
+      }
+
       if (similarity > 0.2) {
-        similar.push(node);
+        scored.push({ candidate, tagOverlap });
       }
     }
-    
-    return similar.sort((a, b) => {
-      const aScore = a.tags.filter(t => targetTags.has(t)).length;
-      const bScore = b.tags.filter(t => targetTags.has(t)).length;
-      return bScore - aScore;
-    }).slice(0, 5);
+
+    return scored
+      .sort((a, b) => b.tagOverlap - a.tagOverlap)
+      .slice(0, MAX_NEIGHBOURS)
+      .map(({ candidate }) => candidate);
   }
 
   /**
@@ -575,6 +867,170 @@ class NeuralNetwork {
     return entities;
   }
 
+  // ===========================================================================
+  // PERSISTENCE
+  // ===========================================================================
+
+  /**
+   * Create the neuron and synapse tables
+   * @private
+   */
+  _createSchema() {
+    this.store.exec(`
+      CREATE TABLE IF NOT EXISTS ${NEURONS_TABLE_NAME} (
+          id TEXT PRIMARY KEY,
+          node_type TEXT DEFAULT 'memory',
+          content TEXT,
+          summary TEXT,
+          tags TEXT DEFAULT '[]',
+          source TEXT,
+          activation_level REAL,
+          threshold REAL,
+          last_activated INTEGER,
+          activation_count INTEGER DEFAULT 0,
+          strength REAL DEFAULT 1.0,
+          age REAL DEFAULT 0,
+          created_at TEXT,
+          updated_at TEXT,
+          valid_from TEXT,
+          valid_to TEXT,
+          project_hash TEXT,
+          extraction_confidence REAL
+      );
+
+      -- One row per directed connection (from_id's weights[to_id])
+      CREATE TABLE IF NOT EXISTS ${SYNAPSES_TABLE_NAME} (
+          from_id TEXT NOT NULL,
+          to_id TEXT NOT NULL,
+          weight REAL NOT NULL,
+          relation_type TEXT,
+          usage_count INTEGER DEFAULT 0,
+          created_at TEXT,
+          PRIMARY KEY (from_id, to_id)
+      ) WITHOUT ROWID;
+
+      CREATE INDEX IF NOT EXISTS idx_neural_synapses_to ON ${SYNAPSES_TABLE_NAME}(to_id);
+    `);
+  }
+
+  /**
+   * Upsert a neuron and replace its outgoing synapses
+   * @param {NeuronNode} node
+   * @returns {number} Synapses written
+   * @private
+   */
+  _writeNeuron(node) {
+    this.store.run(`
+      INSERT OR REPLACE INTO ${NEURONS_TABLE_NAME} (
+          id, node_type, content, summary, tags, source, activation_level, threshold,
+          last_activated, activation_count, strength, age, created_at, updated_at,
+          valid_from, valid_to, project_hash, extraction_confidence
+      ) VALUES (
+          @id, @node_type, @content, @summary, @tags, @source, @activation_level, @threshold,
+          @last_activated, @activation_count, @strength, @age, @created_at, @updated_at,
+          @valid_from, @valid_to, @project_hash, @extraction_confidence
+      )
+    `, encryptFields(neuronToRow(node), this.encryption));
+
+    this.store.run(`DELETE FROM ${SYNAPSES_TABLE_NAME} WHERE from_id = ?`, [node.id]);
+    const synapses = Object.entries(node.weights);
+    for (const [to, synapse] of synapses) {
+      this.store.run(`
+        INSERT INTO ${SYNAPSES_TABLE_NAME} (from_id, to_id, weight, relation_type, usage_count, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [node.id, to, synapse.weight, synapse.relationType, synapse.usageCount || 0, synapse.createdAt]);
+    }
+    return synapses.length;
+  }
+
+  /**
+   * Move a nodes.json network into the database, then rename the JSON files
+   * to *.imported like the JSONL tier import (connections.json duplicated the
+   * per-node weights and is not read)
+   *
+   * Neurons already in the database are kept. A file that cannot be read or
+   * imported is left in place and reported on stderr; the network starts
+   * without it and the import is retried on the next initialize().
+   *
+   * @returns {number} Neurons imported
+   * @private
+   */
+  _importLegacyFiles() {
+    const nodeFile = path.join(this.basePath, 'nodes.json');
+    if (!fs.existsSync(nodeFile)) return 0;
+
+    let imported = 0;
+    try {
+      const data = JSON.parse(fs.readFileSync(nodeFile, 'utf8'));
+      if (!Array.isArray(data)) throw new Error('expected an array of neurons');
+
+      this.store.transaction(() => {
+        for (const json of data) {
+          const exists = this.store.queryOne(`SELECT 1 FROM ${NEURONS_TABLE_NAME} WHERE id = ?`, [json.id]);
+          if (exists) continue;
+          this._writeNeuron(NeuronNode.fromJSON(decryptFields(json, this.encryption)));
+          imported++;
+        }
+      });
+    } catch (error) {
+      process.stderr.write(`[NeuralNetwork] Skipped legacy import of ${nodeFile}: ${error.message}\n`);
+      return 0;
+    }
+
+    archiveLegacyFile(nodeFile);
+    const connectionFile = path.join(this.basePath, 'connections.json');
+    if (fs.existsSync(connectionFile)) archiveLegacyFile(connectionFile);
+    return imported;
+  }
+
+  /**
+   * Register a node: change tracking and tag index
+   * @param {NeuronNode} node
+   * @private
+   */
+  _track(node) {
+    node.onChange = changed => this._dirty.add(changed.id);
+    this.nodes.set(node.id, node);
+    for (const tag of node.tags || []) {
+      if (!this._tagIndex.has(tag)) this._tagIndex.set(tag, new Set());
+      this._tagIndex.get(tag).add(node.id);
+    }
+  }
+
+  /**
+   * Remove a node being replaced from the tag index
+   * @param {NeuronNode} node
+   * @private
+   */
+  _untrack(node) {
+    node.onChange = null;
+    for (const tag of node.tags || []) {
+      this._tagIndex.get(tag)?.delete(node.id);
+    }
+  }
+
+  /**
+   * Number of directed connections
+   * @returns {number}
+   * @private
+   */
+  _countConnections() {
+    let count = 0;
+    for (const node of this.nodes.values()) {
+      count += Object.keys(node.weights).length;
+    }
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  _ensureInitialized() {
+    if (!this.initialized) {
+      throw new Error('NeuralNetwork not initialized. Call initialize() first.');
+    }
+  }
+
   _generateId(memory) {
     const hash = crypto
       .createHash('sha256')
@@ -592,6 +1048,8 @@ class NeuralNetwork {
 module.exports = {
   NeuronNode,
   NeuralNetwork,
+  NEURONS_TABLE_NAME,
+  SYNAPSES_TABLE_NAME,
   ACTIVATION_THRESHOLD,
   DECAY_RATE,
   LEARNING_RATE,
@@ -4,17 +4,47 @@
  * Exports normalized MemoryRecords into a Graph-Optimized Obsidian vault.
  * Implements a "Local-First" Knowledge Graph where entities are first-class citizens.
  *
- * @version 2.0.0
+ * Sync mode makes the vault bidirectional: manifest.json remembers, per record
+ * note, a hash of the exported content section and of the memory content, so
+ * the next sync can tell vault edits from MemoryStore changes. Edited notes are
+ * pushed back as updates, deleted notes invalidate their memory, and records
+ * changed on both sides are reported as conflicts and left untouched.
+ *
+ * Exports are incremental: manifest.json also hashes every generated note, so
+ * only notes whose rendered text changed are rewritten and notes that are no
+ * longer generated are removed. manifest.json lives in the vault and is
+ * user-editable, so its paths are confined to the export root and a corrupt
+ * manifest is treated as a first export.
+ *
+ * @version 2.2.1
  */
 
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
 
 const { expandPath } = require('./types.cjs');
 
+/** @const {string[]} Folders holding record notes */
+const RECORD_FOLDERS = ['10 Records', '05 Cortex Morphology'];
+
+/** @const {string} Markers around the editable content of a record note */
+const CONTENT_START = '%% cortex:content %%';
+const CONTENT_END = '%% /cortex:content %%';
+
+/** @const {string} changedBy recorded on MemoryStore versions written by sync */
+const SYNC_CHANGED_BY = 'obsidian:sync';
+
+/** @const {string[]} Conflict resolution sides */
+const PREFER_SIDES = ['vault', 'store'];
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text || '').replace(/\r\n/g, '\n')).digest('hex');
+}
+
 class ObsidianVaultExporter {
   constructor(options = {}) {
     this.vaultPath = expandPath(options.vaultPath || '~/.claude/memory/obsidian-vault');
@@ -24,13 +54,27 @@ class ObsidianVaultExporter {
     this.hostname = os.hostname();
   }
 
-  export(records) {
+  // Incremental: notes whose rendered text matches the manifest hash are not
+  // rewritten, and notes no longer generated (deleted memories, dropped tags)
+  // are removed. options.since ('last' = previous export) skips rendering
+  // records not updated since then.
+  export(records, options = {}) {
     const exportRoot = path.join(this.vaultPath, this.rootFolder);
+    // Notes in conflict keep the user's edits, even across a --clean export
+    const preserved = options.preserve || {};
+    const preservedNotes = Object.values(preserved)
+      .filter(entry => this._resolveNotePath(exportRoot, entry.file))
+      .map(entry => ({ file: entry.file, text: this.clean ? this._readIfExists(this._resolveNotePath(exportRoot, entry.file)) : null }))
+      .filter(note => note.text !== null);
 
     if (this.clean && fs.existsSync(exportRoot)) {
       fs.rmSync(exportRoot, { recursive: true, force: true });
     }
 
+    const previous = this._readManifest(exportRoot);
+    const since = this._resolveSince(options.since, previous);
+    this._run = { previous: previous.files || {}, files: {}, written: 0, unchanged: 0 };
+
     this._ensureDir(exportRoot);
     this._ensureDir(path.join(exportRoot, '00 Nodes'));
     this._ensureDir(path.join(exportRoot, '10 Records'));
@@ -59,22 +103,131 @@ class ObsidianVaultExporter {
       }
     }
 
-    for (const record of records) { this._writeRecordNote(exportRoot, record); }
+    const recordEntries = {};
+    for (const [id, entry] of Object.entries(preserved)) {
+      if (!this._resolveNotePath(exportRoot, entry.file)) continue;
+      recordEntries[id] = entry;
+      this._run.files[entry.file] = this._run.previous[entry.file] ?? null;
+    }
+    for (const note of preservedNotes) {
+      this._writeNote(exportRoot, note.file, note.text);
+    }
+    for (const record of records) {
+      if (preserved[record.id]) continue;
+      const kept = this._unchangedSince(exportRoot, record, previous.records || {}, since);
+      recordEntries[record.id] = kept || this._writeRecordNote(exportRoot, record);
+    }
     for (const [entity, data] of entityMap.entries()) { this._writeEntityNode(exportRoot, entity, data); }
     for (const [source, count] of Object.entries(counts.bySource)) { this._writeSourceNote(exportRoot, source, count); }
     for (const [type, count] of Object.entries(counts.byType)) { this._writeTypeNote(exportRoot, type, count); }
     for (const [tag, count] of Object.entries(counts.byTag)) { this._writeTagNote(exportRoot, tag, count); }
     this._writeAtlasHome(exportRoot, counts);
 
+    const removed = this._removeStaleNotes(exportRoot);
+    const changes = { written: this._run.written, unchanged: this._run.unchanged, removed };
+
     const manifest = {
       generatedAt: new Date().toISOString(),
       hostname: this.hostname,
       rootFolder: this.rootFolder,
-      counts: { ...counts, entities: counts.entities || 0 },
+      counts: { ...counts, entities: entityMap.size },
+      records: recordEntries,
+      files: this._run.files,
     };
+    this._run = null;
     fs.writeFileSync(path.join(exportRoot, 'manifest.json'), JSON.stringify(manifest, null, 2));
 
-    return { success: true, exportRoot, manifest };
+    return { success: true, exportRoot, manifest, changes };
+  }
+
+  // Push vault edits back into the MemoryStore, then re-export the records.
+  // Returns the export result plus a sync report:
+  // { updated, invalidated, conflicts: [{id, file, reason}], skipped: [{id, file, reason}] }
+  // Updates go straight to the MemoryStore, so callers re-embed `updated` afterwards
+  // (VectorSearchProvider.reembed) to keep the embeddings and HNSW index current.
+  sync(records, store, options = {}) {
+    const prefer = options.prefer || null;
+    if (prefer && !PREFER_SIDES.includes(prefer)) {
+      throw new Error(`Invalid prefer side: ${prefer}. Valid sides: ${PREFER_SIDES.join(', ')}`);
+    }
+
+    const { toIsoTimestamp } = require('./memory-store.cjs');
+    const exportRoot = path.join(this.vaultPath, this.rootFolder);
+    const previous = this._readManifest(exportRoot);
+    const notes = this._indexRecordNotes(exportRoot);
+    const report = { updated: [], invalidated: [], conflicts: [], skipped: [] };
+    const preserve = {};
+
+    for (const [id, entry] of Object.entries(previous.records || {})) {
+      const memory = store.get(id);
+      const active = memory && memory.status === 'active' && !memory.valid_to;
+      const file = notes.get(id) || null;
+      const section = file ? this._extractContentSection(fs.readFileSync(path.join(exportRoot, file), 'utf8')) : null;
+
+      if (file && section === null) {
+        report.skipped.push({ id, file, reason: 'content markers missing' });
+        continue;
+      }
+
+      const vaultChanged = !file || hashText(section) !== entry.noteHash;
+      if (!vaultChanged) continue;
+
+      if (!memory) {
+        // Records from other adapters (markdown roots, Gemini, ...) are export-only
+        if (file) report.skipped.push({ id, file, reason: 'not in MemoryStore' });
+        continue;
+      }
+      if (file && entry.truncated) {
+        report.skipped.push({ id, file, reason: 'note was truncated on export' });
+        continue;
+      }
+      if (!active) {
+        // A deleted note agrees with a memory the store already closed
+        if (file && prefer !== 'store') {
+          report.conflicts.push({ id, file, reason: 'memory is no longer active in the store' });
+          preserve[id] = { ...entry, file };
+        }
+        continue;
+      }
+      const storeChanged = hashText(memory.content) !== entry.contentHash;
+      if (storeChanged && prefer !== 'vault') {
+        if (prefer === 'store') continue;
+        report.conflicts.push({
+          id,
+          file: file || entry.file,
+          reason: file ? 'edited in both the vault and the store' : 'note deleted but memory changed in the store',
+        });
+        // Keep the previous hashes (and the missing note missing) until the conflict is resolved
+        preserve[id] = { ...entry, file: file || entry.file };
+        continue;
+      }
+
+      if (file) {
+        store.update(id, { content: this._unparseContentBlocks(section) }, {
+          changedBy: SYNC_CHANGED_BY,
+          reason: 'Edited in Obsidian vault',
+        });
+        report.updated.push(id);
+      } else {
+        store.update(id, { valid_to: new Date().toISOString() }, {
+          changedBy: SYNC_CHANGED_BY,
+          reason: 'Note deleted from Obsidian vault',
+        });
+        report.invalidated.push(id);
+      }
+    }
+
+    // Export what the store holds now; invalidated memories drop out of the vault
+    const now = Date.now();
+    const current = [];
+    for (const record of records) {
+      const memory = store.get(record.id);
+      if (!memory) { current.push(record); continue; }
+      if (memory.status !== 'active' || (memory.valid_to && Date.parse(memory.valid_to) <= now)) continue;
+      current.push({ ...record, content: memory.content, updatedAt: toIsoTimestamp(memory.updated_at) });
+    }
+
+    return { ...this.export(current, { preserve, since: options.since }), sync: report };
   }
 
   _writeAtlasHome(exportRoot, counts) {
@@ -140,7 +293,7 @@ class ObsidianVaultExporter {
       '  <em>Auto-generated by the Cortex Extraction Engine.</em>',
       '</div>'
     ];
-    fs.writeFileSync(path.join(exportRoot, '00 Welcome.md'), lines.join('\n'));
+    this._writeNote(exportRoot, '00 Welcome.md', lines.join('\n'));
     if(fs.existsSync(path.join(exportRoot, '00 Home.md'))) {
       fs.unlinkSync(path.join(exportRoot, '00 Home.md'));
     }
@@ -211,7 +364,7 @@ class ObsidianVaultExporter {
       '```',
     ].join('\n');
 
-    fs.writeFileSync(path.join(exportRoot, '00 Nodes', safeName + '.md'), content);
+    this._writeNote(exportRoot, '00 Nodes/' + safeName + '.md', content);
   }
 
   _writeSourceNote(exportRoot, source, count) {
@@ -222,7 +375,7 @@ class ObsidianVaultExporter {
       '> Aggregates all cognitive memories emitted by the `' + source + '` adapter.', '', 
       '**Total Memories:** ' + count,
     ].join('\n');
-    fs.writeFileSync(path.join(exportRoot, '20 Sources', this._safeName(source) + '.md'), content);
+    this._writeNote(exportRoot, '20 Sources/' + this._safeName(source) + '.md', content);
   }
 
   _writeTypeNote(exportRoot, type, count) {
@@ -233,7 +386,7 @@ class ObsidianVaultExporter {
       '> Classifies cognitive memories of type `' + type + '`.', '', 
       '**Total Memories:** ' + count,
     ].join('\n');
-    fs.writeFileSync(path.join(exportRoot, '30 Types', this._safeName(type) + '.md'), content);
+    this._writeNote(exportRoot, '30 Types/' + this._safeName(type) + '.md', content);
   }
 
   _writeTagNote(exportRoot, tag, count) {
@@ -244,7 +397,7 @@ class ObsidianVaultExporter {
       '> Marker for distributed knowledge associated with the concept `' + tag + '`.', '', 
       '**Total Memories:** ' + count,
     ].join('\n');
-    fs.writeFileSync(path.join(exportRoot, '40 Tags', this._safeName(tag) + '.md'), content);
+    this._writeNote(exportRoot, '40 Tags/' + this._safeName(tag) + '.md', content);
   }
 
   _writeRecordNote(exportRoot, record) {
@@ -255,15 +408,13 @@ class ObsidianVaultExporter {
       // Neural Anatomical Spatial Routing
       const lobeDir = this._safeName(record.lobe);
       const regionDir = this._safeName(record.region);
-      targetDir = path.join(exportRoot, '05 Cortex Morphology', lobeDir, regionDir);
-      this._ensureDir(targetDir);
+      targetDir = ['05 Cortex Morphology', lobeDir, regionDir].join('/');
 
       fileName = `[CLUSTER] ${this._safeName(record.cluster)} - ${this._safeName(record.id).slice(0, 6)}.md`;
     } else {
       // Legacy Source-based Routing
       const sourceName = record._source || 'unknown';
-      targetDir = path.join(exportRoot, '10 Records', this._safeName(sourceName));
-      this._ensureDir(targetDir);
+      targetDir = '10 Records/' + this._safeName(sourceName);
 
       // Generate a beautiful, human-readable file name
       let cleanName = record._noteTitle || record.summary || '';
@@ -276,8 +427,77 @@ class ObsidianVaultExporter {
 
     const frontmatter = this._buildFrontmatter(record);
     const body = this._buildBody(record);
+    const file = targetDir + '/' + fileName;
+
+    this._writeNote(exportRoot, file, frontmatter + '\n' + body + '\n');
+
+    return {
+      file,
+      source: record._source || 'unknown',
+      noteHash: hashText(this._extractContentSection(body)),
+      contentHash: hashText(record.content),
+      truncated: (record.content || '').length > this.maxBodyChars,
+      updatedAt: record.updatedAt || null,
+    };
+  }
+
+  // Previous manifest entry of a record not updated since options.since
+  _unchangedSince(exportRoot, record, previousRecords, since) {
+    const entry = previousRecords[record.id];
+    const updatedAt = Date.parse(record.updatedAt);
+    if (since === null || !entry || Number.isNaN(updatedAt) || updatedAt >= since) return null;
+    const filePath = this._resolveNotePath(exportRoot, entry.file);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+
+    this._run.files[entry.file] = this._run.previous[entry.file] ?? null;
+    this._run.unchanged++;
+    return entry;
+  }
+
+  _resolveSince(since, previous) {
+    if (!since) return null;
+    if (since === 'last') {
+      // SQLite updated_at has second precision: re-render anything updated in the export's second
+      const last = Date.parse(previous.generatedAt);
+      return Number.isNaN(last) ? null : Math.floor(last / 1000) * 1000;
+    }
+    const parsed = since instanceof Date ? since.getTime() : Date.parse(since);
+    if (Number.isNaN(parsed)) throw new Error(`Invalid since timestamp: ${since}`);
+    return parsed;
+  }
+
+  _writeNote(exportRoot, file, text) {
+    const filePath = this._resolveNotePath(exportRoot, file);
+    if (!filePath) throw new Error(`Refusing to write outside the export root: ${file}`);
+    const hash = hashText(text);
+    this._run.files[file] = hash;
+
+    if (this._run.previous[file] === hash && fs.existsSync(filePath)) {
+      this._run.unchanged++;
+      return;
+    }
+    this._ensureDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, text);
+    this._run.written++;
+  }
 
-    fs.writeFileSync(path.join(targetDir, fileName), frontmatter + '\n' + body + '\n');
+  _removeStaleNotes(exportRoot) {
+    let removed = 0;
+    for (const file of Object.keys(this._run.previous)) {
+      if (file in this._run.files) continue;
+      const filePath = this._resolveNotePath(exportRoot, file);
+      if (!filePath || !fs.existsSync(filePath)) continue;
+      fs.unlinkSync(filePath);
+      removed++;
+
+      // Drop folders emptied by the removal (e.g. a source with no records left)
+      let dir = path.dirname(filePath);
+      while (path.dirname(dir) !== exportRoot && dir.startsWith(exportRoot) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+      }
+    }
+    return removed;
   }
 
   _buildFrontmatter(record) {
@@ -361,9 +581,9 @@ class ObsidianVaultExporter {
 
     lines.push('## 🧠 Cognitive Context', '');
     
-    // Parse the raw content to make it beautiful
+    // Parse the raw content to make it beautiful; sync reads edits back from between the markers
     const parsedBlocks = this._parseContentBlocks(truncatedContent);
-    lines.push(parsedBlocks);
+    lines.push(CONTENT_START, parsedBlocks, CONTENT_END);
 
     if (wasTruncated) { lines.push('', '> [!warning] Content Truncated', '> Content exceeded export limits. Use Cortex local search for the full record.'); }
 
@@ -397,6 +617,85 @@ class ObsidianVaultExporter {
     return formatted.trim();
   }
 
+  // Inverse of _parseContentBlocks for text edited in the vault
+  _unparseContentBlocks(section) {
+    return section
+      .replace(/\r\n/g, '\n')
+      .replace(/\n\n### 💻 Technical Implementation \([^)\n]*\)\n(```[\w-]*\n[\s\S]*?```)\n/g, '$1')
+      .replace(/\n> \[!bug\] Error Trace\n((?:>.*(?:\n|$))+)/g, (match, quoted) => {
+        return quoted.replace(/\n$/, '').split('\n').map(line => line.replace(/^> ?/, '')).join('\n');
+      })
+      .trim();
+  }
+
+  _extractContentSection(text) {
+    const normalized = String(text).replace(/\r\n/g, '\n');
+    const start = normalized.indexOf(CONTENT_START);
+    const end = normalized.indexOf(CONTENT_END, start);
+    if (start === -1 || end === -1) return null;
+    return normalized.slice(start + CONTENT_START.length, end).trim();
+  }
+
+  _indexRecordNotes(exportRoot) {
+    const notes = new Map();
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) { walk(fullPath); continue; }
+        if (!entry.name.endsWith('.md')) continue;
+        const match = fs.readFileSync(fullPath, 'utf8').match(/^---\r?\n(?:.*\r?\n)*?id: "(.*)"\r?$/m);
+        if (match) notes.set(match[1], path.relative(exportRoot, fullPath).split(path.sep).join('/'));
+      }
+    };
+    for (const folder of RECORD_FOLDERS) { walk(path.join(exportRoot, folder)); }
+    return notes;
+  }
+
+  // Previous manifest with entries pointing outside the export root dropped.
+  // An unreadable manifest is ignored: every note is rewritten and nothing is synced.
+  _readManifest(exportRoot) {
+    const text = this._readIfExists(path.join(exportRoot, 'manifest.json'));
+    if (!text) return {};
+
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      process.stderr.write(`[ObsidianVault] Ignoring unreadable manifest.json: ${error.message}\n`);
+      return {};
+    }
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return {};
+
+    const files = {};
+    for (const [file, hash] of Object.entries(this._isPlainObject(manifest.files) ? manifest.files : {})) {
+      if (this._resolveNotePath(exportRoot, file)) files[file] = hash;
+    }
+    const records = {};
+    for (const [id, entry] of Object.entries(this._isPlainObject(manifest.records) ? manifest.records : {})) {
+      if (this._isPlainObject(entry) && this._resolveNotePath(exportRoot, entry.file)) records[id] = entry;
+    }
+    return { ...manifest, files, records };
+  }
+
+  // Absolute path of a vault-relative note, or null if it escapes the export root
+  _resolveNotePath(exportRoot, file) {
+    if (typeof file !== 'string' || file === '') return null;
+    const root = path.resolve(exportRoot);
+    const filePath = path.resolve(root, file);
+    const relative = path.relative(root, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return filePath;
+  }
+
+  _isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  _readIfExists(filePath) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
   _ensureDir(dirPath) { fs.mkdirSync(dirPath, { recursive: true }); }
 
   _safeName(value) {
@@ -408,4 +707,39 @@ class ObsidianVaultExporter {
   }
 }
 
-module.exports = { ObsidianVaultExporter };
\ No newline at end of file
+// Records a vault export renders, queried from every enabled adapter.
+// Shared by `cortex export-vault` and the API bridge's POST /api/vault/export.
+// options: { basePath, limit, source (adapter name), markdownDirs, verbose }
+async function collectVaultRecords(options = {}) {
+  // Adapters load the MemoryStore and friends; only pay for that when exporting
+  const { createDefaultRegistry } = require('../adapters/index.cjs');
+  const markdownDirs = options.markdownDirs || [];
+
+  const registry = createDefaultRegistry({
+    basePath: options.basePath || '~/.claude/memory',
+    verbose: options.verbose,
+    adapters: {
+      markdownTree: {
+        enabled: markdownDirs.length > 0,
+        roots: markdownDirs.map(dir => ({ name: path.basename(dir), path: dir })),
+      },
+    },
+  });
+
+  const context = {
+    projectHash: null,
+    projectName: null,
+    projectType: null,
+    intent: null,
+    intentConfidence: 0,
+    tags: [],
+    domains: [],
+    gitBranch: null,
+  };
+
+  const result = await registry.queryAll(context, { limit: options.limit });
+  const records = result.results;
+  return options.source ? records.filter(record => record._source === options.source) : records;
+}
+
+module.exports = { ObsidianVaultExporter, collectVaultRecords };
\ No newline at end of file
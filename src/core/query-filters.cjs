@@ -0,0 +1,327 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Query Filter DSL
+ *
+ * Parses inline filter terms out of a search query, e.g.
+ *
+ *   auth token refresh type:decision tag:auth project:current
+ *     after:2026-01-01 quality>0.7 -tag:deprecated
+ *
+ * Recognised terms are removed from the query text and returned as a
+ * structured filter object that HybridSearch turns into SQL conditions.
+ * Anything that is not a known filter key (including "error: foo" or
+ * URLs) stays in the query text.
+ *
+ * Terms:
+ *   type:<t>[,<t>]     memory type (any of)       -type:<t>  exclude
+ *   tag:<tag>          tag must be present (all)  -tag:<tag> exclude
+ *   source:<s>[,<s>]   memory source (any of)     -source:<s> exclude
+ *   project:<p>        current | global | all | <project hash>
+ *   status:<s>         active | archived | deleted
+ *   after:<date>       created at or after (ISO date/time or 7d, 12h, 2w ago)
+ *   before:<date>      created before
+ *   quality|confidence|usage (>, >=, <, <=) <number>
+ *
+ * Values containing spaces can be quoted: tag:"release notes".
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { MEMORY_TYPES, MEMORY_STATUSES } = require('./memory-store.cjs');
+const { ValidationError } = require('./validation.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {Object<string, string>} Comparable filter fields -> memories column */
+const RANGE_COLUMNS = {
+  quality: 'quality_score',
+  confidence: 'extraction_confidence',
+  usage: 'usage_count',
+};
+
+/** @const {string[]} Comparison operators accepted for range fields */
+const RANGE_OPERATORS = ['>', '>=', '<', '<='];
+
+/** @const {string[]} Keys that take a value after ':' */
+const VALUE_KEYS = ['type', 'tag', 'source', 'project', 'status', 'after', 'before'];
+
+/** @const {string[]} Keys that may be negated with a leading '-' */
+const NEGATABLE_KEYS = ['type', 'tag', 'source'];
+
+/** @const {string[]} Symbolic project scopes (anything else must be a hash) */
+const PROJECT_SCOPES = ['current', 'global', 'all'];
+
+/** @const {Object<string, number>} Relative date units in ms */
+const RELATIVE_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/** @const {RegExp} One query term: bare word, or key:"quoted value" */
+const TERM_PATTERN = /\S*"[^"]*"\S*|\S+/g;
+
+/** @const {RegExp} Filter term: optional '-', key, operator, value */
+const FILTER_PATTERN = /^(-?)([a-z]+)(>=|<=|>|<|:)(.+)$/i;
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * @typedef {Object} QueryFilters
+ * @property {string[]} [types] - memory_type must be one of these
+ * @property {string[]} [excludeTypes] - memory_type must not be one of these
+ * @property {string[]} [tags] - Every tag must be present (lowercase)
+ * @property {string[]} [excludeTags] - None of these tags may be present
+ * @property {string[]} [sources] - source must be one of these
+ * @property {string[]} [excludeSources] - source must not be one of these
+ * @property {string} [project] - current | global | all | project hash
+ * @property {string} [status] - Memory status (replaces the default 'active')
+ * @property {string} [after] - ISO timestamp, created_at >= after
+ * @property {string} [before] - ISO timestamp, created_at < before
+ * @property {Array<{field: string, op: string, value: number}>} [ranges] - Numeric comparisons
+ */
+
+/**
+ * Split filter terms out of a query
+ *
+ * @param {string} input - Query text with optional filter terms
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Reject free text (for dedicated filter strings)
+ * @param {number} [options.now=Date.now()] - Reference time for relative dates
+ * @returns {{text: string, filters: QueryFilters}}
+ * @throws {ValidationError} If a filter term has an invalid value
+ */
+function parseQueryFilters(input, options = {}) {
+  const now = options.now ?? Date.now();
+  const filters = {};
+  const words = [];
+
+  for (const term of String(input || '').match(TERM_PATTERN) || []) {
+    const match = term.match(FILTER_PATTERN);
+    if (!match || !applyTerm(filters, match, now)) {
+      words.push(term);
+    }
+  }
+
+  if (options.strict && words.length > 0) {
+    throw new ValidationError(`filter contains unrecognised terms: ${words.join(' ')}`);
+  }
+
+  // Leave filter-free queries untouched (keeps their line breaks)
+  const text = Object.keys(filters).length > 0 ? words.join(' ') : String(input || '').trim();
+  return { text, filters };
+}
+
+/**
+ * Apply one key/operator/value term to the filter object
+ * @param {QueryFilters} filters - Filters being built (mutated)
+ * @param {string[]} match - FILTER_PATTERN match
+ * @param {number} now - Reference time for relative dates
+ * @returns {boolean} False when the term is not a filter (stays in the text)
+ */
+function applyTerm(filters, match, now) {
+  const [term, negation, rawKey, operator, rawValue] = match;
+  const key = rawKey.toLowerCase();
+  const negated = negation === '-';
+  const value = unquote(rawValue);
+
+  if (operator !== ':') {
+    if (!RANGE_COLUMNS[key] || negated) return false;
+    addUnique(filters, 'ranges', [{ field: key, op: operator, value: parseRangeValue(key, value, term) }]);
+    return true;
+  }
+
+  if (RANGE_COLUMNS[key]) {
+    throw new ValidationError(`${term}: compare ${key} with >, >=, < or <=`);
+  }
+  if (!VALUE_KEYS.includes(key) || (negated && !NEGATABLE_KEYS.includes(key))) {
+    return false;
+  }
+  if (!value) {
+    throw new ValidationError(`${term}: missing value`);
+  }
+
+  switch (key) {
+    case 'type': {
+      const types = splitList(value).map(t => t.toLowerCase());
+      for (const type of types) {
+        if (!MEMORY_TYPES.includes(type)) {
+          throw new ValidationError(`${term}: type must be one of: ${MEMORY_TYPES.join(', ')}`);
+        }
+      }
+      addUnique(filters, negated ? 'excludeTypes' : 'types', types);
+      break;
+    }
+    case 'tag':
+      addUnique(filters, negated ? 'excludeTags' : 'tags', splitList(value).map(t => t.toLowerCase()));
+      break;
+    case 'source':
+      addUnique(filters, negated ? 'excludeSources' : 'sources', splitList(value));
+      break;
+    case 'project': {
+      const project = value.toLowerCase();
+      if (!PROJECT_SCOPES.includes(project) && !/^[a-f0-9]{6,64}$/.test(project)) {
+        throw new ValidationError(`${term}: project must be current, global, all or a project hash`);
+      }
+      filters.project = project;
+      break;
+    }
+    case 'status':
+      if (!MEMORY_STATUSES.includes(value.toLowerCase())) {
+        throw new ValidationError(`${term}: status must be one of: ${MEMORY_STATUSES.join(', ')}`);
+      }
+      filters.status = value.toLowerCase();
+      break;
+    case 'after':
+    case 'before':
+      filters[key] = parseDate(value, term, now);
+      break;
+  }
+
+  return true;
+}
+
+/**
+ * Combine filter objects; list filters are merged, later scalars win
+ *
+ * @param {...QueryFilters} sources
+ * @returns {QueryFilters}
+ */
+function mergeQueryFilters(...sources) {
+  const merged = {};
+  for (const filters of sources) {
+    for (const [key, value] of Object.entries(filters || {})) {
+      if (Array.isArray(value)) {
+        addUnique(merged, key, value);
+      } else if (value !== undefined && value !== null) {
+        merged[key] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Check whether a filter object restricts anything
+ * @param {QueryFilters} [filters]
+ * @returns {boolean}
+ */
+function hasQueryFilters(filters) {
+  return Boolean(filters) && Object.keys(filters).length > 0;
+}
+
+/**
+ * Render filters back into DSL form (for display)
+ * @param {QueryFilters} [filters]
+ * @returns {string}
+ */
+function formatQueryFilters(filters = {}) {
+  const quote = v => (/\s/.test(v) ? `"${v}"` : v);
+  const terms = [];
+
+  if (filters.types) terms.push(`type:${filters.types.join(',')}`);
+  if (filters.excludeTypes) terms.push(`-type:${filters.excludeTypes.join(',')}`);
+  for (const tag of filters.tags || []) terms.push(`tag:${quote(tag)}`);
+  for (const tag of filters.excludeTags || []) terms.push(`-tag:${quote(tag)}`);
+  if (filters.sources) terms.push(`source:${filters.sources.join(',')}`);
+  if (filters.excludeSources) terms.push(`-source:${filters.excludeSources.join(',')}`);
+  if (filters.project) terms.push(`project:${filters.project}`);
+  if (filters.status) terms.push(`status:${filters.status}`);
+  if (filters.after) terms.push(`after:${filters.after}`);
+  if (filters.before) terms.push(`before:${filters.before}`);
+  for (const { field, op, value } of filters.ranges || []) terms.push(`${field}${op}${value}`);
+
+  return terms.join(' ');
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Strip surrounding double quotes from a value
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1').trim();
+}
+
+/**
+ * Split a comma-separated value list
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Append values to a list filter, skipping duplicates
+ * @param {Object} filters
+ * @param {string} key
+ * @param {Array} values
+ */
+function addUnique(filters, key, values) {
+  const list = filters[key] || (filters[key] = []);
+  for (const value of values) {
+    const exists = list.some(item => JSON.stringify(item) === JSON.stringify(value));
+    if (!exists) list.push(value);
+  }
+}
+
+/**
+ * Parse the number in a range term
+ * @param {string} field - Range field
+ * @param {string} value - Raw value
+ * @param {string} term - Full term (for errors)
+ * @returns {number}
+ */
+function parseRangeValue(field, value, term) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw new ValidationError(`${term}: ${field} must be compared with a number`);
+  }
+  if (field !== 'usage' && (number < 0 || number > 1)) {
+    throw new ValidationError(`${term}: ${field} ranges from 0 to 1`);
+  }
+  return number;
+}
+
+/**
+ * Parse an absolute (ISO 8601) or relative (7d, 12h, 2w ago) date
+ * @param {string} value - Raw value
+ * @param {string} term - Full term (for errors)
+ * @param {number} now - Reference time for relative dates
+ * @returns {string} ISO timestamp
+ */
+function parseDate(value, term, now) {
+  const relative = value.match(/^(\d+)([hdw])$/i);
+  if (relative) {
+    const ms = Number(relative[1]) * RELATIVE_UNITS[relative[2].toLowerCase()];
+    return new Date(now - ms).toISOString();
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(Date.parse(value))) {
+    throw new ValidationError(`${term}: expected an ISO 8601 date (2026-01-01) or a relative age (7d, 12h, 2w)`);
+  }
+  return new Date(value).toISOString();
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  parseQueryFilters,
+  mergeQueryFilters,
+  hasQueryFilters,
+  formatQueryFilters,
+  RANGE_COLUMNS,
+  RANGE_OPERATORS,
+};
@@ -0,0 +1,391 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Secret & PII Redaction
+ *
+ * Scrubs credentials and personal data from captured text before it is
+ * scored by the WriteGate and persisted. Runs in the Stop hook, the
+ * PreCompact hook and ExtractionEngine.extract.
+ *
+ * Built-in detectors cover AWS, Anthropic and GitHub credentials, JWTs,
+ * PEM private keys, email addresses and IP addresses. Additional regex
+ * rules (e.g. internal hostnames) come from the `redaction` config section.
+ *
+ * Modes (global, or per user rule):
+ *   mask  "[REDACTED:email]"
+ *   hash  "[REDACTED:email:1f3a9c0d2b7e]" (stable, so repeated values correlate;
+ *         HMAC-SHA256 keyed per install, so digests cannot be brute-forced
+ *         from the memory store alone)
+ *   drop  the whole item is discarded
+ *
+ * Every redaction is reported to the audit log with detector names and
+ * counts only; matched values are never logged.
+ *
+ * @version 1.1.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const { getRedactionHashKey } = require('./storage-encryption.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string[]} Redaction modes */
+const REDACTION_MODES = ['mask', 'hash', 'drop'];
+
+/** @const {string[]} Text fields redacted on captured items */
+const REDACTED_FIELDS = ['content', 'summary'];
+
+/** @const {number} Hex characters of the HMAC-SHA256 digest kept in hash mode */
+const HASH_LENGTH = 12;
+
+/** @const {RegExp} Replacement token; captures the detector name */
+const MARKER_PATTERN = /\[REDACTED:([\w.-]+)(?::[0-9a-f]+)?\]/g;
+
+/** @const {RegExp} Allowed detector/rule names (must fit in MARKER_PATTERN) */
+const NAME_PATTERN = /^[\w.-]+$/;
+
+/** @const {string} Regex source for one IPv4 octet (0-255) */
+const OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+
+/**
+ * @typedef {Object} Detector
+ * @property {string} name - Reported name (used in the replacement token)
+ * @property {RegExp} pattern - Global pattern; the whole match is replaced
+ * @property {Function} [ignore] - Return true to keep a match (e.g. loopback IPs)
+ * @property {string} [mode] - Overrides the global mode
+ */
+
+/**
+ * Built-in detectors, most specific first (private keys and tokens before
+ * the generic email/IP patterns that could match inside them)
+ * @const {Detector[]}
+ */
+const BUILTIN_DETECTORS = [
+  {
+    name: 'private-key',
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g,
+  },
+  {
+    name: 'anthropic-key',
+    pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    name: 'aws-access-key',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g,
+  },
+  {
+    name: 'aws-secret-key',
+    pattern: /(?<=aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+  },
+  {
+    name: 'github-token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    name: 'email',
+    // git@host:org/repo remotes are addresses of a different kind
+    pattern: /\b(?!git@)[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    name: 'ipv4',
+    pattern: new RegExp(`(?<![\\d.])(?:${OCTET}\\.){3}${OCTET}(?!\\.?\\d)`, 'g'),
+    ignore: value => value.startsWith('127.') || value === '0.0.0.0',
+  },
+  {
+    name: 'ipv6',
+    pattern: /(?<![\w:])(?:[A-Fa-f0-9]{1,4}:){7}[A-Fa-f0-9]{1,4}(?![\w:])/g,
+  },
+];
+
+// =============================================================================
+// REDACTOR
+// =============================================================================
+
+/**
+ * @typedef {Object} RedactionRule
+ * @property {string} name - Reported name
+ * @property {string} pattern - Regular expression source
+ * @property {string} [flags] - Regex flags ('g' is always added)
+ * @property {string} [mode] - mask | hash | drop (default: the global mode)
+ */
+
+/**
+ * @typedef {Object} RedactionReport
+ * @property {string} source - Where the text was captured (stop-hook, pre-compact, ...)
+ * @property {string} mode - Global mode
+ * @property {boolean} dropped - Whether the item was discarded
+ * @property {Object<string, number>} findings - Detector name -> matches
+ * @property {number} total - Total matches
+ */
+
+class Redactor {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - False passes text through untouched
+   * @param {string} [options.mode='mask'] - mask | hash | drop
+   * @param {string[]} [options.disabledDetectors=[]] - Built-in detector names to skip
+   * @param {RedactionRule[]} [options.rules=[]] - Additional user rules
+   * @param {Object|null} [options.auditLogger] - AuditLogger for redaction reports
+   * @param {Buffer|string} [options.hashKey] - HMAC key for hash mode (default: the
+   *   per-install key from storage-encryption.cjs, loaded on first use)
+   * @throws {Error} On an unknown mode or an invalid rule (callers fail closed)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.mode = options.mode || 'mask';
+    this.auditLogger = options.auditLogger || null;
+    this.hashKey = options.hashKey || null;
+
+    if (!REDACTION_MODES.includes(this.mode)) {
+      throw new Error(`Invalid redaction mode: ${this.mode}. Valid modes: ${REDACTION_MODES.join(', ')}`);
+    }
+
+    const disabled = new Set(options.disabledDetectors || []);
+    this.detectors = [
+      ...BUILTIN_DETECTORS.filter(detector => !disabled.has(detector.name)),
+      ...(options.rules || []).map(compileRule),
+    ];
+
+    this.stats = {
+      itemsScanned: 0,
+      itemsRedacted: 0,
+      itemsDropped: 0,
+      matches: 0,
+    };
+  }
+
+  /**
+   * Redact one string
+   *
+   * @param {string} text
+   * @returns {{text: string, findings: Object<string, number>, total: number, drop: boolean}}
+   */
+  redact(text) {
+    const result = { text, findings: {}, total: 0, drop: false };
+    if (!this.enabled || typeof text !== 'string' || !text) return result;
+
+    for (const detector of this.detectors) {
+      const mode = detector.mode || this.mode;
+      detector.pattern.lastIndex = 0;
+
+      result.text = result.text.replace(detector.pattern, (match) => {
+        if (detector.ignore && detector.ignore(match)) return match;
+
+        result.findings[detector.name] = (result.findings[detector.name] || 0) + 1;
+        result.total++;
+        if (mode === 'drop') result.drop = true;
+        return this._replacement(detector.name, match, mode);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Redact the text fields of a captured item and report the findings
+   *
+   * Findings are counted from the replacement tokens in the result, so an
+   * item extracted from text that already went through redact() is still
+   * reported (and dropped) correctly. The hooks rely on this: they redact a
+   * whole response before splitting it into sentences, because emails, IPs,
+   * JWTs and keys contain the very delimiters they split on.
+   *
+   * @param {Object} item - Item with content (and optionally summary)
+   * @param {Object} [context]
+   * @param {string} [context.source='unknown'] - Capture point, for the report
+   * @param {string} [context.sessionId] - Session the item came from
+   * @returns {{item: Object|null, report: RedactionReport|null}}
+   *   item is null when a drop-mode match discarded it; report is null when nothing matched
+   */
+  redactItem(item, context = {}) {
+    this.stats.itemsScanned++;
+    if (!this.enabled || !item) return { item, report: null };
+
+    const redacted = { ...item };
+    const findings = {};
+
+    for (const field of REDACTED_FIELDS) {
+      if (typeof item[field] !== 'string') continue;
+      redacted[field] = this.redact(item[field]).text;
+      // summary usually repeats the content; count each value once
+      for (const [name, count] of Object.entries(countMarkers(redacted[field]))) {
+        findings[name] = Math.max(findings[name] || 0, count);
+      }
+    }
+    const total = Object.values(findings).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return { item, report: null };
+
+    const drop = Object.keys(findings).some(name => this._modeOf(name) === 'drop');
+
+    const report = {
+      source: context.source || 'unknown',
+      mode: this.mode,
+      dropped: drop,
+      findings,
+      total,
+    };
+
+    this.stats.matches += total;
+    if (drop) {
+      this.stats.itemsDropped++;
+    } else {
+      this.stats.itemsRedacted++;
+    }
+
+    if (this.auditLogger) {
+      this.auditLogger.redaction({ ...report, itemType: item.type || null, sessionId: context.sessionId });
+    }
+
+    return { item: drop ? null : redacted, report };
+  }
+
+  /**
+   * Redact a list of items, discarding dropped ones
+   *
+   * @param {Object[]} items
+   * @param {Object} [context] - See redactItem()
+   * @returns {{items: Object[], reports: RedactionReport[]}}
+   */
+  redactItems(items, context = {}) {
+    const kept = [];
+    const reports = [];
+    for (const item of items) {
+      const { item: redacted, report } = this.redactItem(item, context);
+      if (report) reports.push(report);
+      if (redacted) kept.push(redacted);
+    }
+    return { items: kept, reports };
+  }
+
+  /**
+   * @returns {Object} Redaction counters
+   */
+  getStats() {
+    return { ...this.stats, detectors: this.detectors.map(d => d.name) };
+  }
+
+  /**
+   * Effective mode of a detector
+   * @private
+   * @param {string} name - Detector name
+   * @returns {string}
+   */
+  _modeOf(name) {
+    const detector = this.detectors.find(d => d.name === name);
+    return detector?.mode || this.mode;
+  }
+
+  /**
+   * Build the replacement token for a match
+   * @private
+   * @param {string} name - Detector name
+   * @param {string} value - Matched text
+   * @param {string} mode - Effective mode
+   * @returns {string}
+   */
+  _replacement(name, value, mode) {
+    if (mode === 'hash') {
+      this.hashKey = this.hashKey || getRedactionHashKey();
+      const digest = crypto.createHmac('sha256', this.hashKey).update(value).digest('hex').slice(0, HASH_LENGTH);
+      return `[REDACTED:${name}:${digest}]`;
+    }
+    return `[REDACTED:${name}]`;
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Count replacement tokens per detector name
+ * @param {string} text - Redacted text
+ * @returns {Object<string, number>}
+ */
+function countMarkers(text) {
+  const counts = {};
+  for (const [, name] of text.matchAll(MARKER_PATTERN)) {
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Compile a user rule from config
+ * @param {RedactionRule} rule
+ * @param {number} index - Position in the rules list (for errors)
+ * @returns {Detector}
+ * @throws {Error} If the rule is malformed
+ */
+function compileRule(rule, index) {
+  const label = rule?.name ? `redaction rule "${rule.name}"` : `redaction rule #${index + 1}`;
+  if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+    throw new Error(`${label}: name is required`);
+  }
+  if (!NAME_PATTERN.test(rule.name.trim())) {
+    throw new Error(`${label}: name may only contain letters, digits, '.', '_' and '-'`);
+  }
+  if (typeof rule.pattern !== 'string' || !rule.pattern) {
+    throw new Error(`${label}: pattern is required`);
+  }
+  if (rule.mode !== undefined && !REDACTION_MODES.includes(rule.mode)) {
+    throw new Error(`${label}: mode must be one of ${REDACTION_MODES.join(', ')}`);
+  }
+
+  const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+  let pattern;
+  try {
+    pattern = new RegExp(rule.pattern, flags);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+  if (pattern.test('')) {
+    throw new Error(`${label}: pattern must not match empty text`);
+  }
+
+  return { name: rule.name.trim(), pattern, mode: rule.mode };
+}
+
+/**
+ * Create a Redactor from the `redaction` config section
+ *
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Memory directory; audit reports go to <basePath>/logs
+ * @param {Object|null} [options.auditLogger] - Use this logger instead of creating one
+ * @param {Object} [options.settings] - Settings overriding the config section
+ * @returns {Redactor}
+ */
+function createRedactor(options = {}) {
+  const { getConfigSection } = require('./config.cjs');
+  const settings = { ...getConfigSection('redaction', {}), ...options.settings };
+
+  let auditLogger = options.auditLogger;
+  if (auditLogger === undefined && process.env.CORTEX_AUDIT !== 'false') {
+    const { AuditLogger } = require('./audit-logger.cjs');
+    auditLogger = new AuditLogger({
+      logDir: options.basePath ? path.join(options.basePath, 'logs') : undefined,
+      logLevel: process.env.CORTEX_LOG_LEVEL || 'INFO',
+    });
+  }
+
+  return new Redactor({ ...settings, auditLogger: auditLogger || null });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  Redactor,
+  createRedactor,
+  compileRule,
+  BUILTIN_DETECTORS,
+  REDACTION_MODES,
+};
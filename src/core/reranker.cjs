@@ -0,0 +1,243 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Cross-Encoder Reranker
+ *
+ * Scores (query, memory) pairs with a small local cross-encoder through
+ * @xenova/transformers, the same runtime the Embedder uses. Unlike the
+ * bi-encoder, the cross-encoder reads query and memory together, so it
+ * separates real matches from near misses that share vocabulary.
+ *
+ * HybridSearch applies it to the top-N fused candidates only.
+ *
+ * Features:
+ * - Lazy model loading (no startup delay)
+ * - Batched scoring of all candidates in one forward pass
+ * - Fails fast after a model load failure (search falls back to RRF order)
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { DEFAULT_RERANK_TOP_N } = require('./hybrid-search.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Default cross-encoder model (MS MARCO passage ranking) */
+const DEFAULT_RERANK_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+/** @const {number} Maximum characters of each memory passed to the model */
+const MAX_DOCUMENT_LENGTH = 1500;
+
+// =============================================================================
+// RERANKER CLASS
+// =============================================================================
+
+/**
+ * Local cross-encoder relevance scorer
+ */
+class CrossEncoderReranker {
+  /**
+   * @param {Object} options
+   * @param {string} [options.model] - HuggingFace model ID (default: Xenova/ms-marco-MiniLM-L-6-v2)
+   * @param {number} [options.topN] - Candidates re-scored per search (default: 20)
+   * @param {boolean} [options.verbose] - Log model loading progress
+   */
+  constructor(options = {}) {
+    this.modelId = options.model || DEFAULT_RERANK_MODEL;
+    this.topN = options.topN || DEFAULT_RERANK_TOP_N;
+    this.verbose = options.verbose || false;
+
+    // Tokenizer and model (lazy loaded)
+    this.tokenizer = null;
+    this.model = null;
+    this.loadingPromise = null;
+    this.modelLoaded = false;
+    this.loadError = null;
+
+    // Statistics
+    this.stats = {
+      batches: 0,
+      pairsScored: 0,
+      totalLatencyMs: 0,
+      modelLoadTimeMs: 0,
+      errors: 0,
+      lastError: null,
+    };
+  }
+
+  // ===========================================================================
+  // PUBLIC METHODS
+  // ===========================================================================
+
+  /**
+   * Score how well each document answers the query
+   *
+   * @param {string} query - Search query
+   * @param {string[]} documents - Candidate texts
+   * @returns {Promise<number[]>} Relevance scores 0-1, in document order
+   * @throws {Error} If the model cannot be loaded or inference fails
+   */
+  async score(query, documents) {
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query must be a non-empty string');
+    }
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return [];
+    }
+
+    await this._ensureLoaded();
+
+    const startTime = Date.now();
+
+    try {
+      const texts = documents.map(doc => String(doc || '').slice(0, MAX_DOCUMENT_LENGTH));
+      const inputs = this.tokenizer(new Array(texts.length).fill(query), {
+        text_pair: texts,
+        padding: true,
+        truncation: true,
+      });
+
+      const { logits } = await this.model(inputs);
+      const scores = Array.from(logits.data, sigmoid);
+
+      this.stats.batches++;
+      this.stats.pairsScored += texts.length;
+      this.stats.totalLatencyMs += Date.now() - startTime;
+
+      return scores;
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.lastError = {
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Check if model is loaded
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return this.modelLoaded;
+  }
+
+  /**
+   * Preload the model (useful for warmup)
+   * @returns {Promise<void>}
+   */
+  async preload() {
+    await this._ensureLoaded();
+  }
+
+  /**
+   * Get statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      modelId: this.modelId,
+      topN: this.topN,
+      modelLoaded: this.modelLoaded,
+      modelLoadTimeMs: this.stats.modelLoadTimeMs,
+      batches: this.stats.batches,
+      pairsScored: this.stats.pairsScored,
+      avgLatencyMs: this.stats.batches > 0
+        ? Math.round(this.stats.totalLatencyMs / this.stats.batches)
+        : 0,
+      errors: this.stats.errors,
+      lastError: this.stats.lastError,
+    };
+  }
+
+  // ===========================================================================
+  // PRIVATE METHODS
+  // ===========================================================================
+
+  /**
+   * Ensure tokenizer and model are loaded (a failed load is not retried)
+   * @private
+   */
+  async _ensureLoaded() {
+    if (this.model) {
+      return;
+    }
+    if (this.loadError) {
+      throw this.loadError;
+    }
+
+    // Prevent multiple concurrent loads
+    if (this.loadingPromise) {
+      return this.loadingPromise;
+    }
+
+    this.loadingPromise = this._loadModel();
+    try {
+      await this.loadingPromise;
+    } finally {
+      this.loadingPromise = null;
+    }
+  }
+
+  /**
+   * Load tokenizer and sequence classification model
+   * @private
+   */
+  async _loadModel() {
+    const startTime = Date.now();
+
+    if (this.verbose) {
+      process.stderr.write(`[Reranker] Loading model: ${this.modelId}...\n`);
+    }
+
+    try {
+      // Dynamic import for ESM module
+      const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+
+      this.tokenizer = await AutoTokenizer.from_pretrained(this.modelId);
+      this.model = await AutoModelForSequenceClassification.from_pretrained(this.modelId);
+
+      this.modelLoaded = true;
+      this.stats.modelLoadTimeMs = Date.now() - startTime;
+
+      if (this.verbose) {
+        process.stderr.write(
+          `[Reranker] Model loaded in ${this.stats.modelLoadTimeMs}ms\n`
+        );
+      }
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.lastError = {
+        message: `Model loading failed: ${error.message}`,
+        timestamp: new Date().toISOString(),
+      };
+      this.loadError = new Error(`Failed to load reranker model: ${error.message}`);
+      throw this.loadError;
+    }
+  }
+}
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Logistic function mapping a cross-encoder logit to 0-1
+ * @param {number} x
+ * @returns {number}
+ */
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  CrossEncoderReranker,
+  DEFAULT_RERANK_MODEL,
+};
@@ -0,0 +1,596 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Retrieval Evaluation
+ *
+ * Offline harness for measuring retrieval quality (`cmo eval`). A fixture
+ * file lists cases of (prompt, project, expected memory ids) and points at a
+ * frozen snapshot of the memory data. Each run copies the snapshot to a
+ * scratch directory, replays every case through QueryOrchestrator.query and
+ * HybridSearch.search at the snapshot's timestamp, and scores the rankings:
+ *
+ *   recall@k  - share of the expected memories in the top k
+ *   MRR       - mean reciprocal rank of the first expected memory
+ *   nDCG@k    - rank-discounted gain (binary relevance)
+ *
+ * A report can be saved as the baseline; later runs are diffed against it so
+ * ranking, fusion or token budget changes show up as metric deltas.
+ *
+ * Fixture file (JSON):
+ *
+ *   {
+ *     "snapshot": "./snapshot",        // relative to the fixture file
+ *     "k": [1, 5, 10],                  // optional cutoffs
+ *     "cases": [
+ *       { "id": "docker-perms", "prompt": "why does the deploy fail with EACCES",
+ *         "project": "a1b2c3d4" | null, "expected": ["mem_123", "mem_456"] }
+ *     ]
+ *   }
+ *
+ * Snapshot directory (`cmo eval snapshot`): a copy of the data files the
+ * local adapters read, plus a snapshot.json manifest with its timestamp.
+ *
+ *   snapshot.json
+ *   data/memories.db                  (SQLite online backup)
+ *   data/vector/index.bin, mapping.json
+ *   data/memories/*.jsonl
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandPath } = require('./types.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Default memory directory */
+const DEFAULT_BASE_PATH = '~/.claude/memory';
+
+/** @const {number[]} Default rank cutoffs for recall@k and nDCG@k */
+const DEFAULT_K = [1, 5, 10];
+
+/** @const {string[]} Retrieval paths that can be evaluated */
+const RUNNERS = ['orchestrator', 'hybrid'];
+
+/** @const {string[]} Orchestrator adapters whose data lives in the snapshot */
+const DEFAULT_ADAPTERS = ['jsonl', 'vector'];
+
+/** @const {string} Manifest file of a snapshot directory */
+const SNAPSHOT_MANIFEST = 'snapshot.json';
+
+/** @const {string[]} Vector index files copied into snapshots */
+const VECTOR_FILES = ['data/vector/index.bin', 'data/vector/mapping.json'];
+
+/** @const {number} Metric drops smaller than this are not regressions */
+const REGRESSION_EPSILON = 1e-4;
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+/**
+ * Share of the expected ids found in the top k
+ * @param {string[]} ranked - Retrieved ids, best first
+ * @param {string[]} expected - Relevant ids
+ * @param {number} k
+ * @returns {number} 0-1
+ */
+function recallAtK(ranked, expected, k) {
+  if (expected.length === 0) return 0;
+  const top = new Set(ranked.slice(0, k));
+  return expected.filter(id => top.has(id)).length / expected.length;
+}
+
+/**
+ * 1 / rank of the first expected id (0 when none was retrieved)
+ * @param {string[]} ranked
+ * @param {string[]} expected
+ * @returns {number} 0-1
+ */
+function reciprocalRank(ranked, expected) {
+  const relevant = new Set(expected);
+  const index = ranked.findIndex(id => relevant.has(id));
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain of the top k (binary relevance)
+ * @param {string[]} ranked
+ * @param {string[]} expected
+ * @param {number} k
+ * @returns {number} 0-1
+ */
+function ndcgAtK(ranked, expected, k) {
+  const relevant = new Set(expected);
+  let dcg = 0;
+  ranked.slice(0, k).forEach((id, i) => {
+    if (relevant.has(id)) dcg += 1 / Math.log2(i + 2);
+  });
+
+  let ideal = 0;
+  for (let i = 0; i < Math.min(k, relevant.size); i++) {
+    ideal += 1 / Math.log2(i + 2);
+  }
+  return ideal === 0 ? 0 : dcg / ideal;
+}
+
+/**
+ * All metrics of one ranking
+ * @param {string[]} ranked
+ * @param {string[]} expected
+ * @param {number[]} ks
+ * @returns {Object<string, number>} recall@k, ndcg@k per cutoff and mrr
+ */
+function scoreRanking(ranked, expected, ks) {
+  const metrics = {};
+  for (const k of ks) {
+    metrics[`recall@${k}`] = recallAtK(ranked, expected, k);
+  }
+  metrics.mrr = reciprocalRank(ranked, expected);
+  for (const k of ks) {
+    metrics[`ndcg@${k}`] = ndcgAtK(ranked, expected, k);
+  }
+  return metrics;
+}
+
+/**
+ * Mean of each metric over the cases, rounded to 4 decimals
+ * @param {Array<Object<string, number>>} perCase
+ * @returns {Object<string, number>}
+ */
+function averageMetrics(perCase) {
+  const totals = {};
+  for (const metrics of perCase) {
+    for (const [name, value] of Object.entries(metrics)) {
+      totals[name] = (totals[name] || 0) + value;
+    }
+  }
+  const averages = {};
+  for (const [name, total] of Object.entries(totals)) {
+    averages[name] = round(total / perCase.length);
+  }
+  return averages;
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+/**
+ * Validate rank cutoffs
+ * @param {*} ks
+ * @param {string} where - Prefix for error messages
+ * @returns {number[]} Sorted, unique cutoffs
+ */
+function normalizeK(ks, where) {
+  if (!Array.isArray(ks) || ks.length === 0 || !ks.every(k => Number.isInteger(k) && k > 0)) {
+    throw new Error(`${where}: k must be a non-empty list of positive integers`);
+  }
+  return [...new Set(ks)].sort((a, b) => a - b);
+}
+
+/**
+ * Load and validate a fixture file
+ * @param {string} fixturesPath
+ * @returns {{path: string, snapshot: string|null, k: number[], cases: Array<{id: string, prompt: string, project: string|null, expected: string[]}>}}
+ */
+function loadFixtures(fixturesPath) {
+  const file = path.resolve(expandPath(fixturesPath));
+  const where = `Invalid eval fixtures ${file}`;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${where}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+
+  if (!Array.isArray(raw?.cases) || raw.cases.length === 0) {
+    throw new Error(`${where}: cases must be a non-empty array`);
+  }
+
+  const ids = new Set();
+  const cases = raw.cases.map((entry, index) => {
+    const label = `${where}: case ${entry?.id || index + 1}`;
+    if (typeof entry?.id !== 'string' || !entry.id) {
+      throw new Error(`${where}: case ${index + 1} needs an id`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`${label} is defined twice`);
+    }
+    ids.add(entry.id);
+    if (typeof entry.prompt !== 'string' || !entry.prompt.trim()) {
+      throw new Error(`${label} needs a prompt`);
+    }
+    if (entry.project !== undefined && entry.project !== null && typeof entry.project !== 'string') {
+      throw new Error(`${label}: project must be a project hash or null`);
+    }
+    if (!Array.isArray(entry.expected) || entry.expected.length === 0 ||
+        !entry.expected.every(id => typeof id === 'string' && id)) {
+      throw new Error(`${label}: expected must be a non-empty list of memory ids`);
+    }
+    return {
+      id: entry.id,
+      prompt: entry.prompt,
+      project: entry.project ?? null,
+      expected: [...new Set(entry.expected)],
+    };
+  });
+
+  return {
+    path: file,
+    snapshot: raw.snapshot ? path.resolve(path.dirname(file), expandPath(raw.snapshot)) : null,
+    k: raw.k === undefined ? DEFAULT_K : normalizeK(raw.k, where),
+    cases,
+  };
+}
+
+// =============================================================================
+// SNAPSHOTS
+// =============================================================================
+
+/**
+ * Freeze the local memory data into a snapshot directory
+ *
+ * The SQLite store is copied with the online backup API, so a running MCP
+ * server does not have to be stopped.
+ *
+ * @param {Object} options
+ * @param {string} options.outDir - Snapshot directory (must not exist or be empty)
+ * @param {string} [options.basePath] - Memory directory to snapshot
+ * @returns {Promise<{version: number, createdAt: string, source: string, memoryCount: number, files: string[]}>}
+ */
+async function createSnapshot(options = {}) {
+  const basePath = expandPath(options.basePath || DEFAULT_BASE_PATH);
+  const outDir = path.resolve(expandPath(options.outDir));
+  const dbPath = path.join(basePath, 'data', 'memories.db');
+
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`No memory store at ${dbPath}`);
+  }
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    throw new Error(`Snapshot directory ${outDir} is not empty`);
+  }
+
+  const Database = require('better-sqlite3');
+  const createdAt = new Date().toISOString();
+  const files = ['data/memories.db'];
+  fs.mkdirSync(path.join(outDir, 'data'), { recursive: true });
+
+  const source = new Database(dbPath, { readonly: true, fileMustExist: true });
+  try {
+    await source.backup(path.join(outDir, 'data', 'memories.db'));
+  } finally {
+    source.close();
+  }
+
+  for (const file of VECTOR_FILES) {
+    if (fs.existsSync(path.join(basePath, file))) {
+      fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+      fs.copyFileSync(path.join(basePath, file), path.join(outDir, file));
+      files.push(file);
+    }
+  }
+
+  const jsonlDir = path.join(basePath, 'data', 'memories');
+  if (fs.existsSync(jsonlDir)) {
+    for (const name of fs.readdirSync(jsonlDir).filter(f => f.endsWith('.jsonl'))) {
+      fs.mkdirSync(path.join(outDir, 'data', 'memories'), { recursive: true });
+      fs.copyFileSync(path.join(jsonlDir, name), path.join(outDir, 'data', 'memories', name));
+      files.push(`data/memories/${name}`);
+    }
+  }
+
+  const copy = new Database(path.join(outDir, 'data', 'memories.db'), { readonly: true });
+  let memoryCount;
+  try {
+    memoryCount = copy.prepare('SELECT COUNT(*) AS count FROM memories').get().count;
+  } finally {
+    copy.close();
+  }
+
+  const manifest = { version: 1, createdAt, source: basePath, memoryCount, files };
+  fs.writeFileSync(path.join(outDir, SNAPSHOT_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+/**
+ * Read a snapshot's manifest (older or hand-made snapshots may lack one)
+ * @param {string} snapshotDir
+ * @returns {{createdAt: string|null, memoryCount: number|null}}
+ */
+function readSnapshotManifest(snapshotDir) {
+  if (!fs.existsSync(path.join(snapshotDir, 'data', 'memories.db'))) {
+    throw new Error(`No snapshot at ${snapshotDir} (data/memories.db missing); create one with: cmo eval snapshot`);
+  }
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(snapshotDir, SNAPSHOT_MANIFEST), 'utf8'));
+    return { createdAt: manifest.createdAt || null, memoryCount: manifest.memoryCount ?? null };
+  } catch {
+    return { createdAt: null, memoryCount: null };
+  }
+}
+
+// =============================================================================
+// BASELINES
+// =============================================================================
+
+/**
+ * Baseline file stored next to a fixture file (fixtures.json -> fixtures.baseline.json)
+ * @param {string} fixturesPath
+ * @returns {string}
+ */
+function defaultBaselinePath(fixturesPath) {
+  const file = path.resolve(expandPath(fixturesPath));
+  return path.join(path.dirname(file), `${path.basename(file, '.json')}.baseline.json`);
+}
+
+/**
+ * @param {Object} report - RetrievalEvaluator.run() result
+ * @param {string} baselinePath
+ */
+function saveBaseline(report, baselinePath) {
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.writeFileSync(baselinePath, JSON.stringify(report, null, 2) + '\n');
+}
+
+/**
+ * @param {string} baselinePath
+ * @returns {Object|null} The saved report, or null when there is none
+ */
+function loadBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid eval baseline ${baselinePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Compare a report with a baseline report
+ *
+ * Aggregate metrics are diffed per runner; cases are listed as regressions
+ * (or improvements) when their reciprocal rank or recall at the largest
+ * cutoff changed. Cases missing from either report are ignored.
+ *
+ * @param {Object} current
+ * @param {Object} baseline
+ * @returns {{baselineCreatedAt: string, regressed: boolean, runners: Object<string, {metrics: Object, regressions: Object[], improvements: Object[]}>}}
+ */
+function diffReports(current, baseline) {
+  const runners = {};
+  let regressed = false;
+
+  for (const [name, run] of Object.entries(current.runners)) {
+    const before = baseline.runners?.[name];
+    if (!run.metrics || !before?.metrics) continue;
+
+    const metrics = {};
+    for (const [metric, value] of Object.entries(run.metrics)) {
+      if (typeof before.metrics[metric] !== 'number') continue;
+      const delta = round(value - before.metrics[metric]);
+      metrics[metric] = { baseline: before.metrics[metric], current: value, delta };
+      if (delta < -REGRESSION_EPSILON) regressed = true;
+    }
+
+    const caseMetrics = ['mrr', `recall@${Math.max(...current.k)}`];
+    const beforeCases = new Map(before.cases.map(c => [c.id, c]));
+    const regressions = [];
+    const improvements = [];
+    for (const testCase of run.cases) {
+      const previous = beforeCases.get(testCase.id);
+      if (!previous) continue;
+      for (const metric of caseMetrics) {
+        const was = previous.metrics[metric];
+        const now = testCase.metrics[metric];
+        if (typeof was !== 'number') continue;
+        const change = { id: testCase.id, metric, baseline: was, current: now };
+        if (now < was - REGRESSION_EPSILON) regressions.push(change);
+        else if (now > was + REGRESSION_EPSILON) improvements.push(change);
+      }
+    }
+
+    runners[name] = { metrics, regressions, improvements };
+  }
+
+  return { baselineCreatedAt: baseline.createdAt, regressed, runners };
+}
+
+// =============================================================================
+// RETRIEVAL EVALUATOR
+// =============================================================================
+
+class RetrievalEvaluator {
+  /**
+   * @param {Object} options
+   * @param {string|Object} options.fixtures - Fixture file path or loadFixtures() result
+   * @param {string} [options.snapshot] - Snapshot directory (default: the fixture's)
+   * @param {number[]} [options.k] - Rank cutoffs (default: the fixture's, else 1, 5, 10)
+   * @param {string[]} [options.runners] - Subset of RUNNERS (default: all)
+   * @param {string[]} [options.adapters] - Orchestrator adapters (default: jsonl, vector)
+   * @param {Object} [options.tokenBudget] - Orchestrator token budget (default: its defaults)
+   * @param {string} [options.mode='hybrid'] - HybridSearch mode: 'hybrid', 'bm25' or 'vector'
+   */
+  constructor(options = {}) {
+    this.fixtures = typeof options.fixtures === 'string' ? loadFixtures(options.fixtures) : options.fixtures;
+    if (!this.fixtures?.cases) {
+      throw new Error('RetrievalEvaluator requires fixtures');
+    }
+
+    this.snapshotDir = options.snapshot ? path.resolve(expandPath(options.snapshot)) : this.fixtures.snapshot;
+    if (!this.snapshotDir) {
+      throw new Error('No snapshot: set "snapshot" in the fixture file or pass one');
+    }
+
+    this.k = options.k ? normalizeK(options.k, 'Invalid eval options') : this.fixtures.k;
+    this.runners = options.runners || RUNNERS;
+    const unknown = this.runners.filter(r => !RUNNERS.includes(r));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown eval runner: ${unknown.join(', ')}. Valid runners: ${RUNNERS.join(', ')}`);
+    }
+    this.adapters = options.adapters || DEFAULT_ADAPTERS;
+    this.tokenBudget = options.tokenBudget || {};
+    this.mode = options.mode || 'hybrid';
+  }
+
+  /**
+   * Replay all cases against a scratch copy of the snapshot
+   * @returns {Promise<Object>} Report with per-runner metrics and per-case rankings
+   */
+  async run() {
+    const manifest = readSnapshotManifest(this.snapshotDir);
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortex-eval-'));
+    fs.cpSync(this.snapshotDir, workDir, { recursive: true });
+
+    const report = {
+      version: 1,
+      createdAt: new Date().toISOString(),
+      fixtures: this.fixtures.path || null,
+      snapshot: { path: this.snapshotDir, ...manifest },
+      k: this.k,
+      settings: { adapters: this.adapters, mode: this.mode },
+      runners: {},
+    };
+
+    try {
+      for (const runner of this.runners) {
+        const search = runner === 'orchestrator'
+          ? await this._orchestratorRunner(workDir, manifest.createdAt)
+          : await this._hybridRunner(workDir, manifest.createdAt);
+        report.runners[runner] = await this._score(search.retrieve).finally(search.close);
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    return report;
+  }
+
+  /**
+   * Run every case through a retrieval function and score it
+   * @private
+   * @param {Function} retrieve - (testCase, limit) => Promise<string[]>
+   * @returns {Promise<{metrics: Object|null, cases: Object[], error?: string}>}
+   */
+  async _score(retrieve) {
+    const maxK = Math.max(...this.k);
+    const cases = [];
+
+    try {
+      for (const testCase of this.fixtures.cases) {
+        const ranked = (await retrieve(testCase, maxK)).slice(0, maxK);
+        const metrics = scoreRanking(ranked, testCase.expected, this.k);
+        cases.push({
+          id: testCase.id,
+          metrics,
+          ranked,
+          missing: testCase.expected.filter(id => !ranked.includes(id)),
+        });
+      }
+    } catch (error) {
+      return { metrics: null, cases: [], error: error.message };
+    }
+
+    return { metrics: averageMetrics(cases.map(c => c.metrics)), cases };
+  }
+
+  /**
+   * QueryOrchestrator over the snapshot (ranking + token budget)
+   * @private
+   * @param {string} basePath
+   * @param {string|null} referenceTime - Snapshot timestamp
+   * @returns {Promise<{retrieve: Function, close: Function}>}
+   */
+  async _orchestratorRunner(basePath, referenceTime) {
+    const { QueryOrchestrator } = require('../hooks/query-orchestrator.cjs');
+    const orchestrator = new QueryOrchestrator({
+      basePath,
+      workingDir: basePath,
+      tokenBudget: this.tokenBudget,
+      adapterConfig: {
+        episodicMemory: { enabled: false },
+        knowledgeGraph: { enabled: false },
+      },
+    });
+
+    return {
+      retrieve: async (testCase) => {
+        const result = await orchestrator.query({
+          prompt: testCase.prompt,
+          adapters: this.adapters,
+          projectHash: testCase.project,
+          referenceTime: referenceTime || undefined,
+          trackUsage: false,
+        });
+        return result.memories.map(m => m.id);
+      },
+      close: async () => {
+        for (const adapter of orchestrator.registry.getAll()) {
+          if (typeof adapter.shutdown === 'function') await adapter.shutdown().catch(() => {});
+        }
+      },
+    };
+  }
+
+  /**
+   * HybridSearch over the snapshot (BM25 + vector fusion, no token budget)
+   * @private
+   * @param {string} basePath
+   * @param {string|null} referenceTime - Snapshot timestamp
+   * @returns {Promise<{retrieve: Function, close: Function}>}
+   */
+  async _hybridRunner(basePath, referenceTime) {
+    const { VectorSearchProvider } = require('./vector-search-provider.cjs');
+    const provider = new VectorSearchProvider({ basePath });
+    const init = await provider.initialize();
+
+    return {
+      retrieve: async (testCase, limit) => {
+        if (!init.success) {
+          throw new Error(`HybridSearch unavailable: ${init.error}`);
+        }
+        const { results } = await provider.search(testCase.prompt, {
+          limit,
+          mode: this.mode,
+          projectHash: testCase.project || undefined,
+          referenceTime: referenceTime || undefined,
+        });
+        return results.map(r => r.id);
+      },
+      close: () => provider.shutdown().catch(() => {}),
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  RetrievalEvaluator,
+  loadFixtures,
+  createSnapshot,
+  defaultBaselinePath,
+  saveBaseline,
+  loadBaseline,
+  diffReports,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  scoreRanking,
+  DEFAULT_K,
+  RUNNERS,
+};
@@ -0,0 +1,415 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Storage Encryption
+ *
+ * Opt-in encryption at rest for memory content. When the `encryption`
+ * config section is enabled, the content/summary fields of every stored
+ * record (JSONL tiers, annotations, SQLite rows and neural nodes) are
+ * encrypted with CortexEncryption before they reach disk and decrypted
+ * when they are read back. Metadata (ids, tags, timestamps, scores) and
+ * embeddings stay in plaintext so indexes keep working.
+ *
+ * The secret never touches disk: it comes from CORTEX_ENCRYPTION_SECRET.
+ * The key file only holds the store-wide PBKDF2 salt and a key check
+ * value, so a wrong secret fails fast instead of producing garbage.
+ *
+ * Plaintext values pass through decryption untouched, which lets a store
+ * be read while `cortex encrypt --migrate` is still converting it.
+ *
+ * The same directory holds the per-install HMAC key behind the redactor's
+ * hash mode. It exists whether or not encryption is enabled and is never
+ * rotated, so hashed values keep correlating across sessions.
+ *
+ * @version 1.1.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CortexEncryption, SALT_LENGTH } = require('./encryption.cjs');
+const { CortexError } = require('./errors.cjs');
+const { expandPath } = require('./types.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string[]} Record fields that are encrypted at rest */
+const ENCRYPTED_FIELDS = ['content', 'summary'];
+
+/** @const {string} Default location of the key metadata file */
+const DEFAULT_KEY_FILE = '~/.claude/memory/data/encryption.json';
+
+/** @const {string} Plaintext encrypted into the key check value */
+const KEY_CHECK_PLAINTEXT = 'cortex-key-check';
+
+/** @const {number} Key metadata format version */
+const KEY_FILE_VERSION = 1;
+
+/** @const {string} Redaction hash key file, stored next to the key file */
+const HASH_KEY_FILE_NAME = 'redaction-key.json';
+
+/** @const {number} Bytes of the redaction hash key */
+const HASH_KEY_LENGTH = 32;
+
+// =============================================================================
+// KEY METADATA
+// =============================================================================
+
+/**
+ * @typedef {Object} KeyMetadata
+ * @property {number} version - Key file format version
+ * @property {string} kdf - Key derivation description
+ * @property {string} salt - Hex-encoded store salt
+ * @property {string} keyCheck - KEY_CHECK_PLAINTEXT encrypted with the key
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} rotatedAt - ISO timestamp of the last key rotation
+ */
+
+/**
+ * Read the key metadata file
+ * @param {string} keyFile - Path to the key file
+ * @returns {KeyMetadata|null} Null when the file does not exist
+ */
+function readKeyMetadata(keyFile) {
+  const filePath = expandPath(keyFile);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new CortexError('CORTEX_E501', { details: `Unreadable key file ${filePath}`, cause: error });
+  }
+}
+
+/**
+ * Write key metadata atomically (owner-only permissions)
+ * @param {string} keyFile - Path to the key file
+ * @param {KeyMetadata} metadata
+ */
+function writeKeyMetadata(keyFile, metadata) {
+  const filePath = expandPath(keyFile);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+  const tempPath = `${filePath}.tmp.${process.pid}`;
+  fs.writeFileSync(tempPath, JSON.stringify(metadata, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Build fresh key metadata for a secret
+ * @param {string} secret - Encryption secret
+ * @param {KeyMetadata} [previous] - Metadata being replaced (key rotation)
+ * @returns {{metadata: KeyMetadata, encryption: CortexEncryption}}
+ */
+function createKeyMetadata(secret, previous = null) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const encryption = new CortexEncryption({ secret, salt });
+  const now = new Date().toISOString();
+
+  return {
+    encryption,
+    metadata: {
+      version: KEY_FILE_VERSION,
+      kdf: 'pbkdf2-sha512',
+      salt: salt.toString('hex'),
+      keyCheck: encryption.encrypt(KEY_CHECK_PLAINTEXT),
+      createdAt: previous?.createdAt || now,
+      rotatedAt: previous ? now : null,
+    },
+  };
+}
+
+/**
+ * Check a secret against key metadata
+ * @param {string} secret - Encryption secret
+ * @param {KeyMetadata} metadata
+ * @returns {CortexEncryption|null} Instance bound to the store salt, or null on mismatch
+ */
+function openWithMetadata(secret, metadata) {
+  const encryption = new CortexEncryption({ secret, salt: metadata.salt });
+  try {
+    return encryption.decrypt(metadata.keyCheck) === KEY_CHECK_PLAINTEXT ? encryption : null;
+  } catch {
+    return null;
+  }
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * Create a storage encryption instance bound to a key file
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Encryption secret
+ * @param {string} [options.keyFile] - Key metadata path
+ * @param {boolean} [options.create=true] - Create the key file when missing
+ * @returns {CortexEncryption}
+ * @throws {CortexError} E502 without a secret, E501 when the secret does not match
+ */
+function createStorageEncryption(options = {}) {
+  const { secret, keyFile = DEFAULT_KEY_FILE, create = true } = options;
+  if (!secret) {
+    throw new CortexError('CORTEX_E502', {
+      details: 'Encryption at rest is enabled but CORTEX_ENCRYPTION_SECRET is not set',
+    });
+  }
+
+  const metadata = readKeyMetadata(keyFile);
+  if (!metadata) {
+    if (!create) {
+      throw new CortexError('CORTEX_E502', { details: `Key file not found: ${expandPath(keyFile)}` });
+    }
+    const created = createKeyMetadata(secret);
+    writeKeyMetadata(keyFile, created.metadata);
+    return created.encryption;
+  }
+
+  const encryption = openWithMetadata(secret, metadata);
+  if (!encryption) {
+    throw new CortexError('CORTEX_E501', {
+      details: `CORTEX_ENCRYPTION_SECRET does not match the key in ${expandPath(keyFile)}`,
+    });
+  }
+  return encryption;
+}
+
+/** @type {CortexEncryption|null|undefined} Cached process-wide instance */
+let sharedEncryption;
+
+/**
+ * Get the storage encryption configured for this process
+ *
+ * Reads the `encryption` config section ({enabled, keyFile}) and
+ * CORTEX_ENCRYPTION_SECRET once per process.
+ *
+ * @returns {CortexEncryption|null} Null when encryption at rest is disabled
+ * @throws {CortexError} When enabled but the secret is missing or wrong
+ */
+function getStorageEncryption() {
+  if (sharedEncryption !== undefined) return sharedEncryption;
+
+  const { getConfigSection } = require('./config.cjs');
+  const settings = getConfigSection('encryption', {});
+  if (!settings.enabled) {
+    sharedEncryption = null;
+    return null;
+  }
+
+  sharedEncryption = createStorageEncryption({
+    secret: process.env.CORTEX_ENCRYPTION_SECRET,
+    keyFile: settings.keyFile || DEFAULT_KEY_FILE,
+  });
+  return sharedEncryption;
+}
+
+/**
+ * Check that a hook can open the configured storage encryption
+ *
+ * Hooks run unattended on every session event, so a missing or wrong
+ * secret is reported on stderr and the hook skips its memory work instead
+ * of failing. Stores are never opened without the key: that would inject
+ * ciphertext and write plaintext into an encrypted store.
+ *
+ * @param {string} hookName - Hook named in the warning
+ * @returns {boolean} False when encryption is enabled but cannot be opened
+ */
+function checkHookEncryption(hookName) {
+  try {
+    getStorageEncryption();
+    return true;
+  } catch (error) {
+    if (!(error instanceof CortexError)) throw error;
+    process.stderr.write(`[Cortex] ${hookName} skipped: ${error.details || error.message}\n`);
+    return false;
+  }
+}
+
+/**
+ * Reset the cached instance (for testing and after key rotation)
+ */
+function resetStorageEncryption() {
+  sharedEncryption = undefined;
+  sharedHashKey = undefined;
+}
+
+// =============================================================================
+// REDACTION HASH KEY
+// =============================================================================
+
+/** @type {Buffer|undefined} Cached key for the default location */
+let sharedHashKey;
+
+/**
+ * Get the per-install HMAC key used by the redactor's hash mode
+ *
+ * Created on first use (owner-only permissions). Concurrent first calls
+ * from several hooks agree on one key: the file is only ever linked into
+ * place if it does not exist yet.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Key path (default: redaction-key.json next to the key file)
+ * @returns {Buffer}
+ * @throws {CortexError} E501 when the key file is unreadable
+ */
+function getRedactionHashKey(options = {}) {
+  if (!options.file && sharedHashKey) return sharedHashKey;
+
+  let filePath = options.file;
+  if (!filePath) {
+    const { getConfigSection } = require('./config.cjs');
+    const keyFile = getConfigSection('encryption', {}).keyFile || DEFAULT_KEY_FILE;
+    filePath = path.join(path.dirname(expandPath(keyFile)), HASH_KEY_FILE_NAME);
+  }
+  filePath = expandPath(filePath);
+
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    const tempPath = `${filePath}.tmp.${process.pid}`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      version: KEY_FILE_VERSION,
+      algorithm: 'hmac-sha256',
+      key: crypto.randomBytes(HASH_KEY_LENGTH).toString('hex'),
+      createdAt: new Date().toISOString(),
+    }, null, 2) + '\n', { mode: 0o600 });
+    try {
+      fs.linkSync(tempPath, filePath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    } finally {
+      fs.unlinkSync(tempPath);
+    }
+  }
+
+  let key;
+  try {
+    key = Buffer.from(JSON.parse(fs.readFileSync(filePath, 'utf8')).key, 'hex');
+  } catch (error) {
+    throw new CortexError('CORTEX_E501', { details: `Unreadable redaction key file ${filePath}`, cause: error });
+  }
+  if (key.length !== HASH_KEY_LENGTH) {
+    throw new CortexError('CORTEX_E501', { details: `Invalid redaction key in ${filePath}` });
+  }
+
+  if (!options.file) sharedHashKey = key;
+  return key;
+}
+
+// =============================================================================
+// FIELD HELPERS
+// =============================================================================
+
+/**
+ * Encrypt the content fields of a record for storage
+ *
+ * @param {Object} record - Record with plaintext fields
+ * @param {CortexEncryption|null} encryption - Null leaves the record as is
+ * @param {string[]} [fields=ENCRYPTED_FIELDS]
+ * @returns {Object} Shallow copy with encrypted fields (or the record itself)
+ */
+function encryptFields(record, encryption, fields = ENCRYPTED_FIELDS) {
+  if (!encryption || !record) return record;
+
+  const result = { ...record };
+  for (const field of fields) {
+    const value = result[field];
+    if (typeof value === 'string' && value && !encryption.isEncrypted(value)) {
+      result[field] = encryption.encrypt(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Decrypt the content fields of a stored record
+ *
+ * @param {Object} record - Record as read from disk
+ * @param {CortexEncryption|null} encryption - Null leaves the record as is
+ * @param {Object} [options]
+ * @param {string[]} [options.fields=ENCRYPTED_FIELDS]
+ * @param {CortexEncryption} [options.fallback] - Second key to try (key rotation)
+ * @returns {Object} Shallow copy with plaintext fields (or the record itself)
+ * @throws {CortexError} E501 when a field cannot be decrypted
+ */
+function decryptFields(record, encryption, options = {}) {
+  if (!encryption || !record) return record;
+
+  const { fields = ENCRYPTED_FIELDS, fallback = null } = options;
+  const result = { ...record };
+  for (const field of fields) {
+    const value = result[field];
+    if (typeof value === 'string' && encryption.isEncrypted(value)) {
+      result[field] = decryptValue(value, encryption, fallback);
+    }
+  }
+  return result;
+}
+
+/**
+ * Decrypt one value, trying the fallback key if the primary fails
+ * @param {string} value - Ciphertext
+ * @param {CortexEncryption} encryption
+ * @param {CortexEncryption|null} fallback
+ * @returns {string}
+ */
+function decryptValue(value, encryption, fallback) {
+  try {
+    return encryption.decrypt(value);
+  } catch (error) {
+    if (fallback) {
+      try {
+        return fallback.decrypt(value);
+      } catch {
+        // Report the primary key's failure below
+      }
+    }
+    throw new CortexError('CORTEX_E501', { details: error.message, cause: error });
+  }
+}
+
+/**
+ * Encrypt one line of a JSONL file
+ * @param {string} line - JSON text
+ * @param {CortexEncryption|null} encryption
+ * @returns {string}
+ */
+function encryptLine(line, encryption) {
+  if (!encryption) return line;
+  return JSON.stringify(encryptFields(JSON.parse(line), encryption));
+}
+
+/**
+ * Parse one line of a JSONL file, decrypting content fields
+ * @param {string} line - JSON text
+ * @param {CortexEncryption|null} encryption
+ * @returns {Object}
+ */
+function parseLine(line, encryption) {
+  return decryptFields(JSON.parse(line), encryption);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getStorageEncryption,
+  checkHookEncryption,
+  resetStorageEncryption,
+  createStorageEncryption,
+  createKeyMetadata,
+  openWithMetadata,
+  readKeyMetadata,
+  writeKeyMetadata,
+  getRedactionHashKey,
+  encryptFields,
+  decryptFields,
+  encryptLine,
+  parseLine,
+  ENCRYPTED_FIELDS,
+  DEFAULT_KEY_FILE,
+  HASH_KEY_FILE_NAME,
+};
@@ -14,6 +14,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { generateId, getTimestamp, expandPath, ERROR_CODES, createBitemporalFields } = require('./types.cjs');
+const { getStorageEncryption, encryptFields, parseLine } = require('./storage-encryption.cjs');
 
 // =============================================================================
 // JSONL STORE
@@ -25,11 +26,14 @@ class JSONLStore {
    * @param {Object} options
    * @param {Function} options.indexFn - Function to extract index key from record
    * @param {boolean} options.autoCreate - Create file if missing
+   * @param {import('./encryption.cjs').CortexEncryption|null} [options.encryption] -
+   *   Encrypts content/summary on disk (defaults to the configured storage encryption)
    */
   constructor(filePath, options = {}) {
     this.filePath = expandPath(filePath);
     this.indexFn = options.indexFn || ((record) => record.id);
     this.autoCreate = options.autoCreate !== false;
+    this.encryption = options.encryption !== undefined ? options.encryption : getStorageEncryption();
 
     // In-memory index for fast lookups
     this.index = new Map();
@@ -82,7 +86,7 @@ class JSONLStore {
 
     for (let i = 0; i < lines.length; i++) {
       try {
-        const record = JSON.parse(lines[i]);
+        const record = parseLine(lines[i], this.encryption);
         const key = this.indexFn(record);
 
         // Handle updates: later records with same key replace earlier ones
@@ -169,7 +173,7 @@ class JSONLStore {
       ingestedAt: record.ingestedAt || bitemporal.ingestedAt || getTimestamp(),
     };
 
-    const line = JSON.stringify(enrichedRecord) + '\n';
+    const line = JSON.stringify(encryptFields(enrichedRecord, this.encryption)) + '\n';
 
     try {
       // Atomic append using temp file
@@ -254,7 +258,9 @@ class JSONLStore {
 
     // Write compacted file atomically
     const tempPath = `${this.filePath}.tmp.${process.pid}`;
-    const content = activeRecords.map(r => JSON.stringify(r)).join('\n') + (activeRecords.length ? '\n' : '');
+    const content = activeRecords
+      .map(r => JSON.stringify(encryptFields(r, this.encryption)))
+      .join('\n') + (activeRecords.length ? '\n' : '');
 
     try {
       fs.writeFileSync(tempPath, content, { mode: 0o600 });
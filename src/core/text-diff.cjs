@@ -0,0 +1,96 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Text Diff
+ *
+ * Line-based diff (longest common subsequence) used to compare
+ * memory versions. Memories are short, so a plain O(n*m) table is
+ * enough; very large inputs fall back to a whole-text replacement.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {number} Largest LCS table (lines before * lines after) computed */
+const MAX_DIFF_CELLS = 4_000_000;
+
+// =============================================================================
+// DIFF
+// =============================================================================
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'equal'|'add'|'remove'} op
+ * @property {string} line
+ */
+
+/**
+ * Diff two texts line by line
+ *
+ * @param {string|null} before - Old text
+ * @param {string|null} after - New text
+ * @returns {DiffLine[]}
+ */
+function diffLines(before, after) {
+  const a = before ? String(before).split('\n') : [];
+  const b = after ? String(after).split('\n') : [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(line => ({ op: 'remove', line })),
+      ...b.map(line => ({ op: 'add', line })),
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ op: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ op: 'remove', line: a[i++] });
+    } else {
+      result.push({ op: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ op: 'remove', line: a[i++] });
+  while (j < b.length) result.push({ op: 'add', line: b[j++] });
+
+  return result;
+}
+
+/**
+ * Render a diff in unified style ("  ", "+ ", "- " prefixes)
+ *
+ * @param {DiffLine[]} diff
+ * @returns {string}
+ */
+function formatDiff(diff) {
+  const prefix = { equal: '  ', add: '+ ', remove: '- ' };
+  return diff.map(({ op, line }) => `${prefix[op]}${line}`).join('\n');
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  diffLines,
+  formatDiff,
+};
@@ -10,14 +10,18 @@
  * - Working -> Short-term: Age > 24h OR count > 50
  * - Short-term -> Long-term: Age > 7d AND high quality (usageSuccessRate > 0.6)
  * - Short-term -> Delete: Age > 7d AND low quality (usageSuccessRate < 0.3)
+ *
+ * Tiers are the `tier` column of the SQLite MemoryStore (data/memories.db),
+ * the single source of truth shared with the hooks, the ExtractionEngine and
+ * hybrid search. Promotion moves a row between tiers; nothing is copied.
+ * Legacy JSONL tier files are brought in once with `cmo import-tiers`.
  */
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
-const { expandPath, getTimestamp, generateId } = require('./types.cjs');
-const { JSONLStore } = require('./storage.cjs');
+const { expandPath, getTimestamp } = require('./types.cjs');
+const { MemoryStore, memoryToRecord } = require('./memory-store.cjs');
 const { calculateDecay } = require('./confidence-decay.cjs');
 
 // =============================================================================
@@ -37,6 +41,9 @@ const DEFAULT_THRESHOLDS = {
   },
 };
 
+/** @const {number} Rows read per query when loading a tier */
+const TIER_PAGE_SIZE = 1000;
+
 const QUALITY_WEIGHTS = {
   extractionConfidence: 0.25,
   usageCount: 0.20,
@@ -54,18 +61,13 @@ class TierPromotion {
    * @param {string} options.basePath - Base path for memory storage
    * @param {Object} options.thresholds - Custom thresholds (optional)
    * @param {boolean} options.verbose - Enable verbose logging
+   * @param {MemoryStore} [options.memoryStore] - Shared store (default: <basePath>/data/memories.db)
    */
   constructor(options = {}) {
     this.basePath = expandPath(options.basePath || '~/.claude/memory');
     this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
     this.verbose = options.verbose || false;
-
-    // Initialize stores
-    this.stores = {
-      working: null,
-      shortTerm: null,
-      longTerm: null,
-    };
+    this.memoryStore = options.memoryStore || null;
 
     this.stats = {
       lastRun: null,
@@ -88,46 +90,25 @@ class TierPromotion {
   }
 
   /**
-   * Initialize all three tier stores
+   * Open the memory store and count each tier
    * @returns {Promise<{success: boolean, stores: Object}>}
    */
   async initialize() {
-    const memoriesPath = path.join(this.basePath, 'data/memories');
-
     try {
-      // Ensure directory exists
-      if (!fs.existsSync(memoriesPath)) {
-        fs.mkdirSync(memoriesPath, { recursive: true, mode: 0o700 });
+      if (!this.memoryStore) {
+        this.memoryStore = new MemoryStore({
+          dbPath: path.join(this.basePath, 'data', 'memories.db'),
+        });
       }
+      await this.memoryStore.initialize();
 
-      this.stores.working = new JSONLStore(
-        path.join(memoriesPath, 'working.jsonl'),
-        { indexFn: r => r.id, autoCreate: true }
-      );
-
-      this.stores.shortTerm = new JSONLStore(
-        path.join(memoriesPath, 'short-term.jsonl'),
-        { indexFn: r => r.id, autoCreate: true }
-      );
-
-      this.stores.longTerm = new JSONLStore(
-        path.join(memoriesPath, 'long-term.jsonl'),
-        { indexFn: r => r.id, autoCreate: true }
-      );
-
-      // Load all stores
-      const results = await Promise.all([
-        this.stores.working.load(),
-        this.stores.shortTerm.load(),
-        this.stores.longTerm.load(),
-      ]);
-
+      const counts = this.memoryStore.getCountByTier();
       return {
-        success: results.every(r => r.success),
+        success: true,
         stores: {
-          working: results[0],
-          shortTerm: results[1],
-          longTerm: results[2],
+          working: { success: true, count: counts.working },
+          shortTerm: { success: true, count: counts['short-term'] },
+          longTerm: { success: true, count: counts['long-term'] },
         },
       };
     } catch (error) {
@@ -135,6 +116,20 @@ class TierPromotion {
     }
   }
 
+  /**
+   * Load the active memories of one tier as tier records
+   * @param {string} tier - 'working', 'short-term' or 'long-term'
+   * @returns {Object[]} Records in the camelCase shape used for scoring
+   */
+  getTierRecords(tier) {
+    const records = [];
+    for (let offset = 0; ; offset += TIER_PAGE_SIZE) {
+      const page = this.memoryStore.query({ tier, limit: TIER_PAGE_SIZE, offset, order: 'ASC' });
+      records.push(...page.map(memoryToRecord));
+      if (page.length < TIER_PAGE_SIZE) return records;
+    }
+  }
+
   /**
    * Calculate quality score for a memory record
    * @param {Object} record - Memory record
@@ -172,7 +167,7 @@ class TierPromotion {
    * @returns {Promise<Object>}
    */
   async analyze() {
-    if (!this.stores.working?.loaded) {
+    if (!this.memoryStore?.isOpen()) {
       const initResult = await this.initialize();
       if (!initResult.success) {
         return { success: false, error: 'Failed to initialize stores' };
@@ -201,8 +196,7 @@ class TierPromotion {
     };
 
     // Analyze working memory
-    const workingRecords = this.stores.working.getAll()
-      .filter(r => r && r.status !== 'deleted');
+    const workingRecords = this.getTierRecords('working');
     analysis.working.total = workingRecords.length;
 
     // Check age-based promotion
@@ -239,8 +233,7 @@ class TierPromotion {
     }
 
     // Analyze short-term memory
-    const shortTermRecords = this.stores.shortTerm.getAll()
-      .filter(r => r && r.status !== 'deleted');
+    const shortTermRecords = this.getTierRecords('short-term');
     analysis.shortTerm.total = shortTermRecords.length;
 
     for (const record of shortTermRecords) {
@@ -301,8 +294,7 @@ class TierPromotion {
     }
 
     // Long-term stats
-    analysis.longTerm.total = this.stores.longTerm.getAll()
-      .filter(r => r && r.status !== 'deleted').length;
+    analysis.longTerm.total = this.memoryStore.count({ tier: 'long-term' });
 
     return { success: true, analysis };
   }
@@ -358,26 +350,12 @@ class TierPromotion {
 
     // Execute promotions
     try {
+      const store = this.memoryStore;
+
       // 1. Promote working -> short-term
       for (const item of analysis.working.toPromote) {
         try {
-          const record = this.stores.working.get(item.id);
-          if (record) {
-            // Add to short-term
-            const promotedRecord = {
-              ...record,
-              _promotedFrom: 'working',
-              _promotedAt: getTimestamp(),
-              updatedAt: getTimestamp(),
-            };
-            await this.stores.shortTerm.append(promotedRecord);
-
-            // Mark as deleted in working (soft delete for safety)
-            await this.stores.working.update(item.id, {
-              status: 'deleted',
-              _deletedReason: 'promoted_to_short_term',
-            });
-
+          if (store.setTier(item.id, 'short-term')) {
             results.promoted.workingToShortTerm.push(item);
             this._log(`Promoted ${item.id} from working to short-term`);
           }
@@ -389,23 +367,7 @@ class TierPromotion {
       // 2. Promote short-term -> long-term
       for (const item of analysis.shortTerm.toPromote) {
         try {
-          const record = this.stores.shortTerm.get(item.id);
-          if (record) {
-            // Add to long-term
-            const promotedRecord = {
-              ...record,
-              _promotedFrom: 'short_term',
-              _promotedAt: getTimestamp(),
-              updatedAt: getTimestamp(),
-            };
-            await this.stores.longTerm.append(promotedRecord);
-
-            // Mark as deleted in short-term
-            await this.stores.shortTerm.update(item.id, {
-              status: 'deleted',
-              _deletedReason: 'promoted_to_long_term',
-            });
-
+          if (store.setTier(item.id, 'long-term')) {
             results.promoted.shortTermToLongTerm.push(item);
             this._log(`Promoted ${item.id} from short-term to long-term`);
           }
@@ -414,13 +376,10 @@ class TierPromotion {
         }
       }
 
-      // 3. Delete low-quality short-term memories
+      // 3. Delete low-quality short-term memories (soft delete)
       for (const item of analysis.shortTerm.toDelete) {
         try {
-          await this.stores.shortTerm.update(item.id, {
-            status: 'deleted',
-            _deletedReason: 'low_quality',
-          });
+          store.delete(item.id);
 
           results.deleted.push(item);
           this._log(`Deleted ${item.id} from short-term (low quality)`);
@@ -429,17 +388,11 @@ class TierPromotion {
         }
       }
 
-      // 4. Compact stores to remove deleted records
-      await this.stores.working.compact({ removeDeleted: true });
-      await this.stores.shortTerm.compact({ removeDeleted: true });
-
       // Update final stats
-      results.stats.workingAfter = this.stores.working.getAll()
-        .filter(r => r && r.status !== 'deleted').length;
-      results.stats.shortTermAfter = this.stores.shortTerm.getAll()
-        .filter(r => r && r.status !== 'deleted').length;
-      results.stats.longTermAfter = this.stores.longTerm.getAll()
-        .filter(r => r && r.status !== 'deleted').length;
+      const counts = store.getCountByTier();
+      results.stats.workingAfter = counts.working;
+      results.stats.shortTermAfter = counts['short-term'];
+      results.stats.longTermAfter = counts['long-term'];
 
       // Update class stats
       this.stats.lastRun = getTimestamp();
@@ -460,9 +413,12 @@ class TierPromotion {
    * @returns {Object}
    */
   getSummary() {
-    const working = this.stores.working?.getAll().filter(r => r && r.status !== 'deleted') || [];
-    const shortTerm = this.stores.shortTerm?.getAll().filter(r => r && r.status !== 'deleted') || [];
-    const longTerm = this.stores.longTerm?.getAll().filter(r => r && r.status !== 'deleted') || [];
+    const counts = this.memoryStore?.isOpen()
+      ? this.memoryStore.getCountByTier()
+      : { working: 0, 'short-term': 0, 'long-term': 0 };
+    const working = { length: counts.working };
+    const shortTerm = { length: counts['short-term'] };
+    const longTerm = { length: counts['long-term'] };
 
     return {
       tiers: {
@@ -162,11 +162,17 @@ const ERROR_CODES = {
  * @typedef {Object} MasterConfig
  * @property {string} version
  * @property {Object} sessionStart
+ * @property {Object} userPromptSubmit
+ * @property {Object} postToolUse
  * @property {Object} sessionEnd
+ * @property {Object} extraction
  * @property {Object} queryOrchestrator
  * @property {Object} contextAnalyzer
  * @property {Object} ladsCore
+ * @property {Object} budget
+ * @property {Object} llm
  * @property {Object} storage
+ * @property {Object} apiServer
  */
 
 const DEFAULT_CONFIG = {
@@ -188,11 +194,37 @@ const DEFAULT_CONFIG = {
     },
   },
 
+  userPromptSubmit: {
+    // Just-in-time injection per prompt: local search only, no LLM calls
+    enabled: true,
+    timeoutMs: 400,
+    minPromptLength: 12,
+    maxMemories: 3,
+    maxTokens: 600,
+    minRelevance: 0.3,
+    format: 'compact',
+    // 'bm25' keeps the embedding model out of the 400ms budget; 'hybrid' adds vector search
+    searchMode: 'bm25',
+  },
+
+  postToolUse: {
+    // Learn corrections/skills from failing commands that start passing
+    enabled: true,
+  },
+
   sessionEnd: {
     enabled: true,
     minSessionLength: 3,
     extractionThreshold: 0.7,
     confirmUncertain: false,
+    // Score injected memories by whether the transcript references them
+    trackReferences: true,
+  },
+
+  extraction: {
+    // 'auto': LLM when a backend is available, rule-based otherwise (and when
+    // the LLM call fails); 'llm': LLM only; 'heuristic': rule-based only
+    mode: 'auto',
   },
 
   queryOrchestrator: {
@@ -229,12 +261,82 @@ const DEFAULT_CONFIG = {
     },
   },
 
+  embedding: {
+    // Any key of EMBEDDING_MODELS; other models also need a dimension.
+    // Changing the model re-embeds memories on the next backfill-vectors run.
+    model: 'Xenova/all-MiniLM-L6-v2',
+  },
+
+  reranking: {
+    // Cross-encoder pass over the top fused search results (downloads the model on first use)
+    enabled: false,
+    model: 'Xenova/ms-marco-MiniLM-L-6-v2',
+    topN: 20,
+    // Hooks run under a latency budget and skip re-ranking unless this is set
+    hooks: false,
+  },
+
+  spreadingActivation: {
+    // Recall memories linked to the top search hits through neural network synapses
+    enabled: false,
+    weight: 0.3, // RRF weight next to BM25 (1 - vectorWeight) and vector
+    hops: 2,
+    decay: 0.5, // Activation kept per hop
+    seeds: 5, // Top BM25 and vector hits that seed activation
+  },
+
+  redaction: {
+    // Scrub secrets/PII from captured text before the WriteGate and persistence
+    enabled: true,
+    mode: 'mask', // mask | hash | drop
+    disabledDetectors: [], // e.g. ['ipv4', 'email']
+    rules: [], // [{ name, pattern, flags?, mode? }], e.g. internal hostnames
+  },
+
+  encryption: {
+    // Encrypt memory content/summary at rest (secret: CORTEX_ENCRYPTION_SECRET).
+    // Convert existing data with `cortex encrypt --migrate`.
+    enabled: false,
+    keyFile: '~/.claude/memory/data/encryption.json',
+  },
+
+  budget: {
+    // Spend limits in USD for direct Anthropic API calls (null = unlimited).
+    // Over budget, Haiku falls back to local search and Sonnet calls are refused.
+    enabled: true,
+    dailyUsd: null,
+    monthlyUsd: null,
+    prices: {}, // { 'claude-haiku-4-5': { inputPerMillion, outputPerMillion } } overrides
+  },
+
+  llm: {
+    // OpenAI-compatible local server (llama.cpp, Ollama, vLLM). When enabled it
+    // replaces the Anthropic API whenever MCP Sampling is unavailable.
+    local: {
+      enabled: false,
+      baseUrl: 'http://localhost:11434/v1',
+      apiKey: null, // Sent as a Bearer token, for servers started with --api-key
+      models: { fast: 'llama3.1:8b', deep: 'llama3.1:8b' }, // Haiku-class / Sonnet-class work
+      timeoutMs: 60000,
+    },
+  },
+
   storage: {
     basePath: '~/.claude/memory',
     maxSizeMB: 100,
     retentionDays: 365,
   },
 
+  apiServer: {
+    port: 4000,
+    auth: {
+      enabled: true,
+    },
+    cors: {
+      allowedOrigins: [],
+    },
+  },
+
   errorHandling: {
     circuitBreaker: {
       threshold: 5,
@@ -294,22 +294,70 @@ function validateBoolean(value, options = {}) {
   throw new ValidationError(`${fieldName} must be a boolean`);
 }
 
+/**
+ * Validate an ISO 8601 timestamp
+ * @param {*} value - Value to validate
+ * @param {Object} options - Validation options
+ * @returns {string|undefined} Normalized ISO timestamp
+ * @throws {ValidationError} If validation fails
+ */
+function validateTimestamp(value, options = {}) {
+  const {
+    fieldName = 'value',
+    required = false,
+    defaultValue = undefined,
+  } = options;
+
+  // Handle null/undefined/empty
+  if (value === null || value === undefined || value === '') {
+    if (required) {
+      throw new ValidationError(`${fieldName} is required`);
+    }
+    return defaultValue;
+  }
+
+  if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+    throw new ValidationError(`${fieldName} must be an ISO 8601 timestamp`);
+  }
+
+  return new Date(value).toISOString();
+}
+
 // =============================================================================
 // TOOL-SPECIFIC VALIDATORS
 // =============================================================================
 
 /**
  * Validate cortex__query arguments
+ *
+ * Filter DSL terms (type:decision tag:auth ...) are accepted inline in the
+ * query and in the separate `filter` string; they are stripped from the
+ * returned query and merged into `filters`.
+ *
  * @param {Object} args - Tool arguments
  * @returns {Object} Validated arguments
  */
 function validateQueryArgs(args = {}) {
+  const { parseQueryFilters, mergeQueryFilters } = require('./query-filters.cjs');
+
+  const inline = parseQueryFilters(validateString(args.query, {
+    fieldName: 'query',
+    maxLength: MAX_LENGTHS.query,
+    required: true,
+  }));
+  if (!inline.text) {
+    throw new ValidationError('query must contain search terms besides filters');
+  }
+  const filter = validateString(args.filter, {
+    fieldName: 'filter',
+    maxLength: MAX_LENGTHS.context,
+    required: false,
+  });
+  const separate = filter ? parseQueryFilters(filter, { strict: true }) : { filters: {} };
+
   return {
-    query: validateString(args.query, {
-      fieldName: 'query',
-      maxLength: MAX_LENGTHS.query,
-      required: true,
-    }),
+    query: inline.text,
+    filters: mergeQueryFilters(inline.filters, separate.filters),
     sources: validateArray(args.sources, {
       fieldName: 'sources',
       maxItems: 5,
@@ -326,6 +374,12 @@ function validateQueryArgs(args = {}) {
       integer: true,
       defaultValue: 10,
     }),
+    asOf: validateTimestamp(args.asOf, { fieldName: 'asOf' }),
+    knownAt: validateTimestamp(args.knownAt, { fieldName: 'knownAt' }),
+    includeSuperseded: validateBoolean(args.includeSuperseded, {
+      fieldName: 'includeSuperseded',
+      defaultValue: false,
+    }),
   };
 }
 
@@ -345,6 +399,12 @@ function validateRecallArgs(args = {}) {
       ['skill', 'pattern', 'decision', 'insight', 'any'],
       { fieldName: 'type', defaultValue: 'any' }
     ),
+    asOf: validateTimestamp(args.asOf, { fieldName: 'asOf' }),
+    knownAt: validateTimestamp(args.knownAt, { fieldName: 'knownAt' }),
+    includeSuperseded: validateBoolean(args.includeSuperseded, {
+      fieldName: 'includeSuperseded',
+      defaultValue: false,
+    }),
   };
 }
 
@@ -449,6 +509,39 @@ function validateConsolidateArgs(args = {}) {
   };
 }
 
+/**
+ * Validate cortex__history arguments
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Validated arguments
+ */
+function validateHistoryArgs(args = {}) {
+  const action = validateEnum(args.action,
+    ['list', 'diff', 'restore'],
+    { fieldName: 'action', defaultValue: 'list' }
+  );
+  const versionOptions = { min: 1, integer: true };
+
+  return {
+    id: validateString(args.id, {
+      fieldName: 'id',
+      maxLength: MAX_LENGTHS.id,
+      required: true,
+    }),
+    action,
+    from: validateNumber(args.from, {
+      ...versionOptions,
+      fieldName: 'from',
+      required: action === 'diff',
+    }),
+    to: validateNumber(args.to, { ...versionOptions, fieldName: 'to' }),
+    version: validateNumber(args.version, {
+      ...versionOptions,
+      fieldName: 'version',
+      required: action === 'restore',
+    }),
+  };
+}
+
 // =============================================================================
 // VALIDATION ERROR CLASS
 // =============================================================================
@@ -491,6 +584,7 @@ module.exports = {
   validateLearnArgs,
   validateConsolidateArgs,
   validateForgetArgs,
+  validateHistoryArgs,
 
   // Constants
   MAX_LENGTHS,
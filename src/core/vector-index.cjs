@@ -9,6 +9,7 @@
  * - Memory ID to index position mapping
  * - Soft delete support (marks as deleted)
  * - Automatic index resizing
+ * - Embedding model tracking (a model or dimension change requires a rebuild)
  * - Comprehensive statistics
  *
  * @version 1.0.0
@@ -19,7 +20,7 @@
 const fs = require('fs');
 const path = require('path');
 const { expandPath } = require('./types.cjs');
-const { EMBEDDING_DIM } = require('./embedder.cjs');
+const { EMBEDDING_DIM, DEFAULT_MODEL } = require('./embedder.cjs');
 
 // =============================================================================
 // CONSTANTS
@@ -51,6 +52,7 @@ class VectorIndex {
   /**
    * @param {Object} options
    * @param {number} [options.dimension] - Vector dimension (default: 384)
+   * @param {string} [options.model] - Embedding model the vectors come from (default: all-MiniLM-L6-v2)
    * @param {number} [options.maxElements] - Maximum vectors (default: 100000)
    * @param {number} [options.M] - HNSW M parameter (default: 16)
    * @param {number} [options.efConstruction] - Build quality (default: 200)
@@ -61,6 +63,7 @@ class VectorIndex {
    */
   constructor(options = {}) {
     this.dimension = options.dimension || EMBEDDING_DIM;
+    this.model = options.model || DEFAULT_MODEL;
     this.maxElements = options.maxElements || DEFAULT_MAX_ELEMENTS;
     this.M = options.M || DEFAULT_M;
     this.efConstruction = options.efConstruction || DEFAULT_EF_CONSTRUCTION;
@@ -80,6 +83,10 @@ class VectorIndex {
     this.index = null;
     this.initialized = false;
 
+    // Set when the persisted index was built with another model or dimension
+    this.rebuildRequired = false;
+    this.previous = null;
+
     // ID mapping: memory ID <-> HNSW index position
     this.idToPosition = new Map();  // memory_id -> index_position
     this.positionToId = new Map();  // index_position -> memory_id
@@ -104,8 +111,11 @@ class VectorIndex {
   // ===========================================================================
 
   /**
-   * Initialize the index - load existing or create new
-   * @returns {Promise<{loaded: boolean, vectorCount: number}>}
+   * Initialize the index - load existing or create new.
+   * A persisted index built with a different model or dimension is not
+   * loaded; the index starts empty with rebuildRequired set.
+   *
+   * @returns {Promise<{loaded: boolean, vectorCount: number, rebuildRequired?: boolean}>}
    */
   async initialize() {
     if (this.initialized) {
@@ -134,7 +144,32 @@ class VectorIndex {
     const indexExists = fs.existsSync(this.indexPath);
     const mappingExists = fs.existsSync(this.mappingPath);
 
+    let mappingData = null;
     if (indexExists && mappingExists) {
+      try {
+        mappingData = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
+      } catch (error) {
+        console.error(`[VectorIndex] Failed to read mapping: ${error.message}`);
+      }
+    }
+
+    if (mappingData) {
+      // Mappings saved before model tracking were always MiniLM
+      const savedModel = mappingData.model || DEFAULT_MODEL;
+      const savedDimension = mappingData.dimension || EMBEDDING_DIM;
+
+      if (savedModel !== this.model || savedDimension !== this.dimension) {
+        this.rebuildRequired = true;
+        this.previous = { model: savedModel, dimension: savedDimension };
+        console.error(
+          `[VectorIndex] Index was built with ${savedModel} (${savedDimension}d), ` +
+          `now using ${this.model} (${this.dimension}d); rebuild required`
+        );
+        mappingData = null;
+      }
+    }
+
+    if (mappingData) {
       try {
         // Initialize index structure before loading (required by hnswlib-node)
         this.index.initIndex(this.maxElements, this.M, this.efConstruction);
@@ -142,11 +177,6 @@ class VectorIndex {
         this.index.readIndex(this.indexPath, true);
         this.index.setEf(this.efSearch);
 
-        // Load ID mapping
-        const mappingData = JSON.parse(
-          fs.readFileSync(this.mappingPath, 'utf8')
-        );
-
         this.nextPosition = mappingData.nextPosition || 0;
 
         // Rebuild maps from saved data
@@ -172,6 +202,9 @@ class VectorIndex {
         // Corrupted index - reinitialize
         console.error(`[VectorIndex] Failed to load index: ${error.message}`);
         console.error('[VectorIndex] Creating new index...');
+        this.idToPosition.clear();
+        this.positionToId.clear();
+        this.index = new HierarchicalNSW(this.space, this.dimension);
       }
     }
 
@@ -184,6 +217,7 @@ class VectorIndex {
     return {
       loaded: false,
       vectorCount: 0,
+      ...(this.rebuildRequired && { rebuildRequired: true, previous: this.previous }),
     };
   }
 
@@ -373,6 +407,22 @@ class VectorIndex {
     return this.idToPosition.get(id) ?? null;
   }
 
+  /**
+   * Get the stored vector for an ID
+   *
+   * @param {string} id - Memory ID
+   * @returns {Float32Array|null} Vector (normalized for cosine space), or null if not indexed
+   */
+  getVector(id) {
+    this._ensureInitialized();
+
+    const position = this.idToPosition.get(id);
+    if (position === undefined) {
+      return null;
+    }
+    return Float32Array.from(this.index.getPoint(position));
+  }
+
   // ===========================================================================
   // PERSISTENCE
   // ===========================================================================
@@ -412,6 +462,7 @@ class VectorIndex {
       // Save ID mapping (use temp pattern for JSON - fs.writeFileSync is synchronous)
       const mappingData = {
         version: 1,
+        model: this.model,
         dimension: this.dimension,
         nextPosition: this.nextPosition,
         idToPosition: Object.fromEntries(this.idToPosition),
@@ -507,6 +558,35 @@ class VectorIndex {
     };
   }
 
+  /**
+   * Drop every vector so the index can be rebuilt from stored embeddings
+   * (after a model change). Clears rebuildRequired.
+   *
+   * @returns {{removed: number}}
+   */
+  reset() {
+    this._ensureInitialized();
+
+    const removed = this.stats.vectorCount;
+
+    const hnswlib = require('hnswlib-node');
+    this.index = new hnswlib.HierarchicalNSW(this.space, this.dimension);
+    this.index.initIndex(this.maxElements, this.M, this.efConstruction);
+    this.index.setEf(this.efSearch);
+
+    this.idToPosition.clear();
+    this.positionToId.clear();
+    this.deletedPositions.clear();
+    this.nextPosition = 0;
+    this.stats.vectorCount = 0;
+    this.stats.deletedCount = 0;
+
+    this.rebuildRequired = false;
+    this.previous = null;
+
+    return { removed };
+  }
+
   // ===========================================================================
   // PRIVATE METHODS
   // ===========================================================================
@@ -567,7 +647,9 @@ class VectorIndex {
 
     return {
       initialized: this.initialized,
+      model: this.model,
       dimension: this.dimension,
+      rebuildRequired: this.rebuildRequired,
       maxElements: this.maxElements,
       space: this.space,
       M: this.M,
@@ -2,10 +2,12 @@
  * Cortex - Claude's Cognitive Layer - Vector Search Provider
  *
  * Unified coordinator for all vector search components:
- * - Embedder: Local embedding generation (all-MiniLM-L6-v2)
+ * - Embedder: Local embedding generation (all-MiniLM-L6-v2 or a configured model)
  * - VectorIndex: HNSW approximate nearest neighbor
  * - MemoryStore: SQLite + FTS5 storage
  * - HybridSearch: BM25 + Vector with RRF fusion
+ * - CrossEncoderReranker: optional re-ranking of the top fused results
+ * - NeuralNetwork: optional spreading activation channel for HybridSearch
  *
  * This provider solves the MCP process isolation problem by keeping
  * all vector operations within a single process.
@@ -19,9 +21,13 @@ const path = require('path');
 const fs = require('fs');
 const { expandPath } = require('./types.cjs');
 const { getSharedEmbedder } = require('./embedder-provider.cjs');
+const { backfillEmbeddings, getModelId } = require('./embedding-backfill.cjs');
 const { VectorIndex } = require('./vector-index.cjs');
 const { MemoryStore } = require('./memory-store.cjs');
 const { HybridSearch } = require('./hybrid-search.cjs');
+const { CrossEncoderReranker } = require('./reranker.cjs');
+const { NeuralNetwork } = require('./neural-network.cjs');
+const { getConfigSection } = require('./config.cjs');
 
 // =============================================================================
 // CONSTANTS
@@ -48,6 +54,11 @@ class VectorSearchProvider {
    * @param {Object} options
    * @param {string} [options.basePath] - Base path for data storage
    * @param {Object} [options.embedder] - Embedder configuration
+   * @param {Object|false} [options.reranker] - Reranker settings ({enabled, model, topN}) merged over
+   *   the `reranking` config section; false disables re-ranking
+   * @param {Object|false} [options.spreadingActivation] - Spreading activation settings
+   *   ({enabled, weight, hops, decay, seeds}) merged over the `spreadingActivation` config
+   *   section; false disables the channel
    * @param {Object} [options.vectorIndex] - VectorIndex configuration
    * @param {Object} [options.memoryStore] - MemoryStore configuration
    * @param {Object} [options.hybridSearch] - HybridSearch configuration
@@ -64,9 +75,12 @@ class VectorSearchProvider {
     this._vectorIndex = null;
     this._memoryStore = null;
     this._hybridSearch = null;
+    this._neuralNetwork = null;
 
     // Configuration for each component
     this._embedderConfig = options.embedder || {};
+    this._rerankerConfig = options.reranker;
+    this._activationConfig = options.spreadingActivation;
     this._vectorIndexConfig = {
       indexPath: `${this.basePath}/data/vector/index.bin`,
       mappingPath: `${this.basePath}/data/vector/mapping.json`,
@@ -157,13 +171,18 @@ class VectorSearchProvider {
         throw error;
       }
 
-      // 3. Initialize VectorIndex (HNSW)
+      // 3. Initialize VectorIndex (HNSW), sized for the configured model
       try {
-        this._vectorIndex = new VectorIndex(this._vectorIndexConfig);
+        this._vectorIndex = new VectorIndex({
+          dimension: this._embedder.getDimension(),
+          model: this._embedder.modelId,
+          ...this._vectorIndexConfig,
+        });
         const indexResult = await this._vectorIndex.initialize();
         results.vectorIndex.success = true;
         results.vectorIndex.loaded = indexResult.loaded;
         results.vectorIndex.vectorCount = indexResult.vectorCount;
+        results.vectorIndex.rebuildRequired = !!indexResult.rebuildRequired;
       } catch (error) {
         results.vectorIndex.error = error.message;
         throw error;
@@ -177,6 +196,9 @@ class VectorSearchProvider {
           store: this._memoryStore.store,
           vectorIndex: this._vectorIndex,
           embedder: this._embedder,
+          reranker: this._createReranker(),
+          encryption: this._memoryStore.encryption,
+          ...(await this._createActivationOptions()),
           ...this._hybridSearchConfig,
         });
         results.hybridSearch.success = true;
@@ -247,6 +269,14 @@ class VectorSearchProvider {
    * @param {string} [options.projectHash] - Filter by project
    * @param {string} [options.source] - Filter by source
    * @param {number} [options.vectorWeight=0.5] - Weight for vector search (0-1)
+   * @param {string} [options.asOf] - Valid time for point-in-time queries
+   * @param {string} [options.knownAt] - Transaction time for point-in-time queries
+   * @param {boolean} [options.includeSuperseded=false] - Include superseded versions
+   * @param {import('./query-filters.cjs').QueryFilters} [options.filters] - Parsed filter DSL terms
+   * @param {boolean} [options.rerank=true] - Apply the configured reranker (false skips it)
+   * @param {boolean} [options.activation=true] - Apply spreading activation when enabled (false skips it)
+   * @param {string} [options.mode='hybrid'] - 'hybrid', 'bm25' (no embedding) or 'vector'
+   * @param {string} [options.referenceTime] - Clock for temporal decay (default: now)
    * @returns {Promise<{results: Array, stats: Object}>}
    */
   async search(query, options = {}) {
@@ -267,10 +297,13 @@ class VectorSearchProvider {
     }
 
     try {
-      // Convert types array to memoryType (HybridSearch expects singular param)
-      const memoryType = Array.isArray(options.types) && options.types.length > 0
-        ? options.types[0]
-        : options.types;
+      // Convert types array to memoryType (HybridSearch expects singular param);
+      // a type: filter term takes over type selection
+      const memoryType = options.filters?.types
+        ? undefined
+        : Array.isArray(options.types) && options.types.length > 0
+          ? options.types[0]
+          : options.types;
 
       const results = await this._hybridSearch.search(query, {
         limit: options.limit || DEFAULT_SEARCH_LIMIT,
@@ -278,7 +311,16 @@ class VectorSearchProvider {
         projectHash: options.projectHash,
         source: options.source,
         vectorWeight: options.vectorWeight,
+        asOf: options.asOf,
+        knownAt: options.knownAt,
+        includeSuperseded: options.includeSuperseded,
+        filters: options.filters,
+        rerank: options.rerank,
+        activation: options.activation,
+        mode: options.mode,
+        referenceTime: options.referenceTime,
       });
+      const timings = this._hybridSearch.stats.lastTimings;
 
       // Update stats
       const queryTime = Date.now() - startTime;
@@ -294,7 +336,9 @@ class VectorSearchProvider {
         stats: {
           queryTimeMs: queryTime,
           resultCount: results.length,
-          searchType: 'hybrid',
+          searchType: options.mode || 'hybrid',
+          reranked: results.some(r => r.rerankScore !== undefined),
+          timings,
         },
       };
     } catch (error) {
@@ -404,6 +448,7 @@ class VectorSearchProvider {
       const result = await this._memoryStore.insert({
         ...memory,
         embedding,
+        embedding_model: embedding ? this._getModelId() : null,
       });
 
       // Add to vector index if embedding was generated
@@ -459,9 +504,10 @@ class VectorSearchProvider {
    *
    * @param {string} id - Memory ID
    * @param {Object} updates - Fields to update
+   * @param {Object} [options={}] - Version attribution ({changedBy, reason}), see MemoryStore.update
    * @returns {Promise<{success: boolean}>}
    */
-  async update(id, updates) {
+  async update(id, updates, options = {}) {
     this._ensureInitialized();
 
     try {
@@ -469,13 +515,14 @@ class VectorSearchProvider {
       if (updates.content || updates.summary) {
         const textToEmbed = updates.summary || updates.content;
         updates.embedding = await this._embedder.embed(textToEmbed);
+        updates.embedding_model = this._getModelId();
 
         // Update vector index
         this._vectorIndex.add(id, updates.embedding);
       }
 
       // MemoryStore.update() returns boolean, not object with .changes
-      const success = this._memoryStore.update(id, updates);
+      const success = this._memoryStore.update(id, updates, options);
 
       if (success) {
         this.stats.totalUpdates++;
@@ -488,6 +535,61 @@ class VectorSearchProvider {
     }
   }
 
+  /**
+   * Restore an earlier version of a memory and re-embed it
+   *
+   * @param {string} id - Memory ID
+   * @param {number} version - Version to restore
+   * @param {Object} [options={}]
+   * @param {string} [options.changedBy] - Who made the change
+   * @returns {Promise<Object|null>} Restored memory, or null if the version does not exist
+   */
+  async restoreVersion(id, version, options = {}) {
+    this._ensureInitialized();
+
+    const restored = this._memoryStore.restoreVersion(id, version, options);
+    if (!restored) return null;
+
+    const embedding = await this._embedder.embed(restored.summary || restored.content);
+    this._memoryStore.setEmbedding(id, embedding, this._getModelId());
+    this._vectorIndex.add(id, embedding);
+    this.stats.totalUpdates++;
+
+    return restored;
+  }
+
+  /**
+   * Re-embed memories whose content was changed directly in the MemoryStore
+   * (e.g. notes pushed back by an Obsidian vault sync)
+   *
+   * @param {string[]} ids - Memory IDs
+   * @returns {Promise<{reembedded: number, missing: string[]}>}
+   */
+  async reembed(ids) {
+    this._ensureInitialized();
+
+    let reembedded = 0;
+    const missing = [];
+    for (const id of ids) {
+      const memory = this._memoryStore.get(id);
+      if (!memory) {
+        missing.push(id);
+        continue;
+      }
+      const embedding = await this._embedder.embed(memory.summary || memory.content);
+      this._memoryStore.setEmbedding(id, embedding, this._getModelId());
+      this._vectorIndex.add(id, embedding);
+      reembedded++;
+    }
+
+    if (reembedded > 0) {
+      this.stats.totalUpdates += reembedded;
+      await this._vectorIndex.save();
+    }
+
+    return { reembedded, missing };
+  }
+
   /**
    * Delete a memory
    *
@@ -536,11 +638,12 @@ class VectorSearchProvider {
    * Generate embedding for text
    *
    * @param {string} text - Input text
-   * @returns {Promise<Float32Array>} 384-dimensional vector
+   * @param {Object} [options] - Embedder options ({type: 'query'|'document'})
+   * @returns {Promise<Float32Array>} Vector of the embedder's dimension
    */
-  async embed(text) {
+  async embed(text, options = {}) {
     this._ensureInitialized();
-    return this._embedder.embed(text);
+    return this._embedder.embed(text, options);
   }
 
   /**
@@ -553,58 +656,87 @@ class VectorSearchProvider {
   }
 
   /**
-   * Backfill embeddings for memories that don't have them
+   * Embed memories that have no embedding or one from a different model,
+   * then bring the vector index up to date (see embedding-backfill.cjs)
    *
    * @param {Object} [options] - Options
    * @param {number} [options.batchSize=50] - Batch size
+   * @param {boolean} [options.rebuild=false] - Rebuild the index even if it matches the model
    * @param {Function} [options.onProgress] - Progress callback
-   * @returns {Promise<{processed: number, skipped: number, errors: number}>}
+   * @returns {Promise<{processed: number, errors: number, failedIds: string[], rebuilt: boolean, indexed: number}>}
    */
   async backfillEmbeddings(options = {}) {
     this._ensureInitialized();
 
-    const batchSize = options.batchSize || 50;
-    const onProgress = options.onProgress || (() => {});
+    const result = await backfillEmbeddings({
+      memoryStore: this._memoryStore,
+      vectorIndex: this._vectorIndex,
+      embedder: this._embedder,
+    }, options);
 
-    let processed = 0;
-    let skipped = 0;
-    let errors = 0;
-    let offset = 0;
+    // Save vector index after backfill
+    await this._vectorIndex.save();
 
-    while (true) {
-      // Get memories without embeddings
-      const memories = this._memoryStore.listWithoutEmbedding(batchSize, offset);
+    return result;
+  }
 
-      if (memories.length === 0) {
-        break;
-      }
+  /**
+   * Create the cross-encoder reranker when re-ranking is enabled
+   * @private
+   * @returns {CrossEncoderReranker|null}
+   */
+  _createReranker() {
+    if (this._rerankerConfig === false) return null;
 
-      for (const memory of memories) {
-        try {
-          const textToEmbed = memory.summary || memory.content;
-          const embedding = await this._embedder.embed(textToEmbed);
+    const settings = { ...getConfigSection('reranking', {}), ...this._rerankerConfig };
+    if (!settings.enabled) return null;
 
-          // Update memory with embedding
-          this._memoryStore.setEmbedding(memory.id, embedding);
+    return new CrossEncoderReranker({ model: settings.model, topN: settings.topN });
+  }
 
-          // Add to vector index
-          this._vectorIndex.add(memory.id, embedding);
+  /**
+   * Load the neural network as HybridSearch's activation graph when
+   * spreading activation is enabled. The graph is read once here; neurons
+   * added by other processes are seen after the next initialize().
+   * @private
+   * @returns {Promise<Object>} HybridSearch activation options ({} when disabled)
+   */
+  async _createActivationOptions() {
+    if (this._activationConfig === false) return {};
 
-          processed++;
-        } catch (error) {
-          errors++;
-          console.error(`[VectorSearchProvider] Backfill error for ${memory.id}: ${error.message}`);
-        }
-      }
+    const settings = { ...getConfigSection('spreadingActivation', {}), ...this._activationConfig };
+    if (!settings.enabled) return {};
 
-      offset += batchSize;
-      onProgress({ processed, skipped, errors, total: offset });
+    try {
+      this._neuralNetwork = new NeuralNetwork({
+        basePath: `${this.basePath}/neural`,
+        dbPath: this._memoryStoreConfig.dbPath,
+        encryption: this._memoryStore.encryption,
+      });
+      await this._neuralNetwork.initialize();
+    } catch (error) {
+      // Search works without the graph; only the third channel is lost
+      console.error(`[VectorSearchProvider] Spreading activation disabled: ${error.message}`);
+      this._neuralNetwork = null;
+      return {};
     }
 
-    // Save vector index after backfill
-    await this._vectorIndex.save();
+    return {
+      activationGraph: this._neuralNetwork,
+      activationWeight: settings.weight,
+      activationHops: settings.hops,
+      activationDecay: settings.decay,
+      activationSeeds: settings.seeds,
+    };
+  }
 
-    return { processed, skipped, errors };
+  /**
+   * Model ID recorded with new embeddings
+   * @private
+   * @returns {string}
+   */
+  _getModelId() {
+    return getModelId(this._embedder);
   }
 
   // ===========================================================================
@@ -639,6 +771,8 @@ class VectorSearchProvider {
 
     // Close memory store
     this._memoryStore.close();
+    this._neuralNetwork?.close();
+    this._neuralNetwork = null;
 
     this.initialized = false;
     this.stats.initialized = false;
@@ -671,6 +805,7 @@ class VectorSearchProvider {
       vectorIndex: this._vectorIndex?.getStats() || null,
       memoryStore: this._memoryStore?.getStats() || null,
       hybridSearch: this._hybridSearch?.getStats() || null,
+      reranker: this._hybridSearch?.reranker?.getStats?.() || null,
     };
   }
 
@@ -684,6 +819,7 @@ class VectorSearchProvider {
       embedder: { healthy: false, message: '' },
       vectorIndex: { healthy: false, message: '' },
       memoryStore: { healthy: false, message: '' },
+      search: { healthy: true, message: '' },
     };
 
     if (!this.initialized) {
@@ -718,6 +854,11 @@ class VectorSearchProvider {
       checks.memoryStore.message = e.message;
     }
 
+    // Encrypted stores search by vector only (FTS5 would index ciphertext)
+    checks.search.message = this._hybridSearch.bm25Enabled
+      ? 'Hybrid (BM25 + vector)'
+      : 'Vector only: BM25 disabled, memory content is encrypted at rest';
+
     const healthy = Object.values(checks).every(c => c.healthy);
     return { healthy, checks };
   }
@@ -0,0 +1,591 @@
+/**
+ * Cortex HTTP API Bridge - OpenAPI Document
+ *
+ * Machine-readable description of every route exposed by api-server.cjs,
+ * served at GET /api/openapi.json. Keep this in sync with the route table.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { MEMORY_TYPES, MEMORY_STATUSES } = require('../core/memory-store.cjs');
+
+// =============================================================================
+// SHARED FRAGMENTS
+// =============================================================================
+
+const idParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Memory ID',
+  schema: { type: 'string' },
+};
+
+const FILTER_DESCRIPTION = 'Filter terms: type:<t>[,<t>], tag:<tag>, source:<s>, project:current|global|all|<hash>, ' +
+  'status:<s>, after:<date|7d>, before:<date|7d>, quality|confidence|usage with > >= < <=; ' +
+  'prefix type/tag/source with - to exclude';
+
+const versionParam = {
+  name: 'version',
+  in: 'path',
+  required: true,
+  description: 'Version number',
+  schema: { type: 'integer', minimum: 1 },
+};
+
+/**
+ * Reference a standard error response
+ * @param {string} description
+ * @returns {Object}
+ */
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+  };
+}
+
+/**
+ * Reference a JSON schema component as a response
+ * @param {string} description
+ * @param {string} schemaName
+ * @returns {Object}
+ */
+function jsonResponse(description, schemaName) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } },
+  };
+}
+
+// =============================================================================
+// DOCUMENT BUILDER
+// =============================================================================
+
+/**
+ * Build the OpenAPI 3.0 document for the API bridge
+ *
+ * @param {Object} [options]
+ * @param {string} [options.version] - API version string
+ * @param {string} [options.serverUrl] - Base URL advertised in `servers`
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiSpec(options = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Cortex HTTP API Bridge',
+      version: options.version || '1.0.0',
+      description: 'REST access to Cortex memories for dashboards, Web UIs and other agents.',
+    },
+    servers: options.serverUrl ? [{ url: options.serverUrl }] : [],
+    security: [{ bearerAuth: [] }],
+    paths: {
+      '/api/openapi.json': {
+        get: {
+          summary: 'This document',
+          operationId: 'getOpenApi',
+          security: [],
+          responses: { 200: { description: 'OpenAPI document' } },
+        },
+      },
+      '/api/stats': {
+        get: {
+          summary: 'Store statistics and health',
+          operationId: 'getStats',
+          responses: { 200: jsonResponse('Statistics', 'Stats') },
+        },
+      },
+      '/api/spend': {
+        get: {
+          summary: 'Haiku/Sonnet API spend for the current UTC day and month, against budgets',
+          operationId: 'getSpend',
+          responses: { 200: jsonResponse('Spend report', 'Spend') },
+        },
+      },
+      '/api/search': {
+        get: {
+          summary: 'Hybrid (BM25 + vector) search',
+          operationId: 'search',
+          parameters: [
+            { name: 'q', in: 'query', required: true, description: 'Query text; may contain filter terms (type:decision tag:auth quality>0.7 ...)', schema: { type: 'string' } },
+            { name: 'filter', in: 'query', description: FILTER_DESCRIPTION, schema: { type: 'string' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 10, minimum: 1, maximum: 100 } },
+            { name: 'asOf', in: 'query', description: 'Valid time: only memories that were true at this instant', schema: { type: 'string', format: 'date-time' } },
+            { name: 'knownAt', in: 'query', description: 'Transaction time: only memories recorded by this instant', schema: { type: 'string', format: 'date-time' } },
+            { name: 'includeSuperseded', in: 'query', description: 'Also return superseded versions (flagged superseded: true)', schema: { type: 'boolean', default: false } },
+          ],
+          responses: {
+            200: jsonResponse('Search results', 'SearchResults'),
+            400: errorResponse('Invalid timestamp or filter term'),
+          },
+        },
+      },
+      '/api/query': {
+        post: {
+          summary: 'Hybrid search with a JSON body',
+          operationId: 'query',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    query: { type: 'string' },
+                    filter: { type: 'string', description: FILTER_DESCRIPTION },
+                    limit: { type: 'integer', default: 10, minimum: 1, maximum: 100 },
+                    asOf: { type: 'string', format: 'date-time' },
+                    knownAt: { type: 'string', format: 'date-time' },
+                    includeSuperseded: { type: 'boolean', default: false },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: jsonResponse('Search results', 'SearchResults'),
+            400: errorResponse('Invalid JSON payload'),
+          },
+        },
+      },
+      '/api/memories': {
+        get: {
+          summary: 'List memories with filters and pagination',
+          operationId: 'listMemories',
+          parameters: [
+            { name: 'type', in: 'query', schema: { type: 'string', enum: MEMORY_TYPES } },
+            { name: 'source', in: 'query', schema: { type: 'string' } },
+            { name: 'project', in: 'query', description: 'Project hash (global memories are included)', schema: { type: 'string' } },
+            { name: 'status', in: 'query', schema: { type: 'string', enum: MEMORY_STATUSES, default: 'active' } },
+            { name: 'tags', in: 'query', description: 'Comma-separated, matches any', schema: { type: 'string' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 50, maximum: 1000 } },
+            { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+            { name: 'orderBy', in: 'query', schema: { type: 'string', enum: ['created_at', 'updated_at', 'quality_score', 'strength'] } },
+            { name: 'order', in: 'query', schema: { type: 'string', enum: ['ASC', 'DESC'] } },
+          ],
+          responses: {
+            200: jsonResponse('Page of memories', 'MemoryPage'),
+            400: errorResponse('Invalid filter'),
+          },
+        },
+        post: {
+          summary: 'Create a memory',
+          operationId: 'createMemory',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/MemoryInput' } } },
+          },
+          responses: {
+            201: jsonResponse('Created memory', 'Memory'),
+            400: errorResponse('Invalid memory'),
+          },
+        },
+      },
+      '/api/memories/{id}': {
+        parameters: [idParam],
+        get: {
+          summary: 'Fetch a single memory',
+          operationId: 'getMemory',
+          responses: {
+            200: jsonResponse('Memory', 'Memory'),
+            404: errorResponse('Memory not found'),
+          },
+        },
+        patch: {
+          summary: 'Update fields of a memory',
+          operationId: 'updateMemory',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/MemoryUpdate' } } },
+          },
+          responses: {
+            200: jsonResponse('Updated memory', 'Memory'),
+            400: errorResponse('Invalid update'),
+            404: errorResponse('Memory not found'),
+          },
+        },
+        delete: {
+          summary: 'Delete a memory (soft by default)',
+          operationId: 'deleteMemory',
+          parameters: [
+            { name: 'hard', in: 'query', description: 'Permanently remove the row', schema: { type: 'boolean', default: false } },
+          ],
+          responses: {
+            200: {
+              description: 'Deleted',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: { id: { type: 'string' }, deleted: { type: 'boolean' }, hard: { type: 'boolean' } },
+                  },
+                },
+              },
+            },
+            404: errorResponse('Memory not found'),
+          },
+        },
+      },
+      '/api/memories/{id}/invalidate': {
+        parameters: [idParam],
+        post: {
+          summary: 'Close the validity window of a memory (bi-temporal valid_to)',
+          operationId: 'invalidateMemory',
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    validTo: { type: 'string', format: 'date-time', description: 'Defaults to now' },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: jsonResponse('Invalidated memory', 'Memory'),
+            400: errorResponse('Invalid timestamp'),
+            404: errorResponse('Memory not found'),
+          },
+        },
+      },
+      '/api/memories/{id}/versions': {
+        parameters: [idParam],
+        get: {
+          summary: 'List the recorded versions of a memory, oldest first',
+          description: 'Memories that were never edited have no history; their only version is the memory itself.',
+          operationId: 'listMemoryVersions',
+          responses: {
+            200: jsonResponse('Version history', 'VersionList'),
+            404: errorResponse('Memory not found'),
+          },
+        },
+      },
+      '/api/memories/{id}/versions/diff': {
+        parameters: [idParam],
+        get: {
+          summary: 'Compare two versions of a memory',
+          operationId: 'diffMemoryVersions',
+          parameters: [
+            { name: 'from', in: 'query', required: true, schema: { type: 'integer' } },
+            { name: 'to', in: 'query', description: 'Defaults to the current version', schema: { type: 'integer' } },
+          ],
+          responses: {
+            200: jsonResponse('Field changes and line diff of the content', 'VersionDiff'),
+            400: errorResponse('Missing or invalid version numbers'),
+            404: errorResponse('Memory or version not found'),
+          },
+        },
+      },
+      '/api/memories/{id}/versions/{version}': {
+        parameters: [idParam, versionParam],
+        get: {
+          summary: 'Get one version of a memory',
+          operationId: 'getMemoryVersion',
+          responses: {
+            200: jsonResponse('Version snapshot', 'MemoryVersion'),
+            404: errorResponse('Memory or version not found'),
+          },
+        },
+      },
+      '/api/memories/{id}/versions/{version}/restore': {
+        parameters: [idParam, versionParam],
+        post: {
+          summary: 'Restore the content of an earlier version (recorded as a new version)',
+          operationId: 'restoreMemoryVersion',
+          responses: {
+            200: jsonResponse('Restored memory', 'Memory'),
+            404: errorResponse('Memory or version not found'),
+          },
+        },
+      },
+      '/api/events': {
+        get: {
+          summary: 'Server-Sent Events stream of memory changes (insert, update, invalidate, delete)',
+          description: 'Each message has `id` (resume with the Last-Event-ID header), `event` (the change type) and a ChangeEvent JSON `data` payload.',
+          operationId: 'streamEvents',
+          parameters: [
+            { name: 'project', in: 'query', description: 'Project hash (global memories are included)', schema: { type: 'string' } },
+            { name: 'type', in: 'query', description: 'Comma-separated memory types', schema: { type: 'string' } },
+            { name: 'Last-Event-ID', in: 'header', description: 'Replay events after this ID', schema: { type: 'integer' } },
+            { name: 'lastEventId', in: 'query', description: 'Same as the Last-Event-ID header', schema: { type: 'integer' } },
+            { name: 'access_token', in: 'query', description: 'Bearer token for clients that cannot set headers (EventSource)', schema: { type: 'string' } },
+          ],
+          responses: {
+            200: {
+              description: 'Event stream',
+              content: { 'text/event-stream': { schema: { $ref: '#/components/schemas/ChangeEvent' } } },
+            },
+            400: errorResponse('Invalid filter'),
+          },
+        },
+      },
+      '/api/vault/export': {
+        post: {
+          summary: 'Export memories into an Obsidian vault on the bridge\'s filesystem (admin scope)',
+          description: 'Incremental: only notes whose rendered text changed are rewritten. Same output as `cortex export-vault`.',
+          operationId: 'exportVault',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['vaultPath'],
+                  properties: {
+                    vaultPath: { type: 'string', description: 'Absolute vault path (~ is expanded)' },
+                    rootFolder: { type: 'string', default: 'Cortex Atlas', description: 'Generated folder inside the vault' },
+                    since: { type: 'string', description: "Only re-render records updated after this ISO time ('last' = previous export)" },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: jsonResponse('Export summary', 'VaultExport'),
+            400: errorResponse('Invalid vault path, root folder or timestamp'),
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Token from `cortex-memory token create`. Scopes: read (GET/search), write (create/update/delete), admin (hard delete, vault export).',
+        },
+      },
+      schemas: {
+        VaultExport: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            exportRoot: { type: 'string' },
+            recordCount: { type: 'integer' },
+            entityCount: { type: 'integer' },
+            changes: {
+              type: 'object',
+              properties: {
+                written: { type: 'integer' },
+                unchanged: { type: 'integer' },
+                removed: { type: 'integer' },
+              },
+            },
+          },
+        },
+        Memory: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            version: { type: 'integer' },
+            content: { type: 'string' },
+            summary: { type: 'string', nullable: true },
+            memory_type: { type: 'string', enum: MEMORY_TYPES },
+            intent: { type: 'string', nullable: true },
+            tags: { type: 'array', items: { type: 'string' } },
+            source: { type: 'string' },
+            source_id: { type: 'string', nullable: true },
+            project_hash: { type: 'string', nullable: true },
+            session_id: { type: 'string', nullable: true },
+            extraction_confidence: { type: 'number' },
+            quality_score: { type: 'number' },
+            usage_count: { type: 'integer' },
+            usage_success_rate: { type: 'number' },
+            last_accessed: { type: 'string', nullable: true },
+            strength: { type: 'number' },
+            decay_score: { type: 'number' },
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+            status: { type: 'string', enum: MEMORY_STATUSES },
+            valid_from: { type: 'string', nullable: true },
+            valid_to: { type: 'string', nullable: true },
+            superseded_by: { type: 'string', nullable: true, description: 'Id of the memory that replaced this one' },
+            ingested_at: { type: 'string', nullable: true },
+          },
+        },
+        MemoryInput: {
+          type: 'object',
+          required: ['content'],
+          properties: {
+            content: { type: 'string' },
+            summary: { type: 'string' },
+            memory_type: { type: 'string', enum: MEMORY_TYPES, default: 'observation' },
+            intent: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            source: { type: 'string', default: 'user' },
+            source_id: { type: 'string' },
+            project_hash: { type: 'string' },
+            session_id: { type: 'string' },
+            extraction_confidence: { type: 'number', minimum: 0, maximum: 1 },
+            quality_score: { type: 'number', minimum: 0, maximum: 1 },
+            valid_from: { type: 'string', format: 'date-time' },
+          },
+        },
+        MemoryUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            content: { type: 'string' },
+            summary: { type: 'string' },
+            memory_type: { type: 'string', enum: MEMORY_TYPES },
+            intent: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            extraction_confidence: { type: 'number', minimum: 0, maximum: 1 },
+            quality_score: { type: 'number', minimum: 0, maximum: 1 },
+            status: { type: 'string', enum: MEMORY_STATUSES },
+            valid_from: { type: 'string', format: 'date-time' },
+            valid_to: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
+        MemoryPage: {
+          type: 'object',
+          properties: {
+            memories: { type: 'array', items: { $ref: '#/components/schemas/Memory' } },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            hasMore: { type: 'boolean' },
+          },
+        },
+        SearchResults: {
+          type: 'object',
+          properties: {
+            results: { type: 'array', items: { type: 'object' } },
+            stats: { type: 'object' },
+          },
+        },
+        MemoryVersion: {
+          type: 'object',
+          properties: {
+            memory_id: { type: 'string' },
+            version: { type: 'integer' },
+            content: { type: 'string' },
+            summary: { type: 'string', nullable: true },
+            memory_type: { type: 'string', enum: MEMORY_TYPES },
+            intent: { type: 'string', nullable: true },
+            tags: { type: 'array', items: { type: 'string' } },
+            quality_score: { type: 'number', nullable: true },
+            status: { type: 'string', enum: MEMORY_STATUSES },
+            valid_from: { type: 'string', nullable: true },
+            valid_to: { type: 'string', nullable: true },
+            superseded_by: { type: 'string', nullable: true },
+            changed_fields: { type: 'array', items: { type: 'string' }, nullable: true, description: 'Fields changed to produce this version (null for the original)' },
+            changed_by: { type: 'string', nullable: true, description: 'e.g. "api:<token name>", "mcp:<client>", "cli"' },
+            change_reason: { type: 'string', nullable: true },
+            created_at: { type: 'string' },
+          },
+        },
+        VersionList: {
+          type: 'object',
+          properties: {
+            memoryId: { type: 'string' },
+            currentVersion: { type: 'integer' },
+            versions: { type: 'array', items: { $ref: '#/components/schemas/MemoryVersion' } },
+          },
+        },
+        VersionDiff: {
+          type: 'object',
+          properties: {
+            memoryId: { type: 'string' },
+            from: { type: 'integer' },
+            to: { type: 'integer' },
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, from: {}, to: {} },
+              },
+            },
+            contentDiff: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  op: { type: 'string', enum: ['equal', 'add', 'remove'] },
+                  line: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        ChangeEvent: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            type: { type: 'string', enum: ['insert', 'update', 'invalidate', 'delete'] },
+            memory_id: { type: 'string' },
+            project_hash: { type: 'string', nullable: true },
+            memory_type: { type: 'string', nullable: true },
+            source: { type: 'string', nullable: true },
+            details: { type: 'object' },
+            created_at: { type: 'string' },
+          },
+        },
+        Stats: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            vectorIndexSize: { type: 'integer' },
+            totalMemories: { type: 'integer' },
+            searchMode: { type: 'string', enum: ['hybrid', 'vector'], description: 'vector when encryption at rest disables BM25' },
+            uptime: { type: 'number' },
+          },
+        },
+        SpendTotals: {
+          type: 'object',
+          properties: {
+            calls: { type: 'integer' },
+            inputTokens: { type: 'integer' },
+            outputTokens: { type: 'integer' },
+            costUsd: { type: 'number' },
+          },
+        },
+        Spend: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', description: 'Whether budgets are enforced' },
+            budgets: {
+              type: 'object',
+              properties: {
+                dailyUsd: { type: 'number', nullable: true },
+                monthlyUsd: { type: 'number', nullable: true },
+              },
+            },
+            today: { $ref: '#/components/schemas/SpendTotals' },
+            month: { $ref: '#/components/schemas/SpendTotals' },
+            byModel: { type: 'object', additionalProperties: { $ref: '#/components/schemas/SpendTotals' } },
+            exceeded: { type: 'string', enum: ['daily', 'monthly'], nullable: true },
+            reason: { type: 'string', nullable: true },
+          },
+        },
+        Error: {
+          type: 'object',
+          description: 'Serialized CortexError (see src/core/errors.cjs)',
+          properties: {
+            error: { type: 'boolean', enum: [true] },
+            code: { type: 'string', example: 'CORTEX_E105' },
+            message: { type: 'string' },
+            category: { type: 'string' },
+            suggestion: { type: 'string' },
+            details: { type: 'string', nullable: true },
+            timestamp: { type: 'string' },
+          },
+        },
+      },
+    },
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  buildOpenApiSpec,
+};
@@ -4,125 +4,1026 @@
  *
  * Lightweight REST API server to expose Cortex memory to external
  * dashboards, Web UIs, or other AI agents without requiring MCP.
+ *
+ * Routes (full schema at GET /api/openapi.json):
+ *   GET    /api/stats
+ *   GET    /api/spend
+ *   GET    /api/search?q=keyword&filter=&limit=10&asOf=&knownAt=&includeSuperseded=
+ *   POST   /api/query
+ *   GET    /api/memories?type=&source=&project=&status=&tags=&limit=&offset=
+ *   POST   /api/memories
+ *   GET    /api/memories/:id
+ *   PATCH  /api/memories/:id
+ *   DELETE /api/memories/:id?hard=true
+ *   POST   /api/memories/:id/invalidate
+ *   GET    /api/memories/:id/versions
+ *   GET    /api/memories/:id/versions/diff?from=&to=
+ *   GET    /api/memories/:id/versions/:version
+ *   POST   /api/memories/:id/versions/:version/restore
+ *   GET    /api/events?project=&type=  (Server-Sent Events, Last-Event-ID replay)
+ *   POST   /api/vault/export  (Obsidian vault export on the bridge's filesystem)
+ *
+ * Every route except /api/openapi.json requires "Authorization: Bearer <token>"
+ * with a scope of read (GET, search), write (create/update/delete) or admin
+ * (hard delete). Tokens are minted with `cortex-memory token create`.
+ * Cross-origin browser access is limited to apiServer.cors.allowedOrigins.
+ *
+ * Errors are serialized CortexError objects (see src/core/errors.cjs).
  */
 
 'use strict';
 
 const http = require('http');
-const url = require('url');
 const path = require('path');
-const fs = require('fs');
+const url = require('url');
 
 const { expandPath } = require('../core/types.cjs');
 const { getVectorSearchProvider } = require('../core/vector-search-provider.cjs');
+const { MEMORY_TYPES, MEMORY_STATUSES } = require('../core/memory-store.cjs');
+const { CortexError } = require('../core/errors.cjs');
+const { ValidationError } = require('../core/validation.cjs');
+const { parseQueryFilters, mergeQueryFilters } = require('../core/query-filters.cjs');
+const { ApiTokenStore, hasScope } = require('../core/api-tokens.cjs');
+const { AuditLogger } = require('../core/audit-logger.cjs');
+const { getConfigManager } = require('../core/config.cjs');
+const { MemoryChangeFeed } = require('../core/memory-events.cjs');
+const { createCostTracker } = require('../core/cost-tracker.cjs');
+const { ObsidianVaultExporter, collectVaultRecords } = require('../core/obsidian-vault.cjs');
+const { buildOpenApiSpec } = require('./api-openapi.cjs');
 
 const CORTEX_HOME = expandPath('~/.claude/memory');
-const PORT = process.env.CORTEX_API_PORT || 4000;
+const VERSION = require('../../package.json').version;
 
-async function startServer() {
-  console.log('🧠 Starting Cortex API Bridge...');
+/** @const {number} Maximum accepted request body size (1MB) */
+const MAX_BODY_BYTES = 1024 * 1024;
 
-  // Initialize Search Provider
-  const vsp = getVectorSearchProvider({ basePath: CORTEX_HOME });
-  await vsp.initialize();
-  console.log('✓ Vector Search Provider loaded');
+/** @const {number} Default page size for GET /api/memories */
+const DEFAULT_PAGE_SIZE = 50;
 
-  const server = http.createServer(async (req, res) => {
-    const parsedUrl = url.parse(req.url, true);
-    
-    // CORS Headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    if (req.method === 'OPTIONS') {
-      res.writeHead(204);
-      return res.end();
+/** @const {number} Default result count for GET /api/search and POST /api/query */
+const DEFAULT_SEARCH_LIMIT = 10;
+
+/** @const {number} Larger search limits are capped (same bound as cortex__query) */
+const MAX_SEARCH_LIMIT = 100;
+
+/** @const {number} Interval between SSE keep-alive comments */
+const SSE_HEARTBEAT_MS = 15000;
+
+/** @const {number} Reconnect delay suggested to SSE clients */
+const SSE_RETRY_MS = 3000;
+
+/** @const {Object<string, number>} HTTP status for CortexError codes */
+const HTTP_STATUS_BY_CODE = {
+  CORTEX_E105: 404,
+  CORTEX_E200: 400,
+  CORTEX_E310: 429,
+  CORTEX_E311: 429,
+  CORTEX_E312: 429,
+  CORTEX_E314: 429,
+  CORTEX_E600: 404,
+  CORTEX_E601: 400,
+  CORTEX_E602: 405,
+  CORTEX_E603: 401,
+  CORTEX_E604: 403,
+  CORTEX_E605: 403,
+};
+
+/** @const {string[]} Fields accepted by PATCH /api/memories/:id */
+const UPDATABLE_FIELDS = [
+  'content', 'summary', 'memory_type', 'intent', 'tags',
+  'extraction_confidence', 'quality_score', 'status',
+  'valid_from', 'valid_to',
+];
+
+// =============================================================================
+// REQUEST HELPERS
+// =============================================================================
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Write a CortexError as a JSON response
+ * @param {http.ServerResponse} res
+ * @param {CortexError} error
+ */
+function sendError(res, error) {
+  sendJson(res, HTTP_STATUS_BY_CODE[error.code] || 500, error.toJSON());
+}
+
+/**
+ * Extract the bearer token from an Authorization header
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Write one Server-Sent Events message
+ * @param {http.ServerResponse} res
+ * @param {Object} event - Change event from MemoryStore
+ */
+function writeSseEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Read and parse a JSON object body
+ * @param {http.IncomingMessage} req
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Allow an empty body (returns {})
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req, options = {}) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new CortexError('CORTEX_E601', { details: `Body exceeds ${MAX_BODY_BYTES} bytes` }));
+        req.destroy();
+        return;
+      }
+      body += chunk.toString();
+    });
+
+    req.on('end', () => {
+      if (body.trim() === '' && options.optional) {
+        return resolve({});
+      }
+      try {
+        const data = JSON.parse(body);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          throw new Error('Body must be a JSON object');
+        }
+        resolve(data);
+      } catch (e) {
+        reject(new CortexError('CORTEX_E601', { details: e.message }));
+      }
+    });
+
+    req.on('error', e => reject(new CortexError('CORTEX_E601', { details: e.message })));
+  });
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ * @param {string|undefined} value
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseIntParam(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw new CortexError('CORTEX_E200', { details: `${name} must be a non-negative integer` });
+  }
+  return num;
+}
+
+/**
+ * Parse a search result limit from a query string or JSON body
+ * @param {string|number|undefined} value
+ * @returns {number} Positive limit, capped at MAX_SEARCH_LIMIT
+ */
+function parseSearchLimit(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_SEARCH_LIMIT;
+  const num = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+  if (!Number.isInteger(num) || num < 1) {
+    throw new CortexError('CORTEX_E200', { details: 'limit must be a positive integer' });
+  }
+  return Math.min(num, MAX_SEARCH_LIMIT);
+}
+
+/**
+ * Decode a path parameter captured by a route pattern
+ * @param {string} value
+ * @returns {string}
+ */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new CortexError('CORTEX_E200', { details: `Malformed percent-encoding in path: ${value}` });
+  }
+}
+
+/**
+ * Describe the caller for version history attribution
+ * @param {Object|null} token - Authorized token record
+ * @returns {string}
+ */
+function describeCaller(token) {
+  return token ? `api:${token.name}` : 'api';
+}
+
+/**
+ * Validate an ISO 8601 timestamp field
+ * @param {*} value
+ * @param {string} name
+ * @returns {string}
+ */
+function parseTimestamp(value, name) {
+  if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+    throw new CortexError('CORTEX_E200', { details: `${name} must be an ISO 8601 timestamp` });
+  }
+  return new Date(value).toISOString();
+}
+
+/**
+ * Read point-in-time search options (query string or JSON body)
+ * @param {Object} source - Parsed query or body
+ * @returns {{asOf: string|undefined, knownAt: string|undefined, includeSuperseded: boolean}}
+ */
+function parseTemporalOptions(source) {
+  const optional = (name) => (source[name] === undefined || source[name] === ''
+    ? undefined
+    : parseTimestamp(source[name], name));
+
+  return {
+    asOf: optional('asOf'),
+    knownAt: optional('knownAt'),
+    includeSuperseded: source.includeSuperseded === true ||
+      source.includeSuperseded === 'true' || source.includeSuperseded === '1',
+  };
+}
+
+/**
+ * Split filter DSL terms out of a search request. Terms may appear inline
+ * in the query text or in a separate `filter` string; project:current
+ * resolves to the project the bridge was started in.
+ *
+ * @param {string} text - Query text
+ * @param {string} [filter] - Filter terms only
+ * @returns {{query: string, filters: Object, projectHash: string|undefined}}
+ */
+function parseSearchFilters(text, filter) {
+  let inline;
+  let separate;
+  try {
+    inline = parseQueryFilters(typeof text === 'string' ? text : '');
+    separate = filter ? parseQueryFilters(String(filter), { strict: true }) : { filters: {} };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new CortexError('CORTEX_E200', { details: error.message });
     }
+    throw error;
+  }
 
-    try {
-      // ----------------------------------------------------
-      // GET /api/stats
-      // ----------------------------------------------------
-      if (req.method === 'GET' && parsedUrl.pathname === '/api/stats') {
+  const filters = mergeQueryFilters(inline.filters, separate.filters);
+  let projectHash;
+  if (filters.project === 'current') {
+    const { ContextAnalyzer } = require('../hooks/context-analyzer.cjs');
+    projectHash = new ContextAnalyzer().analyzeProject().hash || undefined;
+  }
+
+  return { query: inline.text, filters, projectHash };
+}
+
+/**
+ * Validate memory fields shared by create and update
+ * @param {Object} data - Raw request body
+ * @returns {Object} Validated fields (only those present)
+ */
+function validateMemoryFields(data) {
+  const fields = {};
+
+  for (const key of ['content', 'summary', 'intent', 'source', 'source_id', 'project_hash', 'session_id']) {
+    if (data[key] === undefined) continue;
+    if (typeof data[key] !== 'string' || (key === 'content' && data[key].trim() === '')) {
+      throw new CortexError('CORTEX_E200', { details: `${key} must be a non-empty string` });
+    }
+    fields[key] = data[key];
+  }
+
+  if (data.memory_type !== undefined) {
+    if (!MEMORY_TYPES.includes(data.memory_type)) {
+      throw new CortexError('CORTEX_E200', { details: `memory_type must be one of: ${MEMORY_TYPES.join(', ')}` });
+    }
+    fields.memory_type = data.memory_type;
+  }
+
+  if (data.status !== undefined) {
+    if (!MEMORY_STATUSES.includes(data.status)) {
+      throw new CortexError('CORTEX_E200', { details: `status must be one of: ${MEMORY_STATUSES.join(', ')}` });
+    }
+    fields.status = data.status;
+  }
+
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags) || !data.tags.every(t => typeof t === 'string')) {
+      throw new CortexError('CORTEX_E200', { details: 'tags must be an array of strings' });
+    }
+    fields.tags = data.tags;
+  }
+
+  for (const key of ['extraction_confidence', 'quality_score']) {
+    if (data[key] === undefined) continue;
+    if (typeof data[key] !== 'number' || data[key] < 0 || data[key] > 1) {
+      throw new CortexError('CORTEX_E200', { details: `${key} must be a number between 0 and 1` });
+    }
+    fields[key] = data[key];
+  }
+
+  if (data.valid_from !== undefined) {
+    fields.valid_from = parseTimestamp(data.valid_from, 'valid_from');
+  }
+  if (data.valid_to !== undefined) {
+    fields.valid_to = data.valid_to === null ? null : parseTimestamp(data.valid_to, 'valid_to');
+  }
+
+  return fields;
+}
+
+/**
+ * Validate a POST /api/vault/export body
+ * @param {Object} data - Raw request body
+ * @returns {{vaultPath: string, rootFolder: string, since: string|undefined}}
+ */
+function parseVaultExportOptions(data) {
+  if (typeof data.vaultPath !== 'string' || data.vaultPath.trim() === '') {
+    throw new CortexError('CORTEX_E200', { details: 'vaultPath must be a non-empty string' });
+  }
+  const vaultPath = expandPath(data.vaultPath.trim());
+  if (!path.isAbsolute(vaultPath)) {
+    throw new CortexError('CORTEX_E200', { details: 'vaultPath must be an absolute path (or start with ~)' });
+  }
+
+  // The generated folder is replaced file by file; keep it directly inside the vault
+  const rootFolder = data.rootFolder === undefined ? 'Cortex Atlas' : data.rootFolder;
+  if (typeof rootFolder !== 'string' || !rootFolder.trim() || /[\\/]/.test(rootFolder) || rootFolder.startsWith('.')) {
+    throw new CortexError('CORTEX_E200', { details: 'rootFolder must be a folder name without path separators' });
+  }
+
+  let since;
+  if (data.since !== undefined && data.since !== null) {
+    since = data.since === 'last' ? 'last' : parseTimestamp(data.since, 'since');
+  }
+
+  return { vaultPath, rootFolder, since };
+}
+
+// =============================================================================
+// SERVER FACTORY
+// =============================================================================
+
+/**
+ * Create the API bridge HTTP server (not yet listening)
+ *
+ * @param {Object} options
+ * @param {Object} options.provider - Initialized VectorSearchProvider
+ * @param {ApiTokenStore} [options.tokenStore] - Token store (default: ~/.claude/memory/data/api-tokens.json)
+ * @param {boolean} [options.auth=true] - Require bearer tokens
+ * @param {string[]} [options.allowedOrigins=[]] - CORS allowlist ('*' allows any origin)
+ * @param {AuditLogger} [options.auditLogger] - Records every request with the calling token
+ * @param {MemoryChangeFeed} [options.changeFeed] - Source for /api/events (default: polls the provider's MemoryStore)
+ * @param {CostTracker} [options.costTracker] - Source for /api/spend (default: from the `budget` config)
+ * @returns {http.Server}
+ */
+function createApiServer(options = {}) {
+  const vsp = options.provider;
+  if (!vsp) {
+    throw new Error('createApiServer requires an initialized VectorSearchProvider');
+  }
+
+  const authEnabled = options.auth !== false;
+  const tokenStore = options.tokenStore || new ApiTokenStore();
+  const allowedOrigins = options.allowedOrigins || [];
+  const auditLogger = options.auditLogger || null;
+  const changeFeed = options.changeFeed || new MemoryChangeFeed({ memoryStore: vsp._memoryStore });
+  const costTracker = options.costTracker || createCostTracker();
+
+  /** @type {Set<Function>} Closers for open SSE streams */
+  const eventStreams = new Set();
+
+  /**
+   * Fetch a memory or throw CORTEX_E105
+   * @param {string} id
+   * @returns {Object}
+   */
+  function requireMemory(id) {
+    const memory = vsp._memoryStore.get(id);
+    if (!memory) {
+      throw new CortexError('CORTEX_E105', { details: `No memory with id ${id}` });
+    }
+    return memory;
+  }
+
+  const routes = [
+    // ----------------------------------------------------
+    // GET /api/openapi.json
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/openapi\.json$/,
+      scope: null,
+      handler: async () => [200, buildOpenApiSpec({ version: VERSION })],
+    },
+
+    // ----------------------------------------------------
+    // GET /api/stats
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/stats$/,
+      scope: 'read',
+      handler: async () => {
         const stats = vsp.stats;
         const memoryCount = vsp._memoryStore.getCount();
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify({ 
+        return [200, {
           status: 'healthy',
           vectorIndexSize: stats.vectorIndexSize || memoryCount,
           totalMemories: memoryCount,
-          uptime: process.uptime()
-        }));
+          searchMode: vsp._hybridSearch?.bm25Enabled === false ? 'vector' : 'hybrid',
+          uptime: process.uptime(),
+        }];
+      },
+    },
+
+    // ----------------------------------------------------
+    // GET /api/spend
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/spend$/,
+      scope: 'read',
+      handler: async () => [200, costTracker.getReport()],
+    },
+
+    // ----------------------------------------------------
+    // GET /api/search?q=keyword&filter=&limit=10&asOf=&knownAt=&includeSuperseded=
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/search$/,
+      scope: 'read',
+      handler: async ({ query }) => {
+        const limit = parseSearchLimit(query.limit);
+        const search = parseSearchFilters(query.q, query.filter);
+        return [200, await vsp.search(search.query, {
+          limit,
+          filters: search.filters,
+          projectHash: search.projectHash,
+          ...parseTemporalOptions(query),
+        })];
+      },
+    },
+
+    // ----------------------------------------------------
+    // POST /api/query
+    // ----------------------------------------------------
+    {
+      method: 'POST',
+      pattern: /^\/api\/query$/,
+      scope: 'read',
+      handler: async ({ req }) => {
+        const data = await readJsonBody(req);
+        const search = parseSearchFilters(data.query, data.filter);
+        return [200, await vsp.search(search.query, {
+          limit: parseSearchLimit(data.limit),
+          filters: search.filters,
+          projectHash: search.projectHash,
+          ...parseTemporalOptions(data),
+        })];
+      },
+    },
+
+    // ----------------------------------------------------
+    // GET /api/memories?type=&source=&project=&limit=50&offset=0
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/memories$/,
+      scope: 'read',
+      handler: async ({ query }) => {
+        if (query.type && !MEMORY_TYPES.includes(query.type)) {
+          throw new CortexError('CORTEX_E200', { details: `type must be one of: ${MEMORY_TYPES.join(', ')}` });
+        }
+        if (query.status && !MEMORY_STATUSES.includes(query.status)) {
+          throw new CortexError('CORTEX_E200', { details: `status must be one of: ${MEMORY_STATUSES.join(', ')}` });
+        }
+
+        const filters = {
+          memoryType: query.type,
+          source: query.source,
+          projectHash: query.project,
+          status: query.status,
+          tags: query.tags ? String(query.tags).split(',').map(t => t.trim()).filter(Boolean) : undefined,
+        };
+        const limit = Math.min(parseIntParam(query.limit, 'limit', DEFAULT_PAGE_SIZE) || DEFAULT_PAGE_SIZE, 1000);
+        const offset = parseIntParam(query.offset, 'offset', 0);
+
+        const memories = vsp._memoryStore.query({
+          ...filters,
+          limit,
+          offset,
+          orderBy: query.orderBy,
+          order: query.order,
+        });
+        const total = vsp._memoryStore.count(filters);
+
+        return [200, {
+          memories,
+          total,
+          limit,
+          offset,
+          hasMore: offset + memories.length < total,
+        }];
+      },
+    },
+
+    // ----------------------------------------------------
+    // POST /api/memories
+    // ----------------------------------------------------
+    {
+      method: 'POST',
+      pattern: /^\/api\/memories$/,
+      scope: 'write',
+      handler: async ({ req }) => {
+        const data = await readJsonBody(req);
+        const fields = validateMemoryFields(data);
+
+        if (!fields.content) {
+          throw new CortexError('CORTEX_E200', { details: 'content is required' });
+        }
+        delete fields.status;
+        delete fields.valid_to;
+
+        const { valid_from: validFrom, ...memory } = fields;
+        const result = await vsp.insert({
+          source: 'user',
+          ...memory,
+          validFrom,
+        });
+
+        return [201, requireMemory(result.id)];
+      },
+    },
+
+    // ----------------------------------------------------
+    // GET /api/memories/:id
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/memories\/([^/]+)$/,
+      scope: 'read',
+      handler: async ({ params }) => [200, requireMemory(params[0])],
+    },
+
+    // ----------------------------------------------------
+    // PATCH /api/memories/:id
+    // ----------------------------------------------------
+    {
+      method: 'PATCH',
+      pattern: /^\/api\/memories\/([^/]+)$/,
+      scope: 'write',
+      handler: async ({ req, params, token }) => {
+        const id = params[0];
+        const data = await readJsonBody(req);
+
+        const unknown = Object.keys(data).filter(k => !UPDATABLE_FIELDS.includes(k));
+        if (unknown.length > 0) {
+          throw new CortexError('CORTEX_E200', { details: `Fields cannot be updated: ${unknown.join(', ')}` });
+        }
+
+        const updates = validateMemoryFields(data);
+        if (Object.keys(updates).length === 0) {
+          throw new CortexError('CORTEX_E200', { details: 'No updatable fields provided' });
+        }
+
+        requireMemory(id);
+        await vsp.update(id, updates, { changedBy: describeCaller(token) });
+
+        return [200, requireMemory(id)];
+      },
+    },
+
+    // ----------------------------------------------------
+    // DELETE /api/memories/:id?hard=true
+    // ----------------------------------------------------
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/memories\/([^/]+)$/,
+      scope: 'write',
+      handler: async ({ params, query, token }) => {
+        const id = params[0];
+        const hard = query.hard === 'true' || query.hard === '1';
+
+        if (hard && token && !hasScope(token.scopes, 'admin')) {
+          throw new CortexError('CORTEX_E604', { details: 'Hard delete requires the admin scope' });
+        }
+
+        requireMemory(id);
+        const { success } = await vsp.delete(id, hard);
+
+        return [200, { id, deleted: success, hard }];
+      },
+    },
+
+    // ----------------------------------------------------
+    // POST /api/memories/:id/invalidate
+    // ----------------------------------------------------
+    {
+      method: 'POST',
+      pattern: /^\/api\/memories\/([^/]+)\/invalidate$/,
+      scope: 'write',
+      handler: async ({ req, params, token }) => {
+        const id = params[0];
+        const data = await readJsonBody(req, { optional: true });
+        const validTo = data.validTo !== undefined
+          ? parseTimestamp(data.validTo, 'validTo')
+          : new Date().toISOString();
+
+        requireMemory(id);
+        vsp._memoryStore.update(id, { valid_to: validTo }, { changedBy: describeCaller(token) });
+
+        return [200, requireMemory(id)];
+      },
+    },
+
+    // ----------------------------------------------------
+    // GET /api/memories/:id/versions
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/memories\/([^/]+)\/versions$/,
+      scope: 'read',
+      handler: async ({ params }) => {
+        const memory = requireMemory(params[0]);
+        return [200, {
+          memoryId: memory.id,
+          currentVersion: memory.version,
+          versions: vsp._memoryStore.listVersions(memory.id),
+        }];
+      },
+    },
+
+    // ----------------------------------------------------
+    // GET /api/memories/:id/versions/diff?from=1&to=3
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/memories\/([^/]+)\/versions\/diff$/,
+      scope: 'read',
+      handler: async ({ params, query }) => {
+        const memory = requireMemory(params[0]);
+        const from = parseIntParam(query.from, 'from', undefined);
+        if (from === undefined) {
+          throw new CortexError('CORTEX_E200', { details: 'from is required' });
+        }
+        const to = parseIntParam(query.to, 'to', undefined);
+
+        const diff = vsp._memoryStore.diffVersions(memory.id, from, to);
+        if (!diff) {
+          throw new CortexError('CORTEX_E105', { details: `No version ${from} or ${to ?? 'current'} of memory ${memory.id}` });
+        }
+        return [200, diff];
+      },
+    },
+
+    // ----------------------------------------------------
+    // GET /api/memories/:id/versions/:version
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/memories\/([^/]+)\/versions\/(\d+)$/,
+      scope: 'read',
+      handler: async ({ params }) => {
+        const memory = requireMemory(params[0]);
+        const snapshot = vsp._memoryStore.getVersion(memory.id, Number(params[1]));
+        if (!snapshot) {
+          throw new CortexError('CORTEX_E105', { details: `No version ${params[1]} of memory ${memory.id}` });
+        }
+        return [200, snapshot];
+      },
+    },
+
+    // ----------------------------------------------------
+    // POST /api/memories/:id/versions/:version/restore
+    // ----------------------------------------------------
+    {
+      method: 'POST',
+      pattern: /^\/api\/memories\/([^/]+)\/versions\/(\d+)\/restore$/,
+      scope: 'write',
+      handler: async ({ params, token }) => {
+        const memory = requireMemory(params[0]);
+        const restored = await vsp.restoreVersion(memory.id, Number(params[1]), {
+          changedBy: describeCaller(token),
+        });
+        if (!restored) {
+          throw new CortexError('CORTEX_E105', { details: `No version ${params[1]} of memory ${memory.id}` });
+        }
+        return [200, restored];
+      },
+    },
+
+    // ----------------------------------------------------
+    // POST /api/vault/export
+    // ----------------------------------------------------
+    {
+      method: 'POST',
+      pattern: /^\/api\/vault\/export$/,
+      // Writes notes to any absolute path on the bridge's filesystem
+      scope: 'admin',
+      handler: async ({ req }) => {
+        const options = parseVaultExportOptions(await readJsonBody(req));
+        const records = await collectVaultRecords({ basePath: vsp.basePath });
+        const exporter = new ObsidianVaultExporter({
+          vaultPath: options.vaultPath,
+          rootFolder: options.rootFolder,
+        });
+        const result = exporter.export(records, { since: options.since });
+
+        return [200, {
+          success: result.success,
+          exportRoot: result.exportRoot,
+          recordCount: result.manifest.counts.records,
+          entityCount: result.manifest.counts.entities,
+          changes: result.changes,
+        }];
+      },
+    },
+
+    // ----------------------------------------------------
+    // GET /api/events (Server-Sent Events)
+    // ----------------------------------------------------
+    {
+      method: 'GET',
+      pattern: /^\/api\/events$/,
+      scope: 'read',
+      // EventSource cannot send headers, so ?access_token= is accepted here
+      queryToken: true,
+      handler: async ({ req, res, query }) => {
+        const memoryTypes = query.type ? String(query.type).split(',').filter(Boolean) : [];
+        const unknownType = memoryTypes.find(type => !MEMORY_TYPES.includes(type));
+        if (unknownType) {
+          throw new CortexError('CORTEX_E200', { details: `type must be one of: ${MEMORY_TYPES.join(', ')}` });
+        }
+
+        const lastEventId = req.headers['last-event-id'] ?? query.lastEventId;
+        const resumeFrom = lastEventId !== undefined
+          ? parseIntParam(String(lastEventId), 'Last-Event-ID', undefined)
+          : undefined;
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no',
+        });
+        res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+        const unsubscribe = changeFeed.subscribe(event => writeSseEvent(res, event), {
+          projectHash: query.project || null,
+          memoryTypes,
+          lastEventId: resumeFrom,
+        });
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+        heartbeat.unref();
+
+        const close = () => {
+          clearInterval(heartbeat);
+          unsubscribe();
+          eventStreams.delete(close);
+          res.end();
+        };
+        eventStreams.add(close);
+        req.on('close', close);
+
+        return null;
+      },
+    },
+  ];
+
+  /**
+   * Apply the CORS allowlist. Returns false when the origin is rejected.
+   * Requests without an Origin header (curl, agents) are not affected.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {boolean}
+   */
+  function applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+
+    res.setHeader('Vary', 'Origin');
+    if (!allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) {
+      return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigins.includes('*') ? '*' : origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Last-Event-ID');
+    return true;
+  }
+
+  /**
+   * Resolve and authorize the calling token for a route
+   * @param {http.IncomingMessage} req
+   * @param {Object} route - Matched route
+   * @param {Object} query - Parsed query string
+   * @returns {Object|null} Public token record (null when auth is off or not needed)
+   */
+  function authorize(req, route, query) {
+    const scope = route.scope;
+    if (!authEnabled || !scope) return null;
+
+    const bearer = getBearerToken(req) || (route.queryToken ? query.access_token : null);
+    if (!bearer) {
+      throw new CortexError('CORTEX_E603', { details: 'Missing bearer token' });
+    }
+
+    const token = tokenStore.verify(bearer);
+    if (!token) {
+      throw new CortexError('CORTEX_E603', { details: 'Unknown or revoked token' });
+    }
+
+    if (!hasScope(token.scopes, scope)) {
+      const error = new CortexError('CORTEX_E604', {
+        details: `Requires "${scope}", token "${token.name}" has: ${token.scopes.join(', ')}`,
+      });
+      error.token = token;
+      throw error;
+    }
+
+    return token;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const startTime = Date.now();
+    const parsedUrl = url.parse(req.url, true);
+    let token = null;
+    let errorCode;
+
+    res.on('finish', () => {
+      if (!auditLogger || req.method === 'OPTIONS') return;
+      auditLogger.apiRequest({
+        method: req.method,
+        path: parsedUrl.pathname,
+        status: res.statusCode,
+        durationMs: Date.now() - startTime,
+        token,
+        errorCode,
+      });
+    });
+
+    try {
+      if (!applyCors(req, res)) {
+        throw new CortexError('CORTEX_E605', { details: req.headers.origin });
       }
 
-      // ----------------------------------------------------
-      // GET /api/search?q=keyword&limit=10
-      // ----------------------------------------------------
-      if (req.method === 'GET' && parsedUrl.pathname === '/api/search') {
-        const query = parsedUrl.query.q || '';
-        const limit = parseInt(parsedUrl.query.limit) || 10;
-        
-        const results = await vsp.search(query, { limit });
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify(results));
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
       }
 
-      // ----------------------------------------------------
-      // GET /api/memories?limit=50
-      // ----------------------------------------------------
-      if (req.method === 'GET' && parsedUrl.pathname === '/api/memories') {
-        const limit = parseInt(parsedUrl.query.limit) || 50;
-        const results = await vsp.search('', { limit });
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify(results));
+      const matching = routes
+        .map(route => ({ route, match: route.pattern.exec(parsedUrl.pathname) }))
+        .filter(({ match }) => match);
+
+      if (matching.length === 0) {
+        throw new CortexError('CORTEX_E600', { details: `${req.method} ${parsedUrl.pathname}` });
       }
 
-      // ----------------------------------------------------
-      // POST /api/query
-      // ----------------------------------------------------
-      if (req.method === 'POST' && parsedUrl.pathname === '/api/query') {
-        let body = '';
-        req.on('data', chunk => { body += chunk.toString(); });
-        req.on('end', async () => {
-          try {
-            const data = JSON.parse(body);
-            const query = data.query || '';
-            const limit = data.limit || 10;
-            const results = await vsp.search(query, { limit });
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(results));
-          } catch (e) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Invalid JSON payload' }));
-          }
-        });
-        return;
+      const found = matching.find(({ route }) => route.method === req.method);
+      if (!found) {
+        res.setHeader('Allow', matching.map(({ route }) => route.method).join(', '));
+        throw new CortexError('CORTEX_E602', { details: `${req.method} ${parsedUrl.pathname}` });
       }
 
-      // ----------------------------------------------------
-      // Not Found
-      // ----------------------------------------------------
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Endpoint not found' }));
+      token = authorize(req, found.route, parsedUrl.query);
+
+      const result = await found.route.handler({
+        req,
+        res,
+        params: found.match.slice(1).map(decodePathParam),
+        query: parsedUrl.query,
+        token,
+      });
 
+      // Streaming handlers (SSE) own the response and return null
+      if (result) {
+        sendJson(res, result[0], result[1]);
+      }
     } catch (error) {
+      if (error instanceof CortexError) {
+        token = token || error.token || null;
+        errorCode = error.code;
+        if (error.code === 'CORTEX_E603') {
+          res.setHeader('WWW-Authenticate', 'Bearer realm="cortex"');
+        }
+        return sendError(res, error);
+      }
       console.error('API Error:', error);
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: error.message }));
+      errorCode = 'CORTEX_E900';
+      sendError(res, new CortexError('CORTEX_E900', { cause: error, details: error.message }));
     }
   });
 
-  server.listen(PORT, () => {
-    console.log(`\n🚀 Cortex API Bridge running at: http://localhost:${PORT}`);
+  // SSE responses never finish on their own, so end them before closing
+  const closeServer = server.close.bind(server);
+  server.close = (callback) => {
+    for (const closeStream of [...eventStreams]) closeStream();
+    changeFeed.stop();
+    return closeServer(callback);
+  };
+
+  return server;
+}
+
+// =============================================================================
+// STANDALONE ENTRY POINT
+// =============================================================================
+
+/**
+ * Resolve API server settings from config with environment overrides
+ * (CORTEX_API_PORT, CORTEX_API_AUTH=false, CORTEX_API_CORS_ORIGINS=a,b)
+ * @returns {{port: number, auth: boolean, allowedOrigins: string[]}}
+ */
+function loadServerSettings() {
+  const configManager = getConfigManager();
+  configManager.load();
+  const config = configManager.get('apiServer', {});
+
+  const envOrigins = process.env.CORTEX_API_CORS_ORIGINS;
+
+  return {
+    port: Number(process.env.CORTEX_API_PORT) || config.port || 4000,
+    auth: process.env.CORTEX_API_AUTH === 'false' ? false : config.auth?.enabled !== false,
+    allowedOrigins: envOrigins !== undefined
+      ? envOrigins.split(',').map(o => o.trim()).filter(Boolean)
+      : (config.cors?.allowedOrigins || []),
+  };
+}
+
+async function startServer() {
+  console.log('🧠 Starting Cortex API Bridge...');
+
+  const settings = loadServerSettings();
+  const tokenStore = new ApiTokenStore();
+
+  // Initialize Search Provider
+  const vsp = getVectorSearchProvider({ basePath: CORTEX_HOME });
+  await vsp.initialize();
+  console.log('✓ Vector Search Provider loaded');
+
+  const auditLogger = new AuditLogger({
+    enabled: process.env.CORTEX_AUDIT !== 'false',
+    logLevel: process.env.CORTEX_LOG_LEVEL || 'INFO',
+  });
+
+  const server = createApiServer({
+    provider: vsp,
+    tokenStore,
+    auth: settings.auth,
+    allowedOrigins: settings.allowedOrigins,
+    auditLogger,
+  });
+
+  if (!settings.auth) {
+    console.log('⚠ Authentication disabled (CORTEX_API_AUTH=false)');
+  } else if (!tokenStore.hasTokens()) {
+    console.log('⚠ No API tokens exist yet; every request will be rejected.');
+    console.log('  Create one with: cortex-memory token create <name> --scopes read');
+  }
+
+  server.listen(settings.port, '127.0.0.1', () => {
+    console.log(`\n🚀 Cortex API Bridge running at: http://localhost:${settings.port}`);
+    console.log(`CORS origins: ${settings.allowedOrigins.length > 0 ? settings.allowedOrigins.join(', ') : '(none)'}`);
     console.log(`Endpoints:`);
-    console.log(`  GET  /api/stats`);
-    console.log(`  GET  /api/search?q=keyword&limit=10\n`);
+    console.log(`  GET    /api/stats`);
+    console.log(`  GET    /api/search?q=keyword&limit=10`);
+    console.log(`  GET    /api/memories  (POST to create)`);
+    console.log(`  GET    /api/memories/:id  (PATCH, DELETE, POST .../invalidate)`);
+    console.log(`  GET    /api/events  (Server-Sent Events)`);
+    console.log(`  GET    /api/openapi.json\n`);
   });
+
+  return server;
 }
 
 if (require.main === module) {
   startServer().catch(console.error);
-}
\ No newline at end of file
+}
+
+module.exports = {
+  createApiServer,
+  startServer,
+  HTTP_STATUS_BY_CODE,
+};
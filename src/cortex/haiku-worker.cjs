@@ -18,10 +18,10 @@
 
 'use strict';
 
-const Anthropic = require('@anthropic-ai/sdk').default;
 const { QueryOrchestrator } = require('../hooks/query-orchestrator.cjs');
 const { ContextAnalyzer } = require('../hooks/context-analyzer.cjs');
-const { getApiKey } = require('../core/api-key.cjs');
+const { createCostTracker } = require('../core/cost-tracker.cjs');
+const { SamplingAdapter } = require('./sampling-adapter.cjs');
 const path = require('path');
 const fs = require('fs');
 
@@ -149,29 +149,19 @@ class HaikuWorker {
    * @param {string} options.apiKey - Anthropic API key (uses ANTHROPIC_API_KEY env if not provided)
    * @param {boolean} options.enableApiCalls - Enable Haiku API calls (default: true)
    * @param {boolean} options.verbose - Enable verbose timing logs (default: false)
-   * @param {Object} options.samplingAdapter - SamplingAdapter instance for zero-cost MCP Sampling
+   * @param {Object} options.samplingAdapter - LLM backend: MCP Sampling, local server or Anthropic API
+   *   (default: a SamplingAdapter using the local server or API key from config)
+   * @param {CostTracker} [options.costTracker] - Spend tracking and budgets (default: from the `budget` config)
    */
   constructor(options = {}) {
     this.basePath = options.basePath || path.join(process.env.HOME, '.claude', 'memory');
     this.enableApiCalls = options.enableApiCalls !== false;
     this.verbose = options.verbose || false;
+    this.costTracker = options.costTracker || createCostTracker({ basePath: this.basePath });
 
-    // SamplingAdapter for zero-cost MCP Sampling (preferred over direct API)
-    this.samplingAdapter = options.samplingAdapter || null;
-
-    // Initialize Anthropic client only if no sampling adapter provided
-    if (!this.samplingAdapter) {
-      const apiKey = options.apiKey || getApiKey();
-      if (apiKey) {
-        this.client = new Anthropic({ apiKey });
-      } else {
-        // No API key — disable API calls, run in local-only mode
-        this.client = null;
-        this.enableApiCalls = false;
-      }
-    } else {
-      this.client = null;
-    }
+    // Every Haiku call goes through the adapter; with no backend available
+    // the worker runs in local-only mode (keyword analysis, unranked results)
+    this.samplingAdapter = options.samplingAdapter || new SamplingAdapter({ apiKey: options.apiKey });
 
     // Initialize query orchestrator (reuses existing infrastructure)
     // IMPORTANT: Disable semantic analysis in orchestrator to avoid DUPLICATE Haiku calls
@@ -196,6 +186,7 @@ class HaikuWorker {
     this.stats = {
       queriesMade: 0,
       tokensUsed: 0,
+      costUsd: 0,
       cacheHits: 0,
       apiCalls: 0,
       cachedAnalysis: 0,
@@ -203,6 +194,7 @@ class HaikuWorker {
       hydeExpansions: 0,
       hydeCacheHits: 0,
       hydeFallbacks: 0,
+      budgetSkips: 0,
       timings: {
         totalQueryMs: 0,
         analysisMs: 0,
@@ -224,65 +216,80 @@ class HaikuWorker {
     }
   }
 
+  /**
+   * Whether Haiku calls are enabled and an LLM backend is available
+   * @private
+   * @returns {boolean}
+   */
+  _llmAvailable() {
+    return this.enableApiCalls && this.samplingAdapter.mode !== 'none';
+  }
+
+  /**
+   * Check the spending budget before a paid call
+   * @private
+   * @returns {boolean} False when the caller should use its local fallback
+   */
+  _withinBudget() {
+    const budget = this.costTracker.checkBudget();
+    if (budget.allowed) return true;
+
+    this.stats.budgetSkips++;
+    this._log(`${budget.reason}, using fallback`);
+    return false;
+  }
+
+  /**
+   * Record token usage of a paid call
+   * @private
+   * @param {string} model
+   * @param {{inputTokens: number, outputTokens: number}} usage
+   */
+  _recordUsage(model, usage) {
+    this.stats.tokensUsed += usage.inputTokens + usage.outputTokens;
+    this.stats.costUsd += this.costTracker.estimateCost(model, usage.inputTokens, usage.outputTokens);
+    try {
+      this.costTracker.record({ model, component: 'haiku', ...usage });
+    } catch (error) {
+      process.stderr.write(`[HaikuWorker] Could not record usage: ${error.message}\n`);
+    }
+  }
+
   /**
    * Call Haiku for intelligent processing
    * @private
    */
   async _callHaiku(systemPrompt, userMessage) {
-    if (!this.enableApiCalls) {
+    if (!this._llmAvailable()) {
       this._log('API calls disabled, using fallback');
       return null;
     }
 
-    const startTime = Date.now();
+    // MCP Sampling is paid by the host and local servers are free; only the API is budgeted
+    const paid = this.samplingAdapter.mode === 'api';
+    if (paid && !this._withinBudget()) return null;
 
-    // Prefer SamplingAdapter (zero-cost via MCP Sampling)
-    if (this.samplingAdapter) {
-      try {
-        const prompt = systemPrompt
-          ? `${systemPrompt}\n\n${userMessage}`
-          : userMessage;
-        const result = await this.samplingAdapter.complete(prompt, {
-          speed: 'fast',
-          maxTokens: MAX_TOKENS,
-          systemPrompt: systemPrompt || undefined,
-        });
-
-        this.stats.queriesMade++;
-        this.stats.apiCalls++;
-
-        const elapsed = Date.now() - startTime;
-        this._log(`Haiku via ${result.mode}: ${elapsed}ms`);
-
-        return result.text;
-      } catch (error) {
-        process.stderr.write(`[HaikuWorker] Sampling error: ${error.message}\n`);
-        // Fall through to direct API if available
-        if (!this.client) return null;
-      }
-    }
+    const startTime = Date.now();
 
-    // Direct API fallback
     try {
-      const response = await this.client.messages.create({
+      const result = await this.samplingAdapter.complete(userMessage, {
+        speed: 'fast',
+        maxTokens: MAX_TOKENS,
+        systemPrompt: systemPrompt || undefined,
         model: HAIKU_MODEL,
-        max_tokens: MAX_TOKENS,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userMessage }],
       });
 
       this.stats.queriesMade++;
       this.stats.apiCalls++;
-      this.stats.tokensUsed += response.usage?.input_tokens || 0;
-      this.stats.tokensUsed += response.usage?.output_tokens || 0;
+      if (result.mode === 'api' && result.usage) this._recordUsage(result.model, result.usage);
 
       const elapsed = Date.now() - startTime;
-      this._log(`Haiku API call: ${elapsed}ms`);
+      this._log(`Haiku via ${result.mode}: ${elapsed}ms`);
 
-      return response.content[0]?.text || '';
+      return result.text;
     } catch (error) {
       // Log but don't fail - return empty to allow fallback
-      process.stderr.write(`[HaikuWorker] API error: ${error.message}\n`);
+      process.stderr.write(`[HaikuWorker] LLM error: ${error.message}\n`);
       return null;
     }
   }
@@ -313,7 +320,7 @@ class HaikuWorker {
       return cached;
     }
 
-    if (!this.enableApiCalls) {
+    if (!this._llmAvailable()) {
       return null;
     }
 
@@ -342,9 +349,15 @@ class HaikuWorker {
    * @param {string} query - Natural language query
    * @param {string[]} sources - Sources to search ('all', 'episodic', 'jsonl', etc.)
    * @param {number} limit - Maximum results
+   * @param {Object} [temporal={}] - Point-in-time options
+   * @param {string} [temporal.asOf] - Valid time (what was true then)
+   * @param {string} [temporal.knownAt] - Transaction time (what had been recorded then)
+   * @param {boolean} [temporal.includeSuperseded] - Include superseded versions
+   * @param {import('../core/query-filters.cjs').QueryFilters} [filters] - Filter DSL terms
+   *   (already stripped from the query text)
    * @returns {Promise<Object>} Search results with metadata
    */
-  async query(query, sources = ['all'], limit = 10) {
+  async query(query, sources = ['all'], limit = 10, temporal = {}, filters = null) {
     const startTime = Date.now();
     const timings = { analysis: 0, hyde: 0, orchestrator: 0, ranking: 0 };
 
@@ -366,7 +379,7 @@ class HaikuWorker {
         };
 
         // Try Haiku enhancement (only if enabled)
-        if (this.enableApiCalls) {
+        if (this._llmAvailable()) {
           const analysisPrompt = `You are a memory search optimizer. Given a user's query, extract:
 1. Key search terms (2-5 words most relevant for searching)
 2. Intent type (one of: debugging, implementing, learning, reviewing, planning, other)
@@ -404,7 +417,7 @@ Respond in JSON format:
       const hydeStart = Date.now();
       let doc = null;
 
-      if (this.enableApiCalls) {
+      if (this._llmAvailable()) {
         doc = await this._hydeExpand(query);
       }
       const elapsed = Date.now() - hydeStart;
@@ -438,9 +451,13 @@ Respond in JSON format:
 
     const results = await this.orchestrator.query({
       prompt: searchQuery,
-      types: ['skill', 'pattern', 'decision', 'insight', 'learning'],
+      types: filters?.types || ['skill', 'pattern', 'decision', 'insight', 'learning'],
       adapters: adaptersToQuery,
       useSemantic: false, // Disabled - we handle analysis ourselves
+      asOf: temporal.asOf,
+      knownAt: temporal.knownAt,
+      includeSuperseded: temporal.includeSuperseded,
+      filters,
     });
     timings.orchestrator = Date.now() - orchestratorStart;
     this._log(`Orchestrator: ${timings.orchestrator}ms, found ${results.memories?.length || 0} memories`);
@@ -456,7 +473,7 @@ Respond in JSON format:
     // - Result count is small (already manageable)
     // - Results already have good relevance scores
     // - API calls are disabled
-    const shouldUseApiRanking = this.enableApiCalls &&
+    const shouldUseApiRanking = this._llmAvailable() &&
                                 rankedMemories.length > limit * 5 &&
                                 rankedMemories.length > 50;
 
@@ -602,9 +619,10 @@ Respond with JSON array of scores matching the input order:
    *
    * @param {string} context - Context to match
    * @param {string} type - Type of memory ('skill', 'pattern', 'decision', 'insight', 'any')
+   * @param {Object} [temporal={}] - Point-in-time options (see query())
    * @returns {Promise<Object>} Matched memories
    */
-  async recall(context, type = 'any') {
+  async recall(context, type = 'any', temporal = {}) {
     const startTime = Date.now();
     const timings = { analysis: 0, search: 0, filter: 0 };
 
@@ -622,7 +640,7 @@ Respond with JSON array of scores matching the input order:
       };
 
       // Try Haiku enhancement
-      if (this.enableApiCalls) {
+      if (this._llmAvailable()) {
         const contextPrompt = `You are a memory retrieval specialist. Given a context description, identify:
 1. What specific information is being sought
 2. Related concepts that might help find it
@@ -664,6 +682,9 @@ Respond in JSON:
       prompt: searchTerms,
       types,
       useSemantic: false,
+      asOf: temporal.asOf,
+      knownAt: temporal.knownAt,
+      includeSuperseded: temporal.includeSuperseded,
     });
     timings.search = Date.now() - searchStart;
     this._log(`Recall search: ${timings.search}ms, found ${results.memories?.length || 0}`);
@@ -674,7 +695,7 @@ Respond in JSON:
     let memories = results.memories || [];
 
     // Only use API filtering for large sets (>10 results)
-    if (this.enableApiCalls && memories.length > 10) {
+    if (this._llmAvailable() && memories.length > 10) {
       const filterPrompt = `Given memories and what we're seeking, mark each as KEEP or SKIP.
 
 Seeking: ${contextAnalysis.seeking}
@@ -742,7 +763,7 @@ Respond with JSON array of "KEEP" or "SKIP" for each:
     return {
       ...this.stats,
       cache: this.analysisCache.getStats(),
-      estimatedCost: (this.stats.tokensUsed / 1000000) * 0.25, // Haiku pricing
+      estimatedCost: this.stats.costUsd,
     };
   }
 
@@ -0,0 +1,329 @@
+/**
+ * Cortex MCP Streamable HTTP Transport
+ *
+ * Serves the MCP server over Streamable HTTP so one Cortex process can be
+ * shared by several Claude sessions or remote editors:
+ *   POST   /mcp  - JSON-RPC requests (an initialize request opens a session)
+ *   GET    /mcp  - Server-to-client SSE stream (notifications)
+ *   DELETE /mcp  - End a session
+ *
+ * The SDK binds a Server to exactly one transport, so every MCP session gets
+ * its own Server built by the openSession() factory. That factory also owns
+ * the per-session state (rate limiter, audit logger, subscriptions).
+ *
+ * Loopback hosts are served without authentication. Any other host needs
+ * an ApiTokenStore, and every request must then carry a bearer token with
+ * the "write" scope (MCP tools can change memories).
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { hasScope } = require('../core/api-tokens.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {number} Default listen port */
+const DEFAULT_MCP_PORT = 3100;
+
+/** @const {string} Default listen host (loopback only) */
+const DEFAULT_MCP_HOST = '127.0.0.1';
+
+/** @const {string} Endpoint path */
+const MCP_PATH = '/mcp';
+
+/** @const {number} Maximum accepted JSON-RPC body size (4MB) */
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/** @const {number} Sessions idle longer than this are closed (30 minutes) */
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/** @const {string} Token scope required on non-loopback hosts */
+const MCP_TOKEN_SCOPE = 'write';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Write a JSON-RPC error response
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+/**
+ * Whether a listen host only accepts local connections
+ * @param {string} host
+ * @returns {boolean}
+ */
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(host);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      body += chunk.toString();
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(new Error(`Invalid JSON: ${e.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+// =============================================================================
+// HTTP TRANSPORT
+// =============================================================================
+
+/**
+ * Start serving MCP sessions over Streamable HTTP
+ *
+ * @param {Object} options
+ * @param {Function} options.openSession - ({sessionId, clientInfo}) => {server, dispose}
+ * @param {number} [options.port=3100] - Listen port (0 = random)
+ * @param {string} [options.host='127.0.0.1'] - Listen host
+ * @param {ApiTokenStore} [options.tokenStore] - Bearer tokens; required for non-loopback hosts
+ * @param {Function} [options.log] - Logger (stderr by default)
+ * @returns {Promise<{httpServer: http.Server, sessions: Map, close: Function, sweepIdleSessions: Function}>}
+ * @throws {Error} When a non-loopback host is given without a token store
+ */
+async function startHttpTransport(options) {
+  const openSession = options.openSession;
+  const host = options.host || DEFAULT_MCP_HOST;
+  const log = options.log || (msg => process.stderr.write(`[Cortex] ${msg}\n`));
+
+  const tokenStore = isLoopbackHost(host) ? null : options.tokenStore;
+  if (!isLoopbackHost(host) && !tokenStore) {
+    throw new Error(`Refusing to serve MCP on non-loopback host ${host} without API token authentication`);
+  }
+  if (tokenStore && !tokenStore.hasTokens()) {
+    log('No API tokens exist yet; every MCP request will be rejected. Create one with: cortex-memory token create <name> --scopes write');
+  }
+
+  const { StreamableHTTPServerTransport } = await import('@modelcontextprotocol/sdk/server/streamableHttp.js');
+  const { isInitializeRequest } = await import('@modelcontextprotocol/sdk/types.js');
+
+  /** @type {Map<string, {transport: Object, server: Object, dispose: Function, lastSeen: number, openStreams: number}>} */
+  const sessions = new Map();
+
+  /**
+   * Host headers accepted by DNS rebinding protection
+   * @returns {string[]}
+   */
+  function getAllowedHosts() {
+    const port = httpServer.address().port;
+    return [...new Set([host, 'localhost', '127.0.0.1'])].map(h => `${h}:${port}`);
+  }
+
+  /**
+   * Create a transport + Server pair for a new initialize request
+   * @param {Object} body - Initialize request
+   * @returns {Promise<Object>} Session entry
+   */
+  async function createSession(body) {
+    const sessionId = crypto.randomUUID();
+    const { server, dispose } = openSession({
+      sessionId,
+      clientInfo: body.params?.clientInfo || null,
+    });
+
+    const entry = { transport: null, server, dispose, lastSeen: Date.now(), openStreams: 0 };
+
+    entry.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => sessionId,
+      enableDnsRebindingProtection: true,
+      allowedHosts: getAllowedHosts(),
+      onsessioninitialized: id => {
+        sessions.set(id, entry);
+        log(`MCP session opened: ${id} (${body.params?.clientInfo?.name || 'unknown client'})`);
+      },
+    });
+
+    entry.transport.onclose = () => {
+      if (sessions.delete(sessionId)) {
+        log(`MCP session closed: ${sessionId}`);
+      }
+      dispose();
+    };
+
+    await server.connect(entry.transport);
+    return entry;
+  }
+
+  /**
+   * Check the bearer token when serving a non-loopback host
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {boolean} False when an error response was sent
+   */
+  function authorize(req, res) {
+    if (!tokenStore) return true;
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const token = match ? tokenStore.verify(match[1]) : null;
+    if (!token) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="cortex"');
+      sendJsonRpcError(res, 401, -32001, match ? 'Unknown or revoked token' : 'Missing bearer token');
+      return false;
+    }
+
+    if (!hasScope(token.scopes, MCP_TOKEN_SCOPE)) {
+      sendJsonRpcError(res, 403, -32001,
+        `Requires "${MCP_TOKEN_SCOPE}", token "${token.name}" has: ${token.scopes.join(', ')}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (pathname !== MCP_PATH) {
+      return sendJsonRpcError(res, 404, -32601, `Not found: ${pathname}`);
+    }
+
+    if (!authorize(req, res)) return;
+
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      const existing = sessionId ? sessions.get(sessionId) : null;
+
+      if (sessionId && !existing) {
+        return sendJsonRpcError(res, 404, -32001, 'Session not found');
+      }
+
+      if (req.method === 'POST') {
+        const body = await readJsonBody(req);
+
+        if (existing) {
+          existing.lastSeen = Date.now();
+          return await existing.transport.handleRequest(req, res, body);
+        }
+
+        if (!isInitializeRequest(body)) {
+          return sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        }
+
+        const entry = await createSession(body);
+        await entry.transport.handleRequest(req, res, body);
+
+        // Initialization rejected (e.g. DNS rebinding check): nothing to keep
+        if (!entry.transport.sessionId) {
+          entry.dispose();
+        }
+        return;
+      }
+
+      if (req.method === 'GET' || req.method === 'DELETE') {
+        if (!existing) {
+          return sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        }
+        existing.lastSeen = Date.now();
+
+        // An open SSE stream keeps the session alive until it closes
+        if (req.method === 'GET') {
+          existing.openStreams++;
+          res.on('close', () => {
+            existing.openStreams--;
+            existing.lastSeen = Date.now();
+          });
+        }
+        return await existing.transport.handleRequest(req, res);
+      }
+
+      res.setHeader('Allow', 'GET, POST, DELETE');
+      sendJsonRpcError(res, 405, -32000, 'Method not allowed');
+    } catch (error) {
+      log(`MCP HTTP error: ${error.message}`);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 400, -32700, error.message);
+      }
+    }
+  });
+
+  /**
+   * Close sessions whose client went away without sending DELETE
+   * (sessions with an open SSE stream are still in use)
+   */
+  function sweepIdleSessions() {
+    const cutoff = Date.now() - SESSION_IDLE_TIMEOUT_MS;
+    for (const [id, entry] of sessions) {
+      if (entry.openStreams === 0 && entry.lastSeen < cutoff) {
+        log(`MCP session idle, closing: ${id}`);
+        entry.transport.close().catch(() => {});
+      }
+    }
+  }
+
+  const sweeper = setInterval(sweepIdleSessions, 60 * 1000);
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port ?? DEFAULT_MCP_PORT, host, resolve);
+  });
+
+  /**
+   * Close every session and stop listening
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    clearInterval(sweeper);
+    for (const entry of [...sessions.values()]) {
+      await entry.transport.close().catch(() => {});
+    }
+    // closeAllConnections() arrived in Node 18.2; without it close() waits for keep-alive sockets
+    if (typeof httpServer.closeAllConnections === 'function') {
+      httpServer.closeAllConnections();
+    }
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+
+  return { httpServer, sessions, close, sweepIdleSessions };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  startHttpTransport,
+  DEFAULT_MCP_PORT,
+  DEFAULT_MCP_HOST,
+  MCP_PATH,
+  SESSION_IDLE_TIMEOUT_MS,
+  MCP_TOKEN_SCOPE,
+  isLoopbackHost,
+};
@@ -1,59 +1,194 @@
 'use strict';
 
+const { AsyncLocalStorage } = require('async_hooks');
 const { getApiKey } = require('../core/api-key.cjs');
+const { getConfigSection } = require('../core/config.cjs');
+
+/** Anthropic models per speed tier (direct API mode) */
+const API_MODELS = {
+  fast: 'claude-haiku-4-5-20251001',
+  deep: 'claude-sonnet-4-6-20250627',
+};
+
+/** Defaults for the `llm.local` config section */
+const DEFAULT_LOCAL = {
+  enabled: false,
+  baseUrl: 'http://localhost:11434/v1',
+  apiKey: null,
+  models: { fast: 'llama3.1:8b', deep: 'llama3.1:8b' },
+  timeoutMs: 60000,
+};
 
 /**
  * SamplingAdapter - Unified LLM completion interface
  *
- * Prefers MCP Sampling (zero-cost, uses host Claude) with automatic
- * fallback to direct Anthropic API (paid, requires ANTHROPIC_API_KEY).
+ * Backends, in order of preference:
+ * - MCP Sampling (zero-cost, uses host Claude)
+ * - A local OpenAI-compatible server (llama.cpp, Ollama, vLLM) when
+ *   `llm.local.enabled` is set (zero-cost, works offline)
+ * - Direct Anthropic API (paid, requires ANTHROPIC_API_KEY)
+ *
+ * One adapter is shared by the workers of every MCP session. A client's MCP
+ * context is therefore bound to its tool call with runWithMcpContext()
+ * rather than stored on the adapter, so concurrent calls from different
+ * clients never see each other's context.
  */
 class SamplingAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.mcpContext] - Default MCP request context with requestSampling()
+   *   (single-client callers; servers use runWithMcpContext())
+   * @param {string} [options.apiKey] - Anthropic API key (default: getApiKey())
+   * @param {Object} [options.local] - Local server settings (default: `llm.local` config)
+   */
   constructor(options = {}) {
     this.mcpContext = options.mcpContext || null;
     this.apiKey = options.apiKey || getApiKey();
-    this.mode = this.mcpContext ? 'sampling' : (this.apiKey ? 'api' : 'none');
+
+    const local = options.local || getConfigSection('llm.local', {});
+    this.local = {
+      ...DEFAULT_LOCAL,
+      ...local,
+      models: { ...DEFAULT_LOCAL.models, ...local.models },
+    };
+
+    this._anthropic = null;
+    this._callContext = new AsyncLocalStorage();
+  }
+
+  /**
+   * Backend used by complete() in the current call: 'sampling', 'local', 'api' or 'none'
+   * @returns {string}
+   */
+  get mode() {
+    return this._modeFor(this._currentMcpContext());
+  }
+
+  /**
+   * Run fn with an MCP context bound to it and everything it awaits.
+   * mode and complete() inside fn use this context; other calls are unaffected.
+   *
+   * @template T
+   * @param {Object|null|undefined} mcpContext - The calling client's MCP request context
+   *   (null: no sampling for this call)
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  runWithMcpContext(mcpContext, fn) {
+    return this._callContext.run({ mcpContext: mcpContext || null }, fn);
+  }
+
+  /**
+   * MCP context of the current call, or the constructor default outside runWithMcpContext()
+   * @private
+   * @returns {Object|null}
+   */
+  _currentMcpContext() {
+    const call = this._callContext.getStore();
+    return call ? call.mcpContext : this.mcpContext;
   }
 
+  /**
+   * @private
+   * @param {Object|null} mcpContext
+   * @returns {string}
+   */
+  _modeFor(mcpContext) {
+    if (mcpContext) return 'sampling';
+    if (this.local.enabled) return 'local';
+    return this.apiKey ? 'api' : 'none';
+  }
+
+  /**
+   * Run a completion on the preferred backend
+   * @param {string} prompt - User message
+   * @param {Object} [options]
+   * @param {'fast'|'deep'} [options.speed='fast'] - Haiku-class or Sonnet-class model
+   * @param {number} [options.maxTokens=1024]
+   * @param {string} [options.systemPrompt]
+   * @param {string} [options.model] - Anthropic model for API mode (default per speed)
+   * @param {boolean} [options.json=false] - Ask local servers for a JSON object response
+   * @returns {Promise<{text: string, model: string, mode: string, usage?: {inputTokens: number, outputTokens: number}}>}
+   */
   async complete(prompt, options = {}) {
-    const { speed = 'fast', maxTokens = 1024, systemPrompt = null } = options;
-    if (this.mode === 'sampling') {
-      return this._viaSampling(prompt, { speed, maxTokens, systemPrompt });
-    } else if (this.mode === 'api') {
-      return this._viaAPI(prompt, { speed, maxTokens, systemPrompt });
+    const { speed = 'fast', maxTokens = 1024, systemPrompt = null, model = null, json = false } = options;
+    const mcpContext = this._currentMcpContext();
+    const mode = this._modeFor(mcpContext);
+    if (mode === 'sampling') {
+      return this._viaSampling(mcpContext, prompt, { speed, maxTokens, systemPrompt });
+    } else if (mode === 'local') {
+      return this._viaLocal(prompt, { speed, maxTokens, systemPrompt, json });
+    } else if (mode === 'api') {
+      return this._viaAPI(prompt, { speed, maxTokens, systemPrompt, model });
     } else {
-      throw new Error('No LLM backend available: set MCP context or ANTHROPIC_API_KEY');
+      throw new Error('No LLM backend available: set MCP context, llm.local or ANTHROPIC_API_KEY');
     }
   }
 
-  async _viaSampling(prompt, { speed, maxTokens, systemPrompt }) {
+  async _viaSampling(mcpContext, prompt, { speed, maxTokens, systemPrompt }) {
     const messages = [{ role: 'user', content: { type: 'text', text: prompt } }];
     const modelPreferences = speed === 'deep'
       ? { hints: [{ name: 'claude-sonnet' }], intelligencePriority: 0.9, speedPriority: 0.3 }
       : { hints: [{ name: 'claude-haiku' }], intelligencePriority: 0.3, speedPriority: 0.9 };
     const params = { messages, modelPreferences, maxTokens };
     if (systemPrompt) params.systemPrompt = systemPrompt;
-    const result = await this.mcpContext.requestSampling(params);
+    const result = await mcpContext.requestSampling(params);
     const text = typeof result.content === 'string'
       ? result.content
       : (result.content?.text || JSON.stringify(result.content));
     return { text, model: result.model || 'unknown', mode: 'sampling' };
   }
 
-  async _viaAPI(prompt, { speed, maxTokens, systemPrompt }) {
-    const Anthropic = require('@anthropic-ai/sdk').default;
-    const client = new Anthropic({ apiKey: this.apiKey });
-    const model = speed === 'deep' ? 'claude-sonnet-4-6-20250627' : 'claude-haiku-4-5-20251001';
+  async _viaLocal(prompt, { speed, maxTokens, systemPrompt, json }) {
+    const model = this.local.models[speed] || this.local.models.fast;
+    const messages = [];
+    if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+    messages.push({ role: 'user', content: prompt });
+
+    const body = { model, messages, max_tokens: maxTokens, stream: false };
+    if (json) body.response_format = { type: 'json_object' };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.local.apiKey) headers.Authorization = `Bearer ${this.local.apiKey}`;
+
+    const response = await fetch(`${this.local.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.local.timeoutMs),
+    });
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw new Error(`Local LLM request failed (${response.status}): ${detail}`);
+    }
+
+    const data = await response.json();
+    const usage = {
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0,
+    };
+    return { text: data.choices?.[0]?.message?.content || '', model: data.model || model, mode: 'local', usage };
+  }
+
+  async _viaAPI(prompt, { speed, maxTokens, systemPrompt, model }) {
+    if (!this._anthropic) {
+      const Anthropic = require('@anthropic-ai/sdk').default;
+      this._anthropic = new Anthropic({ apiKey: this.apiKey });
+    }
     const params = {
-      model,
+      model: model || API_MODELS[speed] || API_MODELS.fast,
       max_tokens: maxTokens,
       messages: [{ role: 'user', content: prompt }],
     };
     if (systemPrompt) params.system = systemPrompt;
-    const response = await client.messages.create(params);
+    const response = await this._anthropic.messages.create(params);
     const text = response.content[0]?.text || '';
-    return { text, model: response.model, mode: 'api' };
+    const usage = {
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0,
+    };
+    return { text, model: response.model || params.model, mode: 'api', usage };
   }
 }
 
-module.exports = { SamplingAdapter };
+module.exports = { SamplingAdapter, API_MODELS, DEFAULT_LOCAL };
@@ -28,6 +28,8 @@ async function main() {
     ListResourcesRequestSchema,
     ReadResourceRequestSchema,
     ListResourceTemplatesRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
     ListPromptsRequestSchema,
     GetPromptRequestSchema,
   } = await import('@modelcontextprotocol/sdk/types.js');
@@ -50,8 +52,11 @@ async function main() {
     validateLearnArgs,
     validateConsolidateArgs,
     validateForgetArgs,
+    validateHistoryArgs,
     ValidationError,
   } = require('../core/validation.cjs');
+  const { formatDiff } = require('../core/text-diff.cjs');
+  const { getStorageEncryption, parseLine } = require('../core/storage-encryption.cjs');
 
   // Import rate limiter (cost protection)
   const { RateLimiter, RateLimitError } = require('../core/rate-limiter.cjs');
@@ -59,26 +64,22 @@ async function main() {
   // Import audit logger (accountability)
   const { AuditLogger } = require('../core/audit-logger.cjs');
 
-  // Initialize workers
-  const haiku = new HaikuWorker();
-  const sonnet = new SonnetThinker();
-  const mcpFormatter = new InjectionFormatter({ format: 'rich' });
+  // Import cost tracker (token spend and budgets)
+  const { createCostTracker } = require('../core/cost-tracker.cjs');
 
-  // Initialize rate limiter (prevents runaway API costs)
-  const rateLimiter = new RateLimiter({
-    enabled: process.env.CORTEX_RATE_LIMIT !== 'false',
-    onLimitReached: (toolName, info) => {
-      log(`Rate limit reached for ${toolName}: cooldown until ${new Date(info.cooldownEnd).toISOString()}`);
-    },
-  });
+  // Import LLM backend (MCP Sampling, local OpenAI-compatible server or API)
+  const { SamplingAdapter } = require('./sampling-adapter.cjs');
 
-  // Initialize audit logger (accountability & debugging)
-  const auditLogger = new AuditLogger({
-    enabled: process.env.CORTEX_AUDIT !== 'false',
-    logLevel: process.env.CORTEX_LOG_LEVEL || 'INFO',
-    consoleOutput: process.env.CORTEX_AUDIT_CONSOLE === 'true',
-  });
-  auditLogger.sessionStart();
+  // Import HTTP transport (shared server for multiple clients)
+  const { startHttpTransport } = require('./mcp-http-transport.cjs');
+
+  // Initialize workers (one cost tracker so both count against the same budget;
+  // the shared adapter gets each client's MCP context per tool call)
+  const costTracker = createCostTracker();
+  const samplingAdapter = new SamplingAdapter();
+  const haiku = new HaikuWorker({ costTracker, samplingAdapter });
+  const sonnet = new SonnetThinker({ costTracker, samplingAdapter });
+  const mcpFormatter = new InjectionFormatter({ format: 'rich' });
 
   // Tool execution tracking
   const TOOL_MODELS = {
@@ -89,30 +90,72 @@ async function main() {
     'cortex__learn': { model: 'Sonnet', estimatedMs: 2000 },
     'cortex__consolidate': { model: 'Sonnet', estimatedMs: 5000 },
     'cortex__forget': { model: 'Local', estimatedMs: 100 },
+    'cortex__history': { model: 'Local', estimatedMs: 100 },
     'cortex__health': { model: 'Local', estimatedMs: 50 },
   };
 
   // Log to stderr to not interfere with stdio transport
   const log = (msg) => process.stderr.write(`[Cortex] ${msg}\n`);
 
-  // Create MCP server
-  const server = new Server(
-    {
-      name: 'cortex',
-      version: '3.0.0',
-      description: "Claude's Cognitive Layer - Intelligent memory with dual-model architecture"
-    },
-    {
-      capabilities: {
-        tools: { listChanged: true },
-        resources: { subscribe: false, listChanged: true },
-        prompts: { listChanged: true },
-        // Sampling is used via SamplingAdapter for zero-cost LLM calls
-        // through the host Claude. Falls back to direct Anthropic API
-        // when ANTHROPIC_API_KEY is set and MCP context is unavailable.
-      }
+  // ==========================================================================
+  // SESSION STATE
+  // ==========================================================================
+
+  /**
+   * Create per-connection state. Each client gets its own rate limiter and
+   * audit logger so limits and audit entries are attributed per client.
+   *
+   * @param {Object} [info]
+   * @param {string} [info.transport='stdio'] - Transport name
+   * @param {string} [info.sessionId] - MCP session ID (HTTP transport)
+   * @param {Object} [info.clientInfo] - clientInfo from the initialize request
+   * @returns {Object} Session state
+   */
+  function createSessionState(info = {}) {
+    const transport = info.transport || 'stdio';
+    const clientName = info.clientInfo?.name || null;
+    const label = clientName ? ` [${clientName}]` : '';
+
+    // Rate limiter (prevents runaway API costs)
+    const rateLimiter = new RateLimiter({
+      enabled: process.env.CORTEX_RATE_LIMIT !== 'false',
+      onLimitReached: (toolName, limitInfo) => {
+        log(`Rate limit reached for ${toolName}${label}: cooldown until ${new Date(limitInfo.cooldownEnd).toISOString()}`);
+      },
+    });
+
+    // Audit logger (accountability & debugging)
+    const auditLogger = new AuditLogger({
+      enabled: process.env.CORTEX_AUDIT !== 'false',
+      logLevel: process.env.CORTEX_LOG_LEVEL || 'INFO',
+      consoleOutput: process.env.CORTEX_AUDIT_CONSOLE === 'true',
+      sessionId: info.sessionId,
+      context: transport === 'stdio' ? null : { transport, client: clientName },
+    });
+    auditLogger.sessionStart({ transport, client: clientName });
+
+    return {
+      transport,
+      clientName,
+      rateLimiter,
+      auditLogger,
+      changeSubscriptions: new Map(),
+      unsubscribeFeed: null,
+    };
+  }
+
+  /**
+   * Release per-connection state when a client disconnects
+   * @param {Object} session - From createSessionState()
+   */
+  function disposeSession(session) {
+    if (session.unsubscribeFeed) {
+      session.unsubscribeFeed();
+      session.unsubscribeFeed = null;
     }
-  );
+    session.changeSubscriptions.clear();
+    session.auditLogger.sessionEnd();
+  }
 
   // ==========================================================================
   // TOOL DEFINITIONS
@@ -128,7 +171,11 @@ async function main() {
         properties: {
           query: {
             type: 'string',
-            description: 'Natural language query to search memories'
+            description: 'Natural language query to search memories. May contain filter terms, e.g. "token refresh type:decision tag:auth -tag:deprecated project:current after:2026-01-01 quality>0.7"'
+          },
+          filter: {
+            type: 'string',
+            description: 'Filter terms only (same syntax as inline): type:<t>[,<t>], tag:<tag>, source:<s>, project:current|global|all|<hash>, status:<s>, after:<date|7d>, before:<date|7d>, quality|confidence|usage with > >= < <=; prefix type/tag/source with - to exclude. Filtered queries search the Cortex memory store only'
           },
           sources: {
             type: 'array',
@@ -140,6 +187,21 @@ async function main() {
             type: 'number',
             description: 'Maximum number of results (default: 10)',
             default: 10
+          },
+          asOf: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Point-in-time (valid time): only memories that were true at this instant, e.g. "2026-03-01T00:00:00Z". Point-in-time queries search the Cortex memory store only'
+          },
+          knownAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Transaction time: only memories Cortex had recorded by this instant'
+          },
+          includeSuperseded: {
+            type: 'boolean',
+            description: 'Also return superseded versions (validity window closed), marked as superseded (default: false)',
+            default: false
           }
         },
         required: ['query']
@@ -160,6 +222,21 @@ async function main() {
             enum: ['skill', 'pattern', 'decision', 'insight', 'any'],
             description: 'Type of memory to recall (default: any)',
             default: 'any'
+          },
+          asOf: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Point-in-time (valid time): only memories that were true at this instant, e.g. "2026-03-01T00:00:00Z". Point-in-time queries search the Cortex memory store only'
+          },
+          knownAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Transaction time: only memories Cortex had recorded by this instant'
+          },
+          includeSuperseded: {
+            type: 'boolean',
+            description: 'Also return superseded versions (validity window closed), marked as superseded (default: false)',
+            default: false
           }
         },
         required: ['context']
@@ -280,10 +357,42 @@ async function main() {
         }
       }
     },
+    {
+      name: 'cortex__history',
+      description: 'Show how a memory changed over time: list its versions (who changed it and why), diff two versions, or restore an earlier version.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'ID of the memory'
+          },
+          action: {
+            type: 'string',
+            enum: ['list', 'diff', 'restore'],
+            description: 'list versions, diff two versions, or restore one (default: list)',
+            default: 'list'
+          },
+          from: {
+            type: 'integer',
+            description: 'Older version to diff (required for diff)'
+          },
+          to: {
+            type: 'integer',
+            description: 'Newer version to diff (default: current)'
+          },
+          version: {
+            type: 'integer',
+            description: 'Version to restore (required for restore)'
+          }
+        },
+        required: ['id']
+      }
+    },
     // System tools
     {
       name: 'cortex__health',
-      description: 'Check Cortex system health and get statistics about all memory adapters, rate limits, and system resources.',
+      description: 'Check Cortex system health and get statistics about all memory adapters, rate limits, API spend against budgets, and system resources.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -303,10 +412,11 @@ async function main() {
 
   /**
    * Get system health status and statistics
+   * @param {Object} session - Calling client's session state
    * @param {boolean} includeStats - Include detailed adapter statistics
    * @returns {Promise<Object>}
    */
-  async function getHealthStatus(includeStats = true) {
+  async function getHealthStatus(session, includeStats = true) {
     const status = {
       status: 'healthy',
       timestamp: new Date().toISOString(),
@@ -318,13 +428,26 @@ async function main() {
         external: Math.round(process.memoryUsage().external / 1024 / 1024),
         unit: 'MB',
       },
-      rateLimits: rateLimiter.getStats(),
+      session: {
+        id: session.auditLogger.sessionId,
+        transport: session.transport,
+        client: session.clientName,
+      },
+      rateLimits: session.rateLimiter.getStats(),
+      spend: costTracker.getReport(),
       auditLog: {
-        enabled: auditLogger.isEnabled(),
-        sessionCalls: auditLogger.getSessionStats()?.totalCalls || 0,
+        enabled: session.auditLogger.isEnabled(),
+        sessionCalls: session.auditLogger.getSessionStats()?.totalCalls || 0,
       },
+      // Encrypted stores search by vector only (the FTS5 index holds ciphertext)
+      search: getStorageEncryption() ? { mode: 'vector', bm25: false } : { mode: 'hybrid', bm25: true },
     };
 
+    // Over budget, Haiku/Sonnet API calls are skipped until the next period
+    if (status.spend.exceeded) {
+      status.status = 'degraded';
+    }
+
     if (includeStats) {
       // Get adapter stats from haiku worker's orchestrator
       try {
@@ -336,11 +459,15 @@ async function main() {
         status.adapters = { error: error.message };
       }
 
+      // Tier sizes come from the MemoryStore (the tier JSONL files are legacy)
+      try {
+        status.tiers = (await getMemoryStore()).getCountByTier();
+      } catch (error) {
+        status.tiers = { error: error.message };
+      }
+
       // Check memory file existence
       const memoryFiles = {
-        working: path.join(BASE_PATH, 'data/memories/working.jsonl'),
-        shortTerm: path.join(BASE_PATH, 'data/memories/short-term.jsonl'),
-        longTerm: path.join(BASE_PATH, 'data/memories/long-term.jsonl'),
         insights: path.join(BASE_PATH, 'data/insights/insights.jsonl'),
         learnings: path.join(BASE_PATH, 'data/learnings/learnings.jsonl'),
       };
@@ -363,40 +490,101 @@ async function main() {
     return status;
   }
 
+  // ==========================================================================
+  // MEMORY HISTORY
+  // ==========================================================================
+
+  /**
+   * List, diff or restore versions of a memory
+   * @param {Object} session - Calling client's session state
+   * @param {Object} args - Validated cortex__history arguments
+   * @returns {Promise<string>}
+   */
+  async function runHistory(session, args) {
+    const { getVectorSearchProvider } = require('../core/vector-search-provider.cjs');
+    const vsp = getVectorSearchProvider({ basePath: BASE_PATH });
+    await vsp.initialize();
+
+    const memory = vsp._memoryStore.get(args.id);
+    if (!memory) {
+      throw new CortexError('CORTEX_E105', { details: `No memory with id ${args.id}` });
+    }
+
+    if (args.action === 'diff') {
+      const diff = vsp._memoryStore.diffVersions(memory.id, args.from, args.to);
+      if (!diff) {
+        throw new CortexError('CORTEX_E105', { details: `No version ${args.from} or ${args.to ?? 'current'} of memory ${memory.id}` });
+      }
+      const lines = [`Memory ${memory.id}: version ${diff.from} → ${diff.to}`];
+      for (const change of diff.changes.filter(c => c.field !== 'content')) {
+        lines.push(`${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+      }
+      lines.push('', diff.changes.some(c => c.field === 'content') ? formatDiff(diff.contentDiff) : '(content unchanged)');
+      return lines.join('\n');
+    }
+
+    if (args.action === 'restore') {
+      const restored = await vsp.restoreVersion(memory.id, args.version, {
+        changedBy: `mcp:${session.clientName || session.transport}`,
+      });
+      if (!restored) {
+        throw new CortexError('CORTEX_E105', { details: `No version ${args.version} of memory ${memory.id}` });
+      }
+      return `✅ Restored version ${args.version} of ${memory.id} (now version ${restored.version})`;
+    }
+
+    const versions = vsp._memoryStore.listVersions(memory.id);
+    if (versions.length === 0) {
+      return `Memory ${memory.id} has not been edited (version ${memory.version}).`;
+    }
+
+    const lines = [`Memory ${memory.id}: ${versions.length} versions (current: ${memory.version})`];
+    for (const v of versions) {
+      const who = v.changed_by ? ` by ${v.changed_by}` : '';
+      const what = v.changed_fields ? ` [${v.changed_fields.join(', ')}]` : ' [original]';
+      const why = v.change_reason ? ` — ${v.change_reason}` : '';
+      lines.push(`\nv${v.version} ${v.created_at}${who}${what}${why}`);
+      lines.push(`  ${v.content.length > 200 ? v.content.slice(0, 200) + '...' : v.content}`);
+    }
+    return lines.join('\n');
+  }
+
   // ==========================================================================
   // RESOURCE DEFINITIONS
   // ==========================================================================
 
   const BASE_PATH = path.join(process.env.HOME, '.claude', 'memory');
 
+  /** @const {Array<Object>} Lifecycle tiers, served from the MemoryStore as cortex://memories/<tier> */
+  const TIER_RESOURCES = [
+    { tier: 'working', name: 'Working Memory', desc: 'Current session context and active tasks' },
+    { tier: 'short-term', name: 'Short-Term Memory', desc: 'Recent session history (last 7 days)' },
+    { tier: 'long-term', name: 'Long-Term Memory', desc: 'Consolidated insights and patterns' },
+  ];
+
+  /** @const {number} Entries above which a resource is summarized with a sample */
+  const RESOURCE_SAMPLE_THRESHOLD = 100;
+
   /**
    * Dynamically discover available memory resources
-   * @returns {Array<{uri: string, name: string, description: string, mimeType: string}>}
+   * @returns {Promise<Array<{uri: string, name: string, description: string, mimeType: string}>>}
    */
-  function getAvailableResources() {
+  async function getAvailableResources() {
     const resources = [];
 
-    // Memory layers
-    const memoryDir = path.join(BASE_PATH, 'data', 'memories');
-    if (fs.existsSync(memoryDir)) {
-      const memoryFiles = [
-        { file: 'working.jsonl', name: 'Working Memory', desc: 'Current session context and active tasks' },
-        { file: 'short-term.jsonl', name: 'Short-Term Memory', desc: 'Recent session history (last 7 days)' },
-        { file: 'long-term.jsonl', name: 'Long-Term Memory', desc: 'Consolidated insights and patterns' },
-      ];
-      for (const { file, name, desc } of memoryFiles) {
-        const filePath = path.join(memoryDir, file);
-        if (fs.existsSync(filePath)) {
-          const stats = fs.statSync(filePath);
-          const sizeKb = Math.round(stats.size / 1024);
-          resources.push({
-            uri: `cortex://memories/${file.replace('.jsonl', '')}`,
-            name,
-            description: `${desc} (${sizeKb}KB)`,
-            mimeType: 'application/jsonl'
-          });
-        }
+    // Memory tiers
+    try {
+      const counts = (await getMemoryStore()).getCountByTier();
+      for (const { tier, name, desc } of TIER_RESOURCES) {
+        resources.push({
+          uri: `cortex://memories/${tier}`,
+          name,
+          description: `${desc} (${counts[tier]} memories)`,
+          mimeType: 'application/json'
+        });
       }
+    } catch (error) {
+      log(`Could not count memory tiers: ${error.message}`);
     }
 
     // Pattern library
@@ -477,9 +665,47 @@ async function main() {
       });
     }
 
+    // Memory change log (subscribable)
+    resources.push({
+      uri: EVENTS_URI,
+      name: 'Memory Changes',
+      description: 'Recent insert/update/invalidate/delete events; subscribe for live updates',
+      mimeType: 'application/json'
+    });
+
     return resources;
   }
 
+  /**
+   * Render a tier resource from the MemoryStore (same layout as file resources)
+   * @param {string} uri - Resource URI (e.g., cortex://memories/long-term)
+   * @returns {Promise<string|null>} Markdown, or null if the URI is not a tier
+   */
+  async function readTierResource(uri) {
+    const match = uri.match(/^cortex:\/\/memories\/(.+)$/);
+    const tier = match && TIER_RESOURCES.find(resource => resource.tier === match[1])?.tier;
+    if (!tier) return null;
+
+    const store = await getMemoryStore();
+    const total = store.count({ tier });
+
+    if (total > RESOURCE_SAMPLE_THRESHOLD) {
+      const sample = store.query({ tier, limit: 10 })
+        .map(memory => JSON.stringify(memoryToRecord(memory), null, 2))
+        .join('\n');
+
+      return `# Resource: ${uri}\n\n` +
+             `**Total entries:** ${total}\n\n` +
+             `## Sample (10 most recent entries):\n\`\`\`json\n${sample}\n\`\`\`\n\n` +
+             `_Use cortex__query to search specific entries._`;
+    }
+
+    const formatted = store.query({ tier, limit: RESOURCE_SAMPLE_THRESHOLD })
+      .map(memory => JSON.stringify(memoryToRecord(memory), null, 2))
+      .join('\n---\n');
+    return `# Resource: ${uri}\n\n**Total entries:** ${total}\n\n\`\`\`json\n${formatted}\n\`\`\``;
+  }
+
   /**
    * Resolve a resource URI to a file path
    * @param {string} uri - Resource URI (e.g., cortex://memories/long-term)
@@ -507,119 +733,60 @@ async function main() {
   }
 
   // ==========================================================================
-  // REQUEST HANDLERS
+  // MEMORY CHANGE NOTIFICATIONS
   // ==========================================================================
 
-  // List available tools
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return { tools: TOOLS };
-  });
-
-  // List available resources (memory files)
-  server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    const resources = getAvailableResources();
-    log(`Listing ${resources.length} resources`);
-    return { resources };
-  });
-
-  // Read a specific resource
-  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const { uri } = request.params;
-    log(`Reading resource: ${uri}`);
-
-    const filePath = resolveResourceUri(uri);
-    auditLogger.resourceAccess(uri, !!filePath);
-
-    if (!filePath) {
-      throw new CortexError('CORTEX_E201', {
-        details: `Resource not found: ${uri}`
-      });
-    }
+  const { MemoryStore, memoryToRecord } = require('../core/memory-store.cjs');
+  const { MemoryChangeFeed, matchesEventFilters } = require('../core/memory-events.cjs');
 
-    try {
-      const content = fs.readFileSync(filePath, 'utf-8');
-
-      // Parse JSONL and provide summary for large files
-      const lines = content.trim().split('\n').filter(Boolean);
-      let text;
-
-      if (lines.length > 100) {
-        // For large files, provide a summary + sample
-        const sample = lines.slice(0, 10).map(l => {
-          try {
-            const obj = JSON.parse(l);
-            return JSON.stringify(obj, null, 2);
-          } catch {
-            return l;
-          }
-        }).join('\n');
-
-        text = `# Resource: ${uri}\n\n` +
-               `**Total entries:** ${lines.length}\n\n` +
-               `## Sample (first 10 entries):\n\`\`\`json\n${sample}\n\`\`\`\n\n` +
-               `_Use cortex__query to search specific entries._`;
-      } else {
-        // For small files, return formatted JSON
-        const formatted = lines.map(l => {
-          try {
-            const obj = JSON.parse(l);
-            return JSON.stringify(obj, null, 2);
-          } catch {
-            return l;
-          }
-        }).join('\n---\n');
+  /** @const {string} Subscribable change log resource (accepts ?project=&type=) */
+  const EVENTS_URI = 'cortex://events/changes';
 
-        text = `# Resource: ${uri}\n\n**Total entries:** ${lines.length}\n\n\`\`\`json\n${formatted}\n\`\`\``;
-      }
+  let memoryStore = null;
+  let changeFeed = null;
 
-      return {
-        contents: [{
-          uri,
-          mimeType: 'text/markdown',
-          text
-        }]
-      };
-    } catch (error) {
-      throw new CortexError('CORTEX_E201', {
-        cause: error,
-        details: `Failed to read resource: ${uri}`
-      });
-    }
-  });
-
-  // List resource templates for dynamic resource discovery
-  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
-    log('Listing resource templates');
+  /**
+   * Parse filters from a change log URI
+   * @param {string} uri - e.g. cortex://events/changes?project=abc&type=decision,fact
+   * @returns {Object|null} Filters, or null if not a change log URI
+   */
+  function parseEventsUri(uri) {
+    if (uri !== EVENTS_URI && !uri.startsWith(`${EVENTS_URI}?`)) return null;
 
+    const params = new URL(uri).searchParams;
     return {
-      resourceTemplates: [
-        {
-          uriTemplate: 'cortex://memories/{type}',
-          name: 'Memory by Type',
-          description: 'Access memory by type (working, short-term, long-term, insights, learnings)',
-          mimeType: 'application/jsonl'
-        },
-        {
-          uriTemplate: 'cortex://patterns/{type}',
-          name: 'Pattern by Type',
-          description: 'Access patterns by type (decisions, outcomes)',
-          mimeType: 'application/jsonl'
-        },
-        {
-          uriTemplate: 'cortex://skills/{name}',
-          name: 'Skill by Name',
-          description: 'Access skill data by name',
-          mimeType: 'application/jsonl'
-        },
-        {
-          uriTemplate: 'cortex://projects/{projectId}',
-          name: 'Project Memory',
-          description: 'Access project-specific memories by project hash',
-          mimeType: 'application/jsonl'
-        }
-      ]
+      projectHash: params.get('project') || null,
+      memoryTypes: (params.get('type') || '').split(',').filter(Boolean),
     };
-  });
+  }
+
+  /**
+   * Open the SQLite memory store behind the change log and tier resources (lazy)
+   * @returns {Promise<MemoryStore>}
+   */
+  async function getMemoryStore() {
+    if (!memoryStore) {
+      memoryStore = new MemoryStore({ dbPath: path.join(BASE_PATH, 'data', 'memories.db') });
+      await memoryStore.initialize();
+    }
+    return memoryStore;
+  }
+
+  /**
+   * Send resources/updated for every URI a session subscribed to that
+   * matches a change event
+   * @param {Server} server - The session's MCP server
+   * @param {Object} session - Session state holding changeSubscriptions
+   * @param {Object} event - Change event from the MemoryStore log
+   */
+  function notifySubscribers(server, session, event) {
+    for (const [uri, filters] of session.changeSubscriptions) {
+      if (!matchesEventFilters(event, filters)) continue;
+      server.sendResourceUpdated({ uri }).catch(error => {
+        log(`Failed to notify ${uri}: ${error.message}`);
+      });
+    }
+  }
 
   // ==========================================================================
   // PROMPT DEFINITIONS
@@ -825,316 +992,607 @@ This provides a comprehensive project briefing.`
     }
   }
 
-  // List available prompts
-  server.setRequestHandler(ListPromptsRequestSchema, async () => {
-    log(`Listing ${PROMPTS.length} prompts`);
-    return { prompts: PROMPTS };
-  });
-
-  // Get a specific prompt with filled arguments
-  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-    log(`Getting prompt: ${name}`);
-    auditLogger.promptAccess(name, args);
-
-    const prompt = PROMPTS.find(p => p.name === name);
-    if (!prompt) {
-      throw new CortexError('CORTEX_E202', {
-        details: `Unknown prompt: ${name}`
-      });
-    }
+  // ==========================================================================
+  // REQUEST HANDLERS
+  // ==========================================================================
 
-    // Validate required arguments
-    for (const arg of prompt.arguments || []) {
-      if (arg.required && !args?.[arg.name]) {
-        throw new CortexError('CORTEX_E200', {
-          details: `Missing required argument: ${arg.name}`
+  /**
+   * Build an MCP Server with every tool, resource and prompt handler bound
+   * to one client's session state. The SDK ties a Server to a single
+   * transport, so the HTTP transport calls this once per session.
+   *
+   * @param {Object} session - From createSessionState()
+   * @returns {Server}
+   */
+  function createMcpServer(session) {
+    const { rateLimiter, auditLogger } = session;
+
+    // Create MCP server
+    const server = new Server(
+      {
+        name: 'cortex',
+        version: '3.0.0',
+        description: "Claude's Cognitive Layer - Intelligent memory with dual-model architecture"
+      },
+      {
+        capabilities: {
+          tools: { listChanged: true },
+          resources: { subscribe: true, listChanged: true },
+          prompts: { listChanged: true },
+          // Sampling is used via SamplingAdapter for zero-cost LLM calls
+          // through the host Claude. Without MCP context it falls back to a
+          // local OpenAI-compatible server (llm.local) or the Anthropic API.
+        }
+      }
+    );
+
+    // List available tools
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: TOOLS };
+    });
+
+    // List available resources (memory files)
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const resources = await getAvailableResources();
+      log(`Listing ${resources.length} resources`);
+      return { resources };
+    });
+
+    // Read a specific resource
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      log(`Reading resource: ${uri}`);
+
+      const eventFilters = parseEventsUri(uri);
+      if (eventFilters) {
+        auditLogger.resourceAccess(uri, true);
+        const store = await getMemoryStore();
+        const latest = store.getLatestEventId();
+        const events = store.getEventsSince(Math.max(0, latest - 500), { limit: 500 })
+          .filter(event => matchesEventFilters(event, eventFilters))
+          .slice(-50);
+
+        return {
+          contents: [{
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify({ latestEventId: latest, events }, null, 2)
+          }]
+        };
+      }
+
+      const tierText = await readTierResource(uri);
+      if (tierText !== null) {
+        auditLogger.resourceAccess(uri, true);
+        return {
+          contents: [{
+            uri,
+            mimeType: 'text/markdown',
+            text: tierText
+          }]
+        };
+      }
+
+      const filePath = resolveResourceUri(uri);
+      auditLogger.resourceAccess(uri, !!filePath);
+
+      if (!filePath) {
+        throw new CortexError('CORTEX_E201', {
+          details: `Resource not found: ${uri}`
         });
       }
-    }
 
-    const messages = generatePromptContent(name, args || {});
+      try {
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const encryption = getStorageEncryption();
+
+        // Parse JSONL and provide summary for large files
+        const lines = content.trim().split('\n').filter(Boolean);
+        let text;
+
+        if (lines.length > RESOURCE_SAMPLE_THRESHOLD) {
+          // For large files, provide a summary + sample
+          const sample = lines.slice(0, 10).map(l => {
+            try {
+              const obj = parseLine(l, encryption);
+              return JSON.stringify(obj, null, 2);
+            } catch {
+              return l;
+            }
+          }).join('\n');
+
+          text = `# Resource: ${uri}\n\n` +
+                 `**Total entries:** ${lines.length}\n\n` +
+                 `## Sample (first 10 entries):\n\`\`\`json\n${sample}\n\`\`\`\n\n` +
+                 `_Use cortex__query to search specific entries._`;
+        } else {
+          // For small files, return formatted JSON
+          const formatted = lines.map(l => {
+            try {
+              const obj = parseLine(l, encryption);
+              return JSON.stringify(obj, null, 2);
+            } catch {
+              return l;
+            }
+          }).join('\n---\n');
+
+          text = `# Resource: ${uri}\n\n**Total entries:** ${lines.length}\n\n\`\`\`json\n${formatted}\n\`\`\``;
+        }
+
+        return {
+          contents: [{
+            uri,
+            mimeType: 'text/markdown',
+            text
+          }]
+        };
+      } catch (error) {
+        throw new CortexError('CORTEX_E201', {
+          cause: error,
+          details: `Failed to read resource: ${uri}`
+        });
+      }
+    });
+
+    // List resource templates for dynamic resource discovery
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      log('Listing resource templates');
 
-    return {
-      description: prompt.description,
-      messages
-    };
-  });
-
-  // Handle tool calls with progress tracking
-  server.setRequestHandler(CallToolRequestSchema, async (request, ctx) => {
-    const { name, arguments: args } = request.params;
-    const startTime = Date.now();
-
-    // Inject SamplingAdapter for zero-cost MCP Sampling
-    const { SamplingAdapter } = require('./sampling-adapter.cjs');
-    const samplingAdapter = new SamplingAdapter({ mcpContext: ctx?.mcpReq || null });
-    if (!haiku.samplingAdapter) haiku.samplingAdapter = samplingAdapter;
-    if (!sonnet.samplingAdapter) sonnet.samplingAdapter = samplingAdapter;
-
-    // Get tool info for progress tracking
-    const toolInfo = TOOL_MODELS[name] || { model: 'Unknown', estimatedMs: 1000 };
-
-    log(`Tool call: ${name} (${toolInfo.model})`);
-
-    // Start audit logging for this call
-    const callId = auditLogger.toolCallStart(name, args);
-
-    // Check rate limits before proceeding
-    const rateLimitCheck = rateLimiter.check(name);
-    if (!rateLimitCheck.allowed) {
-      log(`Rate limit: ${rateLimitCheck.reason}`);
-      auditLogger.rateLimitHit(name, rateLimitCheck.reason, rateLimitCheck.retryAfter);
-      const errorCode = rateLimitCheck.retryAfter > 3600 ? 'CORTEX_E312' :
-                        rateLimitCheck.retryAfter > 60 ? 'CORTEX_E311' : 'CORTEX_E310';
-      const error = new CortexError(errorCode, {
-        details: `${rateLimitCheck.reason}. Retry after ${rateLimitCheck.retryAfter}s`
-      });
-      auditLogger.toolCallError(callId, errorCode, rateLimitCheck.reason, Date.now() - startTime);
       return {
-        content: [{
-          type: 'text',
-          text: error.toDisplayString()
-        }],
-        isError: true
+        resourceTemplates: [
+          {
+            uriTemplate: 'cortex://memories/{type}',
+            name: 'Memory by Type',
+            description: 'Access memory by type (working, short-term, long-term, insights, learnings)',
+            mimeType: 'application/jsonl'
+          },
+          {
+            uriTemplate: 'cortex://patterns/{type}',
+            name: 'Pattern by Type',
+            description: 'Access patterns by type (decisions, outcomes)',
+            mimeType: 'application/jsonl'
+          },
+          {
+            uriTemplate: 'cortex://skills/{name}',
+            name: 'Skill by Name',
+            description: 'Access skill data by name',
+            mimeType: 'application/jsonl'
+          },
+          {
+            uriTemplate: 'cortex://projects/{projectId}',
+            name: 'Project Memory',
+            description: 'Access project-specific memories by project hash',
+            mimeType: 'application/jsonl'
+          },
+          {
+            uriTemplate: 'cortex://events/changes{?project,type}',
+            name: 'Memory Changes',
+            description: 'Recent memory change events, filtered by project hash and comma-separated memory types',
+            mimeType: 'application/json'
+          }
+        ]
       };
-    }
+    });
+
+    // Subscribe to change notifications (notifications/resources/updated)
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const filters = parseEventsUri(uri);
+      if (!filters) {
+        throw new CortexError('CORTEX_E201', {
+          details: `Subscriptions are only supported for ${EVENTS_URI}: ${uri}`
+        });
+      }
 
-    // Show progress for Sonnet operations (they take longer)
-    let progressInterval = null;
-    if (toolInfo.model === 'Sonnet') {
-      let dots = 0;
-      progressInterval = setInterval(() => {
-        dots = (dots + 1) % 4;
-        const elapsed = Date.now() - startTime;
-        process.stderr.write(`\r[Cortex] ${name} - ${toolInfo.model} thinking${'.'.repeat(dots)}${' '.repeat(3 - dots)} (${Math.round(elapsed / 1000)}s)`);
-      }, 500);
-    }
+      session.changeSubscriptions.set(uri, filters);
+      if (!session.unsubscribeFeed) {
+        changeFeed = changeFeed || new MemoryChangeFeed({ memoryStore: await getMemoryStore() });
+        session.unsubscribeFeed = changeFeed.subscribe(event => notifySubscribers(server, session, event));
+      }
 
-    try {
-      let result;
-      let validatedArgs;
+      log(`Subscribed to ${uri}`);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      session.changeSubscriptions.delete(uri);
+
+      if (session.changeSubscriptions.size === 0 && session.unsubscribeFeed) {
+        session.unsubscribeFeed();
+        session.unsubscribeFeed = null;
+      }
+
+      log(`Unsubscribed from ${uri}`);
+      return {};
+    });
+
+    // List available prompts
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      log(`Listing ${PROMPTS.length} prompts`);
+      return { prompts: PROMPTS };
+    });
+
+    // Get a specific prompt with filled arguments
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      log(`Getting prompt: ${name}`);
+      auditLogger.promptAccess(name, args);
+
+      const prompt = PROMPTS.find(p => p.name === name);
+      if (!prompt) {
+        throw new CortexError('CORTEX_E202', {
+          details: `Unknown prompt: ${name}`
+        });
+      }
+
+      // Validate required arguments
+      for (const arg of prompt.arguments || []) {
+        if (arg.required && !args?.[arg.name]) {
+          throw new CortexError('CORTEX_E200', {
+            details: `Missing required argument: ${arg.name}`
+          });
+        }
+      }
+
+      const messages = generatePromptContent(name, args || {});
+
+      return {
+        description: prompt.description,
+        messages
+      };
+    });
+
+    // Handle tool calls with progress tracking. Worker LLM calls made during
+    // the call go through this client's MCP Sampling when available; the
+    // context is bound to the call, never stored on the shared adapter.
+    server.setRequestHandler(CallToolRequestSchema, (request, ctx) =>
+      samplingAdapter.runWithMcpContext(ctx?.mcpReq, () => handleToolCall(request, ctx))
+    );
+
+    async function handleToolCall(request, ctx) {
+      const { name, arguments: args } = request.params;
+      const startTime = Date.now();
+
+      // Get tool info for progress tracking
+      const toolInfo = TOOL_MODELS[name] || { model: 'Unknown', estimatedMs: 1000 };
+
+      log(`Tool call: ${name} (${toolInfo.model})`);
+
+      // Start audit logging for this call
+      const callId = auditLogger.toolCallStart(name, args);
+
+      // Check rate limits before proceeding
+      const rateLimitCheck = rateLimiter.check(name);
+      if (!rateLimitCheck.allowed) {
+        log(`Rate limit: ${rateLimitCheck.reason}`);
+        auditLogger.rateLimitHit(name, rateLimitCheck.reason, rateLimitCheck.retryAfter);
+        const errorCode = rateLimitCheck.retryAfter > 3600 ? 'CORTEX_E312' :
+                          rateLimitCheck.retryAfter > 60 ? 'CORTEX_E311' : 'CORTEX_E310';
+        const error = new CortexError(errorCode, {
+          details: `${rateLimitCheck.reason}. Retry after ${rateLimitCheck.retryAfter}s`
+        });
+        auditLogger.toolCallError(callId, errorCode, rateLimitCheck.reason, Date.now() - startTime);
+        return {
+          content: [{
+            type: 'text',
+            text: error.toDisplayString()
+          }],
+          isError: true
+        };
+      }
+
+      // Show progress for Sonnet operations (they take longer)
+      let progressInterval = null;
+      if (toolInfo.model === 'Sonnet') {
+        let dots = 0;
+        progressInterval = setInterval(() => {
+          dots = (dots + 1) % 4;
+          const elapsed = Date.now() - startTime;
+          process.stderr.write(`\r[Cortex] ${name} - ${toolInfo.model} thinking${'.'.repeat(dots)}${' '.repeat(3 - dots)} (${Math.round(elapsed / 1000)}s)`);
+        }, 500);
+      }
 
-      // Validate and sanitize inputs before processing
       try {
+        let result;
+        let validatedArgs;
+
+        // Validate and sanitize inputs before processing
+        try {
+          switch (name) {
+            case 'cortex__query':
+              validatedArgs = validateQueryArgs(args);
+              break;
+            case 'cortex__recall':
+              validatedArgs = validateRecallArgs(args);
+              break;
+            case 'cortex__reflect':
+              validatedArgs = validateReflectArgs(args);
+              break;
+            case 'cortex__infer':
+              validatedArgs = validateInferArgs(args);
+              break;
+            case 'cortex__learn':
+              validatedArgs = validateLearnArgs(args);
+              break;
+            case 'cortex__consolidate':
+              validatedArgs = validateConsolidateArgs(args);
+              break;
+          case 'cortex__forget': {
+            const { getVectorSearchProvider } = require('../core/vector-search-provider.cjs');
+            const vsp = getVectorSearchProvider({ basePath: BASE_PATH });
+            await vsp.initialize();
+
+            if (validatedArgs.id) {
+              const success = await vsp.delete(validatedArgs.id, true);
+              result = success
+                ? `✅ Successfully deleted memory: ${validatedArgs.id}`
+                : `❌ Memory not found: ${validatedArgs.id}`;
+            } else if (validatedArgs.keyword) {
+              // Find memory first
+              const searchResults = await vsp.search(validatedArgs.keyword, { limit: 5 });
+              if (!searchResults.results || searchResults.results.length === 0) {
+                result = `❌ No memories found matching keyword: "${validatedArgs.keyword}"`;
+              } else if (searchResults.results.length === 1) {
+                const memId = searchResults.results[0].id;
+                await vsp.delete(memId, true);
+                result = `✅ Successfully found and deleted memory: ${memId}\nSnippet: "${searchResults.results[0].content?.slice(0, 50)}..."`;
+              } else {
+                result = `⚠️ Multiple memories found for "${validatedArgs.keyword}". Please specify the ID to delete:\n`;
+                searchResults.results.forEach((r, i) => {
+                  result += `\n[${i+1}] ID: ${r.id}\nSnippet: "${r.content?.slice(0, 80)}..."\n`;
+                });
+              }
+            } else {
+              throw new CortexError('CORTEX_E200', { details: 'Must provide either id or keyword to forget.' });
+            }
+            break;
+          }
+
+          case 'cortex__history':
+              validatedArgs = validateHistoryArgs(args);
+              break;
+          case 'cortex__health':
+              // Health check has minimal validation
+              validatedArgs = { includeStats: args?.includeStats !== false };
+              break;
+            default:
+              throw new CortexError('CORTEX_E202', { details: name });
+          }
+        } catch (validationError) {
+          if (validationError instanceof ValidationError) {
+            auditLogger.validationFailure(name, 'input', validationError.message);
+            throw new CortexError('CORTEX_E200', {
+              details: validationError.message
+            });
+          }
+          throw validationError;
+        }
+
+        // Formatter for MCP tool responses (plain text, no ANSI)
+        const toolFormatter = new InjectionFormatter({ format: 'rich' });
+
         switch (name) {
-          case 'cortex__query':
-            validatedArgs = validateQueryArgs(args);
+          // Haiku-powered tools
+          case 'cortex__query': {
+            const queryResult = await haiku.query(validatedArgs.query, validatedArgs.sources, validatedArgs.limit, {
+              asOf: validatedArgs.asOf,
+              knownAt: validatedArgs.knownAt,
+              includeSuperseded: validatedArgs.includeSuperseded,
+            }, validatedArgs.filters);
+            const formatted = toolFormatter.formatMemories(
+              queryResult.memories || [],
+              { projectName: queryResult.query },
+              queryResult.stats || {}
+            );
+            result = formatted;
             break;
-          case 'cortex__recall':
-            validatedArgs = validateRecallArgs(args);
+          }
+
+          case 'cortex__recall': {
+            const recallResult = await haiku.recall(validatedArgs.context, validatedArgs.type, {
+              asOf: validatedArgs.asOf,
+              knownAt: validatedArgs.knownAt,
+              includeSuperseded: validatedArgs.includeSuperseded,
+            });
+            const formatted = toolFormatter.formatMemories(
+              recallResult.memories || [],
+              { projectName: recallResult.context },
+              recallResult.stats || {}
+            );
+            result = formatted;
             break;
+          }
+
+          // Sonnet-powered tools
           case 'cortex__reflect':
-            validatedArgs = validateReflectArgs(args);
+            result = await sonnet.reflect(validatedArgs.topic, validatedArgs.depth);
             break;
+
           case 'cortex__infer':
-            validatedArgs = validateInferArgs(args);
+            result = await sonnet.infer(validatedArgs.concepts, validatedArgs.includeMemories);
             break;
-          case 'cortex__learn':
-            validatedArgs = validateLearnArgs(args);
+
+          case 'cortex__learn': {
+            const { createElicitationSchema, processElicitationResult } = require('./elicitation-helper.cjs');
+
+            // Try elicitation if available (MCP 2025-11-25 feature)
+            let finalInsight = validatedArgs.insight;
+            try {
+              if (ctx?.mcpReq?.elicitInput) {
+                const qualityScore = 0.75; // Pre-analysis estimate; Sonnet refines after
+                const schema = createElicitationSchema(finalInsight, qualityScore);
+                const elicitResult = await ctx.mcpReq.elicitInput(schema);
+                const processed = processElicitationResult(elicitResult?.content, finalInsight);
+
+                if (processed.action === 'discard') {
+                  result = { insight: finalInsight, discarded: true, message: 'Memory discarded by user.' };
+                  break;
+                }
+                if (processed.action === 'edit') {
+                  finalInsight = processed.content;
+                }
+              }
+            } catch (e) {
+              // Elicitation not supported — proceed with save
+            }
+
+            result = await sonnet.learn(finalInsight, validatedArgs.context, validatedArgs.type, validatedArgs.tags);
             break;
+          }
+
           case 'cortex__consolidate':
-            validatedArgs = validateConsolidateArgs(args);
+            result = await sonnet.consolidate(validatedArgs.scope, validatedArgs.type, validatedArgs.dryRun);
             break;
-        case 'cortex__forget': {
-          const { getVectorSearchProvider } = require('../core/vector-search-provider.cjs');
-          const vsp = getVectorSearchProvider({ basePath: BASE_PATH });
-          await vsp.initialize();
-
-          if (validatedArgs.id) {
-            const success = await vsp.delete(validatedArgs.id, true);
-            result = success
-              ? `✅ Successfully deleted memory: ${validatedArgs.id}`
-              : `❌ Memory not found: ${validatedArgs.id}`;
-          } else if (validatedArgs.keyword) {
-            // Find memory first
-            const searchResults = await vsp.search(validatedArgs.keyword, { limit: 5 });
-            if (!searchResults.results || searchResults.results.length === 0) {
-              result = `❌ No memories found matching keyword: "${validatedArgs.keyword}"`;
-            } else if (searchResults.results.length === 1) {
-              const memId = searchResults.results[0].id;
-              await vsp.delete(memId, true);
-              result = `✅ Successfully found and deleted memory: ${memId}\nSnippet: "${searchResults.results[0].content?.slice(0, 50)}..."`;
-            } else {
-              result = `⚠️ Multiple memories found for "${validatedArgs.keyword}". Please specify the ID to delete:\n`;
-              searchResults.results.forEach((r, i) => {
-                result += `\n[${i+1}] ID: ${r.id}\nSnippet: "${r.content?.slice(0, 80)}..."\n`;
-              });
-            }
-          } else {
-            throw new CortexError('CORTEX_E200', { details: 'Must provide either id or keyword to forget.' });
-          }
-          break;
-        }
 
-        case 'cortex__health':
-            // Health check has minimal validation
-            validatedArgs = { includeStats: args?.includeStats !== false };
+          case 'cortex__history':
+            result = await runHistory(session, validatedArgs);
             break;
-          default:
-            throw new CortexError('CORTEX_E202', { details: name });
-        }
-      } catch (validationError) {
-        if (validationError instanceof ValidationError) {
-          auditLogger.validationFailure(name, 'input', validationError.message);
-          throw new CortexError('CORTEX_E200', {
-            details: validationError.message
-          });
-        }
-        throw validationError;
-      }
 
-      // Formatter for MCP tool responses (plain text, no ANSI)
-      const toolFormatter = new InjectionFormatter({ format: 'rich' });
-
-      switch (name) {
-        // Haiku-powered tools
-        case 'cortex__query': {
-          const queryResult = await haiku.query(validatedArgs.query, validatedArgs.sources, validatedArgs.limit);
-          const formatted = toolFormatter.formatMemories(
-            queryResult.memories || [],
-            { projectName: queryResult.query },
-            queryResult.stats || {}
-          );
-          result = formatted;
-          break;
-        }
+          case 'cortex__health':
+            // Health check - no AI model needed
+            result = await getHealthStatus(session, validatedArgs.includeStats);
+            break;
 
-        case 'cortex__recall': {
-          const recallResult = await haiku.recall(validatedArgs.context, validatedArgs.type);
-          const formatted = toolFormatter.formatMemories(
-            recallResult.memories || [],
-            { projectName: recallResult.context },
-            recallResult.stats || {}
-          );
-          result = formatted;
-          break;
+          default:
+            throw new CortexError('CORTEX_E202', { details: name });
         }
 
-        // Sonnet-powered tools
-        case 'cortex__reflect':
-          result = await sonnet.reflect(validatedArgs.topic, validatedArgs.depth);
-          break;
-
-        case 'cortex__infer':
-          result = await sonnet.infer(validatedArgs.concepts, validatedArgs.includeMemories);
-          break;
-
-        case 'cortex__learn': {
-          const { createElicitationSchema, processElicitationResult } = require('./elicitation-helper.cjs');
-
-          // Try elicitation if available (MCP 2025-11-25 feature)
-          let finalInsight = validatedArgs.insight;
-          try {
-            if (ctx?.mcpReq?.elicitInput) {
-              const qualityScore = 0.75; // Pre-analysis estimate; Sonnet refines after
-              const schema = createElicitationSchema(finalInsight, qualityScore);
-              const elicitResult = await ctx.mcpReq.elicitInput(schema);
-              const processed = processElicitationResult(elicitResult?.content, finalInsight);
-
-              if (processed.action === 'discard') {
-                result = { insight: finalInsight, discarded: true, message: 'Memory discarded by user.' };
-                break;
-              }
-              if (processed.action === 'edit') {
-                finalInsight = processed.content;
-              }
-            }
-          } catch (e) {
-            // Elicitation not supported — proceed with save
-          }
-
-          result = await sonnet.learn(finalInsight, validatedArgs.context, validatedArgs.type, validatedArgs.tags);
-          break;
+        // Clear progress and show completion
+        if (progressInterval) {
+          clearInterval(progressInterval);
+          const duration = Date.now() - startTime;
+          process.stderr.write(`\r[Cortex] ${name} - ${toolInfo.model} ✓ (${Math.round(duration / 1000)}s)\n`);
         }
 
-        case 'cortex__consolidate':
-          result = await sonnet.consolidate(validatedArgs.scope, validatedArgs.type, validatedArgs.dryRun);
-          break;
-
-        case 'cortex__health':
-          // Health check - no AI model needed
-          result = await getHealthStatus(validatedArgs.includeStats);
-          break;
-
-        default:
-          throw new CortexError('CORTEX_E202', { details: name });
-      }
+        // Record successful call for rate limiting
+        rateLimiter.record(name);
 
-      // Clear progress and show completion
-      if (progressInterval) {
-        clearInterval(progressInterval);
+        // Log successful completion
         const duration = Date.now() - startTime;
-        process.stderr.write(`\r[Cortex] ${name} - ${toolInfo.model} ✓ (${Math.round(duration / 1000)}s)\n`);
-      }
-
-      // Record successful call for rate limiting
-      rateLimiter.record(name);
-
-      // Log successful completion
-      const duration = Date.now() - startTime;
-      auditLogger.toolCallEnd(callId, true, duration, {
-        model: toolInfo.model,
-        resultSize: typeof result === 'string' ? result.length : JSON.stringify(result).length,
-      });
+        auditLogger.toolCallEnd(callId, true, duration, {
+          model: toolInfo.model,
+          resultSize: typeof result === 'string' ? result.length : JSON.stringify(result).length,
+        });
 
-      return {
-        content: [{
-          type: 'text',
-          text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-        }]
-      };
+        return {
+          content: [{
+            type: 'text',
+            text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+          }]
+        };
 
-    } catch (error) {
-      // Clear progress on error
-      if (progressInterval) {
-        clearInterval(progressInterval);
-        process.stderr.write(`\r[Cortex] ${name} - ${toolInfo.model} ✗\n`);
-      }
+      } catch (error) {
+        // Clear progress on error
+        if (progressInterval) {
+          clearInterval(progressInterval);
+          process.stderr.write(`\r[Cortex] ${name} - ${toolInfo.model} ✗\n`);
+        }
 
-      // Convert to CortexError if not already
-      let cortexError = error;
-      if (!(error instanceof CortexError)) {
-        // Try to categorize the error
-        if (error.message?.includes('API') || error.message?.includes('fetch') ||
-            error.message?.includes('401') || error.message?.includes('429')) {
-          cortexError = fromAPIError(error);
-        } else if (error.message?.includes('ENOENT') || error.message?.includes('JSON')) {
-          cortexError = fromMemoryError(name, error);
-        } else {
-          cortexError = new CortexError('CORTEX_E900', {
-            cause: error,
-            details: `${name}: ${error.message}`
-          });
+        // Convert to CortexError if not already
+        let cortexError = error;
+        if (!(error instanceof CortexError)) {
+          // Try to categorize the error
+          if (error.message?.includes('API') || error.message?.includes('fetch') ||
+              error.message?.includes('401') || error.message?.includes('429')) {
+            cortexError = fromAPIError(error);
+          } else if (error.message?.includes('ENOENT') || error.message?.includes('JSON')) {
+            cortexError = fromMemoryError(name, error);
+          } else {
+            cortexError = new CortexError('CORTEX_E900', {
+              cause: error,
+              details: `${name}: ${error.message}`
+            });
+          }
         }
-      }
 
-      log(`Error ${cortexError.code} in ${name}: ${cortexError.message}`);
+        log(`Error ${cortexError.code} in ${name}: ${cortexError.message}`);
 
-      // Log the error
-      const duration = Date.now() - startTime;
-      auditLogger.toolCallError(callId, cortexError.code, cortexError.message, duration);
+        // Log the error
+        const duration = Date.now() - startTime;
+        auditLogger.toolCallError(callId, cortexError.code, cortexError.message, duration);
 
-      return {
-        content: [{
-          type: 'text',
-          text: cortexError.toDisplayString()
-        }],
-        isError: true
-      };
+        return {
+          content: [{
+            type: 'text',
+            text: cortexError.toDisplayString()
+          }],
+          isError: true
+        };
+      }
     }
-  });
+
+    return server;
+  }
 
   // ==========================================================================
   // START SERVER
   // ==========================================================================
 
+  const options = parseCliArgs(process.argv.slice(2));
+
+  if (options.transport === 'http') {
+    const { ApiTokenStore } = require('../core/api-tokens.cjs');
+    const { httpServer } = await startHttpTransport({
+      port: options.port,
+      host: options.host,
+      tokenStore: new ApiTokenStore(),
+      log,
+      openSession: ({ sessionId, clientInfo }) => {
+        const session = createSessionState({ transport: 'http', sessionId, clientInfo });
+        return {
+          server: createMcpServer(session),
+          dispose: () => disposeSession(session),
+        };
+      },
+    });
+
+    log(`Cortex MCP server listening on http://${options.host}:${httpServer.address().port}/mcp`);
+    return;
+  }
+
+  const session = createSessionState({ transport: 'stdio' });
+  const server = createMcpServer(session);
   const transport = new StdioServerTransport();
   await server.connect(transport);
 
   log('Cortex MCP server started');
 }
 
+/**
+ * Parse command line options
+ *
+ *   --transport stdio|http   (env CORTEX_MCP_TRANSPORT, default stdio)
+ *   --port <n>               (env CORTEX_MCP_PORT, default 3100)
+ *   --host <addr>            (env CORTEX_MCP_HOST, default 127.0.0.1)
+ *
+ * @param {string[]} argv
+ * @returns {{transport: string, port: number, host: string}}
+ */
+function parseCliArgs(argv) {
+  const { DEFAULT_MCP_PORT, DEFAULT_MCP_HOST } = require('./mcp-http-transport.cjs');
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index >= 0 ? argv[index + 1] : undefined;
+  };
+
+  const transport = valueOf('--transport') || process.env.CORTEX_MCP_TRANSPORT || 'stdio';
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+  }
+
+  const port = Number(valueOf('--port') || process.env.CORTEX_MCP_PORT || DEFAULT_MCP_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${port}`);
+  }
+
+  return {
+    transport,
+    port,
+    host: valueOf('--host') || process.env.CORTEX_MCP_HOST || DEFAULT_MCP_HOST,
+  };
+}
+
 // Run the server
 main().catch((error) => {
   process.stderr.write(`[Cortex] Fatal error: ${error.message}\n`);
@@ -18,11 +18,14 @@
 
 'use strict';
 
-const Anthropic = require('@anthropic-ai/sdk').default;
 const { QueryOrchestrator } = require('../hooks/query-orchestrator.cjs');
 const { JSONLStore } = require('../core/storage.cjs');
+const { MemoryStore } = require('../core/memory-store.cjs');
 const { getVectorSearchProvider } = require('../core/vector-search-provider.cjs');
-const { getApiKey } = require('../core/api-key.cjs');
+const { ContradictionDetector } = require('../core/contradiction-detector.cjs');
+const { createCostTracker } = require('../core/cost-tracker.cjs');
+const { CortexError } = require('../core/errors.cjs');
+const { SamplingAdapter } = require('./sampling-adapter.cjs');
 const path = require('path');
 const fs = require('fs');
 
@@ -40,27 +43,13 @@ const DEPTH_TOKENS = {
   deep: 2048,
 };
 
-// Cost per million tokens (as of 2026)
-const SONNET_COST = {
-  inputPerMillion: 3.0,   // $3/1M input tokens
-  outputPerMillion: 15.0, // $15/1M output tokens
-};
-
 /**
- * Estimate cost of an operation
- * @param {number} inputTokens - Estimated input tokens
- * @param {number} outputTokens - Estimated output tokens
- * @returns {{ cost: number, display: string }}
+ * Format a dollar cost for display
+ * @param {number} cost - USD
+ * @returns {string}
  */
-function estimateCost(inputTokens, outputTokens) {
-  const inputCost = (inputTokens / 1000000) * SONNET_COST.inputPerMillion;
-  const outputCost = (outputTokens / 1000000) * SONNET_COST.outputPerMillion;
-  const totalCost = inputCost + outputCost;
-
-  return {
-    cost: totalCost,
-    display: totalCost < 0.001 ? '<$0.001' : `~$${totalCost.toFixed(4)}`,
-  };
+function formatCost(cost) {
+  return cost < 0.001 ? '<$0.001' : `~$${cost.toFixed(4)}`;
 }
 
 // =============================================================================
@@ -72,25 +61,18 @@ class SonnetThinker {
    * @param {Object} options
    * @param {string} options.basePath - Base path for memory storage
    * @param {string} options.apiKey - Anthropic API key
-   * @param {Object} options.samplingAdapter - SamplingAdapter instance for zero-cost MCP Sampling
+   * @param {Object} options.samplingAdapter - LLM backend: MCP Sampling, local server or Anthropic API
+   *   (default: a SamplingAdapter using the local server or API key from config)
+   * @param {boolean} [options.detectContradictions=true] - Check new learnings against similar memories
+   * @param {MemoryStore} [options.memoryStore] - Tiered memory store (default: <basePath>/data/memories.db)
+   * @param {CostTracker} [options.costTracker] - Spend tracking and budgets (default: from the `budget` config)
    */
   constructor(options = {}) {
     this.basePath = options.basePath || path.join(process.env.HOME, '.claude', 'memory');
+    this.costTracker = options.costTracker || createCostTracker({ basePath: this.basePath });
 
-    // SamplingAdapter for zero-cost MCP Sampling (preferred over direct API)
-    this.samplingAdapter = options.samplingAdapter || null;
-
-    // Initialize Anthropic client only if no sampling adapter provided
-    if (!this.samplingAdapter) {
-      const apiKey = options.apiKey || getApiKey();
-      if (apiKey) {
-        this.client = new Anthropic({ apiKey });
-      } else {
-        this.client = null;
-      }
-    } else {
-      this.client = null;
-    }
+    // Every Sonnet call goes through the adapter (MCP Sampling, local server or API)
+    this.samplingAdapter = options.samplingAdapter || new SamplingAdapter({ apiKey: options.apiKey });
 
     // Initialize query orchestrator for memory access
     this.orchestrator = new QueryOrchestrator({
@@ -107,18 +89,8 @@ class SonnetThinker {
       path.join(this.basePath, 'data', 'memories', 'insights.jsonl')
     );
 
-    // Memory tier stores for consolidation
-    this.workingStore = new JSONLStore(
-      path.join(this.basePath, 'data', 'memories', 'working.jsonl')
-    );
-
-    this.shortTermStore = new JSONLStore(
-      path.join(this.basePath, 'data', 'memories', 'short-term.jsonl')
-    );
-
-    this.longTermStore = new JSONLStore(
-      path.join(this.basePath, 'data', 'memories', 'long-term.jsonl')
-    );
+    // Memory tiers for consolidation (lazy opened)
+    this.memoryStore = options.memoryStore || null;
 
     // Track whether stores are loaded (with promise for race condition safety)
     this._storesLoaded = false;
@@ -128,6 +100,10 @@ class SonnetThinker {
     this._vectorProvider = null;
     this._vectorProviderInitializing = null;
 
+    // Write-time contradiction detection (lazy initialized with the vector provider)
+    this.detectContradictions = options.detectContradictions !== false;
+    this._contradictionDetector = null;
+
     // Stats tracking with cost
     this.stats = {
       reflections: 0,
@@ -153,12 +129,9 @@ class SonnetThinker {
       this._loadingPromise = (async () => {
         try {
           // Load stores in parallel for better performance
-          const [learningsResult, insightsResult, workingResult, shortTermResult, longTermResult] = await Promise.all([
+          const [learningsResult, insightsResult] = await Promise.all([
             this.learningsStore.load(),
             this.insightsStore.load(),
-            this.workingStore.load(),
-            this.shortTermStore.load(),
-            this.longTermStore.load(),
           ]);
 
           // Log any load issues (non-fatal)
@@ -167,11 +140,6 @@ class SonnetThinker {
               `[SonnetThinker] Store load warning: learnings=${learningsResult.success}, insights=${insightsResult.success}\n`
             );
           }
-          if (!workingResult.success || !shortTermResult.success || !longTermResult.success) {
-            process.stderr.write(
-              `[SonnetThinker] Tier store load warning: working=${workingResult.success}, short-term=${shortTermResult.success}, long-term=${longTermResult.success}\n`
-            );
-          }
 
           this._storesLoaded = true;
         } catch (error) {
@@ -186,6 +154,23 @@ class SonnetThinker {
     await this._loadingPromise;
   }
 
+  /**
+   * Open the tiered memory store (lazy loading)
+   * @private
+   * @returns {Promise<MemoryStore>}
+   */
+  async _getMemoryStore() {
+    if (!this.memoryStore) {
+      this.memoryStore = new MemoryStore({
+        dbPath: path.join(this.basePath, 'data', 'memories.db'),
+      });
+    }
+    if (!this.memoryStore.isOpen()) {
+      await this.memoryStore.initialize();
+    }
+    return this.memoryStore;
+  }
+
   /**
    * Ensure vector search provider is initialized (lazy loading)
    * @private
@@ -233,16 +218,45 @@ class SonnetThinker {
     return this._vectorProviderInitializing;
   }
 
+  /**
+   * Classify stored memories that are semantically close to new content
+   * @private
+   * @param {string} content - Content about to be stored
+   * @returns {Promise<Array>} Related memories from ContradictionDetector.detect()
+   */
+  async _detectRelatedMemories(content) {
+    if (!this.detectContradictions) return [];
+
+    try {
+      const vectorProvider = await this._ensureVectorProvider();
+      if (!vectorProvider) return [];
+
+      if (!this._contradictionDetector) {
+        this._contradictionDetector = new ContradictionDetector({
+          memoryStore: vectorProvider._memoryStore,
+          vectorIndex: vectorProvider._vectorIndex,
+          embedder: vectorProvider._embedder,
+          samplingAdapter: this.samplingAdapter,
+        });
+      }
+
+      return await this._contradictionDetector.detect(content);
+    } catch (error) {
+      // Detection is best-effort: never block a learning on it
+      process.stderr.write(`[SonnetThinker] Contradiction check failed: ${error.message}\n`);
+      return [];
+    }
+  }
+
   /**
    * Get current session cost
    * @returns {Object}
    */
   getSessionCost() {
-    const estimated = estimateCost(this.stats.inputTokens, this.stats.outputTokens);
     return {
       inputTokens: this.stats.inputTokens,
       outputTokens: this.stats.outputTokens,
-      estimatedCost: estimated.display,
+      estimatedCost: formatCost(this.stats.totalCost),
       operations: {
         reflections: this.stats.reflections,
         inferences: this.stats.inferences,
@@ -253,56 +267,66 @@ class SonnetThinker {
   }
 
   /**
-   * Call Sonnet for deep reasoning with cost tracking
+   * Refuse a paid call once the spending budget is used up
    * @private
+   * @throws {CortexError} CORTEX_E314
    */
-  async _callSonnet(systemPrompt, userMessage, maxTokens = MAX_TOKENS) {
-    // Estimate tokens for cost warning (rough estimate: 4 chars = 1 token)
-    const estimatedInputTokens = Math.ceil((systemPrompt.length + userMessage.length) / 4);
-    const estimated = estimateCost(estimatedInputTokens, maxTokens);
+  _assertWithinBudget() {
+    const budget = this.costTracker.checkBudget();
+    if (!budget.allowed) {
+      throw new CortexError('CORTEX_E314', { details: budget.reason });
+    }
+  }
 
-    // Prefer SamplingAdapter (zero-cost via MCP Sampling)
-    if (this.samplingAdapter) {
-      try {
-        const prompt = `${systemPrompt}\n\n${userMessage}`;
-        const result = await this.samplingAdapter.complete(prompt, {
-          speed: 'deep',
-          maxTokens,
-          systemPrompt,
-        });
-        return result.text;
-      } catch (error) {
-        process.stderr.write(`[SonnetThinker] Sampling error: ${error.message}\n`);
-        // Fall through to direct API if available
-        if (!this.client) throw error;
-      }
+  /**
+   * Record token usage of a paid call
+   * @private
+   * @param {string} model
+   * @param {{inputTokens: number, outputTokens: number}} usage
+   */
+  _recordUsage(model, usage) {
+    this.stats.inputTokens += usage.inputTokens;
+    this.stats.outputTokens += usage.outputTokens;
+    this.stats.totalCost += this.costTracker.estimateCost(model, usage.inputTokens, usage.outputTokens);
+    try {
+      this.costTracker.record({ model, component: 'sonnet', ...usage });
+    } catch (error) {
+      process.stderr.write(`[SonnetThinker] Could not record usage: ${error.message}\n`);
     }
+  }
 
-    // Show cost warning for larger operations (direct API only)
-    if (estimated.cost > 0.005) {
-      process.stderr.write(`[Cortex] Sonnet operation - estimated cost: ${estimated.display}\n`);
+  /**
+   * Call Sonnet for deep reasoning with cost tracking
+   * @private
+   */
+  async _callSonnet(systemPrompt, userMessage, maxTokens = MAX_TOKENS) {
+    // MCP Sampling is paid by the host and local servers are free; only the API is budgeted
+    const paid = this.samplingAdapter.mode === 'api';
+    if (paid) {
+      this._assertWithinBudget();
+
+      // Show cost warning for larger operations (rough estimate: 4 chars = 1 token)
+      const estimatedInputTokens = Math.ceil((systemPrompt.length + userMessage.length) / 4);
+      const estimatedCost = this.costTracker.estimateCost(SONNET_MODEL, estimatedInputTokens, maxTokens);
+      if (estimatedCost > 0.005) {
+        process.stderr.write(`[Cortex] Sonnet operation - estimated cost: ${formatCost(estimatedCost)}\n`);
+      }
     }
 
     try {
-      const response = await this.client.messages.create({
+      const result = await this.samplingAdapter.complete(userMessage, {
+        speed: 'deep',
+        maxTokens,
+        systemPrompt,
         model: SONNET_MODEL,
-        max_tokens: maxTokens,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userMessage }],
       });
 
       // Track actual usage
-      const inputTokens = response.usage?.input_tokens || 0;
-      const outputTokens = response.usage?.output_tokens || 0;
-      const actualCost = estimateCost(inputTokens, outputTokens);
-
-      this.stats.inputTokens += inputTokens;
-      this.stats.outputTokens += outputTokens;
-      this.stats.totalCost += actualCost.cost;
+      if (result.mode === 'api' && result.usage) this._recordUsage(result.model, result.usage);
 
-      return response.content[0]?.text || '';
+      return result.text;
     } catch (error) {
-      process.stderr.write(`[SonnetThinker] API error: ${error.message}\n`);
+      process.stderr.write(`[SonnetThinker] LLM error: ${error.message}\n`);
       throw error;
     }
   }
@@ -507,10 +531,24 @@ Please analyze this insight for storage.`;
       };
     }
 
+    // Compare with close neighbours: an agreeing memory makes this a
+    // duplicate, refined or contradicted ones are superseded once stored
+    let related = [];
+    let duplicateOf = null;
+    if (analysis.quality >= 4 && !analysis.isDuplicate) {
+      related = await this._detectRelatedMemories(analysis.enhancedInsight || insight);
+      const agreement = related.find(r => r.relation === 'agree');
+      if (agreement) {
+        analysis.isDuplicate = true;
+        duplicateOf = agreement.memory.id;
+      }
+    }
+
     // Store if quality is sufficient and not duplicate
     let stored = false;
     let vectorStored = false;
     let vectorId = null;
+    let superseded = [];
 
     if (analysis.quality >= 4 && !analysis.isDuplicate) {
       const finalContent = analysis.enhancedInsight || insight;
@@ -564,6 +602,9 @@ Please analyze this insight for storage.`;
           if (vectorResult.id) {
             vectorStored = true;
             vectorId = vectorResult.id;
+            if (this._contradictionDetector) {
+              superseded = this._contradictionDetector.supersedeRelated(related, vectorId);
+            }
           }
         }
       } catch (vectorError) {
@@ -582,6 +623,16 @@ Please analyze this insight for storage.`;
       stored,
       vectorStored,
       vectorId,
+      duplicateOf,
+      superseded,
+      related: related.map(r => ({
+        id: r.memory.id,
+        relation: r.relation,
+        similarity: r.similarity,
+        confidence: r.confidence,
+        reason: r.reason,
+        method: r.method,
+      })),
       stats: {
         duration,
       },
@@ -676,32 +727,24 @@ Please analyze for consolidation opportunities.`;
     let applied = { duplicatesRemoved: 0, memoriesMerged: 0, outdatedRemoved: 0, errors: [] };
 
     if (!dryRun) {
-      // Ensure stores are loaded before modifications
-      await this._ensureStoresLoaded();
+      const store = await this._getMemoryStore();
 
-      // Build a map of memory ID to its source store for efficient lookup
-      const memoryStoreMap = new Map();
-      for (const record of this.longTermStore.getAll()) {
-        if (record && record.id) memoryStoreMap.set(record.id, { store: this.longTermStore, record });
-      }
-      for (const record of this.shortTermStore.getAll()) {
-        if (record && record.id) memoryStoreMap.set(record.id, { store: this.shortTermStore, record });
-      }
-      for (const record of this.workingStore.getAll()) {
-        if (record && record.id) memoryStoreMap.set(record.id, { store: this.workingStore, record });
-      }
+      // Look up a memory in any tier, ignoring ones already deleted
+      const findMemory = (id) => {
+        const memory = store.get(id);
+        return memory && memory.status !== 'deleted' ? memory : null;
+      };
 
-      // Process duplicates: soft-delete all but keep the first (newest wins in JSONL)
+      // Process duplicates: soft-delete all but keep the first
       for (const duplicate of (analysis.duplicates || [])) {
         const ids = duplicate.ids || [];
         if (ids.length < 2) continue;
 
         // Keep the first, delete the rest
         for (let i = 1; i < ids.length; i++) {
-          const entry = memoryStoreMap.get(ids[i]);
-          if (entry) {
+          if (findMemory(ids[i])) {
             try {
-              await entry.store.softDelete(ids[i]);
+              store.delete(ids[i]);
               applied.duplicatesRemoved++;
             } catch (e) {
               applied.errors.push({ op: 'duplicate-delete', id: ids[i], error: e.message });
@@ -716,37 +759,30 @@ Please analyze for consolidation opportunities.`;
         if (ids.length < 2 || !merge.mergedContent) continue;
 
         // Get the first original record to preserve metadata
-        const firstEntry = memoryStoreMap.get(ids[0]);
-        if (!firstEntry) continue;
+        const first = findMemory(ids[0]);
+        if (!first) continue;
 
         try {
           // Create new merged record in long-term (consolidated content should persist)
-          const mergedRecord = {
+          await store.insert({
             id: `merged_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-            type: firstEntry.record.type || 'merged',
+            memory_type: first.memory_type,
             content: merge.mergedContent,
             summary: merge.mergedContent.substring(0, 100),
-            tags: [...new Set((firstEntry.record.tags || []).concat(['consolidated']))],
-            status: 'active',
-            mergedFrom: ids,
-            mergeReason: merge.reason,
-            projectHash: firstEntry.record.projectHash || null,
-            intent: firstEntry.record.intent || 'general',
-            sourceSessionId: 'consolidation',
-            sourceTimestamp: new Date().toISOString(),
-            extractionConfidence: 0.9,
-            usageCount: 0,
-            usageSuccessRate: 0.5,
-            decayScore: 1,
-          };
-
-          await this.longTermStore.append(mergedRecord);
+            tags: [...new Set((first.tags || []).concat(['consolidated']))],
+            source: 'system',
+            source_id: ids.join(','),
+            project_hash: first.project_hash || null,
+            intent: first.intent || 'general',
+            session_id: 'consolidation',
+            extraction_confidence: 0.9,
+            tier: 'long-term',
+          });
 
           // Soft-delete all originals
           for (const id of ids) {
-            const entry = memoryStoreMap.get(id);
-            if (entry) {
-              await entry.store.softDelete(id);
+            if (findMemory(id)) {
+              store.delete(id);
             }
           }
 
@@ -761,10 +797,9 @@ Please analyze for consolidation opportunities.`;
         const id = outdated.id;
         if (!id) continue;
 
-        const entry = memoryStoreMap.get(id);
-        if (entry) {
+        if (findMemory(id)) {
           try {
-            await entry.store.softDelete(id);
+            store.delete(id);
             applied.outdatedRemoved++;
           } catch (e) {
             applied.errors.push({ op: 'outdated-delete', id, error: e.message });
@@ -772,20 +807,6 @@ Please analyze for consolidation opportunities.`;
         }
       }
 
-      // Compact stores to remove deleted records if we made significant changes
-      const totalChanges = applied.duplicatesRemoved + applied.memoriesMerged + applied.outdatedRemoved;
-      if (totalChanges >= 5) {
-        try {
-          await Promise.all([
-            this.workingStore.compact({ removeDeleted: true }),
-            this.shortTermStore.compact({ removeDeleted: true }),
-            this.longTermStore.compact({ removeDeleted: true }),
-          ]);
-        } catch (e) {
-          applied.errors.push({ op: 'compact', error: e.message });
-        }
-      }
-
       // Remove errors array if empty for cleaner output
       if (applied.errors.length === 0) {
         delete applied.errors;
@@ -813,7 +834,7 @@ Please analyze for consolidation opportunities.`;
   getStats() {
     return {
       ...this.stats,
-      estimatedCost: estimateCost(this.stats.inputTokens, this.stats.outputTokens).display,
+      estimatedCost: formatCost(this.stats.totalCost),
     };
   }
 }
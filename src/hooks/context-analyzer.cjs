@@ -653,7 +653,8 @@ class ContextAnalyzer {
     // Support multiple timestamp fields: timestamp, sourceTimestamp, createdAt
     const timestamp = memory.timestamp || memory.sourceTimestamp || memory.createdAt;
     if (timestamp) {
-      const ageMs = Date.now() - new Date(timestamp).getTime();
+      const now = context.timestamp ? Date.parse(context.timestamp) : Date.now();
+      const ageMs = now - new Date(timestamp).getTime();
       const ageDays = ageMs / (1000 * 60 * 60 * 24);
       const recencyScore = Math.exp(-ageDays / 30); // 30-day half-life
       score += this.weights.recency * recencyScore;
@@ -2,45 +2,72 @@
 
 const path = require('path');
 const { generateId, getTimestamp, expandPath } = require('../core/types.cjs');
-const { JSONLStore } = require('../core/storage.cjs');
-const { getLockManager } = require('../core/lock-manager.cjs');
+const { MemoryStore, MEMORY_TYPES } = require('../core/memory-store.cjs');
 const { WriteGate } = require('../core/write-gate.cjs');
-const { Anthropic } = require('@anthropic-ai/sdk');
+const { createRedactor } = require('../core/redactor.cjs');
+const { getConfigSection } = require('../core/config.cjs');
+const { SamplingAdapter } = require('../cortex/sampling-adapter.cjs');
+const { HeuristicExtractor } = require('./heuristic-extractor.cjs');
+
+/** @const {string[]} Extraction modes: LLM when available, always LLM, or rule-based only */
+const EXTRACTION_MODES = ['auto', 'llm', 'heuristic'];
+
+// Shape of the JSON object the model must return, spelled out in the system
+// prompt so MCP Sampling, local servers and the API all produce the same nodes
+const NODE_SCHEMA = `{"nodes": [{
+  "lobe": "Top level anatomical lobe (e.g., Prefrontal, Temporal, Occipital, Parietal)",
+  "region": "Topic sub-region inside the Lobe (e.g., Database Processing, Daily Logs)",
+  "cluster": "The specific isolated synaptic concept title this memory revolves around",
+  "content": "The verbatim content, fact, or code snapshot extracted",
+  "type": "skill | insight | pattern | decision",
+  "tags": ["Relevant semantic tags"]
+}]}`;
+
+const SYSTEM_PROMPT = `You are the Memory Ingestion cortex. Your job is to extract unstructured text into topological neurons. Group them into Lobes, Regions, and Clusters based on semantic purpose. Be extremely precise and preserve raw code context if applicable.
+
+Respond with a single JSON object and nothing else, in this shape:
+${NODE_SCHEMA}
+"lobe", "region", "cluster", "content" and "type" are required for every node.`;
 
 class ExtractionEngine {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'auto', 'llm' or 'heuristic' (default: `extraction.mode` config, 'auto')
+   * @param {SamplingAdapter} [options.samplingAdapter] - LLM backend (default: from config/API key)
+   */
   constructor(options = {}) {
     this.basePath = expandPath(options.basePath || '~/.claude/memory');
     this.confidenceThreshold = options.confidenceThreshold || 0.7;
     this.minSessionLength = options.minSessionLength || 1; // Set to 1 because ingestion files can be single large strings
+    this.tier = options.tier || 'working'; // Skills always land in long-term
+    this.source = options.source || 'extraction';
+    this.memoryStore = options.memoryStore || null;
     
-    this.lockManager = getLockManager();
     this.writeGate = new WriteGate();
+    this.redactor = options.redactor || createRedactor({ basePath: this.basePath });
     
-    const apiKey = process.env.ANTHROPIC_API_KEY || options.apiKey;
-    if (!apiKey) {
-      console.warn("[ExtractionEngine] WARNING: ANTHROPIC_API_KEY is not set. Inference for Cortex Morphology will fail.");
+    this.mode = options.mode || getConfigSection('extraction.mode', 'auto');
+    if (!EXTRACTION_MODES.includes(this.mode)) {
+      throw new Error(`Invalid extraction mode: ${this.mode}. Valid modes: ${EXTRACTION_MODES.join(', ')}`);
+    }
+
+    this.samplingAdapter = options.samplingAdapter || new SamplingAdapter({ apiKey: options.apiKey });
+    this.heuristic = options.heuristic || new HeuristicExtractor();
+    if (this.mode === 'llm' && this.samplingAdapter.mode === 'none') {
+      console.warn("[ExtractionEngine] WARNING: no LLM backend (set ANTHROPIC_API_KEY or llm.local). Inference for Cortex Morphology will fail.");
     }
-    this.anthropic = new Anthropic({ apiKey });
   }
 
-  _getStores() {
-    if (!this._stores) {
-      this._stores = {
-        working: new JSONLStore(
-          path.join(this.basePath, 'data/memories/working.jsonl'),
-          { indexFn: r => r.id }
-        ),
-        shortTerm: new JSONLStore(
-          path.join(this.basePath, 'data/memories/short-term.jsonl'),
-          { indexFn: r => r.id }
-        ),
-        skills: new JSONLStore(
-          path.join(this.basePath, 'data/skills/index.jsonl'),
-          { indexFn: r => r.id }
-        ),
-      };
+  async getStore() {
+    if (!this.memoryStore) {
+      this.memoryStore = new MemoryStore({ dbPath: path.join(this.basePath, 'data', 'memories.db') });
     }
-    return this._stores;
+    if (!this.memoryStore.isOpen()) await this.memoryStore.initialize();
+    return this.memoryStore;
+  }
+
+  close() {
+    if (this.memoryStore) this.memoryStore.close();
   }
 
   async extract(input) {
@@ -52,52 +79,31 @@ class ExtractionEngine {
 
     const fullText = messages.map(m => m.content).join('\n---\n');
 
-    // Schema describing the structural hierarchy
-    const tools = [{
-      name: "create_cortex_topology_nodes",
-      description: "Extract specific concepts, facts, insights, or code structures from the text into structural Cortex topological clusters.",
-      input_schema: {
-        type: "object",
-        properties: {
-          nodes: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                lobe: { type: "string", description: "Top level anatomical lobe (e.g., Prefrontal, Temporal, Occipital, Parietal)" },
-                region: { type: "string", description: "Topic sub-region inside the Lobe (e.g., Database Processing, Daily Logs)" },
-                cluster: { type: "string", description: "The specific isolated synaptic concept title this memory revolves around" },
-                content: { type: "string", description: "The verbatim content, fact, or code snapshot extracted" },
-                type: { type: "string", enum: ["skill", "insight", "pattern", "decision"], description: "The cognitive classification" },
-                tags: { type: "array", items: { type: "string" }, description: "Relevant semantic tags" },
-              },
-              required: ["lobe", "region", "cluster", "content", "type"]
-            }
-          }
-        },
-        required: ["nodes"]
-      }
-    }];
-
     try {
-      const response = await this.anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 4000,
-        temperature: 0.1,
-        system: "You are the Memory Ingestion cortex. Your job is to extract unstructured text into topological neurons. Group them into Lobes, Regions, and Clusters based on semantic purpose. Be extremely precise and preserve raw code context if applicable.",
-        messages: [{ role: "user", content: "Extract Neural Cortex nodes from the following session data:\n\n" + fullText }],
-        tools: tools,
-        tool_choice: { type: "tool", name: "create_cortex_topology_nodes" }
-      });
-
+      // 'auto' uses the rule-based extractor without an LLM backend, or when the LLM call fails
+      let method = this.mode === 'heuristic' || (this.mode === 'auto' && this.samplingAdapter.mode === 'none')
+        ? 'heuristic'
+        : 'llm';
+      let llmError = null;
       let extractedNodes = [];
-      for (const block of response.content) {
-        if (block.type === 'tool_use' && block.name === 'create_cortex_topology_nodes') {
-          if (block.input && block.input.nodes) {
-            extractedNodes = block.input.nodes;
-          }
+
+      if (method === 'llm') {
+        try {
+          const response = await this.samplingAdapter.complete(
+            "Extract Neural Cortex nodes from the following session data:\n\n" + fullText,
+            { speed: 'deep', maxTokens: 4000, systemPrompt: SYSTEM_PROMPT, json: true }
+          );
+          extractedNodes = this._parseNodes(response.text);
+        } catch (error) {
+          if (this.mode === 'llm') throw error;
+          process.stderr.write(`[ExtractionEngine] LLM extraction failed, using heuristics: ${error.message}\n`);
+          llmError = error.message;
+          method = 'heuristic';
         }
       }
+      if (method === 'heuristic') {
+        extractedNodes = this.heuristic.extract(messages);
+      }
 
       const processed = extractedNodes.map((node, i) => ({
         id: generateId(),
@@ -108,7 +114,7 @@ class ExtractionEngine {
         content: node.content,
         summary: `[${node.lobe}/${node.region}/${node.cluster}] ${node.content.slice(0, 50)}...`,
         tags: node.tags || [],
-        extractionConfidence: 0.95, // Default LLM high confidence
+        extractionConfidence: node.confidence ?? 0.95, // Heuristic nodes carry their own
         sourceSessionId: sessionId,
         sourceMessageIndex: i,
         projectHash: context?.projectHash,
@@ -117,10 +123,13 @@ class ExtractionEngine {
         status: 'active',
       }));
 
+      // Redact secrets/PII before the WriteGate sees (and persists) the content
+      const redaction = this.redactor.redactItems(processed, { source: 'extraction-engine', sessionId });
+
       // Deduplicate
       const unique = [];
       const contentHashes = new Set();
-      for (const extraction of processed) {
+      for (const extraction of redaction.items) {
         const hash = extraction.content.slice(0, 100).toLowerCase().replace(/\s+/g, ' ');
         if (!contentHashes.has(hash)) {
           contentHashes.add(hash);
@@ -129,7 +138,7 @@ class ExtractionEngine {
       }
 
       // Persist Extractions
-      const stores = this._getStores();
+      const store = await this.getStore();
       let persisted = 0;
       let filtered = 0;
 
@@ -138,17 +147,19 @@ class ExtractionEngine {
           filtered++;
           continue;
         }
-        if (extraction.type === 'skill') {
-          await this.lockManager.withLock('memory:skills', async () => {
-             if (!stores.skills.loaded) await stores.skills.load();
-             return stores.skills.append(extraction);
-          });
-        } else {
-          await this.lockManager.withLock('memory:working', async () => {
-             if (!stores.working.loaded) await stores.working.load();
-             return stores.working.append(extraction);
-          });
-        }
+        await store.insert({
+          id: extraction.id,
+          content: extraction.content,
+          summary: extraction.summary,
+          memory_type: MEMORY_TYPES.includes(extraction.type) ? extraction.type : 'observation',
+          intent: extraction.intent || null,
+          tags: extraction.tags,
+          source: this.source,
+          project_hash: extraction.projectHash || null,
+          session_id: extraction.sourceSessionId || null,
+          extraction_confidence: extraction.extractionConfidence,
+          tier: extraction.type === 'skill' ? 'long-term' : this.tier,
+        });
         persisted++;
       }
 
@@ -156,9 +167,13 @@ class ExtractionEngine {
         success: true,
         extracted: unique,
         stats: {
+          method,
+          llmError,
           messageCount: messages.length,
           candidatesFound: extractedNodes.length,
           afterDedup: unique.length,
+          redacted: redaction.reports.filter(r => !r.dropped).length,
+          droppedByRedaction: processed.length - redaction.items.length,
           persisted,
           filteredByWriteGate: filtered
         }
@@ -168,6 +183,21 @@ class ExtractionEngine {
       return { success: false, extracted: [], stats: { reason: error.message } };
     }
   }
+
+  /**
+   * Pull the nodes array out of a model response, tolerating prose or code
+   * fences around the JSON object. Nodes missing a required field are dropped.
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  _parseNodes(text) {
+    const match = String(text || '').match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('LLM response contained no JSON object');
+    const nodes = JSON.parse(match[0]).nodes;
+    if (!Array.isArray(nodes)) return [];
+    return nodes.filter(node => node && ['lobe', 'region', 'cluster', 'content', 'type']
+      .every(field => typeof node[field] === 'string' && node[field]));
+  }
 }
 
-module.exports = { ExtractionEngine };
+module.exports = { ExtractionEngine, EXTRACTION_MODES };
@@ -0,0 +1,321 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Heuristic Extractor
+ *
+ * Deterministic, rule-based extraction for when no LLM is available (or
+ * `extraction.mode` is 'heuristic'). Produces the same lobe/region/cluster
+ * nodes as the LLM path of ExtractionEngine from:
+ * - The Stop hook and PreCompact sentence patterns (remember requests,
+ *   decisions, error resolutions, insights and rules)
+ * - Fenced code blocks (raw code kept with the sentence that introduced it)
+ * - Shell commands: lines of bash/sh/console blocks, `$ ` prompts and inline
+ *   `npm …`/`git …`-style code spans
+ *
+ * The pattern sets are exported so the hooks and this extractor stay in step.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// =============================================================================
+// PATTERN SETS
+// =============================================================================
+
+/**
+ * Stop hook patterns (run on every response, so kept narrow)
+ * @const {Object<string, RegExp[]>}
+ */
+const STOP_PATTERNS = {
+  remember: [
+    /remember:\s*(.+)/i,
+    /remember this:\s*(.+)/i,
+    /note to self:\s*(.+)/i,
+    /don't forget:\s*(.+)/i,
+  ],
+  errorFix: [
+    /(?:the (?:issue|problem|bug|error) was)\s+(.+)/i,
+    /(?:fixed|solved|resolved)\s+(?:by|with)\s+(.+)/i,
+    /(?:root cause|reason):\s*(.+)/i,
+  ],
+  insight: [
+    /important:\s*(.+)/i,
+    /key insight:\s*(.+)/i,
+    /always\s+(.{10,}?)\s+before/i,
+    /never\s+(.{10,}?)\s+without/i,
+  ],
+};
+
+/**
+ * PreCompact hook patterns (run on the transcript summary)
+ * @const {Object<string, RegExp[]>}
+ */
+const PRECOMPACT_PATTERNS = {
+  decision: [
+    /decided to\s+(.+)/i, /chose\s+(.+)/i, /went with\s+(.+)/i,
+    /using\s+(.+?)\s+(?:for|because|instead)/i, /switched to\s+(.+)/i,
+  ],
+  insight: [
+    /key insight:\s*(.+)/i, /important:\s*(.+)/i, /remember:\s*(.+)/i,
+    /always\s+(.+?)\s+before/i, /never\s+(.+?)\s+without/i,
+    /the (?:trick|key|secret) is\s+(.+)/i,
+  ],
+  error: [
+    /(?:fixed|solved|resolved)\s+(?:by|with)\s+(.+)/i,
+    /the (?:issue|problem|bug) was\s+(.+)/i,
+    /(?:root cause|reason):\s*(.+)/i,
+  ],
+};
+
+/**
+ * Sentence rules in priority order: a sentence becomes at most one node
+ * @const {Array<{category: string, type: string, region: string, confidence: number, patterns: RegExp[]}>}
+ */
+const SENTENCE_RULES = [
+  { category: 'remember', type: 'insight', region: 'Explicit Memory', confidence: 0.9, patterns: STOP_PATTERNS.remember },
+  { category: 'decision', type: 'decision', region: 'Decisions', confidence: 0.8, patterns: PRECOMPACT_PATTERNS.decision },
+  { category: 'error-fix', type: 'pattern', region: 'Error Resolution', confidence: 0.75,
+    patterns: [...STOP_PATTERNS.errorFix, ...PRECOMPACT_PATTERNS.error] },
+  { category: 'insight', type: 'insight', region: 'Insights', confidence: 0.8,
+    patterns: [...STOP_PATTERNS.insight, ...PRECOMPACT_PATTERNS.insight] },
+];
+
+/** @const {Object<string, string>} Lobe per node type */
+const TYPE_LOBES = {
+  decision: 'Prefrontal',
+  insight: 'Temporal',
+  pattern: 'Occipital',
+  skill: 'Parietal',
+};
+
+/** @const {Set<string>} Code block languages whose lines are shell commands */
+const SHELL_LANGUAGES = new Set(['bash', 'sh', 'shell', 'zsh', 'console', 'terminal', 'powershell', 'ps1', 'cmd']);
+
+/** @const {RegExp} Inline code spans that look like shell commands */
+const INLINE_COMMAND = /`((?:npm|npx|yarn|pnpm|bun|git|gh|docker|kubectl|helm|pip3?|python3?|node|cargo|go|make|brew|apt(?:-get)?|curl|ssh|terraform)\s[^`\n]+)`/g;
+
+/** @const {Set<string>} Words ignored when naming clusters */
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'for', 'with', 'by', 'at', 'from',
+  'is', 'was', 'are', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'we',
+  'i', 'you', 'they', 'our', 'my', 'your', 'as', 'so', 'if', 'then', 'than', 'not', 'no', 'do',
+  'does', 'did', 'have', 'has', 'had', 'will', 'would', 'should', 'can', 'could', 'always', 'never',
+  'remember', 'important', 'key', 'insight', 'note', 'self', 'decided', 'chose', 'went', 'using',
+  'switched', 'fixed', 'solved', 'resolved', 'issue', 'problem', 'bug', 'error', 'root', 'cause',
+  'reason', 'because', 'before', 'without', 'instead', 'forget', 'don', 'trick', 'secret', 'when',
+]);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Title from the first significant words of a text
+ * @param {string} text
+ * @param {number} [maxWords=3]
+ * @returns {string}
+ */
+function clusterTitle(text, maxWords = 3) {
+  const words = (text.toLowerCase().match(/[a-z][a-z0-9_.-]*/g) || [])
+    .map(word => word.replace(/[.-]+$/, ''))
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+  const title = words.slice(0, maxWords).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+  return title || 'General';
+}
+
+/**
+ * Last sentence of a prose fragment (the one introducing a code block)
+ * @param {string} text
+ * @returns {string}
+ */
+function lastSentence(text) {
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+  return sentences.length > 0 ? sentences[sentences.length - 1] : '';
+}
+
+// =============================================================================
+// HEURISTIC EXTRACTOR
+// =============================================================================
+
+class HeuristicExtractor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxNodes=25] - Cap per extraction
+   * @param {number} [options.maxCodeLength=1500] - Longer code blocks are skipped
+   */
+  constructor(options = {}) {
+    this.maxNodes = options.maxNodes || 25;
+    this.maxCodeLength = options.maxCodeLength || 1500;
+  }
+
+  /**
+   * Extract nodes from conversation messages
+   * @param {Array<{role?: string, content: string}>} messages
+   * @returns {Array<{lobe: string, region: string, cluster: string, content: string, type: string, tags: string[], confidence: number}>}
+   */
+  extract(messages) {
+    const nodes = [];
+    const seen = new Set();
+    const add = (node) => {
+      const key = node.content.toLowerCase().replace(/\s+/g, ' ').replace(/[.!?:]+$/, '');
+      if (seen.has(key)) return;
+      seen.add(key);
+      nodes.push({ lobe: TYPE_LOBES[node.type], ...node });
+    };
+
+    for (const message of messages || []) {
+      const text = typeof message.content === 'string' ? message.content : String(message.content ?? '');
+      const prose = this._extractCode(text, add);
+      // Sentences first: a matching sentence with an inline command stays one node
+      this._extractSentences(prose, add);
+      this._extractInlineCommands(prose, add);
+    }
+
+    return nodes.slice(0, this.maxNodes);
+  }
+
+  /**
+   * Turn fenced code blocks into code or command nodes
+   * @private
+   * @param {string} text
+   * @param {Function} add
+   * @returns {string} The text with code blocks removed
+   */
+  _extractCode(text, add) {
+    const fence = /```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g;
+    let prose = '';
+    let last = 0;
+    let match;
+
+    while ((match = fence.exec(text)) !== null) {
+      const before = text.slice(last, match.index);
+      prose += before + '\n';
+      last = fence.lastIndex;
+
+      const language = match[1].toLowerCase();
+      const code = match[2].replace(/\s+$/, '');
+      const intro = lastSentence(before);
+
+      if (SHELL_LANGUAGES.has(language)) {
+        for (const command of this._shellCommands(code, language)) {
+          this._addCommand(command, intro, add);
+        }
+      } else if (code.trim().length >= 20 && code.length <= this.maxCodeLength) {
+        const label = language || 'code';
+        const symbol = code.match(/(?:function|def|class|fn|func|interface|type)\s+([A-Za-z_]\w*)|(?:const|let|var)\s+([A-Za-z_]\w*)\s*=/);
+        add({
+          type: 'skill',
+          region: `${label[0].toUpperCase()}${label.slice(1)} Code`,
+          cluster: symbol ? (symbol[1] || symbol[2]) : clusterTitle(intro),
+          content: `${intro ? intro + '\n' : ''}\`\`\`${language}\n${code}\n\`\`\``,
+          tags: ['code', label],
+          confidence: 0.7,
+        });
+      }
+    }
+
+    return prose + text.slice(last);
+  }
+
+  /**
+   * Command lines of a shell code block
+   * @private
+   * @param {string} code
+   * @param {string} language
+   * @returns {string[]}
+   */
+  _shellCommands(code, language) {
+    const prompted = language === 'console' || language === 'terminal' || /^\s*\$\s/m.test(code);
+    const commands = [];
+    for (const line of code.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      if (prompted) {
+        // Only prompt lines are commands; the rest is output
+        const command = trimmed.match(/^[$>]\s+(.+)/);
+        if (command) commands.push(command[1]);
+      } else {
+        commands.push(trimmed);
+      }
+    }
+    return commands;
+  }
+
+  /**
+   * Shell commands written inline: `npm ci` code spans and `$ ` prompt lines
+   * @private
+   * @param {string} prose - Text without fenced code blocks
+   * @param {Function} add
+   */
+  _extractInlineCommands(prose, add) {
+    for (const line of prose.split('\n')) {
+      const prompt = line.match(/^\s*\$\s+(.{3,})$/);
+      if (prompt) this._addCommand(prompt[1].trim(), '', add);
+
+      INLINE_COMMAND.lastIndex = 0;
+      let match;
+      while ((match = INLINE_COMMAND.exec(line)) !== null) {
+        const sentence = line.split(/(?<=[.!?])\s+/).find(s => s.includes(match[0])) || line;
+        this._addCommand(match[1].trim(), sentence.trim(), add, 0.65);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} command
+   * @param {string} context - Sentence the command appeared in or after
+   * @param {Function} add
+   * @param {number} [confidence=0.7]
+   */
+  _addCommand(command, context, add, confidence = 0.7) {
+    const words = command.split(/\s+/);
+    const tool = words[0].replace(/^.*\//, '');
+    const subcommand = words[1] && /^[a-z][\w:-]*$/.test(words[1]) ? ` ${words[1]}` : '';
+    const content = !context
+      ? `\`${command}\``
+      : context.includes(command) ? context : `${context.replace(/:$/, '')}: \`${command}\``;
+
+    add({
+      type: 'skill',
+      region: 'Commands',
+      cluster: `${tool}${subcommand}`,
+      content,
+      tags: ['command', tool],
+      confidence,
+    });
+  }
+
+  /**
+   * Match prose sentences against the Stop hook and PreCompact patterns
+   * @private
+   * @param {string} prose - Text without fenced code blocks
+   * @param {Function} add
+   */
+  _extractSentences(prose, add) {
+    const sentences = prose.split(/[.!?\n]+/).map(s => s.trim()).filter(s => s.length > 15);
+
+    for (const sentence of sentences) {
+      const rule = SENTENCE_RULES.find(r => r.patterns.some(p => p.test(sentence)));
+      if (!rule) continue;
+      add({
+        type: rule.type,
+        region: rule.region,
+        cluster: clusterTitle(sentence),
+        content: sentence,
+        tags: [...new Set([rule.category, rule.type])],
+        confidence: rule.confidence,
+      });
+    }
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  HeuristicExtractor,
+  STOP_PATTERNS,
+  PRECOMPACT_PATTERNS,
+  TYPE_LOBES,
+};
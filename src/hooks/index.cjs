@@ -3,6 +3,8 @@
  *
  * Entry point for Cortex hooks that integrate with Claude Code:
  * - SessionStart: Injects relevant memories at session beginning
+ * - UserPromptSubmit: Injects memories relevant to each prompt
+ * - PostToolUse: Learns corrections from failing commands and their fixes
  * - SessionEnd: Extracts learnings when session ends
  *
  * Also exports supporting components for testing and customization.
@@ -12,6 +14,10 @@
 
 const { SessionStartHook } = require('./session-start.cjs');
 const { SessionEndHook } = require('./session-end.cjs');
+const { UserPromptSubmitHook } = require('./user-prompt-submit.cjs');
+const { PostToolUseHook } = require('./post-tool-use.cjs');
+const { InjectionLedger } = require('./injection-ledger.cjs');
+const { ReferenceDetector } = require('./reference-detector.cjs');
 const { ContextAnalyzer, INTENT_PATTERNS, FILE_DOMAINS } = require('./context-analyzer.cjs');
 const { QueryOrchestrator, MEMORY_SOURCES } = require('./query-orchestrator.cjs');
 const { ExtractionEngine, EXTRACTION_PATTERNS, QUALITY_SIGNALS } = require('./extraction-engine.cjs');
@@ -24,7 +30,7 @@ const { CortexRenderer } = require('./cli-renderer.cjs');
 
 /**
  * Run a hook by name
- * @param {string} hookName - 'sessionStart' or 'sessionEnd'
+ * @param {string} hookName - 'sessionStart', 'userPromptSubmit' or 'sessionEnd'
  * @param {Object} options - Hook options
  * @returns {Promise<Object>}
  */
@@ -37,6 +43,13 @@ async function runHook(hookName, options = {}) {
       return hook.execute();
     }
 
+    case 'userPromptSubmit':
+    case 'user-prompt-submit':
+    case 'prompt': {
+      const hook = new UserPromptSubmitHook(options);
+      return hook.execute(options);
+    }
+
     case 'sessionEnd':
     case 'session-end':
     case 'end': {
@@ -60,8 +73,14 @@ module.exports = {
   // Hooks
   SessionStartHook,
   SessionEndHook,
+  UserPromptSubmitHook,
+  PostToolUseHook,
   runHook,
 
+  // Injection tracking
+  InjectionLedger,
+  ReferenceDetector,
+
   // Context Analysis
   ContextAnalyzer,
   INTENT_PATTERNS,
@@ -375,6 +375,11 @@ class InjectionFormatter {
       lines.push(`     from: ${sourceLabel}`);
     }
 
+    // Superseded versions only appear when explicitly requested
+    if (memory.superseded && memory.validTo) {
+      lines.push(`     superseded: valid until ${memory.validTo}`);
+    }
+
     // Tags
     if (memory.tags?.length && style === 'rich') {
       lines.push(`     tags: ${memory.tags.slice(0, 5).join(', ')}`);
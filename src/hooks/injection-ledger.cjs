@@ -0,0 +1,240 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Injection Ledger
+ *
+ * Per-session record of which memories were injected into Claude's context
+ * and whether Claude went on to use them:
+ * - SessionStart and UserPromptSubmit append an 'injected' entry per memory
+ * - UserPromptSubmit skips memories the session has already seen
+ * - SessionEnd checks the transcript for references, hands the outcomes to
+ *   MemoryStore and the LADS OutcomeScorer, then deletes the session's file;
+ *   files of sessions that never ended are pruned after LEDGER_MAX_AGE_MS
+ * - recordOutcomes() appends a 'scored' entry per memory for callers that
+ *   keep the ledger, so a memory is only scored once
+ *
+ * Storage: one append-only JSONL file per session under data/injections/:
+ *
+ *   {"event":"injected","sessionId":"…","memoryId":"…","hook":"SessionStart","rank":1,"format":"rich","tokens":42,…}
+ *   {"event":"scored","sessionId":"…","memoryId":"…","referenced":true,"score":0.6,…}
+ *
+ * @version 1.2.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { expandPath, getTimestamp } = require('../core/types.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Ledger directory relative to the base path */
+const LEDGER_DIR = 'data/injections';
+
+/** @const {number} Ledgers untouched this long are pruned (7 days) */
+const LEDGER_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// INJECTION LEDGER
+// =============================================================================
+
+class InjectionLedger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.basePath='~/.claude/memory'] - Base path for Cortex data
+   */
+  constructor(options = {}) {
+    this.basePath = expandPath(options.basePath || '~/.claude/memory');
+    this.dir = path.join(this.basePath, LEDGER_DIR);
+  }
+
+  /**
+   * Path of a session's ledger file
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  getPath(sessionId) {
+    // Session ids come from hook input; keep them from escaping the directory
+    const safeId = String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.dir, `${safeId}.jsonl`);
+  }
+
+  /**
+   * Read all entries recorded for a session
+   * @param {string} sessionId
+   * @returns {Object[]}
+   */
+  getEntries(sessionId) {
+    if (!sessionId) return [];
+
+    let data;
+    try {
+      data = fs.readFileSync(this.getPath(sessionId), 'utf8');
+    } catch {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        // Entries written before outcomes were tracked are injections
+        entries.push({ event: 'injected', ...entry });
+      } catch {
+        // Skip lines torn by a concurrent write
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Ids of every memory already injected in a session
+   * @param {string} sessionId
+   * @returns {Set<string>}
+   */
+  getInjectedIds(sessionId) {
+    return new Set(this.getEntries(sessionId)
+      .filter(entry => entry.event === 'injected')
+      .map(entry => entry.memoryId));
+  }
+
+  /**
+   * First injection of every memory that has not been scored yet
+   * @param {string} sessionId
+   * @returns {Object[]} 'injected' entries, in ledger order
+   */
+  getUnscored(sessionId) {
+    const entries = this.getEntries(sessionId);
+    const scored = new Set(entries
+      .filter(entry => entry.event === 'scored')
+      .map(entry => entry.memoryId));
+
+    const pending = new Map();
+    for (const entry of entries) {
+      if (entry.event === 'injected' && !scored.has(entry.memoryId) && !pending.has(entry.memoryId)) {
+        pending.set(entry.memoryId, entry);
+      }
+    }
+    return [...pending.values()];
+  }
+
+  /**
+   * Append injected memories to a session's ledger
+   * @param {string} sessionId
+   * @param {string} hook - Hook event that injected them (e.g. 'UserPromptSubmit')
+   * @param {Object[]} memories - Injected memories, in rank order
+   * @param {Object} [options]
+   * @param {string} [options.format] - InjectionFormatter format used
+   * @returns {number} Number of entries written
+   */
+  record(sessionId, hook, memories, options = {}) {
+    const timestamp = getTimestamp();
+    return this._append(sessionId, memories
+      .filter(memory => memory.id)
+      .map((memory, index) => ({
+        event: 'injected',
+        sessionId,
+        memoryId: memory.id,
+        hook,
+        rank: index + 1,
+        format: options.format || null,
+        // Rough estimation: ~4 characters per token
+        tokens: Math.ceil((memory.summary || memory.content || '').length / 4),
+        source: memory._source || null,
+        timestamp,
+      })));
+  }
+
+  /**
+   * Append reference outcomes for injected memories
+   * @param {string} sessionId
+   * @param {Array<{memoryId: string, referenced: boolean, score?: number}>} outcomes
+   * @returns {number} Number of entries written
+   */
+  recordOutcomes(sessionId, outcomes) {
+    const timestamp = getTimestamp();
+    return this._append(sessionId, outcomes.map(outcome => ({
+      event: 'scored',
+      sessionId,
+      memoryId: outcome.memoryId,
+      referenced: outcome.referenced,
+      score: outcome.score ?? null,
+      timestamp,
+    })));
+  }
+
+  /**
+   * Delete a session's ledger file
+   * @param {string} sessionId
+   * @returns {boolean} True if a file was removed
+   */
+  remove(sessionId) {
+    if (!sessionId) return false;
+    try {
+      fs.unlinkSync(this.getPath(sessionId));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Delete ledger files not written to within maxAgeMs
+   * (sessions that never reached SessionEnd)
+   * @param {number} [maxAgeMs=LEDGER_MAX_AGE_MS]
+   * @returns {number} Number of files removed
+   */
+  prune(maxAgeMs = LEDGER_MAX_AGE_MS) {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch {
+      return 0;
+    }
+
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    for (const name of names) {
+      if (!name.endsWith('.jsonl')) continue;
+      const filePath = path.join(this.dir, name);
+      try {
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch {
+        // Removed by a concurrent SessionEnd
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   * @param {string} sessionId
+   * @param {Object[]} entries
+   * @returns {number}
+   */
+  _append(sessionId, entries) {
+    if (!sessionId || entries.length === 0) return 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(
+      this.getPath(sessionId),
+      entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+    );
+    return entries.length;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  InjectionLedger,
+  LEDGER_DIR,
+  LEDGER_MAX_AGE_MS,
+};
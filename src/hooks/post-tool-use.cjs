@@ -0,0 +1,556 @@
+#!/usr/bin/env node
+/**
+ * Cortex - Claude's Cognitive Layer - PostToolUse Hook
+ *
+ * Learns from tool results rather than from assistant prose. The hook
+ * follows each session's Bash commands and file edits and watches for
+ * error→fix sequences:
+ *
+ *   npm test            → fails with "TypeError: x is not a function"
+ *   Edit src/parser.js  → recorded against the pending failure
+ *   npm test            → passes → 'correction' memory (error + diff)
+ *
+ * When a failing command starts passing without any file edits, but after
+ * other commands were run (e.g. `npm install`), a 'skill' memory records
+ * the steps instead. A pass with neither is treated as a flaky retry.
+ *
+ * Pending failures are kept per session in data/tool-sequences/ and
+ * expire after two hours. They hold commands, error text and diffs, so the
+ * files are encrypted like the memory store when encryption at rest is on.
+ * No LLM calls — pattern matching only.
+ *
+ * Input: JSON via stdin with structure:
+ *   {
+ *     "hook_event_name": "PostToolUse",
+ *     "session_id": "...",
+ *     "cwd": "/path/to/project",
+ *     "tool_name": "Bash",
+ *     "tool_input": { "command": "npm test" },
+ *     "tool_response": { "stdout": "...", "stderr": "...", "exit_code": 1 }
+ *   }
+ *
+ * Output: JSON to stdout: { success: boolean, captured: number, pending: number }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Ensure we can find our modules — matches session-start.cjs / session-end.cjs
+const BASE_PATH = path.dirname(__dirname);
+
+// Dynamic requires with error handling
+let MemoryStore, checkHookEncryption, getStorageEncryption, createRedactor, getConfigSection;
+
+try {
+  ({ MemoryStore } = require('../core/memory-store.cjs'));
+  ({ checkHookEncryption, getStorageEncryption } = require('../core/storage-encryption.cjs'));
+  ({ createRedactor } = require('../core/redactor.cjs'));
+  ({ getConfigSection } = require('../core/config.cjs'));
+} catch (error) {
+  // A broken install must never block the tool call
+  console.log(JSON.stringify({
+    success: false,
+    error: `Module load failed: ${error.message}`,
+  }));
+  process.exit(0);
+}
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Session state directory relative to the base path */
+const STATE_DIR = 'data/tool-sequences';
+
+/** @const {string[]} Tools whose input names a file they changed */
+const EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+/** @const {RegExp[]} Output lines that mark a failed command */
+const ERROR_PATTERNS = [
+  /npm ERR!.*/,
+  /^\s*FAIL\b.*/m,
+  /Traceback \(most recent call last\).*/,
+  /\b[A-Z]\w*(?:Error|Exception)\b:.*/,
+  /^\s*error(?:\[\w+\])?:.*/im,
+  /\b[1-9]\d* (?:failed|failing|errors?)\b.*/i,
+  /command not found.*/,
+  /\bExit code [1-9]\d*.*/i,
+];
+
+/** @const {RegExp} Commands that only inspect state and never fix anything */
+const READ_ONLY_COMMAND = /^(?:ls|cat|head|tail|less|grep|rg|find|pwd|echo|which|wc|git (?:status|diff|log|show|branch))\b/;
+
+/** @const {Object} Size limits for the per-session state */
+const LIMITS = {
+  pending: 10,        // Failing commands tracked at once
+  files: 10,          // Files recorded per failure
+  steps: 5,           // Intermediate commands recorded per failure
+  diffChars: 600,     // Diff excerpt per file
+  errorChars: 200,    // Error signature length
+  pendingAgeMs: 2 * 60 * 60 * 1000,
+};
+
+// =============================================================================
+// POST TOOL USE HOOK
+// =============================================================================
+
+class PostToolUseHook {
+  /**
+   * @param {Object} options
+   * @param {string} options.basePath - Base path for memory storage
+   * @param {Redactor} [options.redactor] - Secret/PII redactor (default: from config)
+   * @param {boolean} [options.enabled] - Override postToolUse.enabled
+   * @param {Object|null} [options.encryption] - Encryption for the session state
+   *   (default: getStorageEncryption(), resolved on first use)
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || BASE_PATH;
+    this.redactor = options.redactor || null;
+    this.encryption = options.encryption;
+    this.enabled = options.enabled ?? getConfigSection('postToolUse.enabled', true) !== false;
+  }
+
+  /**
+   * Execute the hook for one tool call — must stay fast
+   * @param {Object} input - Hook input from stdin JSON
+   * @returns {Promise<Object>} { success, captured, pending }
+   */
+  async execute(input = {}) {
+    const sessionId = input.session_id || process.env.CORTEX_SESSION_ID;
+    const isBash = input.tool_name === 'Bash';
+    const isEdit = EDIT_TOOLS.includes(input.tool_name);
+
+    if (!this.enabled || !sessionId || (!isBash && !isEdit)) {
+      return { success: true, captured: 0, pending: 0 };
+    }
+
+    try {
+      this.redactor = this.redactor || createRedactor({ basePath: this.basePath });
+      const state = this._loadState(sessionId);
+      let items = [];
+
+      if (isEdit) {
+        this._recordEdit(state, input.tool_input || {});
+      } else {
+        items = this._recordCommand(state, input.tool_input || {}, input.tool_response);
+      }
+
+      this._saveState(sessionId, state);
+
+      if (items.length > 0) {
+        items = this.redactor.redactItems(items, { source: 'post-tool-use', sessionId }).items;
+      }
+      if (items.length > 0) {
+        await this._persist(items, sessionId, input.cwd);
+      }
+
+      return { success: true, captured: items.length, pending: Object.keys(state.pending).length };
+    } catch {
+      // Never block Claude — swallow errors and return success
+      return { success: true, captured: 0, pending: 0 };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // SEQUENCE TRACKING
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Track a Bash command: open, extend or resolve pending failures
+   * @param {Object} state - Session state (mutated)
+   * @param {Object} toolInput - { command }
+   * @param {Object|string} toolResponse
+   * @returns {Array<{type: string, content: string, confidence: number, tags: string[]}>}
+   */
+  _recordCommand(state, toolInput, toolResponse) {
+    // Commands are kept in the state file, so they are redacted up front
+    const command = this.redactor.redact(normalizeCommand(toolInput.command)).text;
+    // Inspection commands neither fail meaningfully (grep exits 1 on no match) nor fix anything
+    if (!command || READ_ONLY_COMMAND.test(command)) return [];
+
+    const error = detectFailure(toolResponse);
+    const now = Date.now();
+
+    if (error) {
+      const pending = state.pending[command] || {
+        command,
+        firstFailedAt: now,
+        failures: 0,
+        files: {},
+        steps: [],
+      };
+      pending.failures++;
+      pending.lastFailedAt = now;
+      pending.error = this.redactor.redact(error).text;
+      state.pending[command] = pending;
+      this._trimPending(state);
+      return [];
+    }
+
+    const resolved = state.pending[command];
+    if (resolved) {
+      delete state.pending[command];
+      const item = buildLesson(resolved);
+      return item ? [item] : [];
+    }
+
+    // Some other command succeeded while failures are open: a possible fix step
+    for (const pending of Object.values(state.pending)) {
+      if (!pending.steps.includes(command) && pending.steps.length < LIMITS.steps) {
+        pending.steps.push(command);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Attach a file edit to every open failure
+   * @param {Object} state - Session state (mutated)
+   * @param {Object} toolInput - Edit/MultiEdit/Write/NotebookEdit input
+   */
+  _recordEdit(state, toolInput) {
+    const file = toolInput.file_path || toolInput.notebook_path;
+    if (!file || Object.keys(state.pending).length === 0) return;
+
+    const diff = this.redactor.redact(summarizeEdit(toolInput)).text;
+
+    for (const pending of Object.values(state.pending)) {
+      const previous = pending.files[file];
+      if (previous === undefined && Object.keys(pending.files).length >= LIMITS.files) continue;
+
+      const combined = previous ? `${previous}\n${diff}` : diff;
+      pending.files[file] = truncate(combined, LIMITS.diffChars);
+    }
+  }
+
+  /**
+   * Drop expired failures and keep only the most recent LIMITS.pending
+   * @param {Object} state - Session state (mutated)
+   */
+  _trimPending(state) {
+    const cutoff = Date.now() - LIMITS.pendingAgeMs;
+    const live = Object.values(state.pending)
+      .filter(pending => pending.lastFailedAt >= cutoff)
+      .sort((a, b) => b.lastFailedAt - a.lastFailedAt)
+      .slice(0, LIMITS.pending);
+
+    state.pending = Object.fromEntries(live.map(pending => [pending.command, pending]));
+  }
+
+  // ---------------------------------------------------------------------------
+  // STATE
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Path of a session's state file
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  _statePath(sessionId) {
+    // Session ids come from hook input; keep them from escaping the directory
+    const safeId = String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.basePath, STATE_DIR, `${safeId}.json`);
+  }
+
+  /**
+   * Load a session's open failures
+   * @param {string} sessionId
+   * @returns {{pending: Object<string, Object>}}
+   */
+  _loadState(sessionId) {
+    try {
+      let state = JSON.parse(fs.readFileSync(this._statePath(sessionId), 'utf8'));
+      if (typeof state?.encrypted === 'string') {
+        // Throws when encryption has since been disabled; the catch below starts over
+        state = JSON.parse(this._getEncryption().decrypt(state.encrypted));
+      }
+      if (state && typeof state.pending === 'object') {
+        this._trimPending(state);
+        return state;
+      }
+    } catch {
+      // Missing or torn file: start over
+    }
+    return { pending: {} };
+  }
+
+  /**
+   * Save a session's open failures (removes the file once none are left)
+   * @param {string} sessionId
+   * @param {{pending: Object<string, Object>}} state
+   */
+  _saveState(sessionId, state) {
+    const filePath = this._statePath(sessionId);
+
+    if (Object.keys(state.pending).length === 0) {
+      fs.rmSync(filePath, { force: true });
+      return;
+    }
+
+    const encryption = this._getEncryption();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, encryption
+      ? JSON.stringify({ encrypted: encryption.encrypt(JSON.stringify(state)) })
+      : JSON.stringify(state));
+  }
+
+  /**
+   * Storage encryption for the session state (null when disabled)
+   * @private
+   * @returns {Object|null}
+   */
+  _getEncryption() {
+    if (this.encryption === undefined) {
+      this.encryption = getStorageEncryption();
+    }
+    return this.encryption;
+  }
+
+  // ---------------------------------------------------------------------------
+  // PERSISTENCE
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Persist lessons to the working tier of the memory store
+   * @param {Array<{type: string, content: string, confidence: number, tags: string[]}>} items
+   * @param {string} sessionId
+   * @param {string} [cwd]
+   * @returns {Promise<void>}
+   */
+  async _persist(items, sessionId, cwd) {
+    const store = new MemoryStore({ dbPath: path.join(this.basePath, 'data', 'memories.db') });
+    try {
+      await store.initialize();
+      const projectHash = cwd ? this._hashCwd(cwd) : null;
+      await store.insertBatch(items.map(item => ({
+        content: item.content,
+        summary: item.content.split('\n')[0].substring(0, 100),
+        memory_type: item.type,
+        tags: ['post-tool-use', item.type, ...item.tags],
+        source: 'post-tool-use',
+        tier: 'working',
+        session_id: sessionId,
+        project_hash: projectHash,
+        extraction_confidence: item.confidence,
+      })));
+    } finally {
+      store.close();
+    }
+  }
+
+  /**
+   * Hash a working directory path to a short project identifier
+   * (same scheme as the PreCompact hook)
+   * @param {string} cwd
+   * @returns {string}
+   */
+  _hashCwd(cwd) {
+    return crypto.createHash('md5').update(cwd).digest('hex').substring(0, 8);
+  }
+
+  /**
+   * Read hook input JSON from stdin
+   * @returns {Promise<Object>} Parsed hook input object
+   */
+  _readStdin() {
+    return new Promise((resolve) => {
+      // Don't block if stdin is not piped
+      if (process.stdin.isTTY) {
+        resolve({});
+        return;
+      }
+
+      let data = '';
+      const timeout = setTimeout(() => {
+        // Fast timeout — runs after every tool call
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch {
+          resolve({});
+        }
+      }, 500);
+
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', chunk => {
+        data += chunk;
+      });
+      process.stdin.on('end', () => {
+        clearTimeout(timeout);
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch {
+          resolve({});
+        }
+      });
+      process.stdin.on('error', () => {
+        clearTimeout(timeout);
+        resolve({});
+      });
+    });
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Normalize a command so reruns of the same check share a key:
+ * collapse whitespace, drop `2>&1` and trailing output filters (`| tail -20`)
+ * @param {string} command
+ * @returns {string}
+ */
+function normalizeCommand(command) {
+  if (typeof command !== 'string') return '';
+
+  return command
+    .replace(/\s+/g, ' ')
+    .replace(/\s*2>&1/g, '')
+    .replace(/(?:\s*\|\s*(?:head|tail|grep|less|cat)\b[^|]*)+$/, '')
+    .trim();
+}
+
+/**
+ * Decide whether a Bash result failed, and return its error signature
+ * @param {Object|string} response - tool_response
+ * @returns {string|null} First error line (numbers and paths generalized), or null on success
+ */
+function detectFailure(response) {
+  if (response === undefined || response === null) return null;
+
+  const output = typeof response === 'string'
+    ? response
+    : [response.stderr, response.stdout, response.error, response.output]
+      .filter(part => typeof part === 'string')
+      .join('\n');
+
+  const exitCode = typeof response === 'object'
+    ? response.exit_code ?? response.exitCode ?? response.returnCode
+    : undefined;
+  const flaggedError = typeof response === 'object' &&
+    (response.is_error === true || response.success === false || (exitCode !== undefined && exitCode !== 0));
+
+  // A zero exit code is authoritative even when the output mentions errors
+  if (exitCode === 0) return null;
+
+  for (const pattern of ERROR_PATTERNS) {
+    const match = output.match(pattern);
+    if (match) return signature(match[0]);
+  }
+
+  if (flaggedError) {
+    const firstLine = output.split('\n').find(line => line.trim()) || `exit code ${exitCode ?? 'unknown'}`;
+    return signature(firstLine);
+  }
+  return null;
+}
+
+/**
+ * Generalize an error line so repeated failures compare equal
+ * @param {string} line
+ * @returns {string}
+ */
+function signature(line) {
+  return truncate(line
+    .trim()
+    .replace(/(?:\/[\w.@-]+)+\/([\w.@-]+)/g, '$1')  // absolute paths → file name
+    .replace(/:\d+(?::\d+)?\b/g, '')                 // line:column
+    .replace(/\s+/g, ' '), LIMITS.errorChars);
+}
+
+/**
+ * Compact diff-style summary of an edit tool call
+ * @param {Object} toolInput
+ * @returns {string}
+ */
+function summarizeEdit(toolInput) {
+  const edits = Array.isArray(toolInput.edits)
+    ? toolInput.edits
+    : [{ old_string: toolInput.old_string, new_string: toolInput.new_string ?? toolInput.new_source }];
+
+  if (toolInput.content !== undefined && edits.every(e => e.old_string === undefined && e.new_string === undefined)) {
+    const lines = String(toolInput.content).split('\n').length;
+    return `+ (file written, ${lines} lines)`;
+  }
+
+  const prefix = (text, mark) => String(text || '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => `${mark} ${line.trim()}`);
+
+  return edits
+    .flatMap(edit => [...prefix(edit.old_string, '-'), ...prefix(edit.new_string, '+')])
+    .join('\n');
+}
+
+/**
+ * Turn a resolved failure into a memory item
+ * @param {Object} resolved - Pending failure that now passes
+ * @returns {{type: string, content: string, confidence: number, tags: string[]}|null}
+ */
+function buildLesson(resolved) {
+  const files = Object.keys(resolved.files);
+  const tool = resolved.command.split(' ')[0];
+
+  if (files.length > 0) {
+    const lines = [
+      `\`${resolved.command}\` failed with "${resolved.error}" and passed after editing ${files.map(f => path.basename(f)).join(', ')}.`,
+    ];
+    for (const file of files) {
+      lines.push('', `${file}:`, resolved.files[file]);
+    }
+    return { type: 'correction', content: lines.join('\n'), confidence: 0.8, tags: [tool] };
+  }
+
+  if (resolved.steps.length > 0) {
+    const steps = resolved.steps.map(step => `\`${step}\``).join(', then ');
+    return {
+      type: 'skill',
+      content: `\`${resolved.command}\` failed with "${resolved.error}"; running ${steps} made it pass.`,
+      confidence: 0.7,
+      tags: [tool],
+    };
+  }
+
+  // Passed on a plain retry: flaky, nothing to learn
+  return null;
+}
+
+/**
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+async function main() {
+  if (!checkHookEncryption('PostToolUse')) {
+    console.log(JSON.stringify({ success: false, captured: 0, pending: 0 }));
+    return;
+  }
+
+  const hook = new PostToolUseHook();
+  const input = await hook._readStdin();
+  const result = await hook.execute(input);
+  console.log(JSON.stringify(result));
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch(() => {
+    console.log(JSON.stringify({ success: true, captured: 0, pending: 0 }));
+    process.exit(0);
+  });
+}
+
+// Export for testing
+module.exports = { PostToolUseHook, normalizeCommand, detectFailure, summarizeEdit };
@@ -18,9 +18,11 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
-const { generateId, getTimestamp } = require('../core/types.cjs');
+const { MemoryStore } = require('../core/memory-store.cjs');
+const { checkHookEncryption } = require('../core/storage-encryption.cjs');
+const { createRedactor } = require('../core/redactor.cjs');
+const { PRECOMPACT_PATTERNS } = require('./heuristic-extractor.cjs');
 
 // =============================================================================
 // PRECOMPACT HOOK
@@ -30,9 +32,11 @@ class PreCompactHook {
   /**
    * @param {Object} options
    * @param {string} options.basePath - Base path for Cortex memory storage
+   * @param {Redactor} [options.redactor] - Secret/PII redactor (default: from config)
    */
   constructor(options = {}) {
     this.basePath = options.basePath || path.join(process.env.HOME, '.claude', 'memory');
+    this.redactor = options.redactor || null;
   }
 
   /**
@@ -51,9 +55,15 @@ class PreCompactHook {
     }
 
     try {
-      const items = this._extractCriticalInfo(summary);
+      // Redact the whole text first: splitting into sentences would break
+      // emails, IPs, JWTs and keys apart before they could be detected
+      this.redactor = this.redactor || createRedactor({ basePath: this.basePath });
+      let items = this._extractCriticalInfo(this.redactor.redact(summary).text);
       if (items.length > 0) {
-        this._persistItems(items, cwd);
+        items = this.redactor.redactItems(items, { source: 'pre-compact' }).items;
+      }
+      if (items.length > 0) {
+        await this._persistItems(items, cwd);
       }
       return {
         success: true,
@@ -76,20 +86,7 @@ class PreCompactHook {
     const items = [];
     const sentences = summary.split(/[.!?\n]+/).filter(s => s.trim().length > 15);
 
-    const decisionPatterns = [
-      /decided to\s+(.+)/i, /chose\s+(.+)/i, /went with\s+(.+)/i,
-      /using\s+(.+?)\s+(?:for|because|instead)/i, /switched to\s+(.+)/i,
-    ];
-    const insightPatterns = [
-      /key insight:\s*(.+)/i, /important:\s*(.+)/i, /remember:\s*(.+)/i,
-      /always\s+(.+?)\s+before/i, /never\s+(.+?)\s+without/i,
-      /the (?:trick|key|secret) is\s+(.+)/i,
-    ];
-    const errorPatterns = [
-      /(?:fixed|solved|resolved)\s+(?:by|with)\s+(.+)/i,
-      /the (?:issue|problem|bug) was\s+(.+)/i,
-      /(?:root cause|reason):\s*(.+)/i,
-    ];
+    const { decision: decisionPatterns, insight: insightPatterns, error: errorPatterns } = PRECOMPACT_PATTERNS;
 
     for (const sentence of sentences) {
       const trimmed = sentence.trim();
@@ -123,35 +120,29 @@ class PreCompactHook {
   }
 
   /**
-   * Persist extracted items to working memory JSONL store
+   * Persist extracted items to the working tier of the memory store
    * @param {Array<{type: string, content: string, confidence: number}>} items
    * @param {string} cwd
+   * @returns {Promise<void>}
    */
-  _persistItems(items, cwd) {
-    const workingPath = path.join(this.basePath, 'data', 'memories', 'working.jsonl');
-    const dir = path.dirname(workingPath);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-
-    const lines = items.map(item => JSON.stringify({
-      id: generateId(),
-      version: 1,
-      type: item.type,
-      content: item.content,
-      summary: item.content.substring(0, 100),
-      tags: ['pre-compact', item.type],
-      extractionConfidence: item.confidence,
-      usageCount: 0,
-      usageSuccessRate: 0,
-      decayScore: 1.0,
-      status: 'active',
-      sourceSessionId: 'pre-compact',
-      sourceTimestamp: getTimestamp(),
-      projectHash: this._hashCwd(cwd),
-      createdAt: getTimestamp(),
-      updatedAt: getTimestamp(),
-    }));
-
-    fs.appendFileSync(workingPath, lines.join('\n') + '\n');
+  async _persistItems(items, cwd) {
+    const store = new MemoryStore({ dbPath: path.join(this.basePath, 'data', 'memories.db') });
+    try {
+      await store.initialize();
+      const projectHash = this._hashCwd(cwd);
+      await store.insertBatch(items.map(item => ({
+        content: item.content,
+        summary: item.content.substring(0, 100),
+        memory_type: item.type,
+        tags: ['pre-compact', item.type],
+        source: 'pre-compact',
+        tier: 'working',
+        project_hash: projectHash,
+        extraction_confidence: item.confidence,
+      })));
+    } finally {
+      store.close();
+    }
   }
 
   /**
@@ -210,6 +201,11 @@ class PreCompactHook {
 // =============================================================================
 
 async function main() {
+  if (!checkHookEncryption('PreCompact')) {
+    console.log(JSON.stringify({ success: false, error: 'Encrypted memory store unavailable' }));
+    return;
+  }
+
   const hook = new PreCompactHook();
 
   // Read hook input from stdin (Claude Code passes JSON with session info)
@@ -2,7 +2,10 @@
  * Cortex - Claude's Cognitive Layer - Query Orchestrator (v1.1.0)
  *
  * Coordinates memory retrieval from MULTIPLE sources via Adapter Pattern:
- * - JSONL Local: Working, short-term, long-term, skills (always available)
+ * - Local (jsonl adapter): working and short-term tiers from the MemoryStore
+ *   `tier` column, plus insight/learning files (always available)
+ * - Vector: hybrid search over the same MemoryStore, including long-term
+ *   memories and skills
  * - Episodic Memory MCP: 233+ archived conversations with semantic search
  * - Knowledge Graph MCP: Structured entities and relations
  * - CLAUDE.md Files: User-curated knowledge and solutions
@@ -90,6 +93,17 @@ class QueryOrchestrator {
    * @param {string[]} input.adapters - Specific adapters to query (default: all enabled)
    * @param {boolean} input.useSemantic - Override semantic analysis setting for this query
    * @param {boolean} input.forceSemanticApi - Bypass semantic cache
+   * @param {string} [input.asOf] - Valid time for point-in-time queries
+   * @param {string} [input.knownAt] - Transaction time for point-in-time queries
+   * @param {boolean} [input.includeSuperseded] - Include superseded memory versions
+   * @param {import('../core/query-filters.cjs').QueryFilters} [input.filters] - Filter DSL terms
+   * @param {boolean} [input.rerank] - Allow cross-encoder re-ranking in the vector adapter
+   * @param {number} [input.timeoutMs] - Cap on each adapter's timeout (latency-budgeted callers)
+   * @param {string|null} [input.projectHash] - Query as this project instead of the working
+   *   directory's (null = no project)
+   * @param {string} [input.referenceTime] - Clock for recency scoring, tier age limits and
+   *   temporal decay (default: now; replaying a frozen snapshot passes its timestamp)
+   * @param {boolean} [input.trackUsage=true] - Record usage on the returned memories
    * @returns {Promise<Object>}
    */
   async query(input = {}) {
@@ -112,6 +126,13 @@ class QueryOrchestrator {
       });
     }
 
+    if (input.projectHash !== undefined) {
+      context.projectHash = input.projectHash;
+    }
+    if (input.referenceTime) {
+      context.timestamp = new Date(input.referenceTime).toISOString();
+    }
+
     // Build query options for adapters
     // IMPORTANT: Don't pass user's limit to adapters - that would cut off results
     // BEFORE context-aware ranking. Instead, fetch more candidates and let
@@ -119,6 +140,13 @@ class QueryOrchestrator {
     const queryOptions = {
       types: input.types,
       limit: 500,  // Internal limit per adapter - enough candidates for ranking
+      asOf: input.asOf,
+      knownAt: input.knownAt,
+      includeSuperseded: input.includeSuperseded,
+      filters: input.filters,
+      rerank: input.rerank,
+      timeoutMs: input.timeoutMs,
+      referenceTime: input.referenceTime,
     };
 
     // Store user's desired final limit (for potential future use after ranking)
@@ -153,12 +181,14 @@ class QueryOrchestrator {
       }
 
       // Track usage for returned memories (fire-and-forget, non-blocking)
-      this._trackUsage(finalMemories).catch(err => {
-        // Silently ignore tracking errors - don't break queries
-        if (this.registry._verbose) {
-          console.error('[QueryOrchestrator] Usage tracking error:', err.message);
-        }
-      });
+      if (input.trackUsage !== false) {
+        this._trackUsage(finalMemories).catch(err => {
+          // Silently ignore tracking errors - don't break queries
+          if (this.registry._verbose) {
+            console.error('[QueryOrchestrator] Usage tracking error:', err.message);
+          }
+        });
+      }
 
       return {
         context,
@@ -613,26 +643,36 @@ class QueryOrchestrator {
 // =============================================================================
 
 /**
- * Available memory sources with their paths and descriptions
+ * Available memory sources with their descriptions
+ *
+ * The lifecycle tiers live in the MemoryStore `tier` column
+ * (data/memories.db). legacyPath is the JSONL file an earlier version kept
+ * the tier in; jsonl-import.cjs moves it into the store and renames it to
+ * `*.imported`.
  */
 const MEMORY_SOURCES = {
   working: {
-    path: 'data/memories/working.jsonl',
+    tier: 'working',
+    legacyPath: 'data/memories/working.jsonl',
     description: 'Current session context and active tasks',
     ttl: 'session',
   },
   shortTerm: {
-    path: 'data/memories/short-term.jsonl',
+    tier: 'short-term',
+    legacyPath: 'data/memories/short-term.jsonl',
     description: 'Recent session history (last 7 days)',
     ttl: '7d',
   },
   longTerm: {
-    path: 'data/memories/long-term.jsonl',
+    tier: 'long-term',
+    legacyPath: 'data/memories/long-term.jsonl',
     description: 'Consolidated insights and patterns',
     ttl: 'permanent',
   },
   skills: {
-    path: 'data/skills/index.jsonl',
+    tier: 'long-term',
+    memoryType: 'skill',
+    legacyPath: 'data/skills/index.jsonl',
     description: 'Learned skills and capabilities',
     ttl: 'permanent',
   },
@@ -0,0 +1,156 @@
+/**
+ * Cortex - Claude's Cognitive Layer - Reference Detector
+ *
+ * Decides whether Claude actually used an injected memory, by looking for
+ * it in what Claude wrote during the session (assistant text and tool
+ * inputs). A memory counts as referenced when:
+ * - its id is mentioned, or
+ * - a run of consecutive words from it appears verbatim, or
+ * - enough of its distinctive terms show up in Claude's output
+ *
+ * Pure string matching — runs in the SessionEnd hook without model calls.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { STOPWORDS } = require('./context-analyzer.cjs');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {Object} Default matching thresholds */
+const DEFAULTS = {
+  minTerms: 3,         // Distinctive terms that must match, at least
+  minTermRatio: 0.4,   // ...and this share of the memory's distinctive terms
+  phraseWords: 6,      // Length of a verbatim word run that counts on its own
+  maxTerms: 20,        // Distinctive terms considered per memory
+};
+
+// =============================================================================
+// TEXT HELPERS
+// =============================================================================
+
+/**
+ * Flatten a transcript message's content to text. Handles plain strings and
+ * Anthropic content blocks (text, tool_use inputs, tool results).
+ * @param {string|Object[]} content
+ * @returns {string}
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  return content.map(block => {
+    if (typeof block === 'string') return block;
+    if (block?.type === 'text') return block.text || '';
+    if (block?.type === 'tool_use') return JSON.stringify(block.input || {});
+    if (block?.type === 'tool_result') return contentToText(block.content);
+    return '';
+  }).join('\n');
+}
+
+/**
+ * Lowercase words of a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+function words(text) {
+  return text.toLowerCase().match(/[a-z0-9][a-z0-9_.\-/]*[a-z0-9]|[a-z0-9]/g) || [];
+}
+
+// =============================================================================
+// REFERENCE DETECTOR
+// =============================================================================
+
+class ReferenceDetector {
+  /**
+   * @param {Object} [options] - Overrides for DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * Collect what Claude wrote in a session
+   * @param {Object[]} messages - Transcript messages ({role, content})
+   * @returns {string}
+   */
+  assistantText(messages) {
+    return messages
+      .filter(message => message.role === 'assistant')
+      .map(message => contentToText(message.content))
+      .join('\n');
+  }
+
+  /**
+   * Check one memory against the session's assistant text
+   * @param {{id: string, content: string, summary?: string}} memory
+   * @param {string} text - Output of assistantText()
+   * @returns {{referenced: boolean, score: number, reason: string|null, matchedTerms: string[]}}
+   */
+  detect(memory, text) {
+    const haystack = text.toLowerCase();
+    const memoryText = memory.content || memory.summary || '';
+
+    if (memory.id && haystack.includes(String(memory.id).toLowerCase())) {
+      return { referenced: true, score: 1, reason: 'id', matchedTerms: [] };
+    }
+
+    const memoryWords = words(memoryText);
+    const phrase = this._findPhrase(memoryWords, ` ${words(text).join(' ')} `);
+    if (phrase) {
+      return { referenced: true, score: 1, reason: 'phrase', matchedTerms: [phrase] };
+    }
+
+    const terms = [...new Set(memoryWords)]
+      .filter(word => word.length >= 4 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+      .slice(0, this.options.maxTerms);
+    if (terms.length === 0) {
+      return { referenced: false, score: 0, reason: null, matchedTerms: [] };
+    }
+
+    const matchedTerms = terms.filter(term => haystack.includes(term));
+    const score = matchedTerms.length / terms.length;
+    const referenced = matchedTerms.length >= Math.min(this.options.minTerms, terms.length) &&
+      score >= this.options.minTermRatio;
+
+    return {
+      referenced,
+      score: Math.round(score * 100) / 100,
+      reason: referenced ? 'terms' : null,
+      matchedTerms,
+    };
+  }
+
+  /**
+   * First run of phraseWords consecutive memory words found in the text
+   * @private
+   * @param {string[]} memoryWords
+   * @param {string} paddedText - Normalized text with surrounding spaces
+   * @returns {string|null}
+   */
+  _findPhrase(memoryWords, paddedText) {
+    const n = this.options.phraseWords;
+    for (let i = 0; i + n <= memoryWords.length; i++) {
+      const run = memoryWords.slice(i, i + n);
+      // Stock phrases ("it is a good idea to") prove nothing
+      if (run.filter(word => !STOPWORDS.has(word)).length < 3) continue;
+
+      const phrase = run.join(' ');
+      if (paddedText.includes(` ${phrase} `)) return phrase;
+    }
+    return null;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  ReferenceDetector,
+  contentToText,
+};
@@ -3,7 +3,8 @@
  * Cortex - Claude's Cognitive Layer - SessionEnd Hook
  *
  * This hook runs at the end of each Claude Code session.
- * It extracts learnings and resolves pending decisions.
+ * It extracts learnings, resolves pending decisions and checks which
+ * injected memories Claude actually referenced (see injection-ledger.cjs).
  *
  * Input: JSON via stdin with structure:
  *   {
@@ -29,6 +30,7 @@ const BASE_PATH = path.dirname(__dirname);
 
 // Dynamic requires with error handling
 let ExtractionEngine, ContextAnalyzer, getConfigManager, getLADSCore, generateId, getTimestamp;
+let InjectionLedger, ReferenceDetector, contentToText, checkHookEncryption;
 
 try {
   ({ ExtractionEngine } = require('./extraction-engine.cjs'));
@@ -36,6 +38,9 @@ try {
   ({ getConfigManager } = require('../core/config.cjs'));
   ({ getLADSCore } = require('../core/lads/index.cjs'));
   ({ generateId, getTimestamp } = require('../core/types.cjs'));
+  ({ InjectionLedger } = require('./injection-ledger.cjs'));
+  ({ ReferenceDetector, contentToText } = require('./reference-detector.cjs'));
+  ({ checkHookEncryption } = require('../core/storage-encryption.cjs'));
 } catch (error) {
   // If modules not found, output empty result
   console.log(JSON.stringify({
@@ -70,6 +75,9 @@ class SessionEndHook {
       workingDir: process.env.CORTEX_WORKING_DIR || process.cwd(),
     });
 
+    this.ledger = new InjectionLedger({ basePath: this.basePath });
+    this.referenceDetector = new ReferenceDetector();
+
     this.lads = null;
     try {
       this.lads = getLADSCore({ basePath: this.basePath });
@@ -144,6 +152,10 @@ class SessionEndHook {
         }
       }
 
+      // Score injected memories by whether Claude used them (feeds the
+      // OutcomeScorer before the session's injection decisions are resolved)
+      const referenceResults = await this._scoreInjections(sessionId, messages);
+
       // Resolve pending decisions
       const decisionResults = await this._resolvePendingDecisions(sessionId, messages);
 
@@ -157,11 +169,13 @@ class SessionEndHook {
         enabled: true,
         extracted: extractionResult.extracted,
         decisions: decisionResults,
+        references: referenceResults,
         consolidationNeeded,
         stats: {
           duration,
           ...extractionResult.stats,
           decisionsResolved: decisionResults.resolved,
+          injectionsScored: referenceResults.scored,
         },
       };
     } catch (error) {
@@ -269,9 +283,13 @@ class SessionEndHook {
     const lines = content.split('\n').filter(l => l.trim());
     for (const line of lines) {
       try {
-        const msg = JSON.parse(line);
+        const entry = JSON.parse(line);
+        // Claude Code transcripts wrap each message: {type, message: {role, content}}
+        const msg = entry.message?.role ? entry.message : entry;
         if (msg.role && msg.content) {
-          messages.push(msg);
+          messages.push(typeof msg.content === 'string'
+            ? msg
+            : { ...msg, content: contentToText(msg.content) });
         }
       } catch {
         // Skip invalid lines
@@ -323,6 +341,104 @@ class SessionEndHook {
     }
   }
 
+  /**
+   * Check the session's injected memories against what Claude wrote and
+   * feed the result into MemoryStore usage statistics
+   * (usage_success_rate rises for referenced memories, falls for ignored ones)
+   * and the LADS OutcomeScorer. The session's ledger is deleted once scored.
+   * @param {string} sessionId
+   * @param {Object[]} messages
+   * @returns {Promise<{scored: number, referenced: number}>}
+   */
+  async _scoreInjections(sessionId, messages) {
+    // Ledgers of sessions that never reached SessionEnd
+    this.ledger.prune();
+
+    if (this.config.get('sessionEnd.trackReferences') === false) {
+      return { scored: 0, referenced: 0 };
+    }
+
+    try {
+      const pending = this.ledger.getUnscored(sessionId);
+      if (pending.length === 0) {
+        return { scored: 0, referenced: 0 };
+      }
+
+      const text = this.referenceDetector.assistantText(messages);
+      const store = await this.extractionEngine.getStore();
+      const outcomes = [];
+
+      for (const entry of pending) {
+        // Only MemoryStore rows have usage statistics (not CLAUDE.md, Gemini, ...)
+        const memory = store.get(entry.memoryId);
+        if (!memory) continue;
+
+        const result = this.referenceDetector.detect(memory, text);
+        store.recordAccess(entry.memoryId, result.referenced);
+        outcomes.push({ memoryId: entry.memoryId, referenced: result.referenced, score: result.score });
+      }
+
+      this._trackInjectionOutcomes(sessionId, outcomes);
+      this.ledger.remove(sessionId);
+
+      return {
+        scored: outcomes.length,
+        referenced: outcomes.filter(outcome => outcome.referenced).length,
+      };
+    } catch (error) {
+      console.error('[SessionEnd] Reference tracking failed:', error.message);
+      return { scored: 0, referenced: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Record injections and references with the LADS OutcomeScorer against
+   * the session's memory_injection decisions
+   * @param {string} sessionId
+   * @param {Array<{memoryId: string, referenced: boolean}>} outcomes
+   */
+  _trackInjectionOutcomes(sessionId, outcomes) {
+    if (!this.lads || outcomes.length === 0) return;
+
+    const scorer = this.lads.outcomeScorer;
+    const decisions = this.lads.patternTracker.getPendingDecisions(sessionId)
+      .filter(decision => decision.decisionType === 'memory_injection');
+
+    for (const decision of decisions) {
+      // SessionStart tracked the decision in its own process
+      if (!scorer.pendingAssessments.has(decision.id)) {
+        scorer.startTracking(decision.id, { sessionId });
+      }
+      for (const outcome of outcomes) {
+        scorer.trackMemoryInjection(decision.id, outcome.memoryId, sessionId);
+      }
+    }
+
+    for (const outcome of outcomes) {
+      if (outcome.referenced) scorer.trackMemoryReference(outcome.memoryId);
+    }
+  }
+
+  /**
+   * Injected and referenced memory counts the OutcomeScorer holds for a decision
+   * @param {Object} decision
+   * @returns {{injected: number, referenced: number}|null} Null for other decision types
+   */
+  _injectionUsage(decision) {
+    if (!this.lads || decision.decisionType !== 'memory_injection') return null;
+
+    const scorer = this.lads.outcomeScorer;
+    const memoryIds = scorer.getSignals(decision.id)
+      .filter(signal => signal.type === 'injection')
+      .map(signal => signal.memoryId);
+    if (memoryIds.length === 0) return null;
+
+    return {
+      injected: memoryIds.length,
+      referenced: memoryIds.filter(id => scorer.usageCollector.getSignal(id)?.referenced).length,
+    };
+  }
+
   /**
    * Detect success signals in conversation
    * @param {Object[]} messages
@@ -406,6 +522,10 @@ class SessionEndHook {
     if (signals.errorMentions > 0) score -= 0.2;
     if (signals.frustrationMentions > 0) score -= 0.3;
 
+    // Whether Claude used the memories this decision injected
+    const usage = this._injectionUsage(decision);
+    if (usage) score += usage.referenced > 0 ? 0.2 : -0.1;
+
     // Session length as proxy for success (shorter = resolved faster)
     const avgSessionLength = 10; // messages
     if (messages.length < avgSessionLength) {
@@ -449,15 +569,8 @@ class SessionEndHook {
       const threshold = consolidationConfig.workingMemoryThreshold || 100;
 
       // Check working memory size
-      const workingStorePath = path.join(this.basePath, 'data/memories/working.jsonl');
-      if (!fs.existsSync(workingStorePath)) {
-        return false;
-      }
-
-      const content = fs.readFileSync(workingStorePath, 'utf8');
-      const lineCount = content.split('\n').filter(l => l.trim()).length;
-
-      return lineCount >= threshold;
+      const store = await this.extractionEngine.getStore();
+      return store.count({ tier: 'working' }) >= threshold;
     } catch {
       return false;
     }
@@ -510,6 +623,11 @@ class SessionEndHook {
 // =============================================================================
 
 async function main() {
+  if (!checkHookEncryption('SessionEnd')) {
+    console.log(JSON.stringify({ success: false, error: 'Encrypted memory store unavailable', extracted: [] }));
+    return;
+  }
+
   const hook = new SessionEndHook();
 
   // Read hook input from stdin (Claude Code passes JSON with session info)
@@ -521,6 +639,7 @@ async function main() {
   }
 
   const result = await hook.execute(hookInput);
+  hook.extractionEngine.close();
 
   // Output JSON result
   console.log(JSON.stringify(result, null, 2));
@@ -5,11 +5,16 @@
  * This hook runs at the beginning of each Claude Code session.
  * It injects relevant memories into the conversation context.
  *
- * Environment variables:
+ * Input: JSON via stdin from Claude Code (session_id, cwd, source)
+ *
+ * Environment variables (fallbacks when stdin has no value):
  * - CORTEX_WORKING_DIR: Current working directory
  * - CORTEX_SESSION_ID: Current session ID
  * - CORTEX_PROMPT: Initial user prompt (if available)
  *
+ * Injected memories are written to the session's injection ledger so the
+ * SessionEnd hook can check which ones Claude actually used.
+ *
  * Output: JSON with injection content for session start
  */
 
@@ -23,9 +28,10 @@ const BASE_PATH = path.dirname(__dirname);
 
 // Dynamic requires with error handling
 let QueryOrchestrator, ContextAnalyzer, getConfigManager, getLADSCore, generateId, getTimestamp;
-let InjectionFormatter, CortexRenderer;
+let InjectionFormatter, CortexRenderer, InjectionLedger;
 let WIPDetector;
 let OnboardingManager;
+let checkHookEncryption;
 
 try {
   ({ QueryOrchestrator } = require('./query-orchestrator.cjs'));
@@ -35,8 +41,10 @@ try {
   ({ generateId, getTimestamp } = require('../core/types.cjs'));
   ({ InjectionFormatter } = require('./injection-formatter.cjs'));
   ({ CortexRenderer } = require('./cli-renderer.cjs'));
+  ({ InjectionLedger } = require('./injection-ledger.cjs'));
   ({ WIPDetector } = require('./wip-detector.cjs'));
   ({ OnboardingManager } = require('./onboarding.cjs'));
+  ({ checkHookEncryption } = require('../core/storage-encryption.cjs'));
 } catch (error) {
   // If modules not found, output empty injection
   console.log(JSON.stringify({
@@ -85,12 +93,15 @@ class SessionStartHook {
 
     // Initialize formatter with config
     const formatType = this.config.get('sessionStart.format') || 'rich';
+    this.formatType = formatType;
     this.formatter = new InjectionFormatter({
       format: formatType,
       includeSourceInfo: true,
       includeRelevance: true,
     });
 
+    this.ledger = new InjectionLedger({ basePath: this.basePath });
+
     this.lads = null;
     try {
       this.lads = getLADSCore({ basePath: this.basePath });
@@ -126,12 +137,15 @@ class SessionStartHook {
 
   /**
    * Execute the session start hook
+   * @param {Object} [input] - Hook input from stdin JSON
+   * @param {string} [input.session_id] - Claude Code session id
+   * @param {string} [input.cwd] - Working directory
    * @returns {Promise<Object>}
    */
-  async execute() {
+  async execute(input = {}) {
     const startTime = Date.now();
-    const sessionId = process.env.CORTEX_SESSION_ID || generateId();
-    const workingDir = process.env.CORTEX_WORKING_DIR || process.cwd();
+    const sessionId = input.session_id || process.env.CORTEX_SESSION_ID || generateId();
+    const workingDir = input.cwd || process.env.CORTEX_WORKING_DIR || process.cwd();
     const initialPrompt = process.env.CORTEX_PROMPT || '';
 
     // Check if enabled
@@ -170,6 +184,8 @@ class SessionStartHook {
         prompt: initialPrompt,
         recentFiles: this._getRecentFiles(workingDir),
         onAdapterComplete: this._onAdapterComplete,
+        // Re-ranking adds model latency; hooks only use it when explicitly allowed
+        rerank: this.config.get('reranking.hooks') === true,
       });
 
       // Track the query decision
@@ -221,6 +237,13 @@ class SessionStartHook {
         stats
       );
 
+      // Record what was injected; SessionEnd scores it against the transcript
+      try {
+        this.ledger.record(sessionId, 'SessionStart', queryResult.memories, { format: this.formatType });
+      } catch (error) {
+        console.error('[SessionStart] Ledger write failed:', error.message);
+      }
+
       // Check for onboarding message
       let onboardingInjection = '';
       let onboardingType = null;
@@ -256,6 +279,7 @@ class SessionStartHook {
         success: true,
         enabled: true,
         injection,
+        sessionId,
         decisionId,
         wipDetected: wipResult.hasWIP,
         wipItems: wipResult.items.length,
@@ -327,6 +351,43 @@ class SessionStartHook {
     }
   }
 
+  /**
+   * Read hook input JSON from stdin
+   * @returns {Promise<Object>} Parsed hook input object
+   */
+  _readStdin() {
+    return new Promise((resolve) => {
+      // Don't block if stdin is not piped
+      if (process.stdin.isTTY) {
+        resolve({});
+        return;
+      }
+
+      let data = '';
+      const parse = () => {
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch {
+          resolve({});
+        }
+      };
+      const timeout = setTimeout(parse, 500);
+
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', chunk => {
+        data += chunk;
+      });
+      process.stdin.on('end', () => {
+        clearTimeout(timeout);
+        parse();
+      });
+      process.stdin.on('error', () => {
+        clearTimeout(timeout);
+        resolve({});
+      });
+    });
+  }
+
   /**
    * Build a brief context summary
    * @param {Object} context
@@ -370,6 +431,14 @@ async function main() {
                       process.argv.includes('--compact') ||
                       process.argv.includes('-c');
 
+  if (!checkHookEncryption('SessionStart')) {
+    console.log(JSON.stringify({
+      hookSpecificOutput: { hookEventName: 'SessionStart', additionalContext: '' },
+      _cortex: { success: false, enabled: true, error: 'Encrypted memory store unavailable' },
+    }));
+    return;
+  }
+
   const hook = new SessionStartHook();
 
   // Initialize CortexRenderer
@@ -406,7 +475,8 @@ async function main() {
     };
   }
 
-  const result = await hook.execute();
+  const input = await hook._readStdin();
+  const result = await hook.execute(input);
 
   // Show summary via CortexRenderer
   if (!compactMode) {
@@ -23,26 +23,15 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 
 // Ensure we can find our modules — matches session-start.cjs / session-end.cjs
 const BASE_PATH = path.dirname(__dirname);
 
-// Dynamic requires with error handling
-let generateId, getTimestamp;
-
-try {
-  ({ generateId, getTimestamp } = require('../core/types.cjs'));
-} catch (error) {
-  // Fallback if types module not found
-  generateId = () => {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substring(2, 10);
-    return `${timestamp}-${random}`;
-  };
-  getTimestamp = () => new Date().toISOString();
-}
+const { MemoryStore } = require('../core/memory-store.cjs');
+const { checkHookEncryption } = require('../core/storage-encryption.cjs');
+const { createRedactor } = require('../core/redactor.cjs');
+const { STOP_PATTERNS } = require('./heuristic-extractor.cjs');
 
 // =============================================================================
 // STOP HOOK
@@ -52,9 +41,11 @@ class StopHook {
   /**
    * @param {Object} options
    * @param {string} options.basePath - Base path for memory storage
+   * @param {Redactor} [options.redactor] - Secret/PII redactor (default: from config)
    */
   constructor(options = {}) {
     this.basePath = options.basePath || BASE_PATH;
+    this.redactor = options.redactor || null;
   }
 
   /**
@@ -72,9 +63,15 @@ class StopHook {
     }
 
     try {
-      const items = this._extractHighSignal(response);
+      // Redact the whole text first: splitting into sentences would break
+      // emails, IPs, JWTs and keys apart before they could be detected
+      this.redactor = this.redactor || createRedactor({ basePath: this.basePath });
+      let items = this._extractHighSignal(this.redactor.redact(response).text);
+      if (items.length > 0) {
+        items = this.redactor.redactItems(items, { source: 'stop-hook' }).items;
+      }
       if (items.length > 0) {
-        this._persist(items);
+        await this._persist(items);
       }
       return { success: true, captured: items.length };
     } catch (error) {
@@ -96,25 +93,7 @@ class StopHook {
     // Split into sentences for pattern matching
     const sentences = text.split(/[.!?\n]+/).filter(s => s.trim().length > 10);
 
-    const rememberPatterns = [
-      /remember:\s*(.+)/i,
-      /remember this:\s*(.+)/i,
-      /note to self:\s*(.+)/i,
-      /don't forget:\s*(.+)/i,
-    ];
-
-    const errorFixPatterns = [
-      /(?:the (?:issue|problem|bug|error) was)\s+(.+)/i,
-      /(?:fixed|solved|resolved)\s+(?:by|with)\s+(.+)/i,
-      /(?:root cause|reason):\s*(.+)/i,
-    ];
-
-    const insightPatterns = [
-      /important:\s*(.+)/i,
-      /key insight:\s*(.+)/i,
-      /always\s+(.{10,}?)\s+before/i,
-      /never\s+(.{10,}?)\s+without/i,
-    ];
+    const { remember: rememberPatterns, errorFix: errorFixPatterns, insight: insightPatterns } = STOP_PATTERNS;
 
     // Extract ★ Insight blocks (multi-line, between marker lines)
     const insightBlockRegex = /★ Insight[─\s]*\n([\s\S]*?)(?:\n─{10,}|$)/g;
@@ -163,38 +142,26 @@ class StopHook {
   }
 
   /**
-   * Persist captured items to working.jsonl
-   * Uses append-only writes for speed.
+   * Persist captured items to the working tier of the memory store
    * @param {Array<{type: string, content: string, confidence: number}>} items
+   * @returns {Promise<void>}
    */
-  _persist(items) {
-    const workingPath = path.join(this.basePath, 'data', 'memories', 'working.jsonl');
-    const dir = path.dirname(workingPath);
-
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+  async _persist(items) {
+    const store = new MemoryStore({ dbPath: path.join(this.basePath, 'data', 'memories.db') });
+    try {
+      await store.initialize();
+      await store.insertBatch(items.map(item => ({
+        content: item.content,
+        summary: item.content.substring(0, 100),
+        memory_type: item.type,
+        tags: ['stop-hook', item.type],
+        source: 'stop-hook',
+        tier: 'working',
+        extraction_confidence: item.confidence,
+      })));
+    } finally {
+      store.close();
     }
-
-    const now = getTimestamp();
-    const lines = items.map(item => JSON.stringify({
-      id: generateId(),
-      version: 1,
-      type: item.type,
-      content: item.content,
-      summary: item.content.substring(0, 100),
-      tags: ['stop-hook', item.type],
-      extractionConfidence: item.confidence,
-      usageCount: 0,
-      usageSuccessRate: 0,
-      decayScore: 1.0,
-      status: 'active',
-      sourceSessionId: 'stop-hook',
-      sourceTimestamp: now,
-      createdAt: now,
-      updatedAt: now,
-    }));
-
-    fs.appendFileSync(workingPath, lines.join('\n') + '\n');
   }
 
   /**
@@ -244,6 +211,11 @@ class StopHook {
 // =============================================================================
 
 async function main() {
+  if (!checkHookEncryption('Stop')) {
+    console.log(JSON.stringify({ success: false, captured: 0 }));
+    return;
+  }
+
   const hook = new StopHook();
   const input = await hook._readStdin();
   const result = await hook.execute(input);
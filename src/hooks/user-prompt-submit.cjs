@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * Cortex - Claude's Cognitive Layer - UserPromptSubmit Hook
+ *
+ * Runs before Claude sees each user prompt and injects the few memories
+ * most relevant to that prompt (just-in-time, unlike the once-per-session
+ * SessionStart injection).
+ *
+ * Every prompt pays this hook's latency, so it stays on a strict budget:
+ * - Local adapters only: the MemoryStore working/short-term tiers and local
+ *   files (jsonl adapter) plus long-term memories (vector adapter)
+ * - The vector adapter runs BM25-only by default (userPromptSubmit.searchMode),
+ *   since loading the embedding model and HNSW index never fits the budget
+ * - No Haiku semantic analysis, HyDE or cross-encoder re-ranking
+ * - Adapter timeouts capped at userPromptSubmit.timeoutMs
+ *
+ * Memories already injected earlier in the session are skipped (see
+ * injection-ledger.cjs).
+ *
+ * Input (stdin JSON from Claude Code):
+ * - prompt, session_id, cwd, hook_event_name
+ *
+ * Output: JSON with hookSpecificOutput.additionalContext
+ */
+
+'use strict';
+
+const path = require('path');
+
+// Ensure we can find our modules
+const BASE_PATH = path.dirname(__dirname);
+
+// Dynamic requires with error handling
+let QueryOrchestrator, InjectionFormatter, InjectionLedger, getConfigManager, checkHookEncryption;
+
+try {
+  ({ QueryOrchestrator } = require('./query-orchestrator.cjs'));
+  ({ InjectionFormatter } = require('./injection-formatter.cjs'));
+  ({ InjectionLedger } = require('./injection-ledger.cjs'));
+  ({ getConfigManager } = require('../core/config.cjs'));
+  ({ checkHookEncryption } = require('../core/storage-encryption.cjs'));
+} catch (error) {
+  // A broken install must never block the user's prompt
+  console.log(JSON.stringify({
+    success: false,
+    error: `Module load failed: ${error.message}`,
+  }));
+  process.exit(0);
+}
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @const {string} Hook event name reported back to Claude Code */
+const HOOK_EVENT = 'UserPromptSubmit';
+
+/** @const {string[]} Adapters that answer from local storage without model calls */
+const LOCAL_ADAPTERS = ['jsonl', 'vector'];
+
+/** @const {Object} Fallbacks for missing userPromptSubmit config keys */
+const DEFAULTS = {
+  timeoutMs: 400,
+  minPromptLength: 12,
+  maxMemories: 3,
+  maxTokens: 600,
+  minRelevance: 0.3,
+  format: 'compact',
+  searchMode: 'bm25',
+};
+
+// =============================================================================
+// USER PROMPT SUBMIT HOOK
+// =============================================================================
+
+class UserPromptSubmitHook {
+  /**
+   * @param {Object} options
+   * @param {string} [options.basePath] - Base path for Cortex
+   * @param {Object} [options.config] - Configuration manager
+   * @param {string} [options.workingDir] - Project directory (default: cwd)
+   * @param {QueryOrchestrator} [options.orchestrator] - Pre-built orchestrator (testing)
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || BASE_PATH;
+    this.config = options.config || getConfigManager();
+    this.workingDir = options.workingDir || process.env.CORTEX_WORKING_DIR || process.cwd();
+
+    const settings = this.config.get('userPromptSubmit') || {};
+    this.settings = { ...DEFAULTS, ...settings };
+
+    this.orchestrator = options.orchestrator || new QueryOrchestrator({
+      basePath: this.basePath,
+      workingDir: this.workingDir,
+      tokenBudget: {
+        total: this.settings.maxTokens,
+        perSource: this.settings.maxTokens,
+      },
+      // Only the local adapters are queried, but keep the MCP ones off entirely
+      adapterConfig: {
+        episodicMemory: { enabled: false },
+        knowledgeGraph: { enabled: false },
+        vector: { mode: this.settings.searchMode },
+      },
+    });
+
+    this.formatter = new InjectionFormatter({
+      format: this.settings.format,
+      includeSourceInfo: true,
+      includeRelevance: true,
+    });
+
+    this.ledger = new InjectionLedger({ basePath: this.basePath });
+  }
+
+  /**
+   * Execute the hook for one prompt
+   * @param {Object} input - Hook input from Claude Code
+   * @param {string} [input.prompt] - The submitted prompt
+   * @param {string} [input.session_id] - Claude Code session id
+   * @returns {Promise<Object>}
+   */
+  async execute(input = {}) {
+    const startTime = Date.now();
+
+    if (this.settings.enabled === false) {
+      return { success: true, enabled: false, injection: '', stats: { reason: 'UserPromptSubmit disabled' } };
+    }
+
+    const prompt = (input.prompt || '').trim();
+    const sessionId = input.session_id || process.env.CORTEX_SESSION_ID || null;
+
+    // Slash commands and one-word replies ("yes", "continue") carry no topic
+    if (prompt.length < this.settings.minPromptLength || prompt.startsWith('/')) {
+      return {
+        success: true,
+        enabled: true,
+        injection: '',
+        stats: { reason: 'Prompt too short', duration: Date.now() - startTime },
+      };
+    }
+
+    try {
+      const alreadyInjected = this.ledger.getInjectedIds(sessionId);
+
+      const queryResult = await this.orchestrator.query({
+        prompt,
+        adapters: LOCAL_ADAPTERS,
+        useSemantic: false,
+        rerank: false,
+        timeoutMs: this.settings.timeoutMs,
+      });
+
+      const memories = queryResult.memories
+        .filter(memory => !alreadyInjected.has(memory.id))
+        .filter(memory => this._isRelevant(memory, queryResult.context))
+        .slice(0, this.settings.maxMemories);
+
+      const stats = {
+        duration: Date.now() - startTime,
+        memoriesQueried: queryResult.stats.totalQueried,
+        memoriesSelected: memories.length,
+        skippedAlreadyInjected: queryResult.memories.filter(m => alreadyInjected.has(m.id)).length,
+        // Rough estimation: ~4 characters per token
+        estimatedTokens: memories.reduce(
+          (sum, m) => sum + Math.ceil((m.summary || m.content || '').length / 4), 0),
+        byAdapter: queryResult.stats.byAdapter,
+      };
+
+      if (memories.length === 0) {
+        return { success: true, enabled: true, injection: '', stats };
+      }
+
+      try {
+        this.ledger.record(sessionId, HOOK_EVENT, memories, { format: this.settings.format });
+      } catch (error) {
+        // Re-injecting later is better than dropping this injection
+        console.error('[UserPromptSubmit] Ledger write failed:', error.message);
+      }
+
+      return {
+        success: true,
+        enabled: true,
+        injection: this.formatter.formatMemories(memories, queryResult.context, stats),
+        memoryIds: memories.map(memory => memory.id),
+        stats,
+      };
+    } catch (error) {
+      console.error('[UserPromptSubmit] Execution failed:', error.message);
+
+      return {
+        success: false,
+        error: error.message,
+        injection: '',
+        stats: { duration: Date.now() - startTime },
+      };
+    }
+  }
+
+  /**
+   * Whether a memory is about this prompt rather than just this project.
+   * Vector results were retrieved by the prompt itself; tier records and
+   * local files come back wholesale and must share at least one prompt keyword.
+   * @param {Object} memory
+   * @param {Object} context
+   * @returns {boolean}
+   */
+  _isRelevant(memory, context) {
+    if ((memory.relevanceScore || 0) < this.settings.minRelevance) {
+      return false;
+    }
+    if (memory._source === 'vector') {
+      return true;
+    }
+
+    const text = `${memory.content || ''} ${memory.summary || ''}`.toLowerCase();
+    return (context._promptKeywords || []).some(keyword => text.includes(keyword));
+  }
+
+  /**
+   * Read hook input from stdin
+   * @returns {Promise<Object>}
+   */
+  _readStdin() {
+    return new Promise((resolve) => {
+      // Don't block if stdin is not piped
+      if (process.stdin.isTTY) {
+        resolve({});
+        return;
+      }
+
+      let data = '';
+      const parse = () => {
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch {
+          resolve({});
+        }
+      };
+      // Fast timeout — the user is waiting on this prompt
+      const timeout = setTimeout(parse, 200);
+
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', chunk => {
+        data += chunk;
+      });
+      process.stdin.on('end', () => {
+        clearTimeout(timeout);
+        parse();
+      });
+      process.stdin.on('error', () => {
+        clearTimeout(timeout);
+        resolve({});
+      });
+    });
+  }
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+async function main() {
+  if (!checkHookEncryption(HOOK_EVENT)) {
+    console.log(JSON.stringify({
+      hookSpecificOutput: { hookEventName: HOOK_EVENT, additionalContext: '' },
+      _cortex: { success: false, enabled: true, error: 'Encrypted memory store unavailable' },
+    }));
+    process.exit(0);
+  }
+
+  const hook = new UserPromptSubmitHook();
+  const input = await hook._readStdin();
+  const result = await hook.execute(input);
+
+  console.log(JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: HOOK_EVENT,
+      additionalContext: result.injection || '',
+    },
+    // Include Cortex-specific metadata for debugging (not used by Claude Code)
+    _cortex: {
+      success: result.success,
+      enabled: result.enabled,
+      stats: result.stats,
+    },
+  }));
+
+  // Timed-out adapters (e.g. a cold embedding model) may still be loading;
+  // don't let them hold the prompt hostage
+  process.exit(0);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.log(JSON.stringify({
+      success: false,
+      error: error.message,
+    }));
+    process.exit(0); // Exit cleanly even on error
+  });
+}
+
+// Export for testing
+module.exports = { UserPromptSubmitHook, LOCAL_ADAPTERS };
@@ -15,6 +15,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { MemoryStore, toIsoTimestamp } = require('../core/memory-store.cjs');
 
 // =============================================================================
 // WIP DETECTOR
@@ -30,7 +31,6 @@ class WIPDetector {
     this.basePath = options.basePath || path.join(process.env.HOME, '.claude', 'memory');
     this.workingDir = options.workingDir || process.cwd();
     this.plansDir = path.join(this.basePath, 'docs', 'plans');
-    this.memoriesDir = path.join(this.basePath, 'data', 'memories');
   }
 
   /**
@@ -250,42 +250,39 @@ class WIPDetector {
       /will implement/i,
     ];
 
-    try {
-      const memoriesFile = path.join(this.memoriesDir, 'working.jsonl');
-      if (!fs.existsSync(memoriesFile)) {
-        return items;
-      }
+    const dbPath = path.join(this.basePath, 'data', 'memories.db');
+    if (!fs.existsSync(dbPath)) {
+      return items;
+    }
 
-      const content = fs.readFileSync(memoriesFile, 'utf-8');
-      const lines = content.split('\n').filter(l => l.trim());
-
-      // Check last 10 memories
-      for (const line of lines.slice(-10)) {
-        try {
-          const memory = JSON.parse(line);
-          const text = memory.content || '';
-
-          for (const pattern of wipPatterns) {
-            if (pattern.test(text)) {
-              // Extract the relevant part
-              const match = text.match(new RegExp(`(${pattern.source}[^.\\n]{0,100})`, 'i'));
-              if (match) {
-                items.push({
-                  type: 'memory',
-                  source: 'recent memory',
-                  content: match[1].trim(),
-                  timestamp: memory.sourceTimestamp,
-                });
-              }
-              break;
+    const store = new MemoryStore({ dbPath });
+    try {
+      await store.initialize();
+
+      // Check last 10 working memories
+      for (const memory of store.query({ tier: 'working', limit: 10 })) {
+        const text = memory.content || '';
+
+        for (const pattern of wipPatterns) {
+          if (pattern.test(text)) {
+            // Extract the relevant part
+            const match = text.match(new RegExp(`(${pattern.source}[^.\\n]{0,100})`, 'i'));
+            if (match) {
+              items.push({
+                type: 'memory',
+                source: 'recent memory',
+                content: match[1].trim(),
+                timestamp: toIsoTimestamp(memory.created_at),
+              });
             }
+            break;
           }
-        } catch {
-          // Skip malformed lines
         }
       }
     } catch (error) {
-      // Ignore memory file errors
+      // Ignore memory store errors
+    } finally {
+      store.close();
     }
 
     return items;
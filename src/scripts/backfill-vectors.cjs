@@ -2,17 +2,27 @@
 /**
  * Cortex - JSONL to Vector Index Backfill Script
  *
- * Reads memories from JSONL files and populates:
+ * Reads memories from the remaining JSONL files (learnings, insights) and
+ * populates:
  * 1. SQLite database (MemoryStore)
  * 2. HNSW vector index (VectorIndex)
  *
+ * Tier memories (working / short-term / long-term) already live in the
+ * MemoryStore; rows without an embedding are embedded by the model check.
+ * Legacy JSONL tier files are imported with `cmo import-tiers`, not here.
+ *
+ * When the configured embedding model differs from the one stored
+ * memories (or the index) were embedded with, those memories are
+ * re-embedded and the HNSW index is rebuilt.
+ *
  * Usage:
  *   npm run backfill              # Run backfill
  *   npm run backfill:dry          # Preview without changes
  *   node scripts/backfill-vectors.cjs --force   # Regenerate all embeddings
  *   node scripts/backfill-vectors.cjs --dry-run # Preview mode
+ *   node scripts/backfill-vectors.cjs --model Xenova/bge-small-en-v1.5
  *
- * @version 1.0.0
+ * @version 1.2.0
  */
 
 'use strict';
@@ -20,19 +30,19 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { expandPath } = require('../core/types.cjs');
+const { getStorageEncryption, parseLine } = require('../core/storage-encryption.cjs');
+const { TIER_FILES } = require('../core/jsonl-import.cjs');
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-const BASE_PATH = path.resolve(__dirname, '..');
+const BASE_PATH = expandPath('~/.claude/memory');
 const DATA_PATH = path.join(BASE_PATH, 'data');
 
-/** JSONL files to process in order of priority */
+/** JSONL files to process in order of priority (tiers are MemoryStore rows) */
 const JSONL_FILES = [
-  path.join(DATA_PATH, 'memories', 'working.jsonl'),
-  path.join(DATA_PATH, 'memories', 'short-term.jsonl'),
-  path.join(DATA_PATH, 'memories', 'long-term.jsonl'),
   path.join(DATA_PATH, 'memories', 'learnings.jsonl'),
   path.join(DATA_PATH, 'memories', 'insights.jsonl'),
 ];
@@ -53,11 +63,28 @@ const forceRegenerate = args.includes('--force') || args.includes('-f');
 const verbose = args.includes('--verbose') || args.includes('-v');
 const help = args.includes('--help') || args.includes('-h');
 
+/**
+ * Value following a flag (e.g. --model <id>)
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function getFlagValue(flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+const modelOverride = getFlagValue('--model');
+const dimensionOverride = Number(getFlagValue('--dimension')) || undefined;
+
 if (help) {
   console.log(`
 Cortex Vector Backfill Script
 
 Reads memories from JSONL files and populates the vector index with embeddings.
+Tier memories already in the memory store are embedded if they have no
+embedding yet; import legacy tier files first with: cmo import-tiers
+Memories embedded with a different model than the configured one are
+re-embedded and the vector index is rebuilt.
 
 Usage:
   node scripts/backfill-vectors.cjs [options]
@@ -67,13 +94,14 @@ Usage:
 Options:
   --dry-run, -n   Preview what would be done without making changes
   --force, -f     Regenerate all embeddings (even for existing records)
+                  and rebuild the vector index
+  --model <id>    Embedding model (default: CORTEX_EMBEDDING_MODEL, then the
+                  "embedding" config section, then all-MiniLM-L6-v2)
+  --dimension <n> Vector dimension for models not in the built-in registry
   --verbose, -v   Show detailed progress
   --help, -h      Show this help message
 
 JSONL Files Processed:
-  - data/memories/working.jsonl
-  - data/memories/short-term.jsonl
-  - data/memories/long-term.jsonl
   - data/memories/learnings.jsonl
   - data/memories/insights.jsonl
 `);
@@ -93,6 +121,8 @@ const stats = {
   newlyEmbedded: 0,
   insertedToSqlite: 0,
   addedToVector: 0,
+  reembedded: 0,
+  indexRebuilt: false,
   filesProcessed: 0,
   startTime: null,
   endTime: null,
@@ -133,6 +163,7 @@ async function readJsonlFile(filePath) {
     });
 
     let lineNumber = 0;
+    const encryption = getStorageEncryption();
 
     rl.on('line', (line) => {
       lineNumber++;
@@ -140,7 +171,7 @@ async function readJsonlFile(filePath) {
       if (!trimmed) return; // Skip empty lines
 
       try {
-        const record = JSON.parse(trimmed);
+        const record = parseLine(trimmed, encryption);
         records.push(record);
       } catch (err) {
         if (verbose) {
@@ -163,9 +194,6 @@ async function readJsonlFile(filePath) {
 function getSourceFromFile(filePath) {
   const basename = path.basename(filePath, '.jsonl');
   const sourceMap = {
-    'working': 'jsonl',
-    'short-term': 'jsonl',
-    'long-term': 'jsonl',
     'learnings': 'jsonl',
     'insights': 'jsonl',
   };
@@ -217,21 +245,14 @@ async function runBackfill() {
   console.log('');
 
   // Lazy-load heavy modules only when needed
-  let VectorSearchProvider, Embedder, MemoryStore, VectorIndex;
+  let getSharedEmbedder, MemoryStore, VectorIndex, backfillEmbeddings;
 
   if (!dryRun) {
     console.log('Loading modules...');
-    const vspModule = require('../core/vector-search-provider.cjs');
-    VectorSearchProvider = vspModule.VectorSearchProvider;
-
-    const embedderModule = require('../core/embedder.cjs');
-    Embedder = embedderModule.Embedder;
-
-    const memoryStoreModule = require('../core/memory-store.cjs');
-    MemoryStore = memoryStoreModule.MemoryStore;
-
-    const vectorIndexModule = require('../core/vector-index.cjs');
-    VectorIndex = vectorIndexModule.VectorIndex;
+    ({ getSharedEmbedder } = require('../core/embedder-provider.cjs'));
+    ({ MemoryStore } = require('../core/memory-store.cjs'));
+    ({ VectorIndex } = require('../core/vector-index.cjs'));
+    ({ backfillEmbeddings } = require('../core/embedding-backfill.cjs'));
     console.log('Modules loaded.');
     console.log('');
   }
@@ -267,12 +288,13 @@ async function runBackfill() {
   stats.totalFound = allRecords.length;
   console.log('');
   console.log(`  Total records found: ${stats.totalFound}`);
-  console.log('');
 
-  if (stats.totalFound === 0) {
-    console.log('No records to process. Exiting.');
-    return;
+  const legacyTiers = TIER_FILES.filter(spec => fs.existsSync(path.join(BASE_PATH, spec.file)));
+  if (legacyTiers.length > 0) {
+    console.log(`  [WARN] Legacy tier files not imported: ${legacyTiers.map(spec => spec.file).join(', ')}`);
+    console.log('         Run: cmo import-tiers');
   }
+  console.log('');
 
   // Dry run: show what would be done and exit
   if (dryRun) {
@@ -288,23 +310,33 @@ async function runBackfill() {
       bySource[sourceFile] = (bySource[sourceFile] || 0) + 1;
     }
 
-    console.log('');
-    console.log('  Records by type:');
-    for (const [type, count] of Object.entries(byType).sort((a, b) => b[1] - a[1])) {
-      console.log(`    ${type}: ${count}`);
-    }
+    if (stats.totalFound > 0) {
+      console.log('');
+      console.log('  Records by type:');
+      for (const [type, count] of Object.entries(byType).sort((a, b) => b[1] - a[1])) {
+        console.log(`    ${type}: ${count}`);
+      }
 
-    console.log('');
-    console.log('  Records by source file:');
-    for (const [file, count] of Object.entries(bySource)) {
-      console.log(`    ${file}: ${count}`);
+      console.log('');
+      console.log('  Records by source file:');
+      for (const [file, count] of Object.entries(bySource)) {
+        console.log(`    ${file}: ${count}`);
+      }
     }
 
+    const modelCheck = await previewModelCheck();
+
     console.log('');
     console.log('  Would process:');
     console.log(`    - Insert ${stats.totalFound} records into SQLite`);
     console.log(`    - Generate ${stats.totalFound} embeddings`);
     console.log(`    - Add ${stats.totalFound} vectors to HNSW index`);
+    if (modelCheck.stale > 0) {
+      console.log(`    - Re-embed ${modelCheck.stale} memories with ${modelCheck.model}`);
+    }
+    if (modelCheck.rebuild || forceRegenerate) {
+      console.log('    - Rebuild the HNSW index from SQLite');
+    }
     console.log('');
     console.log('Run without --dry-run to execute backfill.');
     return;
@@ -314,6 +346,12 @@ async function runBackfill() {
   console.log('Phase 2: Initializing components');
   console.log('-'.repeat(40));
 
+  const embedder = getSharedEmbedder({
+    verbose: true,
+    model: modelOverride,
+    dimension: dimensionOverride,
+  });
+
   const memoryStore = new MemoryStore({
     dbPath: path.join(DATA_PATH, 'memories.db'),
   });
@@ -321,32 +359,34 @@ async function runBackfill() {
   const vectorIndex = new VectorIndex({
     indexPath: path.join(DATA_PATH, 'vector', 'index.bin'),
     mappingPath: path.join(DATA_PATH, 'vector', 'mapping.json'),
+    dimension: embedder.getDimension(),
+    model: embedder.modelId,
   });
 
-  const embedder = new Embedder({ verbose: true });
+  console.log(`  Embedding model: ${embedder.modelId} (${embedder.getDimension()} dimensions)`);
 
   process.stdout.write('  Initializing MemoryStore... ');
   await memoryStore.initialize();
   console.log('done');
 
   process.stdout.write('  Initializing VectorIndex... ');
-  await vectorIndex.initialize();
-  console.log('done');
+  const indexResult = await vectorIndex.initialize();
+  console.log(indexResult.rebuildRequired
+    ? `built with ${indexResult.previous.model} (${indexResult.previous.dimension}d), will rebuild`
+    : 'done');
 
   process.stdout.write('  Preloading embedding model... ');
   await embedder.preload();
   console.log('done');
   console.log('');
 
-  // Get existing IDs if not forcing
+  // Existing IDs are skipped unless forcing, and updated in place when forcing
   const existingIds = new Set();
-  if (!forceRegenerate) {
-    const existingRecords = memoryStore.query({ limit: 100000, status: 'active' });
-    for (const rec of existingRecords) {
-      existingIds.add(rec.id);
-    }
-    console.log(`  Found ${existingIds.size} existing records in SQLite`);
+  const existingRecords = memoryStore.query({ limit: 100000, status: 'active' });
+  for (const rec of existingRecords) {
+    existingIds.add(rec.id);
   }
+  console.log(`  Found ${existingIds.size} existing records in SQLite`);
 
   // Phase 3: Process records
   console.log('');
@@ -354,8 +394,6 @@ async function runBackfill() {
   console.log('-'.repeat(40));
   console.log('');
 
-  let batchCount = 0;
-
   for (let i = 0; i < allRecords.length; i++) {
     const { record, sourceFile } = allRecords[i];
     const recordId = record.id;
@@ -383,12 +421,13 @@ async function runBackfill() {
       // Insert/update in SQLite
       if (existingIds.has(recordId)) {
         // Update existing
-        memoryStore.setEmbedding(recordId, embedding);
+        memoryStore.setEmbedding(recordId, embedding, embedder.modelId);
       } else {
         // Insert new
         await memoryStore.insert({
           ...record,
           embedding,
+          embedding_model: embedder.modelId,
         });
         stats.insertedToSqlite++;
       }
@@ -416,9 +455,37 @@ async function runBackfill() {
   // Clear progress line
   process.stdout.write('\r' + ' '.repeat(80) + '\r');
 
-  // Phase 4: Save indices
+  // Phase 4: Re-embed memories from other models and rebuild the index if needed
+  console.log('');
+  console.log('Phase 4: Embedding model check');
+  console.log('-'.repeat(40));
+
+  const modelResult = await backfillEmbeddings({ memoryStore, vectorIndex, embedder }, {
+    batchSize: BATCH_SIZE,
+    rebuild: forceRegenerate,
+    onProgress: ({ processed }) => {
+      process.stdout.write(`\r  Re-embedded: ${processed}`);
+    },
+  });
+  process.stdout.write('\r' + ' '.repeat(80) + '\r');
+
+  stats.reembedded = modelResult.processed;
+  stats.indexRebuilt = modelResult.rebuilt;
+  stats.errors += modelResult.errors;
+
+  console.log(`  Re-embedded with ${embedder.modelId}: ${modelResult.processed}`);
+  if (modelResult.rebuilt) {
+    console.log(`  Rebuilt vector index: ${modelResult.indexed} vectors`);
+  }
+  if (verbose) {
+    for (const id of modelResult.failedIds) {
+      console.error(`  [ERROR] Could not re-embed ${id}`);
+    }
+  }
+
+  // Phase 5: Save indices
   console.log('');
-  console.log('Phase 4: Saving indices');
+  console.log('Phase 5: Saving indices');
   console.log('-'.repeat(40));
 
   process.stdout.write('  Saving VectorIndex... ');
@@ -444,6 +511,8 @@ async function runBackfill() {
   console.log(`    Newly embedded:         ${stats.newlyEmbedded}`);
   console.log(`    Inserted to SQLite:     ${stats.insertedToSqlite}`);
   console.log(`    Added to vector index:  ${stats.addedToVector}`);
+  console.log(`    Re-embedded (model):    ${stats.reembedded}`);
+  console.log(`    Index rebuilt:          ${stats.indexRebuilt ? 'yes' : 'no'}`);
   console.log(`    Skipped:                ${stats.skipped}`);
   console.log(`    Errors:                 ${stats.errors}`);
   console.log(`    Files processed:        ${stats.filesProcessed}`);
@@ -472,6 +541,54 @@ async function runBackfill() {
   console.log('');
 }
 
+/**
+ * Report the configured model against stored embeddings and the index
+ * without loading the model or changing anything
+ * @returns {Promise<{model: string, stale: number, rebuild: boolean}>}
+ */
+async function previewModelCheck() {
+  const { resolveEmbedderOptions } = require('../core/embedder-provider.cjs');
+  const { resolveModelSpec, DEFAULT_MODEL } = require('../core/embedder.cjs');
+  const { MemoryStore } = require('../core/memory-store.cjs');
+
+  const options = resolveEmbedderOptions({ model: modelOverride, dimension: dimensionOverride });
+  const spec = resolveModelSpec(options.model, { dimension: options.dimension });
+
+  console.log('');
+  console.log(`  Embedding model: ${spec.modelId} (${spec.dimension} dimensions)`);
+
+  let rebuild = false;
+  const mappingPath = path.join(DATA_PATH, 'vector', 'mapping.json');
+  if (fs.existsSync(mappingPath)) {
+    try {
+      const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+      const indexModel = mapping.model || DEFAULT_MODEL;
+      rebuild = indexModel !== spec.modelId || (mapping.dimension || spec.dimension) !== spec.dimension;
+      console.log(`  Vector index model: ${indexModel} (${mapping.dimension}d)`);
+    } catch {
+      console.log('  Vector index model: unreadable mapping');
+    }
+  }
+
+  const dbPath = path.join(DATA_PATH, 'memories.db');
+  if (!fs.existsSync(dbPath)) {
+    return { model: spec.modelId, stale: 0, rebuild };
+  }
+
+  const memoryStore = new MemoryStore({ dbPath });
+  await memoryStore.initialize();
+  const byModel = memoryStore.getEmbeddingModels();
+  const stale = memoryStore.getStaleEmbeddings(spec.modelId, Number.MAX_SAFE_INTEGER).length;
+  memoryStore.close();
+
+  console.log('  Stored embeddings by model:');
+  for (const [model, count] of Object.entries(byModel)) {
+    console.log(`    ${model}: ${count}`);
+  }
+
+  return { model: spec.modelId, stale, rebuild };
+}
+
 // =============================================================================
 // ENTRY POINT
 // =============================================================================
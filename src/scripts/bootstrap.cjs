@@ -4,18 +4,21 @@
  *
  * Initializes the Cortex system:
  * 1. Creates required directory structure
- * 2. Initializes empty JSONL storage files
+ * 2. Initializes the SQLite memory store (data/memories.db) and support files
  * 3. Tests connectivity to MCP servers
- * 4. Seeds initial data from CLAUDE.md files (optional)
+ * 4. Seeds long-term memories from CLAUDE.md files (optional)
  * 5. Reports system status
  *
+ * Memory tiers are rows of the MemoryStore; the JSONL tier files of older
+ * installs are not created any more (import them with `cmo import-tiers`).
+ *
  * Usage:
  *   node bootstrap.cjs                    # Run with defaults
  *   node bootstrap.cjs --seed             # Include CLAUDE.md seeding
  *   node bootstrap.cjs --test-mcp         # Test MCP server connectivity
  *   node bootstrap.cjs --verbose          # Verbose output
  *
- * @version 1.1.0
+ * @version 1.2.0
  */
 
 'use strict';
@@ -23,6 +26,7 @@
 const fs = require('fs');
 const path = require('path');
 const { expandPath } = require('../core/types.cjs');
+const { TIER_FILES } = require('../core/jsonl-import.cjs');
 
 // =============================================================================
 // CONFIGURATION
@@ -43,27 +47,10 @@ const REQUIRED_DIRECTORIES = [
   'tests',
 ];
 
+/** @const {string} SQLite memory store holding every tier */
+const MEMORY_DB_PATH = 'data/memories.db';
+
 const REQUIRED_FILES = [
-  {
-    path: 'data/memories/working.jsonl',
-    description: 'Working memory (recent, high-priority)',
-    initial: '',
-  },
-  {
-    path: 'data/memories/short-term.jsonl',
-    description: 'Short-term memory (7-day window)',
-    initial: '',
-  },
-  {
-    path: 'data/memories/long-term.jsonl',
-    description: 'Long-term memory (permanent)',
-    initial: '',
-  },
-  {
-    path: 'data/skills/index.jsonl',
-    description: 'Skill memory (extracted procedures)',
-    initial: '',
-  },
   {
     path: 'data/cache/query-cache.json',
     description: 'Query result cache',
@@ -283,6 +270,46 @@ function createFiles(options) {
   return result;
 }
 
+/**
+ * Create the SQLite memory store and report its tiers
+ * @param {Object} options
+ * @returns {Promise<Object>} Result with created flag and tier counts
+ */
+async function initializeMemoryStore(options) {
+  log('\n🗄️  Initializing memory store...', options.verbose, true);
+
+  const result = { created: false, counts: null, legacyFiles: [], error: null };
+  const dbPath = path.join(BASE_PATH, MEMORY_DB_PATH);
+
+  try {
+    const { MemoryStore } = require('../core/memory-store.cjs');
+    result.created = !fs.existsSync(dbPath);
+    const store = new MemoryStore({ dbPath });
+    await store.initialize();
+    try {
+      result.counts = store.getCountByTier();
+    } finally {
+      store.close();
+    }
+
+    const summary = Object.entries(result.counts).map(([tier, count]) => `${tier}: ${count}`).join(', ');
+    printStatus(MEMORY_DB_PATH, 'ok', `(${result.created ? 'created' : 'exists'}) - ${summary}`);
+  } catch (error) {
+    result.error = error.message;
+    printStatus(MEMORY_DB_PATH, 'error', `(${error.message})`);
+  }
+
+  result.legacyFiles = TIER_FILES
+    .map(spec => spec.file)
+    .filter(file => fs.existsSync(path.join(BASE_PATH, file)));
+  if (result.legacyFiles.length > 0) {
+    printStatus('Legacy JSONL tiers', 'warn', `(${result.legacyFiles.join(', ')})`);
+    printStatus('  → Import', 'info', 'cmo import-tiers');
+  }
+
+  return result;
+}
+
 /**
  * Test MCP server connectivity
  * @param {Object} options
@@ -350,20 +377,26 @@ async function seedFromClaudeMd(options) {
       result.parsed++;
       result.records = records.length;
 
-      // Write to long-term memory as seed
-      const longTermPath = path.join(BASE_PATH, 'data/memories/long-term.jsonl');
-      const existing = fs.existsSync(longTermPath)
-        ? fs.readFileSync(longTermPath, 'utf-8').split('\n').filter(l => l.trim()).length
-        : 0;
-
-      if (existing === 0 || options.force) {
-        const lines = records.map(r => JSON.stringify(r));
-        fs.writeFileSync(longTermPath, lines.join('\n') + '\n', 'utf-8');
-        printStatus('CLAUDE.md parsing', 'ok', `(${records.length} records extracted)`);
-        printStatus('Long-term memory seed', 'ok', `(${records.length} records written)`);
-      } else {
-        printStatus('CLAUDE.md parsing', 'ok', `(${records.length} records found)`);
-        printStatus('Long-term memory seed', 'skip', `(${existing} existing records, use --force to override)`);
+      // Insert into the long-term tier of the memory store as seed
+      const { MemoryStore, recordToMemory } = require('../core/memory-store.cjs');
+      const store = new MemoryStore({ dbPath: path.join(BASE_PATH, MEMORY_DB_PATH) });
+      await store.initialize();
+      try {
+        const existing = store.count({ source: 'claudemd' });
+
+        if (existing === 0 || options.force) {
+          const memories = records
+            .filter(r => !r.id || !store.exists(r.id))
+            .map(r => ({ ...recordToMemory(r), source: 'claudemd', tier: 'long-term' }));
+          const batch = await store.insertBatch(memories);
+          printStatus('CLAUDE.md parsing', 'ok', `(${records.length} records extracted)`);
+          printStatus('Long-term memory seed', 'ok', `(${batch.inserted} records inserted)`);
+        } else {
+          printStatus('CLAUDE.md parsing', 'ok', `(${records.length} records found)`);
+          printStatus('Long-term memory seed', 'skip', `(${existing} existing records, use --force to add new ones)`);
+        }
+      } finally {
+        store.close();
       }
     } else {
       printStatus('CLAUDE.md parsing', 'warn', '(no records extracted)');
@@ -408,6 +441,13 @@ function printSummary(results) {
     console.log(`   ⚠ ${results.files.errors.length} errors`);
   }
 
+  // Memory store
+  if (results.store) {
+    console.log(results.store.error
+      ? `🗄️  Memory store: ⚠ ${results.store.error}`
+      : `🗄️  Memory store: ${results.store.created ? 'created' : 'existing'}, ${Object.values(results.store.counts).reduce((a, b) => a + b, 0)} memories`);
+  }
+
   // MCP
   if (results.mcp) {
     const mcpStatus = results.mcp.episodicMemory.available && results.mcp.knowledgeGraph.available
@@ -422,7 +462,7 @@ function printSummary(results) {
   }
 
   // Overall status
-  const hasErrors = results.dirs.errors.length > 0 || results.files.errors.length > 0;
+  const hasErrors = results.dirs.errors.length > 0 || results.files.errors.length > 0 || Boolean(results.store?.error);
   const hasCriticalDepFails = results.deps?.failed.length > 0;
   console.log('\n' + '─'.repeat(60));
 
@@ -464,6 +504,7 @@ async function main() {
   const results = {
     dirs: null,
     files: null,
+    store: null,
     mcp: null,
     seed: null,
   };
@@ -474,8 +515,9 @@ async function main() {
   // Step 2: Create directories
   results.dirs = createDirectories(options);
 
-  // Step 3: Create files
+  // Step 3: Create files and the memory store
   results.files = createFiles(options);
+  results.store = await initializeMemoryStore(options);
 
   // Step 4: Test MCP connectivity (if requested)
   if (options.testMcp) {
@@ -503,6 +545,7 @@ if (require.main === module) {
 module.exports = {
   createDirectories,
   createFiles,
+  initializeMemoryStore,
   testMcpConnectivity,
   seedFromClaudeMd,
   REQUIRED_DIRECTORIES,
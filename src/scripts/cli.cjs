@@ -8,6 +8,10 @@
  *   cmo bootstrap    - Initialize Cortex with optional seeding
  *   cmo install      - Install hooks
  *   cmo uninstall    - Uninstall hooks
+ *   cmo serve        - Run the MCP server (--transport http --port 3100)
+ *   cmo encrypt      - Encryption at rest (--migrate, --rotate-key)
+ *   cmo import-tiers - Import legacy JSONL tier files into the memory store
+ *   cmo eval         - Score retrieval (recall@k, MRR, nDCG) against a frozen snapshot
  *   cmo test         - Run tests
  *
  * @version 1.1.0
@@ -53,6 +57,11 @@ const commands = {
     require('./uninstall-hooks.cjs');
   },
 
+  serve: () => {
+    // server.cjs reads --transport/--port/--host from process.argv
+    require('../cortex/server.cjs');
+  },
+
   bootstrap: () => {
     const bootstrapArgs = subArgs.join(' ');
     const script = path.join(CORTEX_DIR, 'scripts', 'bootstrap.cjs');
@@ -75,14 +84,21 @@ Search memories across all sources (JSONL, CLAUDE.md, Episodic Memory, Knowledge
 Options:
   --type <type>     Filter by memory type (learning, pattern, preference, skill, correction)
   --source <src>    Filter by source (jsonl, claudemd, episodic-memory, knowledge-graph)
+  --filter <terms>  Filter terms (same syntax as inline terms, see below)
   --limit <n>       Maximum results (default: 20)
   --format <fmt>    Output format (table, json, plain) (default: table)
 
+Filter terms (inline or via --filter; filtered searches use the Cortex memory store):
+  type:<t>[,<t>]  tag:<tag>  source:<s>  -type: -tag: -source: (exclude)
+  project:current|global|all|<hash>  status:<s>
+  after:<date|7d>  before:<date|7d>  quality>0.7  confidence>=0.5  usage>3
+
 Examples:
   cmo search "git error"                    # Search all sources
   cmo search "docker" --type pattern        # Find docker patterns
   cmo search "fix" --source claudemd        # Search only CLAUDE.md
   cmo search "sync" --format json           # Output as JSON
+  cmo search "token refresh tag:auth -tag:deprecated 'quality>0.7'"
 `);
       return;
     }
@@ -93,15 +109,18 @@ Examples:
 
     try {
       const { QueryOrchestrator } = require('../hooks/query-orchestrator.cjs');
+      const { parseQueryFilters, mergeQueryFilters, formatQueryFilters } = require('../core/query-filters.cjs');
 
       // Parse options
       const typeIdx = subArgs.indexOf('--type');
       const sourceIdx = subArgs.indexOf('--source');
+      const filterIdx = subArgs.indexOf('--filter');
       const limitIdx = subArgs.indexOf('--limit');
       const formatIdx = subArgs.indexOf('--format');
 
       const type = typeIdx >= 0 ? subArgs[typeIdx + 1] : null;
       const source = sourceIdx >= 0 ? subArgs[sourceIdx + 1] : null;
+      const filter = filterIdx >= 0 ? subArgs[filterIdx + 1] : null;
       const limit = limitIdx >= 0 ? parseInt(subArgs[limitIdx + 1], 10) : 20;
       const format = formatIdx >= 0 ? subArgs[formatIdx + 1] : 'table';
 
@@ -116,6 +135,18 @@ Examples:
         .join(' ')
         .trim();
 
+      // Split filter terms (type:decision tag:auth ...) out of the query
+      const inline = parseQueryFilters(cleanQuery);
+      const filters = mergeQueryFilters(
+        inline.filters,
+        filter ? parseQueryFilters(filter, { strict: true }).filters : {}
+      );
+      const filterText = formatQueryFilters(filters);
+      if (filterText) {
+        console.log(`   Filters: ${filterText}`);
+        console.log();
+      }
+
       // Create orchestrator (without MCP caller - only local sources work in CLI)
       const orchestrator = new QueryOrchestrator({
         basePath: CORTEX_DIR,
@@ -132,10 +163,11 @@ Examples:
 
       // Execute query
       const result = await orchestrator.query({
-        prompt: cleanQuery,
+        prompt: inline.text,
         types: type ? [type] : null,
         adapters: source ? [source] : null,
         limit,
+        filters,
       });
 
       // Format output
@@ -195,6 +227,289 @@ Examples:
     }
   },
 
+  encrypt: async () => {
+    const migrate = subArgs.includes('--migrate');
+    const rotate = subArgs.includes('--rotate-key');
+
+    if (subArgs.includes('--help') || (migrate && rotate)) {
+      console.log(`
+Usage: cmo encrypt [--migrate | --rotate-key | --status]
+
+Encryption at rest for memory content (SQLite, JSONL tiers, annotations, neural nodes).
+The secret is read from the environment, never from the command line.
+
+Options:
+  --status       Show whether encryption is enabled and how many memories are encrypted (default)
+  --migrate      Encrypt existing data with CORTEX_ENCRYPTION_SECRET and enable encryption
+  --rotate-key   Re-encrypt everything from CORTEX_ENCRYPTION_SECRET to CORTEX_ENCRYPTION_NEW_SECRET
+
+Stop the MCP and API servers first. Repeat a command if it was interrupted.
+
+Examples:
+  CORTEX_ENCRYPTION_SECRET=... cmo encrypt --migrate
+  CORTEX_ENCRYPTION_SECRET=old CORTEX_ENCRYPTION_NEW_SECRET=new cmo encrypt --rotate-key
+`);
+      return;
+    }
+
+    try {
+      const { getConfigManager } = require('../core/config.cjs');
+      const { expandPath } = require('../core/types.cjs');
+      const { DEFAULT_KEY_FILE } = require('../core/storage-encryption.cjs');
+      const {
+        encryptExistingData,
+        rotateEncryptionKey,
+        getEncryptionCoverage,
+      } = require('../core/encryption-migration.cjs');
+
+      const config = getConfigManager();
+      const settings = config.get('encryption', {});
+      const keyFile = settings.keyFile || DEFAULT_KEY_FILE;
+      const printCounts = (result) => {
+        console.log(`   SQLite:     ${result.memories} memories, ${result.versions} versions`);
+        console.log(`   JSONL:      ${result.jsonlRecords} records in ${result.jsonlFiles} files`);
+        console.log(`   Neural:     ${result.neuralNodes} nodes`);
+      };
+
+      if (migrate) {
+        printHeader('🔐 Encrypt Memory Data');
+        const result = await encryptExistingData({
+          secret: process.env.CORTEX_ENCRYPTION_SECRET,
+          keyFile,
+        });
+        printCounts(result);
+
+        const saved = config.set('encryption.enabled', true, 'Enabled encryption at rest');
+        if (!saved.success) {
+          throw new Error(saved.error);
+        }
+        console.log();
+        console.log('✅ Encryption at rest enabled. Keep CORTEX_ENCRYPTION_SECRET set for every Cortex process.');
+        return;
+      }
+
+      if (rotate) {
+        printHeader('🔑 Rotate Encryption Key');
+        const result = await rotateEncryptionKey({
+          secret: process.env.CORTEX_ENCRYPTION_SECRET,
+          newSecret: process.env.CORTEX_ENCRYPTION_NEW_SECRET,
+          keyFile,
+        });
+        printCounts(result);
+        console.log();
+        console.log('✅ Key rotated. Set CORTEX_ENCRYPTION_SECRET to the new secret and restart Cortex processes.');
+        return;
+      }
+
+      printHeader('🔐 Encryption Status');
+      const coverage = await getEncryptionCoverage();
+      console.log(`   Enabled:    ${settings.enabled ? 'yes' : 'no'}`);
+      console.log(`   Key file:   ${keyFile}${fs.existsSync(expandPath(keyFile)) ? '' : ' (not created)'}`);
+      console.log(`   Secret:     ${process.env.CORTEX_ENCRYPTION_SECRET ? 'set' : 'not set'}`);
+      console.log(`   Memories:   ${coverage.encrypted} encrypted, ${coverage.plaintext} plaintext`);
+    } catch (error) {
+      console.error(`❌ ${error.message}${error.details ? `: ${error.details}` : ''}`);
+      process.exit(1);
+    }
+  },
+
+  'import-tiers': async () => {
+    if (subArgs.includes('--help')) {
+      console.log(`
+Usage: cmo import-tiers [--dry-run] [--keep]
+
+Imports the legacy JSONL tier files (working, short-term, long-term and
+skills) into the SQLite memory store, which now holds all memory tiers.
+Records already in the store are skipped, so the command can be repeated.
+
+Options:
+  --dry-run   Show what would be imported without writing anything
+  --keep      Leave the JSONL files in place (default: rename to *.imported)
+
+Examples:
+  cmo import-tiers --dry-run
+  cmo import-tiers
+`);
+      return;
+    }
+
+    try {
+      const { importJsonlTiers } = require('../core/jsonl-import.cjs');
+      const dryRun = subArgs.includes('--dry-run');
+
+      printHeader(dryRun ? '📥 Import JSONL Tiers (dry run)' : '📥 Import JSONL Tiers');
+      const { files, totals } = await importJsonlTiers({
+        dryRun,
+        archive: !subArgs.includes('--keep'),
+      });
+
+      if (files.length === 0) {
+        console.log('   No legacy JSONL tier files found. Nothing to import.');
+        return;
+      }
+
+      for (const file of files) {
+        const skipped = file.existing + file.deleted + file.invalid;
+        const archived = file.archivedTo ? ` -> ${file.archivedTo}` : '';
+        console.log(`   ${file.file.padEnd(32)} ${String(file.imported).padStart(6)} ${dryRun ? 'to import' : 'imported'}` +
+          `, ${skipped} skipped (${file.tier})${archived}`);
+        if (file.failed > 0) {
+          console.log(`   ${''.padEnd(32)} ${file.failed} failed, file kept`);
+        }
+      }
+      console.log();
+      console.log(`${totals.failed > 0 ? '⚠️' : '✅'} ${totals.imported} of ${totals.found} records ` +
+        `${dryRun ? 'would be imported' : 'imported'} (${totals.existing} already present, ${totals.deleted} deleted, ${totals.invalid} invalid)`);
+      if (totals.failed > 0) process.exit(1);
+    } catch (error) {
+      console.error(`❌ Import failed: ${error.message}${error.details ? `: ${error.details}` : ''}`);
+      process.exit(1);
+    }
+  },
+
+  eval: async () => {
+    const defaultFixtures = path.join(CORTEX_DIR, 'data', 'eval', 'fixtures.json');
+    const defaultSnapshot = path.join(CORTEX_DIR, 'data', 'eval', 'snapshot');
+
+    if (subArgs.includes('--help')) {
+      console.log(`
+Usage: cmo eval [fixtures.json] [options]
+       cmo eval snapshot [dir]
+
+Measures retrieval quality on a fixed set of cases. Each case is a prompt,
+a project hash (or null) and the memory ids it should retrieve. The cases
+are replayed through QueryOrchestrator.query and HybridSearch.search
+against a frozen snapshot of the memory store, and scored with recall@k,
+MRR and nDCG@k. Results are diffed against the last saved baseline.
+
+Fixture file (default: ${defaultFixtures}):
+  { "snapshot": "./snapshot", "k": [1, 5, 10],
+    "cases": [{ "id": "...", "prompt": "...", "project": null, "expected": ["mem_..."] }] }
+
+Options:
+  --snapshot <dir>      Snapshot to evaluate against (default: the fixture's "snapshot")
+  --k <list>            Rank cutoffs, e.g. 1,3,10 (default: the fixture's, else 1,5,10)
+  --runner <name>       Only run orchestrator or hybrid (default: both)
+  --mode <mode>         HybridSearch mode: hybrid, bm25, vector (default: hybrid)
+  --adapters <list>     Orchestrator adapters (default: jsonl,vector)
+  --budget <tokens>     Orchestrator total token budget (default: 2000)
+  --baseline <file>     Baseline to diff against (default: <fixtures>.baseline.json)
+  --save-baseline       Save this run as the new baseline
+  --fail-on-regression  Exit with code 1 when a metric dropped below the baseline
+  --format <fmt>        Output format (table, json) (default: table)
+
+The snapshot subcommand freezes the current memory store, vector index and
+JSONL files into a directory (default: ${defaultSnapshot}).
+
+Examples:
+  cmo eval snapshot                          # Freeze the current memories
+  cmo eval --save-baseline                   # Score and record the baseline
+  cmo eval --mode bm25 --runner hybrid       # Keyword search only (no embedding model)
+  cmo eval cases.json --fail-on-regression   # Gate a ranking change in CI
+`);
+      return;
+    }
+
+    const valueFlags = ['--snapshot', '--k', '--runner', '--mode', '--adapters', '--budget', '--baseline', '--format'];
+    const option = (name) => {
+      const index = subArgs.indexOf(name);
+      return index >= 0 ? subArgs[index + 1] : null;
+    };
+    const positional = subArgs.filter((arg, i) => !arg.startsWith('--') && !valueFlags.includes(subArgs[i - 1]));
+
+    try {
+      const {
+        RetrievalEvaluator,
+        loadFixtures,
+        createSnapshot,
+        defaultBaselinePath,
+        saveBaseline,
+        loadBaseline,
+        diffReports,
+      } = require('../core/retrieval-eval.cjs');
+
+      if (positional[0] === 'snapshot') {
+        const outDir = positional[1] || defaultSnapshot;
+        printHeader('📸 Eval Snapshot');
+        const manifest = await createSnapshot({ basePath: CORTEX_DIR, outDir });
+        console.log(`   Directory: ${path.resolve(outDir)}`);
+        console.log(`   Memories:  ${manifest.memoryCount}`);
+        console.log(`   Files:     ${manifest.files.join(', ')}`);
+        console.log();
+        console.log(`✅ Snapshot taken at ${manifest.createdAt}. Reference it as "snapshot" in your fixture file.`);
+        return;
+      }
+
+      const fixturesPath = positional[0] || defaultFixtures;
+      const fixtures = loadFixtures(fixturesPath);
+      const k = option('--k');
+      const budget = option('--budget');
+      const evaluator = new RetrievalEvaluator({
+        fixtures,
+        snapshot: option('--snapshot') || undefined,
+        k: k ? k.split(',').map(n => parseInt(n, 10)) : undefined,
+        runners: option('--runner') ? [option('--runner')] : undefined,
+        mode: option('--mode') || undefined,
+        adapters: option('--adapters') ? option('--adapters').split(',') : undefined,
+        tokenBudget: budget ? { total: parseInt(budget, 10) } : undefined,
+      });
+
+      const baselinePath = option('--baseline') || defaultBaselinePath(fixtures.path);
+      const report = await evaluator.run();
+      const baseline = loadBaseline(baselinePath);
+      const diff = baseline ? diffReports(report, baseline) : null;
+      const failed = Object.entries(report.runners).filter(([, run]) => run.error);
+
+      if (option('--format') === 'json') {
+        console.log(JSON.stringify({ report, diff }, null, 2));
+      } else {
+        printHeader('📏 Retrieval Evaluation');
+        const { snapshot } = report;
+        console.log(`   Fixtures: ${fixtures.path} (${fixtures.cases.length} cases)`);
+        console.log(`   Snapshot: ${snapshot.path}` +
+          (snapshot.createdAt ? ` (${snapshot.createdAt}, ${snapshot.memoryCount} memories)` : ''));
+        console.log(`   Baseline: ${baseline ? `${baselinePath} (${baseline.createdAt})` : 'none saved yet'}`);
+        console.log();
+
+        for (const [name, run] of Object.entries(report.runners)) {
+          const label = name === 'hybrid' ? `hybrid (${report.settings.mode})` : `orchestrator (${report.settings.adapters.join(', ')})`;
+          console.log(`┌─ ${label} ─────────────────────────────────`);
+          if (run.error) {
+            console.log(`│ ❌ ${run.error}`);
+          } else {
+            const changes = diff?.runners[name];
+            for (const [metric, value] of Object.entries(run.metrics)) {
+              const delta = changes?.metrics[metric]?.delta;
+              const shown = delta === undefined ? '' : `  (${delta >= 0 ? '+' : ''}${delta.toFixed(4)})`;
+              console.log(`│ ${metric.padEnd(10)} ${value.toFixed(4)}${shown}`);
+            }
+            for (const change of changes?.regressions || []) {
+              console.log(`│ ⚠️  ${change.id}: ${change.metric} ${change.baseline.toFixed(4)} → ${change.current.toFixed(4)}`);
+            }
+            const misses = run.cases.filter(c => c.missing.length > 0).length;
+            console.log(`│ ${misses} of ${run.cases.length} cases missed an expected memory in the top ${Math.max(...report.k)}`);
+          }
+          console.log('└' + '─'.repeat(50));
+          console.log();
+        }
+      }
+
+      if (subArgs.includes('--save-baseline')) {
+        if (failed.length > 0) {
+          throw new Error(`Baseline not saved: ${failed.map(([name]) => name).join(', ')} failed`);
+        }
+        saveBaseline(report, baselinePath);
+        if (option('--format') !== 'json') console.log(`✅ Baseline saved to ${baselinePath}`);
+      }
+      if (failed.length > 0 || (subArgs.includes('--fail-on-regression') && diff?.regressed)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(`❌ Eval failed: ${error.message}`);
+      process.exit(1);
+    }
+  },
+
   test: () => {
     console.log('Running Cortex tests...\n');
     try {
@@ -244,6 +559,10 @@ Commands:
   bootstrap     Initialize Cortex (--seed to populate from CLAUDE.md)
   install       Register Cortex hooks in Claude Code settings
   uninstall     Remove Cortex hooks from Claude Code settings
+  serve         Run the MCP server (--transport stdio|http, --port, --host)
+  encrypt       Encryption at rest (--status, --migrate, --rotate-key)
+  import-tiers  Import legacy JSONL tier files into the memory store (--dry-run, --keep)
+  eval          Score retrieval against a frozen snapshot (snapshot, --save-baseline)
   test          Run all tests
   help          Show this help message
 
@@ -253,9 +572,14 @@ Examples:
   cmo search "fix" --type pattern # Search patterns about fixes
   cmo bootstrap --seed            # Initialize with CLAUDE.md data
   cmo adapters                    # List memory adapters
+  cmo serve --transport http      # Share one MCP server at http://127.0.0.1:3100/mcp
+  cmo encrypt --migrate           # Encrypt existing memories (needs CORTEX_ENCRYPTION_SECRET)
+  cmo import-tiers --dry-run      # Preview moving JSONL tiers into SQLite
+  cmo eval --save-baseline        # Score retrieval and record the baseline
 
 Memory Sources (v1.1.0):
-  • JSONL Local      - Working, short-term, long-term, skills
+  • Memory Store     - Working, short-term, long-term (SQLite tiers)
+  • JSONL Local      - Insights, learnings, project files
   • CLAUDE.md        - User-curated knowledge files
   • Episodic Memory  - Archived conversations (requires Claude Code)
   • Knowledge Graph  - Structured entities (requires Claude Code)
@@ -44,6 +44,23 @@ const sessionEndHook = {
     }]
 };
 
+const userPromptSubmitHook = {
+    hooks: [{
+        type: "command",
+        command: `node ${CORTEX_DIR}/hooks/user-prompt-submit.cjs`
+    }],
+    description: "Cortex: Inject memories relevant to each prompt"
+};
+
+const postToolUseHook = {
+    matcher: "Bash|Edit|MultiEdit|Write|NotebookEdit",
+    hooks: [{
+        type: "command",
+        command: `node ${CORTEX_DIR}/hooks/post-tool-use.cjs`
+    }],
+    description: "Cortex: Learn from failing commands and their fixes"
+};
+
 const preCompactHook = {
     matcher: "*",
     hooks: [{
@@ -82,6 +99,26 @@ settings.hooks.SessionEnd = settings.hooks.SessionEnd.filter(h =>
 );
 settings.hooks.SessionEnd.push(sessionEndHook);
 
+// Add/update UserPromptSubmit hooks
+if (!settings.hooks.UserPromptSubmit) {
+    settings.hooks.UserPromptSubmit = [];
+}
+// Remove any existing Cortex hooks first
+settings.hooks.UserPromptSubmit = settings.hooks.UserPromptSubmit.filter(h =>
+    !h.hooks?.some(hh => hh.command?.includes('memory/hooks/user-prompt-submit'))
+);
+settings.hooks.UserPromptSubmit.push(userPromptSubmitHook);
+
+// Add/update PostToolUse hooks
+if (!settings.hooks.PostToolUse) {
+    settings.hooks.PostToolUse = [];
+}
+// Remove any existing Cortex hooks first
+settings.hooks.PostToolUse = settings.hooks.PostToolUse.filter(h =>
+    !h.hooks?.some(hh => hh.command?.includes('memory/hooks/post-tool-use'))
+);
+settings.hooks.PostToolUse.push(postToolUseHook);
+
 // Add/update PreCompact hooks
 if (!settings.hooks.PreCompact) {
     settings.hooks.PreCompact = [];
@@ -107,6 +144,8 @@ fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2));
 
 console.log('✅ SessionStart hook registered');
 console.log('✅ SessionEnd hook registered');
+console.log('✅ UserPromptSubmit hook registered');
+console.log('✅ PostToolUse hook registered');
 console.log('✅ PreCompact hook registered');
 console.log('✅ Stop hook registered');
 console.log('');
@@ -58,9 +58,13 @@ async function showStatus() {
   try {
     const { getDiagnostics } = require('../core/api-key.cjs');
     const diag = getDiagnostics();
+    const { getConfigSection } = require('../core/config.cjs');
+    const local = getConfigSection('llm.local', {});
     if (diag.available) {
       console.log(ok(`Loaded from ${diag.source}`));
       console.log(`    Key: ${diag.keyPrefix}`);
+    } else if (local.enabled) {
+      console.log(ok(`Not needed: local LLM at ${local.baseUrl || 'http://localhost:11434/v1'}`));
     } else {
       console.log(fail('No API key found'));
       console.log(`    Add to ${diag.envFilePath}:`);
@@ -125,37 +129,37 @@ async function showStatus() {
   // ─── MEMORY STATS ──────────────────────────────────────────────────
   console.log(bold('  Memory Statistics'));
   try {
-    const memoriesDir = path.join(CORTEX_DIR, 'data', 'memories');
-    let totalMemories = 0;
-    let totalSize = 0;
-
-    if (fs.existsSync(memoriesDir)) {
-      const files = fs.readdirSync(memoriesDir).filter(f => f.endsWith('.jsonl'));
-      for (const file of files) {
-        const fullPath = path.join(memoriesDir, file);
-        const stat = fs.statSync(fullPath);
-        const content = fs.readFileSync(fullPath, 'utf8');
-        const lines = content.trim().split('\n').filter(l => l).length;
-        totalMemories += lines;
-        totalSize += stat.size;
-        console.log(`    ${file.padEnd(22)} ${String(lines).padStart(6)} records  ${formatBytes(stat.size).padStart(10)}`);
+    const dbPath = path.join(CORTEX_DIR, 'data', 'memories.db');
+
+    if (fs.existsSync(dbPath)) {
+      // Tiers are rows of the MemoryStore; counting needs no decryption key
+      const { MemoryStore } = require('../core/memory-store.cjs');
+      const store = new MemoryStore({ dbPath, encryption: null });
+      await store.initialize();
+      let counts;
+      try {
+        counts = store.getCountByTier();
+      } finally {
+        store.close();
       }
 
-      // Skills
-      const skillsPath = path.join(CORTEX_DIR, 'data', 'skills', 'index.jsonl');
-      if (fs.existsSync(skillsPath)) {
-        const skillContent = fs.readFileSync(skillsPath, 'utf8');
-        const skillLines = skillContent.trim().split('\n').filter(l => l).length;
-        const skillStat = fs.statSync(skillsPath);
-        totalMemories += skillLines;
-        totalSize += skillStat.size;
-        console.log(`    ${'skills/index.jsonl'.padEnd(22)} ${String(skillLines).padStart(6)} records  ${formatBytes(skillStat.size).padStart(10)}`);
+      let totalMemories = 0;
+      for (const [tier, count] of Object.entries(counts)) {
+        totalMemories += count;
+        console.log(`    ${tier.padEnd(22)} ${String(count).padStart(6)} records`);
       }
 
       console.log(`    ${'─'.repeat(44)}`);
-      console.log(`    ${'TOTAL'.padEnd(22)} ${String(totalMemories).padStart(6)} records  ${formatBytes(totalSize).padStart(10)}`);
+      console.log(`    ${'TOTAL'.padEnd(22)} ${String(totalMemories).padStart(6)} records  ${formatBytes(fs.statSync(dbPath).size).padStart(10)}`);
+
+      const { TIER_FILES } = require('../core/jsonl-import.cjs');
+      const legacy = TIER_FILES.filter(spec => fs.existsSync(path.join(CORTEX_DIR, spec.file)));
+      if (legacy.length > 0) {
+        console.log(warn(`Legacy JSONL tiers not imported: ${legacy.map(spec => spec.file).join(', ')}. Run: cmo import-tiers`));
+        issues++;
+      }
     } else {
-      console.log(warn('Memories directory not created. Run: node scripts/bootstrap.cjs'));
+      console.log(warn('Memory store not created. Run: node scripts/bootstrap.cjs'));
       issues++;
     }
   } catch (e) {
@@ -240,6 +244,29 @@ async function showStatus() {
   }
   console.log('');
 
+  // ─── API SPEND ──────────────────────────────────────────────────────
+  console.log(bold('  API Spend (UTC)'));
+  try {
+    const { createCostTracker } = require('../core/cost-tracker.cjs');
+    const report = createCostTracker({ basePath: CORTEX_DIR }).getReport();
+    const line = (label, totals, limit) => {
+      const budget = limit === null ? dim('no budget') : `of $${limit.toFixed(2)}`;
+      const tokens = formatNumber(totals.inputTokens + totals.outputTokens);
+      return `    ${label.padEnd(17)} $${totals.costUsd.toFixed(4)} ${budget}  ${dim(`${totals.calls} calls, ${tokens} tokens`)}`;
+    };
+    console.log(line('Today:', report.today, report.budgets.dailyUsd));
+    console.log(line('This month:', report.month, report.budgets.monthlyUsd));
+    for (const [model, totals] of Object.entries(report.byModel)) {
+      console.log(dim(`      ${model}: $${totals.costUsd.toFixed(4)} (${totals.calls} calls)`));
+    }
+    if (report.exceeded) {
+      console.log(warn(`${report.reason} — Haiku/Sonnet API calls paused, local search only`));
+    }
+  } catch (e) {
+    console.log(warn(`Could not read API spend: ${e.message}`));
+  }
+  console.log('');
+
   // ─── VERDICT ────────────────────────────────────────────────────────
   console.log('  ─'.repeat(24));
   if (issues === 0) {
@@ -61,6 +61,38 @@ if (settings.hooks.SessionEnd) {
     }
 }
 
+// Remove Cortex UserPromptSubmit hooks
+if (settings.hooks.UserPromptSubmit) {
+    const before = settings.hooks.UserPromptSubmit.length;
+    settings.hooks.UserPromptSubmit = settings.hooks.UserPromptSubmit.filter(h =>
+        !h.hooks?.some(hh => hh.command?.includes('memory/hooks/user-prompt-submit'))
+    );
+    const removed = before - settings.hooks.UserPromptSubmit.length;
+    if (removed > 0) {
+        console.log(`✅ Removed ${removed} UserPromptSubmit hook(s)`);
+    }
+    // Clean up empty array
+    if (settings.hooks.UserPromptSubmit.length === 0) {
+        delete settings.hooks.UserPromptSubmit;
+    }
+}
+
+// Remove Cortex PostToolUse hooks
+if (settings.hooks.PostToolUse) {
+    const before = settings.hooks.PostToolUse.length;
+    settings.hooks.PostToolUse = settings.hooks.PostToolUse.filter(h =>
+        !h.hooks?.some(hh => hh.command?.includes('memory/hooks/post-tool-use'))
+    );
+    const removed = before - settings.hooks.PostToolUse.length;
+    if (removed > 0) {
+        console.log(`✅ Removed ${removed} PostToolUse hook(s)`);
+    }
+    // Clean up empty array
+    if (settings.hooks.PostToolUse.length === 0) {
+        delete settings.hooks.PostToolUse;
+    }
+}
+
 // Clean up empty hooks object
 if (Object.keys(settings.hooks).length === 0) {
     delete settings.hooks;
@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const { createApiServer } = require('../src/cortex/api-server.cjs');
+const { ApiTokenStore, hasScope } = require('../src/core/api-tokens.cjs');
+const { MemoryChangeFeed } = require('../src/core/memory-events.cjs');
+const { CostTracker } = require('../src/core/cost-tracker.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-api-server-${Date.now()}`);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for the ONNX embedder (no model download)
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 0; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+async function createProvider() {
+  const provider = new VectorSearchProvider({ basePath: TEST_DIR });
+  const init = await provider.initialize();
+  assert.ok(init.success, init.error);
+  provider._embedder = fakeEmbedder;
+  provider._hybridSearch.embedder = fakeEmbedder;
+  return provider;
+}
+
+/** Token used by request() unless a test passes its own headers */
+let defaultToken = null;
+
+function request(port, method, urlPath, body, extraHeaders) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+    if (extraHeaders) {
+      Object.assign(headers, extraHeaders);
+    } else if (defaultToken) {
+      headers.Authorization = `Bearer ${defaultToken}`;
+    }
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers,
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Open an SSE stream and collect parsed messages
+ */
+function openEventStream(port, urlPath, headers) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.request({ host: '127.0.0.1', port, method: 'GET', path: urlPath, headers }, res => {
+      let buffer = '';
+      res.on('data', chunk => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const message = {};
+          for (const line of block.split('\n')) {
+            const [, field, value] = line.match(/^(\w+): ?(.*)$/) || [];
+            if (field) message[field] = value;
+          }
+          if (message.data) events.push({ id: Number(message.id), event: message.event, data: JSON.parse(message.data) });
+        }
+      });
+      resolve({ status: res.statusCode, headers: res.headers, events, close: () => req.destroy() });
+    });
+    req.on('error', error => { if (error.code !== 'ECONNRESET') reject(error); });
+    req.end();
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  const provider = await createProvider();
+  const tokenStore = new ApiTokenStore({ tokensPath: path.join(TEST_DIR, 'api-tokens.json') });
+  const auditEvents = [];
+  const auditLogger = { apiRequest: event => auditEvents.push(event) };
+
+  const adminToken = tokenStore.mint({ name: 'admin', scopes: ['admin'] }).token;
+  const readToken = tokenStore.mint({ name: 'dashboard', scopes: ['read'] }).token;
+  const writeToken = tokenStore.mint({ name: 'agent', scopes: ['write'] }).token;
+  defaultToken = adminToken;
+
+  const server = createApiServer({
+    provider,
+    tokenStore,
+    allowedOrigins: ['app://obsidian.md'],
+    auditLogger,
+    changeFeed: new MemoryChangeFeed({ memoryStore: provider._memoryStore, pollIntervalMs: 50 }),
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  console.log('\n🌐 Testing: HTTP API Bridge');
+
+  let createdId;
+
+  await test('serves an OpenAPI document listing CRUD routes', async () => {
+    const res = await request(port, 'GET', '/api/openapi.json');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.openapi, '3.0.3');
+    assert.ok(res.body.paths['/api/memories'].post);
+    assert.ok(res.body.paths['/api/memories/{id}'].patch);
+    assert.ok(res.body.paths['/api/memories/{id}'].delete);
+    assert.ok(res.body.paths['/api/memories/{id}/invalidate'].post);
+    assert.ok(res.body.paths['/api/memories/{id}/versions/{version}/restore'].post);
+  });
+
+  await test('creates a memory with POST /api/memories', async () => {
+    const res = await request(port, 'POST', '/api/memories', {
+      content: 'Always run migrations before deploying the API',
+      memory_type: 'procedure',
+      tags: ['deploy', 'db'],
+      project_hash: 'proj-a',
+    });
+    assert.strictEqual(res.status, 201);
+    assert.ok(res.body.id.startsWith('mem_'));
+    assert.strictEqual(res.body.memory_type, 'procedure');
+    assert.strictEqual(res.body.source, 'user');
+    assert.deepStrictEqual(res.body.tags, ['deploy', 'db']);
+    createdId = res.body.id;
+  });
+
+  await test('rejects invalid memory_type with a CortexError body', async () => {
+    const res = await request(port, 'POST', '/api/memories', { content: 'x', memory_type: 'bogus' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, true);
+    assert.strictEqual(res.body.code, 'CORTEX_E200');
+    assert.ok(res.body.suggestion);
+  });
+
+  await test('rejects malformed JSON with CORTEX_E601', async () => {
+    const res = await request(port, 'POST', '/api/memories', '{not json');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, 'CORTEX_E601');
+  });
+
+  await test('fetches a memory by id', async () => {
+    const res = await request(port, 'GET', `/api/memories/${createdId}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.id, createdId);
+    assert.strictEqual(res.body.embedding, undefined);
+  });
+
+  await test('returns 404 CORTEX_E105 for unknown ids', async () => {
+    const res = await request(port, 'GET', '/api/memories/mem_missing');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.code, 'CORTEX_E105');
+  });
+
+  await test('lists memories with type/project filters and pagination', async () => {
+    for (let i = 0; i < 3; i++) {
+      await request(port, 'POST', '/api/memories', { content: `Decision number ${i}`, memory_type: 'decision' });
+    }
+    const page1 = await request(port, 'GET', '/api/memories?type=decision&limit=2&offset=0');
+    assert.strictEqual(page1.status, 200);
+    assert.strictEqual(page1.body.memories.length, 2);
+    assert.strictEqual(page1.body.total, 3);
+    assert.strictEqual(page1.body.hasMore, true);
+
+    const page2 = await request(port, 'GET', '/api/memories?type=decision&limit=2&offset=2');
+    assert.strictEqual(page2.body.memories.length, 1);
+    assert.strictEqual(page2.body.hasMore, false);
+
+    const byProject = await request(port, 'GET', '/api/memories?type=procedure&project=proj-a');
+    assert.strictEqual(byProject.body.total, 1);
+  });
+
+  await test('updates a memory with PATCH and bumps version', async () => {
+    const res = await request(port, 'PATCH', `/api/memories/${createdId}`, {
+      content: 'Always run migrations before deploying the API server',
+      quality_score: 0.9,
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.quality_score, 0.9);
+    assert.strictEqual(res.body.version, 2);
+  });
+
+  await test('rejects PATCH of immutable fields', async () => {
+    const res = await request(port, 'PATCH', `/api/memories/${createdId}`, { ingested_at: '2020-01-01' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, 'CORTEX_E200');
+  });
+
+  await test('invalidates a memory by closing valid_to', async () => {
+    const res = await request(port, 'POST', `/api/memories/${createdId}/invalidate`, { validTo: '2026-03-01T00:00:00Z' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.valid_to, '2026-03-01T00:00:00.000Z');
+  });
+
+  await test('searches superseded memories only when requested', async () => {
+    const current = await request(port, 'GET', '/api/search?q=migrations+deploying');
+    assert.ok(!current.body.results.some(r => r.id === createdId));
+
+    const all = await request(port, 'GET', '/api/search?q=migrations+deploying&includeSuperseded=true');
+    const hit = all.body.results.find(r => r.id === createdId);
+    assert.ok(hit);
+    assert.strictEqual(hit.superseded, true);
+
+    const viaBody = await request(port, 'POST', '/api/query', { query: 'migrations deploying', includeSuperseded: true });
+    assert.ok(viaBody.body.results.some(r => r.id === createdId));
+
+    const bad = await request(port, 'GET', '/api/search?q=migrations&asOf=yesterday');
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.body.code, 'CORTEX_E200');
+  });
+
+  await test('applies filter terms inline and via filter=', async () => {
+    const hit = await request(port, 'GET', '/api/search?q=migrations+deploying+quality>0.8&includeSuperseded=true');
+    assert.ok(hit.body.results.some(r => r.id === createdId));
+
+    const miss = await request(port, 'GET', `/api/search?q=migrations+deploying&includeSuperseded=true&filter=${encodeURIComponent('quality<0.5')}`);
+    assert.strictEqual(miss.status, 200);
+    assert.ok(!miss.body.results.some(r => r.id === createdId));
+
+    const viaBody = await request(port, 'POST', '/api/query', {
+      query: 'migrations deploying', filter: 'quality<0.5', includeSuperseded: true,
+    });
+    assert.ok(!viaBody.body.results.some(r => r.id === createdId));
+
+    const bad = await request(port, 'GET', '/api/search?q=migrations+type:bogus');
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.body.code, 'CORTEX_E200');
+  });
+
+  await test('validates and caps search limits', async () => {
+    const limits = [];
+    const search = provider.search;
+    provider.search = (query, options) => {
+      limits.push(options.limit);
+      return search.call(provider, query, options);
+    };
+    try {
+      assert.strictEqual((await request(port, 'GET', '/api/search?q=migrations')).status, 200);
+      assert.strictEqual((await request(port, 'GET', '/api/search?q=migrations&limit=500')).status, 200);
+      assert.strictEqual((await request(port, 'POST', '/api/query', { query: 'migrations', limit: 5 })).status, 200);
+      assert.strictEqual((await request(port, 'POST', '/api/query', { query: 'migrations', limit: 500 })).status, 200);
+      assert.strictEqual((await request(port, 'POST', '/api/query', { query: 'migrations', limit: '3' })).status, 200);
+      assert.deepStrictEqual(limits, [10, 100, 5, 100, 3]);
+
+      for (const limit of [0, -1, 2.5, true]) {
+        const bad = await request(port, 'POST', '/api/query', { query: 'migrations', limit });
+        assert.strictEqual(bad.status, 400, `limit ${limit}`);
+        assert.strictEqual(bad.body.code, 'CORTEX_E200');
+      }
+      const badQuery = await request(port, 'GET', '/api/search?q=migrations&limit=abc');
+      assert.strictEqual(badQuery.status, 400);
+      assert.strictEqual(badQuery.body.code, 'CORTEX_E200');
+    } finally {
+      provider.search = search;
+    }
+  });
+
+  await test('lists, diffs and restores memory versions', async () => {
+    const list = await request(port, 'GET', `/api/memories/${createdId}/versions`);
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.versions.map(v => v.version), [1, 2, 3]);
+    assert.strictEqual(list.body.versions[0].changed_by, null);
+    assert.strictEqual(list.body.versions[1].changed_by, 'api:admin');
+    assert.deepStrictEqual(list.body.versions[1].changed_fields, ['content', 'quality_score']);
+
+    const diff = await request(port, 'GET', `/api/memories/${createdId}/versions/diff?from=1&to=2`);
+    assert.deepStrictEqual(diff.body.changes.map(c => c.field), ['content', 'quality_score']);
+    assert.deepStrictEqual(diff.body.contentDiff.map(d => d.op), ['remove', 'add']);
+
+    const restored = await request(port, 'POST', `/api/memories/${createdId}/versions/1/restore`, undefined, {
+      Authorization: `Bearer ${writeToken}`,
+    });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.content, 'Always run migrations before deploying the API');
+    assert.strictEqual(restored.body.version, 4);
+    assert.ok(restored.body.valid_to, 'restore leaves the validity window alone');
+
+    const latest = await request(port, 'GET', `/api/memories/${createdId}/versions/4`);
+    assert.strictEqual(latest.body.changed_by, 'api:agent');
+    assert.strictEqual(latest.body.change_reason, 'Restored version 1');
+
+    const missing = await request(port, 'GET', `/api/memories/${createdId}/versions/diff?from=9`);
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'CORTEX_E105');
+  });
+
+  await test('soft-deletes then hard-deletes a memory', async () => {
+    const soft = await request(port, 'DELETE', `/api/memories/${createdId}`);
+    assert.strictEqual(soft.status, 200);
+    assert.strictEqual(soft.body.deleted, true);
+    const afterSoft = await request(port, 'GET', `/api/memories/${createdId}`);
+    assert.strictEqual(afterSoft.body.status, 'deleted');
+
+    const hard = await request(port, 'DELETE', `/api/memories/${createdId}?hard=true`);
+    assert.strictEqual(hard.body.hard, true);
+    const afterHard = await request(port, 'GET', `/api/memories/${createdId}`);
+    assert.strictEqual(afterHard.status, 404);
+  });
+
+  await test('answers unknown routes and methods with structured errors', async () => {
+    const missing = await request(port, 'GET', '/api/nope');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'CORTEX_E600');
+
+    const wrongMethod = await request(port, 'PUT', '/api/memories');
+    assert.strictEqual(wrongMethod.status, 405);
+    assert.strictEqual(wrongMethod.body.code, 'CORTEX_E602');
+    assert.ok(wrongMethod.headers.allow.includes('GET'));
+
+    const malformed = await request(port, 'GET', '/api/memories/%E0%A4%A');
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.body.code, 'CORTEX_E200');
+  });
+
+  console.log('\n🔐 Testing: Auth, scopes and CORS');
+
+  await test('token store hashes tokens at rest and resolves scopes hierarchically', async () => {
+    const raw = fs.readFileSync(tokenStore.tokensPath, 'utf8');
+    assert.ok(!raw.includes(adminToken));
+    assert.strictEqual(tokenStore.verify('ctx_not-a-real-token'), null);
+    assert.strictEqual(tokenStore.verify(readToken).name, 'dashboard');
+    assert.ok(hasScope(['admin'], 'read'));
+    assert.ok(hasScope(['write'], 'read'));
+    assert.ok(!hasScope(['read'], 'write'));
+    assert.throws(() => tokenStore.mint({ name: 'x', scopes: ['root'] }), /Invalid scope/);
+  });
+
+  await test('rejects missing and unknown tokens with 401 CORTEX_E603', async () => {
+    const missing = await request(port, 'GET', '/api/memories', undefined, {});
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.body.code, 'CORTEX_E603');
+    assert.ok(missing.headers['www-authenticate'].startsWith('Bearer'));
+
+    const unknown = await request(port, 'GET', '/api/memories', undefined, { Authorization: 'Bearer ctx_bogus' });
+    assert.strictEqual(unknown.status, 401);
+  });
+
+  await test('serves the OpenAPI document without a token', async () => {
+    const res = await request(port, 'GET', '/api/openapi.json', undefined, {});
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.components.securitySchemes.bearerAuth);
+  });
+
+  await test('enforces read/write/admin scopes', async () => {
+    const asRead = { Authorization: `Bearer ${readToken}` };
+    const asWrite = { Authorization: `Bearer ${writeToken}` };
+
+    const list = await request(port, 'GET', '/api/memories', undefined, asRead);
+    assert.strictEqual(list.status, 200);
+
+    const denied = await request(port, 'POST', '/api/memories', { content: 'from a read token' }, asRead);
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.code, 'CORTEX_E604');
+
+    const created = await request(port, 'POST', '/api/memories', { content: 'from a write token' }, asWrite);
+    assert.strictEqual(created.status, 201);
+
+    const hard = await request(port, 'DELETE', `/api/memories/${created.body.id}?hard=true`, undefined, asWrite);
+    assert.strictEqual(hard.status, 403);
+    const soft = await request(port, 'DELETE', `/api/memories/${created.body.id}`, undefined, asWrite);
+    assert.strictEqual(soft.status, 200);
+  });
+
+  await test('rejects revoked tokens', async () => {
+    const { token } = tokenStore.mint({ name: 'temp', scopes: ['read'] });
+    assert.ok(tokenStore.revoke('temp'));
+    const res = await request(port, 'GET', '/api/memories', undefined, { Authorization: `Bearer ${token}` });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('sees tokens revoked by another process and keeps the revoke when touching', async () => {
+    const { token } = tokenStore.mint({ name: 'cli-revoked', scopes: ['read'] });
+    assert.strictEqual(tokenStore.verify(token).name, 'cli-revoked');
+
+    const cached = tokenStore._tokens.find(t => t.name === 'dashboard');
+    const cli = new ApiTokenStore({ tokensPath: tokenStore.tokensPath });
+    assert.ok(cli.revoke('cli-revoked'));
+
+    // A lastUsedAt write from the stale cache must not undo the revoke on disk
+    tokenStore._lastUsedWrites.clear();
+    tokenStore._touch(cached);
+    const onDisk = JSON.parse(fs.readFileSync(tokenStore.tokensPath, 'utf8')).tokens;
+    assert.ok(onDisk.find(t => t.name === 'cli-revoked').revokedAt);
+    assert.ok(onDisk.find(t => t.name === 'dashboard').lastUsedAt);
+
+    assert.strictEqual(tokenStore.verify(token), null);
+    const res = await request(port, 'GET', '/api/memories', undefined, { Authorization: `Bearer ${token}` });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await test('applies the CORS allowlist to requests and preflights', async () => {
+    const allowed = await request(port, 'OPTIONS', '/api/memories', undefined, { Origin: 'app://obsidian.md' });
+    assert.strictEqual(allowed.status, 204);
+    assert.strictEqual(allowed.headers['access-control-allow-origin'], 'app://obsidian.md');
+    assert.ok(allowed.headers['access-control-allow-headers'].includes('Authorization'));
+
+    const blocked = await request(port, 'GET', '/api/memories', undefined, {
+      Origin: 'https://evil.example',
+      Authorization: `Bearer ${adminToken}`,
+    });
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.body.code, 'CORTEX_E605');
+    assert.strictEqual(blocked.headers['access-control-allow-origin'], undefined);
+  });
+
+  await test('records the calling token in the audit log', async () => {
+    auditEvents.length = 0;
+    await request(port, 'GET', '/api/memories', undefined, { Authorization: `Bearer ${readToken}` });
+    await request(port, 'POST', '/api/memories', { content: 'nope' }, { Authorization: `Bearer ${readToken}` });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(auditEvents.length, 2);
+    assert.strictEqual(auditEvents[0].token.name, 'dashboard');
+    assert.strictEqual(auditEvents[0].status, 200);
+    assert.strictEqual(auditEvents[1].token.name, 'dashboard');
+    assert.strictEqual(auditEvents[1].errorCode, 'CORTEX_E604');
+  });
+
+  await test('allows anonymous access when auth is disabled', async () => {
+    const open = createApiServer({ provider, tokenStore, auth: false });
+    await new Promise(resolve => open.listen(0, '127.0.0.1', resolve));
+    const res = await request(open.address().port, 'GET', '/api/memories', undefined, {});
+    assert.strictEqual(res.status, 200);
+    await new Promise(resolve => open.close(resolve));
+  });
+
+  await test('reports API spend against budgets', async () => {
+    const costTracker = new CostTracker({ basePath: TEST_DIR, dailyUsd: 0.01 });
+    costTracker.record({ model: 'claude-haiku-4-5-20251001', component: 'haiku', inputTokens: 10000, outputTokens: 1000 });
+
+    const spendServer = createApiServer({ provider, tokenStore, costTracker });
+    await new Promise(resolve => spendServer.listen(0, '127.0.0.1', resolve));
+    const res = await request(spendServer.address().port, 'GET', '/api/spend', undefined, { Authorization: `Bearer ${readToken}` });
+    await new Promise(resolve => spendServer.close(resolve));
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.today.calls, 1);
+    assert.strictEqual(res.body.today.costUsd, 0.015);
+    assert.strictEqual(res.body.budgets.dailyUsd, 0.01);
+    assert.strictEqual(res.body.exceeded, 'daily');
+  });
+
+  console.log('\n📡 Testing: /api/events stream');
+
+  await test('streams insert/update/invalidate/delete events with ids', async () => {
+    const stream = await openEventStream(port, '/api/events', { Authorization: `Bearer ${readToken}` });
+    assert.strictEqual(stream.status, 200);
+    assert.ok(stream.headers['content-type'].startsWith('text/event-stream'));
+
+    const created = await request(port, 'POST', '/api/memories', { content: 'Streamed memory', memory_type: 'fact' });
+    const id = created.body.id;
+    await request(port, 'PATCH', `/api/memories/${id}`, { summary: 'streamed' });
+    await request(port, 'POST', `/api/memories/${id}/invalidate`, {});
+    await request(port, 'DELETE', `/api/memories/${id}`);
+    await wait(200);
+    stream.close();
+
+    const mine = stream.events.filter(e => e.data.memory_id === id);
+    assert.deepStrictEqual(mine.map(e => e.event), ['insert', 'update', 'invalidate', 'delete']);
+    assert.ok(mine.every(e => e.id === e.data.id));
+  });
+
+  await test('filters the stream by project and memory type', async () => {
+    const stream = await openEventStream(port, '/api/events?project=proj-sse&type=decision', {
+      Authorization: `Bearer ${readToken}`,
+    });
+    await request(port, 'POST', '/api/memories', { content: 'Right project', memory_type: 'decision', project_hash: 'proj-sse' });
+    await request(port, 'POST', '/api/memories', { content: 'Wrong type', memory_type: 'fact', project_hash: 'proj-sse' });
+    await request(port, 'POST', '/api/memories', { content: 'Wrong project', memory_type: 'decision', project_hash: 'proj-other' });
+    await wait(200);
+    stream.close();
+
+    assert.strictEqual(stream.events.length, 1);
+    assert.strictEqual(stream.events[0].data.project_hash, 'proj-sse');
+  });
+
+  await test('replays missed events after Last-Event-ID', async () => {
+    const lastSeen = provider._memoryStore.getLatestEventId();
+    await request(port, 'POST', '/api/memories', { content: 'Missed while offline', memory_type: 'learning' });
+
+    const stream = await openEventStream(port, '/api/events', {
+      Authorization: `Bearer ${readToken}`,
+      'Last-Event-ID': String(lastSeen),
+    });
+    await wait(100);
+    stream.close();
+
+    assert.strictEqual(stream.events.length, 1);
+    assert.strictEqual(stream.events[0].event, 'insert');
+    assert.strictEqual(stream.events[0].id, lastSeen + 1);
+  });
+
+  await test('accepts access_token for EventSource clients and validates filters', async () => {
+    const stream = await openEventStream(port, `/api/events?access_token=${readToken}`, {});
+    assert.strictEqual(stream.status, 200);
+    stream.close();
+
+    const anonymous = await request(port, 'GET', '/api/events', undefined, {});
+    assert.strictEqual(anonymous.status, 401);
+
+    const notOnOtherRoutes = await request(port, 'GET', `/api/memories?access_token=${readToken}`, undefined, {});
+    assert.strictEqual(notOnOtherRoutes.status, 401);
+
+    const badType = await request(port, 'GET', '/api/events?type=bogus');
+    assert.strictEqual(badType.status, 400);
+  });
+
+  await test('exports the Obsidian vault through POST /api/vault/export', async () => {
+    const vaultPath = path.join(TEST_DIR, 'vault');
+    const res = await request(port, 'POST', '/api/vault/export', { vaultPath });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.success, true);
+    assert.strictEqual(res.body.exportRoot, path.join(vaultPath, 'Cortex Atlas'));
+    assert.ok(fs.existsSync(path.join(vaultPath, 'Cortex Atlas', 'manifest.json')));
+    assert.strictEqual(typeof res.body.changes.written, 'number');
+
+    const again = await request(port, 'POST', '/api/vault/export', { vaultPath, since: 'last' });
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.changes.written, 0);
+  });
+
+  await test('validates vault export requests and requires the admin scope', async () => {
+    const vaultPath = path.join(TEST_DIR, 'vault');
+    for (const token of [readToken, writeToken]) {
+      const denied = await request(port, 'POST', '/api/vault/export', { vaultPath }, { Authorization: `Bearer ${token}` });
+      assert.strictEqual(denied.status, 403);
+      assert.strictEqual(denied.body.code, 'CORTEX_E604');
+    }
+
+    for (const body of [
+      {},
+      { vaultPath: 'relative/vault' },
+      { vaultPath, rootFolder: '../outside' },
+      { vaultPath, since: 'yesterday' },
+    ]) {
+      const res = await request(port, 'POST', '/api/vault/export', body);
+      assert.strictEqual(res.status, 400, JSON.stringify(body));
+      assert.strictEqual(res.body.code, 'CORTEX_E200');
+    }
+  });
+
+  await new Promise(resolve => server.close(resolve));
+  await provider.shutdown();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getVectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const {
+  ContradictionDetector,
+  classifyHeuristic,
+  parseClassification,
+} = require('../src/core/contradiction-detector.cjs');
+const { SonnetThinker } = require('../src/cortex/sonnet-thinker.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-contradiction-${Date.now()}`);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Bag-of-words stand-in for the ONNX embedder: statements sharing most
+ * words land close together, like they would with a real model
+ */
+const bagOfWordsEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+      const hash = crypto.createHash('sha256').update(word).digest();
+      vec[hash.readUInt32BE(0) % EMBEDDING_DIM] += 1;
+    }
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0)) || 1;
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+/**
+ * SamplingAdapter double: answers Sonnet analysis prompts, and classification
+ * prompts with whatever the test sets
+ */
+function createSamplingAdapter() {
+  return {
+    mode: 'api',
+    classification: 'not json',
+    calls: 0,
+    async complete(prompt, options) {
+      if (options.speed === 'deep') {
+        return { text: JSON.stringify({ quality: 8, suggestedTags: [], isDuplicate: false, priority: 'high' }) };
+      }
+      this.calls++;
+      return { text: this.classification };
+    },
+  };
+}
+
+async function main() {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  const provider = getVectorSearchProvider({ basePath: TEST_DIR });
+  const init = await provider.initialize();
+  assert.ok(init.success, init.error);
+  provider._embedder = bagOfWordsEmbedder;
+  provider._hybridSearch.embedder = bagOfWordsEmbedder;
+
+  const store = provider._memoryStore;
+  const newDetector = (options = {}) => new ContradictionDetector({
+    memoryStore: store,
+    vectorIndex: provider._vectorIndex,
+    embedder: bagOfWordsEmbedder,
+    ...options,
+  });
+
+  console.log('\n⚖️  Testing: Contradiction detection');
+
+  await test('heuristic classifies agree, refine, contradict and unrelated', async () => {
+    assert.strictEqual(classifyHeuristic('We use pnpm for installs', 'We use npm for installs').relation, 'contradict');
+    assert.strictEqual(classifyHeuristic('Use npm for installs', 'We use npm for installs').relation, 'agree');
+    assert.strictEqual(
+      classifyHeuristic('Use pnpm for installs with --frozen-lockfile in CI', 'Use pnpm for installs').relation,
+      'refine'
+    );
+    assert.strictEqual(classifyHeuristic('Do not squash merge commits', 'Squash merge commits').relation, 'contradict');
+    assert.strictEqual(classifyHeuristic('Redis runs on port 6379', 'Use pnpm for installs').relation, 'unrelated');
+  });
+
+  await test('parses LLM classifications and rejects malformed ones', async () => {
+    const parsed = parseClassification('Sure: {"relation": "refine", "confidence": 1.4, "reason": "adds CI flag"}');
+    assert.deepStrictEqual(parsed, { relation: 'refine', confidence: 1, reason: 'adds CI flag', method: 'llm' });
+    assert.strictEqual(parseClassification('{"relation": "maybe"}'), null);
+    assert.strictEqual(parseClassification('no json here'), null);
+  });
+
+  const npm = await provider.insert({ content: 'We use npm for package installs', source: 'user', memory_type: 'decision' });
+  await provider.insert({ content: 'Redis runs on port 6379 in development', source: 'user', memory_type: 'fact' });
+
+  await test('finds close neighbours only above the similarity threshold', async () => {
+    const detector = newDetector();
+    const candidates = await detector.findCandidates('We use pnpm for package installs');
+    assert.deepStrictEqual(candidates.map(c => c.memory.id), [npm.id]);
+    assert.ok(candidates[0].similarity >= detector.similarityThreshold);
+  });
+
+  await test('classifies with the SamplingAdapter and falls back to the heuristic', async () => {
+    const adapter = createSamplingAdapter();
+    const detector = newDetector({ samplingAdapter: adapter });
+
+    adapter.classification = '{"relation": "refine", "confidence": 0.8, "reason": "narrower"}';
+    let [related] = await detector.detect('We use pnpm for package installs');
+    assert.strictEqual(related.relation, 'refine');
+    assert.strictEqual(related.method, 'llm');
+
+    adapter.classification = 'I cannot decide';
+    [related] = await detector.detect('We use pnpm for package installs');
+    assert.strictEqual(related.relation, 'contradict');
+    assert.strictEqual(related.method, 'heuristic');
+    assert.strictEqual(adapter.calls, 2);
+    assert.strictEqual(detector.getStats().llmFailures, 1);
+  });
+
+  await test('only reports heuristic contradictions without superseding', async () => {
+    const detector = newDetector();
+    assert.deepStrictEqual(
+      classifyHeuristic('Use pnpm to install the web package', 'Use npm to install the api package').relation,
+      'contradict'
+    );
+
+    const related = await detector.detect('We use pnpm for package installs');
+    assert.deepStrictEqual(related.map(r => [r.relation, r.method]), [['contradict', 'heuristic']]);
+    assert.deepStrictEqual(detector.supersedeRelated(related, 'mem_new'), []);
+    assert.strictEqual(store.get(npm.id).valid_to, null);
+    assert.strictEqual(detector.getStats().reportedOnly, 1);
+  });
+
+  await test('supersedes refined or contradicted memories with a forward link', async () => {
+    const adapter = createSamplingAdapter();
+    adapter.classification = '{"relation": "contradict", "confidence": 0.9, "reason": "switched package manager"}';
+    const detector = newDetector({ samplingAdapter: adapter });
+    const related = await detector.detect('We use pnpm for package installs');
+    const pnpm = await provider.insert({ content: 'We use pnpm for package installs', source: 'user', memory_type: 'decision' });
+
+    const before = store.getLatestEventId();
+    assert.deepStrictEqual(detector.supersedeRelated(related, pnpm.id), [npm.id]);
+
+    const old = store.get(npm.id);
+    assert.strictEqual(old.superseded_by, pnpm.id);
+    assert.ok(old.valid_to);
+    assert.strictEqual(store.getEventsSince(before)[0].type, 'invalidate');
+
+    // Superseded memories are no longer candidates
+    const candidates = await detector.findCandidates('We use npm for package installs');
+    assert.deepStrictEqual(candidates.map(c => c.memory.id), [pnpm.id]);
+
+    const results = await provider.search('package installs', { includeSuperseded: true });
+    assert.strictEqual(results.results.find(r => r.id === npm.id).superseded, true);
+  });
+
+  await test('SonnetThinker.learn supersedes contradicted memories and skips duplicates', async () => {
+    const adapter = createSamplingAdapter();
+    const thinker = new SonnetThinker({ basePath: TEST_DIR, samplingAdapter: adapter });
+
+    adapter.classification = '{"relation": "contradict", "confidence": 0.9, "reason": "switched package manager"}';
+    const yarn = await thinker.learn('We use yarn for package installs', '', 'decision');
+    assert.strictEqual(yarn.vectorStored, true);
+    assert.deepStrictEqual(yarn.related.map(r => r.relation), ['contradict']);
+    assert.strictEqual(yarn.superseded.length, 1);
+    assert.strictEqual(store.get(yarn.superseded[0]).superseded_by, yarn.vectorId);
+
+    adapter.classification = '{"relation": "agree", "confidence": 0.95, "reason": "same statement"}';
+    const again = await thinker.learn('We use yarn for package installs', '', 'decision');
+    assert.strictEqual(again.stored, false);
+    assert.strictEqual(again.duplicateOf, yarn.vectorId);
+    assert.deepStrictEqual(again.superseded, []);
+  });
+
+  await test('can be switched off', async () => {
+    const thinker = new SonnetThinker({
+      basePath: TEST_DIR,
+      samplingAdapter: createSamplingAdapter(),
+      detectContradictions: false,
+    });
+    const result = await thinker.learn('We use bun for package installs', '', 'decision');
+    assert.strictEqual(result.vectorStored, true);
+    assert.deepStrictEqual(result.related, []);
+  });
+
+  await provider.shutdown();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-cost-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/API key lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+process.env.CORTEX_AUDIT = 'false';
+
+const { CostTracker } = require('../src/core/cost-tracker.cjs');
+const { ConfigValidator } = require('../src/core/config.cjs');
+const { HaikuWorker } = require('../src/cortex/haiku-worker.cjs');
+const { SonnetThinker } = require('../src/cortex/sonnet-thinker.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * SamplingAdapter stand-in in paid API mode
+ * @param {string} model - Model reported back
+ */
+function fakeApiAdapter(model) {
+  return {
+    mode: 'api',
+    calls: 0,
+    async complete() {
+      this.calls++;
+      return { text: 'ok', model, mode: 'api', usage: { inputTokens: 1000000, outputTokens: 100000 } };
+    },
+  };
+}
+
+async function main() {
+  console.log('\nCost Tracker Tests\n');
+
+  await test('prices calls with the longest matching table entry', () => {
+    const tracker = new CostTracker({ basePath: path.join(TEST_DIR, 'prices') });
+    assert.strictEqual(tracker.estimateCost('claude-haiku-4-5-20251001', 1e6, 1e6), 6);
+    assert.strictEqual(tracker.estimateCost('claude-3-haiku-20240307', 1e6, 0), 0.25);
+    assert.strictEqual(tracker.estimateCost('claude-sonnet-4-6-20250627', 1e6, 1e6), 18);
+    assert.strictEqual(tracker.estimateCost('local-llama', 1e6, 1e6), 0);
+
+    const custom = new CostTracker({
+      basePath: path.join(TEST_DIR, 'prices'),
+      prices: { 'claude-sonnet-4-6': { inputPerMillion: 2, outputPerMillion: 10 } },
+    });
+    assert.strictEqual(custom.estimateCost('claude-sonnet-4-6-20250627', 1e6, 1e6), 12);
+  });
+
+  await test('records usage per call and sums day, month and model', () => {
+    const tracker = new CostTracker({ basePath: path.join(TEST_DIR, 'spend') });
+    tracker.record({ model: 'claude-haiku-4-5-20251001', component: 'haiku', inputTokens: 2000, outputTokens: 400 });
+    tracker.record({ model: 'claude-sonnet-4-6-20250627', component: 'sonnet', inputTokens: 1000, outputTokens: 1000 });
+
+    // An entry from earlier in the month counts for the month only
+    const now = new Date();
+    const earlier = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    if (earlier.toISOString().slice(0, 10) !== now.toISOString().slice(0, 10)) {
+      const file = path.join(tracker.dir, `${now.toISOString().slice(0, 7)}.jsonl`);
+      fs.appendFileSync(file, JSON.stringify({
+        timestamp: earlier.toISOString(), model: 'claude-haiku-4-5-20251001', inputTokens: 10, outputTokens: 0, costUsd: 0.5,
+      }) + '\n');
+    }
+
+    const spend = tracker.getSpend(now);
+    assert.strictEqual(spend.today.calls, 2);
+    assert.strictEqual(spend.today.inputTokens, 3000);
+    assert.strictEqual(spend.today.costUsd, 0.022);
+    assert.ok(spend.month.costUsd >= spend.today.costUsd);
+    assert.strictEqual(spend.byModel['claude-sonnet-4-6-20250627'].calls, 1);
+  });
+
+  await test('budgets block further calls per period', () => {
+    const basePath = path.join(TEST_DIR, 'budget');
+    new CostTracker({ basePath }).record({ model: 'claude-sonnet-4-6', inputTokens: 1e6, outputTokens: 0 });
+
+    assert.strictEqual(new CostTracker({ basePath }).checkBudget().allowed, true, 'no budget set');
+    assert.strictEqual(new CostTracker({ basePath, dailyUsd: 5 }).checkBudget().allowed, true);
+
+    const daily = new CostTracker({ basePath, dailyUsd: 3 }).checkBudget();
+    assert.strictEqual(daily.allowed, false);
+    assert.strictEqual(daily.period, 'daily');
+
+    const monthly = new CostTracker({ basePath, dailyUsd: 10, monthlyUsd: 2 }).getReport();
+    assert.strictEqual(monthly.exceeded, 'monthly');
+    assert.ok(monthly.reason.startsWith('Monthly budget spent'));
+
+    const disabled = new CostTracker({ basePath, enabled: false, dailyUsd: 1 });
+    assert.strictEqual(disabled.checkBudget().allowed, true, 'enabled=false only records');
+  });
+
+  await test('HaikuWorker records paid calls and falls back once over budget', async () => {
+    const costTracker = new CostTracker({ basePath: path.join(TEST_DIR, 'haiku'), dailyUsd: 1 });
+    const adapter = fakeApiAdapter('claude-haiku-4-5-20251001');
+    const worker = new HaikuWorker({ basePath: path.join(TEST_DIR, 'haiku'), samplingAdapter: adapter, costTracker });
+
+    assert.strictEqual(await worker._callHaiku('system', 'first'), 'ok');
+    assert.strictEqual(costTracker.getSpend().today.costUsd, 1.5);
+    assert.strictEqual(worker.getStats().estimatedCost, 1.5);
+
+    assert.strictEqual(await worker._callHaiku('system', 'second'), null);
+    assert.strictEqual(adapter.calls, 1, 'no API call over budget');
+    assert.strictEqual(worker.stats.budgetSkips, 1);
+  });
+
+  await test('MCP Sampling is free and ignores the budget', async () => {
+    const costTracker = new CostTracker({ basePath: path.join(TEST_DIR, 'sampling'), dailyUsd: 0 });
+    const adapter = {
+      mode: 'sampling',
+      async complete() { return { text: 'sampled', model: 'claude-haiku', mode: 'sampling' }; },
+    };
+    const worker = new HaikuWorker({ basePath: path.join(TEST_DIR, 'sampling'), samplingAdapter: adapter, costTracker });
+
+    assert.strictEqual(await worker._callHaiku('system', 'query'), 'sampled');
+    assert.strictEqual(costTracker.getSpend().today.calls, 0);
+  });
+
+  await test('SonnetThinker refuses paid calls over budget with CORTEX_E314', async () => {
+    const basePath = path.join(TEST_DIR, 'sonnet');
+    const costTracker = new CostTracker({ basePath, monthlyUsd: 4 });
+    const adapter = fakeApiAdapter('claude-sonnet-4-6-20250627');
+    const thinker = new SonnetThinker({ basePath, samplingAdapter: adapter, costTracker });
+
+    assert.strictEqual(await thinker._callSonnet('system', 'first'), 'ok');
+    assert.strictEqual(thinker.stats.totalCost, 4.5);
+    assert.strictEqual(thinker.getSessionCost().estimatedCost, '~$4.5000');
+
+    await assert.rejects(() => thinker._callSonnet('system', 'second'), error => error.code === 'CORTEX_E314');
+    assert.strictEqual(adapter.calls, 1);
+  });
+
+  await test('config validation checks the budget section', () => {
+    const validator = new ConfigValidator();
+    assert.deepStrictEqual(validator.validate({
+      version: '1.0',
+      budget: { enabled: true, dailyUsd: null, monthlyUsd: 20, prices: { opus: { inputPerMillion: 15, outputPerMillion: 75 } } },
+    }).errors, []);
+
+    const { errors } = validator.validate({
+      version: '1.0',
+      budget: { dailyUsd: -1, monthlyUsd: '5', prices: { haiku: { inputPerMillion: 1 } } },
+    });
+    assert.strictEqual(errors.length, 3);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  Embedder,
+  EMBEDDING_MODELS,
+  DEFAULT_MODEL,
+  resolveModelSpec,
+} = require('../src/core/embedder.cjs');
+const {
+  getSharedEmbedder,
+  resetSharedEmbedder,
+  resolveEmbedderOptions,
+} = require('../src/core/embedder-provider.cjs');
+const { VectorIndex } = require('../src/core/vector-index.cjs');
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+const { runMigrations } = require('../src/core/migrations.cjs');
+const { ConfigValidator } = require('../src/core/config.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-embedding-models-${Date.now()}`);
+const BGE_BASE = 'Xenova/bge-base-en-v1.5';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for an ONNX embedder of the given model and dimension
+ */
+function createFakeEmbedder(modelId, dimension) {
+  return {
+    modelId,
+    calls: 0,
+    getDimension() { return dimension; },
+    async embed(text) {
+      this.calls++;
+      const vec = new Float32Array(dimension);
+      const hash = crypto.createHash('sha256').update(text).digest();
+      for (let i = 0; i < dimension; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+      const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+      return vec.map(v => v / norm);
+    },
+    getStats() { return { modelId, modelLoaded: false }; },
+  };
+}
+
+/**
+ * Replace the provider's embedder (after initialize) with a fake one
+ */
+function useEmbedder(provider, embedder) {
+  provider._embedder = embedder;
+  provider._hybridSearch.embedder = embedder;
+}
+
+async function main() {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  console.log('\n🧬 Testing: Pluggable embedding models');
+
+  await test('resolves registry specs and rejects unknown models without a dimension', async () => {
+    assert.strictEqual(resolveModelSpec().dimension, 384);
+    assert.strictEqual(resolveModelSpec(BGE_BASE).dimension, 768);
+    assert.strictEqual(resolveModelSpec('Xenova/bge-small-en-v1.5').pooling, 'cls');
+    assert.strictEqual(EMBEDDING_MODELS['Xenova/multilingual-e5-small'].queryPrefix, 'query: ');
+
+    assert.throws(() => resolveModelSpec('acme/custom-embedder'), /Unknown embedding model/);
+    const custom = resolveModelSpec('acme/custom-embedder', { dimension: 1024, pooling: undefined });
+    assert.deepStrictEqual([custom.dimension, custom.pooling], [1024, 'mean']);
+    assert.throws(() => resolveModelSpec(BGE_BASE, { pooling: 'max' }), /Invalid pooling/);
+  });
+
+  await test('embeds with the model pooling and query/document prefixes', async () => {
+    const embedder = new Embedder({ model: 'nomic-ai/nomic-embed-text-v1.5' });
+    assert.strictEqual(embedder.getDimension(), 768);
+
+    const calls = [];
+    embedder.pipeline = async (input, options) => {
+      calls.push({ input, pooling: options.pooling });
+      return { data: new Float32Array(768).fill(0.1) };
+    };
+
+    await embedder.embed('deploy notes');
+    await embedder.embed('deploy notes', { type: 'query' });
+    await embedder.embed('deploy notes', { type: 'query' });
+
+    assert.deepStrictEqual(calls, [
+      { input: 'search_document: deploy notes', pooling: 'mean' },
+      { input: 'search_query: deploy notes', pooling: 'mean' },
+    ]);
+
+    const wrong = new Embedder({ model: 'Xenova/bge-small-en-v1.5' });
+    wrong.pipeline = async () => ({ data: new Float32Array(768) });
+    await assert.rejects(wrong.embed('text'), /expected 384/);
+  });
+
+  await test('picks the model from options, then CORTEX_EMBEDDING_MODEL', async () => {
+    assert.strictEqual(resolveEmbedderOptions({ model: BGE_BASE }).model, BGE_BASE);
+
+    process.env.CORTEX_EMBEDDING_MODEL = 'acme/custom-embedder';
+    process.env.CORTEX_EMBEDDING_DIM = '512';
+    try {
+      const options = resolveEmbedderOptions({ verbose: false });
+      assert.deepStrictEqual([options.model, options.dimension], ['acme/custom-embedder', 512]);
+      assert.strictEqual(resolveEmbedderOptions({ model: DEFAULT_MODEL }).model, DEFAULT_MODEL);
+    } finally {
+      delete process.env.CORTEX_EMBEDDING_MODEL;
+      delete process.env.CORTEX_EMBEDDING_DIM;
+    }
+  });
+
+  await test('shares one embedder per model', async () => {
+    resetSharedEmbedder();
+    const a = getSharedEmbedder({ model: DEFAULT_MODEL });
+    const b = getSharedEmbedder({ model: BGE_BASE });
+    assert.strictEqual(getSharedEmbedder({ model: DEFAULT_MODEL }), a);
+    assert.notStrictEqual(a, b);
+    assert.strictEqual(b.getDimension(), 768);
+    resetSharedEmbedder();
+  });
+
+  await test('validates the embedding config section', async () => {
+    const validator = new ConfigValidator();
+    assert.ok(validator.validate({ version: '1', embedding: { model: BGE_BASE } }).valid);
+    const { errors } = validator.validate({ version: '1', embedding: { model: '', dimension: 0, pooling: 'max' } });
+    assert.strictEqual(errors.length, 3);
+  });
+
+  await test('vector index refuses to load vectors from another model', async () => {
+    const paths = {
+      indexPath: path.join(TEST_DIR, 'index-check', 'index.bin'),
+      mappingPath: path.join(TEST_DIR, 'index-check', 'mapping.json'),
+    };
+    const minilm = createFakeEmbedder(DEFAULT_MODEL, 384);
+
+    const original = new VectorIndex({ ...paths, maxElements: 100 });
+    await original.initialize();
+    original.add('mem_a', await minilm.embed('a'));
+    await original.save();
+
+    // Mappings written before model tracking are read as MiniLM
+    const mapping = JSON.parse(fs.readFileSync(paths.mappingPath, 'utf8'));
+    assert.strictEqual(mapping.model, DEFAULT_MODEL);
+    delete mapping.model;
+    fs.writeFileSync(paths.mappingPath, JSON.stringify(mapping));
+
+    const same = new VectorIndex({ ...paths, maxElements: 100 });
+    assert.deepStrictEqual(await same.initialize(), { loaded: true, vectorCount: 1 });
+
+    const switched = new VectorIndex({ ...paths, maxElements: 100, model: BGE_BASE, dimension: 768 });
+    const result = await switched.initialize();
+    assert.strictEqual(result.loaded, false);
+    assert.strictEqual(result.rebuildRequired, true);
+    assert.deepStrictEqual(result.previous, { model: DEFAULT_MODEL, dimension: 384 });
+    assert.strictEqual(switched.getCount(), 0);
+    assert.strictEqual(switched.getStats().rebuildRequired, true);
+
+    switched.reset();
+    assert.strictEqual(switched.rebuildRequired, false);
+  });
+
+  // One data directory, first embedded with MiniLM and then switched to bge-base
+  const basePath = path.join(TEST_DIR, 'switch');
+  const minilm = createFakeEmbedder(DEFAULT_MODEL, 384);
+  const ids = [];
+
+  await test('records the model of each stored embedding', async () => {
+    const provider = new VectorSearchProvider({ basePath, vectorIndex: { maxElements: 100 } });
+    assert.ok((await provider.initialize()).success);
+    useEmbedder(provider, minilm);
+    const store = provider._memoryStore;
+
+    for (const content of ['Deploys run from main', 'Redis listens on 6379', 'Use pnpm for installs']) {
+      ids.push((await provider.insert({ content, source: 'user' })).id);
+    }
+    const unembedded = await provider.insert({ content: 'Imported later', source: 'user' }, { generateEmbedding: false });
+    ids.push(unembedded.id);
+
+    assert.strictEqual(store.get(ids[0]).embedding_model, DEFAULT_MODEL);
+    assert.strictEqual(store.get(unembedded.id).embedding_model, null);
+    assert.deepStrictEqual(store.getEmbeddingModels(), { [DEFAULT_MODEL]: 3 });
+
+    // Rows from before the column existed count as the default model
+    store.store.run('UPDATE memories SET embedding_model = NULL WHERE id = @id', { id: ids[1] });
+    assert.deepStrictEqual(store.getStaleEmbeddings(DEFAULT_MODEL).map(m => m.id), [unembedded.id]);
+    assert.strictEqual(store.getStaleEmbeddings(BGE_BASE).length, 4);
+
+    await provider.shutdown();
+  });
+
+  await test('re-embeds and rebuilds the index after a model change', async () => {
+    const bge = createFakeEmbedder(BGE_BASE, 768);
+    const provider = new VectorSearchProvider({
+      basePath,
+      embedder: { model: BGE_BASE },
+      vectorIndex: { maxElements: 100 },
+    });
+    const init = await provider.initialize();
+    assert.ok(init.success, init.error);
+    assert.strictEqual(init.components.vectorIndex.rebuildRequired, true);
+    useEmbedder(provider, bge);
+
+    const progress = [];
+    const result = await provider.backfillEmbeddings({ batchSize: 2, onProgress: p => progress.push(p) });
+    assert.deepStrictEqual(
+      { processed: result.processed, errors: result.errors, rebuilt: result.rebuilt, indexed: result.indexed },
+      { processed: 4, errors: 0, rebuilt: true, indexed: 4 }
+    );
+    assert.ok(progress.length >= 2);
+
+    const store = provider._memoryStore;
+    assert.deepStrictEqual(store.getEmbeddingModels(), { [BGE_BASE]: 4 });
+    assert.strictEqual(store.getEmbedding(ids[0]).length, 768);
+    assert.deepStrictEqual(provider._vectorIndex.getAllIds().sort(), [...ids].sort());
+
+    const { results } = await provider.search('Redis listens on 6379', { limit: 1 });
+    assert.strictEqual(results[0].id, ids[1]);
+
+    // Nothing left to do on the next run
+    const again = await provider.backfillEmbeddings();
+    assert.deepStrictEqual([again.processed, again.rebuilt], [0, false]);
+    await provider.shutdown();
+
+    const reopened = new VectorIndex({
+      indexPath: path.join(basePath, 'data', 'vector', 'index.bin'),
+      mappingPath: path.join(basePath, 'data', 'vector', 'mapping.json'),
+      model: BGE_BASE,
+      dimension: 768,
+      maxElements: 100,
+    });
+    assert.deepStrictEqual(await reopened.initialize(), { loaded: true, vectorCount: 4 });
+  });
+
+  await test('skips memories that fail to embed without looping', async () => {
+    const provider = new VectorSearchProvider({ basePath, vectorIndex: { maxElements: 100 } });
+    assert.ok((await provider.initialize()).success);
+    const flaky = createFakeEmbedder(DEFAULT_MODEL, 384);
+    const embed = flaky.embed;
+    flaky.embed = async function (text) {
+      if (text.includes('Redis')) throw new Error('model crashed');
+      return embed.call(this, text);
+    };
+    useEmbedder(provider, flaky);
+
+    const result = await provider.backfillEmbeddings({ batchSize: 1 });
+    assert.deepStrictEqual([result.processed, result.errors, result.failedIds], [3, 1, [ids[1]]]);
+    assert.strictEqual(result.rebuilt, true);
+    assert.strictEqual(result.indexed, 3);
+    await provider.shutdown();
+  });
+
+  await test('migration 13 adds embedding_model to older databases', async () => {
+    const dbPath = path.join(TEST_DIR, 'legacy.db');
+    const legacy = new MemoryStore({ dbPath });
+    await legacy.initialize();
+    legacy.store.exec('ALTER TABLE memories DROP COLUMN embedding_model');
+    legacy.close();
+
+    const result = runMigrations(dbPath);
+    assert.ok(result.success, result.message);
+
+    const Database = require('better-sqlite3');
+    const db = new Database(dbPath, { readonly: true });
+    const columns = db.prepare('PRAGMA table_info(memories)').all().map(c => c.name);
+    db.close();
+    assert.ok(columns.includes('embedding_model'));
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-encryption-at-rest-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep getStorageEncryption() away from the real ~/.claude config
+process.env.HOME = TEST_DIR;
+delete process.env.CORTEX_ENCRYPTION_SECRET;
+
+const { CortexEncryption } = require('../src/core/encryption.cjs');
+const {
+  getStorageEncryption,
+  checkHookEncryption,
+  resetStorageEncryption,
+  createStorageEncryption,
+  readKeyMetadata,
+  encryptFields,
+  decryptFields,
+} = require('../src/core/storage-encryption.cjs');
+const {
+  encryptExistingData,
+  rotateEncryptionKey,
+  getEncryptionCoverage,
+} = require('../src/core/encryption-migration.cjs');
+const { JSONLStore } = require('../src/core/storage.cjs');
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+const { NeuralNetwork } = require('../src/core/neural-network.cjs');
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const { ConfigValidator } = require('../src/core/config.cjs');
+
+const SECRET = 'test-secret-one';
+const NEW_SECRET = 'test-secret-two';
+const SECRET_TEXT = 'The staging database password lives in vault path ops/db';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for the ONNX embedder (no model download)
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 0; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+/**
+ * Assert that no file below a directory contains a plaintext marker
+ */
+function assertNoPlaintext(dir, text) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      assertNoPlaintext(fullPath, text);
+    } else {
+      assert.ok(!fs.readFileSync(fullPath).includes(text), `plaintext found in ${fullPath}`);
+    }
+  }
+}
+
+async function main() {
+  console.log('\n🔐 Testing: Encryption at rest');
+
+  const keyFile = path.join(TEST_DIR, 'keys', 'encryption.json');
+  const encryption = createStorageEncryption({ secret: SECRET, keyFile });
+
+  await test('a fixed salt derives one key; IVs stay random', async () => {
+    const salt = crypto.randomBytes(16);
+    const fixed = new CortexEncryption({ secret: SECRET, salt });
+    const a = fixed.encrypt('same text');
+    const b = fixed.encrypt('same text');
+    assert.notStrictEqual(a, b);
+    assert.strictEqual(fixed.decrypt(a), 'same text');
+    assert.strictEqual(fixed._keyCache.size, 1);
+    assert.throws(() => new CortexEncryption({ secret: SECRET, salt: 'abcd' }), /Salt must be 16 bytes/);
+  });
+
+  await test('key file holds the salt and a key check, never the secret', async () => {
+    const metadata = readKeyMetadata(keyFile);
+    assert.strictEqual(metadata.salt.length, 32);
+    assert.ok(!fs.readFileSync(keyFile, 'utf8').includes(SECRET));
+    assert.strictEqual(fs.statSync(keyFile).mode & 0o777, 0o600);
+
+    const reopened = createStorageEncryption({ secret: SECRET, keyFile });
+    assert.strictEqual(reopened.decrypt(encryption.encrypt('x')), 'x');
+
+    assert.throws(() => createStorageEncryption({ secret: 'wrong', keyFile }), e => e.code === 'CORTEX_E501');
+    assert.throws(() => createStorageEncryption({ keyFile }), e => e.code === 'CORTEX_E502');
+  });
+
+  await test('field helpers only touch content/summary and pass plaintext through', async () => {
+    const stored = encryptFields({ id: 'a', content: SECRET_TEXT, summary: null, tags: ['x'] }, encryption);
+    assert.ok(encryption.isEncrypted(stored.content));
+    assert.strictEqual(stored.summary, null);
+    assert.deepStrictEqual(stored.tags, ['x']);
+    assert.strictEqual(encryptFields(stored, encryption).content, stored.content);
+
+    assert.strictEqual(decryptFields(stored, encryption).content, SECRET_TEXT);
+    assert.strictEqual(decryptFields({ content: 'plain' }, encryption).content, 'plain');
+    assert.strictEqual(decryptFields(stored, null), stored);
+  });
+
+  await test('getStorageEncryption follows the encryption config section', async () => {
+    assert.strictEqual(getStorageEncryption(), null);
+
+    const configPath = path.join(TEST_DIR, '.claude', 'memory', 'data', 'configs', 'current.json');
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, JSON.stringify({ version: '1.0.0', encryption: { enabled: true, keyFile } }));
+    resetStorageEncryption();
+    assert.throws(() => getStorageEncryption(), e => e.code === 'CORTEX_E502');
+
+    // Hooks skip their work with a warning instead of throwing
+    const writeError = process.stderr.write;
+    let warning = '';
+    process.stderr.write = (chunk) => { warning += chunk; return true; };
+    try {
+      assert.strictEqual(checkHookEncryption('SessionStart'), false);
+    } finally {
+      process.stderr.write = writeError;
+    }
+    assert.ok(warning.includes('SessionStart skipped: Encryption at rest is enabled but CORTEX_ENCRYPTION_SECRET is not set'));
+
+    process.env.CORTEX_ENCRYPTION_SECRET = SECRET;
+    resetStorageEncryption();
+    const shared = getStorageEncryption();
+    assert.ok(shared instanceof CortexEncryption);
+    assert.strictEqual(checkHookEncryption('SessionStart'), true);
+    assert.strictEqual(getStorageEncryption(), shared);
+    assert.ok(new JSONLStore(path.join(TEST_DIR, 'default.jsonl')).encryption === shared);
+
+    fs.rmSync(configPath);
+    delete process.env.CORTEX_ENCRYPTION_SECRET;
+    resetStorageEncryption();
+  });
+
+  await test('JSONLStore encrypts on disk and decrypts on load', async () => {
+    const filePath = path.join(TEST_DIR, 'jsonl', 'working.jsonl');
+    const store = new JSONLStore(filePath, { encryption });
+    await store.load();
+    const { id } = await store.append({ content: SECRET_TEXT, summary: 'vault path', type: 'learning' });
+    await store.update(id, { tags: ['ops'] });
+    assert.strictEqual(store.get(id).content, SECRET_TEXT);
+
+    await store.compact();
+    const raw = fs.readFileSync(filePath, 'utf8');
+    assert.ok(!raw.includes('vault path'));
+    assert.strictEqual(JSON.parse(raw.trim()).type, 'learning');
+
+    // Lines written before encryption was enabled still load
+    fs.appendFileSync(filePath, JSON.stringify({ id: 'legacy', content: 'plain legacy' }) + '\n');
+    const reloaded = new JSONLStore(filePath, { encryption });
+    const result = await reloaded.load();
+    assert.strictEqual(result.corrupted, 0);
+    assert.strictEqual(reloaded.get(id).content, SECRET_TEXT);
+    assert.deepStrictEqual(reloaded.get(id).tags, ['ops']);
+    assert.strictEqual(reloaded.get('legacy').content, 'plain legacy');
+
+    // Without the key the content stays opaque
+    const locked = new JSONLStore(filePath, { encryption: null });
+    await locked.load();
+    assert.ok(encryption.isEncrypted(locked.get(id).content));
+  });
+
+  await test('MemoryStore encrypts rows and version history', async () => {
+    const dbPath = path.join(TEST_DIR, 'sqlite', 'memories.db');
+    const store = new MemoryStore({ dbPath, encryption });
+    await store.initialize();
+
+    const { id } = await store.insert({ content: SECRET_TEXT, summary: 'vault path', source: 'user' });
+    store.update(id, { content: `${SECRET_TEXT} (rotated monthly)` });
+
+    assert.strictEqual(store.get(id).content, `${SECRET_TEXT} (rotated monthly)`);
+    assert.strictEqual(store.query({ limit: 5 })[0].summary, 'vault path');
+    assert.strictEqual(store.listVersions(id)[0].content, SECRET_TEXT);
+    assert.strictEqual(store.getMissingEmbeddings()[0].content, `${SECRET_TEXT} (rotated monthly)`);
+    assert.strictEqual(store.restoreVersion(id, 1).content, SECRET_TEXT);
+
+    const raw = store.store.queryOne('SELECT content, summary FROM memories WHERE id = @id', { id });
+    assert.ok(encryption.isEncrypted(raw.content) && encryption.isEncrypted(raw.summary));
+    const rawVersions = store.store.query('SELECT content FROM memory_versions WHERE memory_id = @id', { id });
+    assert.ok(rawVersions.every(row => encryption.isEncrypted(row.content)));
+    store.close();
+  });
+
+  await test('vector search returns decrypted memories', async () => {
+    const basePath = path.join(TEST_DIR, 'provider');
+    const provider = new VectorSearchProvider({ basePath, reranker: false, memoryStore: { encryption } });
+    assert.ok((await provider.initialize()).success);
+    provider._embedder = fakeEmbedder;
+    provider._hybridSearch.embedder = fakeEmbedder;
+
+    await provider.insert({ content: SECRET_TEXT, source: 'user' });
+    const { results } = await provider.search(SECRET_TEXT, { limit: 1 });
+    assert.strictEqual(results[0].memory.content, SECRET_TEXT);
+    await provider.shutdown();
+  });
+
+  await test('search drops BM25 on an encrypted store and reports it', async () => {
+    const basePath = path.join(TEST_DIR, 'provider-bm25');
+    const provider = new VectorSearchProvider({ basePath, reranker: false, memoryStore: { encryption } });
+    assert.ok((await provider.initialize()).success);
+    provider._embedder = fakeEmbedder;
+    provider._hybridSearch.embedder = fakeEmbedder;
+
+    await provider.insert({ content: SECRET_TEXT, source: 'user' });
+    const { results, stats } = await provider.search(SECRET_TEXT, { limit: 1 });
+    assert.deepStrictEqual(results[0].sources, ['vector']);
+    assert.strictEqual(stats.timings.bm25, null);
+
+    const search = provider._hybridSearch;
+    assert.strictEqual(search.getStats().config.bm25, false);
+    assert.deepStrictEqual(await search.search(SECRET_TEXT, { mode: 'bm25' }), []);
+    assert.strictEqual((await provider.healthCheck()).checks.search.message,
+      'Vector only: BM25 disabled, memory content is encrypted at rest');
+    await provider.shutdown();
+  });
+
+  await test('NeuralNetwork encrypts neuron content in the database', async () => {
+    const basePath = path.join(TEST_DIR, 'neural');
+    const dbPath = path.join(basePath, 'memories.db');
+    const network = new NeuralNetwork({ basePath, dbPath, encryption });
+    await network.initialize();
+    await network.addNeuron({ id: 'n1', content: SECRET_TEXT, summary: 'vault path', type: 'learning' });
+    await network.save();
+    network.close();
+    assertNoPlaintext(basePath, 'vault path');
+
+    const restored = new NeuralNetwork({ basePath, dbPath, encryption });
+    await restored.initialize();
+    assert.strictEqual(restored.nodes.get('n1').content, SECRET_TEXT);
+    assert.strictEqual(restored.nodes.get('n1').summary, 'vault path');
+    restored.close();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Migration and key rotation
+  // ---------------------------------------------------------------------------
+
+  const basePath = path.join(TEST_DIR, 'memory');
+  const migrationKeyFile = path.join(basePath, 'data', 'encryption.json');
+  let memoryId;
+
+  // Plaintext data as written before encryption was enabled
+  const plain = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db'), encryption: null });
+  await plain.initialize();
+  memoryId = (await plain.insert({ content: SECRET_TEXT, summary: 'vault path', source: 'user' })).id;
+  plain.update(memoryId, { content: `${SECRET_TEXT} v2` });
+  plain.close();
+
+  const working = new JSONLStore(path.join(basePath, 'data', 'memories', 'working.jsonl'), { encryption: null });
+  await working.load();
+  await working.append({ id: 'w1', content: SECRET_TEXT, summary: 'vault path' });
+  const annotations = new JSONLStore(path.join(basePath, 'annotations', 'episodic.jsonl'), { encryption: null });
+  await annotations.load();
+  await annotations.append({ id: 'a1', content: SECRET_TEXT });
+  const neural = new NeuralNetwork({ basePath: path.join(basePath, 'neural'), encryption: null });
+  await neural.initialize();
+  await neural.addNeuron({ id: 'n1', content: SECRET_TEXT, summary: 'vault path' });
+  await neural.save();
+  neural.close();
+
+  await test('--migrate encrypts every storage layer, and is repeatable', async () => {
+    const result = await encryptExistingData({ secret: SECRET, basePath, keyFile: migrationKeyFile });
+    assert.deepStrictEqual(result, {
+      memories: 1, versions: 2, jsonlFiles: 2, jsonlRecords: 2, neuralNodes: 1,
+    });
+    assertNoPlaintext(basePath, 'vault path');
+    assertNoPlaintext(basePath, 'staging database');
+
+    const again = await encryptExistingData({ secret: SECRET, basePath, keyFile: migrationKeyFile });
+    assert.strictEqual(again.memories + again.versions + again.jsonlRecords + again.neuralNodes, 0);
+
+    const coverage = await getEncryptionCoverage({ basePath });
+    assert.deepStrictEqual(coverage, { memories: 1, encrypted: 1, plaintext: 0 });
+
+    const key = createStorageEncryption({ secret: SECRET, keyFile: migrationKeyFile });
+    const store = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db'), encryption: key });
+    await store.initialize();
+    assert.strictEqual(store.get(memoryId).content, `${SECRET_TEXT} v2`);
+    assert.strictEqual(store.listVersions(memoryId)[0].content, SECRET_TEXT);
+    store.close();
+  });
+
+  await test('--rotate-key re-encrypts under the new secret', async () => {
+    const before = readKeyMetadata(migrationKeyFile);
+    const result = await rotateEncryptionKey({
+      secret: SECRET, newSecret: NEW_SECRET, basePath, keyFile: migrationKeyFile,
+    });
+    assert.strictEqual(result.memories + result.versions + result.jsonlRecords + result.neuralNodes, 6);
+
+    const after = readKeyMetadata(migrationKeyFile);
+    assert.notStrictEqual(after.salt, before.salt);
+    assert.strictEqual(after.createdAt, before.createdAt);
+    assert.ok(after.rotatedAt);
+    assert.throws(() => createStorageEncryption({ secret: SECRET, keyFile: migrationKeyFile }), /Decryption failed/);
+
+    const key = createStorageEncryption({ secret: NEW_SECRET, keyFile: migrationKeyFile });
+    const store = new JSONLStore(path.join(basePath, 'data', 'memories', 'working.jsonl'), { encryption: key });
+    await store.load();
+    assert.strictEqual(store.get('w1').content, SECRET_TEXT);
+    const restored = new NeuralNetwork({ basePath: path.join(basePath, 'neural'), encryption: key });
+    await restored.initialize();
+    assert.strictEqual(restored.nodes.get('n1').summary, 'vault path');
+
+    await assert.rejects(
+      () => rotateEncryptionKey({ secret: SECRET, newSecret: NEW_SECRET, basePath, keyFile: migrationKeyFile }),
+      e => e.code === 'CORTEX_E500' && /already been rotated/.test(e.details)
+    );
+    await assert.rejects(
+      () => rotateEncryptionKey({ secret: 'wrong', newSecret: 'other', basePath, keyFile: migrationKeyFile }),
+      e => e.code === 'CORTEX_E501'
+    );
+  });
+
+  await test('validates the encryption config section', async () => {
+    const validator = new ConfigValidator();
+    assert.ok(validator.validate({ version: '1', encryption: { enabled: true, keyFile: '~/k.json' } }).valid);
+    const { errors } = validator.validate({ version: '1', encryption: { enabled: 'yes', keyFile: '' } });
+    assert.strictEqual(errors.length, 2);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
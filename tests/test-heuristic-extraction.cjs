@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-heuristic-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/API key lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+delete process.env.ANTHROPIC_API_KEY;
+process.env.CORTEX_AUDIT = 'false';
+
+const { HeuristicExtractor, TYPE_LOBES } = require('../src/hooks/heuristic-extractor.cjs');
+const { ExtractionEngine } = require('../src/hooks/extraction-engine.cjs');
+const { StopHook } = require('../src/hooks/stop-hook.cjs');
+const { PreCompactHook } = require('../src/hooks/pre-compact.cjs');
+const { ConfigValidator } = require('../src/core/config.cjs');
+const { Redactor } = require('../src/core/redactor.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+const SESSION = [
+  { role: 'user', content: 'The deploy keeps failing with EACCES on the cache directory, can you look?' },
+  {
+    role: 'assistant',
+    content: [
+      'The issue was that the CI runner reuses a cache directory owned by root.',
+      'We decided to run the build as the node user because it matches production.',
+      'Reinstall the dependencies cleanly:',
+      '```bash',
+      '# wipe the old tree first',
+      'rm -rf node_modules',
+      'npm ci --ignore-scripts',
+      '```',
+      'The helper that resets permissions:',
+      '```js',
+      'function resetCachePermissions(dir) {',
+      '  fs.chmodSync(dir, 0o755);',
+      '}',
+      '```',
+    ].join('\n'),
+  },
+  { role: 'user', content: 'Remember: always run `npm ci --ignore-scripts` before publishing the package.' },
+  { role: 'assistant', content: '```console\n$ git status --short\n M package.json\n```\nThanks, that is all for now. Check the containers with `docker ps -a` later.' },
+];
+
+/** SamplingAdapter stand-in that counts calls */
+function fakeAdapter(mode, complete) {
+  return { mode, calls: 0, async complete() { this.calls++; return complete(); } };
+}
+
+async function main() {
+  console.log('\nHeuristic Extraction Tests\n');
+
+  await test('extracts sentences with the hook patterns into topology nodes', () => {
+    const nodes = new HeuristicExtractor().extract(SESSION);
+    const byRegion = region => nodes.filter(n => n.region === region);
+
+    const fix = byRegion('Error Resolution')[0];
+    assert.strictEqual(fix.type, 'pattern');
+    assert.strictEqual(fix.lobe, TYPE_LOBES.pattern);
+    assert.ok(fix.content.startsWith('The issue was that the CI runner'));
+
+    const decision = byRegion('Decisions')[0];
+    assert.strictEqual(decision.type, 'decision');
+    assert.strictEqual(decision.cluster, 'Run Build Node');
+
+    const remembered = byRegion('Explicit Memory')[0];
+    assert.strictEqual(remembered.type, 'insight');
+    assert.strictEqual(remembered.confidence, 0.9);
+
+    for (const node of nodes) {
+      for (const field of ['lobe', 'region', 'cluster', 'content', 'type']) {
+        assert.ok(typeof node[field] === 'string' && node[field], `${field} set on ${node.content}`);
+      }
+      assert.ok(Array.isArray(node.tags));
+    }
+  });
+
+  await test('detects code blocks and shell commands', () => {
+    const nodes = new HeuristicExtractor().extract(SESSION);
+    const commands = nodes.filter(n => n.region === 'Commands');
+
+    assert.deepStrictEqual(commands.map(n => n.cluster), ['rm', 'npm ci', 'git status', 'docker ps']);
+    assert.strictEqual(commands[1].content, 'Reinstall the dependencies cleanly: `npm ci --ignore-scripts`');
+    assert.strictEqual(commands[3].content, 'Check the containers with `docker ps -a` later.', 'inline command keeps its sentence');
+    assert.ok(!nodes.some(n => n.content.includes('M package.json')), 'console output is not a command');
+
+    const code = nodes.find(n => n.region === 'Js Code');
+    assert.strictEqual(code.type, 'skill');
+    assert.strictEqual(code.cluster, 'resetCachePermissions');
+    assert.ok(code.content.includes('```js\nfunction resetCachePermissions'));
+  });
+
+  await test('is deterministic and capped', () => {
+    const extractor = new HeuristicExtractor({ maxNodes: 3 });
+    assert.deepStrictEqual(extractor.extract(SESSION), extractor.extract(SESSION));
+    assert.strictEqual(extractor.extract(SESSION).length, 3);
+    assert.deepStrictEqual(extractor.extract([{ role: 'user', content: 'ok thanks' }]), []);
+  });
+
+  await test('ExtractionEngine falls back to heuristics without an LLM backend', async () => {
+    const adapter = fakeAdapter('none', () => { throw new Error('unreachable'); });
+    const engine = new ExtractionEngine({ basePath: path.join(TEST_DIR, 'auto'), redactor: new Redactor(), samplingAdapter: adapter });
+
+    const result = await engine.extract({ messages: SESSION, sessionId: 'sess-offline', context: { projectHash: 'p1' } });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.stats.method, 'heuristic');
+    assert.strictEqual(adapter.calls, 0);
+    assert.ok(result.stats.persisted > 0);
+
+    const skill = result.extracted.find(m => m.region === 'Commands');
+    assert.strictEqual(skill.extractionConfidence, 0.7);
+    assert.ok(skill.summary.startsWith('[Parietal/Commands/'));
+
+    const stored = (await engine.getStore()).query({ source: 'extraction' });
+    assert.strictEqual(stored.length, result.stats.persisted);
+    engine.close();
+  });
+
+  await test('auto mode uses heuristics when the LLM call fails, llm mode does not', async () => {
+    const failing = () => fakeAdapter('api', () => { throw new Error('overloaded'); });
+
+    const auto = new ExtractionEngine({ basePath: path.join(TEST_DIR, 'fallback'), redactor: new Redactor(), samplingAdapter: failing() });
+    const recovered = await auto.extract({ messages: SESSION, sessionId: 'sess-a' });
+    assert.strictEqual(recovered.success, true);
+    assert.strictEqual(recovered.stats.method, 'heuristic');
+    assert.strictEqual(recovered.stats.llmError, 'overloaded');
+    assert.ok(recovered.extracted.length > 0);
+    auto.close();
+
+    const strict = new ExtractionEngine({ basePath: path.join(TEST_DIR, 'strict'), mode: 'llm', redactor: new Redactor(), samplingAdapter: failing() });
+    const result = await strict.extract({ messages: SESSION, sessionId: 'sess-b' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.stats.reason, 'overloaded');
+    strict.close();
+  });
+
+  await test('heuristic mode never calls the LLM', async () => {
+    const adapter = fakeAdapter('api', () => ({ text: '{"nodes":[]}', model: 'claude-sonnet-4-6', mode: 'api' }));
+    const engine = new ExtractionEngine({ basePath: path.join(TEST_DIR, 'forced'), mode: 'heuristic', redactor: new Redactor(), samplingAdapter: adapter });
+
+    const result = await engine.extract({ messages: SESSION, sessionId: 'sess-c' });
+    assert.strictEqual(result.stats.method, 'heuristic');
+    assert.strictEqual(adapter.calls, 0);
+    engine.close();
+
+    assert.throws(() => new ExtractionEngine({ basePath: TEST_DIR, mode: 'regex', samplingAdapter: adapter }), /Invalid extraction mode/);
+  });
+
+  await test('Stop and PreCompact hooks keep using the shared pattern sets', () => {
+    const stop = new StopHook({ basePath: TEST_DIR })._extractHighSignal(
+      'Remember: the staging database only accepts connections from the VPN. It was fixed by rotating the TLS certificate.'
+    );
+    assert.deepStrictEqual(stop.map(i => i.type), ['preference', 'pattern']);
+
+    const compact = new PreCompactHook({ basePath: TEST_DIR })._extractCriticalInfo(
+      'We decided to keep SQLite for the local cache. The trick is to enable WAL mode before the first write.'
+    );
+    assert.deepStrictEqual(compact.map(i => i.type), ['decision', 'insight']);
+  });
+
+  await test('config validation checks extraction.mode', () => {
+    const validator = new ConfigValidator();
+    assert.deepStrictEqual(validator.validate({ version: '1.0', extraction: { mode: 'heuristic' } }).errors, []);
+    assert.strictEqual(validator.validate({ version: '1.0', extraction: { mode: 'regex' } }).errors.length, 1);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -269,21 +269,18 @@ async function testExtractionEngine() {
     minSessionLength: 2,
   });
 
-  // Mock Anthropic client for tests
-  engine.anthropic = {
-    messages: {
-      create: async () => ({
-        content: [{
-          type: 'tool_use',
-          name: 'create_cortex_topology_nodes',
-          input: {
-            nodes: [
-              { lobe: 'Test Lobe', region: 'Test Region', cluster: 'Test Cluster', type: 'skill', content: 'npm install --force', tags: ['npm'] }
-            ]
-          }
-        }]
-      })
-    }
+  // Mock LLM backend for tests
+  engine.samplingAdapter = {
+    mode: 'api',
+    complete: async () => ({
+      text: JSON.stringify({
+        nodes: [
+          { lobe: 'Test Lobe', region: 'Test Region', cluster: 'Test Cluster', type: 'skill', content: 'npm install --force', tags: ['npm'] }
+        ],
+      }),
+      model: 'claude-sonnet-4-6',
+      mode: 'api',
+    }),
   };
 
   total++;
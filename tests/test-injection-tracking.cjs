@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-ledger-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/encryption lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+process.env.CORTEX_AUDIT = 'false';
+delete process.env.CORTEX_ENCRYPTION_SECRET;
+delete process.env.CORTEX_SESSION_ID;
+
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+const { InjectionLedger, LEDGER_MAX_AGE_MS } = require('../src/hooks/injection-ledger.cjs');
+const { ReferenceDetector } = require('../src/hooks/reference-detector.cjs');
+const { SessionStartHook } = require('../src/hooks/session-start.cjs');
+const { SessionEndHook } = require('../src/hooks/session-end.cjs');
+const { ExtractionEngine } = require('../src/hooks/extraction-engine.cjs');
+
+// Extraction calls the API; these tests only cover reference tracking
+ExtractionEngine.prototype.extract = async () => ({ success: true, extracted: [], stats: {} });
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Minimal config manager stand-in
+ * @param {Object} [values] - Dotted keys
+ */
+function makeConfig(values = {}) {
+  const defaults = {
+    'sessionStart.enabled': true,
+    'sessionStart.format': 'compact',
+    'sessionEnd.enabled': true,
+  };
+  return { get: key => ({ ...defaults, ...values })[key] };
+}
+
+/**
+ * Open a store below a fresh base path
+ * @param {string} name
+ */
+async function openBase(name) {
+  const basePath = path.join(TEST_DIR, name);
+  const store = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db') });
+  await store.initialize();
+  return { basePath, store };
+}
+
+const RETRY_MEMORY = 'Wrap flaky network calls in retryWithBackoff from src/lib/retry.js; the payments sandbox drops connections under load';
+const DOCKER_MEMORY = 'Docker compose healthchecks need curl installed in the alpine image';
+
+async function main() {
+  console.log('\nInjection Ledger & Reference Tracking Tests\n');
+
+  await test('ledger records rank, format and tokens and tracks scoring', async () => {
+    const ledger = new InjectionLedger({ basePath: path.join(TEST_DIR, 'ledger') });
+    ledger.record('s1', 'SessionStart', [
+      { id: 'm1', content: 'x'.repeat(40), _source: 'vector' },
+      { id: 'm2', summary: 'short' },
+    ], { format: 'rich' });
+    ledger.record('s1', 'UserPromptSubmit', [{ id: 'm1', content: 'again' }]);
+
+    const [first] = ledger.getEntries('s1');
+    assert.strictEqual(first.event, 'injected');
+    assert.strictEqual(first.format, 'rich');
+    assert.strictEqual(first.tokens, 10);
+    assert.strictEqual(first.rank, 1);
+    assert.strictEqual(first.source, 'vector');
+
+    assert.deepStrictEqual(ledger.getUnscored('s1').map(e => [e.memoryId, e.hook]),
+      [['m1', 'SessionStart'], ['m2', 'SessionStart']]);
+
+    ledger.recordOutcomes('s1', [{ memoryId: 'm1', referenced: true, score: 0.8 }]);
+    assert.deepStrictEqual(ledger.getUnscored('s1').map(e => e.memoryId), ['m2']);
+    assert.deepStrictEqual([...ledger.getInjectedIds('s1')].sort(), ['m1', 'm2']);
+  });
+
+  await test('ledger lines without an event are read as injections', async () => {
+    const ledger = new InjectionLedger({ basePath: path.join(TEST_DIR, 'legacy') });
+    fs.mkdirSync(ledger.dir, { recursive: true });
+    fs.writeFileSync(ledger.getPath('old'), JSON.stringify({ sessionId: 'old', memoryId: 'm9', rank: 1 }) + '\n');
+    assert.deepStrictEqual(ledger.getUnscored('old').map(e => e.memoryId), ['m9']);
+  });
+
+  await test('reference detector matches ids, phrases and distinctive terms only', () => {
+    const detector = new ReferenceDetector();
+    const memory = { id: 'mem_abc123', content: RETRY_MEMORY };
+
+    assert.strictEqual(detector.detect(memory, 'As noted in mem_abc123, retry.').reason, 'id');
+    assert.strictEqual(
+      detector.detect(memory, 'I will wrap flaky network calls in retryWithBackoff here.').reason,
+      'phrase'
+    );
+
+    const terms = detector.detect(memory,
+      'Connections to the payments sandbox keep dropping under load; retryWithBackoff handles it.');
+    assert.strictEqual(terms.referenced, true);
+    assert.strictEqual(terms.reason, 'terms');
+
+    const unrelated = detector.detect(memory, 'Updated the README and bumped the version number.');
+    assert.strictEqual(unrelated.referenced, false);
+
+    const stock = detector.detect(
+      { id: 'x', content: 'it is a good idea to do this in the morning' },
+      'it is a good idea to do this now'
+    );
+    assert.strictEqual(stock.referenced, false, 'stopword runs are not phrases');
+  });
+
+  await test('assistant text includes text blocks and tool inputs, not user turns', () => {
+    const detector = new ReferenceDetector();
+    const text = detector.assistantText([
+      { role: 'user', content: 'use retryWithBackoff' },
+      { role: 'assistant', content: [
+        { type: 'text', text: 'Editing the client.' },
+        { type: 'tool_use', name: 'Edit', input: { new_string: 'await retryWithBackoff(call)' } },
+      ] },
+    ]);
+    assert.ok(text.includes('Editing the client.'));
+    assert.ok(text.includes('await retryWithBackoff(call)'));
+    assert.ok(!text.includes('use retryWithBackoff'));
+  });
+
+  await test('SessionStart writes injected memories to the ledger', async () => {
+    const { basePath, store } = await openBase('start');
+    await store.insert({ content: RETRY_MEMORY, tier: 'working', source: 'stop-hook', memory_type: 'learning' });
+    store.close();
+
+    const hook = new SessionStartHook({ basePath, config: makeConfig() });
+    // Tests run without an embedding model; exercise the JSONL tier path only
+    hook.orchestrator.registry.unregister('vector');
+    const result = await hook.execute({ session_id: 'start-session', cwd: TEST_DIR });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.sessionId, 'start-session');
+    const entries = new InjectionLedger({ basePath }).getEntries('start-session');
+    assert.strictEqual(entries.length, result.stats.memoriesSelected);
+    assert.ok(entries.length >= 1);
+    assert.strictEqual(entries[0].hook, 'SessionStart');
+    assert.strictEqual(entries[0].format, 'compact');
+  });
+
+  await test('SessionEnd scores injections once and updates usage_success_rate', async () => {
+    const { basePath, store } = await openBase('end');
+    const { id: used } = await store.insert({ content: RETRY_MEMORY, source: 'user' });
+    const { id: ignored } = await store.insert({ content: DOCKER_MEMORY, source: 'user' });
+    const before = store.get(ignored).usage_success_rate;
+    store.close();
+
+    const ledger = new InjectionLedger({ basePath });
+    ledger.record('end-session', 'SessionStart', [{ id: used }, { id: ignored }, { id: 'claudemd:1' }]);
+
+    const transcript = path.join(basePath, 'transcript.jsonl');
+    fs.writeFileSync(transcript, [
+      { type: 'user', message: { role: 'user', content: 'The payment tests keep timing out' } },
+      { type: 'assistant', message: { role: 'assistant', content: [
+        { type: 'text', text: 'The payments sandbox drops connections, so I wrapped the call in retryWithBackoff.' },
+      ] } },
+      { type: 'user', message: { role: 'user', content: 'Thanks, that works' } },
+    ].map(line => JSON.stringify(line)).join('\n'));
+
+    const hook = new SessionEndHook({ basePath, config: makeConfig() });
+    const result = await hook.execute({ session_id: 'end-session', transcript_path: transcript });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.references, { scored: 2, referenced: 1 });
+
+    const again = await hook.execute({ session_id: 'end-session', transcript_path: transcript });
+    assert.strictEqual(again.references.scored, 0, 'already scored');
+    hook.extractionEngine.close();
+
+    const check = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db') });
+    await check.initialize();
+    const usedRow = check.get(used);
+    const ignoredRow = check.get(ignored);
+    check.close();
+
+    assert.strictEqual(usedRow.usage_count, 1);
+    assert.ok(usedRow.usage_success_rate > ignoredRow.usage_success_rate);
+    assert.ok(ignoredRow.usage_success_rate < before);
+    assert.ok(!fs.existsSync(ledger.getPath('end-session')), 'ledger deleted once scored');
+  });
+
+  await test('SessionEnd feeds reference outcomes to the LADS OutcomeScorer', async () => {
+    const { basePath, store } = await openBase('lads');
+    const { id: used } = await store.insert({ content: RETRY_MEMORY, source: 'user' });
+    const { id: ignored } = await store.insert({ content: DOCKER_MEMORY, source: 'user' });
+    store.close();
+    new InjectionLedger({ basePath }).record('lads-session', 'SessionStart', [{ id: used }, { id: ignored }]);
+
+    const hook = new SessionEndHook({ basePath, config: makeConfig() });
+    await hook.lads.initialize();
+    const decision = await hook.lads.trackDecision({
+      sessionId: 'lads-session',
+      decisionType: 'memory_injection',
+      choice: 'injected_2_memories',
+      alternatives: ['inject_none'],
+    });
+
+    const result = await hook.execute({
+      session_id: 'lads-session',
+      messages: [
+        { role: 'user', content: 'The payment tests keep timing out' },
+        { role: 'assistant', content: 'The payments sandbox drops connections, so I wrapped the call in retryWithBackoff.' },
+      ],
+    });
+    hook.extractionEngine.close();
+    assert.deepStrictEqual(result.references, { scored: 2, referenced: 1 });
+
+    const scorer = hook.lads.outcomeScorer;
+    assert.deepStrictEqual(scorer.getSignals(decision.id).filter(s => s.type === 'injection').map(s => s.memoryId),
+      [used, ignored]);
+    assert.strictEqual(scorer.usageCollector.getSignal(used).referenced, true);
+    assert.strictEqual(scorer.usageCollector.getSignal(ignored).referenced, false);
+    assert.deepStrictEqual(hook._injectionUsage({ id: decision.id, decisionType: 'memory_injection' }),
+      { injected: 2, referenced: 1 });
+  });
+
+  await test('SessionEnd prunes ledgers of sessions that never ended', async () => {
+    const { basePath, store } = await openBase('prune');
+    store.close();
+    const ledger = new InjectionLedger({ basePath });
+    ledger.record('stale-session', 'SessionStart', [{ id: 'm1' }]);
+    ledger.record('live-session', 'SessionStart', [{ id: 'm2' }]);
+    const old = new Date(Date.now() - LEDGER_MAX_AGE_MS - 60000);
+    fs.utimesSync(ledger.getPath('stale-session'), old, old);
+
+    const hook = new SessionEndHook({ basePath, config: makeConfig({ 'sessionEnd.trackReferences': false }) });
+    await hook.execute({ session_id: 'other-session', messages: [{ role: 'assistant', content: 'Done.' }] });
+    hook.extractionEngine.close();
+
+    assert.ok(!fs.existsSync(ledger.getPath('stale-session')));
+    assert.ok(fs.existsSync(ledger.getPath('live-session')));
+  });
+
+  await test('sessionEnd.trackReferences=false leaves the ledger untouched', async () => {
+    const { basePath, store } = await openBase('off');
+    const { id } = await store.insert({ content: RETRY_MEMORY, source: 'user' });
+    store.close();
+    const ledger = new InjectionLedger({ basePath });
+    ledger.record('off-session', 'SessionStart', [{ id }]);
+
+    const hook = new SessionEndHook({ basePath, config: makeConfig({ 'sessionEnd.trackReferences': false }) });
+    const result = await hook.execute({
+      session_id: 'off-session',
+      messages: [{ role: 'assistant', content: `Used ${id}` }],
+    });
+    hook.extractionEngine.close();
+
+    assert.deepStrictEqual(result.references, { scored: 0, referenced: 0 });
+    assert.strictEqual(ledger.getUnscored('off-session').length, 1);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
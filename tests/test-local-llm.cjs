@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-local-llm-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/API key lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+delete process.env.ANTHROPIC_API_KEY;
+process.env.CORTEX_AUDIT = 'false';
+
+const { SamplingAdapter } = require('../src/cortex/sampling-adapter.cjs');
+const { CostTracker } = require('../src/core/cost-tracker.cjs');
+const { ConfigValidator } = require('../src/core/config.cjs');
+const { HaikuWorker } = require('../src/cortex/haiku-worker.cjs');
+const { SonnetThinker } = require('../src/cortex/sonnet-thinker.cjs');
+const { ExtractionEngine } = require('../src/hooks/extraction-engine.cjs');
+const { Redactor } = require('../src/core/redactor.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Minimal OpenAI-compatible server answering POST /v1/chat/completions
+ * @param {Function} reply - (body) => content string, or {status, body} for errors
+ * @returns {Promise<{baseUrl: string, requests: Object[], close: Function}>}
+ */
+function startFakeServer(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push({ url: req.url, headers: req.headers, body });
+      const answer = reply(body);
+      if (typeof answer === 'object') {
+        res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+        res.end(answer.body);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 42, completion_tokens: 7 },
+      }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+async function main() {
+  console.log('\nLocal LLM Backend Tests\n');
+
+  const fake = await startFakeServer(body => {
+    const prompt = body.messages[body.messages.length - 1].content;
+    if (prompt.includes('fail')) return { status: 503, body: '{"error":"model not loaded"}' };
+    if (prompt.startsWith('Extract Neural Cortex nodes')) {
+      return '```json\n' + JSON.stringify({
+        nodes: [
+          { lobe: 'Parietal', region: 'Tooling', cluster: 'Ollama', type: 'insight', tags: ['llm'],
+            content: 'Always pin the Ollama model tag because latest silently changed the quantization last week' },
+          { lobe: 'Parietal', region: 'Tooling', cluster: 'Broken', type: 'insight' },
+        ],
+      }) + '\n```';
+    }
+    return `echo:${body.model}`;
+  });
+  const local = { enabled: true, baseUrl: fake.baseUrl, models: { fast: 'qwen2.5:3b', deep: 'qwen2.5:14b' } };
+
+  await test('picks sampling, then local, then API', () => {
+    const mcpContext = { requestSampling: async () => ({}) };
+    assert.strictEqual(new SamplingAdapter({ mcpContext, local, apiKey: 'test-key' }).mode, 'sampling');
+    assert.strictEqual(new SamplingAdapter({ local, apiKey: 'test-key' }).mode, 'local');
+    assert.strictEqual(new SamplingAdapter({ local: { enabled: false }, apiKey: 'test-key' }).mode, 'api');
+    assert.strictEqual(new SamplingAdapter({ local: { enabled: false } }).mode, 'none');
+
+    const adapter = new SamplingAdapter({ local });
+    assert.strictEqual(adapter.runWithMcpContext(mcpContext, () => adapter.mode), 'sampling');
+    assert.strictEqual(adapter.runWithMcpContext(undefined, () => adapter.mode), 'local');
+    assert.strictEqual(adapter.mode, 'local');
+  });
+
+  await test('keeps the MCP context of concurrent calls apart', async () => {
+    const adapter = new SamplingAdapter({ local: { enabled: false } });
+    const client = name => ({
+      async requestSampling() {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { content: { type: 'text', text: `from ${name}` }, model: name };
+      },
+    });
+
+    const [a, b, none] = await Promise.all([
+      adapter.runWithMcpContext(client('a'), () => adapter.complete('hi')),
+      adapter.runWithMcpContext(client('b'), async () => {
+        await new Promise(resolve => setTimeout(resolve, 2));
+        return adapter.complete('hi');
+      }),
+      adapter.runWithMcpContext(null, async () => adapter.mode),
+    ]);
+    assert.strictEqual(a.text, 'from a');
+    assert.strictEqual(b.text, 'from b');
+    assert.strictEqual(none, 'none');
+    assert.strictEqual(adapter.mcpContext, null, 'the shared adapter is not modified');
+  });
+
+  await test('sends chat completions with the model of the speed tier', async () => {
+    const adapter = new SamplingAdapter({ local: { ...local, apiKey: 'secret', baseUrl: `${fake.baseUrl}/` } });
+    fake.requests.length = 0;
+
+    const fast = await adapter.complete('hello', { speed: 'fast', maxTokens: 128, systemPrompt: 'Be brief' });
+    assert.strictEqual(fast.text, 'echo:qwen2.5:3b');
+    assert.strictEqual(fast.mode, 'local');
+    assert.deepStrictEqual(fast.usage, { inputTokens: 42, outputTokens: 7 });
+
+    const [request] = fake.requests;
+    assert.strictEqual(request.url, '/v1/chat/completions');
+    assert.strictEqual(request.headers.authorization, 'Bearer secret');
+    assert.deepStrictEqual(request.body.messages, [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'hello' },
+    ]);
+    assert.strictEqual(request.body.max_tokens, 128);
+    assert.strictEqual(request.body.response_format, undefined);
+
+    const deep = await adapter.complete('hello', { speed: 'deep', json: true });
+    assert.strictEqual(deep.model, 'qwen2.5:14b');
+    assert.deepStrictEqual(fake.requests[1].body.response_format, { type: 'json_object' });
+  });
+
+  await test('surfaces server errors with the status code', async () => {
+    const adapter = new SamplingAdapter({ local });
+    await assert.rejects(() => adapter.complete('please fail'), /\(503\).*model not loaded/);
+  });
+
+  await test('HaikuWorker uses the local server without an API key or spend', async () => {
+    const basePath = path.join(TEST_DIR, 'haiku');
+    const costTracker = new CostTracker({ basePath, dailyUsd: 0 });
+    const worker = new HaikuWorker({ basePath, costTracker, samplingAdapter: new SamplingAdapter({ local }) });
+
+    assert.strictEqual(worker._llmAvailable(), true);
+    assert.strictEqual(await worker._callHaiku('system', 'query'), 'echo:qwen2.5:3b');
+    assert.strictEqual(worker.stats.budgetSkips, 0);
+    assert.strictEqual(costTracker.getSpend().today.calls, 0);
+
+    // Server errors fall back like API errors do
+    assert.strictEqual(await worker._callHaiku('system', 'please fail'), null);
+
+    const offline = new HaikuWorker({ basePath, costTracker, samplingAdapter: new SamplingAdapter({ local: { enabled: false } }) });
+    assert.strictEqual(offline._llmAvailable(), false);
+  });
+
+  await test('SonnetThinker uses the deep model and ignores the budget', async () => {
+    const basePath = path.join(TEST_DIR, 'sonnet');
+    const costTracker = new CostTracker({ basePath, monthlyUsd: 0 });
+    const thinker = new SonnetThinker({ basePath, costTracker, samplingAdapter: new SamplingAdapter({ local }) });
+
+    assert.strictEqual(await thinker._callSonnet('system', 'think'), 'echo:qwen2.5:14b');
+    assert.strictEqual(thinker.stats.totalCost, 0);
+    await assert.rejects(() => thinker._callSonnet('system', 'please fail'), /503/);
+  });
+
+  await test('ExtractionEngine parses JSON nodes from the local server', async () => {
+    const basePath = path.join(TEST_DIR, 'extraction');
+    const engine = new ExtractionEngine({ basePath, redactor: new Redactor(), samplingAdapter: new SamplingAdapter({ local }) });
+    fake.requests.length = 0;
+
+    const result = await engine.extract({ messages: [{ role: 'user', content: 'notes' }], sessionId: 'sess-local' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.stats.candidatesFound, 1, 'node without content is dropped');
+    assert.strictEqual(result.stats.persisted, 1);
+    assert.strictEqual(fake.requests[0].body.model, 'qwen2.5:14b');
+    assert.ok(fake.requests[0].body.messages[0].content.includes('"nodes"'));
+    engine.close();
+  });
+
+  await test('config validation checks llm.local', () => {
+    const validator = new ConfigValidator();
+    assert.deepStrictEqual(validator.validate({
+      version: '1.0',
+      llm: { local: { enabled: true, baseUrl: 'http://localhost:8080/v1', models: { fast: 'phi3' }, timeoutMs: 30000 } },
+    }).errors, []);
+
+    const { errors } = validator.validate({
+      version: '1.0',
+      llm: { local: { enabled: 'yes', baseUrl: 'localhost:8080', models: { deep: '' }, timeoutMs: 10 } },
+    });
+    assert.strictEqual(errors.length, 4);
+  });
+
+  await fake.close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { startHttpTransport } = require('../src/cortex/mcp-http-transport.cjs');
+const { ApiTokenStore } = require('../src/core/api-tokens.cjs');
+
+const SERVER_PATH = path.join(__dirname, '..', 'src', 'cortex', 'server.cjs');
+const TEST_HOME = path.join(os.tmpdir(), `cortex-mcp-http-${Date.now()}`);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Start server.cjs in HTTP mode on a random port
+ * @returns {Promise<{child: ChildProcess, url: string}>}
+ */
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER_PATH, '--transport', 'http', '--port', '0'], {
+      env: { ...process.env, HOME: TEST_HOME, CORTEX_AUDIT_CONSOLE: 'false' },
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+
+    let stderr = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${stderr}`)), 20000);
+
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      const match = stderr.match(/listening on (http:\/\/[^\s]+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ child, url: match[1] });
+      }
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${stderr}`));
+    });
+  });
+}
+
+async function connectClient(url, name, requestInit) {
+  const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+  const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+  const client = new Client({ name, version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url), { requestInit });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+async function callHealth(client) {
+  const result = await client.callTool({ name: 'cortex__health', arguments: { includeStats: false } });
+  assert.ok(!result.isError, result.content[0].text);
+  return JSON.parse(result.content[0].text);
+}
+
+function readAuditEntries() {
+  const logDir = path.join(TEST_HOME, '.claude', 'memory', 'logs');
+  return fs.readdirSync(logDir)
+    .flatMap(file => fs.readFileSync(path.join(logDir, file), 'utf8').trim().split('\n'))
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+async function main() {
+  fs.mkdirSync(TEST_HOME, { recursive: true });
+
+  console.log('\n🌐 Testing: MCP Streamable HTTP transport');
+
+  const { child, url } = await startServer();
+  try {
+    await runTests(url);
+    await runTransportTests();
+  } finally {
+    child.kill();
+    fs.rmSync(TEST_HOME, { recursive: true, force: true });
+  }
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+async function runTests(url) {
+  const a = await connectClient(url, 'editor-a');
+  const b = await connectClient(url, 'editor-b');
+
+  await test('serves the same tools, resources and prompts to every client', async () => {
+    const [toolsA, toolsB] = await Promise.all([a.client.listTools(), b.client.listTools()]);
+    assert.ok(toolsA.tools.some(t => t.name === 'cortex__query'));
+    assert.deepStrictEqual(toolsA.tools.map(t => t.name), toolsB.tools.map(t => t.name));
+
+    const resources = await a.client.listResources();
+    assert.ok(resources.resources.some(r => r.uri === 'cortex://events/changes'));
+
+    const prompts = await b.client.listPrompts();
+    assert.ok(prompts.prompts.length > 0);
+  });
+
+  await test('assigns each client its own session', async () => {
+    assert.ok(a.transport.sessionId);
+    assert.ok(b.transport.sessionId);
+    assert.notStrictEqual(a.transport.sessionId, b.transport.sessionId);
+  });
+
+  await test('keeps rate limits and audit counters per session', async () => {
+    await callHealth(a.client);
+    await callHealth(a.client);
+    const healthA = await callHealth(a.client);
+    const healthB = await callHealth(b.client);
+
+    assert.strictEqual(healthA.session.transport, 'http');
+    assert.strictEqual(healthA.session.client, 'editor-a');
+    assert.strictEqual(healthA.session.id, a.transport.sessionId);
+    assert.strictEqual(healthB.session.client, 'editor-b');
+
+    assert.strictEqual(healthA.auditLog.sessionCalls, 3);
+    assert.strictEqual(healthB.auditLog.sessionCalls, 1);
+    assert.strictEqual(healthA.rateLimits.totalCalls, 2);
+    assert.strictEqual(healthB.rateLimits.totalCalls, 0);
+  });
+
+  await test('tags audit entries with the session and client', async () => {
+    const starts = readAuditEntries().filter(e => e.event === 'tool_call_start' && e.tool === 'cortex__health');
+    const bySession = {};
+    for (const entry of starts) {
+      bySession[entry.sessionId] = (bySession[entry.sessionId] || 0) + 1;
+      assert.strictEqual(entry.transport, 'http');
+    }
+    assert.strictEqual(bySession[a.transport.sessionId], 3);
+    assert.strictEqual(bySession[b.transport.sessionId], 1);
+    assert.ok(starts.some(e => e.client === 'editor-b'));
+  });
+
+  await test('rejects requests without a valid session', async () => {
+    const noSession = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.strictEqual(noSession.status, 400);
+
+    const unknown = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'mcp-session-id': 'not-a-session',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.strictEqual(unknown.status, 404);
+  });
+
+  await test('ends a session on DELETE', async () => {
+    const sessionId = b.transport.sessionId;
+    await b.transport.terminateSession();
+
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'mcp-session-id': sessionId,
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+    });
+    assert.strictEqual(res.status, 404);
+
+    const ends = readAuditEntries().filter(e => e.event === 'session_end' && e.sessionId === sessionId);
+    assert.strictEqual(ends.length, 1);
+  });
+
+  await a.client.close();
+  await b.client.close();
+}
+
+/**
+ * Start the transport in-process with bare SDK servers
+ * @param {Object} [options] - startHttpTransport options
+ */
+async function startBareTransport(options = {}) {
+  const { Server } = await import('@modelcontextprotocol/sdk/server/index.js');
+  return startHttpTransport({
+    port: 0,
+    log: () => {},
+    openSession: () => ({
+      server: new Server({ name: 'bare', version: '1.0.0' }, { capabilities: {} }),
+      dispose: () => {},
+    }),
+    ...options,
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTransportTests() {
+  await test('refuses a non-loopback host without token authentication', async () => {
+    await assert.rejects(() => startBareTransport({ host: '0.0.0.0' }), /non-loopback host 0\.0\.0\.0/);
+  });
+
+  await test('requires a write-scoped bearer token on a non-loopback host', async () => {
+    const tokenStore = new ApiTokenStore({ tokensPath: path.join(TEST_HOME, 'api-tokens.json') });
+    const reader = tokenStore.mint({ name: 'reader', scopes: ['read'] }).token;
+    const writer = tokenStore.mint({ name: 'writer', scopes: ['write'] }).token;
+
+    const transport = await startBareTransport({ host: '0.0.0.0', tokenStore });
+    const url = `http://127.0.0.1:${transport.httpServer.address().port}/mcp`;
+    try {
+      const initialize = (headers) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'probe', version: '1.0.0' } },
+        }),
+      });
+
+      const anonymous = await initialize({});
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer realm="cortex"');
+      assert.strictEqual((await initialize({ Authorization: 'Bearer ctx_unknown' })).status, 401);
+      assert.strictEqual((await initialize({ Authorization: `Bearer ${reader}` })).status, 403);
+      assert.strictEqual(transport.sessions.size, 0);
+
+      const { client, transport: clientTransport } = await connectClient(url, 'remote', {
+        headers: { Authorization: `Bearer ${writer}` },
+      });
+      assert.ok(transport.sessions.has(clientTransport.sessionId));
+      await client.close();
+    } finally {
+      await transport.close();
+    }
+  });
+
+  await test('keeps a session with an open SSE stream past the idle timeout', async () => {
+    const transport = await startBareTransport();
+    const url = `http://127.0.0.1:${transport.httpServer.address().port}/mcp`;
+    try {
+      const { client, transport: clientTransport } = await connectClient(url, 'listener');
+      const entry = transport.sessions.get(clientTransport.sessionId);
+      for (let i = 0; i < 50 && entry.openStreams === 0; i++) await sleep(20);
+      assert.strictEqual(entry.openStreams, 1, 'client opened its GET stream');
+
+      entry.lastSeen = 0;
+      transport.sweepIdleSessions();
+      await sleep(50);
+      assert.ok(transport.sessions.has(clientTransport.sessionId));
+
+      // Closing the stream refreshes lastSeen; once idle again the sweep ends the session
+      await client.close();
+      for (let i = 0; i < 50 && entry.openStreams > 0; i++) await sleep(20);
+      assert.strictEqual(entry.openStreams, 0);
+      assert.ok(entry.lastSeen > 0);
+
+      entry.lastSeen = 0;
+      transport.sweepIdleSessions();
+      await sleep(50);
+      assert.ok(!transport.sessions.has(clientTransport.sessionId));
+    } finally {
+      await transport.close();
+    }
+  });
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
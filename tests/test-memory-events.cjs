@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+const { MemoryChangeFeed, matchesEventFilters } = require('../src/core/memory-events.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-memory-events-${Date.now()}`);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+  const dbPath = path.join(TEST_DIR, 'memories.db');
+
+  const store = new MemoryStore({ dbPath });
+  await store.initialize();
+
+  console.log('\n📡 Testing: Memory change events');
+
+  let firstId;
+
+  await test('records insert, update, invalidate and delete events', async () => {
+    const { id } = await store.insert({ content: 'Use pnpm', source: 'user', memory_type: 'preference', project_hash: 'p1' });
+    firstId = id;
+    store.update(id, { content: 'Use pnpm workspaces' });
+    store.update(id, { valid_to: '2026-01-01T00:00:00.000Z' });
+    store.delete(id);
+
+    const events = store.getEventsSince(0);
+    assert.deepStrictEqual(events.map(e => e.type), ['insert', 'update', 'invalidate', 'delete']);
+    assert.ok(events.every(e => e.memory_id === id && e.project_hash === 'p1' && e.memory_type === 'preference'));
+    assert.deepStrictEqual(events[1].details.fields, ['content']);
+    assert.strictEqual(events[3].details.hard, false);
+    assert.ok(events[1].id > events[0].id);
+  });
+
+  await test('does not emit events for bookkeeping updates', async () => {
+    const before = store.getLatestEventId();
+    store.update(firstId, { strength: 0.4, decay_score: 0.3 });
+    store.recordAccess(firstId);
+    assert.strictEqual(store.getLatestEventId(), before);
+  });
+
+  await test('keeps memory metadata on hard delete events', async () => {
+    const { id } = await store.insert({ content: 'Temp', source: 'user', memory_type: 'fact' });
+    store.delete(id, true);
+    const [last] = store.getEventsSince(store.getLatestEventId() - 1);
+    assert.strictEqual(last.type, 'delete');
+    assert.strictEqual(last.memory_type, 'fact');
+    assert.strictEqual(last.details.hard, true);
+  });
+
+  await test('prunes the log to the most recent events', async () => {
+    const latest = store.getLatestEventId();
+    const removed = store.pruneEvents(2);
+    assert.strictEqual(removed, latest - 2);
+    assert.strictEqual(store.getEventsSince(0).length, 2);
+  });
+
+  await test('matches project (including global) and type filters', async () => {
+    const event = { type: 'insert', project_hash: 'p1', memory_type: 'decision' };
+    assert.ok(matchesEventFilters(event, { projectHash: 'p1' }));
+    assert.ok(!matchesEventFilters(event, { projectHash: 'p2' }));
+    assert.ok(matchesEventFilters({ ...event, project_hash: null }, { projectHash: 'p2' }));
+    assert.ok(matchesEventFilters(event, { memoryTypes: ['fact', 'decision'] }));
+    assert.ok(!matchesEventFilters(event, { memoryTypes: ['fact'] }));
+    assert.ok(!matchesEventFilters(event, { types: ['delete'] }));
+  });
+
+  await test('feed delivers filtered live events and replays after lastEventId', async () => {
+    const feed = new MemoryChangeFeed({ memoryStore: store, pollIntervalMs: 50 });
+    const replayFrom = store.getLatestEventId();
+
+    await store.insert({ content: 'Decision A', source: 'user', memory_type: 'decision', project_hash: 'p1' });
+    await store.insert({ content: 'Fact B', source: 'user', memory_type: 'fact', project_hash: 'p1' });
+
+    const replayed = [];
+    const stopReplay = feed.subscribe(e => replayed.push(e), { lastEventId: replayFrom, memoryTypes: ['decision'] });
+    assert.strictEqual(replayed.length, 1);
+    assert.strictEqual(replayed[0].memory_type, 'decision');
+
+    const live = [];
+    const stopLive = feed.subscribe(e => live.push(e), { projectHash: 'p2' });
+
+    // A second connection simulates a write from another process (e.g. the Stop hook)
+    const other = new MemoryStore({ dbPath });
+    await other.initialize();
+    await other.insert({ content: 'Other project', source: 'user', project_hash: 'p3' });
+    await other.insert({ content: 'Matching project', source: 'user', project_hash: 'p2' });
+    other.close();
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.deepStrictEqual(live.map(e => e.project_hash), ['p2']);
+    assert.strictEqual(replayed.length, 1);
+
+    stopReplay();
+    stopLive();
+    assert.strictEqual(feed.getStats().polling, false);
+  });
+
+  await test('feed drops its cursor when the last subscriber leaves', async () => {
+    const feed = new MemoryChangeFeed({ memoryStore: store, pollIntervalMs: 1000 });
+    feed.subscribe(() => {})();
+    assert.strictEqual(feed.getStats().cursor, null);
+
+    // Written while nobody listens: not delivered to the next subscriber as live
+    await store.insert({ content: 'Unobserved write', source: 'user' });
+    const live = [];
+    const stop = feed.subscribe(e => live.push(e));
+    assert.strictEqual(feed.getStats().cursor, store.getLatestEventId());
+
+    await store.insert({ content: 'Observed write', source: 'user' });
+    feed.poll();
+    assert.deepStrictEqual(live.map(e => e.type), ['insert']);
+    assert.strictEqual(live[0].id, store.getLatestEventId());
+    stop();
+  });
+
+  await test('a Last-Event-ID ahead of the cursor is not delivered again', async () => {
+    const feed = new MemoryChangeFeed({ memoryStore: store, pollIntervalMs: 1000 });
+    const live = [];
+    const stopLive = feed.subscribe(e => live.push(e));
+
+    // Another client already received these from a feed that polled first
+    await store.insert({ content: 'Seen elsewhere 1', source: 'user' });
+    await store.insert({ content: 'Seen elsewhere 2', source: 'user' });
+    const seen = store.getLatestEventId();
+    await store.insert({ content: 'Not seen yet', source: 'user' });
+
+    const resumed = [];
+    const stopResumed = feed.subscribe(e => resumed.push(e), { lastEventId: seen });
+    assert.strictEqual(resumed.length, 0, 'nothing to replay behind the cursor');
+
+    feed.poll();
+    assert.strictEqual(live.length, 3);
+    assert.deepStrictEqual(resumed.map(e => e.id), [store.getLatestEventId()]);
+
+    // An ID past the table's max is clamped, so later events still arrive
+    const future = [];
+    const stopFuture = feed.subscribe(e => future.push(e), { lastEventId: seen + 1000 });
+    await store.insert({ content: 'After a bogus Last-Event-ID', source: 'user' });
+    feed.poll();
+    assert.strictEqual(future.length, 1);
+
+    stopLive();
+    stopResumed();
+    stopFuture();
+  });
+
+  store.close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
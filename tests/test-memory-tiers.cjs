@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-tiers-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/encryption lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+delete process.env.CORTEX_ENCRYPTION_SECRET;
+
+const { MemoryStore, memoryToRecord, recordToMemory } = require('../src/core/memory-store.cjs');
+const { TierPromotion } = require('../src/core/tier-promotion.cjs');
+const { importJsonlTiers } = require('../src/core/jsonl-import.cjs');
+const { runMigrations } = require('../src/core/migrations.cjs');
+const { JSONLAdapter } = require('../src/adapters/jsonl-adapter.cjs');
+const { StopHook } = require('../src/hooks/stop-hook.cjs');
+const { PreCompactHook } = require('../src/hooks/pre-compact.cjs');
+const { ExtractionEngine } = require('../src/hooks/extraction-engine.cjs');
+const { Redactor } = require('../src/core/redactor.cjs');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Create a fresh base directory and an open store inside it
+ * @param {string} name
+ * @returns {Promise<{basePath: string, store: MemoryStore}>}
+ */
+async function openBase(name) {
+  const basePath = path.join(TEST_DIR, name);
+  const store = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db') });
+  await store.initialize();
+  return { basePath, store };
+}
+
+/**
+ * Write records to a JSONL file below a base path
+ * @param {string} basePath
+ * @param {string} file
+ * @param {Object[]} records
+ */
+function writeJsonl(basePath, file, records) {
+  const filePath = path.join(basePath, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+async function main() {
+  console.log('\nMemory Tier Tests\n');
+
+  await test('memories default to long-term and can be queried and moved by tier', async () => {
+    const { store } = await openBase('tier-column');
+    const { id: kept } = await store.insert({ content: 'Archived decision', source: 'user' });
+    const { id: recent } = await store.insert({ content: 'Fresh capture', source: 'stop-hook', tier: 'working' });
+
+    assert.strictEqual(store.get(kept).tier, 'long-term');
+    assert.deepStrictEqual(store.query({ tier: 'working' }).map(m => m.id), [recent]);
+    assert.deepStrictEqual(store.getCountByTier(), { working: 1, 'short-term': 0, 'long-term': 1 });
+
+    assert.strictEqual(store.setTier(recent, 'short-term'), true);
+    assert.strictEqual(store.get(recent).version, 1, 'tier moves are not content versions');
+    assert.strictEqual(store.count({ tier: ['short-term', 'long-term'] }), 2);
+    await assert.rejects(() => store.insert({ content: 'x', source: 'user', tier: 'mid-term' }), /Invalid tier/);
+    store.close();
+  });
+
+  await test('record mapping round-trips and keeps import metadata', async () => {
+    const { store } = await openBase('mapping');
+    const createdAt = new Date(Date.now() - 3 * DAY).toISOString();
+    const { id } = await store.insert({
+      ...recordToMemory({
+        id: 'rec-1', type: 'made-up', content: 'Use pnpm here', tags: ['pnpm'], projectHash: 'abc',
+        usageCount: 4, usageSuccessRate: 0.9, createdAt, status: 'bogus',
+      }),
+      source: 'jsonl',
+      tier: 'short-term',
+    });
+
+    const record = memoryToRecord(store.get(id));
+    assert.strictEqual(record.id, 'rec-1');
+    assert.strictEqual(record.type, 'observation');
+    assert.strictEqual(record.tier, 'short-term');
+    assert.strictEqual(record.projectHash, 'abc');
+    assert.strictEqual(record.usageCount, 4);
+    assert.strictEqual(record.status, 'active');
+    assert.strictEqual(record.createdAt, createdAt.replace(/\.\d{3}Z$/, 'Z'));
+    store.close();
+  });
+
+  await test('TierPromotion promotes and deletes rows in place', async () => {
+    const { basePath, store } = await openBase('promotion');
+    const ago = (days) => new Date(Date.now() - days * DAY).toISOString();
+    await store.insert({ id: 'w-old', content: 'Old working note', source: 'stop-hook', tier: 'working', created_at: ago(2) });
+    await store.insert({ id: 'w-new', content: 'New working note', source: 'stop-hook', tier: 'working' });
+    await store.insert({ id: 's-good', content: 'Useful pattern', source: 'jsonl', tier: 'short-term', created_at: ago(10), usage_success_rate: 0.9 });
+    await store.insert({ id: 's-bad', content: 'Useless note', source: 'jsonl', tier: 'short-term', created_at: ago(10), usage_success_rate: 0.1 });
+
+    const promotion = new TierPromotion({ basePath, memoryStore: store });
+    const init = await promotion.initialize();
+    assert.strictEqual(init.stores.working.count, 2);
+    assert.strictEqual(init.stores.shortTerm.count, 2);
+
+    const dryRun = await promotion.promote({ dryRun: true });
+    assert.strictEqual(dryRun.results.dryRun, true);
+    assert.strictEqual(store.get('w-old').tier, 'working');
+
+    const { success, results } = await promotion.promote({ dryRun: false });
+    assert.ok(success);
+    assert.deepStrictEqual(results.promoted.workingToShortTerm.map(r => r.id), ['w-old']);
+    assert.deepStrictEqual(results.promoted.shortTermToLongTerm.map(r => r.id), ['s-good']);
+    assert.deepStrictEqual(results.deleted.map(r => r.id), ['s-bad']);
+    assert.strictEqual(store.get('w-old').tier, 'short-term');
+    assert.strictEqual(store.get('s-good').tier, 'long-term');
+    assert.strictEqual(store.get('s-bad').status, 'deleted');
+    assert.strictEqual(promotion.getSummary().tiers.working.count, 1);
+    store.close();
+  });
+
+  await test('Stop and PreCompact hooks capture into the working tier', async () => {
+    const basePath = path.join(TEST_DIR, 'hooks');
+    const redactor = new Redactor();
+    const stop = await new StopHook({ basePath, redactor }).execute({
+      response: 'Remember: always run the migrations before seeding the database.',
+    });
+    const preCompact = await new PreCompactHook({ basePath, redactor }).execute({
+      transcript_summary: 'We decided to use JWT with refresh tokens for the API gateway.',
+      cwd: '/tmp/tier-project',
+    });
+    assert.strictEqual(stop.captured, 1);
+    assert.strictEqual(preCompact.preserved, 1);
+
+    assert.ok(!fs.existsSync(path.join(basePath, 'data', 'memories', 'working.jsonl')));
+    const { store } = await openBase('hooks');
+    const working = store.query({ tier: 'working' });
+    assert.deepStrictEqual(working.map(m => m.source).sort(), ['pre-compact', 'stop-hook']);
+    const decision = working.find(m => m.source === 'pre-compact');
+    assert.strictEqual(decision.memory_type, 'decision');
+    assert.ok(decision.project_hash);
+    store.close();
+  });
+
+  await test('ExtractionEngine writes insights to its tier and skills to long-term', async () => {
+    const { basePath, store } = await openBase('extraction');
+    const engine = new ExtractionEngine({ basePath, apiKey: 'test-key', memoryStore: store, redactor: new Redactor() });
+    const node = (type, content) => ({ lobe: 'dev', region: 'build', cluster: 'ci', type, content, tags: ['ci'] });
+    engine.samplingAdapter = {
+      mode: 'api',
+      complete: async () => ({
+        text: JSON.stringify({
+          nodes: [
+            node('insight', 'Always cache node_modules in CI because it cut build time from twelve to four minutes'),
+            node('skill', 'Always bisect flaky tests by running them in a loop with a fixed random seed'),
+          ],
+        }),
+        model: 'claude-sonnet-4-6',
+        mode: 'api',
+      }),
+    };
+
+    const result = await engine.extract({
+      messages: [{ role: 'user', content: 'notes' }],
+      sessionId: 'sess-tiers',
+      context: { projectHash: 'proj-1' },
+    });
+    assert.strictEqual(result.stats.persisted, 2);
+
+    const byType = Object.fromEntries(store.query({ tier: ['working', 'long-term'] }).map(m => [m.memory_type, m]));
+    assert.strictEqual(byType.insight.tier, 'working');
+    assert.strictEqual(byType.insight.source, 'extraction');
+    assert.strictEqual(byType.insight.session_id, 'sess-tiers');
+    assert.strictEqual(byType.skill.tier, 'long-term');
+    store.close();
+  });
+
+  await test('importer moves JSONL tiers into the store once and archives the files', async () => {
+    const { basePath, store } = await openBase('import');
+    const createdAt = new Date(Date.now() - 5 * DAY).toISOString();
+    writeJsonl(basePath, 'data/memories/working.jsonl', [
+      { id: 'w1', type: 'learning', content: 'Working one', createdAt },
+      { id: 'w2', type: 'learning', content: 'Deleted one', status: 'deleted' },
+    ]);
+    writeJsonl(basePath, 'data/memories/short-term.jsonl', [
+      { id: 's1', type: 'pattern', content: 'Short draft', usageCount: 2 },
+      { id: 's1', type: 'pattern', content: 'Short final', usageCount: 3 },
+    ]);
+    writeJsonl(basePath, 'data/skills/index.jsonl', [{ id: 'k1', type: 'procedure', content: 'Skill one' }]);
+    await store.insert({ id: 'k1', content: 'Skill one (already imported)', source: 'jsonl' });
+
+    const preview = await importJsonlTiers({ basePath, memoryStore: store, dryRun: true });
+    assert.strictEqual(preview.totals.imported, 2);
+    assert.strictEqual(store.count({ tier: 'working' }), 0);
+
+    const result = await importJsonlTiers({ basePath, memoryStore: store });
+    assert.deepStrictEqual(
+      { imported: result.totals.imported, existing: result.totals.existing, deleted: result.totals.deleted },
+      { imported: 2, existing: 1, deleted: 1 },
+    );
+    assert.strictEqual(store.get('w1').tier, 'working');
+    assert.strictEqual(memoryToRecord(store.get('w1')).createdAt, createdAt.replace(/\.\d{3}Z$/, 'Z'));
+    assert.strictEqual(store.get('s1').content, 'Short final');
+    assert.strictEqual(store.get('s1').usage_count, 3);
+    assert.strictEqual(store.get('k1').content, 'Skill one (already imported)');
+
+    assert.ok(!fs.existsSync(path.join(basePath, 'data/memories/working.jsonl')));
+    assert.ok(fs.existsSync(path.join(basePath, 'data/memories/working.jsonl.imported')));
+    const again = await importJsonlTiers({ basePath, memoryStore: store });
+    assert.strictEqual(again.files.length, 0);
+    store.close();
+  });
+
+  await test('JSONL adapter serves tier sources from the store', async () => {
+    const { basePath, store } = await openBase('adapter');
+    await store.insert({ id: 'a1', content: 'Recent working memory', source: 'stop-hook', tier: 'working' });
+    await store.insert({ id: 'a2', content: 'Other project memory', source: 'stop-hook', tier: 'working', project_hash: 'other' });
+    await store.insert({ id: 'a3', content: 'Consolidated memory', source: 'jsonl' });
+
+    const adapter = new JSONLAdapter({
+      basePath,
+      memoryStore: store,
+      sources: [{ name: 'working', tier: 'working', maxAge: DAY, priority: 1.0 }],
+    });
+    const results = await adapter.query({ projectHash: 'mine' });
+    assert.deepStrictEqual(results.map(r => r.id), ['a1']);
+    assert.strictEqual(results[0]._source, 'jsonl:working');
+
+    assert.strictEqual((await adapter.update('a1', { usageCount: 7 })).success, true);
+    assert.strictEqual(store.get('a1').usage_count, 7);
+    assert.strictEqual((await adapter.update('a3', { usageCount: 7 })).success, false);
+
+    const written = await adapter.write({ content: 'Fresh adapter write', type: 'insight', extractionConfidence: 0.9 });
+    assert.ok(written.success);
+    assert.strictEqual(store.get(written.id).tier, 'working');
+
+    assert.strictEqual((await adapter.delete('a1')).success, true);
+    assert.strictEqual(await adapter.getById('a1'), null);
+    store.close();
+  });
+
+  await test('JSONL adapter tier sources are empty until the database exists', async () => {
+    const basePath = path.join(TEST_DIR, 'no-db');
+    const adapter = new JSONLAdapter({ basePath, sources: [{ name: 'working', tier: 'working' }] });
+    assert.deepStrictEqual(await adapter.query({}), []);
+    assert.ok(!fs.existsSync(path.join(basePath, 'data', 'memories.db')));
+  });
+
+  await test('migration 14 adds the tier column and index to older databases', async () => {
+    const dbPath = path.join(TEST_DIR, 'legacy.db');
+    const legacy = new MemoryStore({ dbPath });
+    await legacy.initialize();
+    await legacy.insert({ content: 'Written before tiers existed', source: 'user' });
+    legacy.store.exec('DROP INDEX idx_memories_tier');
+    legacy.store.exec('ALTER TABLE memories DROP COLUMN tier');
+    legacy.close();
+
+    const result = runMigrations(dbPath);
+    assert.ok(result.success, result.message);
+
+    const Database = require('better-sqlite3');
+    const db = new Database(dbPath, { readonly: true });
+    const columns = db.prepare('PRAGMA table_info(memories)').all().map(c => c.name);
+    const index = db.prepare("SELECT name FROM sqlite_master WHERE name = 'idx_memories_tier'").get();
+    const tiers = db.prepare('SELECT tier FROM memories').all().map(row => row.tier);
+    db.close();
+    assert.ok(columns.includes('tier'));
+    assert.ok(index);
+    assert.deepStrictEqual(tiers, ['long-term']);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
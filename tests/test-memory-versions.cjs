@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const { runMigrations } = require('../src/core/migrations.cjs');
+const { diffLines, formatDiff } = require('../src/core/text-diff.cjs');
+const { validateHistoryArgs, ValidationError } = require('../src/core/validation.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-memory-versions-${Date.now()}`);
+const SERVER_PATH = path.join(__dirname, '..', 'src', 'cortex', 'server.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for the ONNX embedder (no model download)
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 0; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+/**
+ * Start server.cjs over HTTP with HOME pointed at a prepared data directory
+ * @returns {Promise<{child: ChildProcess, url: string}>}
+ */
+function startServer(home) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER_PATH, '--transport', 'http', '--port', '0'], {
+      env: { ...process.env, HOME: home, CORTEX_AUDIT_CONSOLE: 'false' },
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+
+    let stderr = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${stderr}`)), 20000);
+
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      const match = stderr.match(/listening on (http:\/\/[^\s]+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ child, url: match[1] });
+      }
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${stderr}`));
+    });
+  });
+}
+
+async function main() {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  const provider = new VectorSearchProvider({ basePath: TEST_DIR });
+  const init = await provider.initialize();
+  assert.ok(init.success, init.error);
+  provider._embedder = fakeEmbedder;
+  provider._hybridSearch.embedder = fakeEmbedder;
+  const store = provider._memoryStore;
+
+  console.log('\n📜 Testing: Memory version history');
+
+  const { id } = await provider.insert({
+    content: 'Deploys run from main\nTag releases with semver',
+    source: 'user',
+    memory_type: 'procedure',
+    tags: ['deploy'],
+  });
+
+  await test('unedited memories have no history but expose their current version', async () => {
+    assert.deepStrictEqual(store.listVersions(id), []);
+    const v1 = store.getVersion(id, 1);
+    assert.strictEqual(v1.content, 'Deploys run from main\nTag releases with semver');
+    assert.deepStrictEqual(v1.tags, ['deploy']);
+    assert.strictEqual(store.getVersion(id, 2), null);
+  });
+
+  await test('records the original and each edit with author and reason', async () => {
+    await provider.update(id, {
+      content: 'Deploys run from the release branch\nTag releases with semver',
+      tags: ['deploy', 'release'],
+    }, { changedBy: 'cli', reason: 'Moved to release branches' });
+
+    const versions = store.listVersions(id);
+    assert.deepStrictEqual(versions.map(v => v.version), [1, 2]);
+    assert.strictEqual(versions[0].changed_by, null);
+    assert.strictEqual(versions[0].changed_fields, null);
+    assert.strictEqual(versions[0].content, 'Deploys run from main\nTag releases with semver');
+    assert.strictEqual(versions[1].changed_by, 'cli');
+    assert.strictEqual(versions[1].change_reason, 'Moved to release branches');
+    assert.deepStrictEqual(versions[1].changed_fields, ['content', 'tags']);
+  });
+
+  await test('bookkeeping updates do not create versions', async () => {
+    store.update(id, { strength: 0.5, decay_score: 0.4 });
+    store.recordAccess(id);
+    assert.strictEqual(store.listVersions(id).length, 2);
+  });
+
+  await test('diffs field changes and content lines', async () => {
+    const diff = store.diffVersions(id, 1);
+    assert.strictEqual(diff.from, 1);
+    assert.strictEqual(diff.to, store.get(id).version);
+    assert.deepStrictEqual(diff.changes.map(c => c.field), ['content', 'tags']);
+    assert.deepStrictEqual(diff.changes[1], { field: 'tags', from: ['deploy'], to: ['deploy', 'release'] });
+    assert.deepStrictEqual(diff.contentDiff, [
+      { op: 'remove', line: 'Deploys run from main' },
+      { op: 'add', line: 'Deploys run from the release branch' },
+      { op: 'equal', line: 'Tag releases with semver' },
+    ]);
+    assert.strictEqual(store.diffVersions(id, 7), null);
+    assert.strictEqual(store.diffVersions('mem_missing', 1), null);
+  });
+
+  await test('restoring is a new version and re-embeds the old content', async () => {
+    const before = store.get(id).version;
+    const restored = await provider.restoreVersion(id, 1, { changedBy: 'api:admin' });
+
+    assert.strictEqual(restored.content, 'Deploys run from main\nTag releases with semver');
+    assert.deepStrictEqual(restored.tags, ['deploy']);
+    assert.strictEqual(restored.version, before + 1);
+
+    const latest = store.listVersions(id).pop();
+    assert.strictEqual(latest.change_reason, 'Restored version 1');
+    assert.strictEqual(latest.changed_by, 'api:admin');
+
+    const expected = await fakeEmbedder.embed(restored.content);
+    assert.deepStrictEqual(Array.from(store.getEmbedding(id)), Array.from(expected));
+
+    assert.strictEqual(await provider.restoreVersion(id, 99), null);
+  });
+
+  await test('supersession is recorded with its reason', async () => {
+    const { id: newer } = await provider.insert({ content: 'Deploys are continuous', source: 'user' });
+    store.supersede(id, newer, { changedBy: 'contradiction-detector' });
+
+    const latest = store.listVersions(id).pop();
+    assert.strictEqual(latest.superseded_by, newer);
+    assert.strictEqual(latest.change_reason, `Superseded by ${newer}`);
+    assert.deepStrictEqual(latest.changed_fields, ['valid_to', 'superseded_by']);
+  });
+
+  await test('hard delete removes the history', async () => {
+    const { id: scratch } = await provider.insert({ content: 'Scratch note', source: 'user' });
+    store.update(scratch, { content: 'Scratch note, edited' });
+    assert.strictEqual(store.listVersions(scratch).length, 2);
+
+    store.delete(scratch, true);
+    assert.deepStrictEqual(store.listVersions(scratch), []);
+  });
+
+  await test('migration 12 adds memory_versions to older databases', async () => {
+    const dbPath = path.join(TEST_DIR, 'legacy.db');
+    const legacy = new MemoryStore({ dbPath });
+    await legacy.initialize();
+    legacy.store.exec('DROP TABLE memory_versions');
+    legacy.close();
+
+    const result = runMigrations(dbPath);
+    assert.ok(result.success, result.message);
+
+    const Database = require('better-sqlite3');
+    const db = new Database(dbPath, { readonly: true });
+    const table = db.prepare("SELECT name FROM sqlite_master WHERE name = 'memory_versions'").get();
+    db.close();
+    assert.ok(table);
+  });
+
+  await test('line diff handles insertions, deletions and empty texts', async () => {
+    assert.deepStrictEqual(diffLines('a\nb\nc', 'a\nc\nd').map(d => d.op), ['equal', 'remove', 'equal', 'add']);
+    assert.deepStrictEqual(diffLines(null, 'x'), [{ op: 'add', line: 'x' }]);
+    assert.strictEqual(formatDiff(diffLines('a\nb', 'a\nc')), '  a\n- b\n+ c');
+  });
+
+  await test('validates cortex__history arguments', async () => {
+    assert.deepStrictEqual(validateHistoryArgs({ id: 'mem_1' }), {
+      id: 'mem_1', action: 'list', from: undefined, to: undefined, version: undefined,
+    });
+    assert.throws(() => validateHistoryArgs({}), ValidationError);
+    assert.throws(() => validateHistoryArgs({ id: 'mem_1', action: 'diff' }), /from is required/);
+    assert.throws(() => validateHistoryArgs({ id: 'mem_1', action: 'restore', version: 0 }), /version must be at least 1/);
+    assert.throws(() => validateHistoryArgs({ id: 'mem_1', action: 'undo' }), ValidationError);
+  });
+
+  await provider.shutdown();
+
+  // cortex__history over MCP against a prepared HOME
+  const home = path.join(TEST_DIR, 'home');
+  const seeded = new MemoryStore({ dbPath: path.join(home, '.claude', 'memory', 'data', 'memories.db') });
+  await seeded.initialize();
+  const { id: seededId } = await seeded.insert({ content: 'Use tabs', source: 'user' });
+  seeded.update(seededId, { content: 'Use two spaces' }, { changedBy: 'cli', reason: 'Style guide' });
+  seeded.close();
+
+  const { child, url } = await startServer(home);
+  try {
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+    const client = new Client({ name: 'history-test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(url)));
+
+    await test('cortex__history lists and diffs versions over MCP', async () => {
+      const { tools } = await client.listTools();
+      assert.ok(tools.some(t => t.name === 'cortex__history'));
+
+      const list = await client.callTool({ name: 'cortex__history', arguments: { id: seededId } });
+      assert.ok(!list.isError, list.content[0].text);
+      assert.match(list.content[0].text, /2 versions/);
+      assert.match(list.content[0].text, /v2 .* by cli \[content\] — Style guide/);
+
+      const diff = await client.callTool({ name: 'cortex__history', arguments: { id: seededId, action: 'diff', from: 1 } });
+      assert.match(diff.content[0].text, /- Use tabs\n\+ Use two spaces/);
+
+      const invalid = await client.callTool({ name: 'cortex__history', arguments: { id: seededId, action: 'diff' } });
+      assert.ok(invalid.isError);
+    });
+
+    await test('serves the memory tiers as resources from the MemoryStore', async () => {
+      const { resources } = await client.listResources();
+      const longTerm = resources.find(r => r.uri === 'cortex://memories/long-term');
+      assert.ok(longTerm, 'long-term tier is listed without a JSONL file');
+      assert.match(longTerm.description, /\(1 memories\)/);
+
+      const read = await client.readResource({ uri: 'cortex://memories/long-term' });
+      assert.match(read.contents[0].text, /\*\*Total entries:\*\* 1/);
+      assert.match(read.contents[0].text, /Use two spaces/);
+
+      const working = await client.readResource({ uri: 'cortex://memories/working' });
+      assert.match(working.contents[0].text, /\*\*Total entries:\*\* 0/);
+
+      const health = await client.callTool({ name: 'cortex__health', arguments: { includeStats: true } });
+      const status = JSON.parse(health.content[0].text);
+      assert.deepStrictEqual(status.tiers, { working: 0, 'short-term': 0, 'long-term': 1 });
+      assert.strictEqual(status.files.working, undefined);
+    });
+
+    await client.close();
+  } finally {
+    child.kill();
+  }
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
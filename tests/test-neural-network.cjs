@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-neural-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+process.env.CORTEX_AUDIT = 'false';
+
+const Database = require('better-sqlite3');
+const { NeuralNetwork, NEURONS_TABLE_NAME, SYNAPSES_TABLE_NAME } = require('../src/core/neural-network.cjs');
+const { VectorIndex } = require('../src/core/vector-index.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+const DIM = 8;
+
+/** Unit vector along one axis, nudged towards a second one */
+function axis(primary, secondary = null, mix = 0.3) {
+  const vec = new Float32Array(DIM);
+  vec[primary] = 1;
+  if (secondary !== null) vec[secondary] = mix;
+  const norm = Math.hypot(...vec);
+  return vec.map(v => v / norm);
+}
+
+function openNetwork(name, options = {}) {
+  const basePath = path.join(TEST_DIR, name, 'neural');
+  return new NeuralNetwork({ basePath, encryption: null, ...options });
+}
+
+function countRows(dbPath, table) {
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+  } finally {
+    db.close();
+  }
+}
+
+async function main() {
+  console.log('\nNeural Network Tests\n');
+
+  await test('stores neurons and synapses in the Cortex database', async () => {
+    const network = openNetwork('basic');
+    assert.strictEqual(network.dbPath, path.join(TEST_DIR, 'basic', 'data', 'memories.db'));
+    await network.initialize();
+
+    await network.addNeuron({ id: 'a', content: 'Docker cache volume permissions', tags: ['docker'] });
+    await network.addNeuron({ id: 'b', content: 'Docker build cache mounts', tags: ['docker'] });
+    await network.addNeuron({ id: 'c', content: 'SQLite WAL checkpoints', tags: ['sqlite'] });
+    assert.deepStrictEqual(await network.save(), { neurons: 3, synapses: 2 });
+    network.close();
+
+    assert.ok(!fs.existsSync(path.join(network.basePath, 'nodes.json')));
+    assert.strictEqual(countRows(network.dbPath, NEURONS_TABLE_NAME), 3);
+    assert.strictEqual(countRows(network.dbPath, SYNAPSES_TABLE_NAME), 2);
+
+    const restored = openNetwork('basic');
+    await restored.initialize();
+    assert.strictEqual(restored.nodes.size, 3);
+    assert.strictEqual(restored.nodes.get('a').weights.b.relationType, 'semantic');
+    assert.deepStrictEqual(restored.nodes.get('b').tags, ['docker']);
+    assert.strictEqual(restored.getStats().connectionCount, 2);
+    assert.deepStrictEqual(
+      restored.getConnections().map(c => `${c.from}->${c.to}`).sort(),
+      ['a->b', 'b->a']
+    );
+    restored.close();
+  });
+
+  await test('save() only writes neurons changed since the last save', async () => {
+    const network = openNetwork('basic');
+    await network.initialize();
+    assert.deepStrictEqual(await network.save(), { neurons: 0, synapses: 0 });
+
+    network.activateNeuron('c', 0.2);
+    assert.deepStrictEqual(await network.save(), { neurons: 1, synapses: 0 });
+
+    // Propagation changes the connected neuron too
+    network.activateNeuron('a', 0.5);
+    assert.deepStrictEqual(await network.save(), { neurons: 2, synapses: 2 });
+
+    const activation = network.nodes.get('b').activationLevel;
+    network.close();
+
+    const restored = openNetwork('basic');
+    await restored.initialize();
+    assert.strictEqual(restored.nodes.get('b').activationLevel, activation);
+    assert.strictEqual(restored.nodes.get('c').activationCount, 1);
+    restored.close();
+  });
+
+  await test('new neurons are wired to their vector index neighbours', async () => {
+    const dir = path.join(TEST_DIR, 'vector');
+    const vectorIndex = new VectorIndex({
+      dimension: DIM,
+      indexPath: path.join(dir, 'index.bin'),
+      mappingPath: path.join(dir, 'mapping.json'),
+    });
+    await vectorIndex.initialize();
+    vectorIndex.add('mem-docker', axis(0));
+    vectorIndex.add('mem-compose', axis(0, 1));
+    vectorIndex.add('mem-sqlite', axis(2));
+
+    const embedded = [];
+    const embedder = {
+      async embed(text) {
+        embedded.push(text);
+        return axis(2, 3);
+      },
+    };
+
+    const network = openNetwork('vector', { vectorIndex, embedder });
+    await network.initialize();
+    await network.addNeuron({ id: 'mem-docker', content: 'Docker cache volume', tags: ['docker'] });
+    await network.addNeuron({ id: 'mem-sqlite', content: 'SQLite WAL mode', tags: ['docker'] });
+    await network.addNeuron({ id: 'mem-compose', content: 'Compose profiles' });
+
+    // Neighbours come from the index, not from shared tags
+    assert.deepStrictEqual(Object.keys(network.nodes.get('mem-compose').weights), ['mem-docker']);
+    assert.deepStrictEqual(Object.keys(network.nodes.get('mem-sqlite').weights), []);
+    assert.deepStrictEqual(embedded, [], 'indexed vectors are reused');
+
+    // Not in the index: the content is embedded
+    await network.addNeuron({ id: 'entity:sqlite', content: 'SQLite locking', type: 'entity' });
+    assert.deepStrictEqual(embedded, ['SQLite locking']);
+    assert.deepStrictEqual(Object.keys(network.nodes.get('entity:sqlite').weights), ['mem-sqlite']);
+    network.close();
+  });
+
+  await test('falls back to shared tags without a usable vector', async () => {
+    const embedder = {
+      async embed() {
+        throw new Error('model unavailable');
+      },
+    };
+    const vectorIndex = new VectorIndex({
+      dimension: DIM,
+      indexPath: path.join(TEST_DIR, 'fallback-index', 'index.bin'),
+      mappingPath: path.join(TEST_DIR, 'fallback-index', 'mapping.json'),
+    });
+    await vectorIndex.initialize();
+
+    const network = openNetwork('fallback', { vectorIndex, embedder });
+    await network.initialize();
+    const writeError = process.stderr.write;
+    process.stderr.write = () => true;
+    try {
+      await network.addNeuron({ id: 'x', content: 'Kubernetes readiness probes', tags: ['k8s'] });
+      await network.addNeuron({ id: 'y', content: 'Kubernetes rollout strategy', tags: ['k8s'] });
+      await network.addNeuron({ id: 'z', content: 'Kubernetes rollout history', tags: ['helm'] });
+    } finally {
+      process.stderr.write = writeError;
+    }
+
+    assert.deepStrictEqual(Object.keys(network.nodes.get('y').weights), ['x']);
+    assert.deepStrictEqual(Object.keys(network.nodes.get('z').weights), [], 'no shared tag, no scan');
+    network.close();
+  });
+
+  await test('imports a legacy nodes.json network once', async () => {
+    const network = openNetwork('legacy');
+    fs.mkdirSync(network.basePath, { recursive: true });
+    const nodes = [
+      { id: 'old-1', type: 'learning', content: 'Old one', tags: ['t'], activationLevel: 0.8, activationCount: 4, weights: { 'old-2': { weight: 0.6, relationType: 'semantic', usageCount: 2 } } },
+      { id: 'old-2', type: 'learning', content: 'Old two', tags: ['t'], weights: { 'old-1': { weight: 0.6, relationType: 'semantic', usageCount: 2 } } },
+    ];
+    fs.writeFileSync(path.join(network.basePath, 'nodes.json'), JSON.stringify(nodes, null, 2));
+    fs.writeFileSync(path.join(network.basePath, 'connections.json'), JSON.stringify([{ from: 'old-1', to: 'old-2' }]));
+
+    const result = await network.initialize();
+    assert.deepStrictEqual(result, { success: true, nodeCount: 2, imported: 2 });
+    assert.deepStrictEqual(fs.readdirSync(network.basePath).sort(), ['connections.json.imported', 'nodes.json.imported']);
+    assert.strictEqual(network.nodes.get('old-1').activationCount, 4);
+    assert.strictEqual(network.nodes.get('old-1').weights['old-2'].usageCount, 2);
+    assert.deepStrictEqual(await network.save(), { neurons: 0, synapses: 0 });
+    network.close();
+
+    const again = openNetwork('legacy');
+    assert.strictEqual((await again.initialize()).imported, 0);
+    assert.strictEqual(again.getStats().connectionCount, 2);
+    again.close();
+  });
+
+  await test('skips a corrupt legacy nodes.json and keeps the file', async () => {
+    const network = openNetwork('legacy-corrupt');
+    fs.mkdirSync(network.basePath, { recursive: true });
+    const nodeFile = path.join(network.basePath, 'nodes.json');
+    fs.writeFileSync(nodeFile, '[{"id": "old-1", "content": ');
+
+    const writeError = process.stderr.write;
+    let warning = '';
+    process.stderr.write = (chunk) => { warning += chunk; return true; };
+    let result;
+    try {
+      result = await network.initialize();
+    } finally {
+      process.stderr.write = writeError;
+    }
+
+    assert.deepStrictEqual(result, { success: true, nodeCount: 0, imported: 0 });
+    assert.ok(warning.includes('Skipped legacy import'));
+    assert.deepStrictEqual(fs.readdirSync(network.basePath), ['nodes.json']);
+    network.close();
+  });
+
+  await test('dream consolidation persists its changes', async () => {
+    const network = openNetwork('dream');
+    await network.initialize();
+    for (let i = 0; i < 5; i++) {
+      await network.addNeuron({ id: `d${i}`, content: `Deploy note ${i}`, tags: ['deploy'], extractionConfidence: 0.9 });
+    }
+
+    const log = await network.dreamConsolidate();
+    assert.ok(network.nodes.has('entity:deploy'));
+    assert.strictEqual(log.connectionCount, network.getStats().connectionCount);
+    network.close();
+
+    const restored = openNetwork('dream');
+    await restored.initialize();
+    assert.strictEqual(restored.nodes.size, 6);
+    assert.strictEqual(restored.getStats().connectionCount, log.connectionCount);
+    restored.close();
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ObsidianVaultExporter } = require('../src/core/obsidian-vault.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-obsidian-incremental-${Date.now()}`);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+function record(id, fields = {}) {
+  return {
+    id,
+    type: 'learning',
+    content: `Content of ${id}`,
+    summary: `Summary of ${id}`,
+    tags: ['shared'],
+    _source: 'jsonl:short-term',
+    createdAt: '2026-05-01T00:00:00.000Z',
+    updatedAt: '2026-05-01T00:00:00.000Z',
+    ...fields,
+  };
+}
+
+function noteText(result, id) {
+  return fs.readFileSync(path.join(result.exportRoot, result.manifest.records[id].file), 'utf8');
+}
+
+async function main() {
+  console.log('\nObsidian Incremental Export Tests\n');
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  const exporter = new ObsidianVaultExporter({ vaultPath: TEST_DIR });
+  const records = [
+    record('mem-alpha'),
+    record('mem-beta', { tags: ['shared', 'beta-only'] }),
+    record('mem-gamma', { _source: 'markdown-tree' }),
+  ];
+  const first = exporter.export(records);
+  const root = first.exportRoot;
+
+  await test('manifest tracks updated_at and a hash for every generated note', () => {
+    assert.strictEqual(first.manifest.records['mem-alpha'].updatedAt, '2026-05-01T00:00:00.000Z');
+    assert.ok(first.manifest.files['00 Welcome.md']);
+    assert.ok(first.manifest.files['40 Tags/beta-only.md']);
+    assert.ok(first.manifest.files[first.manifest.records['mem-beta'].file]);
+    assert.strictEqual(first.changes.written, Object.keys(first.manifest.files).length);
+    assert.strictEqual(first.manifest.counts.entities, 5);
+  });
+
+  await test('an unchanged store rewrites nothing', () => {
+    const welcome = path.join(root, '00 Welcome.md');
+    const past = new Date('2026-01-01T00:00:00.000Z');
+    fs.utimesSync(welcome, past, past);
+
+    const again = exporter.export(records);
+    assert.deepStrictEqual(again.changes, { written: 0, unchanged: first.changes.written, removed: 0 });
+    assert.strictEqual(fs.statSync(welcome).mtimeMs, past.getTime());
+    assert.deepStrictEqual(again.manifest.files, first.manifest.files);
+  });
+
+  await test('only the notes of changed records are written', () => {
+    records[0] = record('mem-alpha', { content: 'Rewritten content', updatedAt: '2026-05-02T00:00:00.000Z' });
+    const result = exporter.export(records);
+    assert.strictEqual(result.changes.written, 1);
+    assert.ok(noteText(result, 'mem-alpha').includes('Rewritten content'));
+  });
+
+  await test('a missing note is written again', () => {
+    fs.unlinkSync(path.join(root, first.manifest.records['mem-gamma'].file));
+    const result = exporter.export(records);
+    assert.strictEqual(result.changes.written, 1);
+    assert.ok(fs.existsSync(path.join(root, result.manifest.records['mem-gamma'].file)));
+  });
+
+  await test('notes of deleted memories and their empty index notes are removed', () => {
+    const beta = first.manifest.records['mem-beta'].file;
+    const gamma = first.manifest.records['mem-gamma'].file;
+    const result = exporter.export([records[0]]);
+
+    assert.strictEqual(result.manifest.records['mem-beta'], undefined);
+    assert.ok(!fs.existsSync(path.join(root, beta)));
+    assert.ok(!fs.existsSync(path.join(root, '40 Tags', 'beta-only.md')));
+    assert.ok(!fs.existsSync(path.join(root, '20 Sources', 'markdown-tree.md')));
+    assert.ok(!fs.existsSync(path.dirname(path.join(root, gamma))), 'emptied source folder is removed');
+    assert.ok(fs.existsSync(path.join(root, '10 Records')));
+    assert.ok(fs.existsSync(path.join(root, '40 Tags', 'shared.md')));
+    assert.ok(result.changes.removed >= 5);
+  });
+
+  await test('--since skips rendering records not updated since then', () => {
+    const vault = path.join(TEST_DIR, 'since');
+    const sinceExporter = new ObsidianVaultExporter({ vaultPath: vault });
+    const base = [record('mem-old'), record('mem-new')];
+    sinceExporter.export(base);
+
+    // Same updated_at but different content: only visible without --since
+    const stale = [record('mem-old', { content: 'Silently changed' }), record('mem-new', { content: 'Fresh content', updatedAt: '2026-06-01T00:00:00.000Z' })];
+    const result = sinceExporter.export(stale, { since: '2026-05-15T00:00:00.000Z' });
+    assert.ok(noteText(result, 'mem-old').includes('Content of mem-old'));
+    assert.ok(noteText(result, 'mem-new').includes('Fresh content'));
+    assert.strictEqual(result.manifest.records['mem-old'].updatedAt, '2026-05-01T00:00:00.000Z');
+
+    const full = sinceExporter.export(stale);
+    assert.strictEqual(full.changes.written, 1);
+    assert.ok(noteText(full, 'mem-old').includes('Silently changed'));
+
+    const last = sinceExporter.export([record('mem-old', { content: 'Changed once more' })], { since: 'last' });
+    assert.ok(noteText(last, 'mem-old').includes('Silently changed'));
+    assert.strictEqual(last.manifest.records['mem-new'], undefined, 'deletions are applied with --since too');
+
+    assert.throws(() => sinceExporter.export(stale, { since: 'yesterday-ish' }), /Invalid since timestamp/);
+  });
+
+  await test('manifest paths outside the export root are never removed or written', () => {
+    const victim = path.join(TEST_DIR, 'victim.txt');
+    fs.writeFileSync(victim, 'keep me');
+    const manifestPath = path.join(root, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.files['../victim.txt'] = 'x';
+    manifest.files[victim] = 'x';
+    manifest.records['mem-evil'] = { file: '../victim.txt', noteHash: 'x', contentHash: 'x' };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+    const result = exporter.export(records, { preserve: { 'mem-evil': { file: '../../escaped.md' } } });
+    assert.strictEqual(fs.readFileSync(victim, 'utf8'), 'keep me');
+    assert.ok(!fs.existsSync(path.join(TEST_DIR, '..', 'escaped.md')));
+    assert.strictEqual(result.manifest.files['../victim.txt'], undefined);
+    assert.strictEqual(result.manifest.records['mem-evil'], undefined);
+    assert.throws(() => exporter._writeNote(root, '../outside.md', 'x'), /outside the export root/);
+  });
+
+  await test('a corrupt manifest is ignored instead of aborting the export', () => {
+    fs.writeFileSync(path.join(root, 'manifest.json'), '{"files": {');
+    const result = exporter.export(records);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.changes.unchanged, 0);
+    assert.ok(JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8')).files['00 Welcome.md']);
+  });
+
+  await test('--clean regenerates every note', () => {
+    const cleaner = new ObsidianVaultExporter({ vaultPath: TEST_DIR, clean: true });
+    const result = cleaner.export([records[0]]);
+    assert.strictEqual(result.changes.unchanged, 0);
+    assert.strictEqual(result.changes.written, Object.keys(result.manifest.files).length);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-obsidian-sync-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/API key lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+delete process.env.ANTHROPIC_API_KEY;
+process.env.CORTEX_AUDIT = 'false';
+
+const { ObsidianVaultExporter } = require('../src/core/obsidian-vault.cjs');
+const { MemoryStore, memoryToRecord } = require('../src/core/memory-store.cjs');
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+const MEMORIES = [
+  { id: 'mem-wal', summary: 'SQLite WAL mode', content: 'Enable WAL mode before the first write.\n\n```sql\nPRAGMA journal_mode = WAL;\n```\nThen reopen the connection.' },
+  { id: 'mem-docker', summary: 'Docker cache permissions', content: 'Build failed: EACCES on the cache volume\n\nRun the build as the node user.' },
+  { id: 'mem-pnpm', summary: 'Frozen lockfile in CI', content: 'Use pnpm install --frozen-lockfile in CI.' },
+  { id: 'mem-ports', summary: 'Local port map', content: 'The API listens on 3001 and the dashboard on 3002.' },
+];
+
+/**
+ * Deterministic stand-in for the ONNX embedder (no model download)
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 0; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+/** Records as the jsonl adapter's tier sources would return them */
+function collect(store) {
+  return store.query({ limit: 1000 }).map(memory => ({ ...memoryToRecord(memory), _source: 'jsonl:short-term' }));
+}
+
+function noteFor(exportRoot, id) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(exportRoot, 'manifest.json'), 'utf8'));
+  return path.join(exportRoot, manifest.records[id].file);
+}
+
+function editNote(file, from, to) {
+  const text = fs.readFileSync(file, 'utf8');
+  assert.ok(text.includes(from), `${path.basename(file)} contains ${from}`);
+  fs.writeFileSync(file, text.replace(from, to));
+}
+
+async function main() {
+  console.log('\nObsidian Vault Sync Tests\n');
+
+  const store = new MemoryStore({ dbPath: path.join(TEST_DIR, 'data', 'memories.db') });
+  await store.initialize();
+  for (const memory of MEMORIES) {
+    await store.insert({ ...memory, memory_type: 'learning', source: 'stop-hook' });
+  }
+
+  const exporter = new ObsidianVaultExporter({ vaultPath: path.join(TEST_DIR, 'vault'), clean: true });
+  const first = exporter.export(collect(store));
+  const root = first.exportRoot;
+
+  await test('manifest tracks each record note with content hashes', () => {
+    const entry = first.manifest.records['mem-wal'];
+    assert.ok(entry.file.startsWith('10 Records/jsonl-short-term/'));
+    assert.match(entry.noteHash, /^[0-9a-f]{64}$/);
+    assert.match(entry.contentHash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(entry.truncated, false);
+
+    const text = fs.readFileSync(noteFor(root, 'mem-wal'), 'utf8');
+    assert.ok(text.includes('%% cortex:content %%\nEnable WAL mode'));
+    assert.ok(text.includes('### 💻 Technical Implementation (sql)'));
+  });
+
+  await test('an unchanged vault syncs without touching the store', () => {
+    const result = exporter.sync(collect(store), store);
+    assert.deepStrictEqual(result.sync, { updated: [], invalidated: [], conflicts: [], skipped: [] });
+    assert.strictEqual(store.get('mem-wal').version, 1);
+    assert.deepStrictEqual(result.manifest.records, first.manifest.records);
+  });
+
+  await test('edits made in the vault are pushed back as updates', () => {
+    editNote(noteFor(root, 'mem-wal'), 'Then reopen the connection.', 'Then reopen every pooled connection.');
+    editNote(noteFor(root, 'mem-docker'), '> failed: EACCES on the cache volume', '> failed: EACCES on the shared cache volume');
+
+    const result = exporter.sync(collect(store), store);
+    assert.deepStrictEqual(result.sync.updated.sort(), ['mem-docker', 'mem-wal']);
+
+    assert.strictEqual(store.get('mem-wal').content,
+      'Enable WAL mode before the first write.\n\n```sql\nPRAGMA journal_mode = WAL;\n```\nThen reopen every pooled connection.');
+    assert.strictEqual(store.get('mem-docker').content,
+      'Build failed: EACCES on the shared cache volume\n\nRun the build as the node user.');
+
+    const [, latest] = store.listVersions('mem-wal');
+    assert.strictEqual(latest.changed_by, 'obsidian:sync');
+    assert.strictEqual(latest.change_reason, 'Edited in Obsidian vault');
+
+    // The regenerated note is the new baseline
+    assert.deepStrictEqual(exporter.sync(collect(store), store).sync.updated, []);
+  });
+
+  await test('store changes flow into the vault', () => {
+    store.update('mem-pnpm', { content: 'Use pnpm install --frozen-lockfile in CI and locally.' });
+    const result = exporter.sync(collect(store), store);
+    assert.deepStrictEqual(result.sync.updated, []);
+    assert.ok(fs.readFileSync(noteFor(root, 'mem-pnpm'), 'utf8').includes('in CI and locally.'));
+  });
+
+  await test('deleting a note invalidates its memory', () => {
+    fs.unlinkSync(noteFor(root, 'mem-ports'));
+    const result = exporter.sync(collect(store), store);
+    assert.deepStrictEqual(result.sync.invalidated, ['mem-ports']);
+
+    const memory = store.get('mem-ports');
+    assert.strictEqual(memory.status, 'active', 'kept for point-in-time queries');
+    assert.ok(memory.valid_to);
+    assert.strictEqual(result.manifest.records['mem-ports'], undefined);
+    assert.strictEqual(result.manifest.counts.records, 3);
+  });
+
+  await test('changes on both sides are reported as conflicts and left untouched', () => {
+    const file = noteFor(root, 'mem-pnpm');
+    editNote(file, 'and locally.', 'and in Docker builds.');
+    store.update('mem-pnpm', { content: 'Use pnpm install --frozen-lockfile everywhere.' });
+    const edited = fs.readFileSync(file, 'utf8');
+
+    for (let run = 0; run < 2; run++) {
+      const result = exporter.sync(collect(store), store);
+      assert.deepStrictEqual(result.sync.conflicts, [{
+        id: 'mem-pnpm',
+        file: path.relative(root, file).split(path.sep).join('/'),
+        reason: 'edited in both the vault and the store',
+      }]);
+      assert.deepStrictEqual(result.sync.updated, []);
+      assert.strictEqual(fs.readFileSync(file, 'utf8'), edited, 'survives the clean export');
+      assert.strictEqual(store.get('mem-pnpm').content, 'Use pnpm install --frozen-lockfile everywhere.');
+    }
+  });
+
+  await test('--prefer resolves conflicts', () => {
+    const result = exporter.sync(collect(store), store, { prefer: 'vault' });
+    assert.deepStrictEqual(result.sync.updated, ['mem-pnpm']);
+    assert.deepStrictEqual(result.sync.conflicts, []);
+    assert.strictEqual(store.get('mem-pnpm').content, 'Use pnpm install --frozen-lockfile in CI and in Docker builds.');
+
+    editNote(noteFor(root, 'mem-pnpm'), 'in Docker builds.', 'nowhere else.');
+    store.update('mem-pnpm', { content: 'Use pnpm install --frozen-lockfile in CI only.' });
+    const storeWins = exporter.sync(collect(store), store, { prefer: 'store' });
+    assert.deepStrictEqual(storeWins.sync.conflicts, []);
+    assert.strictEqual(store.get('mem-pnpm').content, 'Use pnpm install --frozen-lockfile in CI only.');
+    assert.ok(fs.readFileSync(noteFor(root, 'mem-pnpm'), 'utf8').includes('in CI only.'));
+
+    assert.throws(() => exporter.sync([], store, { prefer: 'newest' }), /Invalid prefer side: newest/);
+  });
+
+  await test('records outside the MemoryStore and truncated notes are not pushed back', async () => {
+    const external = { id: 'markdown-tree:abc123', type: 'learning', content: 'Notes from a markdown root', summary: 'Markdown note', _source: 'markdown-tree' };
+    const long = { id: 'mem-long', summary: 'Long note', content: 'x'.repeat(60) };
+    await store.insert({ ...long, memory_type: 'learning', source: 'stop-hook' });
+
+    const small = new ObsidianVaultExporter({ vaultPath: path.join(TEST_DIR, 'small-vault'), maxBodyChars: 40 });
+    const records = [...collect(store), external];
+    const exported = small.export(records).exportRoot;
+    assert.strictEqual(small.sync(records, store).sync.skipped.length, 0);
+
+    editNote(noteFor(exported, external.id), 'Notes from a markdown root', 'Edited markdown note');
+    editNote(noteFor(exported, 'mem-long'), 'xxxx', 'yyyy');
+    const result = small.sync(records, store);
+    assert.deepStrictEqual(result.sync.skipped.map(s => [s.id, s.reason]), [
+      ['mem-long', 'note was truncated on export'],
+      [external.id, 'not in MemoryStore'],
+    ]);
+    assert.strictEqual(store.get('mem-long').content, long.content);
+  });
+
+  await test('vault edits are re-embedded through the VectorSearchProvider', async () => {
+    const provider = new VectorSearchProvider({ basePath: path.join(TEST_DIR, 'provider') });
+    const init = await provider.initialize();
+    assert.ok(init.success, init.error);
+    provider._embedder = fakeEmbedder;
+    provider._hybridSearch.embedder = fakeEmbedder;
+    const providerStore = provider._memoryStore;
+
+    try {
+      const { id } = await provider.insert({ content: 'Rotate the signing keys every quarter.', source: 'user', memory_type: 'procedure' });
+      const vaultExporter = new ObsidianVaultExporter({ vaultPath: path.join(TEST_DIR, 'provider-vault') });
+      const exported = vaultExporter.export(collect(providerStore)).exportRoot;
+      editNote(noteFor(exported, id), 'every quarter.', 'every month.');
+
+      const result = vaultExporter.sync(collect(providerStore), providerStore);
+      assert.deepStrictEqual(result.sync.updated, [id]);
+      assert.deepStrictEqual(await provider.reembed(result.sync.updated), { reembedded: 1, missing: [] });
+
+      const expected = await fakeEmbedder.embed('Rotate the signing keys every month.');
+      assert.deepStrictEqual(Array.from(providerStore.getEmbedding(id)), Array.from(expected));
+      const nearest = provider._vectorIndex.search(expected, 1);
+      assert.deepStrictEqual(nearest.ids, [id]);
+      assert.ok(nearest.distances[0] < 1e-4, `index holds the new embedding (distance ${nearest.distances[0]})`);
+
+      assert.deepStrictEqual(await provider.reembed(['mem-missing']), { reembedded: 0, missing: ['mem-missing'] });
+    } finally {
+      await provider.shutdown();
+    }
+  });
+
+  store.close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
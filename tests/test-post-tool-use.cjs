@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-ptu-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/encryption lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+process.env.CORTEX_AUDIT = 'false';
+delete process.env.CORTEX_ENCRYPTION_SECRET;
+delete process.env.CORTEX_SESSION_ID;
+
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+const { PostToolUseHook, normalizeCommand, detectFailure, summarizeEdit } = require('../src/hooks/post-tool-use.cjs');
+const { createStorageEncryption } = require('../src/core/storage-encryption.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+const FAILING_TEST = {
+  stdout: '> jest\n\nFAIL src/parser.test.js\n  TypeError: parse is not a function\n\nTests: 1 failed, 4 passed',
+  stderr: '',
+  exit_code: 1,
+};
+const PASSING_TEST = { stdout: 'Tests: 5 passed, 5 total', stderr: '', exit_code: 0 };
+
+/**
+ * Hook over a fresh base path, plus a helper to send tool calls
+ * @param {string} name
+ * @param {Object} [options] - Extra PostToolUseHook options
+ */
+function setup(name, options = {}) {
+  const basePath = path.join(TEST_DIR, name);
+  const hook = new PostToolUseHook({ basePath, enabled: true, ...options });
+  const send = (tool_name, tool_input, tool_response) => hook.execute({
+    hook_event_name: 'PostToolUse',
+    session_id: `session-${name}`,
+    cwd: '/work/project',
+    tool_name,
+    tool_input,
+    tool_response,
+  });
+  return { basePath, hook, send };
+}
+
+/**
+ * Read the working-tier memories written below a base path
+ * @param {string} basePath
+ */
+async function readMemories(basePath) {
+  const store = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db') });
+  await store.initialize();
+  const records = store.query({ tier: 'working', limit: 100 });
+  store.close();
+  return records;
+}
+
+async function main() {
+  console.log('\nPostToolUse Hook Tests\n');
+
+  await test('failing test fixed by an edit becomes a correction', async () => {
+    const { basePath, send } = setup('correction');
+
+    const first = await send('Bash', { command: 'npm test 2>&1 | tail -20' }, FAILING_TEST);
+    assert.strictEqual(first.pending, 1);
+
+    await send('Edit', {
+      file_path: '/work/project/src/parser.js',
+      old_string: 'module.exports = { parser };',
+      new_string: 'module.exports = { parse };',
+    });
+
+    const fixed = await send('Bash', { command: 'npm  test' }, PASSING_TEST);
+    assert.strictEqual(fixed.captured, 1);
+    assert.strictEqual(fixed.pending, 0);
+
+    const [memory] = await readMemories(basePath);
+    assert.strictEqual(memory.memory_type, 'correction');
+    assert.strictEqual(memory.source, 'post-tool-use');
+    assert.ok(memory.content.includes('`npm test` failed with "FAIL src/parser.test.js"'));
+    assert.ok(memory.content.includes('- module.exports = { parser };'));
+    assert.ok(memory.content.includes('+ module.exports = { parse };'));
+    assert.ok(memory.tags.includes('npm'));
+    assert.ok(memory.project_hash);
+    assert.ok(!fs.existsSync(path.join(basePath, 'data', 'tool-sequences')) ||
+      fs.readdirSync(path.join(basePath, 'data', 'tool-sequences')).length === 0, 'state removed once resolved');
+  });
+
+  await test('failure fixed by other commands becomes a skill', async () => {
+    const { basePath, send } = setup('skill');
+
+    await send('Bash', { command: 'npm run build' }, {
+      stdout: '', stderr: "Error: Cannot find module 'esbuild'", exit_code: 1,
+    });
+    await send('Bash', { command: 'git status' }, { stdout: 'clean', exit_code: 0 });
+    await send('Bash', { command: 'npm install' }, { stdout: 'added 12 packages', exit_code: 0 });
+    const result = await send('Bash', { command: 'npm run build' }, { stdout: 'built in 1.2s', exit_code: 0 });
+
+    assert.strictEqual(result.captured, 1);
+    const [memory] = await readMemories(basePath);
+    assert.strictEqual(memory.memory_type, 'skill');
+    assert.ok(memory.content.includes('running `npm install` made it pass'));
+    assert.ok(!memory.content.includes('git status'), 'read-only commands are not steps');
+  });
+
+  await test('a plain retry that passes records nothing', async () => {
+    const { basePath, send } = setup('flaky');
+
+    await send('Bash', { command: 'npm test' }, FAILING_TEST);
+    const result = await send('Bash', { command: 'npm test' }, PASSING_TEST);
+
+    assert.strictEqual(result.captured, 0);
+    assert.strictEqual(result.pending, 0);
+    assert.ok(!fs.existsSync(path.join(basePath, 'data', 'memories.db')));
+  });
+
+  await test('edits without an open failure and other tools are ignored', async () => {
+    const { basePath, send } = setup('ignored');
+
+    const edit = await send('Write', { file_path: '/work/project/a.js', content: 'x' });
+    const read = await send('Read', { file_path: '/work/project/a.js' }, 'x');
+    assert.strictEqual(edit.pending, 0);
+    assert.strictEqual(read.pending, 0);
+    assert.ok(!fs.existsSync(path.join(basePath, 'data')));
+  });
+
+  await test('secrets are redacted in the state file and the memory', async () => {
+    const { basePath, send } = setup('redact');
+    const secret = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+
+    await send('Bash', { command: `GITHUB_TOKEN=${secret} npm run deploy` }, {
+      stderr: 'Error: 401 Unauthorized', exit_code: 1,
+    });
+    const stateDir = path.join(basePath, 'data', 'tool-sequences');
+    const state = fs.readFileSync(path.join(stateDir, fs.readdirSync(stateDir)[0]), 'utf8');
+    assert.ok(!state.includes(secret), 'state file has no secret');
+
+    await send('Bash', { command: 'npm ci' }, { stdout: 'ok', exit_code: 0 });
+    await send('Bash', { command: `GITHUB_TOKEN=${secret} npm run deploy` }, { stdout: 'deployed', exit_code: 0 });
+
+    const [memory] = await readMemories(basePath);
+    assert.ok(memory, 'memory written');
+    assert.ok(!memory.content.includes(secret));
+  });
+
+  await test('session state is encrypted when encryption at rest is on', async () => {
+    const encryption = createStorageEncryption({
+      secret: 'ptu-test-secret',
+      keyFile: path.join(TEST_DIR, 'encrypted-keys', 'encryption.json'),
+    });
+    const { basePath, send } = setup('encrypted', { encryption });
+
+    await send('Bash', { command: 'npm test' }, FAILING_TEST);
+    await send('Edit', {
+      file_path: '/work/project/src/parser.js',
+      old_string: 'module.exports = { parser };',
+      new_string: 'module.exports = { parse };',
+    });
+
+    const stateDir = path.join(basePath, 'data', 'tool-sequences');
+    const stateFile = path.join(stateDir, fs.readdirSync(stateDir)[0]);
+    const raw = fs.readFileSync(stateFile, 'utf8');
+    for (const plaintext of ['npm test', 'TypeError', 'parser.js', 'module.exports']) {
+      assert.ok(!raw.includes(plaintext), `state file does not contain "${plaintext}"`);
+    }
+
+    const fixed = await send('Bash', { command: 'npm test' }, PASSING_TEST);
+    assert.strictEqual(fixed.captured, 1, 'the encrypted state is read back');
+
+    // Without the key the state cannot be read, so the hook starts over
+    await send('Bash', { command: 'npm test' }, FAILING_TEST);
+    const plain = new PostToolUseHook({ basePath, enabled: true, encryption: null });
+    assert.deepStrictEqual(plain._loadState('session-encrypted'), { pending: {} });
+  });
+
+  await test('disabled hook does nothing', async () => {
+    const basePath = path.join(TEST_DIR, 'disabled');
+    const hook = new PostToolUseHook({ basePath, enabled: false });
+    const result = await hook.execute({
+      session_id: 's', tool_name: 'Bash', tool_input: { command: 'npm test' }, tool_response: FAILING_TEST,
+    });
+    assert.deepStrictEqual(result, { success: true, captured: 0, pending: 0 });
+    assert.ok(!fs.existsSync(basePath));
+  });
+
+  await test('helpers normalize commands, detect failures and summarize edits', () => {
+    assert.strictEqual(normalizeCommand('  npm   test 2>&1 | tail -n 30 | grep FAIL '), 'npm test');
+    assert.strictEqual(normalizeCommand('cat a | sort'), 'cat a | sort');
+
+    assert.strictEqual(detectFailure(PASSING_TEST), null);
+    assert.strictEqual(detectFailure({ stdout: 'TypeError: boom', exit_code: 0 }), null, 'exit 0 wins');
+    assert.strictEqual(detectFailure({ stdout: 'Tests: 0 failed' }), null);
+    assert.strictEqual(
+      detectFailure({ stderr: 'SyntaxError: Unexpected token at /home/me/app/src/index.js:12:4' }),
+      'SyntaxError: Unexpected token at index.js'
+    );
+    assert.strictEqual(detectFailure({ stdout: 'segfault', exit_code: 139 }), 'segfault');
+    assert.strictEqual(detectFailure('Exit code 2\nmake: *** [all] Error 2'), 'Exit code 2');
+
+    assert.strictEqual(summarizeEdit({ old_string: 'a\nb', new_string: 'c' }), '- a\n- b\n+ c');
+    assert.strictEqual(summarizeEdit({ content: 'x\ny' }), '+ (file written, 2 lines)');
+    assert.strictEqual(
+      summarizeEdit({ edits: [{ old_string: 'a', new_string: 'b' }, { old_string: 'c', new_string: 'd' }] }),
+      '- a\n+ b\n- c\n+ d'
+    );
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const {
+  parseQueryFilters,
+  mergeQueryFilters,
+  hasQueryFilters,
+  formatQueryFilters,
+} = require('../src/core/query-filters.cjs');
+const { validateQueryArgs, ValidationError } = require('../src/core/validation.cjs');
+const { AdapterRegistry } = require('../src/adapters/index.cjs');
+const { BaseAdapter } = require('../src/adapters/base-adapter.cjs');
+const { VectorSearchAdapter } = require('../src/adapters/vector-adapter.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-query-filters-${Date.now()}`);
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const PROJECT = 'a1b2c3d4e5f6';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for the ONNX embedder (no model download)
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 0; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+async function main() {
+  console.log('\n🔎 Testing: Query filter DSL');
+
+  await test('splits filter terms from the query text', async () => {
+    const { text, filters } = parseQueryFilters(
+      'token refresh type:decision tag:auth project:current after:2026-01-01 quality>0.7 -tag:deprecated'
+    );
+    assert.strictEqual(text, 'token refresh');
+    assert.deepStrictEqual(filters, {
+      types: ['decision'],
+      tags: ['auth'],
+      project: 'current',
+      after: '2026-01-01T00:00:00.000Z',
+      ranges: [{ field: 'quality', op: '>', value: 0.7 }],
+      excludeTags: ['deprecated'],
+    });
+  });
+
+  await test('leaves unknown keys, URLs and plain text alone', async () => {
+    const query = 'TypeError: x is undefined see https://example.com/a?b=1 a>b';
+    const { text, filters } = parseQueryFilters(query);
+    assert.strictEqual(text, query);
+    assert.strictEqual(hasQueryFilters(filters), false);
+
+    const multiline = 'first line\nsecond line';
+    assert.strictEqual(parseQueryFilters(multiline).text, multiline);
+  });
+
+  await test('supports lists, quotes, negation and relative dates', async () => {
+    const { text, filters } = parseQueryFilters(
+      'deploy type:decision,pattern -type:observation tag:"release notes" source:user usage>=2 before:7d status:archived',
+      { now: NOW }
+    );
+    assert.strictEqual(text, 'deploy');
+    assert.deepStrictEqual(filters.types, ['decision', 'pattern']);
+    assert.deepStrictEqual(filters.excludeTypes, ['observation']);
+    assert.deepStrictEqual(filters.tags, ['release notes']);
+    assert.deepStrictEqual(filters.sources, ['user']);
+    assert.deepStrictEqual(filters.ranges, [{ field: 'usage', op: '>=', value: 2 }]);
+    assert.strictEqual(filters.before, '2026-05-25T00:00:00.000Z');
+    assert.strictEqual(filters.status, 'archived');
+  });
+
+  await test('rejects invalid filter values', async () => {
+    for (const bad of ['type:bogus', 'quality>high', 'quality>2', 'quality:0.7', 'after:yesterday',
+      'project:my-app', 'status:gone']) {
+      assert.throws(() => parseQueryFilters(`x ${bad}`), ValidationError, bad);
+    }
+    assert.throws(() => parseQueryFilters('tag:auth oops', { strict: true }), /unrecognised terms: oops/);
+  });
+
+  await test('merges and formats filters', async () => {
+    const merged = mergeQueryFilters(
+      parseQueryFilters('tag:auth type:decision project:all').filters,
+      parseQueryFilters('tag:auth tag:jwt project:global quality<=0.3', { strict: true }).filters
+    );
+    assert.deepStrictEqual(merged.tags, ['auth', 'jwt']);
+    assert.strictEqual(merged.project, 'global');
+    assert.strictEqual(
+      formatQueryFilters(merged),
+      'type:decision tag:auth tag:jwt project:global quality<=0.3'
+    );
+  });
+
+  await test('cortex__query arguments accept inline and separate filters', async () => {
+    const args = validateQueryArgs({ query: 'login flow tag:auth', filter: 'type:decision quality>0.5' });
+    assert.strictEqual(args.query, 'login flow');
+    assert.deepStrictEqual(args.filters.tags, ['auth']);
+    assert.deepStrictEqual(args.filters.types, ['decision']);
+    assert.deepStrictEqual(validateQueryArgs({ query: 'plain' }).filters, {});
+
+    assert.throws(() => validateQueryArgs({ query: 'tag:auth' }), /search terms besides filters/);
+    assert.throws(() => validateQueryArgs({ query: 'x', filter: 'free text' }), ValidationError);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Search
+  // ---------------------------------------------------------------------------
+
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+  const provider = new VectorSearchProvider({ basePath: TEST_DIR, reranker: false });
+  const init = await provider.initialize();
+  assert.ok(init.success, init.error);
+  provider._embedder = fakeEmbedder;
+  provider._hybridSearch.embedder = fakeEmbedder;
+  const search = provider._hybridSearch;
+
+  const seed = [
+    { key: 'jwt', memory_type: 'decision', tags: ['auth', 'jwt'], quality_score: 0.9, project_hash: PROJECT, created: '2026-03-01' },
+    { key: 'old', memory_type: 'decision', tags: ['auth', 'deprecated'], quality_score: 0.8, project_hash: PROJECT, created: '2025-11-01' },
+    { key: 'low', memory_type: 'decision', tags: ['Auth'], quality_score: 0.4, project_hash: PROJECT, created: '2026-02-01' },
+    { key: 'pattern', memory_type: 'pattern', tags: ['auth'], quality_score: 0.9, project_hash: null, created: '2026-04-01' },
+    { key: 'other', memory_type: 'decision', tags: ['auth'], quality_score: 0.9, project_hash: 'ffffffffffff', created: '2026-04-01' },
+  ];
+  const ids = {};
+  for (const row of seed) {
+    const { id } = await provider.insert({
+      content: `Auth session tokens: ${row.key} approach for login`,
+      source: 'user',
+      memory_type: row.memory_type,
+      tags: row.tags,
+      quality_score: row.quality_score,
+      project_hash: row.project_hash,
+    });
+    provider._memoryStore.store.run(
+      `UPDATE memories SET created_at = @created WHERE id = @id`,
+      { id, created: `${row.created} 12:00:00` }
+    );
+    ids[row.key] = id;
+  }
+  const keysOf = results => results.map(r => Object.keys(ids).find(k => ids[k] === r.id)).sort();
+  const run = (dsl, options = {}) => {
+    const { text, filters } = parseQueryFilters(`auth session tokens login ${dsl}`);
+    return search.search(text, { limit: 10, filters, ...options });
+  };
+
+  await test('applies type, tag, exclusion and quality filters in SQL', async () => {
+    const results = await run('type:decision tag:auth -tag:deprecated quality>0.7', { mode: 'bm25' });
+    assert.deepStrictEqual(keysOf(results), ['jwt', 'other']);
+
+    const any = await run('tag:AUTH', { mode: 'bm25' });
+    assert.strictEqual(any.length, 5);
+  });
+
+  await test('applies created_at bounds', async () => {
+    const results = await run('after:2026-02-01 before:2026-04-01', { mode: 'bm25' });
+    assert.deepStrictEqual(keysOf(results), ['jwt', 'low']);
+  });
+
+  await test('project scopes: current, global and all', async () => {
+    const current = await run('project:current', { mode: 'bm25', projectHash: PROJECT });
+    assert.deepStrictEqual(keysOf(current), ['jwt', 'low', 'old']);
+
+    // Without a filter, projectHash also admits global memories
+    const scoped = await run('', { mode: 'bm25', projectHash: PROJECT });
+    assert.deepStrictEqual(keysOf(scoped), ['jwt', 'low', 'old', 'pattern']);
+
+    const global = await run('project:global', { mode: 'bm25', projectHash: PROJECT });
+    assert.deepStrictEqual(keysOf(global), ['pattern']);
+
+    const all = await run('project:all', { mode: 'bm25', projectHash: PROJECT });
+    assert.strictEqual(all.length, 5);
+
+    await assert.rejects(() => run('project:current', { mode: 'bm25' }), /requires a current project/);
+  });
+
+  await test('vector-only and hybrid searches honour the same filters', async () => {
+    const dsl = 'type:decision tag:auth -tag:deprecated quality>0.7 after:2026-01-01';
+    const vector = await run(dsl, { mode: 'vector' });
+    assert.deepStrictEqual(keysOf(vector), ['jwt', 'other']);
+
+    const hybrid = await run(`${dsl} project:${PROJECT}`);
+    assert.deepStrictEqual(keysOf(hybrid), ['jwt']);
+  });
+
+  await test('provider and vector adapter pass filters through', async () => {
+    const { filters } = parseQueryFilters('type:pattern');
+    // types would otherwise narrow the search to its first entry
+    const { results } = await provider.search('auth session tokens', { types: ['decision'], filters });
+    assert.deepStrictEqual(keysOf(results), ['pattern']);
+
+    const adapter = new VectorSearchAdapter({ basePath: TEST_DIR });
+    assert.strictEqual(adapter.supportsFilterQuery(), true);
+  });
+
+  await test('registry only queries adapters that support filters', async () => {
+    class PlainAdapter extends BaseAdapter {
+      constructor() {
+        super({ name: 'plain' });
+        this.calls = 0;
+      }
+      async query() {
+        this.calls++;
+        return [];
+      }
+    }
+    const plain = new PlainAdapter();
+    const registry = new AdapterRegistry();
+    registry.register(plain);
+
+    await registry.queryAll({}, { filters: {} });
+    assert.strictEqual(plain.calls, 1);
+    await registry.queryAll({}, { filters: { tags: ['auth'] } });
+    assert.strictEqual(plain.calls, 1);
+  });
+
+  await provider.shutdown();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
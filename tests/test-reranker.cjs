@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const { CrossEncoderReranker, DEFAULT_RERANK_MODEL } = require('../src/core/reranker.cjs');
+const { ConfigValidator } = require('../src/core/config.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-reranker-${Date.now()}`);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for the ONNX embedder (no model download)
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 0; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+/**
+ * Cross-encoder double: scores a document by whether it contains the marker
+ */
+function createFakeReranker(marker, topN = 20) {
+  return {
+    modelId: 'fake/cross-encoder',
+    topN,
+    calls: [],
+    async score(query, documents) {
+      this.calls.push({ query, documents });
+      return documents.map(doc => (doc.includes(marker) ? 0.95 : 0.1));
+    },
+  };
+}
+
+async function main() {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  const provider = new VectorSearchProvider({ basePath: TEST_DIR, reranker: false });
+  const init = await provider.initialize();
+  assert.ok(init.success, init.error);
+  provider._embedder = fakeEmbedder;
+  provider._hybridSearch.embedder = fakeEmbedder;
+  const search = provider._hybridSearch;
+
+  console.log('\n🎯 Testing: Cross-encoder re-ranking');
+
+  // "deploy" appears in every memory; only one actually answers the question
+  const contents = [
+    'deploy deploy deploy checklist template',
+    'deploy notes from the deploy retro',
+    'deploy pipeline dashboard link',
+    'Production deploy requires the release tag and a green canary',
+    'deploy freeze calendar',
+  ];
+  const ids = [];
+  for (const content of contents) {
+    ids.push((await provider.insert({ content, source: 'user' })).id);
+  }
+  const answerId = ids[3];
+
+  await test('leaves results untouched without a reranker', async () => {
+    assert.strictEqual(search.reranker, null);
+    const { results, stats } = await provider.search('what does a production deploy require', { limit: 5 });
+    assert.strictEqual(stats.reranked, false);
+    assert.ok(results.every(r => r.rerankScore === undefined));
+    assert.strictEqual(stats.timings.rerank, 0);
+  });
+
+  await test('reorders the fused candidates by cross-encoder score', async () => {
+    search.reranker = createFakeReranker('release tag');
+    const { results, stats } = await provider.search('what does a production deploy require', { limit: 3 });
+
+    assert.strictEqual(results[0].id, answerId);
+    assert.strictEqual(results[0].rerankScore, 0.95);
+    assert.ok(results[0].fusedScore > 0);
+    assert.ok(Math.abs(results[0].score - 0.95 * results[0].decay) < 1e-9);
+    assert.strictEqual(results.length, 3);
+    assert.strictEqual(stats.reranked, true);
+
+    // Every fused candidate (not just the returned limit) was scored, with full content
+    assert.strictEqual(search.reranker.calls[0].documents.length, 5);
+    assert.ok(search.reranker.calls[0].documents.includes(contents[3]));
+  });
+
+  await test('reports timings and can be skipped per search', async () => {
+    search.reranker.score = async function (query, documents) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return documents.map(() => 0.5);
+    };
+    await provider.search('production deploy', { limit: 3 });
+    assert.ok(search.stats.lastTimings.rerank >= 15);
+    assert.ok(search.stats.lastTimings.total >= search.stats.lastTimings.rerank);
+    assert.ok(search.getStats().totalRerankMs >= 15);
+
+    const before = search.stats.reranked;
+    const { results, stats } = await provider.search('production deploy', { limit: 3, rerank: false });
+    assert.strictEqual(search.stats.reranked, before);
+    assert.strictEqual(stats.timings.rerank, 0);
+    assert.ok(results.every(r => r.rerankScore === undefined));
+  });
+
+  await test('only the top N are re-scored; the rest keep fused order', async () => {
+    search.reranker = createFakeReranker('release tag', 2);
+    search.rerankTopN = 2;
+    const fused = await search.search('deploy', { limit: 5, rerank: false });
+    const reranked = await search.search('deploy', { limit: 5 });
+
+    assert.strictEqual(search.reranker.calls[0].documents.length, 2);
+    assert.deepStrictEqual(reranked.slice(2).map(r => r.id), fused.slice(2).map(r => r.id));
+    assert.ok(reranked.slice(2).every(r => r.rerankScore === undefined));
+    search.rerankTopN = 20;
+  });
+
+  await test('falls back to fused order when the model fails', async () => {
+    const expected = (await search.search('production deploy', { limit: 5, rerank: false })).map(r => r.id);
+    const broken = new CrossEncoderReranker();
+    broken.loadError = new Error('Failed to load reranker model: offline');
+    search.reranker = broken;
+
+    const errorsBefore = search.stats.rerankErrors;
+    const results = await search.search('production deploy', { limit: 5 });
+    assert.deepStrictEqual(results.map(r => r.id), expected);
+    assert.strictEqual(search.stats.rerankErrors, errorsBefore + 1);
+  });
+
+  await test('single-mode searches report timings too', async () => {
+    await search.search('deploy', { mode: 'bm25', limit: 2 });
+    assert.strictEqual(search.stats.lastTimings.rerank, 0);
+    assert.ok(search.stats.lastTimings.total >= search.stats.lastTimings.bm25);
+  });
+
+  await test('cross-encoder scores pairs in one batch with sigmoid outputs', async () => {
+    const reranker = new CrossEncoderReranker({ topN: 5 });
+    assert.strictEqual(reranker.modelId, DEFAULT_RERANK_MODEL);
+
+    let tokenized = null;
+    reranker.tokenizer = (queries, options) => {
+      tokenized = { queries, pairs: options.text_pair };
+      return { input_ids: [] };
+    };
+    reranker.model = async () => ({ logits: { data: new Float32Array([0, 4, -4]) } });
+
+    const scores = await reranker.score('q', ['a', 'b', 'c']);
+    assert.deepStrictEqual(tokenized, { queries: ['q', 'q', 'q'], pairs: ['a', 'b', 'c'] });
+    assert.strictEqual(scores[0], 0.5);
+    assert.ok(scores[1] > 0.98 && scores[2] < 0.02);
+    assert.deepStrictEqual(await reranker.score('q', []), []);
+    assert.strictEqual(reranker.getStats().pairsScored, 3);
+  });
+
+  await test('the provider builds a reranker from settings', async () => {
+    const enabled = new VectorSearchProvider({
+      basePath: path.join(TEST_DIR, 'enabled'),
+      reranker: { enabled: true, topN: 8 },
+    });
+    assert.ok((await enabled.initialize()).success);
+    assert.ok(enabled._hybridSearch.reranker instanceof CrossEncoderReranker);
+    assert.strictEqual(enabled._hybridSearch.rerankTopN, 8);
+    assert.strictEqual(enabled.getStats().components.reranker.modelLoaded, false);
+    await enabled.shutdown();
+  });
+
+  await test('validates the reranking config section', async () => {
+    const validator = new ConfigValidator();
+    assert.ok(validator.validate({ version: '1', reranking: { enabled: true, topN: 20, hooks: false } }).valid);
+    const { errors } = validator.validate({ version: '1', reranking: { enabled: 'yes', topN: 1 } });
+    assert.strictEqual(errors.length, 2);
+  });
+
+  await provider.shutdown();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-eval-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/API key lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+delete process.env.ANTHROPIC_API_KEY;
+process.env.CORTEX_AUDIT = 'false';
+
+const {
+  RetrievalEvaluator,
+  loadFixtures,
+  createSnapshot,
+  defaultBaselinePath,
+  saveBaseline,
+  loadBaseline,
+  diffReports,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+} = require('../src/core/retrieval-eval.cjs');
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const ago = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+const MEMORIES = [
+  { id: 'm-docker', content: 'Docker builds fail with EACCES when the cache volume is owned by root', project_hash: 'proj-a', tier: 'short-term' },
+  { id: 'm-pnpm', content: 'Use pnpm install --frozen-lockfile in CI for reproducible dependency trees', project_hash: 'proj-a', tier: 'short-term' },
+  { id: 'm-wal', content: 'Enable SQLite WAL mode before the first write to avoid lock contention', project_hash: null, tier: 'short-term' },
+  { id: 'm-other', content: 'Docker compose profiles separate the staging services', project_hash: 'proj-b', tier: 'short-term' },
+  // Older than the working tier's 24h window today, but not at snapshot time
+  { id: 'm-working', content: 'Kubernetes rollout stuck because the readiness probe path changed', project_hash: 'proj-a', tier: 'working' },
+];
+
+const CASES = [
+  { id: 'docker', prompt: 'docker EACCES cache volume', project: 'proj-a', expected: ['m-docker'] },
+  { id: 'sqlite', prompt: 'sqlite lock contention WAL', project: 'proj-a', expected: ['m-wal'] },
+  { id: 'rollout', prompt: 'kubernetes rollout readiness probe', project: 'proj-a', expected: ['m-working'] },
+  { id: 'scoped', prompt: 'docker compose staging profiles', project: 'proj-a', expected: ['m-other'] },
+];
+
+/**
+ * Memory directory with the test memories, created 30h ago
+ * @returns {Promise<string>} basePath
+ */
+async function seedBase() {
+  const basePath = path.join(TEST_DIR, 'memory');
+  const store = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db') });
+  await store.initialize();
+  for (const memory of MEMORIES) {
+    await store.insert({ ...memory, memory_type: 'learning', source: 'stop-hook', created_at: ago(30), validFrom: ago(30) });
+  }
+  store.close();
+  return basePath;
+}
+
+/**
+ * Write a fixture file next to a snapshot directory
+ * @param {string} name
+ * @param {Object} [extra]
+ * @returns {string} Fixture path
+ */
+function writeFixtures(name, extra = {}) {
+  const file = path.join(TEST_DIR, 'eval', `${name}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ snapshot: './snapshot', cases: CASES, ...extra }));
+  return file;
+}
+
+async function main() {
+  console.log('\nRetrieval Evaluation Tests\n');
+
+  await test('computes recall@k, reciprocal rank and nDCG@k', () => {
+    const ranked = ['x', 'a', 'y', 'b'];
+    assert.strictEqual(recallAtK(ranked, ['a', 'b'], 1), 0);
+    assert.strictEqual(recallAtK(ranked, ['a', 'b'], 2), 0.5);
+    assert.strictEqual(recallAtK(ranked, ['a', 'b'], 10), 1);
+    assert.strictEqual(reciprocalRank(ranked, ['b', 'a']), 0.5);
+    assert.strictEqual(reciprocalRank(ranked, ['z']), 0);
+    assert.strictEqual(ndcgAtK(['a', 'b'], ['a', 'b'], 5), 1);
+    const expected = (1 / Math.log2(3) + 1 / Math.log2(5)) / (1 + 1 / Math.log2(3));
+    assert.ok(Math.abs(ndcgAtK(ranked, ['a', 'b'], 4) - expected) < 1e-12);
+  });
+
+  await test('validates fixture files', () => {
+    const file = writeFixtures('valid', { k: [10, 3, 3] });
+    const fixtures = loadFixtures(file);
+    assert.strictEqual(fixtures.snapshot, path.join(TEST_DIR, 'eval', 'snapshot'));
+    assert.deepStrictEqual(fixtures.k, [3, 10]);
+    assert.strictEqual(fixtures.cases.length, 4);
+    assert.strictEqual(defaultBaselinePath(file), path.join(TEST_DIR, 'eval', 'valid.baseline.json'));
+
+    const broken = (name, cases) => loadFixtures(writeFixtures(name, { cases }));
+    assert.throws(() => broken('dup', [CASES[0], CASES[0]]), /case docker is defined twice/);
+    assert.throws(() => broken('noexp', [{ id: 'a', prompt: 'p', expected: [] }]), /expected must be a non-empty list/);
+    assert.throws(() => broken('noprompt', [{ id: 'a', expected: ['m'] }]), /case a needs a prompt/);
+    assert.throws(() => loadFixtures(path.join(TEST_DIR, 'missing.json')), /file not found/);
+  });
+
+  const basePath = await seedBase();
+  const snapshotDir = path.join(TEST_DIR, 'eval', 'snapshot');
+
+  await test('freezes the memory store into a snapshot', async () => {
+    const manifest = await createSnapshot({ basePath, outDir: snapshotDir });
+    assert.strictEqual(manifest.memoryCount, MEMORIES.length);
+    assert.deepStrictEqual(manifest.files, ['data/memories.db']);
+    assert.ok(fs.existsSync(path.join(snapshotDir, 'snapshot.json')));
+    await assert.rejects(() => createSnapshot({ basePath, outDir: snapshotDir }), /is not empty/);
+
+    // Replay as if the snapshot had been taken 20 hours ago
+    const manifestPath = path.join(snapshotDir, 'snapshot.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, createdAt: ago(20) }));
+  });
+
+  const fixturesPath = writeFixtures('fixtures');
+  const evaluator = new RetrievalEvaluator({ fixtures: fixturesPath, adapters: ['jsonl'], mode: 'bm25' });
+  let report;
+
+  await test('scores QueryOrchestrator and HybridSearch on the snapshot', async () => {
+    report = await evaluator.run();
+    const { orchestrator, hybrid } = report.runners;
+    assert.strictEqual(orchestrator.error, undefined);
+    assert.strictEqual(hybrid.error, undefined);
+    assert.deepStrictEqual(report.k, [1, 5, 10]);
+
+    const byId = run => Object.fromEntries(run.cases.map(c => [c.id, c]));
+    const orchestratorCases = byId(orchestrator);
+    assert.strictEqual(orchestratorCases.docker.ranked[0], 'm-docker');
+    assert.strictEqual(orchestratorCases.docker.metrics.mrr, 1);
+    assert.strictEqual(orchestratorCases.sqlite.metrics['recall@10'], 1, 'global memories are included');
+    assert.strictEqual(orchestratorCases.rollout.metrics['recall@10'], 1, 'tier age is measured at snapshot time');
+    assert.deepStrictEqual(orchestratorCases.scoped.missing, ['m-other'], 'other projects are excluded');
+    assert.strictEqual(orchestrator.metrics['recall@10'], 0.75);
+
+    const hybridCases = byId(hybrid);
+    assert.strictEqual(hybridCases.docker.ranked[0], 'm-docker');
+    assert.deepStrictEqual(hybridCases.scoped.missing, ['m-other']);
+    assert.strictEqual(hybrid.metrics.mrr, 0.75);
+  });
+
+  await test('leaves the snapshot untouched', async () => {
+    const store = new MemoryStore({ dbPath: path.join(snapshotDir, 'data', 'memories.db') });
+    await store.initialize();
+    assert.strictEqual(store.get('m-docker').usage_count, 0);
+    store.close();
+    assert.deepStrictEqual(fs.readdirSync(path.join(snapshotDir, 'data')), ['memories.db']);
+  });
+
+  await test('diffs a run against the saved baseline', async () => {
+    const baselinePath = defaultBaselinePath(fixturesPath);
+    assert.strictEqual(loadBaseline(baselinePath), null);
+    saveBaseline(report, baselinePath);
+
+    const rerun = await evaluator.run();
+    const same = diffReports(rerun, loadBaseline(baselinePath));
+    assert.strictEqual(same.regressed, false);
+    assert.strictEqual(same.runners.orchestrator.metrics.mrr.delta, 0);
+    assert.deepStrictEqual(same.runners.hybrid.regressions, []);
+
+    // A baseline where the scoped case was found first
+    const better = JSON.parse(JSON.stringify(report));
+    const scoped = better.runners.orchestrator.cases.find(c => c.id === 'scoped');
+    scoped.metrics.mrr = 1;
+    better.runners.orchestrator.metrics.mrr = 1;
+    const worse = diffReports(rerun, better);
+    assert.strictEqual(worse.regressed, true);
+    assert.strictEqual(worse.runners.orchestrator.metrics.mrr.delta, -0.375);
+    assert.deepStrictEqual(worse.runners.orchestrator.regressions, [{ id: 'scoped', metric: 'mrr', baseline: 1, current: 0 }]);
+  });
+
+  await test('cmo eval runs the harness and gates on regressions', () => {
+    const cli = path.join(__dirname, '..', 'src', 'scripts', 'cli.cjs');
+    const run = (...args) => spawnSync(process.execPath, [cli, 'eval', fixturesPath, '--adapters', 'jsonl', '--mode', 'bm25', ...args], {
+      encoding: 'utf8',
+      timeout: 60000,
+      env: process.env,
+    });
+
+    const table = run();
+    assert.strictEqual(table.status, 0, table.stderr);
+    assert.ok(table.stdout.includes('recall@10  0.7500  (+0.0000)'));
+
+    const baselinePath = defaultBaselinePath(fixturesPath);
+    const baseline = loadBaseline(baselinePath);
+    baseline.runners.hybrid.metrics['ndcg@10'] = 1;
+    fs.writeFileSync(baselinePath, JSON.stringify(baseline));
+
+    const gated = run('--fail-on-regression', '--format', 'json');
+    assert.strictEqual(gated.status, 1);
+    assert.strictEqual(JSON.parse(gated.stdout).diff.regressed, true);
+
+    assert.strictEqual(run('--save-baseline', '--runner', 'hybrid').status, 0);
+    assert.deepStrictEqual(Object.keys(loadBaseline(baselinePath).runners), ['hybrid']);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-activation-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+process.env.CORTEX_AUDIT = 'false';
+
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { NeuralNetwork } = require('../src/core/neural-network.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const { ConfigValidator } = require('../src/core/config.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for the ONNX embedder: texts mentioning docker
+ * share one direction, everything else is hashed
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    if (/docker/i.test(text)) {
+      vec[0] = 1;
+      return vec;
+    }
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 1; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+async function openProvider(basePath, spreadingActivation) {
+  const provider = new VectorSearchProvider({ basePath, reranker: false, spreadingActivation });
+  const init = await provider.initialize();
+  assert.ok(init.success, init.error);
+  provider._embedder = fakeEmbedder;
+  provider._hybridSearch.embedder = fakeEmbedder;
+  return provider;
+}
+
+async function main() {
+  console.log('\n🕸️  Testing: Spreading activation retrieval');
+
+  await test('spreads activation over synapses without changing the network', async () => {
+    const network = new NeuralNetwork({ basePath: path.join(TEST_DIR, 'unit', 'neural'), encryption: null });
+    await network.initialize();
+    for (const id of ['a', 'b', 'c', 'd', 'e']) {
+      await network.addNeuron({ id, content: `Neuron ${id}` });
+    }
+    network.nodes.get('a').connectTo('b', 0.8);
+    network.nodes.get('b').connectTo('c', 0.5);
+    network.nodes.get('c').connectTo('d', 0.5);
+    network.nodes.get('e').connectTo('b', 0.4);
+    network.nodes.get('b').connectTo('a', 0.8);
+    await network.save();
+    const levelBefore = network.nodes.get('b').activationLevel;
+
+    const activated = network.spreadActivation(new Map([['a', 1], ['e', 0.5]]), { hops: 2, decay: 0.5 });
+    assert.deepStrictEqual([...activated.keys()].sort(), ['b', 'c'], 'seeds excluded, d is 3 hops away');
+    assert.ok(Math.abs(activated.get('b') - (0.4 + 0.1)) < 1e-9, 'contributions add up');
+    assert.ok(Math.abs(activated.get('c') - 0.5 * 0.5 * 0.5) < 1e-9);
+
+    assert.strictEqual(network.nodes.get('b').activationLevel, levelBefore);
+    assert.deepStrictEqual(await network.save(), { neurons: 0, synapses: 0 });
+    assert.strictEqual(network.spreadActivation(new Map([['missing', 1]])).size, 0);
+    network.close();
+  });
+
+  const provider = await openProvider(path.join(TEST_DIR, 'enabled'), { enabled: true, seeds: 1 });
+  const search = provider._hybridSearch;
+
+  // Memories: one lexical hit, one linked to it but sharing no query term
+  const hitId = (await provider.insert({ content: 'Docker cache mounts speed up CI builds', source: 'user' })).id;
+  const linkedId = (await provider.insert({
+    content: 'Enable BuildKit through the daemon feature flag first',
+    source: 'user',
+    memory_type: 'skill',
+  })).id;
+  const unrelatedId = (await provider.insert({ content: 'Rotate the staging TLS certificates monthly', source: 'user' })).id;
+
+  // The provider's network shares the memories database
+  const network = provider._neuralNetwork;
+  for (const id of [hitId, linkedId, unrelatedId, 'entity:buildkit']) {
+    await network.addNeuron({ id, content: id });
+  }
+  network.nodes.get(hitId).connectTo(linkedId, 0.9, 'semantic');
+  network.nodes.get(hitId).connectTo('entity:buildkit', 0.9, 'entity');
+
+  await test('adds memories linked to the top hits as a third channel', async () => {
+    assert.ok(search.activationGraph instanceof NeuralNetwork);
+    assert.strictEqual(network.dbPath, path.join(TEST_DIR, 'enabled', 'data', 'memories.db'));
+    const { results, stats } = await provider.search('docker cache', { limit: 5 });
+
+    assert.strictEqual(results[0].id, hitId);
+    const linked = results.find(r => r.id === linkedId);
+    assert.ok(linked.sources.includes('activation'));
+    assert.strictEqual(linked.activationRank, 0);
+    assert.strictEqual(results.find(r => r.id === unrelatedId).activationRank, null);
+    assert.ok(!results.some(r => r.id === 'entity:buildkit'), 'neurons without a memory are skipped');
+    assert.strictEqual(typeof stats.timings.activation, 'number');
+    assert.strictEqual(search.stats.activationHits, 1);
+
+    // The link adds to the score the memory gets from the other channels
+    const { results: plain } = await provider.search('docker cache', { limit: 5, activation: false });
+    const plainLinked = plain.find(r => r.id === linkedId);
+    assert.ok(!plainLinked.sources.includes('activation'));
+    assert.ok(linked.score > plainLinked.score);
+    assert.strictEqual(search.stats.activationHits, 1, 'activation: false skips the channel');
+  });
+
+  await test('applies the search filters to activated memories', async () => {
+    const { results } = await provider.search('docker cache', {
+      limit: 5,
+      filters: { excludeTypes: ['skill'] },
+    });
+    assert.ok(results.some(r => r.id === hitId));
+    assert.ok(!results.some(r => r.id === linkedId));
+  });
+
+  await test('is configured from the spreadingActivation section', async () => {
+    assert.deepStrictEqual(search.getStats().config.activation, { weight: 0.3, hops: 2, decay: 0.5, seeds: 1 });
+    await provider.shutdown();
+    assert.ok(!provider._neuralNetwork);
+
+    const disabled = await openProvider(path.join(TEST_DIR, 'disabled'), undefined);
+    assert.strictEqual(disabled._hybridSearch.activationGraph, null);
+    assert.strictEqual(disabled._hybridSearch.getStats().config.activation, null);
+    await disabled.shutdown();
+  });
+
+  await test('validates the spreadingActivation config section', async () => {
+    const validator = new ConfigValidator();
+    assert.ok(validator.validate({
+      version: '1',
+      spreadingActivation: { enabled: true, weight: 0.3, hops: 2, decay: 0.5, seeds: 5 },
+    }).valid);
+    const { errors } = validator.validate({
+      version: '1',
+      spreadingActivation: { enabled: 1, weight: 2, hops: 0, decay: 0, seeds: 2.5 },
+    });
+    assert.strictEqual(errors.length, 5);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -71,18 +71,19 @@ async function testStopHook() {
   assert(shortResp.success, 'Short response handled');
   assert.strictEqual(shortResp.captured, 0, 'Short response ignored');
 
-  // Test 10: Verify working.jsonl file was created and contains valid JSONL
-  const workingPath = path.join('/tmp/cortex-test-stop', 'data', 'memories', 'working.jsonl');
-  assert(fs.existsSync(workingPath), 'working.jsonl was created');
-  const content = fs.readFileSync(workingPath, 'utf8');
-  const lines = content.trim().split('\n').filter(l => l.trim());
-  assert(lines.length > 0, 'working.jsonl has content');
-  for (const line of lines) {
-    const record = JSON.parse(line);
+  // Test 10: Verify captures landed in the working tier of the memory store
+  const { MemoryStore } = require('../src/core/memory-store.cjs');
+  const store = new MemoryStore({ dbPath: path.join('/tmp/cortex-test-stop', 'data', 'memories.db') });
+  await store.initialize();
+  const records = store.query({ tier: 'working', limit: 100 });
+  store.close();
+  assert(records.length > 0, 'working tier has content');
+  for (const record of records) {
     assert(record.id, 'Record has id');
-    assert(record.type, 'Record has type');
+    assert(record.memory_type, 'Record has type');
     assert(record.content, 'Record has content');
-    assert(record.createdAt, 'Record has createdAt');
+    assert(record.created_at, 'Record has created_at');
+    assert.strictEqual(record.source, 'stop-hook', 'Record source is stop-hook');
     assert(Array.isArray(record.tags), 'Record has tags array');
     assert(record.tags.includes('stop-hook'), 'Record tagged with stop-hook');
   }
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { VectorSearchProvider } = require('../src/core/vector-search-provider.cjs');
+const { EMBEDDING_DIM } = require('../src/core/embedder.cjs');
+const { isSupersededAt, toIsoTimestamp } = require('../src/core/hybrid-search.cjs');
+const { VectorSearchAdapter } = require('../src/adapters/vector-adapter.cjs');
+const { validateQueryArgs, ValidationError } = require('../src/core/validation.cjs');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-temporal-search-${Date.now()}`);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Deterministic stand-in for the ONNX embedder (no model download)
+ */
+const fakeEmbedder = {
+  async embed(text) {
+    const vec = new Float32Array(EMBEDDING_DIM);
+    const hash = crypto.createHash('sha256').update(text).digest();
+    for (let i = 0; i < EMBEDDING_DIM; i++) vec[i] = hash[i % hash.length] / 255 - 0.5;
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    return vec.map(v => v / norm);
+  },
+  getStats() { return { modelLoaded: false }; },
+};
+
+async function main() {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  const provider = new VectorSearchProvider({ basePath: TEST_DIR });
+  const init = await provider.initialize();
+  assert.ok(init.success, init.error);
+  provider._embedder = fakeEmbedder;
+  provider._hybridSearch.embedder = fakeEmbedder;
+
+  const search = provider._hybridSearch;
+  const contentOf = results => results.map(r => r.memory.content).sort();
+
+  console.log('\n🕰️  Testing: Bi-temporal point-in-time search');
+
+  // npm was the rule until mid-March, then replaced by pnpm
+  const npm = await provider.insert({
+    content: 'Package manager: use npm for installs',
+    source: 'user',
+    memory_type: 'decision',
+    validFrom: '2026-01-01T00:00:00.000Z',
+  });
+  provider._memoryStore.update(npm.id, { valid_to: '2026-03-15T00:00:00.000Z' });
+  await provider.insert({
+    content: 'Package manager: use pnpm for installs',
+    source: 'user',
+    memory_type: 'decision',
+    validFrom: '2026-03-15T00:00:00.000Z',
+  });
+
+  await test('hides superseded memories by default', async () => {
+    const results = await search.search('package manager installs', { mode: 'bm25' });
+    assert.deepStrictEqual(contentOf(results), ['Package manager: use pnpm for installs']);
+    assert.strictEqual(results[0].superseded, false);
+  });
+
+  await test('asOf returns what was valid at that instant', async () => {
+    const results = await search.search('package manager installs', { asOf: '2026-03-01T00:00:00Z' });
+    assert.deepStrictEqual(contentOf(results), ['Package manager: use npm for installs']);
+    assert.strictEqual(results[0].superseded, false);
+
+    const before = await search.search('package manager installs', { asOf: '2025-12-01T00:00:00Z' });
+    assert.strictEqual(before.length, 0);
+  });
+
+  await test('includeSuperseded returns every version and flags the old one', async () => {
+    const results = await search.search('package manager installs', { includeSuperseded: true });
+    assert.strictEqual(results.length, 2);
+    const old = results.find(r => r.id === npm.id);
+    assert.strictEqual(old.superseded, true);
+    assert.ok(results.find(r => r.id !== npm.id).superseded === false);
+  });
+
+  await test('knownAt excludes facts recorded later, even if backdated', async () => {
+    const recordedBefore = new Date().toISOString();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await provider.insert({
+      content: 'Package manager: yarn was briefly tried for installs',
+      source: 'user',
+      memory_type: 'decision',
+      validFrom: '2026-02-01T00:00:00.000Z',
+    });
+
+    const asOf = '2026-03-01T00:00:00Z';
+    const now = await search.search('package manager installs', { asOf });
+    assert.strictEqual(now.length, 2);
+
+    const then = await search.search('package manager installs', { asOf, knownAt: recordedBefore });
+    assert.deepStrictEqual(contentOf(then), ['Package manager: use npm for installs']);
+  });
+
+  await test('knownAt checks valid_to as it was recorded then', async () => {
+    const { id } = await provider.insert({
+      content: 'Deploys go through the jenkins pipeline',
+      source: 'user',
+      memory_type: 'decision',
+      validFrom: '2026-01-01T00:00:00.000Z',
+    });
+    // Closed later, backdated to January
+    provider._memoryStore.update(id, { valid_to: '2026-01-10T00:00:00.000Z' });
+
+    // Date the two versions apart (both were written within the same second)
+    const hour = 60 * 60 * 1000;
+    const closedAt = Date.now() + 24 * hour;
+    provider._memoryStore.store.run(
+      `UPDATE memory_versions SET created_at = @closedAt WHERE memory_id = @id AND version = 2`,
+      { id, closedAt: new Date(closedAt).toISOString() }
+    );
+
+    const asOf = '2026-02-01T00:00:00Z';
+    const query = 'deploys jenkins pipeline';
+    const before = new Date(closedAt - hour).toISOString();
+    const after = new Date(closedAt + hour).toISOString();
+
+    // The fake embedder ranks unrelated memories too, so only look for this one
+    const finds = async options => (await search.search(query, { asOf, ...options })).some(r => r.id === id);
+
+    assert.strictEqual(await finds({}), false);
+    for (const mode of ['bm25', 'vector', 'hybrid']) {
+      assert.strictEqual(await finds({ knownAt: before, mode }), true, `${mode}: still open as recorded before the close`);
+      assert.strictEqual(await finds({ knownAt: after, mode }), false, `${mode}: closed as recorded after it`);
+    }
+  });
+
+  await test('vector-only search applies the same temporal filters', async () => {
+    const results = await search.searchVector('package manager installs', { asOf: '2026-01-15T00:00:00Z', limit: 10 });
+    assert.deepStrictEqual(contentOf(results), ['Package manager: use npm for installs']);
+  });
+
+  await test('provider and adapter pass temporal options through', async () => {
+    const { results } = await provider.search('package manager installs', { includeSuperseded: true, limit: 10 });
+    const adapter = new VectorSearchAdapter({ basePath: TEST_DIR });
+    const normalized = results.map(r => adapter.normalize(r));
+    const old = normalized.find(r => r.id === npm.id);
+
+    assert.strictEqual(adapter.supportsTemporalQuery(), true);
+    assert.strictEqual(old.content, 'Package manager: use npm for installs');
+    assert.strictEqual(old.type, 'decision');
+    assert.strictEqual(old.validTo, '2026-03-15T00:00:00.000Z');
+    assert.strictEqual(old.superseded, true);
+  });
+
+  await test('rejects invalid timestamps', async () => {
+    await assert.rejects(() => search.search('package', { asOf: 'last tuesday' }), /asOf/);
+    assert.throws(() => validateQueryArgs({ query: 'x', knownAt: 'soon' }), ValidationError);
+    assert.strictEqual(validateQueryArgs({ query: 'x', asOf: '2026-03-01' }).asOf, '2026-03-01T00:00:00.000Z');
+  });
+
+  await test('reads SQLite datetime strings as UTC', async () => {
+    assert.strictEqual(toIsoTimestamp('2026-03-01 12:00:00', 'asOf'), '2026-03-01T12:00:00.000Z');
+    assert.ok(isSupersededAt({ valid_to: '2026-03-01 12:00:00' }, Date.parse('2026-03-01T12:00:00Z')));
+    assert.ok(!isSupersededAt({ valid_to: '2026-03-01 12:00:00' }, Date.parse('2026-03-01T11:59:59Z')));
+    assert.ok(!isSupersededAt({ valid_to: null }));
+  });
+
+  await provider.shutdown();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
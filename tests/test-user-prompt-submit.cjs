@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const TEST_DIR = path.join(os.tmpdir(), `cortex-ups-${Date.now()}`);
+fs.mkdirSync(TEST_DIR, { recursive: true });
+// Keep config/encryption lookups away from the real ~/.claude directory
+process.env.HOME = TEST_DIR;
+delete process.env.CORTEX_ENCRYPTION_SECRET;
+delete process.env.CORTEX_SESSION_ID;
+
+const { MemoryStore } = require('../src/core/memory-store.cjs');
+const { UserPromptSubmitHook } = require('../src/hooks/user-prompt-submit.cjs');
+const { InjectionLedger } = require('../src/hooks/injection-ledger.cjs');
+const { AdapterRegistry, BaseAdapter } = require('../src/adapters/index.cjs');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Minimal config manager stand-in
+ * @param {Object} [settings] - userPromptSubmit overrides
+ */
+function makeConfig(settings = {}) {
+  return {
+    get: key => (key === 'userPromptSubmit' ? { enabled: true, timeoutMs: 300, ...settings } : undefined),
+  };
+}
+
+/**
+ * Create a base directory with memories in one tier
+ * @param {string} name
+ * @param {string[]} contents
+ * @param {string} [tier='working']
+ * @returns {Promise<string>} Base path
+ */
+async function seedBase(name, contents, tier = 'working') {
+  const basePath = path.join(TEST_DIR, name);
+  const store = new MemoryStore({ dbPath: path.join(basePath, 'data', 'memories.db') });
+  await store.initialize();
+  await store.insertBatch(contents.map(content => ({
+    content,
+    memory_type: 'learning',
+    tier,
+    source: 'stop-hook',
+  })));
+  store.close();
+  return basePath;
+}
+
+/**
+ * Build a hook over a seeded base path
+ * @param {string} basePath
+ * @param {Object} [settings]
+ */
+function makeHook(basePath, settings) {
+  // The vector adapter runs BM25-only by default, so no embedding model is needed
+  return new UserPromptSubmitHook({
+    basePath,
+    workingDir: TEST_DIR,
+    config: makeConfig(settings),
+  });
+}
+
+async function main() {
+  console.log('\nUserPromptSubmit Hook Tests\n');
+
+  const basePath = await seedBase('main', [
+    'Webpack build cache goes stale after switching branches; clear node_modules/.cache to fix flaky builds',
+    'Postgres migrations must run before seeding the staging database',
+  ]);
+
+  await test('injects memories that match the prompt', async () => {
+    const hook = makeHook(basePath);
+    const result = await hook.execute({
+      prompt: 'The webpack build is flaky again, what clears the cache?',
+      session_id: 'session-a',
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.stats.memoriesSelected, 1);
+    assert.ok(result.injection.includes('Webpack build cache'));
+    assert.ok(!result.injection.includes('Postgres'), 'unrelated memory is not injected');
+    assert.deepStrictEqual(new InjectionLedger({ basePath }).getInjectedIds('session-a').size, 1);
+  });
+
+  await test('skips memories already injected in the same session', async () => {
+    const hook = makeHook(basePath);
+    const result = await hook.execute({
+      prompt: 'Still seeing a flaky webpack build cache problem',
+      session_id: 'session-a',
+    });
+
+    assert.strictEqual(result.injection, '');
+    assert.strictEqual(result.stats.memoriesSelected, 0);
+    assert.strictEqual(result.stats.skippedAlreadyInjected, 1);
+
+    const other = await hook.execute({
+      prompt: 'Still seeing a flaky webpack build cache problem',
+      session_id: 'session-b',
+    });
+    assert.strictEqual(other.stats.memoriesSelected, 1, 'other sessions are unaffected');
+  });
+
+  await test('ignores short prompts and slash commands', async () => {
+    const hook = makeHook(basePath);
+    for (const prompt of ['yes', '/compact webpack build cache notes']) {
+      const result = await hook.execute({ prompt, session_id: 'session-c' });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.injection, '');
+      assert.strictEqual(result.stats.reason, 'Prompt too short');
+    }
+  });
+
+  await test('respects userPromptSubmit.enabled and maxMemories', async () => {
+    const disabled = await makeHook(basePath, { enabled: false }).execute({
+      prompt: 'The webpack build is flaky again, what clears the cache?',
+    });
+    assert.strictEqual(disabled.enabled, false);
+    assert.strictEqual(disabled.injection, '');
+
+    const many = await seedBase('many', [1, 2, 3, 4, 5].map(n => `Webpack build cache tip number ${n}`));
+    const capped = await makeHook(many, { maxMemories: 2 }).execute({
+      prompt: 'Any webpack build cache tips?',
+      session_id: 'session-d',
+    });
+    assert.strictEqual(capped.stats.memoriesSelected, 2);
+  });
+
+  await test('finds long-term memories with BM25 inside the budget', async () => {
+    const longTerm = await seedBase('long-term', [
+      'Redis eviction policy must be allkeys-lru for the session cache',
+      'Terraform state lives in the shared S3 bucket',
+    ], 'long-term');
+    const hook = makeHook(longTerm);
+    const result = await hook.execute({
+      prompt: 'Which eviction policy does the redis session cache need?',
+      session_id: 'session-e',
+    });
+
+    assert.strictEqual(result.stats.memoriesSelected, 1);
+    assert.ok(result.injection.includes('allkeys-lru'));
+    assert.ok(!result.injection.includes('Terraform'));
+
+    const stats = result.stats.byAdapter.vector;
+    assert.strictEqual(stats.error, undefined);
+    assert.strictEqual(stats.totalRecords, 1);
+    assert.ok(stats.lastQueryTime < 300, `answered in ${stats.lastQueryTime}ms`);
+    assert.strictEqual(hook.orchestrator.registry.get('vector')._provider, null, 'no embedding model or HNSW index loaded');
+  });
+
+  await test('adapter timeouts are capped by timeoutMs', async () => {
+    class SlowAdapter extends BaseAdapter {
+      constructor() {
+        super({ name: 'slow', priority: 0.5, timeout: 10000, enabled: true });
+      }
+      async query() {
+        return new Promise(resolve => setTimeout(() => resolve([]), 5000).unref());
+      }
+    }
+
+    const registry = new AdapterRegistry();
+    registry.register(new SlowAdapter());
+    const start = Date.now();
+    const { stats } = await registry.queryAll({}, { timeoutMs: 100 });
+
+    assert.ok(Date.now() - start < 2000, 'query returned within the budget');
+    assert.strictEqual(stats.slow.error, 'Timeout');
+  });
+
+  await test('ledger keeps session ids inside its directory', async () => {
+    const ledger = new InjectionLedger({ basePath });
+    const file = ledger.getPath('../../etc/passwd');
+    assert.strictEqual(path.dirname(file), ledger.dir);
+
+    assert.strictEqual(ledger.record('s1', 'UserPromptSubmit', [{ id: 'm1' }, { id: 'm2' }, {}]), 2);
+    const entries = ledger.getEntries('s1');
+    assert.deepStrictEqual(entries.map(e => [e.memoryId, e.rank]), [['m1', 1], ['m2', 2]]);
+    assert.strictEqual(ledger.record(null, 'UserPromptSubmit', [{ id: 'm3' }]), 0);
+  });
+
+  await test('install-hooks registers the hook and uninstall-hooks removes it', async () => {
+    const env = { ...process.env, HOME: TEST_DIR, CORTEX_DIR: '/opt/cortex/memory' };
+    const settingsFile = path.join(TEST_DIR, '.claude', 'settings.json');
+    fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+    fs.writeFileSync(settingsFile, JSON.stringify({
+      hooks: { UserPromptSubmit: [{ hooks: [{ type: 'command', command: 'other-tool' }] }] },
+    }));
+
+    execFileSync(process.execPath, [path.join(__dirname, '../src/scripts/install-hooks.cjs')], { env });
+    let settings = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+    const commands = settings.hooks.UserPromptSubmit.map(h => h.hooks[0].command);
+    assert.deepStrictEqual(commands, ['other-tool', 'node /opt/cortex/memory/hooks/user-prompt-submit.cjs']);
+
+    execFileSync(process.execPath, [path.join(__dirname, '../src/scripts/uninstall-hooks.cjs')], { env });
+    settings = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+    assert.deepStrictEqual(settings.hooks.UserPromptSubmit.map(h => h.hooks[0].command), ['other-tool']);
+  });
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
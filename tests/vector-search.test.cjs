@@ -686,6 +686,15 @@ async function testVectorIndex() {
     assert.strictEqual(missing, null);
   });
 
+  await asyncTest('getVector() returns the stored vector', async () => {
+    const vector = index.getVector('vec-2');
+    assert.ok(vector instanceof Float32Array);
+    assert.strictEqual(vector.length, 384);
+    // Cosine space stores normalized vectors
+    assert.ok(Math.abs(vector[0] - 1 / Math.sqrt(384)) < 1e-6);
+    assert.strictEqual(index.getVector('nonexistent'), null);
+  });
+
   await asyncTest('Updates vector (re-adds)', async () => {
     const newEmbedding = new Float32Array(384).fill(0.9);
     const result = index.add('vec-1', newEmbedding);